@@ -60,6 +60,32 @@ export async function buildLibs() {
         }
     }
 
+    // PDF.js loads character maps and standard fonts at runtime, so they are packaged alongside the library
+    const pdfjsDir = path.join(dirname, '..', 'node_modules', 'pdfjs-dist');
+    for (const name of ['cmaps', 'standard_fonts']) {
+        fs.cpSync(path.join(pdfjsDir, name), path.join(extDir, 'lib', 'pdfjs', name), {recursive: true});
+    }
+
+    // Tesseract.js runs OCR in its own worker, which loads the WebAssembly build of Tesseract and the trained models at runtime
+    const nodeModulesDir = path.join(dirname, '..', 'node_modules');
+    const tesseractDir = path.join(extDir, 'lib', 'tesseract');
+    fs.mkdirSync(path.join(tesseractDir, 'core'), {recursive: true});
+    fs.mkdirSync(path.join(tesseractDir, 'lang'), {recursive: true});
+    /** @type {[source: string, destination: string][]} */
+    const tesseractScripts = [
+        [path.join(nodeModulesDir, 'tesseract.js', 'dist', 'worker.min.js'), path.join(tesseractDir, 'worker.min.js')],
+    ];
+    for (const name of ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js']) {
+        tesseractScripts.push([path.join(nodeModulesDir, 'tesseract.js-core', name), path.join(tesseractDir, 'core', name)]);
+    }
+    for (const [source, destination] of tesseractScripts) {
+        fs.writeFileSync(destination, '// @ts-nocheck\n' + fs.readFileSync(source, {encoding: 'utf8'}));
+    }
+    for (const language of ['eng', 'jpn', 'jpn_vert']) {
+        const fileName = `${language}.traineddata.gz`;
+        fs.copyFileSync(path.join(nodeModulesDir, '@tesseract.js-data', language, '4.0.0_best_int', fileName), path.join(tesseractDir, 'lang', fileName));
+    }
+
     const schemaDir = path.join(extDir, 'data/schemas/');
     const schemaFileNames = fs.readdirSync(schemaDir);
     const schemas = schemaFileNames.map((schemaFileName) => {
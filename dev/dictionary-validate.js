@@ -100,6 +100,7 @@ export async function validateDictionary(mode, archiveData, schemas) {
         [/^kanji_bank_(\d+)\.json$/, version === 1 ? schemas.kanjiBankV1 : schemas.kanjiBankV3],
         [/^kanji_meta_bank_(\d+)\.json$/, schemas.kanjiMetaBankV3],
         [/^tag_bank_(\d+)\.json$/, schemas.tagBankV3],
+        [/^transforms\.json$/, schemas.transforms],
     ];
 
     await validateDictionaryBanks(mode, entries, schemasDetails);
@@ -119,6 +120,7 @@ export function getSchemas() {
         termBankV1: readSchema('../ext/data/schemas/dictionary-term-bank-v1-schema.json'),
         termBankV3: readSchema('../ext/data/schemas/dictionary-term-bank-v3-schema.json'),
         termMetaBankV3: readSchema('../ext/data/schemas/dictionary-term-meta-bank-v3-schema.json'),
+        transforms: readSchema('../ext/data/schemas/dictionary-transforms-schema.json'),
     };
 }
 
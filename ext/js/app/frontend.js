@@ -22,10 +22,15 @@ import {log} from '../core/log.js';
 import {promiseAnimationFrame} from '../core/promise-animation-frame.js';
 import {setProfile} from '../data/profiles-util.js';
 import {addFullscreenChangeEventListener, getFullscreenElement} from '../dom/document-util.js';
+import {getVisiblePageText} from '../dom/page-text.js';
 import {TextSourceElement} from '../dom/text-source-element.js';
 import {TextSourceGenerator} from '../dom/text-source-generator.js';
 import {TextSourceRange} from '../dom/text-source-range.js';
 import {TextScanner} from '../language/text-scanner.js';
+import {MediaClipRecorder} from '../media/media-clip-recorder.js';
+import {ImageRegionSelector} from './image-region-selector.js';
+import {VideoSubtitleLayer} from './video-subtitle-layer.js';
+import {WordStatusHighlighter} from './word-status-highlighter.js';
 
 /**
  * This is the main class responsible for scanning and handling webpage content.
@@ -109,6 +114,16 @@ export class Frontend {
         this._isPointerOverPopup = false;
         /** @type {?import('settings').OptionsContext} */
         this._optionsContextOverride = null;
+        /** @type {?WordStatusHighlighter} */
+        this._wordStatusHighlighter = (pageType === 'web' ? new WordStatusHighlighter(application) : null);
+        /** @type {?VideoSubtitleLayer} */
+        this._videoSubtitleLayer = (pageType === 'web' ? new VideoSubtitleLayer(application) : null);
+        /** @type {MediaClipRecorder} */
+        this._mediaClipRecorder = new MediaClipRecorder();
+        /** @type {ImageRegionSelector} */
+        this._imageRegionSelector = new ImageRegionSelector(application);
+        /** @type {?import('frontend').BookContextProvider} */
+        this._bookContextProvider = null;
 
         /* eslint-disable @stylistic/no-multi-spaces */
         /** @type {import('application').ApiMap} */
@@ -117,12 +132,15 @@ export class Frontend {
             ['frontendSetAllVisibleOverride',   this._onApiSetAllVisibleOverride.bind(this)],
             ['frontendClearAllVisibleOverride', this._onApiClearAllVisibleOverride.bind(this)],
             ['frontendScanSelectedText',        this._onApiScanSelectedText.bind(this)],
+            ['frontendGetPageStatistics',       this._onApiGetPageStatistics.bind(this)],
+            ['frontendRecordMediaClip',         this._onApiRecordMediaClip.bind(this)],
         ]);
 
         this._hotkeyHandler.registerActions([
             ['scanSelectedText', this._onActionScanSelectedText.bind(this)],
             ['scanTextAtSelection', this._onActionScanTextAtSelection.bind(this)],
             ['scanTextAtCaret',  this._onActionScanTextAtCaret.bind(this)],
+            ['scanImageRegion',   this._onActionScanImageRegion.bind(this)],
             ['profilePrevious',   async () => { await setProfile(-1, this._application); }],
             ['profileNext',       async () => { await setProfile(1, this._application); }],
         ]);
@@ -157,6 +175,9 @@ export class Frontend {
      * Prepares the instance for use.
      */
     async prepare() {
+        if (this._wordStatusHighlighter !== null) {
+            this._wordStatusHighlighter.prepare();
+        }
         await this.updateOptions();
         try {
             const {zoomFactor} = await this._application.api.getZoom();
@@ -193,6 +214,7 @@ export class Frontend {
             ['frontendGetPopupSelectionText', this._onApiGetPopupSelectionText.bind(this)],
             ['frontendGetPopupInfo',     this._onApiGetPopupInfo.bind(this)],
             ['frontendGetPageInfo',      this._onApiGetPageInfo.bind(this)],
+            ['frontendScanImageRegion',  this._onApiScanImageRegion.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
 
@@ -218,6 +240,14 @@ export class Frontend {
         this._optionsContextOverride = optionsContext;
     }
 
+    /**
+     * Set or clear a function which provides the book context of scanned text, for pages which display books.
+     * @param {?import('frontend').BookContextProvider} provider The function, or `null` to clear it.
+     */
+    setBookContextProvider(provider) {
+        this._bookContextProvider = provider;
+    }
+
     /**
      * Performs a new search on a specific source.
      * @param {import('text-source').TextSource} textSource The text source to search.
@@ -271,6 +301,36 @@ export class Frontend {
         void this._scanSelectedText(false, true, true);
     }
 
+    /**
+     * Gets comprehension statistics for the selected text, or for the visible text of the page if nothing is selected.
+     * @type {import('application').ApiHandler<'frontendGetPageStatistics'>}
+     */
+    async _onApiGetPageStatistics() {
+        // Parsing is done one lookup at a time, so the amount of text is limited to keep the request fast
+        const maxLength = 3000;
+        const selection = window.getSelection();
+        const selectionText = selection !== null ? selection.toString().trim() : '';
+        /** @type {import('comprehension-statistics').TextSource} */
+        let source = 'selection';
+        let text = selectionText.substring(0, maxLength);
+        let truncated = selectionText.length > maxLength;
+        if (selectionText.length === 0) {
+            source = 'page';
+            ({text, truncated} = getVisiblePageText(maxLength, this._ignoreElements()));
+        }
+        const optionsContext = await this._getOptionsContext();
+        const statistics = await this._application.api.getComprehensionStatistics(text, optionsContext);
+        return {source, textLength: text.length, truncated, statistics};
+    }
+
+    /**
+     * Records a span of audio from the media being played on the page, for use as sentence audio.
+     * @type {import('application').ApiHandler<'frontendRecordMediaClip'>}
+     */
+    async _onApiRecordMediaClip(details) {
+        return await this._mediaClipRecorder.record(details);
+    }
+
     /**
      * @returns {void}
      */
@@ -285,6 +345,13 @@ export class Frontend {
         void this._scanSelectedText(true, false);
     }
 
+    /**
+     * @returns {void}
+     */
+    _onActionScanImageRegion() {
+        void this._scanImageRegion();
+    }
+
     // API message handlers
 
     /** @type {import('cross-frame-api').ApiHandler<'frontendClosePopup'>} */
@@ -319,6 +386,11 @@ export class Frontend {
         };
     }
 
+    /** @type {import('cross-frame-api').ApiHandler<'frontendScanImageRegion'>} */
+    _onApiScanImageRegion() {
+        void this._scanImageRegion();
+    }
+
     /** @type {import('application').ApiHandler<'frontendSetAllVisibleOverride'>} */
     async _onApiSetAllVisibleOverride({value, priority, awaitFrame}) {
         const result = await this._popupFactory.setAllVisibleOverride(value, priority);
@@ -335,6 +407,27 @@ export class Frontend {
 
     // Private
 
+    /**
+     * Lets the user select a region of the page, and recognizes the text in it.
+     * The recognized text is shown in the search popup.
+     */
+    async _scanImageRegion() {
+        try {
+            if (window !== window.parent) {
+                // The screenshot is taken of the whole tab, so the region is selected in the root frame
+                const targetFrameId = 0; // Root frameId
+                await this._application.crossFrame.invoke(targetFrameId, 'frontendScanImageRegion', void 0);
+                return;
+            }
+            const region = await this._imageRegionSelector.select();
+            if (region === null) { return; }
+            const optionsContext = await this._getOptionsContext();
+            await this._application.api.recognizeImageRegion(region, window.innerWidth, optionsContext);
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
     /**
      * @returns {void}
      */
@@ -447,6 +540,9 @@ export class Frontend {
             void this._popup.hide(!passive);
             this._isPointerOverPopup = false;
         }
+        if (this._videoSubtitleLayer !== null) {
+            this._videoSubtitleLayer.resumeVideo();
+        }
         this._textScanner.clearSelection();
     }
 
@@ -515,9 +611,27 @@ export class Frontend {
             sentenceParsingOptions,
             scanWithoutMousemove: scanningOptions.scanWithoutMousemove,
             scanResolution: scanningOptions.scanResolution,
+            recordLookupHistory: options.general.enableLookupHistory,
         });
         this._updateTextScannerEnabled();
 
+        if (this._wordStatusHighlighter !== null) {
+            const {highlightUnknownWords, highlightLearningWords} = options.wordStatus;
+            this._wordStatusHighlighter.setOptions({
+                enabled: options.general.enable,
+                highlightUnknownWords,
+                highlightLearningWords,
+                scanLength: scanningOptions.length,
+                optionsContext,
+            });
+        }
+
+        if (this._videoSubtitleLayer !== null) {
+            this._videoSubtitleLayer.setOptions({
+                enabled: options.general.enable && scanningOptions.enableVideoSubtitles,
+            });
+        }
+
         if (this._pageType !== 'web') {
             const excludeSelectors = ['.scan-disable', '.scan-disable *'];
             if (!scanningOptions.enableOnPopupExpressions) {
@@ -733,6 +847,20 @@ export class Frontend {
         };
         if (sentence !== null) { detailsState.sentence = sentence; }
         if (documentTitle !== null) { detailsState.documentTitle = documentTitle; }
+        if (this._videoSubtitleLayer !== null) {
+            const cue = this._videoSubtitleLayer.getCue(textSource);
+            if (cue !== null) {
+                const {text, startTime, endTime, video} = cue;
+                detailsState.cue = {text, startTime, endTime};
+                if (this._options !== null && this._options.scanning.pauseVideoOnPopup) {
+                    this._videoSubtitleLayer.pauseVideo(video);
+                }
+            }
+        }
+        if (this._bookContextProvider !== null) {
+            const book = this._bookContextProvider(textSource);
+            if (book !== null) { detailsState.book = book; }
+        }
         const {tabId, frameId} = this._application;
         /** @type {import('display').HistoryContent} */
         const detailsContent = {
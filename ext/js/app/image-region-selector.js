@@ -0,0 +1,215 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {log} from '../core/log.js';
+import {promiseAnimationFrame} from '../core/promise-animation-frame.js';
+import {getFullscreenElement} from '../dom/document-util.js';
+import {loadStyle} from '../dom/style-util.js';
+
+/**
+ * Regions smaller than this size, in CSS pixels, are treated as an accidental click.
+ */
+const MIN_REGION_SIZE = 4;
+
+/**
+ * This class lets the user select a region of the page by dragging over it,
+ * so that text which is part of an image or a canvas can be recognized.
+ */
+export class ImageRegionSelector {
+    /**
+     * @param {import('../application.js').Application} application
+     */
+    constructor(application) {
+        /** @type {import('../application.js').Application} */
+        this._application = application;
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {?(region: ?import('image-text-recognizer').Region) => void} */
+        this._resolve = null;
+        /** @type {?HTMLElement} */
+        this._regionElement = null;
+        /** @type {?{x: number, y: number}} */
+        this._start = null;
+        /** @type {?import('image-text-recognizer').Region} */
+        this._region = null;
+        /** @type {?Promise<void>} */
+        this._loadStylesheetPromise = null;
+    }
+
+    /**
+     * Shows an overlay over the page which the user can drag out a region on.
+     * Pressing Escape or right clicking cancels the selection.
+     * Once the promise resolves, the overlay has been removed from the screen.
+     * @returns {Promise<?import('image-text-recognizer').Region>} The selected region, relative to the viewport, or `null` if the selection was canceled.
+     */
+    async select() {
+        this._finish(null);
+        await this._loadStylesheet();
+
+        const container = this._getContainer();
+        if (container === null) { return null; }
+
+        const overlay = document.createElement('div');
+        overlay.className = 'yomitan-image-region-selector';
+        overlay.tabIndex = -1;
+        const regionElement = document.createElement('div');
+        regionElement.className = 'yomitan-image-region-selector-region';
+        overlay.appendChild(regionElement);
+        this._regionElement = regionElement;
+        this._start = null;
+        this._region = null;
+
+        /** @type {Promise<?import('image-text-recognizer').Region>} */
+        const promise = new Promise((resolve) => {
+            this._resolve = resolve;
+        });
+
+        this._eventListeners.addEventListener(overlay, 'pointerdown', this._onPointerDown.bind(this), false);
+        this._eventListeners.addEventListener(overlay, 'pointermove', this._onPointerMove.bind(this), false);
+        this._eventListeners.addEventListener(overlay, 'pointerup', this._onPointerUp.bind(this), false);
+        this._eventListeners.addEventListener(overlay, 'contextmenu', this._onContextMenu.bind(this), false);
+        this._eventListeners.addEventListener(window, 'keydown', this._onKeyDown.bind(this), true);
+        this._eventListeners.addEventListener(window, 'blur', this._onBlur.bind(this), false);
+
+        container.appendChild(overlay);
+        overlay.focus();
+
+        const result = await promise;
+        overlay.remove();
+        if (result !== null) {
+            // Wait for the overlay to be removed from the screen, so that it isn't part of the screenshot
+            await promiseAnimationFrame(100);
+            await promiseAnimationFrame(100);
+        }
+        return result;
+    }
+
+    // Private
+
+    /**
+     * @param {PointerEvent} e
+     */
+    _onPointerDown(e) {
+        e.preventDefault();
+        if (e.button !== 0) {
+            this._finish(null);
+            return;
+        }
+        /** @type {HTMLElement} */ (e.currentTarget).setPointerCapture(e.pointerId);
+        this._start = {x: e.clientX, y: e.clientY};
+        this._region = null;
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    _onPointerMove(e) {
+        const start = this._start;
+        if (start === null || this._regionElement === null) { return; }
+        e.preventDefault();
+        const region = {
+            x: Math.min(start.x, e.clientX),
+            y: Math.min(start.y, e.clientY),
+            width: Math.abs(e.clientX - start.x),
+            height: Math.abs(e.clientY - start.y),
+        };
+        this._region = region;
+        const {style} = this._regionElement;
+        style.display = 'block';
+        style.left = `${region.x}px`;
+        style.top = `${region.y}px`;
+        style.width = `${region.width}px`;
+        style.height = `${region.height}px`;
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    _onPointerUp(e) {
+        if (this._start === null) { return; }
+        e.preventDefault();
+        const region = this._region;
+        this._finish(region !== null && region.width >= MIN_REGION_SIZE && region.height >= MIN_REGION_SIZE ? region : null);
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onContextMenu(e) {
+        e.preventDefault();
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    _onKeyDown(e) {
+        if (e.key !== 'Escape') { return; }
+        e.preventDefault();
+        e.stopPropagation();
+        this._finish(null);
+    }
+
+    /** */
+    _onBlur() {
+        this._finish(null);
+    }
+
+    /**
+     * @param {?import('image-text-recognizer').Region} region
+     */
+    _finish(region) {
+        const resolve = this._resolve;
+        if (resolve === null) { return; }
+        this._resolve = null;
+        this._regionElement = null;
+        this._start = null;
+        this._region = null;
+        this._eventListeners.removeAllEventListeners();
+        resolve(region);
+    }
+
+    /**
+     * @returns {?Element}
+     */
+    _getContainer() {
+        const fullscreenElement = getFullscreenElement();
+        if (fullscreenElement !== null && !(fullscreenElement instanceof HTMLMediaElement)) {
+            return fullscreenElement;
+        }
+        return document.body !== null ? document.body : document.documentElement;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    _loadStylesheet() {
+        if (this._loadStylesheetPromise === null) {
+            this._loadStylesheetPromise = this._loadStylesheetInternal();
+        }
+        return this._loadStylesheetPromise;
+    }
+
+    /** */
+    async _loadStylesheetInternal() {
+        try {
+            await loadStyle(this._application, 'yomitan-image-region-selector-stylesheet', 'file', '/css/image-region-selector.css', true);
+        } catch (e) {
+            log.error(e);
+        }
+    }
+}
@@ -0,0 +1,314 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {log} from '../core/log.js';
+import {addFullscreenChangeEventListener, getFullscreenElement} from '../dom/document-util.js';
+import {SelectorObserver} from '../dom/selector-observer.js';
+import {loadStyle} from '../dom/style-util.js';
+import {TextSourceRange} from '../dom/text-source-range.js';
+
+/**
+ * This class makes the subtitles of `<video>` elements scannable.
+ * Subtitle and caption tracks which are displayed natively are switched to `'hidden'`,
+ * and their active cues are mirrored as text into an overlay positioned over the video.
+ */
+export class VideoSubtitleLayer {
+    /**
+     * @param {import('../application.js').Application} application
+     */
+    constructor(application) {
+        /** @type {import('../application.js').Application} */
+        this._application = application;
+        /** @type {?import('video-subtitle-layer').Options} */
+        this._options = null;
+        /** @type {SelectorObserver<import('video-subtitle-layer').VideoState>} */
+        this._selectorObserver = new SelectorObserver({
+            selector: 'video',
+            onAdded: this._onVideoAdded.bind(this),
+            onRemoved: this._onVideoRemoved.bind(this),
+        });
+        /** @type {Set<import('video-subtitle-layer').VideoState>} */
+        this._videoStates = new Set();
+        /** @type {WeakMap<Element, import('video-subtitle-layer').Cue>} */
+        this._cueElements = new WeakMap();
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {?HTMLVideoElement} */
+        this._pausedVideo = null;
+        /** @type {?Promise<void>} */
+        this._loadStylesheetPromise = null;
+    }
+
+    /**
+     * Updates the options and sets up the subtitle overlays again.
+     * @param {import('video-subtitle-layer').Options} options
+     */
+    setOptions(options) {
+        this._options = options;
+        this._refresh();
+    }
+
+    /**
+     * Gets the subtitle cue which a text source was scanned from.
+     * @param {import('text-source').TextSource} textSource
+     * @returns {?import('video-subtitle-layer').Cue} The cue, or `null` if the text source is not part of a subtitle.
+     */
+    getCue(textSource) {
+        if (!(textSource instanceof TextSourceRange)) { return null; }
+        const node = textSource.range.startContainer;
+        const element = (node instanceof Element ? node : node.parentElement);
+        if (element === null) { return null; }
+        const cueElement = element.closest('.yomitan-video-subtitle-cue');
+        if (cueElement === null) { return null; }
+        const cue = this._cueElements.get(cueElement);
+        return typeof cue !== 'undefined' ? cue : null;
+    }
+
+    /**
+     * Pauses a video, remembering it so that it can be resumed by `resumeVideo`.
+     * Videos which are already paused are left alone.
+     * @param {HTMLVideoElement} video
+     */
+    pauseVideo(video) {
+        if (video.paused) { return; }
+        video.pause();
+        this._pausedVideo = video;
+    }
+
+    /**
+     * Resumes the video which was paused by `pauseVideo`, if any.
+     */
+    resumeVideo() {
+        const video = this._pausedVideo;
+        if (video === null) { return; }
+        this._pausedVideo = null;
+        if (video.paused) {
+            void this._playVideo(video);
+        }
+    }
+
+    // Private
+
+    /** */
+    _refresh() {
+        this._stop();
+
+        const options = this._options;
+        if (options === null || !options.enabled || document.body === null) { return; }
+
+        void this._loadStylesheet();
+        const onLayoutChanged = this._updateOverlayPositions.bind(this);
+        addFullscreenChangeEventListener(this._onFullscreenChanged.bind(this), this._eventListeners);
+        this._eventListeners.addEventListener(window, 'resize', onLayoutChanged, false);
+        this._eventListeners.addEventListener(window, 'scroll', onLayoutChanged, {capture: true, passive: true});
+        this._selectorObserver.observe(document.documentElement);
+    }
+
+    /** */
+    _stop() {
+        this._eventListeners.removeAllEventListeners();
+        this._selectorObserver.disconnect();
+        this.resumeVideo();
+    }
+
+    /**
+     * @param {Element} element
+     * @returns {import('video-subtitle-layer').VideoState|undefined}
+     */
+    _onVideoAdded(element) {
+        if (!(element instanceof HTMLVideoElement)) { return void 0; }
+        const overlay = document.createElement('div');
+        overlay.className = 'yomitan-video-subtitles';
+        /** @type {import('video-subtitle-layer').VideoState} */
+        const state = {
+            video: element,
+            overlay,
+            hiddenTracks: new Set(),
+            eventListeners: new EventListenerCollection(),
+        };
+        const onTracksChanged = this._updateTracks.bind(this, state);
+        state.eventListeners.addEventListener(element.textTracks, 'addtrack', onTracksChanged, false);
+        state.eventListeners.addEventListener(element.textTracks, 'change', onTracksChanged, false);
+        state.eventListeners.addEventListener(element, 'loadedmetadata', this._render.bind(this, state), false);
+        this._videoStates.add(state);
+        this._updateTracks(state);
+        return state;
+    }
+
+    /**
+     * @param {Element} _element
+     * @param {import('video-subtitle-layer').VideoState} state
+     */
+    _onVideoRemoved(_element, state) {
+        const {video, overlay, hiddenTracks, eventListeners} = state;
+        eventListeners.removeAllEventListeners();
+        for (const track of hiddenTracks) {
+            if (track.mode === 'hidden') { track.mode = 'showing'; }
+        }
+        hiddenTracks.clear();
+        overlay.remove();
+        this._videoStates.delete(state);
+        if (this._pausedVideo === video) { this._pausedVideo = null; }
+    }
+
+    /** */
+    _onFullscreenChanged() {
+        for (const state of this._videoStates) {
+            this._updateTracks(state);
+        }
+    }
+
+    /**
+     * Switches natively displayed subtitle tracks to `'hidden'` so that the overlay can display them instead.
+     * When the video element itself is fullscreen, nothing can be displayed over it, so native display is restored.
+     * @param {import('video-subtitle-layer').VideoState} state
+     */
+    _updateTracks(state) {
+        const {video, hiddenTracks, eventListeners} = state;
+        const nativeDisplay = (getFullscreenElement() === video);
+        for (const track of video.textTracks) {
+            if (!(track.kind === 'subtitles' || track.kind === 'captions')) { continue; }
+            if (hiddenTracks.has(track)) {
+                if (nativeDisplay && track.mode === 'hidden') {
+                    track.mode = 'showing';
+                } else if (!nativeDisplay && track.mode === 'showing') {
+                    track.mode = 'hidden';
+                }
+            } else if (track.mode === 'showing' && !nativeDisplay) {
+                track.mode = 'hidden';
+                hiddenTracks.add(track);
+                eventListeners.addEventListener(track, 'cuechange', this._render.bind(this, state), false);
+            }
+        }
+        this._render(state);
+    }
+
+    /**
+     * @param {import('video-subtitle-layer').VideoState} state
+     */
+    _render(state) {
+        const {video, overlay, hiddenTracks} = state;
+        overlay.textContent = '';
+
+        const container = this._getOverlayContainer(video);
+        if (container === null) {
+            overlay.remove();
+            return;
+        }
+
+        for (const track of hiddenTracks) {
+            const {mode, activeCues} = track;
+            if (mode !== 'hidden' || activeCues === null) { continue; }
+            for (const cue of activeCues) {
+                const text = this._getCueText(cue);
+                if (text.length === 0) { continue; }
+                const {startTime, endTime} = cue;
+                const cueElement = document.createElement('div');
+                cueElement.className = 'yomitan-video-subtitle-cue';
+                cueElement.textContent = text;
+                this._cueElements.set(cueElement, {text, startTime, endTime, video});
+                overlay.appendChild(cueElement);
+            }
+        }
+
+        if (overlay.childNodes.length === 0) {
+            overlay.remove();
+            return;
+        }
+        if (overlay.parentNode !== container) {
+            container.appendChild(overlay);
+        }
+        this._updateOverlayPosition(state);
+    }
+
+    /** */
+    _updateOverlayPositions() {
+        for (const state of this._videoStates) {
+            if (state.overlay.parentNode === null) { continue; }
+            this._updateOverlayPosition(state);
+        }
+    }
+
+    /**
+     * @param {import('video-subtitle-layer').VideoState} state
+     */
+    _updateOverlayPosition({video, overlay}) {
+        const {left, top, width, height} = video.getBoundingClientRect();
+        const {style} = overlay;
+        style.left = `${left}px`;
+        style.top = `${top}px`;
+        style.width = `${width}px`;
+        style.height = `${height}px`;
+        style.fontSize = `${Math.max(12, Math.round(height * 0.05))}px`;
+    }
+
+    /**
+     * Gets the element which the overlay should be added to, so that it remains visible in fullscreen.
+     * @param {HTMLVideoElement} video
+     * @returns {?Element} The container, or `null` if the overlay cannot be displayed.
+     */
+    _getOverlayContainer(video) {
+        const fullscreenElement = getFullscreenElement();
+        if (fullscreenElement === null) { return document.body; }
+        if (fullscreenElement === video || !fullscreenElement.contains(video)) { return null; }
+        return fullscreenElement;
+    }
+
+    /**
+     * @param {TextTrackCue} cue
+     * @returns {string}
+     */
+    _getCueText(cue) {
+        const text = (
+            typeof VTTCue !== 'undefined' && cue instanceof VTTCue ?
+            cue.getCueAsHTML().textContent :
+            null
+        );
+        return typeof text === 'string' ? text.trim() : '';
+    }
+
+    /**
+     * @param {HTMLVideoElement} video
+     */
+    async _playVideo(video) {
+        try {
+            await video.play();
+        } catch (e) {
+            log.warn(e);
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    _loadStylesheet() {
+        if (this._loadStylesheetPromise === null) {
+            this._loadStylesheetPromise = this._loadStylesheetInternal();
+        }
+        return this._loadStylesheetPromise;
+    }
+
+    /** */
+    async _loadStylesheetInternal() {
+        try {
+            await loadStyle(this._application, 'yomitan-video-subtitles-stylesheet', 'file', '/css/video-subtitles.css', true);
+        } catch (e) {
+            log.error(e);
+        }
+    }
+}
@@ -0,0 +1,307 @@
+/*
+ * Copyright (C) 2023-2024  Yomitan Authors
+ * Copyright (C) 2022  Yomichan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+import {log} from '../core/log.js';
+import {DOMTextScanner} from '../dom/dom-text-scanner.js';
+import {createPageTextWalker, getBlockElement} from '../dom/page-text.js';
+import {loadStyle} from '../dom/style-util.js';
+
+/** @type {Map<import('word-status').Status, string>} */
+const highlightNames = new Map([
+    ['unknown', 'yomitan-word-unknown'],
+    ['learning', 'yomitan-word-learning'],
+]);
+
+/**
+ * The maximum number of characters of a line of text which are parsed.
+ */
+const maxLineLength = 500;
+
+/**
+ * This class highlights words on a web page based on their known word status.
+ * Text is split into lines, and each line is parsed using the internal parser once it becomes visible.
+ * Highlights are applied using the CSS Custom Highlight API, so the page's DOM is not modified.
+ */
+export class WordStatusHighlighter {
+    /**
+     * @param {import('../application.js').Application} application
+     */
+    constructor(application) {
+        /** @type {import('../application.js').Application} */
+        this._application = application;
+        /** @type {?import('word-status-highlighter').Options} */
+        this._options = null;
+        /** @type {Map<import('word-status').Status, Highlight>} */
+        this._highlights = new Map();
+        /** @type {?IntersectionObserver} */
+        this._intersectionObserver = null;
+        /** @type {?MutationObserver} */
+        this._mutationObserver = null;
+        /** @type {?import('core').Timeout} */
+        this._mutationTimer = null;
+        /** @type {Map<Element, Text[]>} */
+        this._pendingLines = new Map();
+        /** @type {WeakSet<Text>} */
+        this._lineStartNodes = new WeakSet();
+        /** @type {Text[]} */
+        this._queue = [];
+        /** @type {boolean} */
+        this._processing = false;
+        /** @type {?import('core').TokenObject} */
+        this._token = null;
+        /** @type {?Promise<void>} */
+        this._loadStylesheetPromise = null;
+    }
+
+    /**
+     * Checks whether the browser supports the CSS Custom Highlight API.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof CSS !== 'undefined' && typeof CSS.highlights !== 'undefined' && typeof Highlight !== 'undefined';
+    }
+
+    /**
+     * Prepares the instance for use.
+     */
+    prepare() {
+        this._application.on('databaseUpdated', this._onDatabaseUpdated.bind(this));
+    }
+
+    /**
+     * Updates the options and highlights the page again.
+     * @param {import('word-status-highlighter').Options} options
+     */
+    setOptions(options) {
+        this._options = options;
+        this._refresh();
+    }
+
+    // Private
+
+    /**
+     * @param {import('application').EventArgument<'databaseUpdated'>} details
+     */
+    _onDatabaseUpdated({type}) {
+        if (type !== 'wordStatus') { return; }
+        this._refresh();
+    }
+
+    /**
+     * @param {IntersectionObserverEntry[]} entries
+     */
+    _onIntersection(entries) {
+        for (const {target, isIntersecting} of entries) {
+            if (!isIntersecting) { continue; }
+            const textNodes = this._pendingLines.get(target);
+            if (typeof textNodes === 'undefined') { continue; }
+            this._pendingLines.delete(target);
+            /** @type {IntersectionObserver} */ (this._intersectionObserver).unobserve(target);
+            this._queue.push(...textNodes);
+        }
+        void this._processQueue();
+    }
+
+    /** */
+    _onMutation() {
+        if (this._mutationTimer !== null) { return; }
+        this._mutationTimer = setTimeout(() => {
+            this._mutationTimer = null;
+            this._collectLines();
+        }, 1000);
+    }
+
+    /** */
+    _refresh() {
+        this._stop();
+
+        const options = this._options;
+        if (
+            options === null ||
+            !options.enabled ||
+            !(options.highlightUnknownWords || options.highlightLearningWords) ||
+            !WordStatusHighlighter.isSupported() ||
+            document.body === null
+        ) {
+            return;
+        }
+
+        this._token = {};
+        void this._loadStylesheet();
+        if (options.highlightUnknownWords) { this._addHighlight('unknown'); }
+        if (options.highlightLearningWords) { this._addHighlight('learning'); }
+
+        this._intersectionObserver = new IntersectionObserver(this._onIntersection.bind(this), {rootMargin: '50%'});
+        this._mutationObserver = new MutationObserver(this._onMutation.bind(this));
+        this._mutationObserver.observe(document.body, {childList: true, subtree: true});
+        this._collectLines();
+    }
+
+    /** */
+    _stop() {
+        this._token = null;
+        if (this._intersectionObserver !== null) {
+            this._intersectionObserver.disconnect();
+            this._intersectionObserver = null;
+        }
+        if (this._mutationObserver !== null) {
+            this._mutationObserver.disconnect();
+            this._mutationObserver = null;
+        }
+        if (this._mutationTimer !== null) {
+            clearTimeout(this._mutationTimer);
+            this._mutationTimer = null;
+        }
+        for (const status of this._highlights.keys()) {
+            const name = highlightNames.get(status);
+            if (typeof name !== 'undefined') { CSS.highlights.delete(name); }
+        }
+        this._highlights.clear();
+        this._pendingLines.clear();
+        this._lineStartNodes = new WeakSet();
+        this._queue = [];
+    }
+
+    /**
+     * @param {import('word-status').Status} status
+     */
+    _addHighlight(status) {
+        const name = highlightNames.get(status);
+        if (typeof name === 'undefined') { return; }
+        const highlight = new Highlight();
+        this._highlights.set(status, highlight);
+        CSS.highlights.set(name, highlight);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    _loadStylesheet() {
+        if (this._loadStylesheetPromise === null) {
+            this._loadStylesheetPromise = this._loadStylesheetInternal();
+        }
+        return this._loadStylesheetPromise;
+    }
+
+    /** */
+    async _loadStylesheetInternal() {
+        try {
+            await loadStyle(this._application, 'yomitan-word-status-stylesheet', 'file', '/css/word-status.css', true);
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * Finds the text nodes which start a line of text, and observes their parent elements
+     * so that the lines are highlighted once they become visible.
+     */
+    _collectLines() {
+        const intersectionObserver = this._intersectionObserver;
+        const body = document.body;
+        if (intersectionObserver === null || body === null) { return; }
+
+        const walker = createPageTextWalker(body, []);
+        /** @type {Map<Element, Element>} */
+        const blockElementCache = new Map();
+        /** @type {?Element} */
+        let previousBlockElement = null;
+        let lineBreak = true;
+        for (let node = walker.nextNode(); node !== null; node = walker.nextNode()) {
+            if (node.nodeType !== Node.TEXT_NODE) {
+                if (node.nodeName.toUpperCase() === 'BR') { lineBreak = true; }
+                continue;
+            }
+
+            const textNode = /** @type {Text} */ (node);
+            const parentElement = textNode.parentElement;
+            if (parentElement === null || /** @type {string} */ (textNode.nodeValue).trim().length === 0) { continue; }
+
+            const blockElement = getBlockElement(parentElement, blockElementCache);
+            if (blockElement === previousBlockElement && !lineBreak) { continue; }
+            previousBlockElement = blockElement;
+            lineBreak = false;
+
+            if (this._lineStartNodes.has(textNode)) { continue; }
+            this._lineStartNodes.add(textNode);
+            const textNodes = this._pendingLines.get(parentElement);
+            if (typeof textNodes !== 'undefined') {
+                textNodes.push(textNode);
+            } else {
+                this._pendingLines.set(parentElement, [textNode]);
+                intersectionObserver.observe(parentElement);
+            }
+        }
+    }
+
+    /** */
+    async _processQueue() {
+        if (this._processing) { return; }
+        this._processing = true;
+        try {
+            while (this._queue.length > 0) {
+                const textNode = /** @type {Text} */ (this._queue.shift());
+                const token = this._token;
+                if (token === null) { break; }
+                try {
+                    await this._highlightLine(textNode, token);
+                } catch (e) {
+                    log.error(e);
+                }
+            }
+        } finally {
+            this._processing = false;
+        }
+    }
+
+    /**
+     * Parses the line of text starting at a text node and highlights its words.
+     * @param {Text} textNode
+     * @param {import('core').TokenObject} token
+     */
+    async _highlightLine(textNode, token) {
+        const options = this._options;
+        if (options === null || !textNode.isConnected) { return; }
+
+        let text = new DOMTextScanner(textNode, 0).seek(maxLineLength).content;
+        const newlineIndex = text.indexOf('\n');
+        if (newlineIndex >= 0) { text = text.substring(0, newlineIndex); }
+        if (text.trim().length === 0) { return; }
+
+        const tokens = await this._application.api.getTextWordStatuses(text, options.optionsContext, options.scanLength);
+        if (this._token !== token) { return; }
+
+        const scanner = new DOMTextScanner(textNode, 0);
+        let offset = 0;
+        for (const {text: tokenText, status} of tokens) {
+            const highlight = status !== null ? this._highlights.get(status) : void 0;
+            if (typeof highlight !== 'undefined') {
+                scanner.seek(offset - scanner.content.length);
+                const {node: startNode, offset: startOffset} = scanner;
+                scanner.seek(tokenText.length);
+                const {node: endNode, offset: endOffset} = scanner;
+                if (startNode.nodeType === Node.TEXT_NODE && endNode.nodeType === Node.TEXT_NODE) {
+                    const range = document.createRange();
+                    range.setStart(startNode, startOffset);
+                    range.setEnd(endNode, endOffset);
+                    highlight.add(range);
+                }
+            }
+            offset += tokenText.length;
+        }
+    }
+}
@@ -27,20 +27,31 @@ import {fetchText} from '../core/fetch-utilities.js';
 import {logErrorLevelToNumber} from '../core/log-utilities.js';
 import {log} from '../core/log.js';
 import {isObjectNotArray} from '../core/object-utilities.js';
+import {toError} from '../core/to-error.js';
 import {clone, deferPromise, promiseTimeout} from '../core/utilities.js';
+import {AnkiOfflineQueue} from '../data/anki-offline-queue.js';
 import {INVALID_NOTE_ID, isNoteDataValid} from '../data/anki-util.js';
-import {arrayBufferToBase64} from '../data/array-buffer-util.js';
+import {arrayBufferToBase64, base64ToArrayBuffer} from '../data/array-buffer-util.js';
 import {OptionsUtil} from '../data/options-util.js';
 import {getAllPermissions, hasPermissions, hasRequiredPermissionsForOptions} from '../data/permissions-util.js';
+import {UserDataDatabase} from '../data/user-data-database.js';
+import {WordStatusStore} from '../data/word-status-store.js';
 import {DictionaryDatabase} from '../dictionary/dictionary-database.js';
+import {DictionaryUpdater, getDictionaryUpdate} from '../dictionary/dictionary-updater.js';
+import {DictionaryWorker} from '../dictionary/dictionary-worker.js';
+import {PersonalDictionary, personalDictionaryTitle} from '../dictionary/personal-dictionary.js';
 import {Environment} from '../extension/environment.js';
 import {ObjectPropertyAccessor} from '../general/object-property-accessor.js';
+import {getComprehensionStatistics} from '../language/comprehension-statistics.js';
 import {distributeFuriganaInflected, isCodePointJapanese, convertKatakanaToHiragana as jpConvertKatakanaToHiragana} from '../language/ja/japanese.js';
 import {getLanguageSummaries, isTextLookupWorthy} from '../language/languages.js';
 import {Translator} from '../language/translator.js';
+import {isWordSegmentedLanguage} from '../language/word-segmenter.js';
+import {AudioClipEncoder} from '../media/audio-clip-encoder.js';
 import {AudioDownloader} from '../media/audio-downloader.js';
+import {ImageTextRecognizer} from '../media/image-text-recognizer.js';
 import {getFileExtensionFromAudioMediaType, getFileExtensionFromImageMediaType} from '../media/media-util.js';
-import {ClipboardReaderProxy, DictionaryDatabaseProxy, OffscreenProxy, TranslatorProxy} from './offscreen-proxy.js';
+import {AudioClipEncoderProxy, ClipboardReaderProxy, DictionaryDatabaseProxy, DictionaryUpdaterProxy, ImageTextRecognizerProxy, OffscreenProxy, PersonalDictionaryProxy, TranslatorProxy} from './offscreen-proxy.js';
 import {createSchema, normalizeContext} from './profile-conditions-util.js';
 import {RequestBuilder} from './request-builder.js';
 import {injectStylesheet} from './script-manager.js';
@@ -64,10 +75,15 @@ export class Backend {
         this._mecab = new Mecab();
 
         if (!chrome.offscreen) {
+            const dictionaryDatabase = new DictionaryDatabase();
             /** @type {?OffscreenProxy} */
             this._offscreen = null;
             /** @type {DictionaryDatabase|DictionaryDatabaseProxy} */
-            this._dictionaryDatabase = new DictionaryDatabase();
+            this._dictionaryDatabase = dictionaryDatabase;
+            /** @type {DictionaryUpdater|DictionaryUpdaterProxy} */
+            this._dictionaryUpdater = new DictionaryUpdater(new DictionaryWorker());
+            /** @type {PersonalDictionary|PersonalDictionaryProxy} */
+            this._personalDictionary = new PersonalDictionary(dictionaryDatabase);
             /** @type {Translator|TranslatorProxy} */
             this._translator = new Translator(this._dictionaryDatabase);
             /** @type {ClipboardReader|ClipboardReaderProxy} */
@@ -77,17 +93,35 @@ export class Backend {
                 '#clipboard-paste-target',
                 '#clipboard-rich-content-paste-target',
             );
+            /** @type {AudioClipEncoder|AudioClipEncoderProxy} */
+            this._audioClipEncoder = new AudioClipEncoder();
+            /** @type {ImageTextRecognizer|ImageTextRecognizerProxy} */
+            this._imageTextRecognizer = new ImageTextRecognizer();
         } else {
             /** @type {?OffscreenProxy} */
             this._offscreen = new OffscreenProxy(webExtension);
             /** @type {DictionaryDatabase|DictionaryDatabaseProxy} */
             this._dictionaryDatabase = new DictionaryDatabaseProxy(this._offscreen);
+            /** @type {DictionaryUpdater|DictionaryUpdaterProxy} */
+            this._dictionaryUpdater = new DictionaryUpdaterProxy(this._offscreen);
+            /** @type {PersonalDictionary|PersonalDictionaryProxy} */
+            this._personalDictionary = new PersonalDictionaryProxy(this._offscreen);
             /** @type {Translator|TranslatorProxy} */
             this._translator = new TranslatorProxy(this._offscreen);
             /** @type {ClipboardReader|ClipboardReaderProxy} */
             this._clipboardReader = new ClipboardReaderProxy(this._offscreen);
-        }
-
+            /** @type {AudioClipEncoder|AudioClipEncoderProxy} */
+            this._audioClipEncoder = new AudioClipEncoderProxy(this._offscreen);
+            /** @type {ImageTextRecognizer|ImageTextRecognizerProxy} */
+            this._imageTextRecognizer = new ImageTextRecognizerProxy(this._offscreen);
+        }
+
+        /** @type {UserDataDatabase} */
+        this._userDataDatabase = new UserDataDatabase();
+        /** @type {AnkiOfflineQueue} */
+        this._ankiOfflineQueue = new AnkiOfflineQueue(this._userDataDatabase, this._anki);
+        /** @type {WordStatusStore} */
+        this._wordStatusStore = new WordStatusStore(this._userDataDatabase, this._anki);
         /** @type {ClipboardMonitor} */
         this._clipboardMonitor = new ClipboardMonitor(this._clipboardReader);
         /** @type {?import('settings').Options} */
@@ -102,6 +136,11 @@ export class Backend {
         this._defaultAnkiFieldTemplates = null;
         /** @type {RequestBuilder} */
         this._requestBuilder = new RequestBuilder();
+        /**
+         * The ID of the session rule which redirects PDF links, chosen so that it is never used by the request builder.
+         * @type {number}
+         */
+        this._pdfViewerRedirectRuleId = 0x7fffffff;
         /** @type {AudioDownloader} */
         this._audioDownloader = new AudioDownloader(this._requestBuilder);
         /** @type {OptionsUtil} */
@@ -139,53 +178,77 @@ export class Backend {
         this._permissions = null;
         /** @type {Map<string, (() => void)[]>} */
         this._applicationReadyHandlers = new Map();
+        /** @type {import('dictionary-updater').DictionaryUpdate[]} */
+        this._dictionaryUpdates = [];
+        /** @type {boolean} */
+        this._checkingDictionaryUpdates = false;
 
         /* eslint-disable @stylistic/no-multi-spaces */
         /** @type {import('api').ApiMap} */
         this._apiMap = createApiMap([
-            ['applicationReady',             this._onApiApplicationReady.bind(this)],
-            ['requestBackendReadySignal',    this._onApiRequestBackendReadySignal.bind(this)],
-            ['optionsGet',                   this._onApiOptionsGet.bind(this)],
-            ['optionsGetFull',               this._onApiOptionsGetFull.bind(this)],
-            ['kanjiFind',                    this._onApiKanjiFind.bind(this)],
-            ['termsFind',                    this._onApiTermsFind.bind(this)],
-            ['parseText',                    this._onApiParseText.bind(this)],
-            ['getAnkiConnectVersion',        this._onApiGetAnkiConnectVersion.bind(this)],
-            ['isAnkiConnected',              this._onApiIsAnkiConnected.bind(this)],
-            ['addAnkiNote',                  this._onApiAddAnkiNote.bind(this)],
-            ['updateAnkiNote',               this._onApiUpdateAnkiNote.bind(this)],
-            ['getAnkiNoteInfo',              this._onApiGetAnkiNoteInfo.bind(this)],
-            ['injectAnkiNoteMedia',          this._onApiInjectAnkiNoteMedia.bind(this)],
-            ['viewNotes',                    this._onApiViewNotes.bind(this)],
-            ['suspendAnkiCardsForNote',      this._onApiSuspendAnkiCardsForNote.bind(this)],
-            ['commandExec',                  this._onApiCommandExec.bind(this)],
-            ['getTermAudioInfoList',         this._onApiGetTermAudioInfoList.bind(this)],
-            ['sendMessageToFrame',           this._onApiSendMessageToFrame.bind(this)],
-            ['broadcastTab',                 this._onApiBroadcastTab.bind(this)],
-            ['frameInformationGet',          this._onApiFrameInformationGet.bind(this)],
-            ['injectStylesheet',             this._onApiInjectStylesheet.bind(this)],
-            ['getStylesheetContent',         this._onApiGetStylesheetContent.bind(this)],
-            ['getEnvironmentInfo',           this._onApiGetEnvironmentInfo.bind(this)],
-            ['clipboardGet',                 this._onApiClipboardGet.bind(this)],
-            ['getZoom',                      this._onApiGetZoom.bind(this)],
-            ['getDefaultAnkiFieldTemplates', this._onApiGetDefaultAnkiFieldTemplates.bind(this)],
-            ['getDictionaryInfo',            this._onApiGetDictionaryInfo.bind(this)],
-            ['purgeDatabase',                this._onApiPurgeDatabase.bind(this)],
-            ['getMedia',                     this._onApiGetMedia.bind(this)],
-            ['logGenericErrorBackend',       this._onApiLogGenericErrorBackend.bind(this)],
-            ['logIndicatorClear',            this._onApiLogIndicatorClear.bind(this)],
-            ['modifySettings',               this._onApiModifySettings.bind(this)],
-            ['getSettings',                  this._onApiGetSettings.bind(this)],
-            ['setAllSettings',               this._onApiSetAllSettings.bind(this)],
-            ['getOrCreateSearchPopup',       this._onApiGetOrCreateSearchPopup.bind(this)],
-            ['isTabSearchPopup',             this._onApiIsTabSearchPopup.bind(this)],
-            ['triggerDatabaseUpdated',       this._onApiTriggerDatabaseUpdated.bind(this)],
-            ['testMecab',                    this._onApiTestMecab.bind(this)],
-            ['isTextLookupWorthy',           this._onApiIsTextLookupWorthy.bind(this)],
-            ['getTermFrequencies',           this._onApiGetTermFrequencies.bind(this)],
-            ['findAnkiNotes',                this._onApiFindAnkiNotes.bind(this)],
-            ['openCrossFramePort',           this._onApiOpenCrossFramePort.bind(this)],
-            ['getLanguageSummaries',         this._onApiGetLanguageSummaries.bind(this)],
+            ['applicationReady',              this._onApiApplicationReady.bind(this)],
+            ['requestBackendReadySignal',     this._onApiRequestBackendReadySignal.bind(this)],
+            ['optionsGet',                    this._onApiOptionsGet.bind(this)],
+            ['optionsGetFull',                this._onApiOptionsGetFull.bind(this)],
+            ['kanjiFind',                     this._onApiKanjiFind.bind(this)],
+            ['termsFind',                     this._onApiTermsFind.bind(this)],
+            ['parseText',                     this._onApiParseText.bind(this)],
+            ['getTextWordStatuses',           this._onApiGetTextWordStatuses.bind(this)],
+            ['setWordStatus',                 this._onApiSetWordStatus.bind(this)],
+            ['getWordStatusCounts',           this._onApiGetWordStatusCounts.bind(this)],
+            ['importWordStatusesFromAnki',    this._onApiImportWordStatusesFromAnki.bind(this)],
+            ['clearWordStatuses',             this._onApiClearWordStatuses.bind(this)],
+            ['getComprehensionStatistics',    this._onApiGetComprehensionStatistics.bind(this)],
+            ['getTabComprehensionStatistics', this._onApiGetTabComprehensionStatistics.bind(this)],
+            ['getAnkiConnectVersion',         this._onApiGetAnkiConnectVersion.bind(this)],
+            ['isAnkiConnected',               this._onApiIsAnkiConnected.bind(this)],
+            ['addAnkiNote',                   this._onApiAddAnkiNote.bind(this)],
+            ['updateAnkiNote',                this._onApiUpdateAnkiNote.bind(this)],
+            ['getAnkiNoteInfo',               this._onApiGetAnkiNoteInfo.bind(this)],
+            ['injectAnkiNoteMedia',           this._onApiInjectAnkiNoteMedia.bind(this)],
+            ['addAnkiNoteOffline',            this._onApiAddAnkiNoteOffline.bind(this)],
+            ['getAnkiOfflineQueue',           this._onApiGetAnkiOfflineQueue.bind(this)],
+            ['getAnkiOfflineMedia',           this._onApiGetAnkiOfflineMedia.bind(this)],
+            ['syncAnkiOfflineQueue',          this._onApiSyncAnkiOfflineQueue.bind(this)],
+            ['clearAnkiOfflineQueue',         this._onApiClearAnkiOfflineQueue.bind(this)],
+            ['viewNotes',                     this._onApiViewNotes.bind(this)],
+            ['suspendAnkiCardsForNote',       this._onApiSuspendAnkiCardsForNote.bind(this)],
+            ['commandExec',                   this._onApiCommandExec.bind(this)],
+            ['getTermAudioInfoList',          this._onApiGetTermAudioInfoList.bind(this)],
+            ['sendMessageToFrame',            this._onApiSendMessageToFrame.bind(this)],
+            ['broadcastTab',                  this._onApiBroadcastTab.bind(this)],
+            ['frameInformationGet',           this._onApiFrameInformationGet.bind(this)],
+            ['injectStylesheet',              this._onApiInjectStylesheet.bind(this)],
+            ['getStylesheetContent',          this._onApiGetStylesheetContent.bind(this)],
+            ['getEnvironmentInfo',            this._onApiGetEnvironmentInfo.bind(this)],
+            ['clipboardGet',                  this._onApiClipboardGet.bind(this)],
+            ['getZoom',                       this._onApiGetZoom.bind(this)],
+            ['getDefaultAnkiFieldTemplates',  this._onApiGetDefaultAnkiFieldTemplates.bind(this)],
+            ['getDictionaryInfo',             this._onApiGetDictionaryInfo.bind(this)],
+            ['purgeDatabase',                 this._onApiPurgeDatabase.bind(this)],
+            ['getDictionaryUpdates',          this._onApiGetDictionaryUpdates.bind(this)],
+            ['updateDictionary',              this._onApiUpdateDictionary.bind(this)],
+            ['getPersonalDictionaryEntry',    this._onApiGetPersonalDictionaryEntry.bind(this)],
+            ['setPersonalDictionaryEntry',    this._onApiSetPersonalDictionaryEntry.bind(this)],
+            ['deletePersonalDictionaryEntry', this._onApiDeletePersonalDictionaryEntry.bind(this)],
+            ['getMedia',                      this._onApiGetMedia.bind(this)],
+            ['getLookupHistory',              this._onApiGetLookupHistory.bind(this)],
+            ['clearLookupHistory',            this._onApiClearLookupHistory.bind(this)],
+            ['logGenericErrorBackend',        this._onApiLogGenericErrorBackend.bind(this)],
+            ['logIndicatorClear',             this._onApiLogIndicatorClear.bind(this)],
+            ['modifySettings',                this._onApiModifySettings.bind(this)],
+            ['getSettings',                   this._onApiGetSettings.bind(this)],
+            ['setAllSettings',                this._onApiSetAllSettings.bind(this)],
+            ['getOrCreateSearchPopup',        this._onApiGetOrCreateSearchPopup.bind(this)],
+            ['isTabSearchPopup',              this._onApiIsTabSearchPopup.bind(this)],
+            ['triggerDatabaseUpdated',        this._onApiTriggerDatabaseUpdated.bind(this)],
+            ['testMecab',                     this._onApiTestMecab.bind(this)],
+            ['isTextLookupWorthy',            this._onApiIsTextLookupWorthy.bind(this)],
+            ['getTermFrequencies',            this._onApiGetTermFrequencies.bind(this)],
+            ['findAnkiNotes',                 this._onApiFindAnkiNotes.bind(this)],
+            ['openCrossFramePort',            this._onApiOpenCrossFramePort.bind(this)],
+            ['getLanguageSummaries',          this._onApiGetLanguageSummaries.bind(this)],
+            ['recognizeImageRegion',          this._onApiRecognizeImageRegion.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
 
@@ -248,6 +311,11 @@ export class Backend {
         }
 
         chrome.runtime.onInstalled.addListener(this._onInstalled.bind(this));
+
+        if (isObjectNotArray(chrome.alarms)) {
+            const onAlarm = this._onWebExtensionEventWrapper(this._onAlarm.bind(this));
+            chrome.alarms.onAlarm.addListener(onAlarm);
+        }
     }
 
     /**
@@ -280,13 +348,21 @@ export class Backend {
                 log.error(e);
             }
 
+            try {
+                await this._userDataDatabase.prepare();
+            } catch (e) {
+                log.error(e);
+            }
+
             void this._translator.prepare();
 
             await this._optionsUtil.prepare();
             this._defaultAnkiFieldTemplates = (await fetchText('/data/templates/default-anki-field-templates.handlebars')).trim();
             this._options = await this._optionsUtil.load();
+            await this._loadDictionaryUpdates();
 
             this._applyOptions('background');
+            await this._preparePersonalDictionary();
 
             const options = this._getProfileOptions({current: true}, false);
             if (options.general.showGuide) {
@@ -431,6 +507,14 @@ export class Backend {
         void this._requestPersistentStorage();
     }
 
+    /**
+     * @param {chrome.alarms.Alarm} alarm
+     */
+    _onAlarm({name}) {
+        if (name !== 'dictionaryUpdateCheck') { return; }
+        void this._checkForDictionaryUpdates();
+    }
+
     // Message handlers
 
     /** @type {import('api').ApiHandler<'applicationReady'>} */
@@ -490,9 +574,16 @@ export class Backend {
         const options = this._getProfileOptions(optionsContext, false);
         const {general: {resultOutputMode: mode, maxResults}} = options;
         const findTermsOptions = this._getTranslatorFindTermsOptions(mode, details, options);
-        const {dictionaryEntries, originalTextLength} = await this._translator.findTerms(mode, text, findTermsOptions);
-        dictionaryEntries.splice(maxResults);
-        return {dictionaryEntries, originalTextLength};
+        const result = await this._translator.findTerms(mode, text, findTermsOptions);
+        const {dictionaryEntries} = result;
+        // Pages of pattern search results are kept whole, since the next page starts after the last of their entries
+        if (typeof details.pattern !== 'object') {
+            dictionaryEntries.splice(maxResults);
+        }
+        if (typeof details.history === 'object' && options.general.enableLookupHistory && dictionaryEntries.length > 0) {
+            void this._addLookupHistoryEntry(dictionaryEntries[0], details.history, optionsContext);
+        }
+        return result;
     }
 
     /** @type {import('api').ApiHandler<'parseText'>} */
@@ -528,6 +619,85 @@ export class Backend {
         return results;
     }
 
+    /** @type {import('api').ApiHandler<'getTextWordStatuses'>} */
+    async _onApiGetTextWordStatuses({text, optionsContext, scanLength}) {
+        const segments = await this._getScanningParseSegments(text, scanLength, optionsContext);
+        /** @type {string[]} */
+        const terms = [];
+        for (const {headword} of segments) {
+            if (headword !== null) { terms.push(headword.term); }
+        }
+        const statuses = await this._wordStatusStore.getStatuses(terms);
+        return segments.map(({text: segmentText, headword}) => {
+            if (headword === null) {
+                return {text: segmentText, term: null, status: null};
+            }
+            const {term} = headword;
+            return {text: segmentText, term, status: statuses.get(term) ?? 'unknown'};
+        });
+    }
+
+    /** @type {import('api').ApiHandler<'setWordStatus'>} */
+    async _onApiSetWordStatus({term, status}) {
+        await this._wordStatusStore.setStatus(term, status);
+        this._triggerDatabaseUpdated('wordStatus', 'edit');
+    }
+
+    /** @type {import('api').ApiHandler<'getWordStatusCounts'>} */
+    async _onApiGetWordStatusCounts() {
+        return await this._wordStatusStore.getCounts();
+    }
+
+    /** @type {import('api').ApiHandler<'importWordStatusesFromAnki'>} */
+    async _onApiImportWordStatusesFromAnki({optionsContext}) {
+        const {wordStatus: {ankiKnownQuery, ankiLearningQuery, ankiField}} = this._getProfileOptions(optionsContext, false);
+        const result = await this._wordStatusStore.importFromAnki({
+            knownQuery: ankiKnownQuery,
+            learningQuery: ankiLearningQuery,
+            field: ankiField,
+        });
+        this._triggerDatabaseUpdated('wordStatus', 'import');
+        return result;
+    }
+
+    /** @type {import('api').ApiHandler<'clearWordStatuses'>} */
+    async _onApiClearWordStatuses() {
+        await this._wordStatusStore.clear();
+        this._triggerDatabaseUpdated('wordStatus', 'delete');
+    }
+
+    /** @type {import('api').ApiHandler<'getComprehensionStatistics'>} */
+    async _onApiGetComprehensionStatistics({text, optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        const segments = await this._getScanningParseSegments(text, options.scanning.length, optionsContext);
+        /** @type {import('translator').TermReadingList} */
+        const termReadingList = [];
+        for (const {headword} of segments) {
+            if (headword !== null) { termReadingList.push(headword); }
+        }
+
+        const [statuses, frequencyRanks] = await Promise.all([
+            this._wordStatusStore.getStatuses(termReadingList.map(({term}) => term)),
+            this._getFrequencyRanks(termReadingList, options),
+        ]);
+        /** @type {import('comprehension-statistics').Word[]} */
+        const words = termReadingList.map(({term, reading}) => ({term, reading: reading ?? '', status: statuses.get(term) ?? 'unknown'}));
+        return getComprehensionStatistics(words, frequencyRanks, 20);
+    }
+
+    /** @type {import('api').ApiHandler<'getTabComprehensionStatistics'>} */
+    async _onApiGetTabComprehensionStatistics() {
+        const tab = await this._getActiveTab();
+        if (typeof tab === 'undefined' || typeof tab.id !== 'number') {
+            throw new Error('No active tab');
+        }
+        return await this._sendMessageTabPromise(
+            tab.id,
+            {action: 'frontendGetPageStatistics'},
+            {frameId: 0},
+        );
+    }
+
     /** @type {import('api').ApiHandler<'getAnkiConnectVersion'>} */
     async _onApiGetAnkiConnectVersion() {
         return await this._anki.getVersion();
@@ -629,18 +799,44 @@ export class Backend {
     }
 
     /** @type {import('api').ApiHandler<'injectAnkiNoteMedia'>} */
-    async _onApiInjectAnkiNoteMedia({timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails}) {
+    async _onApiInjectAnkiNoteMedia({timestamp, definitionDetails, audioDetails, screenshotDetails, sentenceAudioDetails, clipboardDetails, dictionaryMediaDetails, offline}) {
         return await this._injectAnkNoteMedia(
-            this._anki,
+            offline ? this._ankiOfflineQueue : this._anki,
             timestamp,
             definitionDetails,
             audioDetails,
             screenshotDetails,
+            sentenceAudioDetails,
             clipboardDetails,
             dictionaryMediaDetails,
         );
     }
 
+    /** @type {import('api').ApiHandler<'addAnkiNoteOffline'>} */
+    async _onApiAddAnkiNoteOffline({note}) {
+        await this._ankiOfflineQueue.addNote(note);
+    }
+
+    /** @type {import('api').ApiHandler<'getAnkiOfflineQueue'>} */
+    async _onApiGetAnkiOfflineQueue() {
+        return await this._ankiOfflineQueue.getNotes();
+    }
+
+    /** @type {import('api').ApiHandler<'getAnkiOfflineMedia'>} */
+    async _onApiGetAnkiOfflineMedia({fileNames}) {
+        return await this._ankiOfflineQueue.getMedia(fileNames);
+    }
+
+    /** @type {import('api').ApiHandler<'syncAnkiOfflineQueue'>} */
+    async _onApiSyncAnkiOfflineQueue() {
+        return await this._ankiOfflineQueue.sync();
+    }
+
+    /** @type {import('api').ApiHandler<'clearAnkiOfflineQueue'>} */
+    async _onApiClearAnkiOfflineQueue() {
+        await this._ankiOfflineQueue.clear();
+    }
+
     /** @type {import('api').ApiHandler<'viewNotes'>} */
     async _onApiViewNotes({noteIds, mode, allowFallback}) {
         if (noteIds.length === 1 && mode === 'edit') {
@@ -790,11 +986,53 @@ export class Backend {
         this._triggerDatabaseUpdated('dictionary', 'purge');
     }
 
+    /** @type {import('api').ApiHandler<'getDictionaryUpdates'>} */
+    _onApiGetDictionaryUpdates() {
+        return this._dictionaryUpdates;
+    }
+
+    /** @type {import('api').ApiHandler<'updateDictionary'>} */
+    async _onApiUpdateDictionary({title, downloadUrl}) {
+        return await this._updateDictionary(title, downloadUrl);
+    }
+
+    /** @type {import('api').ApiHandler<'getPersonalDictionaryEntry'>} */
+    async _onApiGetPersonalDictionaryEntry({id}) {
+        return await this._personalDictionary.getEntry(id);
+    }
+
+    /** @type {import('api').ApiHandler<'setPersonalDictionaryEntry'>} */
+    async _onApiSetPersonalDictionaryEntry({id, entry}) {
+        const {prefixWildcardsSupported, glossarySearchSupported} = this._getOptionsFull(false).global.database;
+        const result = await this._personalDictionary.setEntry(id, entry, {prefixWildcardsSupported, glossarySearchSupported});
+        if (result.dictionaryCreated && this._addPersonalDictionarySettings()) {
+            await this._saveOptions('background');
+        }
+        this._triggerDatabaseUpdated('dictionary', result.dictionaryCreated ? 'import' : 'edit');
+        return result.id;
+    }
+
+    /** @type {import('api').ApiHandler<'deletePersonalDictionaryEntry'>} */
+    async _onApiDeletePersonalDictionaryEntry({id}) {
+        await this._personalDictionary.deleteEntry(id);
+        this._triggerDatabaseUpdated('dictionary', 'edit');
+    }
+
     /** @type {import('api').ApiHandler<'getMedia'>} */
     async _onApiGetMedia({targets}) {
         return await this._getNormalizedDictionaryDatabaseMedia(targets);
     }
 
+    /** @type {import('api').ApiHandler<'getLookupHistory'>} */
+    async _onApiGetLookupHistory({filter}) {
+        return await this._userDataDatabase.getLookupHistory(filter);
+    }
+
+    /** @type {import('api').ApiHandler<'clearLookupHistory'>} */
+    async _onApiClearLookupHistory() {
+        await this._userDataDatabase.clearLookupHistory();
+    }
+
     /** @type {import('api').ApiHandler<'logGenericErrorBackend'>} */
     _onApiLogGenericErrorBackend({error, level, context}) {
         log.logGenericError(ExtensionError.deserialize(error), level, context);
@@ -970,6 +1208,33 @@ export class Backend {
         return getLanguageSummaries();
     }
 
+    /** @type {import('api').ApiHandler<'recognizeImageRegion'>} */
+    async _onApiRecognizeImageRegion({region, viewportWidth, optionsContext}, sender) {
+        const {frameId, tab} = sender;
+        if (typeof tab !== 'object' || tab === null || typeof tab.id !== 'number' || typeof frameId !== 'number') { throw new Error('Invalid tab'); }
+
+        const {general: {language}} = this._getProfileOptions(optionsContext, false);
+        const screenshot = await this._getScreenshot(tab.id, frameId, 'png', 100);
+        const image = await this._cropImage(screenshot, region, viewportWidth);
+        const text = await this._imageTextRecognizer.recognize(image, language);
+        if (text.length === 0) { return text; }
+
+        const {tab: searchTab} = await this._getOrCreateSearchPopupWrapper();
+        await this._focusTab(searchTab);
+        const {id: searchTabId} = searchTab;
+        if (typeof searchTabId === 'number') {
+            await this._sendMessageTabPromise(
+                searchTabId,
+                {
+                    action: 'searchDisplayControllerShowRecognizedText',
+                    params: {text, image, url: typeof tab.url === 'string' ? tab.url : '', documentTitle: typeof tab.title === 'string' ? tab.title : ''},
+                },
+                {frameId: 0},
+            );
+        }
+        return text;
+    }
+
     // Command handlers
 
     /**
@@ -1329,11 +1594,217 @@ export class Backend {
             log.error(e);
         }
 
-        void this._accessibilityController.update(this._getOptionsFull(false));
+        void this._updatePdfViewerRedirect(options.general.openPdfLinksInViewer && enabled);
+
+        const optionsFull = this._getOptionsFull(false);
+        void this._accessibilityController.update(optionsFull);
+        void this._updateDictionaryUpdateCheckAlarm(optionsFull.global.dictionaryUpdates);
 
         this._sendMessageAllTabsIgnoreResponse({action: 'applicationOptionsUpdated', params: {source}});
     }
 
+    /**
+     * Creates, recreates, or removes the alarm used for periodic dictionary update checks.
+     * @param {import('settings').GlobalDictionaryUpdatesOptions} dictionaryUpdatesOptions
+     */
+    async _updateDictionaryUpdateCheckAlarm({checkAutomatically, checkInterval}) {
+        if (!isObjectNotArray(chrome.alarms)) { return; }
+        const name = 'dictionaryUpdateCheck';
+        try {
+            if (!checkAutomatically) {
+                await chrome.alarms.clear(name);
+                return;
+            }
+            const periodInMinutes = checkInterval * 60;
+            const alarm = await chrome.alarms.get(name);
+            if (typeof alarm !== 'undefined' && alarm.periodInMinutes === periodInMinutes) { return; }
+            await chrome.alarms.create(name, {delayInMinutes: 1, periodInMinutes});
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * Adds or removes the session rule which redirects links to PDF files to the PDF viewer page.
+     * @param {boolean} enabled
+     */
+    async _updatePdfViewerRedirect(enabled) {
+        if (!isObjectNotArray(chrome.declarativeNetRequest)) { return; }
+        const id = this._pdfViewerRedirectRuleId;
+        /** @type {chrome.declarativeNetRequest.Rule[]} */
+        const addRules = [];
+        if (enabled) {
+            addRules.push({
+                id,
+                priority: 1,
+                condition: {
+                    regexFilter: '^https?://[^?#]*\\.pdf([?#].*)?$',
+                    isUrlFilterCaseSensitive: false,
+                    resourceTypes: [
+                        /** @type {chrome.declarativeNetRequest.ResourceType} */ ('main_frame'),
+                    ],
+                },
+                action: {
+                    type: /** @type {chrome.declarativeNetRequest.RuleActionType} */ ('redirect'),
+                    redirect: {
+                        regexSubstitution: `${chrome.runtime.getURL('/pdf-viewer.html')}?file=\\0`,
+                    },
+                },
+            });
+        }
+        try {
+            await chrome.declarativeNetRequest.updateSessionRules({removeRuleIds: [id], addRules});
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * Checks all updatable dictionaries for newer revisions, and updates them if automatic updating is enabled.
+     * The dictionaries which have updates available are stored and shown on the browser action badge.
+     */
+    async _checkForDictionaryUpdates() {
+        if (this._checkingDictionaryUpdates) { return; }
+        this._checkingDictionaryUpdates = true;
+        try {
+            const dictionaries = await this._dictionaryDatabase.getDictionaryInfo();
+            /** @type {import('dictionary-updater').DictionaryUpdate[]} */
+            const updates = [];
+            for (const dictionaryInfo of dictionaries) {
+                try {
+                    const update = await getDictionaryUpdate(dictionaryInfo);
+                    if (update !== null) { updates.push(update); }
+                } catch (e) {
+                    log.warn(new Error(`Failed to check for updates to ${dictionaryInfo.title}: ${toError(e).message}`));
+                }
+            }
+            await this._setDictionaryUpdates(updates);
+
+            if (!this._getOptionsFull(false).global.dictionaryUpdates.updateAutomatically) { return; }
+            for (const {title, downloadUrl} of updates) {
+                try {
+                    await this._updateDictionary(title, downloadUrl);
+                } catch (e) {
+                    log.error(e);
+                }
+            }
+        } catch (e) {
+            log.error(e);
+        } finally {
+            this._checkingDictionaryUpdates = false;
+        }
+    }
+
+    /**
+     * Replaces an installed dictionary with a newer revision. Unlike deleting and re-importing the dictionary,
+     * each profile's settings for the dictionary, such as its alias, priority, and enabled state, are kept.
+     * @param {string} title
+     * @param {string} downloadUrl
+     * @returns {Promise<import('dictionary-importer').Summary>}
+     */
+    async _updateDictionary(title, downloadUrl) {
+        const {prefixWildcardsSupported, glossarySearchSupported} = this._getOptionsFull(false).global.database;
+        /** @type {import('dictionary-importer').Summary} */
+        let summary;
+        try {
+            summary = await this._dictionaryUpdater.updateDictionary(title, downloadUrl, {prefixWildcardsSupported, glossarySearchSupported});
+            // The settings must be renamed before other pages are notified of the new dictionary,
+            // otherwise they would replace the existing settings with the default settings.
+            this._renameDictionarySettings(title, summary);
+        } finally {
+            this._triggerDatabaseUpdated('dictionary', 'import');
+        }
+
+        await this._saveOptions('background');
+        await this._setDictionaryUpdates(this._dictionaryUpdates.filter((update) => update.title !== title));
+        return summary;
+    }
+
+    /**
+     * Points each profile's settings for a dictionary at the newly imported revision of that dictionary.
+     * @param {string} title The title of the dictionary before it was updated.
+     * @param {import('dictionary-importer').Summary} summary The summary of the updated dictionary.
+     */
+    _renameDictionarySettings(title, {title: newTitle, styles}) {
+        const options = this._getOptionsFull(false);
+        for (const {options: profileOptions} of options.profiles) {
+            for (const dictionaryOptions of profileOptions.dictionaries) {
+                if (dictionaryOptions.name !== title) { continue; }
+                if (dictionaryOptions.alias === title) { dictionaryOptions.alias = newTitle; }
+                dictionaryOptions.name = newTitle;
+                dictionaryOptions.styles = styles;
+            }
+            const {general} = profileOptions;
+            if (general.mainDictionary === title) { general.mainDictionary = newTitle; }
+            if (general.sortFrequencyDictionary === title) { general.sortFrequencyDictionary = newTitle; }
+        }
+    }
+
+    /**
+     * Creates the personal dictionary if it is not installed, and enables it in each profile that has no settings for it.
+     * The personal dictionary is created even if it has no terms, so that it is always listed with the other dictionaries.
+     */
+    async _preparePersonalDictionary() {
+        try {
+            const {prefixWildcardsSupported, glossarySearchSupported} = this._getOptionsFull(false).global.database;
+            const created = await this._personalDictionary.prepare({prefixWildcardsSupported, glossarySearchSupported});
+            if (this._addPersonalDictionarySettings()) {
+                await this._saveOptions('background');
+            }
+            if (created) {
+                this._triggerDatabaseUpdated('dictionary', 'import');
+            }
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * @returns {boolean} `true` if the settings of any profile were changed.
+     */
+    _addPersonalDictionarySettings() {
+        let modified = false;
+        for (const {options: profileOptions} of this._getOptionsFull(false).profiles) {
+            const {dictionaries} = profileOptions;
+            if (dictionaries.some(({name}) => name === personalDictionaryTitle)) { continue; }
+            dictionaries.push({
+                name: personalDictionaryTitle,
+                alias: personalDictionaryTitle,
+                priority: 0,
+                enabled: true,
+                allowSecondarySearches: false,
+                definitionsCollapsible: 'not-collapsible',
+                partsOfSpeechFilter: true,
+                useDeinflections: true,
+                styles: '',
+            });
+            modified = true;
+        }
+        return modified;
+    }
+
+    /** */
+    async _loadDictionaryUpdates() {
+        try {
+            const result = /** @type {{dictionaryUpdates?: import('dictionary-updater').DictionaryUpdate[]}} */ (await chrome.storage.session.get(['dictionaryUpdates']));
+            const {dictionaryUpdates} = result;
+            if (Array.isArray(dictionaryUpdates)) {
+                this._dictionaryUpdates = dictionaryUpdates;
+            }
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * @param {import('dictionary-updater').DictionaryUpdate[]} updates
+     */
+    async _setDictionaryUpdates(updates) {
+        this._dictionaryUpdates = updates;
+        this._updateBadge();
+        await chrome.storage.session.set({dictionaryUpdates: updates});
+    }
+
     /**
      * @param {boolean} useSchema
      * @returns {import('settings').Options}
@@ -1460,13 +1931,43 @@ export class Backend {
      * @returns {Promise<import('api').ParseTextLine[]>}
      */
     async _textParseScanning(text, scanLength, optionsContext) {
+        /** @type {import('api').ParseTextLine[]} */
+        const results = [];
+        for (const {text: source, headword} of await this._getScanningParseSegments(text, scanLength, optionsContext)) {
+            if (headword === null) {
+                results.push([{text: source, reading: ''}]);
+                continue;
+            }
+            const textSegments = [];
+            for (const {text: text2, reading: reading2} of distributeFuriganaInflected(headword.term, headword.reading, source)) {
+                textSegments.push({text: text2, reading: reading2});
+            }
+            results.push(textSegments);
+        }
+        return results;
+    }
+
+    /**
+     * Splits text into terms by repeatedly looking up the longest term at the start of the remaining text.
+     * Text in languages which are written without spaces between words is segmented using the enabled dictionaries instead.
+     * @param {string} text
+     * @param {number} scanLength
+     * @param {import('settings').OptionsContext} optionsContext
+     * @returns {Promise<import('backend').ScanningParseSegment[]>}
+     */
+    async _getScanningParseSegments(text, scanLength, optionsContext) {
         /** @type {import('translator').FindTermsMode} */
         const mode = 'simple';
         const options = this._getProfileOptions(optionsContext, false);
         const details = {matchType: /** @type {import('translation').FindTermsMatchType} */ ('exact'), deinflect: true};
         const findTermsOptions = this._getTranslatorFindTermsOptions(mode, details, options);
-        /** @type {import('api').ParseTextLine[]} */
+        if (isWordSegmentedLanguage(findTermsOptions.language)) {
+            // Words are not separated by spaces, so the longest match at each position is not reliable
+            return await this._translator.segmentText(text, scanLength, findTermsOptions.enabledDictionaryMap);
+        }
+        /** @type {import('backend').ScanningParseSegment[]} */
         const results = [];
+        /** @type {?import('backend').ScanningParseSegment} */
         let previousUngroupedSegment = null;
         let i = 0;
         const ii = text.length;
@@ -1485,17 +1986,12 @@ export class Backend {
             ) {
                 previousUngroupedSegment = null;
                 const {headwords: [{term, reading}]} = dictionaryEntries[0];
-                const source = text.substring(i, i + originalTextLength);
-                const textSegments = [];
-                for (const {text: text2, reading: reading2} of distributeFuriganaInflected(term, reading, source)) {
-                    textSegments.push({text: text2, reading: reading2});
-                }
-                results.push(textSegments);
+                results.push({text: text.substring(i, i + originalTextLength), headword: {term, reading}});
                 i += originalTextLength;
             } else {
                 if (previousUngroupedSegment === null) {
-                    previousUngroupedSegment = {text: character, reading: ''};
-                    results.push([previousUngroupedSegment]);
+                    previousUngroupedSegment = {text: character, headword: null};
+                    results.push(previousUngroupedSegment);
                 } else {
                     previousUngroupedSegment.text += character;
                 }
@@ -1505,6 +2001,49 @@ export class Backend {
         return results;
     }
 
+    /**
+     * Gets the lowest frequency rank of each term from the rank-based frequency dictionaries.
+     * The sort frequency dictionary is used if it is rank-based; otherwise, all enabled dictionaries
+     * which are not occurrence-based are used.
+     * @param {import('translator').TermReadingList} termReadingList
+     * @param {import('settings').ProfileOptions} options
+     * @returns {Promise<Map<string, number>>}
+     */
+    async _getFrequencyRanks(termReadingList, options) {
+        const {sortFrequencyDictionary, sortFrequencyDictionaryOrder} = options.general;
+        /** @type {string[]} */
+        let dictionaries;
+        if (sortFrequencyDictionary !== null && sortFrequencyDictionaryOrder === 'ascending') {
+            dictionaries = [sortFrequencyDictionary];
+        } else {
+            const occurrenceBasedDictionaries = new Set();
+            for (const {title, frequencyMode} of await this._dictionaryDatabase.getDictionaryInfo()) {
+                if (frequencyMode === 'occurrence-based') { occurrenceBasedDictionaries.add(title); }
+            }
+            dictionaries = options.dictionaries
+                .filter(({name, enabled}) => enabled && !occurrenceBasedDictionaries.has(name))
+                .map(({name}) => name);
+        }
+
+        /** @type {Map<string, import('translator').TermReadingItem>} */
+        const uniqueTermReadings = new Map();
+        for (const item of termReadingList) {
+            uniqueTermReadings.set(`${item.term}\n${item.reading}`, item);
+        }
+
+        /** @type {Map<string, number>} */
+        const frequencyRanks = new Map();
+        if (dictionaries.length === 0 || uniqueTermReadings.size === 0) { return frequencyRanks; }
+        for (const {term, frequency} of await this._translator.getTermFrequencies([...uniqueTermReadings.values()], dictionaries)) {
+            if (frequency <= 0) { continue; }
+            const rank = frequencyRanks.get(term);
+            if (typeof rank === 'undefined' || frequency < rank) {
+                frequencyRanks.set(term, frequency);
+            }
+        }
+        return frequencyRanks;
+    }
+
     /**
      * @param {string} text
      * @returns {Promise<import('backend').MecabParseResults>}
@@ -1701,6 +2240,11 @@ export class Backend {
                 text = '!';
                 color = '#f0ad4e';
                 status = 'No dictionaries installed';
+            } else if (this._dictionaryUpdates.length > 0) {
+                const count = this._dictionaryUpdates.length;
+                text = `${count}`;
+                color = '#4e8cf0';
+                status = `${count} dictionary update${count === 1 ? '' : 's'} available`;
             }
         }
 
@@ -1752,6 +2296,22 @@ export class Backend {
         return null;
     }
 
+    /**
+     * @returns {Promise<chrome.tabs.Tab|undefined>}
+     */
+    _getActiveTab() {
+        return new Promise((resolve, reject) => {
+            chrome.tabs.query({active: true, lastFocusedWindow: true}, (tabs) => {
+                const e = chrome.runtime.lastError;
+                if (e) {
+                    reject(new Error(e.message));
+                } else {
+                    resolve(tabs[0]);
+                }
+            });
+        });
+    }
+
     /**
      * @returns {Promise<chrome.tabs.Tab[]>}
      */
@@ -2088,17 +2648,47 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * Crops a region out of a screenshot of a tab.
+     * @param {string} screenshot The screenshot, as a data URL.
+     * @param {import('image-text-recognizer').Region} region The region, in CSS pixels relative to the viewport.
+     * @param {number} viewportWidth The width of the viewport in CSS pixels, which is used to convert the region to the pixels of the screenshot.
+     * @returns {Promise<string>} The cropped image, as a PNG data URL.
+     */
+    async _cropImage(screenshot, region, viewportWidth) {
+        const {mediaType, data} = this._getDataUrlInfo(screenshot);
+        const bitmap = await createImageBitmap(new Blob([base64ToArrayBuffer(data)], {type: mediaType}));
+        const scale = bitmap.width / viewportWidth;
+        const x = Math.max(0, Math.round(region.x * scale));
+        const y = Math.max(0, Math.round(region.y * scale));
+        const width = Math.min(bitmap.width - x, Math.round(region.width * scale));
+        const height = Math.min(bitmap.height - y, Math.round(region.height * scale));
+        if (width <= 0 || height <= 0) {
+            bitmap.close();
+            throw new Error('Invalid region');
+        }
+
+        const canvas = new OffscreenCanvas(width, height);
+        const context = /** @type {OffscreenCanvasRenderingContext2D} */ (canvas.getContext('2d'));
+        context.drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+        bitmap.close();
+        const blob = await canvas.convertToBlob({type: 'image/png'});
+        return `data:image/png;base64,${arrayBufferToBase64(await blob.arrayBuffer())}`;
+    }
+
+    /**
+     * @param {import('anki-offline-queue').MediaStore} mediaStore
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDefinitionDetails} definitionDetails
      * @param {?import('api').InjectAnkiNoteMediaAudioDetails} audioDetails
      * @param {?import('api').InjectAnkiNoteMediaScreenshotDetails} screenshotDetails
+     * @param {?import('api').InjectAnkiNoteMediaSentenceAudioDetails} sentenceAudioDetails
      * @param {?import('api').InjectAnkiNoteMediaClipboardDetails} clipboardDetails
      * @param {import('api').InjectAnkiNoteMediaDictionaryMediaDetails[]} dictionaryMediaDetails
      * @returns {Promise<import('api').ApiReturn<'injectAnkiNoteMedia'>>}
      */
-    async _injectAnkNoteMedia(ankiConnect, timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails) {
+    async _injectAnkNoteMedia(mediaStore, timestamp, definitionDetails, audioDetails, screenshotDetails, sentenceAudioDetails, clipboardDetails, dictionaryMediaDetails) {
         let screenshotFileName = null;
+        let sentenceAudioFileName = null;
         let clipboardImageFileName = null;
         let clipboardText = null;
         let audioFileName = null;
@@ -2106,7 +2696,15 @@ export class Backend {
 
         try {
             if (screenshotDetails !== null) {
-                screenshotFileName = await this._injectAnkiNoteScreenshot(ankiConnect, timestamp, screenshotDetails);
+                screenshotFileName = await this._injectAnkiNoteScreenshot(mediaStore, timestamp, screenshotDetails);
+            }
+        } catch (e) {
+            errors.push(ExtensionError.serialize(e));
+        }
+
+        try {
+            if (sentenceAudioDetails !== null) {
+                sentenceAudioFileName = await this._injectAnkiNoteSentenceAudio(mediaStore, timestamp, sentenceAudioDetails);
             }
         } catch (e) {
             errors.push(ExtensionError.serialize(e));
@@ -2114,7 +2712,7 @@ export class Backend {
 
         try {
             if (clipboardDetails !== null && clipboardDetails.image) {
-                clipboardImageFileName = await this._injectAnkiNoteClipboardImage(ankiConnect, timestamp);
+                clipboardImageFileName = await this._injectAnkiNoteClipboardImage(mediaStore, timestamp);
             }
         } catch (e) {
             errors.push(ExtensionError.serialize(e));
@@ -2130,7 +2728,7 @@ export class Backend {
 
         try {
             if (audioDetails !== null) {
-                audioFileName = await this._injectAnkiNoteAudio(ankiConnect, timestamp, definitionDetails, audioDetails);
+                audioFileName = await this._injectAnkiNoteAudio(mediaStore, timestamp, definitionDetails, audioDetails);
             }
         } catch (e) {
             errors.push(ExtensionError.serialize(e));
@@ -2140,7 +2738,7 @@ export class Backend {
         let dictionaryMedia;
         try {
             let errors2;
-            ({results: dictionaryMedia, errors: errors2} = await this._injectAnkiNoteDictionaryMedia(ankiConnect, timestamp, dictionaryMediaDetails));
+            ({results: dictionaryMedia, errors: errors2} = await this._injectAnkiNoteDictionaryMedia(mediaStore, timestamp, dictionaryMediaDetails));
             for (const error of errors2) {
                 errors.push(ExtensionError.serialize(error));
             }
@@ -2154,19 +2752,20 @@ export class Backend {
             clipboardImageFileName,
             clipboardText,
             audioFileName,
+            sentenceAudioFileName,
             dictionaryMedia,
             errors: errors,
         };
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-offline-queue').MediaStore} mediaStore
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDefinitionDetails} definitionDetails
      * @param {import('api').InjectAnkiNoteMediaAudioDetails} details
      * @returns {Promise<?string>}
      */
-    async _injectAnkiNoteAudio(ankiConnect, timestamp, definitionDetails, details) {
+    async _injectAnkiNoteAudio(mediaStore, timestamp, definitionDetails, details) {
         if (definitionDetails.type !== 'term') { return null; }
         const {term, reading} = definitionDetails;
         if (term.length === 0 && reading.length === 0) { return null; }
@@ -2195,18 +2794,18 @@ export class Backend {
         if (extension === null) { extension = '.mp3'; }
         let fileName = this._generateAnkiNoteMediaFileName('yomitan_audio', extension, timestamp);
         fileName = fileName.replace(/\]/g, '');
-        return await ankiConnect.storeMediaFile(fileName, data);
+        return await mediaStore.storeMediaFile(fileName, data);
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-offline-queue').MediaStore} mediaStore
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaScreenshotDetails} details
      * @returns {Promise<?string>}
      */
-    async _injectAnkiNoteScreenshot(ankiConnect, timestamp, details) {
-        const {tabId, frameId, format, quality} = details;
-        const dataUrl = await this._getScreenshot(tabId, frameId, format, quality);
+    async _injectAnkiNoteScreenshot(mediaStore, timestamp, details) {
+        const {tabId, frameId, format, quality, image} = details;
+        const dataUrl = image !== null ? image : await this._getScreenshot(tabId, frameId, format, quality);
 
         const {mediaType, data} = this._getDataUrlInfo(dataUrl);
         const extension = getFileExtensionFromImageMediaType(mediaType);
@@ -2215,15 +2814,38 @@ export class Backend {
         }
 
         const fileName = this._generateAnkiNoteMediaFileName('yomitan_browser_screenshot', extension, timestamp);
-        return await ankiConnect.storeMediaFile(fileName, data);
+        return await mediaStore.storeMediaFile(fileName, data);
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * Records a span of audio from the media being played in the tab, and stores it as a WAV file.
+     * @param {import('anki-offline-queue').MediaStore} mediaStore
      * @param {number} timestamp
+     * @param {import('api').InjectAnkiNoteMediaSentenceAudioDetails} details
      * @returns {Promise<?string>}
      */
-    async _injectAnkiNoteClipboardImage(ankiConnect, timestamp) {
+    async _injectAnkiNoteSentenceAudio(mediaStore, timestamp, details) {
+        const {tabId, frameId, startTime, endTime, windowBefore, windowAfter} = details;
+        const clip = await this._sendMessageTabPromise(
+            tabId,
+            {action: 'frontendRecordMediaClip', params: {startTime, endTime, windowBefore, windowAfter}},
+            {frameId},
+        );
+        if (clip === null) { return null; }
+
+        const {content, mediaType} = await this._audioClipEncoder.encode(clip);
+        let extension = getFileExtensionFromAudioMediaType(mediaType);
+        if (extension === null) { extension = '.wav'; }
+        const fileName = this._generateAnkiNoteMediaFileName('yomitan_sentence_audio', extension, timestamp);
+        return await mediaStore.storeMediaFile(fileName, content);
+    }
+
+    /**
+     * @param {import('anki-offline-queue').MediaStore} mediaStore
+     * @param {number} timestamp
+     * @returns {Promise<?string>}
+     */
+    async _injectAnkiNoteClipboardImage(mediaStore, timestamp) {
         const dataUrl = await this._clipboardReader.getImage();
         if (dataUrl === null) {
             return null;
@@ -2239,7 +2861,7 @@ export class Backend {
             this._ankiClipboardImageFilenameCache :
             this._generateAnkiNoteMediaFileName('yomitan_clipboard_image', extension, timestamp);
 
-        const storedFileName = await ankiConnect.storeMediaFile(fileName, data);
+        const storedFileName = await mediaStore.storeMediaFile(fileName, data);
 
         if (storedFileName !== null) {
             this._ankiClipboardImageDataUrlCache = dataUrl;
@@ -2250,12 +2872,12 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-offline-queue').MediaStore} mediaStore
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDictionaryMediaDetails[]} dictionaryMediaDetails
      * @returns {Promise<{results: import('api').InjectAnkiNoteDictionaryMediaResult[], errors: unknown[]}>}
      */
-    async _injectAnkiNoteDictionaryMedia(ankiConnect, timestamp, dictionaryMediaDetails) {
+    async _injectAnkiNoteDictionaryMedia(mediaStore, timestamp, dictionaryMediaDetails) {
         const targets = [];
         const detailsList = [];
         /** @type {Map<string, {dictionary: string, path: string, media: ?import('dictionary-database').MediaDataStringContent}>} */
@@ -2293,7 +2915,7 @@ export class Backend {
                     timestamp,
                 );
                 try {
-                    fileName = await ankiConnect.storeMediaFile(fileName, content);
+                    fileName = await mediaStore.storeMediaFile(fileName, content);
                 } catch (e) {
                     errors.push(e);
                     fileName = null;
@@ -2447,6 +3069,23 @@ export class Backend {
         this._applyOptions(source);
     }
 
+    /**
+     * Records a successful term lookup in the lookup history.
+     * Errors are logged rather than thrown, since a failure to record history should not affect the lookup.
+     * @param {import('dictionary').TermDictionaryEntry} dictionaryEntry The first dictionary entry of the lookup result.
+     * @param {import('api').FindTermsHistoryDetails} historyDetails Additional context about the lookup.
+     * @param {import('settings').OptionsContext} optionsContext The options context of the lookup.
+     */
+    async _addLookupHistoryEntry({headwords: [{term, reading}]}, {sentence}, optionsContext) {
+        try {
+            const {name: profile} = this._getProfile(optionsContext, false);
+            const url = typeof optionsContext.url === 'string' ? optionsContext.url : '';
+            await this._userDataDatabase.addLookupHistoryEntry({term, reading, sentence, url, timestamp: Date.now(), profile});
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
     /**
      * Creates an options object for use with `Translator.findTerms`.
      * @param {import('translator').FindTermsMode} mode The display mode for the dictionary entries.
@@ -2455,9 +3094,15 @@ export class Backend {
      * @returns {import('translation').FindTermsOptions} An options object.
      */
     _getTranslatorFindTermsOptions(mode, details, options) {
-        let {matchType, deinflect} = details;
+        let {matchType, deinflect, searchGlossaries} = details;
         if (typeof matchType !== 'string') { matchType = /** @type {import('translation').FindTermsMatchType} */ ('exact'); }
         if (typeof deinflect !== 'boolean') { deinflect = true; }
+        if (typeof searchGlossaries !== 'boolean') { searchGlossaries = false; }
+        const pattern = (
+            typeof details.pattern === 'object' ?
+            {...details.pattern, questionMarkWildcard: options.general.questionMarkWildcard, limit: options.general.maxResults} :
+            null
+        );
         const enabledDictionaryMap = this._getTranslatorEnabledDictionaryMap(options);
         const {
             general: {mainDictionary, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language},
@@ -2465,6 +3110,7 @@ export class Backend {
             translation: {
                 textReplacements: textReplacementsOptions,
                 searchResolution,
+                searchRoots,
             },
         } = options;
         const textReplacements = this._getTranslatorTextReplacements(textReplacementsOptions);
@@ -2484,11 +3130,14 @@ export class Backend {
         return {
             matchType,
             deinflect,
+            searchGlossaries,
+            pattern,
             mainDictionary,
             sortFrequencyDictionary,
             sortFrequencyDictionaryOrder,
             removeNonJapaneseCharacters: !alphanumeric,
             searchResolution,
+            searchRoots,
             textReplacements,
             enabledDictionaryMap,
             excludeDictionaryDefinitions,
@@ -22,7 +22,7 @@ import {base64ToArrayBuffer} from '../data/array-buffer-util.js';
 
 /**
  * This class is responsible for creating and communicating with an offscreen document.
- * This offscreen document is used to solve two issues:
+ * This offscreen document is used to solve three issues:
  *
  * - Provide clipboard access for the `ClipboardReader` class in the context of a MV3 extension.
  *   The background service workers doesn't have access a webpage to read the clipboard from,
@@ -43,6 +43,9 @@ import {base64ToArrayBuffer} from '../data/array-buffer-util.js';
  *   result in this code functioning poorly in the future if a web browser vendor changes the
  *   APIs or the implementation substantially, and this is even referenced on the Chrome
  *   developer website.
+ *
+ * - Provide web workers for the `ImageTextRecognizer` class, which runs text recognition in a worker.
+ *   The background service worker can't create workers of its own.
  * @see https://developer.chrome.com/blog/Offscreen-Documents-in-Manifest-v3
  * @see https://developer.chrome.com/docs/extensions/reference/api/offscreen
  */
@@ -73,8 +76,9 @@ export class OffscreenProxy {
             url: 'offscreen.html',
             reasons: [
                 /** @type {chrome.offscreen.Reason} */ ('CLIPBOARD'),
+                /** @type {chrome.offscreen.Reason} */ ('WORKERS'),
             ],
-            justification: 'Access to the clipboard',
+            justification: 'Access to the clipboard and running text recognition in a web worker',
         });
         await this._creatingOffscreen;
         this._creatingOffscreen = null;
@@ -175,6 +179,70 @@ export class DictionaryDatabaseProxy {
     }
 }
 
+export class DictionaryUpdaterProxy {
+    /**
+     * @param {OffscreenProxy} offscreen
+     */
+    constructor(offscreen) {
+        /** @type {OffscreenProxy} */
+        this._offscreen = offscreen;
+    }
+
+    /**
+     * @param {string} title
+     * @param {string} downloadUrl
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('dictionary-importer').Summary>}
+     */
+    async updateDictionary(title, downloadUrl, details) {
+        return this._offscreen.sendMessagePromise({action: 'updateDictionaryOffscreen', params: {title, downloadUrl, details}});
+    }
+}
+
+export class PersonalDictionaryProxy {
+    /**
+     * @param {OffscreenProxy} offscreen
+     */
+    constructor(offscreen) {
+        /** @type {OffscreenProxy} */
+        this._offscreen = offscreen;
+    }
+
+    /**
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<boolean>}
+     */
+    async prepare(details) {
+        return this._offscreen.sendMessagePromise({action: 'personalDictionaryPrepareOffscreen', params: {details}});
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<?import('personal-dictionary').EntryWithId>}
+     */
+    async getEntry(id) {
+        return this._offscreen.sendMessagePromise({action: 'personalDictionaryGetEntryOffscreen', params: {id}});
+    }
+
+    /**
+     * @param {?number} id
+     * @param {import('personal-dictionary').Entry} entry
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('personal-dictionary').SetEntryResult>}
+     */
+    async setEntry(id, entry, details) {
+        return this._offscreen.sendMessagePromise({action: 'personalDictionarySetEntryOffscreen', params: {id, entry, details}});
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteEntry(id) {
+        await this._offscreen.sendMessagePromise({action: 'personalDictionaryDeleteEntryOffscreen', params: {id}});
+    }
+}
+
 export class TranslatorProxy {
     /**
      * @param {OffscreenProxy} offscreen
@@ -236,6 +304,16 @@ export class TranslatorProxy {
         return this._offscreen.sendMessagePromise({action: 'getTermFrequenciesOffscreen', params: {termReadingList, dictionaries}});
     }
 
+    /**
+     * @param {string} text
+     * @param {number} maxWordLength
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @returns {Promise<import('translator').TextSegment[]>}
+     */
+    async segmentText(text, maxWordLength, enabledDictionaryMap) {
+        return this._offscreen.sendMessagePromise({action: 'segmentTextOffscreen', params: {text, maxWordLength, enabledDictionaryMap: [...enabledDictionaryMap]}});
+    }
+
     /** */
     async clearDatabaseCaches() {
         await this._offscreen.sendMessagePromise({action: 'clearDatabaseCachesOffscreen'});
@@ -276,3 +354,40 @@ export class ClipboardReaderProxy {
         return await this._offscreen.sendMessagePromise({action: 'clipboardGetImageOffscreen'});
     }
 }
+
+export class AudioClipEncoderProxy {
+    /**
+     * @param {OffscreenProxy} offscreen
+     */
+    constructor(offscreen) {
+        /** @type {OffscreenProxy} */
+        this._offscreen = offscreen;
+    }
+
+    /**
+     * @param {import('media-clip').MediaClip} clip
+     * @returns {Promise<import('media-clip').MediaClip>}
+     */
+    async encode(clip) {
+        return await this._offscreen.sendMessagePromise({action: 'encodeAudioClipOffscreen', params: {clip}});
+    }
+}
+
+export class ImageTextRecognizerProxy {
+    /**
+     * @param {OffscreenProxy} offscreen
+     */
+    constructor(offscreen) {
+        /** @type {OffscreenProxy} */
+        this._offscreen = offscreen;
+    }
+
+    /**
+     * @param {string} image
+     * @param {string} language
+     * @returns {Promise<string>}
+     */
+    async recognize(image, language) {
+        return await this._offscreen.sendMessagePromise({action: 'recognizeImageTextOffscreen', params: {image, language}});
+    }
+}
@@ -20,7 +20,12 @@ import {ClipboardReader} from '../comm/clipboard-reader.js';
 import {createApiMap, invokeApiMapHandler} from '../core/api-map.js';
 import {arrayBufferToBase64} from '../data/array-buffer-util.js';
 import {DictionaryDatabase} from '../dictionary/dictionary-database.js';
+import {DictionaryUpdater} from '../dictionary/dictionary-updater.js';
+import {DictionaryWorker} from '../dictionary/dictionary-worker.js';
+import {PersonalDictionary} from '../dictionary/personal-dictionary.js';
 import {Translator} from '../language/translator.js';
+import {AudioClipEncoder} from '../media/audio-clip-encoder.js';
+import {ImageTextRecognizer} from '../media/image-text-recognizer.js';
 
 /**
  * This class controls the core logic of the extension, including API calls
@@ -35,29 +40,45 @@ export class Offscreen {
         this._dictionaryDatabase = new DictionaryDatabase();
         /** @type {Translator} */
         this._translator = new Translator(this._dictionaryDatabase);
+        /** @type {DictionaryUpdater} */
+        this._dictionaryUpdater = new DictionaryUpdater(new DictionaryWorker());
+        /** @type {PersonalDictionary} */
+        this._personalDictionary = new PersonalDictionary(this._dictionaryDatabase);
         /** @type {ClipboardReader} */
         this._clipboardReader = new ClipboardReader(
             (typeof document === 'object' && document !== null ? document : null),
             '#clipboard-paste-target',
             '#clipboard-rich-content-paste-target',
         );
+        /** @type {AudioClipEncoder} */
+        this._audioClipEncoder = new AudioClipEncoder();
+        /** @type {ImageTextRecognizer} */
+        this._imageTextRecognizer = new ImageTextRecognizer();
 
 
         /* eslint-disable @stylistic/no-multi-spaces */
         /** @type {import('offscreen').ApiMap} */
         this._apiMap = createApiMap([
-            ['clipboardGetTextOffscreen',    this._getTextHandler.bind(this)],
-            ['clipboardGetImageOffscreen',   this._getImageHandler.bind(this)],
-            ['clipboardSetBrowserOffscreen', this._setClipboardBrowser.bind(this)],
-            ['databasePrepareOffscreen',     this._prepareDatabaseHandler.bind(this)],
-            ['getDictionaryInfoOffscreen',   this._getDictionaryInfoHandler.bind(this)],
-            ['databasePurgeOffscreen',       this._purgeDatabaseHandler.bind(this)],
-            ['databaseGetMediaOffscreen',    this._getMediaHandler.bind(this)],
-            ['translatorPrepareOffscreen',   this._prepareTranslatorHandler.bind(this)],
-            ['findKanjiOffscreen',           this._findKanjiHandler.bind(this)],
-            ['findTermsOffscreen',           this._findTermsHandler.bind(this)],
-            ['getTermFrequenciesOffscreen',  this._getTermFrequenciesHandler.bind(this)],
-            ['clearDatabaseCachesOffscreen', this._clearDatabaseCachesHandler.bind(this)],
+            ['clipboardGetTextOffscreen',              this._getTextHandler.bind(this)],
+            ['clipboardGetImageOffscreen',             this._getImageHandler.bind(this)],
+            ['clipboardSetBrowserOffscreen',           this._setClipboardBrowser.bind(this)],
+            ['databasePrepareOffscreen',               this._prepareDatabaseHandler.bind(this)],
+            ['getDictionaryInfoOffscreen',             this._getDictionaryInfoHandler.bind(this)],
+            ['databasePurgeOffscreen',                 this._purgeDatabaseHandler.bind(this)],
+            ['databaseGetMediaOffscreen',              this._getMediaHandler.bind(this)],
+            ['updateDictionaryOffscreen',              this._updateDictionaryHandler.bind(this)],
+            ['personalDictionaryPrepareOffscreen',     this._preparePersonalDictionaryHandler.bind(this)],
+            ['personalDictionaryGetEntryOffscreen',    this._getPersonalDictionaryEntryHandler.bind(this)],
+            ['personalDictionarySetEntryOffscreen',    this._setPersonalDictionaryEntryHandler.bind(this)],
+            ['personalDictionaryDeleteEntryOffscreen', this._deletePersonalDictionaryEntryHandler.bind(this)],
+            ['translatorPrepareOffscreen',             this._prepareTranslatorHandler.bind(this)],
+            ['findKanjiOffscreen',                     this._findKanjiHandler.bind(this)],
+            ['findTermsOffscreen',                     this._findTermsHandler.bind(this)],
+            ['getTermFrequenciesOffscreen',            this._getTermFrequenciesHandler.bind(this)],
+            ['segmentTextOffscreen',                   this._segmentTextHandler.bind(this)],
+            ['clearDatabaseCachesOffscreen',           this._clearDatabaseCachesHandler.bind(this)],
+            ['encodeAudioClipOffscreen',               this._encodeAudioClipHandler.bind(this)],
+            ['recognizeImageTextOffscreen',            this._recognizeImageTextHandler.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
 
@@ -110,6 +131,31 @@ export class Offscreen {
         return media.map((m) => ({...m, content: arrayBufferToBase64(m.content)}));
     }
 
+    /** @type {import('offscreen').ApiHandler<'updateDictionaryOffscreen'>} */
+    async _updateDictionaryHandler({title, downloadUrl, details}) {
+        return await this._dictionaryUpdater.updateDictionary(title, downloadUrl, details);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'personalDictionaryPrepareOffscreen'>} */
+    async _preparePersonalDictionaryHandler({details}) {
+        return await this._personalDictionary.prepare(details);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'personalDictionaryGetEntryOffscreen'>} */
+    async _getPersonalDictionaryEntryHandler({id}) {
+        return await this._personalDictionary.getEntry(id);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'personalDictionarySetEntryOffscreen'>} */
+    async _setPersonalDictionaryEntryHandler({id, entry, details}) {
+        return await this._personalDictionary.setEntry(id, entry, details);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'personalDictionaryDeleteEntryOffscreen'>} */
+    async _deletePersonalDictionaryEntryHandler({id}) {
+        await this._personalDictionary.deleteEntry(id);
+    }
+
     /** @type {import('offscreen').ApiHandler<'translatorPrepareOffscreen'>} */
     _prepareTranslatorHandler() {
         this._translator.prepare();
@@ -157,11 +203,26 @@ export class Offscreen {
         return this._translator.getTermFrequencies(termReadingList, dictionaries);
     }
 
+    /** @type {import('offscreen').ApiHandler<'segmentTextOffscreen'>} */
+    _segmentTextHandler({text, maxWordLength, enabledDictionaryMap}) {
+        return this._translator.segmentText(text, maxWordLength, new Map(enabledDictionaryMap));
+    }
+
     /** @type {import('offscreen').ApiHandler<'clearDatabaseCachesOffscreen'>} */
     _clearDatabaseCachesHandler() {
         this._translator.clearDatabaseCaches();
     }
 
+    /** @type {import('offscreen').ApiHandler<'encodeAudioClipOffscreen'>} */
+    async _encodeAudioClipHandler({clip}) {
+        return await this._audioClipEncoder.encode(clip);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'recognizeImageTextOffscreen'>} */
+    async _recognizeImageTextHandler({image, language}) {
+        return await this._imageTextRecognizer.recognize(image, language);
+    }
+
     /** @type {import('extension').ChromeRuntimeOnMessageCallback<import('offscreen').ApiMessageAny>} */
     _onMessage({action, params}, _sender, callback) {
         return invokeApiMapHandler(this._apiMap, action, params, [], callback);
@@ -64,6 +64,63 @@ export class API {
         return this._invoke('parseText', {text, optionsContext, scanLength, useInternalParser, useMecabParser});
     }
 
+    /**
+     * @param {import('api').ApiParam<'getTextWordStatuses', 'text'>} text
+     * @param {import('api').ApiParam<'getTextWordStatuses', 'optionsContext'>} optionsContext
+     * @param {import('api').ApiParam<'getTextWordStatuses', 'scanLength'>} scanLength
+     * @returns {Promise<import('api').ApiReturn<'getTextWordStatuses'>>}
+     */
+    getTextWordStatuses(text, optionsContext, scanLength) {
+        return this._invoke('getTextWordStatuses', {text, optionsContext, scanLength});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'setWordStatus', 'term'>} term
+     * @param {import('api').ApiParam<'setWordStatus', 'status'>} status
+     * @returns {Promise<import('api').ApiReturn<'setWordStatus'>>}
+     */
+    setWordStatus(term, status) {
+        return this._invoke('setWordStatus', {term, status});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getWordStatusCounts'>>}
+     */
+    getWordStatusCounts() {
+        return this._invoke('getWordStatusCounts', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'importWordStatusesFromAnki', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'importWordStatusesFromAnki'>>}
+     */
+    importWordStatusesFromAnki(optionsContext) {
+        return this._invoke('importWordStatusesFromAnki', {optionsContext});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearWordStatuses'>>}
+     */
+    clearWordStatuses() {
+        return this._invoke('clearWordStatuses', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'getComprehensionStatistics', 'text'>} text
+     * @param {import('api').ApiParam<'getComprehensionStatistics', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'getComprehensionStatistics'>>}
+     */
+    getComprehensionStatistics(text, optionsContext) {
+        return this._invoke('getComprehensionStatistics', {text, optionsContext});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getTabComprehensionStatistics'>>}
+     */
+    getTabComprehensionStatistics() {
+        return this._invoke('getTabComprehensionStatistics', void 0);
+    }
+
     /**
      * @param {import('api').ApiParam<'kanjiFind', 'text'>} text
      * @param {import('api').ApiParam<'kanjiFind', 'optionsContext'>} optionsContext
@@ -117,12 +174,51 @@ export class API {
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'definitionDetails'>} definitionDetails
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'audioDetails'>} audioDetails
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'screenshotDetails'>} screenshotDetails
+     * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'sentenceAudioDetails'>} sentenceAudioDetails
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'clipboardDetails'>} clipboardDetails
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'dictionaryMediaDetails'>} dictionaryMediaDetails
+     * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'offline'>} offline
      * @returns {Promise<import('api').ApiReturn<'injectAnkiNoteMedia'>>}
      */
-    injectAnkiNoteMedia(timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails) {
-        return this._invoke('injectAnkiNoteMedia', {timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails});
+    injectAnkiNoteMedia(timestamp, definitionDetails, audioDetails, screenshotDetails, sentenceAudioDetails, clipboardDetails, dictionaryMediaDetails, offline) {
+        return this._invoke('injectAnkiNoteMedia', {timestamp, definitionDetails, audioDetails, screenshotDetails, sentenceAudioDetails, clipboardDetails, dictionaryMediaDetails, offline});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'addAnkiNoteOffline', 'note'>} note
+     * @returns {Promise<import('api').ApiReturn<'addAnkiNoteOffline'>>}
+     */
+    addAnkiNoteOffline(note) {
+        return this._invoke('addAnkiNoteOffline', {note});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getAnkiOfflineQueue'>>}
+     */
+    getAnkiOfflineQueue() {
+        return this._invoke('getAnkiOfflineQueue', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'getAnkiOfflineMedia', 'fileNames'>} fileNames
+     * @returns {Promise<import('api').ApiReturn<'getAnkiOfflineMedia'>>}
+     */
+    getAnkiOfflineMedia(fileNames) {
+        return this._invoke('getAnkiOfflineMedia', {fileNames});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'syncAnkiOfflineQueue'>>}
+     */
+    syncAnkiOfflineQueue() {
+        return this._invoke('syncAnkiOfflineQueue', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearAnkiOfflineQueue'>>}
+     */
+    clearAnkiOfflineQueue() {
+        return this._invoke('clearAnkiOfflineQueue', void 0);
     }
 
     /**
@@ -246,6 +342,47 @@ export class API {
         return this._invoke('purgeDatabase', void 0);
     }
 
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getDictionaryUpdates'>>}
+     */
+    getDictionaryUpdates() {
+        return this._invoke('getDictionaryUpdates', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'updateDictionary', 'title'>} title
+     * @param {import('api').ApiParam<'updateDictionary', 'downloadUrl'>} downloadUrl
+     * @returns {Promise<import('api').ApiReturn<'updateDictionary'>>}
+     */
+    updateDictionary(title, downloadUrl) {
+        return this._invoke('updateDictionary', {title, downloadUrl});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'getPersonalDictionaryEntry', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'getPersonalDictionaryEntry'>>}
+     */
+    getPersonalDictionaryEntry(id) {
+        return this._invoke('getPersonalDictionaryEntry', {id});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'setPersonalDictionaryEntry', 'id'>} id
+     * @param {import('api').ApiParam<'setPersonalDictionaryEntry', 'entry'>} entry
+     * @returns {Promise<import('api').ApiReturn<'setPersonalDictionaryEntry'>>}
+     */
+    setPersonalDictionaryEntry(id, entry) {
+        return this._invoke('setPersonalDictionaryEntry', {id, entry});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'deletePersonalDictionaryEntry', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'deletePersonalDictionaryEntry'>>}
+     */
+    deletePersonalDictionaryEntry(id) {
+        return this._invoke('deletePersonalDictionaryEntry', {id});
+    }
+
     /**
      * @param {import('api').ApiParam<'getMedia', 'targets'>} targets
      * @returns {Promise<import('api').ApiReturn<'getMedia'>>}
@@ -254,6 +391,21 @@ export class API {
         return this._invoke('getMedia', {targets});
     }
 
+    /**
+     * @param {import('api').ApiParam<'getLookupHistory', 'filter'>} filter
+     * @returns {Promise<import('api').ApiReturn<'getLookupHistory'>>}
+     */
+    getLookupHistory(filter) {
+        return this._invoke('getLookupHistory', {filter});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearLookupHistory'>>}
+     */
+    clearLookupHistory() {
+        return this._invoke('clearLookupHistory', void 0);
+    }
+
     /**
      * @param {import('api').ApiParam<'logGenericErrorBackend', 'error'>} error
      * @param {import('api').ApiParam<'logGenericErrorBackend', 'level'>} level
@@ -371,6 +523,16 @@ export class API {
         return this._invoke('getLanguageSummaries', void 0);
     }
 
+    /**
+     * @param {import('api').ApiParam<'recognizeImageRegion', 'region'>} region
+     * @param {import('api').ApiParam<'recognizeImageRegion', 'viewportWidth'>} viewportWidth
+     * @param {import('api').ApiParam<'recognizeImageRegion', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'recognizeImageRegion'>>}
+     */
+    recognizeImageRegion(region, viewportWidth, optionsContext) {
+        return this._invoke('recognizeImageRegion', {region, viewportWidth, optionsContext});
+    }
+
     // Utilities
 
     /**
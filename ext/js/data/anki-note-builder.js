@@ -387,6 +387,7 @@ export class AnkiNoteBuilder {
         // Parse requirements
         let injectAudio = false;
         let injectScreenshot = false;
+        let injectSentenceAudio = false;
         let injectClipboardImage = false;
         let injectClipboardText = false;
         let injectPopupSelectionText = false;
@@ -399,6 +400,7 @@ export class AnkiNoteBuilder {
             switch (type) {
                 case 'audio': injectAudio = true; break;
                 case 'screenshot': injectScreenshot = true; break;
+                case 'sentenceAudio': injectSentenceAudio = true; break;
                 case 'clipboardImage': injectClipboardImage = true; break;
                 case 'clipboardText': injectClipboardText = true; break;
                 case 'popupSelectionText': injectPopupSelectionText = true; break;
@@ -423,6 +425,8 @@ export class AnkiNoteBuilder {
         let audioDetails = null;
         /** @type {?import('api').InjectAnkiNoteMediaScreenshotDetails} */
         let screenshotDetails = null;
+        /** @type {?import('api').InjectAnkiNoteMediaSentenceAudioDetails} */
+        let sentenceAudioDetails = null;
         /** @type {import('api').InjectAnkiNoteMediaClipboardDetails} */
         const clipboardDetails = {image: injectClipboardImage, text: injectClipboardText};
         if (injectAudio && dictionaryEntryDetails.type !== 'kanji') {
@@ -435,9 +439,18 @@ export class AnkiNoteBuilder {
         if (injectScreenshot) {
             const screenshotOptions = mediaOptions.screenshot;
             if (typeof screenshotOptions === 'object' && screenshotOptions !== null) {
-                const {format, quality, contentOrigin: {tabId, frameId}} = screenshotOptions;
+                const {format, quality, contentOrigin: {tabId, frameId}, image} = screenshotOptions;
                 if (typeof tabId === 'number' && typeof frameId === 'number') {
-                    screenshotDetails = {tabId, frameId, format, quality};
+                    screenshotDetails = {tabId, frameId, format, quality, image};
+                }
+            }
+        }
+        if (injectSentenceAudio) {
+            const sentenceAudioOptions = mediaOptions.sentenceAudio;
+            if (typeof sentenceAudioOptions === 'object' && sentenceAudioOptions !== null) {
+                const {startTime, endTime, windowBefore, windowAfter, contentOrigin: {tabId, frameId}} = sentenceAudioOptions;
+                if (typeof tabId === 'number' && typeof frameId === 'number') {
+                    sentenceAudioDetails = {tabId, frameId, startTime, endTime, windowBefore, windowAfter};
                 }
             }
         }
@@ -457,10 +470,12 @@ export class AnkiNoteBuilder {
             dictionaryEntryDetails,
             audioDetails,
             screenshotDetails,
+            sentenceAudioDetails,
             clipboardDetails,
             dictionaryMediaDetails,
+            mediaOptions.offline === true,
         );
-        const {audioFileName, screenshotFileName, clipboardImageFileName, clipboardText, dictionaryMedia: dictionaryMediaArray, errors} = injectedMedia;
+        const {audioFileName, screenshotFileName, sentenceAudioFileName, clipboardImageFileName, clipboardText, dictionaryMedia: dictionaryMediaArray, errors} = injectedMedia;
         const textFurigana = textFuriganaPromise !== null ? await textFuriganaPromise : [];
 
         // Format results
@@ -478,6 +493,7 @@ export class AnkiNoteBuilder {
         const media = {
             audio: (typeof audioFileName === 'string' ? {value: audioFileName} : void 0),
             screenshot: (typeof screenshotFileName === 'string' ? {value: screenshotFileName} : void 0),
+            sentenceAudio: (typeof sentenceAudioFileName === 'string' ? {value: sentenceAudioFileName} : void 0),
             clipboardImage: (typeof clipboardImageFileName === 'string' ? {value: clipboardImageFileName} : void 0),
             clipboardText: (typeof clipboardText === 'string' ? {value: clipboardText} : void 0),
             popupSelectionText: (typeof popupSelectionText === 'string' ? {value: popupSelectionText} : void 0),
@@ -47,6 +47,7 @@ export function createAnkiNoteData(marker, {
         media = {
             audio: void 0,
             screenshot: void 0,
+            sentenceAudio: void 0,
             clipboardImage: void 0,
             clipboardText: void 0,
             popupSelectionText: void 0,
@@ -160,15 +161,44 @@ function getUniqueReadings(dictionaryEntry) {
  * @returns {import('anki-templates').Context}
  */
 function getPublicContext(context) {
-    let {documentTitle, query, fullQuery} = context;
+    let {documentTitle, query, fullQuery, cue, book} = context;
     if (typeof documentTitle !== 'string') { documentTitle = ''; }
-    return {
+    /** @type {import('anki-templates').Context} */
+    const result = {
         query,
         fullQuery,
         document: {
             title: documentTitle,
         },
     };
+    if (typeof cue === 'object' && cue !== null) {
+        const {text, startTime, endTime} = cue;
+        result.cue = {
+            text,
+            start: formatCueTime(startTime),
+            end: formatCueTime(endTime),
+            startTime,
+            endTime,
+        };
+    }
+    if (typeof book === 'object' && book !== null) {
+        const {title, chapter} = book;
+        result.book = {title, chapter};
+    }
+    return result;
+}
+
+/**
+ * Formats a media time as `H:MM:SS.mmm`.
+ * @param {number} time The time, in seconds.
+ * @returns {string}
+ */
+function formatCueTime(time) {
+    const milliseconds = Math.max(0, Math.round(time * 1000));
+    const hours = Math.floor(milliseconds / 3600000);
+    const minutes = Math.floor(milliseconds / 60000) % 60;
+    const seconds = Math.floor(milliseconds / 1000) % 60;
+    return `${hours}:${`${minutes}`.padStart(2, '0')}:${`${seconds}`.padStart(2, '0')}.${`${milliseconds % 1000}`.padStart(3, '0')}`;
 }
 
 /**
@@ -0,0 +1,130 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {ExtensionError} from '../core/extension-error.js';
+
+/**
+ * Stores fully rendered Anki notes and their media in the extension's database
+ * while Anki is not available, so that they can be added to Anki later.
+ * The queue implements the same `storeMediaFile` method as `AnkiConnect`,
+ * so it can be used as the target of note media injection.
+ */
+export class AnkiOfflineQueue {
+    /**
+     * @param {import('./user-data-database.js').UserDataDatabase} userDataDatabase
+     * @param {import('../comm/anki-connect.js').AnkiConnect} ankiConnect
+     */
+    constructor(userDataDatabase, ankiConnect) {
+        /** @type {import('./user-data-database.js').UserDataDatabase} */
+        this._userDataDatabase = userDataDatabase;
+        /** @type {import('../comm/anki-connect.js').AnkiConnect} */
+        this._ankiConnect = ankiConnect;
+    }
+
+    /**
+     * Stores a media file for a note which will be queued.
+     * @param {string} fileName The name of the file.
+     * @param {string} content The base64-encoded content of the file.
+     * @returns {Promise<string>} The name of the stored file.
+     */
+    async storeMediaFile(fileName, content) {
+        await this._userDataDatabase.putAnkiOfflineMedia({fileName, content, timestamp: Date.now()});
+        return fileName;
+    }
+
+    /**
+     * Adds a note to the queue. Queued media files which are referenced by the note's fields are associated with it.
+     * @param {import('anki').Note} note
+     */
+    async addNote(note) {
+        const fieldValues = Object.values(note.fields);
+        const fileNames = await this._userDataDatabase.getAnkiOfflineMediaFileNames();
+        const mediaFileNames = fileNames.filter((fileName) => fieldValues.some((value) => value.includes(fileName)));
+        await this._userDataDatabase.addAnkiOfflineNote({note, mediaFileNames, timestamp: Date.now()});
+    }
+
+    /**
+     * @returns {Promise<import('anki-offline-queue').QueuedNoteWithId[]>}
+     */
+    async getNotes() {
+        return await this._userDataDatabase.getAnkiOfflineNotes();
+    }
+
+    /**
+     * @param {string[]} fileNames
+     * @returns {Promise<import('anki-offline-queue').QueuedMedia[]>}
+     */
+    async getMedia(fileNames) {
+        return await this._userDataDatabase.getAnkiOfflineMedia(fileNames);
+    }
+
+    /**
+     * @param {number[]} ids
+     */
+    async removeNotes(ids) {
+        await this._userDataDatabase.deleteAnkiOfflineNotes(ids);
+    }
+
+    /** */
+    async clear() {
+        await this._userDataDatabase.clearAnkiOfflineQueue();
+    }
+
+    /**
+     * Adds all queued notes to Anki, oldest first. Notes which are added successfully are removed from the queue,
+     * while notes which fail remain queued so that they can be retried.
+     * Queued media which is not referenced by any remaining note is removed.
+     * @returns {Promise<import('anki-offline-queue').SyncResult>}
+     * @throws {Error} An error is thrown if Anki is not connected.
+     */
+    async sync() {
+        if (!await this._ankiConnect.isConnected()) {
+            throw new Error('Anki not connected');
+        }
+
+        const queuedNotes = await this.getNotes();
+        /** @type {number[]} */
+        const addedIds = [];
+        /** @type {import('core').SerializedError[]} */
+        const errors = [];
+        for (const {id, note, mediaFileNames} of queuedNotes) {
+            try {
+                const mediaList = await this.getMedia(mediaFileNames);
+                for (const {fileName, content} of mediaList) {
+                    await this._ankiConnect.storeMediaFile(fileName, content);
+                }
+                const noteId = await this._ankiConnect.addNote(note);
+                if (noteId === null) { throw new Error('Note could not be added'); }
+                addedIds.push(id);
+            } catch (e) {
+                errors.push(ExtensionError.serialize(e));
+            }
+        }
+
+        if (addedIds.length > 0) {
+            await this.removeNotes(addedIds);
+        }
+        // Media is stored before its note is queued, so the media of notes which were never queued is removed too
+        await this._userDataDatabase.deleteUnreferencedAnkiOfflineMedia();
+
+        return {
+            addedCount: addedIds.length,
+            remainingCount: queuedNotes.length - addedIds.length,
+            errors,
+        };
+    }
+}
@@ -26,6 +26,8 @@ export function getStandardFieldMarkers(type) {
         case 'term':
             return [
                 'audio',
+                'book-chapter',
+                'book-title',
                 'clipboard-image',
                 'clipboard-text',
                 'cloze-body',
@@ -33,6 +35,9 @@ export function getStandardFieldMarkers(type) {
                 'cloze-prefix',
                 'cloze-suffix',
                 'conjugation',
+                'cue-end',
+                'cue-start',
+                'cue-text',
                 'dictionary',
                 'dictionary-alias',
                 'document-title',
@@ -62,18 +67,24 @@ export function getStandardFieldMarkers(type) {
                 'search-query',
                 'popup-selection-text',
                 'sentence',
+                'sentence-audio',
                 'sentence-furigana',
                 'tags',
                 'url',
             ];
         case 'kanji':
             return [
+                'book-chapter',
+                'book-title',
                 'character',
                 'clipboard-image',
                 'clipboard-text',
                 'cloze-body',
                 'cloze-prefix',
                 'cloze-suffix',
+                'cue-end',
+                'cue-start',
+                'cue-text',
                 'dictionary',
                 'dictionary-alias',
                 'document-title',
@@ -90,6 +101,7 @@ export function getStandardFieldMarkers(type) {
                 'search-query',
                 'popup-selection-text',
                 'sentence',
+                'sentence-audio',
                 'sentence-furigana',
                 'stroke-count',
                 'tags',
@@ -83,4 +83,48 @@ export function isNoteDataValid(note) {
     );
 }
 
+/**
+ * Finds the first rule of a card preset which applies to a dictionary entry.
+ * @param {import('settings').AnkiCardPresetRule[]} rules The rules to check, in order of priority.
+ * @param {import('dictionary').DictionaryEntry} dictionaryEntry The dictionary entry the card is being created for.
+ * @param {string} language The ISO code of the language of the current profile.
+ * @returns {?import('settings').AnkiCardPresetRule} The first matching rule, or `null` if no rule matches.
+ */
+export function getMatchingAnkiCardPresetRule(rules, dictionaryEntry, language) {
+    for (const rule of rules) {
+        if (ankiCardPresetRuleMatches(rule, dictionaryEntry, language)) {
+            return rule;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {import('settings').AnkiCardPresetRule} rule
+ * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+ * @param {string} language
+ * @returns {boolean}
+ */
+function ankiCardPresetRuleMatches({type, value}, dictionaryEntry, language) {
+    if (value.length === 0) { return false; }
+    switch (type) {
+        case 'dictionary':
+            return (
+                dictionaryEntry.type === 'kanji' ?
+                dictionaryEntry.dictionary === value :
+                dictionaryEntry.definitions.some(({dictionary}) => dictionary === value)
+            );
+        case 'language':
+            return language === value;
+        case 'partOfSpeech':
+            if (dictionaryEntry.type !== 'term') { return false; }
+            return (
+                dictionaryEntry.headwords.some(({wordClasses}) => wordClasses.includes(value)) ||
+                dictionaryEntry.definitions.some(({tags}) => tags.some(({category, name}) => category === 'partOfSpeech' && name === value))
+            );
+        default:
+            return false;
+    }
+}
+
 export const INVALID_NOTE_ID = -1;
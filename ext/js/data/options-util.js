@@ -564,6 +564,21 @@ export class OptionsUtil {
             this._updateVersion50,
             this._updateVersion51,
             this._updateVersion52,
+            this._updateVersion53,
+            this._updateVersion54,
+            this._updateVersion55,
+            this._updateVersion56,
+            this._updateVersion57,
+            this._updateVersion58,
+            this._updateVersion59,
+            this._updateVersion60,
+            this._updateVersion61,
+            this._updateVersion62,
+            this._updateVersion63,
+            this._updateVersion64,
+            this._updateVersion65,
+            this._updateVersion66,
+            this._updateVersion67,
         ];
         /* eslint-enable @typescript-eslint/unbound-method */
         if (typeof targetVersion === 'number' && targetVersion < result.length) {
@@ -1498,6 +1513,166 @@ export class OptionsUtil {
         }
     }
 
+    /**
+     * - Added general.enableLookupHistory
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion53(options) {
+        for (const profile of options.profiles) {
+            profile.options.general.enableLookupHistory = false;
+        }
+    }
+
+    /**
+     * - Added anki.cardPresets
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion54(options) {
+        for (const profile of options.profiles) {
+            profile.options.anki.cardPresets = [];
+        }
+    }
+
+    /**
+     * - Added anki.offlineQueue
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion55(options) {
+        for (const profile of options.profiles) {
+            profile.options.anki.offlineQueue = false;
+        }
+    }
+
+    /**
+     * - Added global.dictionaryUpdates
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion56(options) {
+        options.global.dictionaryUpdates = {
+            checkAutomatically: false,
+            checkInterval: 24,
+            updateAutomatically: false,
+        };
+    }
+
+    /**
+     * - Added global.database.glossarySearchSupported
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion57(options) {
+        options.global.database.glossarySearchSupported = false;
+    }
+
+    /**
+     * - Added general.maxPatternSearchResults
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion58(options) {
+        for (const profile of options.profiles) {
+            profile.options.general.maxPatternSearchResults = 500;
+        }
+    }
+
+    /**
+     * - Added wordStatus
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion59(options) {
+        for (const profile of options.profiles) {
+            profile.options.wordStatus = {
+                highlightUnknownWords: false,
+                highlightLearningWords: false,
+                ankiField: '',
+                ankiKnownQuery: 'prop:ivl>=21',
+                ankiLearningQuery: 'prop:ivl<21',
+            };
+        }
+    }
+
+    /**
+     * - Added general.enableJyutpingInput
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion60(options) {
+        for (const profile of options.profiles) {
+            profile.options.general.enableJyutpingInput = false;
+        }
+    }
+
+    /**
+     * - Added general.enableRomanizationInput
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion61(options) {
+        for (const profile of options.profiles) {
+            profile.options.general.enableRomanizationInput = false;
+        }
+    }
+
+    /**
+     * - Added translation.searchRoots
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion62(options) {
+        for (const profile of options.profiles) {
+            profile.options.translation.searchRoots = false;
+        }
+    }
+
+    /**
+     * - Added scanning.enableVideoSubtitles
+     * - Added scanning.pauseVideoOnPopup
+     * - Added {cue-start}, {cue-end} and {cue-text} field markers.
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion63(options) {
+        await this._applyAnkiFieldTemplatesPatch(options, '/data/templates/anki-field-templates-upgrade-v63.handlebars');
+        for (const profile of options.profiles) {
+            profile.options.scanning.enableVideoSubtitles = false;
+            profile.options.scanning.pauseVideoOnPopup = false;
+        }
+    }
+
+    /**
+     * - Added anki.sentenceAudio
+     * - Added {sentence-audio} field marker.
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion64(options) {
+        await this._applyAnkiFieldTemplatesPatch(options, '/data/templates/anki-field-templates-upgrade-v64.handlebars');
+        for (const profile of options.profiles) {
+            profile.options.anki.sentenceAudio = {windowBefore: 5, windowAfter: 1};
+        }
+    }
+
+    /**
+     * - Added general.openPdfLinksInViewer.
+     * @type {import('options-util').UpdateFunction}
+     */
+    _updateVersion65(options) {
+        for (const profile of options.profiles) {
+            profile.options.general.openPdfLinksInViewer = false;
+        }
+    }
+
+    /**
+     * - Added {book-title} and {book-chapter} field markers.
+     * @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion66(options) {
+        await this._applyAnkiFieldTemplatesPatch(options, '/data/templates/anki-field-templates-upgrade-v66.handlebars');
+    }
+
+    /**
+     * - Added general.questionMarkWildcard.
+     * @type {import('options-util').UpdateFunction}
+     */
+    _updateVersion67(options) {
+        for (const profile of options.profiles) {
+            profile.options.general.questionMarkWildcard = false;
+        }
+    }
+
     /**
      * @param {string} url
      * @returns {Promise<chrome.tabs.Tab>}
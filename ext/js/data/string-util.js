@@ -68,3 +68,13 @@ export function readCodePointsBackward(text, position, count) {
     }
     return result;
 }
+
+/**
+ * Escapes a field of a CSV file, as described by RFC 4180.
+ * Fields which contain quotes, commas, or line breaks are quoted, and quotes inside them are doubled.
+ * @param {string} field The value of the field.
+ * @returns {string} The escaped field.
+ */
+export function escapeCsvField(field) {
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
@@ -0,0 +1,340 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {Database} from './database.js';
+
+/**
+ * Stores data created by the user, such as the lookup history, the offline Anki note queue, and word statuses.
+ * This is kept separate from the dictionary database so that it is not lost when the dictionary database is purged.
+ */
+export class UserDataDatabase {
+    constructor() {
+        /** @type {Database<import('user-data-database').ObjectStoreName>} */
+        this._db = new Database();
+        /** @type {string} */
+        this._dbName = 'userData';
+    }
+
+    /** */
+    async prepare() {
+        await this._db.open(
+            this._dbName,
+            30,
+            /** @type {import('database').StructureDefinition<import('user-data-database').ObjectStoreName>[]} */
+            ([
+                /** @type {import('database').StructureDefinition<import('user-data-database').ObjectStoreName>} */
+                ({
+                    version: 10,
+                    stores: {
+                        lookupHistory: {
+                            primaryKey: {keyPath: 'id', autoIncrement: true},
+                            indices: ['term', 'timestamp', 'profile'],
+                        },
+                    },
+                }),
+                {
+                    version: 20,
+                    stores: {
+                        ankiOfflineNotes: {
+                            primaryKey: {keyPath: 'id', autoIncrement: true},
+                            indices: ['timestamp'],
+                        },
+                        ankiOfflineMedia: {
+                            primaryKey: {keyPath: 'fileName', autoIncrement: false},
+                            indices: [],
+                        },
+                    },
+                },
+                {
+                    version: 30,
+                    stores: {
+                        wordStatuses: {
+                            primaryKey: {keyPath: 'term', autoIncrement: false},
+                            indices: ['status', 'source'],
+                        },
+                    },
+                },
+            ]),
+        );
+    }
+
+    /** */
+    async close() {
+        this._db.close();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isPrepared() {
+        return this._db.isOpen();
+    }
+
+    /**
+     * @param {import('lookup-history').LookupHistoryEntry} entry
+     * @returns {Promise<void>}
+     */
+    addLookupHistoryEntry(entry) {
+        return this._db.bulkAdd('lookupHistory', [entry], 0, 1);
+    }
+
+    /**
+     * Returns the lookup history entries matching the filter, most recent first.
+     * @param {import('lookup-history').LookupHistoryFilter} filter
+     * @returns {Promise<import('lookup-history').LookupHistoryEntryWithId[]>}
+     */
+    getLookupHistory({query, profile, limit}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['lookupHistory'], 'readonly');
+            const index = transaction.objectStore('lookupHistory').index('timestamp');
+            query = query.toLowerCase();
+            /** @type {import('lookup-history').LookupHistoryEntryWithId[]} */
+            const results = [];
+            const request = index.openCursor(null, 'prev');
+            request.onerror = (e) => reject(/** @type {IDBRequest<?IDBCursorWithValue>} */ (e.target).error);
+            request.onsuccess = (e) => {
+                const cursor = /** @type {IDBRequest<?IDBCursorWithValue>} */ (e.target).result;
+                if (!cursor) {
+                    resolve(results);
+                    return;
+                }
+                /** @type {unknown} */
+                const value = cursor.value;
+                const entry = /** @type {import('lookup-history').LookupHistoryEntryWithId} */ (value);
+                if (
+                    (profile === null || entry.profile === profile) &&
+                    (query.length === 0 || this._lookupHistoryEntryContains(entry, query))
+                ) {
+                    results.push(entry);
+                    if (limit !== null && results.length >= limit) {
+                        resolve(results);
+                        return;
+                    }
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    clearLookupHistory() {
+        return this._db.bulkDelete('lookupHistory', null, IDBKeyRange.lowerBound(0));
+    }
+
+    /**
+     * @param {import('anki-offline-queue').QueuedNote} queuedNote
+     * @returns {Promise<void>}
+     */
+    addAnkiOfflineNote(queuedNote) {
+        return this._db.bulkAdd('ankiOfflineNotes', [queuedNote], 0, 1);
+    }
+
+    /**
+     * Returns all queued Anki notes, oldest first.
+     * @returns {Promise<import('anki-offline-queue').QueuedNoteWithId[]>}
+     */
+    getAnkiOfflineNotes() {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['ankiOfflineNotes'], 'readonly');
+            const index = transaction.objectStore('ankiOfflineNotes').index('timestamp');
+            this._db.getAll(
+                index,
+                null,
+                (results) => resolve(/** @type {import('anki-offline-queue').QueuedNoteWithId[]} */ (results)),
+                reject,
+                null,
+            );
+        });
+    }
+
+    /**
+     * Removes queued Anki notes, along with any queued media files which are no longer referenced by a remaining note.
+     * @param {number[]} ids
+     * @returns {Promise<void>}
+     */
+    async deleteAnkiOfflineNotes(ids) {
+        const idSet = new Set(ids);
+        await this._db.bulkDelete('ankiOfflineNotes', null, IDBKeyRange.lowerBound(0), (keys) => keys.filter((key) => idSet.has(/** @type {number} */ (key))));
+        await this.deleteUnreferencedAnkiOfflineMedia();
+    }
+
+    /**
+     * Removes queued media files which are not referenced by any queued note.
+     * @returns {Promise<void>}
+     */
+    async deleteUnreferencedAnkiOfflineMedia() {
+        /** @type {Set<IDBValidKey>} */
+        const referencedFileNames = new Set();
+        for (const {mediaFileNames} of await this.getAnkiOfflineNotes()) {
+            for (const fileName of mediaFileNames) {
+                referencedFileNames.add(fileName);
+            }
+        }
+        await this._db.bulkDelete('ankiOfflineMedia', null, IDBKeyRange.lowerBound(''), (keys) => keys.filter((key) => !referencedFileNames.has(key)));
+    }
+
+    /**
+     * Stores a queued media file, replacing any existing file with the same name.
+     * @param {import('anki-offline-queue').QueuedMedia} media
+     * @returns {Promise<void>}
+     */
+    putAnkiOfflineMedia(media) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['ankiOfflineMedia'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+            transaction.objectStore('ankiOfflineMedia').put(media);
+            transaction.commit();
+        });
+    }
+
+    /**
+     * Returns the queued media files with the given names. Names which do not exist are skipped.
+     * @param {string[]} fileNames
+     * @returns {Promise<import('anki-offline-queue').QueuedMedia[]>}
+     */
+    getAnkiOfflineMedia(fileNames) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['ankiOfflineMedia'], 'readonly');
+            const objectStore = transaction.objectStore('ankiOfflineMedia');
+            /** @type {import('anki-offline-queue').QueuedMedia[]} */
+            const results = [];
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.oncomplete = () => resolve(results);
+            for (const fileName of fileNames) {
+                const request = objectStore.get(fileName);
+                request.onsuccess = () => {
+                    /** @type {unknown} */
+                    const value = request.result;
+                    if (typeof value !== 'undefined') {
+                        results.push(/** @type {import('anki-offline-queue').QueuedMedia} */ (value));
+                    }
+                };
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    getAnkiOfflineMediaFileNames() {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['ankiOfflineMedia'], 'readonly');
+            const objectStore = transaction.objectStore('ankiOfflineMedia');
+            this._db.getAllKeys(objectStore, IDBKeyRange.lowerBound(''), (keys) => resolve(/** @type {string[]} */ (keys)), reject);
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async clearAnkiOfflineQueue() {
+        await this._db.bulkDelete('ankiOfflineNotes', null, IDBKeyRange.lowerBound(0));
+        await this._db.bulkDelete('ankiOfflineMedia', null, IDBKeyRange.lowerBound(''));
+    }
+
+    /**
+     * Returns the stored statuses of the given words. Words which do not have a stored status are skipped.
+     * @param {string[]} terms
+     * @returns {Promise<import('word-status').WordStatus[]>}
+     */
+    getWordStatuses(terms) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['wordStatuses'], 'readonly');
+            const objectStore = transaction.objectStore('wordStatuses');
+            /** @type {import('word-status').WordStatus[]} */
+            const results = [];
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.oncomplete = () => resolve(results);
+            for (const term of terms) {
+                const request = objectStore.get(term);
+                request.onsuccess = () => {
+                    /** @type {unknown} */
+                    const value = request.result;
+                    if (typeof value !== 'undefined') {
+                        results.push(/** @type {import('word-status').WordStatus} */ (value));
+                    }
+                };
+            }
+        });
+    }
+
+    /**
+     * Stores word statuses, replacing any existing statuses of the same words.
+     * @param {import('word-status').WordStatus[]} wordStatuses
+     * @returns {Promise<void>}
+     */
+    putWordStatuses(wordStatuses) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['wordStatuses'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+            const objectStore = transaction.objectStore('wordStatuses');
+            for (const wordStatus of wordStatuses) {
+                objectStore.put(wordStatus);
+            }
+            transaction.commit();
+        });
+    }
+
+    /**
+     * Deletes the word statuses which came from a source, or all word statuses if the source is `null`.
+     * @param {?import('word-status').Source} source
+     * @returns {Promise<void>}
+     */
+    deleteWordStatuses(source) {
+        return source !== null ?
+            this._db.bulkDelete('wordStatuses', 'source', IDBKeyRange.only(source)) :
+            this._db.bulkDelete('wordStatuses', null, IDBKeyRange.lowerBound(''));
+    }
+
+    /**
+     * @returns {Promise<import('word-status').StatusCounts>}
+     */
+    getWordStatusCounts() {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['wordStatuses'], 'readonly');
+            const index = transaction.objectStore('wordStatuses').index('status');
+            /** @type {import('word-status').Status[]} */
+            const statuses = ['known', 'learning', 'unknown'];
+            this._db.bulkCount(
+                statuses.map((status) => [index, IDBKeyRange.only(status)]),
+                ([known, learning, unknown]) => resolve({known, learning, unknown}),
+                reject,
+            );
+        });
+    }
+
+    // Private
+
+    /**
+     * @param {import('lookup-history').LookupHistoryEntry} entry
+     * @param {string} query
+     * @returns {boolean}
+     */
+    _lookupHistoryEntryContains({term, reading, sentence}, query) {
+        return (
+            term.toLowerCase().includes(query) ||
+            reading.toLowerCase().includes(query) ||
+            sentence.toLowerCase().includes(query)
+        );
+    }
+}
@@ -0,0 +1,181 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The maximum number of notes requested from Anki at once when importing word statuses.
+ */
+const notesInfoBatchSize = 1000;
+
+/**
+ * Gets the word contained in an Anki field value.
+ * HTML markup and furigana in the `漢字[かんじ]` format are removed, along with any whitespace.
+ * @param {string} value The raw field value.
+ * @returns {string} The word, or an empty string if the field does not contain any text.
+ */
+export function getAnkiFieldWord(value) {
+    return value
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/\[[^\]]*\]/g, '')
+        .replace(/\s+/g, '');
+}
+
+/**
+ * Stores whether words are known, being learned, or unknown.
+ * Statuses can be set manually or imported from Anki, and manually set statuses
+ * take precedence over imported ones.
+ */
+export class WordStatusStore {
+    /**
+     * @param {import('./user-data-database.js').UserDataDatabase} userDataDatabase
+     * @param {import('../comm/anki-connect.js').AnkiConnect} ankiConnect
+     */
+    constructor(userDataDatabase, ankiConnect) {
+        /** @type {import('./user-data-database.js').UserDataDatabase} */
+        this._userDataDatabase = userDataDatabase;
+        /** @type {import('../comm/anki-connect.js').AnkiConnect} */
+        this._ankiConnect = ankiConnect;
+    }
+
+    /**
+     * Gets the statuses of words. Words which do not have a stored status are `unknown`.
+     * @param {string[]} terms
+     * @returns {Promise<Map<string, import('word-status').Status>>}
+     */
+    async getStatuses(terms) {
+        const uniqueTerms = [...new Set(terms)];
+        /** @type {Map<string, import('word-status').Status>} */
+        const results = new Map(uniqueTerms.map((term) => [term, 'unknown']));
+        for (const {term, status} of await this._userDataDatabase.getWordStatuses(uniqueTerms)) {
+            results.set(term, status);
+        }
+        return results;
+    }
+
+    /**
+     * Manually sets the status of a word.
+     * @param {string} term
+     * @param {import('word-status').Status} status
+     */
+    async setStatus(term, status) {
+        await this._userDataDatabase.putWordStatuses([{term, status, source: 'manual', timestamp: Date.now()}]);
+    }
+
+    /**
+     * @returns {Promise<import('word-status').StatusCounts>}
+     */
+    async getCounts() {
+        return await this._userDataDatabase.getWordStatusCounts();
+    }
+
+    /** */
+    async clear() {
+        await this._userDataDatabase.deleteWordStatuses(null);
+    }
+
+    /**
+     * Replaces all of the statuses which were previously imported from Anki with the words of the notes matching the queries.
+     * Words matching both queries are known. Words which have a manually set status are not changed.
+     * @param {import('word-status').AnkiImportDetails} details
+     * @returns {Promise<import('word-status').AnkiImportResult>}
+     * @throws {Error} An error is thrown if Anki is not connected.
+     */
+    async importFromAnki({knownQuery, learningQuery, field}) {
+        if (!await this._ankiConnect.isConnected()) {
+            throw new Error('Anki not connected');
+        }
+
+        /** @type {Map<string, import('word-status').Status>} */
+        const statuses = new Map();
+        for (const term of await this._getAnkiWords(learningQuery, field)) {
+            statuses.set(term, 'learning');
+        }
+        for (const term of await this._getAnkiWords(knownQuery, field)) {
+            statuses.set(term, 'known');
+        }
+
+        for (const {term, source} of await this._userDataDatabase.getWordStatuses([...statuses.keys()])) {
+            if (source === 'manual') { statuses.delete(term); }
+        }
+
+        const timestamp = Date.now();
+        /** @type {import('word-status').WordStatus[]} */
+        const wordStatuses = [];
+        let knownCount = 0;
+        let learningCount = 0;
+        for (const [term, status] of statuses) {
+            wordStatuses.push({term, status, source: 'anki', timestamp});
+            if (status === 'known') {
+                ++knownCount;
+            } else {
+                ++learningCount;
+            }
+        }
+
+        await this._userDataDatabase.deleteWordStatuses('anki');
+        await this._userDataDatabase.putWordStatuses(wordStatuses);
+        return {knownCount, learningCount};
+    }
+
+    /**
+     * @param {string} query
+     * @param {string} field
+     * @returns {Promise<Set<string>>}
+     */
+    async _getAnkiWords(query, field) {
+        /** @type {Set<string>} */
+        const results = new Set();
+        if (query.trim().length === 0) { return results; }
+
+        const noteIds = await this._ankiConnect.findNotes(query);
+        for (let i = 0, ii = noteIds.length; i < ii; i += notesInfoBatchSize) {
+            const notesInfo = await this._ankiConnect.notesInfo(noteIds.slice(i, i + notesInfoBatchSize));
+            for (const noteInfo of notesInfo) {
+                if (noteInfo === null) { continue; }
+                const value = this._getAnkiFieldValue(noteInfo, field);
+                if (value === null) { continue; }
+                const term = getAnkiFieldWord(value);
+                if (term.length > 0) { results.add(term); }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * @param {import('anki').NoteInfo} noteInfo
+     * @param {string} field
+     * @returns {?string}
+     */
+    _getAnkiFieldValue({fields}, field) {
+        if (field.length > 0) {
+            return Object.prototype.hasOwnProperty.call(fields, field) ? fields[field].value : null;
+        }
+        let result = null;
+        let resultOrder = Number.POSITIVE_INFINITY;
+        for (const {value, order} of Object.values(fields)) {
+            if (order < resultOrder) {
+                result = value;
+                resultOrder = order;
+            }
+        }
+        return result;
+    }
+}
@@ -59,7 +59,7 @@ export class DictionaryDatabase {
     async prepare() {
         await this._db.open(
             this._dbName,
-            60,
+            70,
             /** @type {import('database').StructureDefinition<import('dictionary-database').ObjectStoreName>[]} */
             ([
                 /** @type {import('database').StructureDefinition<import('dictionary-database').ObjectStoreName>} */
@@ -128,6 +128,16 @@ export class DictionaryDatabase {
                         },
                     },
                 },
+                {
+                    version: 70,
+                    stores: {
+                        terms: {
+                            primaryKey: {keyPath: 'id', autoIncrement: true},
+                            indices: ['dictionary', 'expression', 'reading', 'sequence', 'expressionReverse', 'readingReverse'],
+                            multiEntryIndices: ['glossaryTokens'],
+                        },
+                    },
+                },
             ]),
         );
     }
@@ -228,6 +238,43 @@ export class DictionaryDatabase {
         }
     }
 
+    /**
+     * Replaces an installed dictionary with a dictionary whose data was added under a temporary title.
+     * The installed dictionary is deleted, the added data is renamed to the title of the summary, and the summary is added,
+     * all in a single transaction, so that the installed dictionary is kept if anything fails.
+     * @param {string} replacedTitle The title of the installed dictionary.
+     * @param {string} temporaryTitle The title which the data of the new dictionary was added under.
+     * @param {import('dictionary-importer').Summary} summary The summary of the new dictionary.
+     * @returns {Promise<void>}
+     */
+    replaceDictionary(replacedTitle, temporaryTitle, summary) {
+        return new Promise((resolve, reject) => {
+            /** @type {import('dictionary-database').ObjectStoreName[]} */
+            const objectStoreNames = ['kanji', 'kanjiMeta', 'terms', 'termMeta', 'tagMeta', 'media'];
+            const transaction = this._db.transaction([...objectStoreNames, 'dictionaries'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+
+            for (const objectStoreName of objectStoreNames) {
+                const index = transaction.objectStore(objectStoreName).index('dictionary');
+                this._forEachCursorRow(index.openCursor(IDBKeyRange.only(replacedTitle)), (cursor) => { cursor.delete(); }, () => {
+                    this._forEachCursorRow(index.openCursor(IDBKeyRange.only(temporaryTitle)), (cursor) => {
+                        /** @type {unknown} */
+                        const value = cursor.value;
+                        const row = /** @type {{dictionary: string}} */ (value);
+                        cursor.update({...row, dictionary: summary.title});
+                    }, null);
+                });
+            }
+
+            const dictionaries = transaction.objectStore('dictionaries');
+            this._forEachCursorRow(dictionaries.index('title').openCursor(IDBKeyRange.only(replacedTitle)), (cursor) => { cursor.delete(); }, () => {
+                dictionaries.add(summary);
+            });
+        });
+    }
+
     /**
      * @param {string[]} termList
      * @param {import('dictionary-database').DictionarySet} dictionaries
@@ -262,6 +309,123 @@ export class DictionaryDatabase {
         return this._findMultiBulk('terms', indexNames, termList, createQuery, predicate, createResult);
     }
 
+    /**
+     * Finds terms whose glossaries contain all of the given search tokens.
+     * Only terms which were imported with glossary search support are indexed.
+     * @param {string[]} tokens The tokens to search for, as created by `getGlossarySearchTokens`.
+     * @param {import('dictionary-database').DictionarySet} dictionaries
+     * @param {number} limit The maximum number of terms to return.
+     * @returns {Promise<import('dictionary-database').TermEntry[]>}
+     */
+    findTermsByGlossary(tokens, dictionaries, limit) {
+        return new Promise((resolve, reject) => {
+            /** @type {import('dictionary-database').TermEntry[]} */
+            const results = [];
+            if (tokens.length === 0 || limit <= 0) {
+                resolve(results);
+                return;
+            }
+
+            // The longest token is likely to be the most specific one, so it is used for the index query.
+            let queryToken = tokens[0];
+            for (const token of tokens) {
+                if (token.length > queryToken.length) { queryToken = token; }
+            }
+            const transaction = this._db.transaction(['terms'], 'readonly');
+            const index = transaction.objectStore('terms').index('glossaryTokens');
+            const request = index.openCursor(IDBKeyRange.only(queryToken));
+            request.onerror = (e) => reject(/** @type {IDBRequest<?IDBCursorWithValue>} */ (e.target).error);
+            request.onsuccess = (e) => {
+                const cursor = /** @type {IDBRequest<?IDBCursorWithValue>} */ (e.target).result;
+                if (!cursor) {
+                    resolve(results);
+                    return;
+                }
+                /** @type {unknown} */
+                const value = cursor.value;
+                const row = /** @type {import('dictionary-database').DatabaseTermEntryWithId} */ (value);
+                const {glossaryTokens} = row;
+                if (
+                    dictionaries.has(row.dictionary) &&
+                    typeof glossaryTokens !== 'undefined' &&
+                    tokens.every((token) => glossaryTokens.includes(token))
+                ) {
+                    results.push(this._createTerm('glossary', 'exact', row, 0));
+                    if (results.length >= limit) {
+                        resolve(results);
+                        return;
+                    }
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Finds terms whose expression or reading matches a regular expression, in the order of their expressions.
+     * Since every term has to be tested, the terms are searched in pages which end once enough terms are found.
+     * Each page returns the index position of the term after it, so that the next page continues from that term
+     * instead of searching the index again.
+     * @param {RegExp} pattern The regular expression to test expressions and readings with.
+     * @param {import('dictionary-database').DictionarySet} dictionaries
+     * @param {?import('dictionary-database').TermPosition} after The position which the search starts at,
+     *   or `null` to search all terms.
+     * @param {number} limit The number of terms after which the page ends. Terms with the same expression as the last term
+     *   are always included, so that the terms of a headword are not split across pages.
+     * @returns {Promise<import('dictionary-database').FindTermsByPatternResult>}
+     */
+    findTermsByPattern(pattern, dictionaries, after, limit) {
+        return new Promise((resolve, reject) => {
+            /** @type {import('dictionary-database').TermEntry[]} */
+            const entries = [];
+            /** @type {?string} */
+            let lastExpression = null;
+            /** @type {?import('dictionary-database').TermPosition} */
+            let startPosition = after;
+            const transaction = this._db.transaction(['terms'], 'readonly');
+            const index = transaction.objectStore('terms').index('expression');
+            const request = index.openCursor(after !== null ? IDBKeyRange.lowerBound(after.expression) : null);
+            request.onerror = (e) => reject(/** @type {IDBRequest<?IDBCursorWithValue>} */ (e.target).error);
+            request.onsuccess = (e) => {
+                const cursor = /** @type {IDBRequest<?IDBCursorWithValue>} */ (e.target).result;
+                if (!cursor) {
+                    resolve({entries, next: null});
+                    return;
+                }
+                if (startPosition !== null) {
+                    const {expression, id} = startPosition;
+                    startPosition = null;
+                    // Terms of the same expression are sorted by their primary keys, so the cursor can be moved directly to the start position
+                    if (cursor.key === expression && /** @type {number} */ (cursor.primaryKey) < id) {
+                        cursor.continuePrimaryKey(expression, id);
+                        return;
+                    }
+                }
+                /** @type {unknown} */
+                const value = cursor.value;
+                const row = /** @type {import('dictionary-database').DatabaseTermEntryWithId} */ (value);
+                if (lastExpression !== null && row.expression !== lastExpression) {
+                    resolve({entries, next: {expression: row.expression, id: row.id}});
+                    return;
+                }
+                if (dictionaries.has(row.dictionary)) {
+                    /** @type {?import('dictionary-database').MatchSource} */
+                    let matchSource = null;
+                    if (pattern.test(row.expression)) {
+                        matchSource = 'term';
+                    } else if (pattern.test(row.reading)) {
+                        matchSource = 'reading';
+                    }
+                    if (matchSource !== null) {
+                        entries.push(this._createTerm(matchSource, 'pattern', row, 0));
+                        if (entries.length >= limit) { lastExpression = row.expression; }
+                    }
+                }
+                cursor.continue();
+            };
+        });
+    }
+
     /**
      * @param {import('dictionary-database').TermExactRequest[]} termList
      * @param {import('dictionary-database').DictionarySet} dictionaries
@@ -357,6 +521,109 @@ export class DictionaryDatabase {
         });
     }
 
+    /**
+     * Gets all of the rows of a dictionary in an object store, in the order that they were added.
+     * @template {import('dictionary-exporter').DictionaryDataObjectStoreName} T
+     * @param {T} objectStoreName
+     * @param {string} dictionaryName
+     * @returns {Promise<import('dictionary-database').ObjectStoreData<T>[]>}
+     */
+    getDictionaryData(objectStoreName, dictionaryName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction([objectStoreName], 'readonly');
+            const index = transaction.objectStore(objectStoreName).index('dictionary');
+            this._db.getAll(index, IDBKeyRange.only(dictionaryName), resolve, reject, null);
+        });
+    }
+
+    /**
+     * Replaces the summary of an installed dictionary with the same title.
+     * @param {import('dictionary-importer').Summary} summary
+     * @returns {Promise<void>}
+     */
+    updateDictionarySummary(summary) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['dictionaries'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+            const request = transaction.objectStore('dictionaries').index('title').openCursor(IDBKeyRange.only(summary.title));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) { cursor.update(summary); }
+            };
+        });
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<?import('dictionary-database').DatabaseTermEntryWithId>}
+     */
+    getTermEntry(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['terms'], 'readonly');
+            const request = transaction.objectStore('terms').get(id);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                /** @type {unknown} */
+                const value = request.result;
+                resolve(typeof value !== 'undefined' ? /** @type {import('dictionary-database').DatabaseTermEntryWithId} */ (value) : null);
+            };
+        });
+    }
+
+    /**
+     * Adds a term, or replaces the existing term if the entry has an `id`.
+     * @param {import('dictionary-database').DatabaseTermEntry|import('dictionary-database').DatabaseTermEntryWithId} entry
+     * @returns {Promise<number>} The `id` of the term.
+     */
+    putTermEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['terms'], 'readwrite');
+            const request = transaction.objectStore('terms').put(entry);
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve(/** @type {number} */ (request.result));
+            transaction.commit();
+        });
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    deleteTermEntry(id) {
+        return this._db.delete('terms', id);
+    }
+
+    /**
+     * Deletes metadata rows of a term in a dictionary.
+     * @param {string} term
+     * @param {string} dictionaryName
+     * @param {(row: import('dictionary-database').DatabaseTermMeta) => boolean} predicate Returns whether a row should be deleted.
+     * @returns {Promise<void>}
+     */
+    deleteTermMeta(term, dictionaryName, predicate) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['termMeta'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+            const request = transaction.objectStore('termMeta').index('expression').openCursor(IDBKeyRange.only(term));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) { return; }
+                /** @type {unknown} */
+                const value = cursor.value;
+                const row = /** @type {import('dictionary-database').DatabaseTermMeta} */ (value);
+                if (row.dictionary === dictionaryName && predicate(row)) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+        });
+    }
+
     /**
      * @param {string[]} dictionaryNames
      * @param {boolean} getTotal
@@ -442,6 +709,24 @@ export class DictionaryDatabase {
 
     // Private
 
+    /**
+     * Calls a function with the cursor of every row of a cursor request, followed by a function once all rows have been visited.
+     * @param {IDBRequest<?IDBCursorWithValue>} request
+     * @param {(cursor: IDBCursorWithValue) => void} onRow
+     * @param {?() => void} onComplete
+     */
+    _forEachCursorRow(request, onRow, onComplete) {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor === null) {
+                if (onComplete !== null) { onComplete(); }
+                return;
+            }
+            onRow(cursor);
+            cursor.continue();
+        };
+    }
+
     /**
      * @template [TRow=unknown]
      * @template [TItem=unknown]
@@ -0,0 +1,262 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    ZipWriter as ZipWriter0,
+    configure,
+} from '../../lib/zip.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+/**
+ * Creates version 3 dictionary archives from the data of installed dictionaries,
+ * performing the reverse of the conversions done by `DictionaryImporter`.
+ */
+export class DictionaryExporter {
+    /**
+     * @param {import('dictionary-exporter').OnProgressCallback} [onProgress]
+     */
+    constructor(onProgress) {
+        /** @type {import('dictionary-exporter').OnProgressCallback} */
+        this._onProgress = typeof onProgress === 'function' ? onProgress : () => {};
+        /** @type {import('dictionary-exporter').ProgressData} */
+        this._progressData = {index: 0, count: 0};
+        /** @type {number} */
+        this._bankSize = 10000;
+    }
+
+    /**
+     * Creates an archive of an installed dictionary, which can be imported in the same way as the original archive.
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {string} dictionaryTitle
+     * @param {import('dictionary-exporter').ExportDetails} details
+     * @returns {Promise<Blob>}
+     * @throws {Error}
+     */
+    async exportDictionary(dictionaryDatabase, dictionaryTitle, details) {
+        if (!dictionaryDatabase) {
+            throw new Error('Invalid database');
+        }
+        if (!dictionaryDatabase.isPrepared()) {
+            throw new Error('Database is not ready');
+        }
+
+        const summary = (await dictionaryDatabase.getDictionaryInfo()).find(({title}) => title === dictionaryTitle);
+        if (typeof summary === 'undefined') {
+            throw new Error(`Dictionary ${dictionaryTitle} is not installed`);
+        }
+
+        const {counts} = summary;
+        this._progressData = {
+            index: 0,
+            count: counts.terms.total + counts.termMeta.total + counts.kanji.total + counts.kanjiMeta.total + counts.tagMeta.total + counts.media.total,
+        };
+        this._progress();
+
+        configure({
+            workerScripts: {
+                deflate: ['../../lib/z-worker.js'],
+                inflate: ['../../lib/z-worker.js'],
+            },
+        });
+
+        const zipWriter = new ZipWriter(new BlobWriter(), {level: details.compressionLevel});
+        await zipWriter.add('index.json', new TextReader(JSON.stringify(this._createIndex(summary))));
+        if (summary.styles.length > 0) {
+            await zipWriter.add('styles.css', new TextReader(summary.styles));
+        }
+        if (typeof summary.transforms !== 'undefined') {
+            await zipWriter.add('transforms.json', new TextReader(JSON.stringify(summary.transforms)));
+        }
+
+        const terms = await dictionaryDatabase.getDictionaryData('terms', dictionaryTitle);
+        await this._addBanks(zipWriter, 'term_bank', terms.map((entry) => this._convertTermEntry(entry)));
+        const termMeta = await dictionaryDatabase.getDictionaryData('termMeta', dictionaryTitle);
+        await this._addBanks(zipWriter, 'term_meta_bank', termMeta.map((entry) => this._convertTermMetaEntry(entry)));
+        const kanji = await dictionaryDatabase.getDictionaryData('kanji', dictionaryTitle);
+        await this._addBanks(zipWriter, 'kanji_bank', kanji.map((entry) => this._convertKanjiEntry(entry)));
+        const kanjiMeta = await dictionaryDatabase.getDictionaryData('kanjiMeta', dictionaryTitle);
+        await this._addBanks(zipWriter, 'kanji_meta_bank', kanjiMeta.map((entry) => this._convertKanjiMetaEntry(entry)));
+        const tags = await dictionaryDatabase.getDictionaryData('tagMeta', dictionaryTitle);
+        await this._addBanks(zipWriter, 'tag_bank', tags.map((entry) => this._convertTag(entry)));
+
+        const media = await dictionaryDatabase.getDictionaryData('media', dictionaryTitle);
+        for (const {path, content} of media) {
+            await zipWriter.add(path, new Uint8ArrayReader(new Uint8Array(content)));
+            ++this._progressData.index;
+            this._progress();
+        }
+
+        return await zipWriter.close();
+    }
+
+    // Private
+
+    /** */
+    _progress() {
+        this._onProgress({...this._progressData});
+    }
+
+    /**
+     * @param {import('@zip.js/zip.js').ZipWriter<Blob>} zipWriter
+     * @param {string} fileNamePrefix
+     * @param {unknown[]} entries
+     */
+    async _addBanks(zipWriter, fileNamePrefix, entries) {
+        const bankSize = this._bankSize;
+        for (let i = 0, ii = entries.length; i < ii; i += bankSize) {
+            const bank = entries.slice(i, i + bankSize);
+            await zipWriter.add(`${fileNamePrefix}_${i / bankSize + 1}.json`, new TextReader(JSON.stringify(bank)));
+            this._progressData.index += bank.length;
+            this._progress();
+        }
+    }
+
+    /**
+     * @param {import('dictionary-importer').Summary} summary
+     * @returns {import('dictionary-data').Index}
+     */
+    _createIndex(summary) {
+        const {title, revision, sequenced, isUpdatable, indexUrl, downloadUrl, author, url, description, attribution, sourceLanguage, targetLanguage, frequencyMode} = summary;
+        /** @type {import('dictionary-data').Index} */
+        const index = {title, revision, sequenced, format: 3};
+        if (isUpdatable === true && typeof indexUrl === 'string' && typeof downloadUrl === 'string') {
+            index.isUpdatable = true;
+            index.indexUrl = indexUrl;
+            index.downloadUrl = downloadUrl;
+        }
+        if (typeof author === 'string') { index.author = author; }
+        if (typeof url === 'string') { index.url = url; }
+        if (typeof description === 'string') { index.description = description; }
+        if (typeof attribution === 'string') { index.attribution = attribution; }
+        if (typeof sourceLanguage === 'string') { index.sourceLanguage = sourceLanguage; }
+        if (typeof targetLanguage === 'string') { index.targetLanguage = targetLanguage; }
+        if (typeof frequencyMode === 'string') { index.frequencyMode = frequencyMode; }
+        return index;
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseTermEntry} entry
+     * @returns {import('dictionary-data').TermV3}
+     */
+    _convertTermEntry({expression, reading, definitionTags, tags, rules, score, glossary, sequence, termTags}) {
+        return [
+            expression,
+            reading,
+            definitionTags ?? tags ?? null,
+            rules,
+            score,
+            glossary.map((item) => this._convertTermGlossary(item)),
+            typeof sequence === 'number' ? sequence : 0,
+            termTags ?? '',
+        ];
+    }
+
+    /**
+     * @param {import('dictionary-data').TermGlossary} glossary
+     * @returns {import('dictionary-data').TermGlossary}
+     */
+    _convertTermGlossary(glossary) {
+        if (typeof glossary !== 'object' || glossary === null || Array.isArray(glossary)) { return glossary; }
+        switch (glossary.type) {
+            case 'image':
+                return this._convertImage(glossary);
+            case 'structured-content':
+                return {type: 'structured-content', content: this._convertStructuredContent(glossary.content)};
+            default:
+                return glossary;
+        }
+    }
+
+    /**
+     * @param {import('structured-content').Content} content
+     * @returns {import('structured-content').Content}
+     */
+    _convertStructuredContent(content) {
+        if (typeof content !== 'object' || content === null) { return content; }
+        if (Array.isArray(content)) {
+            return content.map((item) => this._convertStructuredContent(item));
+        }
+        switch (content.tag) {
+            case 'img':
+                return this._convertImage(content);
+            case 'br':
+                return content;
+        }
+        const childContent = content.content;
+        if (typeof childContent === 'undefined') { return content; }
+        return {...content, content: this._convertStructuredContent(childContent)};
+    }
+
+    /**
+     * Restores the image properties of an archive from the properties stored in the database.
+     * The database stores the size of the image file as `width` and `height`,
+     * and moves the size given by the archive to `preferredWidth` and `preferredHeight`.
+     * @template {import('structured-content').ImageElementBase} T
+     * @param {T} image
+     * @returns {T}
+     */
+    _convertImage(image) {
+        const {preferredWidth, preferredHeight} = image;
+        const result = {...image};
+        delete result.width;
+        delete result.height;
+        delete result.preferredWidth;
+        delete result.preferredHeight;
+        if (typeof preferredWidth === 'number') { result.width = preferredWidth; }
+        if (typeof preferredHeight === 'number') { result.height = preferredHeight; }
+        return result;
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseTermMeta} entry
+     * @returns {import('dictionary-data').TermMeta}
+     */
+    _convertTermMetaEntry({expression, mode, data}) {
+        return /** @type {import('dictionary-data').TermMeta} */ ([expression, mode, data]);
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseKanjiEntry} entry
+     * @returns {import('dictionary-data').KanjiV3}
+     */
+    _convertKanjiEntry({character, onyomi, kunyomi, tags, meanings, stats}) {
+        return [character, onyomi, kunyomi, tags, meanings, stats ?? {}];
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseKanjiMeta} entry
+     * @returns {import('dictionary-data').KanjiMeta}
+     */
+    _convertKanjiMetaEntry({character, mode, data}) {
+        return [character, mode, data];
+    }
+
+    /**
+     * @param {import('dictionary-database').Tag} entry
+     * @returns {import('dictionary-data').Tag}
+     */
+    _convertTag({name, category, order, notes, score}) {
+        return [name, category, order, notes, score];
+    }
+}
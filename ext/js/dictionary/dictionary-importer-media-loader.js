@@ -16,35 +16,98 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import {EventListenerCollection} from '../core/event-listener-collection.js';
-
 /**
  * Class used for loading and validating media during the dictionary import process.
+ * Images are loaded using `createImageBitmap`, so the class can be used in contexts without a DOM.
  */
 export class DictionaryImporterMediaLoader {
     /** @type {import('dictionary-importer-media-loader').GetImageDetailsFunction} */
-    getImageDetails(content, mediaType, transfer) {
-        return new Promise((resolve, reject) => {
-            const image = new Image();
-            const eventListeners = new EventListenerCollection();
-            const cleanup = () => {
-                image.removeAttribute('src');
-                URL.revokeObjectURL(url);
-                eventListeners.removeAllEventListeners();
-            };
-            eventListeners.addEventListener(image, 'load', () => {
-                const {naturalWidth: width, naturalHeight: height} = image;
-                if (Array.isArray(transfer)) { transfer.push(content); }
-                cleanup();
-                resolve({content, width, height});
-            }, false);
-            eventListeners.addEventListener(image, 'error', () => {
-                cleanup();
-                reject(new Error('Image failed to load'));
-            }, false);
-            const blob = new Blob([content], {type: mediaType});
-            const url = URL.createObjectURL(blob);
-            image.src = url;
-        });
+    async getImageDetails(content, mediaType, transfer) {
+        const {width, height} = (
+            mediaType === 'image/svg+xml' ?
+            this._getSvgImageSize(content) :
+            await this._getBitmapImageSize(content, mediaType)
+        );
+        if (Array.isArray(transfer)) { transfer.push(content); }
+        return {content, width, height};
+    }
+
+    // Private
+
+    /**
+     * @param {ArrayBuffer} content
+     * @param {string} mediaType
+     * @returns {Promise<{width: number, height: number}>}
+     * @throws {Error}
+     */
+    async _getBitmapImageSize(content, mediaType) {
+        /** @type {ImageBitmap} */
+        let image;
+        try {
+            image = await createImageBitmap(new Blob([content], {type: mediaType}));
+        } catch (e) {
+            throw new Error('Image failed to load');
+        }
+        const {width, height} = image;
+        image.close();
+        return {width, height};
+    }
+
+    /**
+     * Gets the size of an SVG image from the attributes of its root element, since `createImageBitmap` cannot decode SVG images.
+     * Images without a width, height, or view box use the default size of 300x150 pixels.
+     * @param {ArrayBuffer} content
+     * @returns {{width: number, height: number}}
+     * @throws {Error}
+     */
+    _getSvgImageSize(content) {
+        const match = /<svg\b[^>]*>/.exec(new TextDecoder().decode(content));
+        if (match === null) {
+            throw new Error('Image failed to load');
+        }
+        const element = match[0];
+        let width = this._getSvgLength(element, 'width');
+        let height = this._getSvgLength(element, 'height');
+        if (width !== null && height !== null) { return {width, height}; }
+
+        const viewBox = this._getSvgAttribute(element, 'viewBox');
+        const viewBoxValues = viewBox !== null ? viewBox.trim().split(/[\s,]+/).map((value) => Number.parseFloat(value)) : [];
+        if (viewBoxValues.length === 4 && viewBoxValues[2] > 0 && viewBoxValues[3] > 0) {
+            const viewBoxWidth = viewBoxValues[2];
+            const viewBoxHeight = viewBoxValues[3];
+            if (width !== null) {
+                height = width * viewBoxHeight / viewBoxWidth;
+            } else if (height !== null) {
+                width = height * viewBoxWidth / viewBoxHeight;
+            } else {
+                width = viewBoxWidth;
+                height = viewBoxHeight;
+            }
+        }
+        return {width: width ?? 300, height: height ?? 150};
+    }
+
+    /**
+     * @param {string} element
+     * @param {string} name
+     * @returns {?number} The length in pixels, or `null` if the attribute is missing or does not use pixels.
+     */
+    _getSvgLength(element, name) {
+        const value = this._getSvgAttribute(element, name);
+        if (value === null) { return null; }
+        const match = /^\s*(\d+(?:\.\d*)?|\.\d+)\s*(?:px)?\s*$/.exec(value);
+        if (match === null) { return null; }
+        const length = Number.parseFloat(match[1]);
+        return length > 0 ? length : null;
+    }
+
+    /**
+     * @param {string} element
+     * @param {string} name
+     * @returns {?string}
+     */
+    _getSvgAttribute(element, name) {
+        const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(element);
+        return match !== null ? (match[1] ?? match[2]) : null;
     }
 }
@@ -28,7 +28,10 @@ import {ExtensionError} from '../core/extension-error.js';
 import {parseJson} from '../core/json.js';
 import {toError} from '../core/to-error.js';
 import {stringReverse} from '../core/utilities.js';
+import {LanguageTransformer} from '../language/language-transformer.js';
+import {createDictionaryTransformDescriptor} from '../language/language-transforms.js';
 import {getFileExtensionFromImageMediaType, getImageMediaTypeFromFileName} from '../media/media-util.js';
+import {getTermGlossarySearchTokens} from './glossary-search-util.js';
 
 const ajvSchemas = /** @type {import('dictionary-importer').CompiledSchemaValidators} */ (/** @type {unknown} */ (ajvSchemas0));
 const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
@@ -81,7 +84,8 @@ export class DictionaryImporter {
         const version = /** @type {import('dictionary-data').IndexVersion} */ (index.version);
 
         // Verify database is not already imported
-        if (await dictionaryDatabase.dictionaryExists(dictionaryTitle)) {
+        const {replacedTitle} = details;
+        if (dictionaryTitle !== replacedTitle && await dictionaryDatabase.dictionaryExists(dictionaryTitle)) {
             return {
                 errors: [new Error(`Dictionary ${dictionaryTitle} is already imported, skipped it.`)],
                 result: null,
@@ -102,23 +106,28 @@ export class DictionaryImporter {
             ['tagFiles', /^tag_bank_(\d+)\.json$/],
         ];
         const {termFiles, termMetaFiles, kanjiFiles, kanjiMetaFiles, tagFiles} = Object.fromEntries(this._getArchiveFiles(fileMap, queryDetails));
+        const transforms = await this._readAndValidateTransforms(fileMap);
+
+        // Dictionaries which replace an installed dictionary are added under a temporary title,
+        // so that the installed dictionary can be kept until all of the new data has been added
+        const importTitle = typeof replacedTitle === 'string' ? `${dictionaryTitle}\u0000update` : dictionaryTitle;
 
         // Load data
         this._progressNextStep(termFiles.length + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length);
         const termList = await (
             version === 1 ?
-            this._readFileSequence(termFiles, this._convertTermBankEntryV1.bind(this), dataBankSchemas[0], dictionaryTitle) :
-            this._readFileSequence(termFiles, this._convertTermBankEntryV3.bind(this), dataBankSchemas[0], dictionaryTitle)
+            this._readFileSequence(termFiles, this._convertTermBankEntryV1.bind(this), dataBankSchemas[0], importTitle) :
+            this._readFileSequence(termFiles, this._convertTermBankEntryV3.bind(this), dataBankSchemas[0], importTitle)
         );
-        const termMetaList = await this._readFileSequence(termMetaFiles, this._convertTermMetaBankEntry.bind(this), dataBankSchemas[1], dictionaryTitle);
+        const termMetaList = await this._readFileSequence(termMetaFiles, this._convertTermMetaBankEntry.bind(this), dataBankSchemas[1], importTitle);
         const kanjiList = await (
             version === 1 ?
-            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV1.bind(this), dataBankSchemas[2], dictionaryTitle) :
-            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV3.bind(this), dataBankSchemas[2], dictionaryTitle)
+            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV1.bind(this), dataBankSchemas[2], importTitle) :
+            this._readFileSequence(kanjiFiles, this._convertKanjiBankEntryV3.bind(this), dataBankSchemas[2], importTitle)
         );
-        const kanjiMetaList = await this._readFileSequence(kanjiMetaFiles, this._convertKanjiMetaBankEntry.bind(this), dataBankSchemas[3], dictionaryTitle);
-        const tagList = await this._readFileSequence(tagFiles, this._convertTagBankEntry.bind(this), dataBankSchemas[4], dictionaryTitle);
-        this._addOldIndexTags(index, tagList, dictionaryTitle);
+        const kanjiMetaList = await this._readFileSequence(kanjiMetaFiles, this._convertKanjiMetaBankEntry.bind(this), dataBankSchemas[3], importTitle);
+        const tagList = await this._readFileSequence(tagFiles, this._convertTagBankEntry.bind(this), dataBankSchemas[4], importTitle);
+        this._addOldIndexTags(index, tagList, importTitle);
 
         // Prefix wildcard support
         const prefixWildcardsSupported = !!details.prefixWildcardsSupported;
@@ -129,6 +138,14 @@ export class DictionaryImporter {
             }
         }
 
+        // Glossary search support
+        const glossarySearchSupported = !!details.glossarySearchSupported;
+        if (glossarySearchSupported) {
+            for (const entry of termList) {
+                entry.glossaryTokens = getTermGlossarySearchTokens(entry.glossary);
+            }
+        }
+
         // Extended data support
         this._progressNextStep(termList.length);
         const formatProgressInterval = 1000;
@@ -181,10 +198,16 @@ export class DictionaryImporter {
         }
 
         /** @type {import('dictionary-importer').SummaryDetails} */
-        const summaryDetails = {prefixWildcardsSupported, counts, styles};
+        const summaryDetails = {prefixWildcardsSupported, glossarySearchSupported, counts, styles, transforms};
 
         const summary = this._createSummary(dictionaryTitle, version, index, summaryDetails);
-        await dictionaryDatabase.bulkAdd('dictionaries', [summary], 0, 1);
+        // Updates remove any data left behind by an earlier update which did not complete,
+        // and their summary is only added once the installed dictionary is replaced
+        await (
+            typeof replacedTitle === 'string' ?
+            dictionaryDatabase.deleteDictionary(importTitle, 1000, () => {}) :
+            dictionaryDatabase.bulkAdd('dictionaries', [summary], 0, 1)
+        );
 
         // Add data
         /** @type {Error[]} */
@@ -221,6 +244,19 @@ export class DictionaryImporter {
 
         this._progress();
 
+        if (typeof replacedTitle === 'string') {
+            if (errors.length === 0) {
+                try {
+                    await dictionaryDatabase.replaceDictionary(replacedTitle, importTitle, summary);
+                    return {result: summary, errors};
+                } catch (e) {
+                    errors.push(toError(e));
+                }
+            }
+            await dictionaryDatabase.deleteDictionary(importTitle, 1000, () => {});
+            return {result: null, errors};
+        }
+
         return {result: summary, errors};
     }
 
@@ -273,6 +309,33 @@ export class DictionaryImporter {
         return validIndex;
     }
 
+    /**
+     * Reads the optional deinflection rules file of a dictionary.
+     * In addition to the schema validation, the rules are checked to only use conditions which are declared in the file.
+     * @param {import('dictionary-importer').ArchiveFileMap} fileMap
+     * @returns {Promise<?import('dictionary-data').Transforms>}
+     * @throws {Error}
+     */
+    async _readAndValidateTransforms(fileMap) {
+        const transformsFileName = 'transforms.json';
+        const transformsFile = fileMap.get(transformsFileName);
+        if (typeof transformsFile === 'undefined') { return null; }
+
+        const transformsContent = await this._getData(transformsFile, new TextWriter());
+        const transforms = /** @type {unknown} */ (parseJson(transformsContent));
+        if (!ajvSchemas.dictionaryTransforms(transforms)) {
+            throw this._formatAjvSchemaError(ajvSchemas.dictionaryTransforms, transformsFileName);
+        }
+
+        const validTransforms = /** @type {import('dictionary-data').Transforms} */ (transforms);
+        try {
+            new LanguageTransformer().addDescriptor(createDictionaryTransformDescriptor(validTransforms));
+        } catch (e) {
+            throw new ExtensionError(`Dictionary has invalid data in '${transformsFileName}': ${toError(e).message}`);
+        }
+        return validTransforms;
+    }
+
     /**
      * @returns {import('dictionary-importer').ProgressData}
      */
@@ -315,7 +378,7 @@ export class DictionaryImporter {
      */
     _createSummary(dictionaryTitle, version, index, details) {
         const indexSequenced = index.sequenced;
-        const {prefixWildcardsSupported, counts, styles} = details;
+        const {prefixWildcardsSupported, glossarySearchSupported, counts, styles, transforms} = details;
         /** @type {import('dictionary-importer').Summary} */
         const summary = {
             title: dictionaryTitle,
@@ -324,6 +387,7 @@ export class DictionaryImporter {
             version,
             importDate: Date.now(),
             prefixWildcardsSupported,
+            glossarySearchSupported,
             counts,
             styles,
         };
@@ -336,6 +400,7 @@ export class DictionaryImporter {
         if (typeof frequencyMode === 'string') { summary.frequencyMode = frequencyMode; }
         if (typeof sourceLanguage === 'string') { summary.sourceLanguage = sourceLanguage; }
         if (typeof targetLanguage === 'string') { summary.targetLanguage = targetLanguage; }
+        if (transforms !== null) { summary.transforms = transforms; }
         if (typeof isUpdatable === 'boolean') {
             const {indexUrl, downloadUrl} = index;
             if (!isUpdatable || !this._validateUrl(indexUrl) || !this._validateUrl(downloadUrl)) {
@@ -0,0 +1,94 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as ajvSchemas0 from '../../lib/validate-schemas.js';
+import {readResponseJson} from '../core/json.js';
+import {compareRevisions} from './dictionary-data-util.js';
+
+const ajvSchemas = /** @type {import('dictionary-importer').CompiledSchemaValidators} */ (/** @type {unknown} */ (ajvSchemas0));
+
+/**
+ * Checks whether a newer revision of an installed dictionary is available,
+ * using the index file located at the dictionary's `indexUrl`.
+ * @param {import('dictionary-importer').Summary} dictionaryInfo The summary of the installed dictionary.
+ * @returns {Promise<?import('dictionary-updater').DictionaryUpdate>} Information about the newer revision,
+ *   or `null` if the dictionary is not updatable or is already up to date.
+ * @throws {Error} An error is thrown if the index file cannot be fetched or is invalid.
+ */
+export async function getDictionaryUpdate(dictionaryInfo) {
+    const {title, revision, isUpdatable, indexUrl, downloadUrl: currentDownloadUrl} = dictionaryInfo;
+    if (!isUpdatable || !indexUrl || !currentDownloadUrl) { return null; }
+
+    const response = await fetch(indexUrl, {cache: 'no-cache'});
+    if (!response.ok) {
+        throw new Error(`Failed to fetch the dictionary index: ${indexUrl}`);
+    }
+
+    /** @type {unknown} */
+    const index = await readResponseJson(response);
+    if (!ajvSchemas.dictionaryIndex(index)) {
+        throw new Error('Invalid dictionary index');
+    }
+
+    const {revision: latestRevision, downloadUrl: latestDownloadUrl} = /** @type {import('dictionary-data').Index} */ (index);
+    if (!compareRevisions(revision, latestRevision)) { return null; }
+
+    return {
+        title,
+        revision,
+        latestRevision,
+        downloadUrl: latestDownloadUrl ?? currentDownloadUrl,
+    };
+}
+
+/**
+ * Replaces an installed dictionary with a newer revision downloaded from its update URL.
+ * The import is performed by a `DictionaryWorker`, in the same way as imports from the settings page.
+ */
+export class DictionaryUpdater {
+    /**
+     * @param {import('./dictionary-worker.js').DictionaryWorker} dictionaryWorker
+     */
+    constructor(dictionaryWorker) {
+        /** @type {import('./dictionary-worker.js').DictionaryWorker} */
+        this._dictionaryWorker = dictionaryWorker;
+    }
+
+    /**
+     * Downloads a dictionary archive and imports it in place of the installed dictionary.
+     * The installed dictionary is only replaced once all of the data of the downloaded archive has been added,
+     * so a failed download, an invalid archive, or a failed write leaves the installed dictionary intact.
+     * @param {string} title The title of the installed dictionary.
+     * @param {string} downloadUrl The URL of the new dictionary archive.
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('dictionary-importer').Summary>} The summary of the imported dictionary.
+     * @throws {Error} An error is thrown if the download or the import fails.
+     */
+    async updateDictionary(title, downloadUrl, details) {
+        const response = await fetch(downloadUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch the URL: ${downloadUrl}`);
+        }
+        const archiveContent = await response.arrayBuffer();
+
+        const {result, errors} = await this._dictionaryWorker.importDictionary(archiveContent, {...details, replacedTitle: title}, null);
+        if (result === null) {
+            throw errors.length > 0 ? errors[0] : new Error('Dictionary could not be imported');
+        }
+        return result;
+    }
+}
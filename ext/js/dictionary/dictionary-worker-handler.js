@@ -18,6 +18,7 @@
 
 import {ExtensionError} from '../core/extension-error.js';
 import {DictionaryDatabase} from './dictionary-database.js';
+import {DictionaryExporter} from './dictionary-exporter.js';
 import {DictionaryImporter} from './dictionary-importer.js';
 import {DictionaryWorkerMediaLoader} from './dictionary-worker-media-loader.js';
 
@@ -46,6 +47,9 @@ export class DictionaryWorkerHandler {
             case 'deleteDictionary':
                 void this._onMessageWithProgress(params, this._deleteDictionary.bind(this));
                 break;
+            case 'exportDictionary':
+                void this._onMessageWithProgress(params, this._exportDictionary.bind(this));
+                break;
             case 'getDictionaryCounts':
                 void this._onMessageWithProgress(params, this._getDictionaryCounts.bind(this));
                 break;
@@ -113,6 +117,21 @@ export class DictionaryWorkerHandler {
         }
     }
 
+    /**
+     * @param {import('dictionary-worker-handler').ExportDictionaryMessageParams} details
+     * @param {import('dictionary-exporter').OnProgressCallback} onProgress
+     * @returns {Promise<Blob>}
+     */
+    async _exportDictionary({dictionaryTitle, details}, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            const dictionaryExporter = new DictionaryExporter(onProgress);
+            return await dictionaryExporter.exportDictionary(dictionaryDatabase, dictionaryTitle, details);
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
     /**
      * @param {import('dictionary-worker-handler').GetDictionaryCountsMessageParams} details
      * @returns {Promise<import('dictionary-database').DictionaryCounts>}
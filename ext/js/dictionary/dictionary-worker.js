@@ -50,6 +50,16 @@ export class DictionaryWorker {
         return this._invoke('deleteDictionary', {dictionaryTitle}, [], onProgress, null);
     }
 
+    /**
+     * @param {string} dictionaryTitle
+     * @param {import('dictionary-exporter').ExportDetails} details
+     * @param {?import('dictionary-worker').ExportProgressCallback} onProgress
+     * @returns {Promise<Blob>}
+     */
+    exportDictionary(dictionaryTitle, details, onProgress) {
+        return this._invoke('exportDictionary', {dictionaryTitle, details}, [], onProgress, null);
+    }
+
     /**
      * @param {string[]} dictionaryNames
      * @param {boolean} getTotal
@@ -0,0 +1,86 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+/**
+ * Characters of scripts which are written without spaces between words.
+ * Each of these characters is treated as its own token.
+ */
+const unsegmentedCharacterPattern = /([\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}])/u;
+
+/**
+ * Splits text into the unique lowercase tokens used by the glossary search index.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function getGlossarySearchTokens(text) {
+    /** @type {Set<string>} */
+    const tokens = new Set();
+    for (const [word] of text.toLowerCase().matchAll(wordPattern)) {
+        for (const token of word.split(unsegmentedCharacterPattern)) {
+            if (token.length > 0) { tokens.add(token); }
+        }
+    }
+    return [...tokens];
+}
+
+/**
+ * Gets the unique search tokens of a term's glossary, including the text of structured content.
+ * Images and deinflection entries do not contribute any tokens.
+ * @param {import('dictionary-data').TermGlossary[]} glossaryList
+ * @returns {string[]}
+ */
+export function getTermGlossarySearchTokens(glossaryList) {
+    /** @type {string[]} */
+    const parts = [];
+    for (const glossary of glossaryList) {
+        if (typeof glossary === 'string') {
+            parts.push(glossary);
+            continue;
+        }
+        if (Array.isArray(glossary)) { continue; }
+        switch (glossary.type) {
+            case 'text':
+                parts.push(glossary.text);
+                break;
+            case 'structured-content':
+                addStructuredContentText(glossary.content, parts);
+                break;
+        }
+    }
+    return getGlossarySearchTokens(parts.join('\n'));
+}
+
+/**
+ * @param {import('structured-content').Content|undefined} content
+ * @param {string[]} parts
+ */
+function addStructuredContentText(content, parts) {
+    if (typeof content === 'string') {
+        parts.push(content);
+        return;
+    }
+    if (typeof content !== 'object' || content === null) { return; }
+    if (Array.isArray(content)) {
+        for (const item of content) {
+            addStructuredContentText(item, parts);
+        }
+        return;
+    }
+    if (content.tag === 'img' || content.tag === 'br') { return; }
+    addStructuredContentText(content.content, parts);
+}
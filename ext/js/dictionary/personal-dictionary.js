@@ -0,0 +1,266 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {stringReverse} from '../core/utilities.js';
+import {getTermGlossarySearchTokens} from './glossary-search-util.js';
+
+/**
+ * The title of the dictionary which contains the user's own terms.
+ */
+export const personalDictionaryTitle = 'Personal Dictionary';
+
+/**
+ * Manages the terms of the personal dictionary. The personal dictionary is stored in the same
+ * object stores as imported dictionaries, so its terms are found, sorted, and exported like any other dictionary.
+ * Each term has its glossary stored as plain strings, and its frequency stored as a `freq` term meta row.
+ * This must be used in the same context as the dictionary database.
+ */
+export class PersonalDictionary {
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     */
+    constructor(dictionaryDatabase) {
+        /** @type {import('./dictionary-database.js').DictionaryDatabase} */
+        this._dictionaryDatabase = dictionaryDatabase;
+    }
+
+    /**
+     * Creates the personal dictionary if it is not installed.
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<boolean>} `true` if the dictionary was created, `false` if it was already installed.
+     */
+    async prepare(details) {
+        if (await this._dictionaryDatabase.dictionaryExists(personalDictionaryTitle)) { return false; }
+        await this._dictionaryDatabase.bulkAdd('dictionaries', [this._createSummary(details)], 0, 1);
+        return true;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<?import('personal-dictionary').EntryWithId>} The entry, or `null` if the `id` is not a term of the personal dictionary.
+     */
+    async getEntry(id) {
+        const row = await this._dictionaryDatabase.getTermEntry(id);
+        if (row === null || row.dictionary !== personalDictionaryTitle) { return null; }
+        const {expression: term, reading, glossary} = row;
+        const definitionTags = row.definitionTags ?? row.tags ?? '';
+        return {
+            id,
+            term,
+            reading,
+            glossary: glossary.flatMap((item) => (typeof item === 'string' ? [item] : [])),
+            tags: definitionTags.length > 0 ? definitionTags.split(' ') : [],
+            frequency: await this._getFrequency(term, reading),
+        };
+    }
+
+    /**
+     * Adds a new term, or replaces an existing term of the personal dictionary.
+     * The dictionary is created first if it is not installed.
+     * @param {?number} id The `id` of the term to replace, or `null` to add a new term.
+     * @param {import('personal-dictionary').Entry} entry
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('personal-dictionary').SetEntryResult>}
+     * @throws {Error} An error is thrown if the entry is invalid or the term to replace does not exist.
+     */
+    async setEntry(id, entry, details) {
+        const {term, reading, glossary, tags, frequency} = this._normalizeEntry(entry);
+
+        /** @type {?import('dictionary-database').DatabaseTermEntryWithId} */
+        let previousRow = null;
+        if (id !== null) {
+            previousRow = await this._dictionaryDatabase.getTermEntry(id);
+            if (previousRow === null || previousRow.dictionary !== personalDictionaryTitle) {
+                throw new Error('Personal dictionary entry not found');
+            }
+        }
+
+        const dictionaryCreated = await this.prepare(details);
+        const summary = await this._getSummary();
+        const {prefixWildcardsSupported} = summary;
+        const glossarySearchSupported = !!summary.glossarySearchSupported;
+
+        /** @type {import('dictionary-database').DatabaseTermEntry} */
+        const row = {
+            expression: term,
+            reading,
+            definitionTags: tags.join(' '),
+            rules: '',
+            score: 0,
+            glossary,
+            dictionary: personalDictionaryTitle,
+        };
+        if (prefixWildcardsSupported) {
+            row.expressionReverse = stringReverse(term);
+            row.readingReverse = stringReverse(reading);
+        }
+        if (glossarySearchSupported) {
+            row.glossaryTokens = getTermGlossarySearchTokens(glossary);
+        }
+        const newId = await this._dictionaryDatabase.putTermEntry(id !== null ? {...row, id} : row);
+
+        if (previousRow !== null && (previousRow.expression !== term || previousRow.reading !== reading)) {
+            await this._deleteUnusedFrequency(previousRow.expression, previousRow.reading);
+        }
+        await this._deleteFrequency(term, reading);
+        if (frequency !== null) {
+            /** @type {import('dictionary-database').DatabaseTermMetaFrequency} */
+            const frequencyRow = {expression: term, mode: 'freq', data: {reading, frequency}, dictionary: personalDictionaryTitle};
+            await this._dictionaryDatabase.bulkAdd('termMeta', [frequencyRow], 0, 1);
+        }
+
+        await this._updateSummaryCounts(summary);
+        return {id: newId, dictionaryCreated};
+    }
+
+    /**
+     * Deletes a term of the personal dictionary.
+     * @param {number} id
+     * @throws {Error} An error is thrown if the term does not exist.
+     */
+    async deleteEntry(id) {
+        const row = await this._dictionaryDatabase.getTermEntry(id);
+        if (row === null || row.dictionary !== personalDictionaryTitle) {
+            throw new Error('Personal dictionary entry not found');
+        }
+        await this._dictionaryDatabase.deleteTermEntry(id);
+        await this._deleteUnusedFrequency(row.expression, row.reading);
+        await this._updateSummaryCounts(await this._getSummary());
+    }
+
+    // Private
+
+    /**
+     * @param {import('personal-dictionary').Entry} entry
+     * @returns {import('personal-dictionary').Entry}
+     * @throws {Error}
+     */
+    _normalizeEntry({term, reading, glossary, tags, frequency}) {
+        term = term.trim();
+        reading = reading.trim();
+        glossary = glossary.map((item) => item.trim()).filter((item) => item.length > 0);
+        tags = tags.map((tag) => tag.trim()).filter((tag) => tag.length > 0);
+        if (term.length === 0) { throw new Error('The term is empty'); }
+        if (glossary.length === 0) { throw new Error('The glossary is empty'); }
+        if (frequency !== null && !Number.isFinite(frequency)) { throw new Error('Invalid frequency'); }
+        return {
+            term,
+            reading: reading.length > 0 ? reading : term,
+            glossary,
+            tags: [...new Set(tags.flatMap((tag) => tag.split(/\s+/)))],
+            frequency,
+        };
+    }
+
+    /**
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {import('dictionary-importer').Summary}
+     */
+    _createSummary({prefixWildcardsSupported, glossarySearchSupported}) {
+        return {
+            title: personalDictionaryTitle,
+            revision: '1',
+            sequenced: false,
+            version: 3,
+            importDate: Date.now(),
+            prefixWildcardsSupported,
+            glossarySearchSupported,
+            counts: {
+                terms: {total: 0},
+                termMeta: {total: 0},
+                kanji: {total: 0},
+                kanjiMeta: {total: 0},
+                tagMeta: {total: 0},
+                media: {total: 0},
+            },
+            styles: '',
+            description: 'Terms added from the popup and the search page.',
+        };
+    }
+
+    /**
+     * @returns {Promise<import('dictionary-importer').Summary>}
+     * @throws {Error}
+     */
+    async _getSummary() {
+        const dictionaries = await this._dictionaryDatabase.getDictionaryInfo();
+        const summary = dictionaries.find(({title}) => title === personalDictionaryTitle);
+        if (typeof summary === 'undefined') { throw new Error('Personal dictionary is not installed'); }
+        return summary;
+    }
+
+    /**
+     * @param {import('dictionary-importer').Summary} summary
+     */
+    async _updateSummaryCounts(summary) {
+        const {counts: [counts]} = await this._dictionaryDatabase.getDictionaryCounts([personalDictionaryTitle], false);
+        const termMetaCount = counts.termMeta ?? 0;
+        /** @type {import('dictionary-importer').SummaryCounts} */
+        const summaryCounts = {
+            terms: {total: counts.terms ?? 0},
+            termMeta: termMetaCount > 0 ? {total: termMetaCount, freq: termMetaCount} : {total: 0},
+            kanji: {total: counts.kanji ?? 0},
+            kanjiMeta: {total: counts.kanjiMeta ?? 0},
+            tagMeta: {total: counts.tagMeta ?? 0},
+            media: {total: counts.media ?? 0},
+        };
+        await this._dictionaryDatabase.updateDictionarySummary({...summary, counts: summaryCounts});
+    }
+
+    /**
+     * @param {string} term
+     * @param {string} reading
+     * @returns {Promise<?number>}
+     */
+    async _getFrequency(term, reading) {
+        const metas = await this._dictionaryDatabase.findTermMetaBulk([term], new Set([personalDictionaryTitle]));
+        for (const {mode, data} of metas) {
+            if (mode !== 'freq' || typeof data !== 'object' || data === null || data.reading !== reading) { continue; }
+            const {frequency} = data;
+            switch (typeof frequency) {
+                case 'number': return frequency;
+                case 'string': return Number.parseFloat(frequency);
+                default: return frequency.value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} term
+     * @param {string} reading
+     */
+    async _deleteFrequency(term, reading) {
+        await this._dictionaryDatabase.deleteTermMeta(term, personalDictionaryTitle, ({mode, data}) => (
+            mode === 'freq' &&
+            typeof data === 'object' &&
+            data !== null &&
+            data.reading === reading
+        ));
+    }
+
+    /**
+     * Deletes the frequency of a term and reading if no other term of the personal dictionary has the same term and reading.
+     * @param {string} term
+     * @param {string} reading
+     */
+    async _deleteUnusedFrequency(term, reading) {
+        const entries = await this._dictionaryDatabase.findTermsExactBulk([{term, reading}], new Set([personalDictionaryTitle]));
+        if (entries.length > 0) { return; }
+        await this._deleteFrequency(term, reading);
+    }
+}
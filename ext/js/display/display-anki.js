@@ -22,7 +22,7 @@ import {toError} from '../core/to-error.js';
 import {deferPromise} from '../core/utilities.js';
 import {AnkiNoteBuilder} from '../data/anki-note-builder.js';
 import {getDynamicTemplates} from '../data/anki-template-util.js';
-import {INVALID_NOTE_ID, isNoteDataValid} from '../data/anki-util.js';
+import {INVALID_NOTE_ID, getMatchingAnkiCardPresetRule, isNoteDataValid} from '../data/anki-util.js';
 import {PopupMenu} from '../dom/popup-menu.js';
 import {querySelectorNotNull} from '../dom/query-selector.js';
 import {TemplateRendererProxy} from '../templates/template-renderer-proxy.js';
@@ -49,6 +49,8 @@ export class DisplayAnki {
         this._errorNotificationEventListeners = null;
         /** @type {?import('./display-notification.js').DisplayNotification} */
         this._tagsNotification = null;
+        /** @type {?import('./display-notification.js').DisplayNotification} */
+        this._offlineQueueNotification = null;
         /** @type {?Promise<void>} */
         this._updateSaveButtonsPromise = null;
         /** @type {?import('core').TokenObject} */
@@ -64,6 +66,8 @@ export class DisplayAnki {
         /** @type {boolean} */
         this._suspendNewCards = false;
         /** @type {boolean} */
+        this._offlineQueue = false;
+        /** @type {boolean} */
         this._compactTags = false;
         /** @type {import('settings').ResultOutputMode} */
         this._resultOutputMode = 'split';
@@ -81,6 +85,8 @@ export class DisplayAnki {
         this._screenshotFormat = 'png';
         /** @type {number} */
         this._screenshotQuality = 100;
+        /** @type {import('settings').AnkiSentenceAudioOptions} */
+        this._sentenceAudioOptions = {windowBefore: 5, windowAfter: 1};
         /** @type {number} */
         this._scanLength = 10;
         /** @type {import('settings').AnkiNoteGuiMode} */
@@ -89,12 +95,14 @@ export class DisplayAnki {
         this._audioDownloadIdleTimeout = null;
         /** @type {string[]} */
         this._noteTags = [];
-        /** @type {Map<import('display-anki').CreateMode, import('settings').AnkiNoteOptions>} */
-        this._modeOptions = new Map();
+        /** @type {Map<import('display-anki').CardKey, import('display-anki').CardOptions>} */
+        this._cardOptions = new Map();
         /** @type {import('settings').DictionariesOptions} */
         this._dictionaries = [];
-        /** @type {Map<import('dictionary').DictionaryEntryType, import('display-anki').CreateMode[]>} */
-        this._dictionaryEntryTypeModeMap = new Map([
+        /** @type {string} */
+        this._language = 'ja';
+        /** @type {Map<import('dictionary').DictionaryEntryType, import('display-anki').CardKey[]>} */
+        this._dictionaryEntryTypeCardKeyMap = new Map([
             ['kanji', ['kanji']],
             ['term', ['term-kanji', 'term-kana']],
         ]);
@@ -120,6 +128,7 @@ export class DisplayAnki {
             ['addNoteKanji',      () => { this._hotkeySaveAnkiNoteForSelectedEntry('kanji'); }],
             ['addNoteTermKanji',  () => { this._hotkeySaveAnkiNoteForSelectedEntry('term-kanji'); }],
             ['addNoteTermKana',   () => { this._hotkeySaveAnkiNoteForSelectedEntry('term-kana'); }],
+            ['addNoteCardPreset', this._onHotkeyActionAddNoteCardPreset.bind(this)],
             ['viewNotes',         this._viewNotesForSelectedEntry.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
@@ -158,18 +167,24 @@ export class DisplayAnki {
         // Anki notes
         /** @type {import('display-anki').AnkiNoteLogData[]} */
         const ankiNotes = [];
-        const modes = this._getModes(dictionaryEntry.type === 'term');
-        for (const mode of modes) {
+        const cardKeys = this._dictionaryEntryTypeCardKeyMap.get(dictionaryEntry.type);
+        for (const cardKey of (typeof cardKeys !== 'undefined' ? cardKeys : [])) {
+            const cardOptions = this._cardOptions.get(cardKey);
+            if (typeof cardOptions === 'undefined') { continue; }
             let note;
             let errors;
             let requirements;
             try {
-                ({note: note, errors, requirements} = await this._createNote(dictionaryEntry, mode, []));
+                ({note: note, errors, requirements} = await this._createNote(dictionaryEntry, cardKey, []));
             } catch (e) {
                 errors = [toError(e)];
             }
+            const {mode, presetName} = cardOptions;
             /** @type {import('display-anki').AnkiNoteLogData} */
             const entry = {mode, note};
+            if (presetName !== null) {
+                entry.cardPreset = presetName;
+            }
             if (Array.isArray(errors) && errors.length > 0) {
                 entry.errors = errors;
             }
@@ -197,6 +212,7 @@ export class DisplayAnki {
                 resultOutputMode,
                 glossaryLayoutMode,
                 compactTags,
+                language,
             },
             dictionaries,
             anki: {
@@ -209,15 +225,19 @@ export class DisplayAnki {
                 displayTags,
                 kanji,
                 terms,
+                cardPresets,
                 noteGuiMode,
                 screenshot: {format, quality},
+                sentenceAudio,
                 downloadTimeout,
+                offlineQueue,
             },
             scanning: {length: scanLength},
         } = options;
 
         this._checkForDuplicates = checkForDuplicates;
         this._suspendNewCards = suspendNewCards;
+        this._offlineQueue = offlineQueue;
         this._compactTags = compactTags;
         this._resultOutputMode = resultOutputMode;
         this._glossaryLayoutMode = glossaryLayoutMode;
@@ -227,19 +247,44 @@ export class DisplayAnki {
         this._duplicateBehavior = duplicateBehavior;
         this._screenshotFormat = format;
         this._screenshotQuality = quality;
+        this._sentenceAudioOptions = sentenceAudio;
         this._scanLength = scanLength;
         this._noteGuiMode = noteGuiMode;
         this._noteTags = [...tags];
         this._audioDownloadIdleTimeout = (Number.isFinite(downloadTimeout) && downloadTimeout > 0 ? downloadTimeout : null);
-        this._modeOptions.clear();
-        this._modeOptions.set('kanji', kanji);
-        this._modeOptions.set('term-kanji', terms);
-        this._modeOptions.set('term-kana', terms);
         this._dictionaries = dictionaries;
+        this._language = language;
+        this._updateCardOptions(terms, kanji, cardPresets);
 
         void this._updateAnkiFieldTemplates(options);
     }
 
+    /**
+     * @param {import('settings').AnkiNoteOptions} terms
+     * @param {import('settings').AnkiNoteOptions} kanji
+     * @param {import('settings').AnkiCardPreset[]} cardPresets
+     */
+    _updateCardOptions(terms, kanji, cardPresets) {
+        /** @type {import('display-anki').CardKey[]} */
+        const termCardKeys = ['term-kanji', 'term-kana'];
+        /** @type {import('display-anki').CardKey[]} */
+        const kanjiCardKeys = ['kanji'];
+
+        this._cardOptions.clear();
+        this._cardOptions.set('kanji', {...kanji, mode: 'kanji', rules: [], presetIndex: null, presetName: null});
+        this._cardOptions.set('term-kanji', {...terms, mode: 'term-kanji', rules: [], presetIndex: null, presetName: null});
+        this._cardOptions.set('term-kana', {...terms, mode: 'term-kana', rules: [], presetIndex: null, presetName: null});
+        for (let i = 0, ii = cardPresets.length; i < ii; ++i) {
+            const {name, mode, deck, model, fields, rules} = cardPresets[i];
+            const cardKey = this._getCardPresetKey(i);
+            this._cardOptions.set(cardKey, {mode, deck, model, fields, rules, presetIndex: i, presetName: name});
+            (mode === 'kanji' ? kanjiCardKeys : termCardKeys).push(cardKey);
+        }
+
+        this._dictionaryEntryTypeCardKeyMap.set('term', termCardKeys);
+        this._dictionaryEntryTypeCardKeyMap.set('kanji', kanjiCardKeys);
+    }
+
     /** */
     _onContentClear() {
         this._updateDictionaryEntryDetailsToken = null;
@@ -255,7 +300,8 @@ export class DisplayAnki {
     /**
      * @param {import('display').EventArgument<'contentUpdateEntry'>} details
      */
-    _onContentUpdateEntry({element}) {
+    _onContentUpdateEntry({element, dictionaryEntry}) {
+        this._addCardPresetButtons(element, dictionaryEntry.type);
         const eventListeners = this._eventListeners;
         for (const node of element.querySelectorAll('.action-button[data-action=view-tags]')) {
             eventListeners.addEventListener(node, 'click', this._onShowTagsBind);
@@ -288,10 +334,19 @@ export class DisplayAnki {
     _onNoteSave(e) {
         e.preventDefault();
         const element = /** @type {HTMLElement} */ (e.currentTarget);
-        const mode = this._getValidCreateMode(element.dataset.mode);
-        if (mode === null) { return; }
+        const cardKey = this._getSaveButtonCardKey(element);
+        if (cardKey === null) { return; }
         const index = this._display.getElementDictionaryEntryIndex(element);
-        void this._saveAnkiNote(index, mode);
+        void this._saveAnkiNote(index, cardKey);
+    }
+
+    /**
+     * @param {unknown} argument
+     */
+    _onHotkeyActionAddNoteCardPreset(argument) {
+        const presetNumber = typeof argument === 'number' ? argument : (typeof argument === 'string' ? Number.parseInt(argument, 10) : Number.NaN);
+        if (!Number.isFinite(presetNumber) || presetNumber < 1) { return; }
+        this._hotkeySaveAnkiNoteForSelectedEntry(this._getCardPresetKey(Math.floor(presetNumber) - 1));
     }
 
     /**
@@ -306,12 +361,50 @@ export class DisplayAnki {
 
     /**
      * @param {number} index
-     * @param {import('display-anki').CreateMode} mode
+     * @param {import('display-anki').CardKey} cardKey
      * @returns {?HTMLButtonElement}
      */
-    _saveButtonFind(index, mode) {
+    _saveButtonFind(index, cardKey) {
         const entry = this._getEntry(index);
-        return entry !== null ? entry.querySelector(`.action-button[data-action=save-note][data-mode="${mode}"]`) : null;
+        const cardOptions = this._cardOptions.get(cardKey);
+        if (entry === null || typeof cardOptions === 'undefined') { return null; }
+        const {mode, presetIndex} = cardOptions;
+        const selector = (
+            presetIndex !== null ?
+            `.action-button[data-action=save-note][data-card-preset="${presetIndex}"]` :
+            `.action-button[data-action=save-note][data-mode="${mode}"]:not([data-card-preset])`
+        );
+        return entry.querySelector(selector);
+    }
+
+    /**
+     * @param {Element} element
+     * @param {import('dictionary').DictionaryEntryType} dictionaryEntryType
+     */
+    _addCardPresetButtons(element, dictionaryEntryType) {
+        const cardKeys = this._dictionaryEntryTypeCardKeyMap.get(dictionaryEntryType);
+        if (typeof cardKeys === 'undefined') { return; }
+        const saveButtons = element.querySelectorAll('.action-button[data-action=save-note]');
+        if (saveButtons.length === 0) { return; }
+        let previousButton = saveButtons[saveButtons.length - 1];
+        for (const cardKey of cardKeys) {
+            const cardOptions = this._cardOptions.get(cardKey);
+            if (typeof cardOptions === 'undefined') { continue; }
+            const {mode, presetIndex, presetName} = cardOptions;
+            if (presetIndex === null) { continue; }
+            const button = /** @type {HTMLButtonElement} */ (this._display.displayGenerator.instantiateTemplate('action-button-card-preset'));
+            button.dataset.mode = mode;
+            button.dataset.cardPreset = `${presetIndex}`;
+            button.title = `Add ${presetName}`;
+            /** @type {HTMLElement} */
+            const icon = querySelectorNotNull(button, '.action-icon');
+            icon.dataset.icon = `add-${mode}`;
+            /** @type {HTMLElement} */
+            const label = querySelectorNotNull(button, '.action-button-card-preset-label');
+            label.textContent = `${presetIndex + 1}`;
+            previousButton.after(button);
+            previousButton = button;
+        }
     }
 
     /**
@@ -337,9 +430,9 @@ export class DisplayAnki {
      */
     _getNoteContext() {
         const {state} = this._display.history;
-        let documentTitle, url, sentence;
+        let documentTitle, url, sentence, cue, book;
         if (typeof state === 'object' && state !== null) {
-            ({documentTitle, url, sentence} = state);
+            ({documentTitle, url, sentence, cue, book} = state);
         }
         if (typeof documentTitle !== 'string') {
             documentTitle = document.title;
@@ -349,13 +442,32 @@ export class DisplayAnki {
         }
         const {query, fullQuery, queryOffset} = this._display;
         sentence = this._getValidSentenceData(sentence, fullQuery, queryOffset);
-        return {
+        /** @type {import('anki-templates-internal').Context} */
+        const context = {
             url,
             sentence,
             documentTitle,
             query,
             fullQuery,
         };
+        if (typeof cue === 'object' && cue !== null) {
+            context.cue = cue;
+        }
+        if (typeof book === 'object' && book !== null) {
+            context.book = book;
+        }
+        return context;
+    }
+
+    /**
+     * Gets the image which the content was recognized from, which is used as the screenshot of the note.
+     * @returns {?string}
+     */
+    _getRecognizedImage() {
+        const {state} = this._display.history;
+        if (typeof state !== 'object' || state === null) { return null; }
+        const {screenshot} = state;
+        return typeof screenshot === 'string' ? screenshot : null;
     }
 
     /** */
@@ -397,9 +509,10 @@ export class DisplayAnki {
         }
 
         const mode = button.dataset.mode;
+        const presetName = this._getCardPresetName(button);
         const verb = behavior === 'overwrite' ? 'Overwrite' : 'Add duplicate';
         const iconPrefix = behavior === 'overwrite' ? 'overwrite' : 'add-duplicate';
-        const target = mode === 'term-kanji' ? 'expression' : 'reading';
+        const target = presetName !== null ? presetName : (mode === 'term-kanji' ? 'expression' : 'reading');
 
         if (behavior === 'overwrite') {
             button.dataset.overwrite = 'true';
@@ -433,8 +546,8 @@ export class DisplayAnki {
         for (let i = 0, ii = dictionaryEntryDetails.length; i < ii; ++i) {
             /** @type {?Set<number>} */
             let allNoteIds = null;
-            for (const {mode, canAdd, noteIds, noteInfos, ankiError} of dictionaryEntryDetails[i].modeMap.values()) {
-                const button = this._saveButtonFind(i, mode);
+            for (const {cardKey, canAdd, noteIds, noteInfos, ankiError} of dictionaryEntryDetails[i].modeMap.values()) {
+                const button = this._saveButtonFind(i, cardKey);
                 if (button !== null) {
                     button.disabled = !canAdd;
                     button.hidden = (ankiError !== null);
@@ -509,18 +622,18 @@ export class DisplayAnki {
     }
 
     /**
-     * @param {import('display-anki').CreateMode} mode
+     * @param {import('display-anki').CardKey} cardKey
      */
-    _hotkeySaveAnkiNoteForSelectedEntry(mode) {
+    _hotkeySaveAnkiNoteForSelectedEntry(cardKey) {
         const index = this._display.selectedIndex;
-        void this._saveAnkiNote(index, mode);
+        void this._saveAnkiNote(index, cardKey);
     }
 
     /**
      * @param {number} dictionaryEntryIndex
-     * @param {import('display-anki').CreateMode} mode
+     * @param {import('display-anki').CardKey} cardKey
      */
-    async _saveAnkiNote(dictionaryEntryIndex, mode) {
+    async _saveAnkiNote(dictionaryEntryIndex, cardKey) {
         const dictionaryEntries = this._display.dictionaryEntries;
         const dictionaryEntryDetails = this._dictionaryEntryDetails;
         if (!(
@@ -532,12 +645,12 @@ export class DisplayAnki {
             return;
         }
         const dictionaryEntry = dictionaryEntries[dictionaryEntryIndex];
-        const details = dictionaryEntryDetails[dictionaryEntryIndex].modeMap.get(mode);
+        const details = dictionaryEntryDetails[dictionaryEntryIndex].modeMap.get(cardKey);
         if (typeof details === 'undefined') { return; }
 
-        const {requirements} = details;
+        const {requirements, offline} = details;
 
-        const button = this._saveButtonFind(dictionaryEntryIndex, mode);
+        const button = this._saveButtonFind(dictionaryEntryIndex, cardKey);
         if (button === null || button.disabled) { return; }
 
         this._hideErrorNotification(true);
@@ -547,14 +660,18 @@ export class DisplayAnki {
         const progressIndicatorVisible = this._display.progressIndicatorVisible;
         const overrideToken = progressIndicatorVisible.setOverride(true);
         try {
-            const {note, errors, requirements: outputRequirements} = await this._createNote(dictionaryEntry, mode, requirements);
+            const {note, errors, requirements: outputRequirements} = await this._createNote(dictionaryEntry, cardKey, requirements, offline);
             allErrors.push(...errors);
 
             const error = this._getAddNoteRequirementsError(requirements, outputRequirements);
             if (error !== null) { allErrors.push(error); }
-            await (button.dataset.overwrite ?
-                this._updateAnkiNote(note, allErrors, button, dictionaryEntryIndex) :
-                this._addNewAnkiNote(note, allErrors, button, dictionaryEntryIndex));
+            if (offline) {
+                await this._addOfflineAnkiNote(note, allErrors, button);
+            } else {
+                await (button.dataset.overwrite ?
+                    this._updateAnkiNote(note, allErrors, button, dictionaryEntryIndex) :
+                    this._addNewAnkiNote(note, allErrors, button, dictionaryEntryIndex));
+            }
         } catch (e) {
             allErrors.push(toError(e));
         } finally {
@@ -603,6 +720,30 @@ export class DisplayAnki {
         }
     }
 
+    /**
+     * @param {import('anki').Note} note
+     * @param {Error[]} allErrors
+     * @param {HTMLButtonElement} button
+     */
+    async _addOfflineAnkiNote(note, allErrors, button) {
+        let queueCount;
+        try {
+            await this._display.application.api.addAnkiNoteOffline(note);
+            queueCount = (await this._display.application.api.getAnkiOfflineQueue()).length;
+        } catch (e) {
+            allErrors.length = 0;
+            allErrors.push(toError(e));
+            return;
+        }
+
+        button.disabled = true;
+        if (this._offlineQueueNotification === null) {
+            this._offlineQueueNotification = this._display.createNotification(true);
+        }
+        this._offlineQueueNotification.setContent(`Anki is not connected, so the note was added to the offline queue (${queueCount} queued).`);
+        this._offlineQueueNotification.open();
+    }
+
     /**
      * @param {import('anki').Note} note
      * @param {Error[]} allErrors
@@ -613,9 +754,9 @@ export class DisplayAnki {
         const dictionaryEntries = this._display.dictionaryEntries;
         const allEntryDetails = await this._getDictionaryEntryDetails(dictionaryEntries);
         const relevantEntryDetails = allEntryDetails[dictionaryEntryIndex];
-        const mode = this._getValidCreateMode(button.dataset.mode);
-        if (mode === null) { return; }
-        const relevantModeDetails = relevantEntryDetails.modeMap.get(mode);
+        const cardKey = this._getSaveButtonCardKey(button);
+        if (cardKey === null) { return; }
+        const relevantModeDetails = relevantEntryDetails.modeMap.get(cardKey);
         if (typeof relevantModeDetails === 'undefined') { return; }
         const {noteIds} = relevantModeDetails;
         if (noteIds === null) { return; }
@@ -740,12 +881,14 @@ export class DisplayAnki {
         for (let i = 0, ii = dictionaryEntries.length; i < ii; ++i) {
             const dictionaryEntry = dictionaryEntries[i];
             const {type} = dictionaryEntry;
-            const modes = this._dictionaryEntryTypeModeMap.get(type);
-            if (typeof modes === 'undefined') { continue; }
-            for (const mode of modes) {
-                const notePromise = this._createNote(dictionaryEntry, mode, []);
+            const cardKeys = this._dictionaryEntryTypeCardKeyMap.get(type);
+            if (typeof cardKeys === 'undefined') { continue; }
+            for (const cardKey of cardKeys) {
+                const cardOptions = this._cardOptions.get(cardKey);
+                if (typeof cardOptions === 'undefined') { continue; }
+                const notePromise = this._createNote(dictionaryEntry, cardKey, []);
                 notePromises.push(notePromise);
-                noteTargets.push({index: i, mode});
+                noteTargets.push({index: i, cardKey, mode: cardOptions.mode});
             }
         }
 
@@ -754,12 +897,16 @@ export class DisplayAnki {
 
         let infos;
         let ankiError = null;
+        let offline = false;
         try {
             if (!await this._display.application.api.isAnkiConnected()) {
-                throw new Error('Anki not connected');
+                if (!this._offlineQueue) {
+                    throw new Error('Anki not connected');
+                }
+                offline = true;
             }
 
-            infos = this._checkForDuplicates ?
+            infos = this._checkForDuplicates && !offline ?
                 await this._display.application.api.getAnkiNoteInfo(notes, fetchAdditionalInfo) :
                 this._getAnkiNoteInfoForceValue(notes, true);
         } catch (e) {
@@ -778,8 +925,8 @@ export class DisplayAnki {
         for (let i = 0, ii = noteInfoList.length; i < ii; ++i) {
             const {note, errors, requirements} = noteInfoList[i];
             const {canAdd, valid, noteIds, noteInfos} = infos[i];
-            const {mode, index} = noteTargets[i];
-            results[index].modeMap.set(mode, {mode, note, errors, requirements, canAdd, valid, noteIds, noteInfos, ankiError});
+            const {cardKey, mode, index} = noteTargets[i];
+            results[index].modeMap.set(cardKey, {cardKey, mode, note, errors, requirements, canAdd, valid, noteIds, noteInfos, ankiError, offline});
         }
         return results;
     }
@@ -800,19 +947,26 @@ export class DisplayAnki {
 
     /**
      * @param {import('dictionary').DictionaryEntry} dictionaryEntry
-     * @param {import('display-anki').CreateMode} mode
+     * @param {import('display-anki').CardKey} cardKey
      * @param {import('anki-note-builder').Requirement[]} requirements
+     * @param {boolean} [offline] Whether media should be stored in the offline note queue rather than being sent to Anki.
      * @returns {Promise<import('display-anki').CreateNoteResult>}
      */
-    async _createNote(dictionaryEntry, mode, requirements) {
+    async _createNote(dictionaryEntry, cardKey, requirements, offline = false) {
         const context = this._noteContext;
         if (context === null) { throw new Error('Note context not initialized'); }
-        const modeOptions = this._modeOptions.get(mode);
-        if (typeof modeOptions === 'undefined') { throw new Error(`Unsupported note type: ${mode}`); }
+        const cardOptions = this._cardOptions.get(cardKey);
+        if (typeof cardOptions === 'undefined') { throw new Error(`Unsupported note type: ${cardKey}`); }
         const template = this._ankiFieldTemplates;
         if (typeof template !== 'string') { throw new Error('Invalid template'); }
-        const {deck: deckName, model: modelName} = modeOptions;
-        const fields = Object.entries(modeOptions.fields);
+        const {mode, rules} = cardOptions;
+        let {deck: deckName, model: modelName} = cardOptions;
+        const rule = getMatchingAnkiCardPresetRule(rules, dictionaryEntry, this._language);
+        if (rule !== null) {
+            if (rule.deck.length > 0) { deckName = rule.deck; }
+            if (rule.model.length > 0) { modelName = rule.model; }
+        }
+        const fields = Object.entries(cardOptions.fields);
         const contentOrigin = this._display.getContentOrigin();
         const details = this._ankiNoteBuilder.getDictionaryEntryDetailsForNote(dictionaryEntry);
         const audioDetails = this._getAnkiNoteMediaAudioDetails(details);
@@ -839,11 +993,20 @@ export class DisplayAnki {
                     format: this._screenshotFormat,
                     quality: this._screenshotQuality,
                     contentOrigin,
+                    image: this._getRecognizedImage(),
+                },
+                sentenceAudio: {
+                    contentOrigin,
+                    startTime: typeof context.cue !== 'undefined' ? context.cue.startTime : null,
+                    endTime: typeof context.cue !== 'undefined' ? context.cue.endTime : null,
+                    windowBefore: this._sentenceAudioOptions.windowBefore,
+                    windowAfter: this._sentenceAudioOptions.windowAfter,
                 },
                 textParsing: {
                     optionsContext,
                     scanLength: this._scanLength,
                 },
+                offline,
             },
             requirements,
             dictionaryStylesMap,
@@ -851,14 +1014,6 @@ export class DisplayAnki {
         return {note, errors, requirements: outputRequirements};
     }
 
-    /**
-     * @param {boolean} isTerms
-     * @returns {import('display-anki').CreateMode[]}
-     */
-    _getModes(isTerms) {
-        return isTerms ? ['term-kanji', 'term-kana'] : ['kanji'];
-    }
-
     /**
      * @param {unknown} sentence
      * @param {string} fallback
@@ -1055,6 +1210,38 @@ export class DisplayAnki {
         }
     }
 
+    /**
+     * @param {number} index
+     * @returns {import('display-anki').CardKey}
+     */
+    _getCardPresetKey(index) {
+        return `preset-${index}`;
+    }
+
+    /**
+     * @param {HTMLElement} button
+     * @returns {?import('display-anki').CardKey}
+     */
+    _getSaveButtonCardKey(button) {
+        const {cardPreset, mode} = button.dataset;
+        if (typeof cardPreset === 'string') {
+            const index = Number.parseInt(cardPreset, 10);
+            return Number.isFinite(index) ? this._getCardPresetKey(index) : null;
+        }
+        return this._getValidCreateMode(mode);
+    }
+
+    /**
+     * @param {HTMLElement} button
+     * @returns {?string}
+     */
+    _getCardPresetName(button) {
+        const cardKey = this._getSaveButtonCardKey(button);
+        if (cardKey === null) { return null; }
+        const cardOptions = this._cardOptions.get(cardKey);
+        return typeof cardOptions !== 'undefined' ? cardOptions.presetName : null;
+    }
+
     /**
      * @param {string|undefined} value
      * @returns {?import('display-anki').CreateMode}
@@ -21,6 +21,7 @@ import {getDisambiguations, getGroupedPronunciations, getTermFrequency, groupKan
 import {HtmlTemplateCollection} from '../dom/html-template-collection.js';
 import {distributeFurigana, getKanaMorae, getPitchCategory, isCodePointKanji} from '../language/ja/japanese.js';
 import {getLanguageFromText} from '../language/text-utilities.js';
+import {getReadingSegments} from '../language/zh/chinese.js';
 import {createPronunciationDownstepPosition, createPronunciationGraph, createPronunciationText} from './pronunciation-generator.js';
 import {StructuredContentGenerator} from './structured-content-generator.js';
 
@@ -358,7 +359,11 @@ export class DisplayGenerator {
         }
 
         const headwordReading = this._querySelector(node, '.headword-reading');
-        this._setTextContent(headwordReading, reading);
+        if (this._language === 'zh') {
+            this._appendToneColoredReading(headwordReading, reading);
+        } else {
+            this._setTextContent(headwordReading, reading);
+        }
 
         this._appendFurigana(termContainer, term, reading, this._appendKanjiLinks.bind(this));
 
@@ -1001,6 +1006,25 @@ export class DisplayGenerator {
         }
     }
 
+    /**
+     * @param {HTMLElement} container
+     * @param {string} reading
+     */
+    _appendToneColoredReading(container, reading) {
+        container.lang = this._language;
+        for (const {text, tone} of getReadingSegments(reading)) {
+            if (tone === null) {
+                container.appendChild(document.createTextNode(text));
+                continue;
+            }
+            const node = document.createElement('span');
+            node.className = 'headword-reading-syllable';
+            node.dataset.tone = `${tone}`;
+            node.textContent = text;
+            container.appendChild(node);
+        }
+    }
+
     /**
      * @param {string} dictionary
      * @returns {import('dictionary').Tag}
@@ -0,0 +1,219 @@
+/*
+ * Copyright (C) 2023-2024  Yomitan Authors
+ * Copyright (C) 2017-2022  Yomichan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {toError} from '../core/to-error.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+
+/**
+ * Shows a form in the display footer which adds or edits a term of the personal dictionary.
+ */
+export class DisplayPersonalDictionary {
+    /**
+     * @param {import('./display.js').Display} display
+     */
+    constructor(display) {
+        /** @type {import('./display.js').Display} */
+        this._display = display;
+        /** @type {?import('./display-notification.js').DisplayNotification} */
+        this._notification = null;
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {?number} */
+        this._id = null;
+        /** @type {boolean} */
+        this._busy = false;
+    }
+
+    /**
+     * Opens the form for adding a new term.
+     * @param {string} term
+     * @param {string} reading
+     */
+    addEntry(term, reading) {
+        this._open(null, {term, reading, glossary: [], tags: [], frequency: null});
+    }
+
+    /**
+     * Opens the form for editing an existing term.
+     * @param {number} id The database `id` of the term.
+     */
+    async editEntry(id) {
+        const entry = await this._display.application.api.getPersonalDictionaryEntry(id);
+        if (entry === null) {
+            this._eventListeners.removeAllEventListeners();
+            const notification = this._getNotification();
+            notification.setContent('The personal dictionary entry no longer exists.');
+            notification.open();
+            return;
+        }
+        this._open(id, entry);
+    }
+
+    /**
+     * Closes the form.
+     */
+    close() {
+        this._eventListeners.removeAllEventListeners();
+        if (this._notification !== null) {
+            this._notification.close(true);
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {?number} id
+     * @param {import('personal-dictionary').Entry} entry
+     */
+    _open(id, {term, reading, glossary, tags, frequency}) {
+        this._eventListeners.removeAllEventListeners();
+        this._id = id;
+        this._busy = false;
+
+        const form = /** @type {HTMLFormElement} */ (this._display.displayGenerator.instantiateTemplate('footer-notification-personal-dictionary-editor'));
+        /** @type {HTMLElement} */
+        const header = querySelectorNotNull(form, '.personal-dictionary-editor-header');
+        /** @type {HTMLInputElement} */
+        const termInput = querySelectorNotNull(form, '.personal-dictionary-editor-term');
+        /** @type {HTMLInputElement} */
+        const readingInput = querySelectorNotNull(form, '.personal-dictionary-editor-reading');
+        /** @type {HTMLTextAreaElement} */
+        const glossaryInput = querySelectorNotNull(form, '.personal-dictionary-editor-glossary');
+        /** @type {HTMLInputElement} */
+        const tagsInput = querySelectorNotNull(form, '.personal-dictionary-editor-tags');
+        /** @type {HTMLInputElement} */
+        const frequencyInput = querySelectorNotNull(form, '.personal-dictionary-editor-frequency');
+        /** @type {HTMLButtonElement} */
+        const deleteButton = querySelectorNotNull(form, '.personal-dictionary-editor-delete-button');
+        /** @type {HTMLButtonElement} */
+        const cancelButton = querySelectorNotNull(form, '.personal-dictionary-editor-cancel-button');
+
+        header.textContent = id === null ? 'Add to personal dictionary' : 'Edit personal dictionary entry';
+        termInput.value = term;
+        readingInput.value = reading !== term ? reading : '';
+        glossaryInput.value = glossary.join('\n');
+        tagsInput.value = tags.join(' ');
+        frequencyInput.value = frequency !== null ? `${frequency}` : '';
+        deleteButton.hidden = (id === null);
+
+        this._eventListeners.addEventListener(form, 'submit', this._onSubmit.bind(this, form), false);
+        this._eventListeners.addEventListener(deleteButton, 'click', this._onDeleteButtonClick.bind(this, form), false);
+        this._eventListeners.addEventListener(cancelButton, 'click', this.close.bind(this), false);
+
+        const notification = this._getNotification();
+        notification.setContent(form);
+        notification.open();
+        (term.length > 0 ? glossaryInput : termInput).focus();
+    }
+
+    /**
+     * @returns {import('./display-notification.js').DisplayNotification}
+     */
+    _getNotification() {
+        if (this._notification === null) {
+            this._notification = this._display.createNotification(false);
+            this._notification.node.classList.add('personal-dictionary-editor-notification');
+        }
+        return this._notification;
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     * @param {SubmitEvent} e
+     */
+    _onSubmit(form, e) {
+        e.preventDefault();
+        void this._run(form, async () => {
+            await this._display.application.api.setPersonalDictionaryEntry(this._id, this._getEntry(form));
+        });
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     */
+    _onDeleteButtonClick(form) {
+        const id = this._id;
+        if (id === null) { return; }
+        void this._run(form, async () => {
+            await this._display.application.api.deletePersonalDictionaryEntry(id);
+        });
+    }
+
+    /**
+     * Runs a change to the personal dictionary, then closes the form and refreshes the results.
+     * The form is left open with an error message if the change fails.
+     * @param {HTMLFormElement} form
+     * @param {() => Promise<void>} action
+     */
+    async _run(form, action) {
+        if (this._busy) { return; }
+        this._busy = true;
+        form.classList.add('personal-dictionary-editor-busy');
+        try {
+            this._setError(null);
+            await action();
+            this.close();
+            this._display.searchLast(false);
+        } catch (e) {
+            this._setError(toError(e));
+        } finally {
+            this._busy = false;
+            form.classList.remove('personal-dictionary-editor-busy');
+        }
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     * @returns {import('personal-dictionary').Entry}
+     * @throws {Error}
+     */
+    _getEntry(form) {
+        /** @type {HTMLInputElement} */
+        const termInput = querySelectorNotNull(form, '.personal-dictionary-editor-term');
+        /** @type {HTMLInputElement} */
+        const readingInput = querySelectorNotNull(form, '.personal-dictionary-editor-reading');
+        /** @type {HTMLTextAreaElement} */
+        const glossaryInput = querySelectorNotNull(form, '.personal-dictionary-editor-glossary');
+        /** @type {HTMLInputElement} */
+        const tagsInput = querySelectorNotNull(form, '.personal-dictionary-editor-tags');
+        /** @type {HTMLInputElement} */
+        const frequencyInput = querySelectorNotNull(form, '.personal-dictionary-editor-frequency');
+
+        const frequencyText = frequencyInput.value.trim();
+        const frequency = frequencyText.length > 0 ? Number.parseFloat(frequencyText) : null;
+        if (frequency !== null && !Number.isFinite(frequency)) { throw new Error('Invalid frequency'); }
+        return {
+            term: termInput.value,
+            reading: readingInput.value,
+            glossary: glossaryInput.value.split('\n'),
+            tags: tagsInput.value.split(/\s+/),
+            frequency,
+        };
+    }
+
+    /**
+     * @param {?Error} error
+     */
+    _setError(error) {
+        if (this._notification === null) { return; }
+        const node = this._notification.node.querySelector('.personal-dictionary-editor-error');
+        if (!(node instanceof HTMLElement)) { return; }
+        node.textContent = error !== null ? error.message : '';
+        node.hidden = (error === null);
+    }
+}
@@ -27,10 +27,12 @@ import {log} from '../core/log.js';
 import {toError} from '../core/to-error.js';
 import {clone, deepEqual, promiseTimeout} from '../core/utilities.js';
 import {setProfile} from '../data/profiles-util.js';
+import {personalDictionaryTitle} from '../dictionary/personal-dictionary.js';
 import {PopupMenu} from '../dom/popup-menu.js';
 import {querySelectorNotNull} from '../dom/query-selector.js';
 import {ScrollElement} from '../dom/scroll-element.js';
 import {TextSourceGenerator} from '../dom/text-source-generator.js';
+import {hasWildcardCharacters, parseRegExpLiteral} from '../general/regex-util.js';
 import {HotkeyHelpController} from '../input/hotkey-help-controller.js';
 import {TextScanner} from '../language/text-scanner.js';
 import {checkPopupPreviewURL} from '../pages/settings/popup-preview-controller.js';
@@ -38,6 +40,7 @@ import {DisplayContentManager} from './display-content-manager.js';
 import {DisplayGenerator} from './display-generator.js';
 import {DisplayHistory} from './display-history.js';
 import {DisplayNotification} from './display-notification.js';
+import {DisplayPersonalDictionary} from './display-personal-dictionary.js';
 import {ElementOverflowController} from './element-overflow-controller.js';
 import {OptionToggleHotkeyHandler} from './option-toggle-hotkey-handler.js';
 import {QueryParser} from './query-parser.js';
@@ -170,6 +173,8 @@ export class Display extends EventDispatcher {
         this._inflectionNotification = null;
         /** @type {HTMLElement} */
         this._footerNotificationContainer = querySelectorNotNull(document, '#content-footer');
+        /** @type {DisplayPersonalDictionary} */
+        this._personalDictionary = new DisplayPersonalDictionary(this);
         /** @type {OptionToggleHotkeyHandler} */
         this._optionToggleHotkeyHandler = new OptionToggleHotkeyHandler(this);
         /** @type {ElementOverflowController} */
@@ -236,6 +241,11 @@ export class Display extends EventDispatcher {
         return this._displayGenerator;
     }
 
+    /** @type {DisplayPersonalDictionary} */
+    get personalDictionary() {
+        return this._personalDictionary;
+    }
+
     /** @type {boolean} */
     get queryParserVisible() {
         return this._queryParserVisible;
@@ -466,6 +476,7 @@ export class Display extends EventDispatcher {
                 sentenceParsingOptions,
                 scanWithoutMousemove: scanningOptions.scanWithoutMousemove,
                 scanResolution: scanningOptions.scanResolution,
+                recordLookupHistory: options.general.enableLookupHistory,
             },
         });
 
@@ -844,16 +855,22 @@ export class Display extends EventDispatcher {
             'new' :
             'overwrite'
         );
+        /** @type {import('display').HistoryState} */
+        const state = {
+            sentence,
+            optionsContext,
+            cause: 'queryParser',
+        };
+        if (typeof historyState === 'object' && historyState !== null && typeof historyState.screenshot === 'string') {
+            // Terms looked up from recognized text keep the image which the text was recognized from
+            state.screenshot = historyState.screenshot;
+        }
         /** @type {import('display').ContentDetails} */
         const details = {
             focus: false,
             historyMode,
             params: this._createSearchParams(type, query, false, sentenceOffset),
-            state: {
-                sentence,
-                optionsContext,
-                cause: 'queryParser',
-            },
+            state,
             content: {
                 dictionaryEntries,
                 contentOrigin: this.getContentOrigin(),
@@ -1086,6 +1103,7 @@ export class Display extends EventDispatcher {
         /**
          * @param {string} menuAction
          * @param {string} label
+         * @returns {HTMLElement}
          */
         const addItem = (menuAction, label) => {
             const item = /** @type {HTMLElement} */ (this._displayGenerator.instantiateTemplate('dictionary-entry-popup-menu-item'));
@@ -1094,8 +1112,31 @@ export class Display extends EventDispatcher {
             labelElement.textContent = label;
             item.dataset.menuAction = menuAction;
             menuBodyNode.appendChild(item);
+            return item;
         };
 
+        const index = this.getElementDictionaryEntryIndex(node);
+        const dictionaryEntry = (index >= 0 && index < this._dictionaryEntries.length ? this._dictionaryEntries[index] : null);
+        if (dictionaryEntry !== null && dictionaryEntry.type === 'term') {
+            addItem('add-personal-dictionary-entry', 'Add to personal dictionary');
+            const personalDefinitions = dictionaryEntry.definitions.filter(({dictionary}) => dictionary === personalDictionaryTitle);
+            for (const {id, entries} of personalDefinitions) {
+                const firstEntry = entries[0];
+                const label = (
+                    personalDefinitions.length > 1 && typeof firstEntry === 'string' ?
+                    `Edit personal dictionary entry: ${firstEntry}` :
+                    'Edit personal dictionary entry'
+                );
+                const item = addItem('edit-personal-dictionary-entry', label);
+                item.dataset.personalDictionaryId = `${id}`;
+            }
+            /** @type {[status: import('word-status').Status, label: string][]} */
+            const wordStatusItems = [['known', 'Mark as known'], ['learning', 'Mark as learning'], ['unknown', 'Mark as unknown']];
+            for (const [status, label] of wordStatusItems) {
+                const item = addItem('set-word-status', label);
+                item.dataset.wordStatus = status;
+            }
+        }
         addItem('log-debug-info', 'Log debug info');
 
         this._menuContainer.appendChild(menuContainerNode);
@@ -1108,14 +1149,53 @@ export class Display extends EventDispatcher {
      */
     _onMenuButtonMenuClose(e) {
         const node = /** @type {HTMLElement} */ (e.currentTarget);
-        const {action} = e.detail;
+        const {action, item} = e.detail;
         switch (action) {
+            case 'add-personal-dictionary-entry':
+                this._addPersonalDictionaryEntry(this.getElementDictionaryEntryIndex(node));
+                break;
+            case 'edit-personal-dictionary-entry':
+                if (item !== null) {
+                    void this._personalDictionary.editEntry(Number.parseInt(item.dataset.personalDictionaryId ?? '', 10));
+                }
+                break;
+            case 'set-word-status':
+                if (item !== null) {
+                    void this._setWordStatus(this.getElementDictionaryEntryIndex(node), /** @type {import('word-status').Status} */ (item.dataset.wordStatus));
+                }
+                break;
             case 'log-debug-info':
                 void this._logDictionaryEntryData(this.getElementDictionaryEntryIndex(node));
                 break;
         }
     }
 
+    /**
+     * @param {number} index
+     * @param {import('word-status').Status} status
+     */
+    async _setWordStatus(index, status) {
+        if (index < 0 || index >= this._dictionaryEntries.length) { return; }
+        const dictionaryEntry = this._dictionaryEntries[index];
+        if (dictionaryEntry.type !== 'term') { return; }
+        try {
+            await this._application.api.setWordStatus(dictionaryEntry.headwords[0].term, status);
+        } catch (e) {
+            this.onError(toError(e));
+        }
+    }
+
+    /**
+     * @param {number} index
+     */
+    _addPersonalDictionaryEntry(index) {
+        if (index < 0 || index >= this._dictionaryEntries.length) { return; }
+        const dictionaryEntry = this._dictionaryEntries[index];
+        if (dictionaryEntry.type !== 'term') { return; }
+        const {term, reading} = dictionaryEntry.headwords[0];
+        this._personalDictionary.addEntry(term, reading);
+    }
+
     /**
      * @param {Element} tagNode
      */
@@ -1252,39 +1332,104 @@ export class Display extends EventDispatcher {
     /**
      * @param {boolean} isKanji
      * @param {string} source
+     * @param {?string} historySentence The sentence to record in the lookup history, or `null` if the lookup should not be recorded.
      * @param {boolean} wildcardsEnabled
+     * @param {boolean} glossarySearch
      * @param {import('settings').OptionsContext} optionsContext
-     * @returns {Promise<import('dictionary').DictionaryEntry[]>}
+     * @returns {Promise<{dictionaryEntries: import('dictionary').DictionaryEntry[], patternSearch: ?import('display').PatternSearch}>}
      */
-    async _findDictionaryEntries(isKanji, source, wildcardsEnabled, optionsContext) {
+    async _findDictionaryEntries(isKanji, source, historySentence, wildcardsEnabled, glossarySearch, optionsContext) {
+        if (glossarySearch) {
+            const {dictionaryEntries} = await this._application.api.termsFind(source, {searchGlossaries: true}, optionsContext);
+            return {dictionaryEntries, patternSearch: null};
+        }
+
+        const questionMarkWildcard = this._options !== null && this._options.general.questionMarkWildcard;
+        const {findDetails, source: source2} = this._getFindDetails(source, wildcardsEnabled, questionMarkWildcard);
+        const {pattern} = findDetails;
+        if (typeof pattern !== 'undefined') {
+            const {dictionaryEntries, patternSearchNext} = await this._application.api.termsFind(source2, findDetails, optionsContext);
+            if (this._options !== null) {
+                dictionaryEntries.splice(this._options.general.maxPatternSearchResults);
+            }
+            const patternSearch = (
+                typeof patternSearchNext === 'object' && patternSearchNext !== null ?
+                {text: source2, regex: pattern.regex, next: patternSearchNext, optionsContext} :
+                null
+            );
+            return {dictionaryEntries, patternSearch};
+        }
+
         /** @type {import('dictionary').DictionaryEntry[]} */
         let dictionaryEntries = [];
-        const {findDetails, source: source2} = this._getFindDetails(source, wildcardsEnabled);
+        if (historySentence !== null) {
+            findDetails.history = {sentence: historySentence};
+        }
         if (isKanji) {
             dictionaryEntries = await this._application.api.kanjiFind(source, optionsContext);
-            if (dictionaryEntries.length > 0) { return dictionaryEntries; }
+            if (dictionaryEntries.length > 0) { return {dictionaryEntries, patternSearch: null}; }
 
             dictionaryEntries = (await this._application.api.termsFind(source2, findDetails, optionsContext)).dictionaryEntries;
         } else {
             dictionaryEntries = (await this._application.api.termsFind(source2, findDetails, optionsContext)).dictionaryEntries;
-            if (dictionaryEntries.length > 0) { return dictionaryEntries; }
+            if (dictionaryEntries.length > 0) { return {dictionaryEntries, patternSearch: null}; }
 
             dictionaryEntries = await this._application.api.kanjiFind(source, optionsContext);
         }
-        return dictionaryEntries;
+        return {dictionaryEntries, patternSearch: null};
+    }
+
+    /**
+     * Finds and shows the remaining pages of a pattern search's results,
+     * until all terms have been searched or the maximum number of results is reached.
+     * @param {import('display').PatternSearch} patternSearch
+     * @param {import('dictionary').DictionaryEntry[]} dictionaryEntries The dictionary entries which are shown. New entries are added to this array.
+     * @param {number} focusEntry
+     * @param {import('core').TokenObject} token
+     */
+    async _continuePatternSearch({text, regex, next, optionsContext}, dictionaryEntries, focusEntry, token) {
+        if (this._options === null) { return; }
+        const {maxPatternSearchResults} = this._options.general;
+        /** @type {?import('dictionary-database').TermPosition} */
+        let after = next;
+        while (after !== null && dictionaryEntries.length < maxPatternSearchResults) {
+            const {dictionaryEntries: newDictionaryEntries, patternSearchNext} = await this._application.api.termsFind(text, {pattern: {regex, after}}, optionsContext);
+            if (this._setContentToken !== token) { return; }
+            after = typeof patternSearchNext === 'object' ? patternSearchNext : null;
+
+            for (const dictionaryEntry of newDictionaryEntries) {
+                if (dictionaryEntries.length >= maxPatternSearchResults) { break; }
+                await promiseTimeout(1);
+                if (this._setContentToken !== token) { return; }
+
+                const index = dictionaryEntries.length;
+                dictionaryEntries.push(dictionaryEntry);
+                this._addDictionaryEntryNode(dictionaryEntry, index, focusEntry);
+            }
+        }
     }
 
     /**
      * @param {string} source
      * @param {boolean} wildcardsEnabled
+     * @param {boolean} questionMarkWildcard Whether `?` is a wildcard character in addition to `*`.
      * @returns {{findDetails: import('api').FindTermsDetails, source: string}}
      */
-    _getFindDetails(source, wildcardsEnabled) {
+    _getFindDetails(source, wildcardsEnabled, questionMarkWildcard) {
         /** @type {import('api').FindTermsDetails} */
         const findDetails = {};
         if (wildcardsEnabled) {
+            if (parseRegExpLiteral(source) !== null) {
+                findDetails.pattern = {regex: true, after: null};
+                return {findDetails, source};
+            }
             const match = /^([*\uff0a]*)([\w\W]*?)([*\uff0a]*)$/.exec(source);
             if (match !== null) {
+                if (hasWildcardCharacters(match[2], questionMarkWildcard) || (match[1] && match[3])) {
+                    // Wildcards which are not only at the start or the end cannot use the term indices.
+                    findDetails.pattern = {regex: false, after: null};
+                    return {findDetails, source};
+                }
                 if (match[1]) {
                     findDetails.matchType = 'suffix';
                     findDetails.deinflect = false;
@@ -1306,6 +1451,8 @@ export class Display extends EventDispatcher {
     async _setContentTermsOrKanji(type, urlSearchParams, token) {
         const lookup = (urlSearchParams.get('lookup') !== 'false');
         const wildcardsEnabled = (urlSearchParams.get('wildcards') !== 'off');
+        const glossarySearch = (urlSearchParams.get('glossary') === 'true');
+        const recordHistory = (urlSearchParams.get('history') === 'true');
         const hasEnabledDictionaries = this._options ? this._options.dictionaries.some(({enabled}) => enabled) : false;
 
         // Set query
@@ -1341,8 +1488,14 @@ export class Display extends EventDispatcher {
         }
 
         let {dictionaryEntries} = content;
+        /** @type {?import('display').PatternSearch} */
+        let patternSearch = null;
         if (!Array.isArray(dictionaryEntries)) {
-            dictionaryEntries = hasEnabledDictionaries && lookup && query.length > 0 ? await this._findDictionaryEntries(type === 'kanji', query, wildcardsEnabled, optionsContext) : [];
+            if (hasEnabledDictionaries && lookup && query.length > 0) {
+                ({dictionaryEntries, patternSearch} = await this._findDictionaryEntries(type === 'kanji', query, recordHistory ? queryFull : null, wildcardsEnabled, glossarySearch, optionsContext));
+            } else {
+                dictionaryEntries = [];
+            }
             if (this._setContentToken !== token) { return; }
             content.dictionaryEntries = dictionaryEntries;
             changeHistory = true;
@@ -1381,8 +1534,7 @@ export class Display extends EventDispatcher {
         this._setNoContentVisible(hasEnabledDictionaries && dictionaryEntries.length === 0 && lookup);
         this._setNoDictionariesVisible(!hasEnabledDictionaries);
 
-        const container = this._container;
-        container.textContent = '';
+        this._container.textContent = '';
 
         this._triggerContentUpdateStart();
 
@@ -1392,22 +1544,12 @@ export class Display extends EventDispatcher {
                 if (this._setContentToken !== token) { return; }
             }
 
-            const dictionaryEntry = dictionaryEntries[i];
-            const entry = (
-                dictionaryEntry.type === 'term' ?
-                this._displayGenerator.createTermEntry(dictionaryEntry) :
-                this._displayGenerator.createKanjiEntry(dictionaryEntry)
-            );
-            entry.dataset.index = `${i}`;
-            this._dictionaryEntryNodes.push(entry);
-            this._addEntryEventListeners(entry);
-            this._triggerContentUpdateEntry(dictionaryEntry, entry, i);
-            container.appendChild(entry);
-            if (focusEntry === i) {
-                this._focusEntry(i, 0, false);
-            }
+            this._addDictionaryEntryNode(dictionaryEntries[i], i, focusEntry);
+        }
 
-            this._elementOverflowController.addElements(entry);
+        if (patternSearch !== null) {
+            await this._continuePatternSearch(patternSearch, dictionaryEntries, focusEntry, token);
+            if (this._setContentToken !== token) { return; }
         }
 
         if (typeof scrollX === 'number' || typeof scrollY === 'number') {
@@ -1421,6 +1563,29 @@ export class Display extends EventDispatcher {
         this._triggerContentUpdateComplete();
     }
 
+    /**
+     * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+     * @param {number} index
+     * @param {number} focusEntry
+     */
+    _addDictionaryEntryNode(dictionaryEntry, index, focusEntry) {
+        const entry = (
+            dictionaryEntry.type === 'term' ?
+            this._displayGenerator.createTermEntry(dictionaryEntry) :
+            this._displayGenerator.createKanjiEntry(dictionaryEntry)
+        );
+        entry.dataset.index = `${index}`;
+        this._dictionaryEntryNodes.push(entry);
+        this._addEntryEventListeners(entry);
+        this._triggerContentUpdateEntry(dictionaryEntry, entry, index);
+        this._container.appendChild(entry);
+        if (focusEntry === index) {
+            this._focusEntry(index, 0, false);
+        }
+
+        this._elementOverflowController.addElements(entry);
+    }
+
     /** */
     _setContentExtensionUnloaded() {
         /** @type {?HTMLElement} */
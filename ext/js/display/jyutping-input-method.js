@@ -0,0 +1,215 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {log} from '../core/log.js';
+import {isStringJyutping} from '../language/yue/cantonese.js';
+
+/**
+ * Converts jyutping typed into a text field to Chinese characters, similar to an input method.
+ * The headwords whose readings match the jyutping before the caret are shown as candidates,
+ * which can be chosen with the arrow keys and inserted with the space key or by clicking them.
+ */
+export class JyutpingInputMethod {
+    /**
+     * @param {HTMLTextAreaElement} input The text field which jyutping is typed into.
+     * @param {HTMLElement} candidateList The list element which candidates are shown in.
+     * @param {(reading: string) => Promise<string[]>} getCandidates Gets the headwords which match a jyutping reading.
+     */
+    constructor(input, candidateList, getCandidates) {
+        /** @type {HTMLTextAreaElement} */
+        this._input = input;
+        /** @type {HTMLElement} */
+        this._candidateList = candidateList;
+        /** @type {(reading: string) => Promise<string[]>} */
+        this._getCandidates = getCandidates;
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {boolean} */
+        this._bound = false;
+        /** @type {string[]} */
+        this._candidates = [];
+        /** @type {number} */
+        this._selectedIndex = 0;
+        /** @type {?import('jyutping-input-method').Composition} */
+        this._composition = null;
+        /** @type {number} */
+        this._requestId = 0;
+        /** @type {number} */
+        this._maxCandidates = 9;
+    }
+
+    /**
+     * Starts converting the jyutping which is typed into the text field.
+     */
+    bind() {
+        if (this._bound) { return; }
+        this._eventListeners.addEventListener(this._input, 'input', this._onInput.bind(this), false);
+        this._eventListeners.addEventListener(this._input, 'keydown', this._onKeyDown.bind(this), false);
+        this._eventListeners.addEventListener(this._input, 'blur', this._onBlur.bind(this), false);
+        this._eventListeners.addEventListener(this._candidateList, 'mousedown', this._onCandidateListMouseDown.bind(this), false);
+        this._bound = true;
+    }
+
+    /**
+     * Stops converting the jyutping which is typed into the text field.
+     */
+    unbind() {
+        if (!this._bound) { return; }
+        this._eventListeners.removeAllEventListeners();
+        this._hideCandidates();
+        this._bound = false;
+    }
+
+    // Private
+
+    /** */
+    async _onInput() {
+        const requestId = ++this._requestId;
+        const composition = this._getComposition();
+        if (composition === null) {
+            this._hideCandidates();
+            return;
+        }
+
+        /** @type {string[]} */
+        let candidates;
+        try {
+            candidates = await this._getCandidates(composition.text);
+        } catch (e) {
+            log.error(e);
+            return;
+        }
+        if (requestId !== this._requestId) { return; }
+
+        this._composition = composition;
+        this._showCandidates(candidates.slice(0, this._maxCandidates));
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    _onKeyDown(e) {
+        if (e.isComposing || this._candidates.length === 0) { return; }
+        switch (e.key) {
+            case ' ':
+                this._insertCandidate(this._selectedIndex);
+                break;
+            case 'ArrowDown':
+                this._setSelectedIndex((this._selectedIndex + 1) % this._candidates.length);
+                break;
+            case 'ArrowUp':
+                this._setSelectedIndex((this._selectedIndex + this._candidates.length - 1) % this._candidates.length);
+                break;
+            case 'Escape':
+                this._hideCandidates();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /** */
+    _onBlur() {
+        this._hideCandidates();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onCandidateListMouseDown(e) {
+        // Prevent the text field from losing focus
+        e.preventDefault();
+        if (!(e.target instanceof Element)) { return; }
+        const item = e.target.closest('.jyutping-candidate');
+        if (!(item instanceof HTMLElement)) { return; }
+        const index = Number.parseInt(item.dataset.index ?? '', 10);
+        if (Number.isFinite(index)) {
+            this._insertCandidate(index);
+        }
+    }
+
+    /**
+     * Gets the jyutping directly before the caret.
+     * @returns {?import('jyutping-input-method').Composition}
+     */
+    _getComposition() {
+        const {value, selectionStart, selectionEnd} = this._input;
+        if (selectionStart !== selectionEnd) { return null; }
+        const match = /[a-z1-6']+$/i.exec(value.substring(0, selectionStart));
+        if (match === null || !isStringJyutping(match[0])) { return null; }
+        return {start: match.index, text: match[0]};
+    }
+
+    /**
+     * @param {string[]} candidates
+     */
+    _showCandidates(candidates) {
+        this._candidates = candidates;
+        const candidateList = this._candidateList;
+        candidateList.textContent = '';
+        for (let i = 0, ii = candidates.length; i < ii; ++i) {
+            const item = document.createElement('li');
+            item.className = 'jyutping-candidate';
+            item.dataset.index = `${i}`;
+            item.textContent = candidates[i];
+            candidateList.appendChild(item);
+        }
+        candidateList.hidden = (candidates.length === 0);
+        this._setSelectedIndex(0);
+    }
+
+    /** */
+    _hideCandidates() {
+        ++this._requestId;
+        this._candidates = [];
+        this._composition = null;
+        this._candidateList.textContent = '';
+        this._candidateList.hidden = true;
+    }
+
+    /**
+     * @param {number} index
+     */
+    _setSelectedIndex(index) {
+        this._selectedIndex = index;
+        const items = this._candidateList.querySelectorAll('.jyutping-candidate');
+        for (let i = 0, ii = items.length; i < ii; ++i) {
+            /** @type {HTMLElement} */ (items[i]).dataset.selected = `${i === index}`;
+        }
+    }
+
+    /**
+     * Replaces the jyutping before the caret with a candidate.
+     * @param {number} index
+     */
+    _insertCandidate(index) {
+        const composition = this._composition;
+        if (composition === null || index < 0 || index >= this._candidates.length) { return; }
+        const candidate = this._candidates[index];
+        const input = this._input;
+        const {value} = input;
+        const {start, text} = composition;
+        input.value = value.substring(0, start) + candidate + value.substring(start + text.length);
+        const caret = start + candidate.length;
+        input.setSelectionRange(caret, caret);
+        this._hideCandidates();
+        input.dispatchEvent(new Event('input'));
+    }
+}
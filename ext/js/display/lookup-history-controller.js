@@ -0,0 +1,317 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {escapeCsvField} from '../data/string-util.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+
+/**
+ * Controls the lookup history view of the search page, which lists previous lookups
+ * and allows them to be filtered and exported.
+ */
+export class LookupHistoryController {
+    /**
+     * @param {import('./display.js').Display} display
+     * @param {import('../pages/settings/modal-controller.js').ModalController} modalController
+     */
+    constructor(display, modalController) {
+        /** @type {import('./display.js').Display} */
+        this._display = display;
+        /** @type {import('../pages/settings/modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {HTMLInputElement} */
+        this._enableCheckbox = querySelectorNotNull(document, '#lookup-history-enable');
+        /** @type {HTMLInputElement} */
+        this._filterInput = querySelectorNotNull(document, '#lookup-history-filter');
+        /** @type {HTMLSelectElement} */
+        this._profileSelect = querySelectorNotNull(document, '#lookup-history-profile-select');
+        /** @type {HTMLElement} */
+        this._list = querySelectorNotNull(document, '#lookup-history-list');
+        /** @type {HTMLElement} */
+        this._countElement = querySelectorNotNull(document, '#lookup-history-count');
+        /** @type {HTMLButtonElement} */
+        this._exportCsvButton = querySelectorNotNull(document, '#lookup-history-export-csv-button');
+        /** @type {HTMLButtonElement} */
+        this._exportJsonButton = querySelectorNotNull(document, '#lookup-history-export-json-button');
+        /** @type {HTMLButtonElement} */
+        this._clearConfirmButton = querySelectorNotNull(document, '#lookup-history-clear-confirm-button');
+        /** @type {?import('core').TokenObject} */
+        this._updateToken = null;
+        /** @type {?import('core').Timeout} */
+        this._filterTimer = null;
+        /** @type {number} */
+        this._displayLimit = 500;
+        /** @type {number} */
+        this._filterDelay = 250;
+    }
+
+    /** */
+    prepare() {
+        const modal = this._modalController.getModal('lookup-history');
+        if (modal !== null) {
+            modal.on('visibilityChanged', this._onModalVisibilityChanged.bind(this));
+        }
+
+        this._display.on('optionsUpdated', this._onDisplayOptionsUpdated.bind(this));
+        this._enableCheckbox.addEventListener('change', this._onEnableChange.bind(this), false);
+        this._filterInput.addEventListener('input', this._onFilterInput.bind(this), false);
+        this._profileSelect.addEventListener('change', this._onProfileSelectChange.bind(this), false);
+        this._exportCsvButton.addEventListener('click', this._onExportButtonClick.bind(this, 'csv'), false);
+        this._exportJsonButton.addEventListener('click', this._onExportButtonClick.bind(this, 'json'), false);
+        this._clearConfirmButton.addEventListener('click', this._onClearConfirmButtonClick.bind(this), false);
+
+        const options = this._display.getOptions();
+        if (options !== null) {
+            this._onDisplayOptionsUpdated({options});
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {import('display').EventArgument<'optionsUpdated'>} details
+     */
+    _onDisplayOptionsUpdated({options}) {
+        this._enableCheckbox.checked = options.general.enableLookupHistory;
+    }
+
+    /**
+     * @param {import('panel-element').EventArgument<'visibilityChanged'>} details
+     */
+    _onModalVisibilityChanged({visible}) {
+        if (!visible) { return; }
+        void this._updateProfileSelect();
+        void this._updateList();
+    }
+
+    /**
+     * @param {Event} e
+     */
+    _onEnableChange(e) {
+        const element = /** @type {HTMLInputElement} */ (e.currentTarget);
+        /** @type {import('settings-modifications').ScopedModificationSet} */
+        const modification = {
+            action: 'set',
+            path: 'general.enableLookupHistory',
+            value: element.checked,
+            scope: 'profile',
+            optionsContext: this._display.getOptionsContext(),
+        };
+        void this._display.application.api.modifySettings([modification], 'search');
+    }
+
+    /** */
+    _onFilterInput() {
+        if (this._filterTimer !== null) {
+            clearTimeout(this._filterTimer);
+        }
+        this._filterTimer = setTimeout(() => {
+            this._filterTimer = null;
+            void this._updateList();
+        }, this._filterDelay);
+    }
+
+    /** */
+    _onProfileSelectChange() {
+        void this._updateList();
+    }
+
+    /**
+     * @param {'csv'|'json'} format
+     */
+    async _onExportButtonClick(format) {
+        const entries = await this._display.application.api.getLookupHistory(this._getFilter());
+        const dateString = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+        if (format === 'csv') {
+            const blob = new Blob([this._createCsv(entries)], {type: 'text/csv'});
+            this._saveBlob(blob, `yomitan-lookup-history-${dateString}.csv`);
+        } else {
+            const blob = new Blob([JSON.stringify(entries, null, 4)], {type: 'application/json'});
+            this._saveBlob(blob, `yomitan-lookup-history-${dateString}.json`);
+        }
+    }
+
+    /** */
+    async _onClearConfirmButtonClick() {
+        const modal = this._modalController.getModal('lookup-history-clear');
+        if (modal !== null) { modal.setVisible(false); }
+        await this._display.application.api.clearLookupHistory();
+        await this._updateList();
+    }
+
+    /**
+     * @returns {import('lookup-history').LookupHistoryFilter}
+     */
+    _getFilter() {
+        const profile = this._profileSelect.value;
+        return {
+            query: this._filterInput.value.trim(),
+            profile: profile.length > 0 ? profile : null,
+            limit: null,
+        };
+    }
+
+    /** */
+    async _updateProfileSelect() {
+        const {profiles} = await this._display.application.api.optionsGetFull();
+        const value = this._profileSelect.value;
+        const fragment = document.createDocumentFragment();
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = 'All profiles';
+        fragment.appendChild(allOption);
+        for (const {name} of profiles) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            fragment.appendChild(option);
+        }
+        this._profileSelect.textContent = '';
+        this._profileSelect.appendChild(fragment);
+        this._profileSelect.value = profiles.some(({name}) => name === value) ? value : '';
+    }
+
+    /** */
+    async _updateList() {
+        /** @type {?import('core').TokenObject} */
+        const token = {};
+        this._updateToken = token;
+        const entries = await this._display.application.api.getLookupHistory(this._getFilter());
+        if (this._updateToken !== token) { return; }
+
+        /** @type {Map<string, number>} */
+        const lookupCounts = new Map();
+        for (const {term, reading} of entries) {
+            const key = this._getTermKey(term, reading);
+            lookupCounts.set(key, (lookupCounts.get(key) ?? 0) + 1);
+        }
+
+        const fragment = document.createDocumentFragment();
+        for (const entry of entries.slice(0, this._displayLimit)) {
+            fragment.appendChild(this._createEntryNode(entry, lookupCounts.get(this._getTermKey(entry.term, entry.reading)) ?? 1));
+        }
+        this._list.textContent = '';
+        this._list.appendChild(fragment);
+
+        const count = entries.length;
+        this._countElement.textContent = (
+            count > this._displayLimit ?
+            `Showing the ${this._displayLimit} most recent of ${count} lookups` :
+            `${count} lookup${count === 1 ? '' : 's'}`
+        );
+    }
+
+    /**
+     * @param {import('lookup-history').LookupHistoryEntryWithId} entry
+     * @param {number} lookupCount
+     * @returns {HTMLElement}
+     */
+    _createEntryNode({term, reading, sentence, url, timestamp, profile}, lookupCount) {
+        const language = this._display.getOptions()?.general.language;
+
+        const node = document.createElement('div');
+        node.className = 'lookup-history-entry';
+
+        const header = document.createElement('div');
+        header.className = 'lookup-history-entry-header';
+        node.appendChild(header);
+
+        const termNode = document.createElement('span');
+        termNode.className = 'lookup-history-entry-term';
+        termNode.textContent = term;
+        if (typeof language === 'string') { termNode.lang = language; }
+        header.appendChild(termNode);
+
+        if (reading.length > 0 && reading !== term) {
+            const readingNode = document.createElement('span');
+            readingNode.className = 'lookup-history-entry-reading';
+            readingNode.textContent = reading;
+            if (typeof language === 'string') { readingNode.lang = language; }
+            header.appendChild(readingNode);
+        }
+
+        if (lookupCount > 1) {
+            const countNode = document.createElement('span');
+            countNode.className = 'lookup-history-entry-count';
+            countNode.textContent = `×${lookupCount}`;
+            countNode.title = `Looked up ${lookupCount} times`;
+            header.appendChild(countNode);
+        }
+
+        const dateNode = document.createElement('span');
+        dateNode.className = 'lookup-history-entry-date';
+        dateNode.textContent = new Date(timestamp).toLocaleString();
+        dateNode.title = profile;
+        header.appendChild(dateNode);
+
+        if (sentence.length > 0) {
+            const sentenceNode = document.createElement('div');
+            sentenceNode.className = 'lookup-history-entry-sentence';
+            sentenceNode.textContent = sentence;
+            if (typeof language === 'string') { sentenceNode.lang = language; }
+            node.appendChild(sentenceNode);
+        }
+
+        if (url.length > 0) {
+            const urlNode = document.createElement('a');
+            urlNode.className = 'lookup-history-entry-url';
+            urlNode.textContent = url;
+            urlNode.href = url;
+            urlNode.target = '_blank';
+            urlNode.rel = 'noreferrer noopener';
+            node.appendChild(urlNode);
+        }
+
+        return node;
+    }
+
+    /**
+     * @param {string} term
+     * @param {string} reading
+     * @returns {string}
+     */
+    _getTermKey(term, reading) {
+        return JSON.stringify([term, reading]);
+    }
+
+    /**
+     * @param {import('lookup-history').LookupHistoryEntryWithId[]} entries
+     * @returns {string}
+     */
+    _createCsv(entries) {
+        const lines = [['term', 'reading', 'sentence', 'url', 'timestamp', 'profile'].join(',')];
+        for (const {term, reading, sentence, url, timestamp, profile} of entries) {
+            const fields = [term, reading, sentence, url, new Date(timestamp).toISOString(), profile];
+            lines.push(fields.map((field) => escapeCsvField(field)).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+}
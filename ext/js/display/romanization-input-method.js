@@ -0,0 +1,123 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+
+/** @type {RegExp} */
+const ROMANIZED_TEXT_PATTERN = /^[a-zēō'#-]+$/i;
+
+/**
+ * Converts romanized text typed into a text field to the script of a language.
+ * The romanized text of the word before the caret is remembered, so that it can be converted again
+ * each time a letter is typed or deleted, e.g. `s` → `с` and then `sh` → `ш` for Russian.
+ */
+export class RomanizationInputMethod {
+    /**
+     * @param {HTMLTextAreaElement} input The text field which romanized text is typed into.
+     */
+    constructor(input) {
+        /** @type {HTMLTextAreaElement} */
+        this._input = input;
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {?import('language').RomanizationConverter} */
+        this._converter = null;
+        /** @type {?import('romanization-input-method').Composition} */
+        this._composition = null;
+    }
+
+    /**
+     * Sets the function used to convert romanized text, or stops converting text if it is `null`.
+     * @param {?import('language').RomanizationConverter} converter
+     */
+    setConverter(converter) {
+        if (this._converter === converter) { return; }
+        this._eventListeners.removeAllEventListeners();
+        this._converter = converter;
+        this._composition = null;
+        if (converter !== null) {
+            this._eventListeners.addEventListener(this._input, 'beforeinput', this._onBeforeInput.bind(this), false);
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {InputEvent} e
+     */
+    _onBeforeInput(e) {
+        if (e.isComposing) { return; }
+        const composition = this._getComposition();
+        switch (e.inputType) {
+            case 'insertText':
+                {
+                    const {data} = e;
+                    const {selectionStart, selectionEnd} = this._input;
+                    if (data === null || !ROMANIZED_TEXT_PATTERN.test(data) || selectionStart !== selectionEnd) {
+                        this._composition = null;
+                        return;
+                    }
+                    const {start, romanizedText, text} = composition ?? {start: selectionStart, romanizedText: '', text: ''};
+                    this._setComposition(start, text, romanizedText + data);
+                }
+                break;
+            case 'deleteContentBackward':
+                if (composition === null) { return; }
+                this._setComposition(composition.start, composition.text, composition.romanizedText.substring(0, composition.romanizedText.length - 1));
+                break;
+            default:
+                this._composition = null;
+                return;
+        }
+        e.preventDefault();
+        this._input.dispatchEvent(new Event('input'));
+    }
+
+    /**
+     * Gets the current composition, if the caret is still at its end and its text has not been changed.
+     * @returns {?import('romanization-input-method').Composition}
+     */
+    _getComposition() {
+        const composition = this._composition;
+        if (composition === null) { return null; }
+        const {value, selectionStart, selectionEnd} = this._input;
+        const {start, text} = composition;
+        const end = start + text.length;
+        if (selectionStart !== end || selectionEnd !== end || value.substring(start, end) !== text) {
+            this._composition = null;
+            return null;
+        }
+        return composition;
+    }
+
+    /**
+     * Replaces the converted text of the composition with the conversion of new romanized text.
+     * @param {number} start
+     * @param {string} previousText
+     * @param {string} romanizedText
+     */
+    _setComposition(start, previousText, romanizedText) {
+        const converter = /** @type {import('language').RomanizationConverter} */ (this._converter);
+        const text = converter(romanizedText);
+        const input = this._input;
+        const {value} = input;
+        input.value = value.substring(0, start) + text + value.substring(start + previousText.length);
+        const caret = start + text.length;
+        input.setSelectionRange(caret, caret);
+        this._composition = (romanizedText.length > 0 ? {start, romanizedText, text} : null);
+    }
+}
@@ -21,6 +21,9 @@ import {ClipboardMonitor} from '../comm/clipboard-monitor.js';
 import {createApiMap, invokeApiMapHandler} from '../core/api-map.js';
 import {EventListenerCollection} from '../core/event-listener-collection.js';
 import {querySelectorNotNull} from '../dom/query-selector.js';
+import {getRomanizationConverter} from '../language/languages.js';
+import {JyutpingInputMethod} from './jyutping-input-method.js';
+import {RomanizationInputMethod} from './romanization-input-method.js';
 
 export class SearchDisplayController {
     /**
@@ -46,13 +49,25 @@ export class SearchDisplayController {
         /** @type {HTMLInputElement} */
         this._clipboardMonitorEnableCheckbox = querySelectorNotNull(document, '#clipboard-monitor-enable');
         /** @type {HTMLInputElement} */
+        this._glossarySearchEnableCheckbox = querySelectorNotNull(document, '#glossary-search-enable');
+        /** @type {HTMLInputElement} */
         this._wanakanaEnableCheckbox = querySelectorNotNull(document, '#wanakana-enable');
         /** @type {HTMLInputElement} */
+        this._jyutpingInputEnableCheckbox = querySelectorNotNull(document, '#jyutping-input-enable');
+        /** @type {HTMLInputElement} */
+        this._romanizationInputEnableCheckbox = querySelectorNotNull(document, '#romanization-input-enable');
+        /** @type {HTMLInputElement} */
         this._stickyHeaderEnableCheckbox = querySelectorNotNull(document, '#sticky-header-enable');
         /** @type {HTMLSelectElement} */
         this._profileSelect = querySelectorNotNull(document, '#profile-select');
         /** @type {HTMLElement} */
         this._wanakanaSearchOption = querySelectorNotNull(document, '#search-option-wanakana');
+        /** @type {HTMLElement} */
+        this._jyutpingInputSearchOption = querySelectorNotNull(document, '#search-option-jyutping-input');
+        /** @type {HTMLElement} */
+        this._romanizationInputSearchOption = querySelectorNotNull(document, '#search-option-romanization-input');
+        /** @type {HTMLElement} */
+        this._personalDictionaryButton = querySelectorNotNull(document, '#search-option-personal-dictionary');
         /** @type {EventListenerCollection} */
         this._queryInputEvents = new EventListenerCollection();
         /** @type {boolean} */
@@ -61,6 +76,16 @@ export class SearchDisplayController {
         this._wanakanaEnabled = false;
         /** @type {boolean} */
         this._wanakanaBound = false;
+        /** @type {JyutpingInputMethod} */
+        this._jyutpingInputMethod = new JyutpingInputMethod(
+            this._queryInput,
+            querySelectorNotNull(document, '#jyutping-candidates'),
+            this._getJyutpingCandidates.bind(this),
+        );
+        /** @type {RomanizationInputMethod} */
+        this._romanizationInputMethod = new RomanizationInputMethod(this._queryInput);
+        /** @type {?import('language').RomanizationConverter} */
+        this._romanizationConverter = null;
         /** @type {boolean} */
         this._introVisible = true;
         /** @type {?import('core').Timeout} */
@@ -78,6 +103,7 @@ export class SearchDisplayController {
             ['searchDisplayControllerGetMode', this._onMessageGetMode.bind(this)],
             ['searchDisplayControllerSetMode', this._onMessageSetMode.bind(this)],
             ['searchDisplayControllerUpdateSearchQuery', this._onExternalSearchUpdate.bind(this)],
+            ['searchDisplayControllerShowRecognizedText', this._onShowRecognizedText.bind(this)],
         ]);
     }
 
@@ -106,6 +132,10 @@ export class SearchDisplayController {
         this._searchButton.addEventListener('click', this._onSearch.bind(this), false);
         this._searchBackButton.addEventListener('click', this._onSearchBackButtonClick.bind(this), false);
         this._wanakanaEnableCheckbox.addEventListener('change', this._onWanakanaEnableChange.bind(this));
+        this._jyutpingInputEnableCheckbox.addEventListener('change', this._onJyutpingInputEnableChange.bind(this));
+        this._romanizationInputEnableCheckbox.addEventListener('change', this._onRomanizationInputEnableChange.bind(this));
+        this._glossarySearchEnableCheckbox.addEventListener('change', this._onGlossarySearchEnableChange.bind(this));
+        this._personalDictionaryButton.addEventListener('click', this._onPersonalDictionaryButtonClick.bind(this), false);
         window.addEventListener('copy', this._onCopy.bind(this));
         window.addEventListener('paste', this._onPaste.bind(this));
         this._clipboardMonitor.on('change', this._onClipboardMonitorChange.bind(this));
@@ -195,11 +225,20 @@ export class SearchDisplayController {
      * @param {import('settings').ProfileOptions} options
      */
     _updateSearchSettings(options) {
-        const {language, enableWanakana, stickySearchHeader} = options.general;
+        const {language, enableWanakana, enableJyutpingInput, enableRomanizationInput, stickySearchHeader} = options.general;
         const wanakanaEnabled = language === 'ja' && enableWanakana;
         this._wanakanaEnableCheckbox.checked = wanakanaEnabled;
         this._wanakanaSearchOption.style.display = language === 'ja' ? '' : 'none';
         this._setWanakanaEnabled(wanakanaEnabled);
+        const jyutpingInputEnabled = language === 'yue' && enableJyutpingInput;
+        this._jyutpingInputEnableCheckbox.checked = jyutpingInputEnabled;
+        this._jyutpingInputSearchOption.style.display = language === 'yue' ? '' : 'none';
+        this._setJyutpingInputEnabled(jyutpingInputEnabled);
+        this._romanizationConverter = getRomanizationConverter(language);
+        const romanizationInputEnabled = this._romanizationConverter !== null && enableRomanizationInput;
+        this._romanizationInputEnableCheckbox.checked = romanizationInputEnabled;
+        this._romanizationInputSearchOption.style.display = this._romanizationConverter !== null ? '' : 'none';
+        this._setRomanizationInputEnabled(romanizationInputEnabled);
         this._setStickyHeaderEnabled(stickySearchHeader);
     }
 
@@ -257,7 +296,7 @@ export class SearchDisplayController {
         e.preventDefault();
         e.stopImmediatePropagation();
         this._display.blurElement(element);
-        this._search(true, 'new', true, null);
+        this._search(true, 'new', true, true, null);
     }
 
     /**
@@ -265,7 +304,7 @@ export class SearchDisplayController {
      */
     _onSearch(e) {
         e.preventDefault();
-        this._search(true, 'new', true, null);
+        this._search(true, 'new', true, true, null);
     }
 
     /** */
@@ -295,7 +334,7 @@ export class SearchDisplayController {
         if (this._queryInput.value !== text) {
             this._queryInput.value = text;
             this._updateSearchHeight(true);
-            this._search(true, 'new', true, null);
+            this._search(true, 'new', true, true, null);
         }
     }
 
@@ -304,6 +343,13 @@ export class SearchDisplayController {
         void this._updateSearchFromClipboard(text, animate, false);
     }
 
+    /** @type {import('application').ApiHandler<'searchDisplayControllerShowRecognizedText'>} */
+    _onShowRecognizedText({text, image, url, documentTitle}) {
+        this._queryInput.value = text;
+        this._updateSearchHeight(true);
+        this._search(true, 'new', true, true, null, {image, url, documentTitle});
+    }
+
     /**
      * @param {import('clipboard-monitor').Events['change']} event
      */
@@ -326,7 +372,21 @@ export class SearchDisplayController {
         }
         this._queryInput.value = text;
         this._updateSearchHeight(true);
-        this._search(animate, 'clear', autoSearchContent, ['clipboard']);
+        this._search(animate, 'clear', autoSearchContent, true, ['clipboard']);
+    }
+
+    /** */
+    _onGlossarySearchEnableChange() {
+        if (this._queryInput.value.length === 0) { return; }
+        this._search(false, 'new', true, false, null);
+    }
+
+    /**
+     * Opens the personal dictionary form, using the search text as the term.
+     */
+    _onPersonalDictionaryButtonClick() {
+        const term = this._queryInput.value.trim();
+        this._display.personalDictionary.addEntry(term, '');
     }
 
     /**
@@ -347,6 +407,42 @@ export class SearchDisplayController {
         void this._display.application.api.modifySettings([modification], 'search');
     }
 
+    /**
+     * @param {Event} e
+     */
+    _onJyutpingInputEnableChange(e) {
+        const element = /** @type {HTMLInputElement} */ (e.target);
+        const value = element.checked;
+        this._setJyutpingInputEnabled(value);
+        /** @type {import('settings-modifications').ScopedModificationSet} */
+        const modification = {
+            action: 'set',
+            path: 'general.enableJyutpingInput',
+            value,
+            scope: 'profile',
+            optionsContext: this._display.getOptionsContext(),
+        };
+        void this._display.application.api.modifySettings([modification], 'search');
+    }
+
+    /**
+     * @param {Event} e
+     */
+    _onRomanizationInputEnableChange(e) {
+        const element = /** @type {HTMLInputElement} */ (e.target);
+        const value = element.checked;
+        this._setRomanizationInputEnabled(value);
+        /** @type {import('settings-modifications').ScopedModificationSet} */
+        const modification = {
+            action: 'set',
+            path: 'general.enableRomanizationInput',
+            value,
+            scope: 'profile',
+            optionsContext: this._display.getOptionsContext(),
+        };
+        void this._display.application.api.modifySettings([modification], 'search');
+    }
+
     /**
      * @param {Event} e
      */
@@ -440,6 +536,43 @@ export class SearchDisplayController {
         this._queryInputEventsSetup = true;
     }
 
+    /**
+     * @param {boolean} enabled
+     */
+    _setJyutpingInputEnabled(enabled) {
+        if (enabled) {
+            this._jyutpingInputMethod.bind();
+        } else {
+            this._jyutpingInputMethod.unbind();
+        }
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    _setRomanizationInputEnabled(enabled) {
+        this._romanizationInputMethod.setConverter(enabled ? this._romanizationConverter : null);
+    }
+
+    /**
+     * Gets the headwords whose readings match jyutping which is being typed into the search box.
+     * @param {string} reading
+     * @returns {Promise<string[]>}
+     */
+    async _getJyutpingCandidates(reading) {
+        const {dictionaryEntries} = await this._display.application.api.termsFind(reading, {}, this._display.getOptionsContext());
+        /** @type {Set<string>} */
+        const candidates = new Set();
+        for (const {headwords} of dictionaryEntries) {
+            for (const {term, sources} of headwords) {
+                if (term !== reading && sources.some(({originalText}) => originalText === reading)) {
+                    candidates.add(term);
+                }
+            }
+        }
+        return [...candidates];
+    }
+
     /**
      * @param {boolean} visible
      * @param {boolean} animate
@@ -575,9 +708,11 @@ export class SearchDisplayController {
      * @param {boolean} animate
      * @param {import('display').HistoryMode} historyMode
      * @param {boolean} lookup
+     * @param {boolean} recordHistory Whether the lookup should be recorded in the lookup history. Only searches which the user submitted are recorded.
      * @param {?import('settings').OptionsContextFlag[]} flags
+     * @param {?import('display').RecognizedTextSource} [recognizedTextSource] The image which the query was recognized from, if any.
      */
-    _search(animate, historyMode, lookup, flags) {
+    _search(animate, historyMode, lookup, recordHistory, flags, recognizedTextSource = null) {
         const query = this._queryInput.value;
         const depth = this._display.depth;
         const url = window.location.href;
@@ -588,6 +723,19 @@ export class SearchDisplayController {
             optionsContext.flags = flags;
         }
         const {tabId, frameId} = this._display.application;
+        /** @type {import('display').HistoryState} */
+        const state = {
+            focusEntry: 0,
+            optionsContext,
+            url,
+            sentence: {text: query, offset: 0},
+            documentTitle,
+        };
+        if (recognizedTextSource !== null) {
+            state.url = recognizedTextSource.url;
+            state.documentTitle = recognizedTextSource.documentTitle;
+            state.screenshot = recognizedTextSource.image;
+        }
         /** @type {import('display').ContentDetails} */
         const details = {
             focus: false,
@@ -595,13 +743,7 @@ export class SearchDisplayController {
             params: {
                 query,
             },
-            state: {
-                focusEntry: 0,
-                optionsContext,
-                url,
-                sentence: {text: query, offset: 0},
-                documentTitle,
-            },
+            state,
             content: {
                 dictionaryEntries: void 0,
                 animate,
@@ -609,6 +751,8 @@ export class SearchDisplayController {
             },
         };
         if (!lookup) { details.params.lookup = 'false'; }
+        if (recordHistory) { details.params.history = 'true'; }
+        if (this._glossarySearchEnableCheckbox.checked) { details.params.glossary = 'true'; }
         this._display.setContent(details);
     }
 
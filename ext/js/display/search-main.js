@@ -25,6 +25,7 @@ import {SettingsDisplayController} from '../pages/settings/settings-display-cont
 import {DisplayAnki} from './display-anki.js';
 import {DisplayAudio} from './display-audio.js';
 import {Display} from './display.js';
+import {LookupHistoryController} from './lookup-history-controller.js';
 import {SearchActionPopupController} from './search-action-popup-controller.js';
 import {SearchDisplayController} from './search-display-controller.js';
 import {SearchPersistentStateController} from './search-persistent-state-controller.js';
@@ -63,6 +64,9 @@ await Application.main(true, async (application) => {
     const settingsDisplayController = new SettingsDisplayController(settingsController, modalController);
     await settingsDisplayController.prepare();
 
+    const lookupHistoryController = new LookupHistoryController(display, modalController);
+    lookupHistoryController.prepare();
+
     document.body.hidden = false;
 
     documentFocusController.focusElement();
@@ -0,0 +1,124 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {DOMTextScanner} from './dom-text-scanner.js';
+
+/**
+ * Elements whose content is not treated as readable page text.
+ */
+export const ignoredElementSelector = 'head,script,style,noscript,template,textarea,input,select,button,rt,rp,svg,canvas,[contenteditable=""],[contenteditable="true"]';
+
+/**
+ * Creates a tree walker which visits the elements and text nodes of the readable page text.
+ * @param {Element} root The element to walk.
+ * @param {Element[]} ignoredElements Additional elements whose content should be skipped.
+ * @returns {TreeWalker}
+ */
+export function createPageTextWalker(root, ignoredElements) {
+    return document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (
+            node.nodeType === Node.ELEMENT_NODE && (
+                /** @type {Element} */ (node).matches(ignoredElementSelector) ||
+                ignoredElements.includes(/** @type {Element} */ (node))
+            ) ?
+            NodeFilter.FILTER_REJECT :
+            NodeFilter.FILTER_ACCEPT
+        ),
+    });
+}
+
+/**
+ * Gets the closest element which starts a new line of text.
+ * @param {Element} element
+ * @param {Map<Element, Element>} cache A cache of previous results, which is valid while the layout does not change.
+ * @returns {Element}
+ */
+export function getBlockElement(element, cache) {
+    const cachedValue = cache.get(element);
+    if (typeof cachedValue !== 'undefined') { return cachedValue; }
+
+    const {display, position} = window.getComputedStyle(element);
+    const parentElement = element.parentElement;
+    const result = (
+        parentElement === null ||
+        DOMTextScanner.doesCSSDisplayChangeLayout(display) ||
+        position === 'absolute' ||
+        position === 'fixed' ||
+        position === 'sticky'
+    ) ?
+        element :
+        getBlockElement(parentElement, cache);
+    cache.set(element, result);
+    return result;
+}
+
+/**
+ * Gets the readable text which is currently visible in the viewport.
+ * Text from different lines is separated by newlines.
+ * @param {number} maxLength The maximum number of characters to return.
+ * @param {Element[]} ignoredElements Additional elements whose content should be skipped.
+ * @returns {{text: string, truncated: boolean}}
+ */
+export function getVisiblePageText(maxLength, ignoredElements) {
+    const body = document.body;
+    if (body === null) { return {text: '', truncated: false}; }
+
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+    const range = document.createRange();
+    const walker = createPageTextWalker(body, ignoredElements);
+    /** @type {Map<Element, Element>} */
+    const blockElementCache = new Map();
+    /** @type {?Element} */
+    let previousBlockElement = null;
+    let lineBreak = false;
+    let text = '';
+    for (let node = walker.nextNode(); node !== null; node = walker.nextNode()) {
+        if (node.nodeType !== Node.TEXT_NODE) {
+            if (node.nodeName.toUpperCase() === 'BR') { lineBreak = true; }
+            continue;
+        }
+
+        const textNode = /** @type {Text} */ (node);
+        const parentElement = textNode.parentElement;
+        const nodeText = /** @type {string} */ (textNode.nodeValue).replace(/\s+/g, ' ');
+        if (parentElement === null || nodeText.trim().length === 0) { continue; }
+
+        range.selectNodeContents(textNode);
+        let visible = false;
+        for (const {left, top, right, bottom} of range.getClientRects()) {
+            if (right > 0 && bottom > 0 && left < viewportWidth && top < viewportHeight) {
+                visible = true;
+                break;
+            }
+        }
+        if (!visible) { continue; }
+
+        const blockElement = getBlockElement(parentElement, blockElementCache);
+        if (text.length > 0 && (blockElement !== previousBlockElement || lineBreak)) {
+            text = `${text.trimEnd()}\n`;
+        }
+        previousBlockElement = blockElement;
+        lineBreak = false;
+
+        text += text.endsWith('\n') || text.length === 0 ? nodeText.trimStart() : nodeText;
+        if (text.length >= maxLength) {
+            return {text: text.substring(0, maxLength), truncated: true};
+        }
+    }
+    return {text: text.trim(), truncated: false};
+}
@@ -16,8 +16,16 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+import {escapeRegExp} from '../core/utilities.js';
+
 /** @type {RegExp} @readonly */
 const matchReplacementPattern = /\$(?:\$|&|`|'|(\d\d?)|<([^>]*)>)/g;
+/** @type {RegExp} @readonly */
+const regExpLiteralPattern = /^\/([\w\W]+)\/([a-z]*)$/;
+/** @type {RegExp} @readonly */
+const wildcardCharacterPattern = /[*\uff0a]/;
+/** @type {RegExp} @readonly */
+const wildcardCharacterWithQuestionMarkPattern = /[?*\uff0a]/;
 
 /**
  * Applies string.replace using a regular expression and replacement string as arguments.
@@ -88,3 +96,61 @@ export function applyMatchReplacement(replacement, match) {
     };
     return replacement.replace(pattern, replacer);
 }
+
+/**
+ * Creates a regular expression from text written as a regular expression literal, such as `/^a.c$/i`.
+ * The global and sticky flags are ignored, since the resulting expression is only used for testing strings.
+ * @param {string} text The text of the regular expression literal.
+ * @returns {?RegExp} The regular expression, or `null` if the text is not a valid regular expression literal.
+ */
+export function parseRegExpLiteral(text) {
+    const match = regExpLiteralPattern.exec(text);
+    if (match === null) { return null; }
+    const [, source, flags] = match;
+    try {
+        return new RegExp(source, flags.replace(/[gy]/g, ''));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether or not text contains any wildcard characters.
+ * @param {string} text The text to check.
+ * @param {boolean} questionMarkWildcard Whether `?` is a wildcard character.
+ * @returns {boolean} `true` if the text contains `*`, a full-width `*`, or `?` when it is a wildcard character.
+ */
+export function hasWildcardCharacters(text, questionMarkWildcard) {
+    return (questionMarkWildcard ? wildcardCharacterWithQuestionMarkPattern : wildcardCharacterPattern).test(text);
+}
+
+/**
+ * Creates a regular expression which matches entire strings using a wildcard pattern.
+ * `*` or a full-width `*` matches any sequence of characters, and `?` can be enabled to match any single character.
+ * All other characters are matched literally.
+ * @param {string} pattern The wildcard pattern.
+ * @param {boolean} questionMarkWildcard Whether `?` matches any single character rather than only itself.
+ * @returns {RegExp} A regular expression equivalent to the wildcard pattern.
+ */
+export function createWildcardRegExp(pattern, questionMarkWildcard) {
+    let source = '';
+    for (const character of pattern) {
+        switch (character) {
+            case '?':
+                source += questionMarkWildcard ? '.' : '\\?';
+                break;
+            case '*':
+            case '\uff0a':
+                source += '.*';
+                break;
+            case '-':
+                // Escaping a hyphen outside of a character class is a syntax error in unicode mode.
+                source += character;
+                break;
+            default:
+                source += escapeRegExp(character);
+                break;
+        }
+    }
+    return new RegExp(`^${source}$`, 'su');
+}
@@ -0,0 +1,155 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Derivational patterns, written with "ف", "ع" and "ل" in place of the three root letters,
+ * such as "مفعول" for "مكتوب" from the root "كتب".
+ * Short vowels are not written, so patterns which differ only in vowels or in doubling, such as "مفعل" and "مفعّل", are listed once.
+ */
+const derivationPatterns = [
+    // Nouns and adjectives of form I
+    'فاعل',
+    'فعال',
+    'فعيل',
+    'فعول',
+    'فعلة',
+    'فعلى',
+    'مفعل',
+    'أفعل',
+    'فاعلة',
+    'فعالة',
+    'فعيلة',
+    'فعلان',
+    'مفعول',
+    'مفعولة',
+    'مفعلة',
+    'مفعال',
+    // Broken plurals
+    'أفعال',
+    'أفعلة',
+    'فعلاء',
+    'فواعل',
+    'فعائل',
+    'مفاعل',
+    'مفاعيل',
+    // Derived verbs
+    'تفعل',
+    'تفاعل',
+    'انفعل',
+    'افتعل',
+    'استفعل',
+    // Verbal nouns and participles of derived verbs
+    'تفعيل',
+    'تفعلة',
+    'مفاعلة',
+    'متفعل',
+    'متفاعل',
+    'منفعل',
+    'انفعال',
+    'مفتعل',
+    'مفتعلة',
+    'افتعال',
+    'مستفعل',
+    'مستفعلة',
+    'استفعال',
+];
+
+/** The letters which a long vowel written in place of a root letter can stand for, such as the "ا" of "قال" from "قول". */
+const weakRootLetters = new Map([
+    ['ا', ['و', 'ي']],
+    ['ى', ['ي', 'و']],
+]);
+
+const arabicLettersPattern = /^[ء-ي]+$/;
+
+/**
+ * Finds the root letters of a word by matching it against a derivational pattern.
+ * @param {string} word
+ * @param {string} pattern
+ * @returns {?string[]} The root letters, or `null` if the word does not follow the pattern.
+ */
+function matchDerivationPattern(word, pattern) {
+    if (word.length !== pattern.length) { return null; }
+    /** @type {string[]} */
+    const rootLetters = [];
+    for (let i = 0; i < pattern.length; ++i) {
+        const patternCharacter = pattern[i];
+        if (patternCharacter === 'ف' || patternCharacter === 'ع' || patternCharacter === 'ل') {
+            rootLetters.push(word[i]);
+        } else if (patternCharacter !== word[i]) {
+            return null;
+        }
+    }
+    return rootLetters;
+}
+
+/**
+ * Expands root letters written as long vowels into the weak letters which they can stand for.
+ * @param {string[]} rootLetters
+ * @returns {string[]}
+ */
+function getWeakRootVariants(rootLetters) {
+    /** @type {string[]} */
+    let variants = [''];
+    for (const letter of rootLetters) {
+        const replacements = weakRootLetters.get(letter) ?? [letter];
+        variants = variants.flatMap((variant) => replacements.map((replacement) => variant + replacement));
+    }
+    return variants;
+}
+
+/**
+ * Gets the candidate triliteral roots of an Arabic word whose clitics and inflections have already been removed,
+ * such as "كتب" for "مكتبة".
+ * Roots are written as their letters without separators, which is how root-indexed dictionaries list them.
+ * @param {string} word
+ * @returns {string[]}
+ */
+export function getArabicRoots(word) {
+    if (!arabicLettersPattern.test(word)) { return []; }
+
+    /** @type {string[][]} */
+    const rootLetterCandidates = [];
+    switch (word.length) {
+        case 2:
+            // Doubled roots, such as "رد" from "ردد"
+            rootLetterCandidates.push([word[0], word[1], word[1]]);
+            break;
+        case 3:
+            rootLetterCandidates.push([...word]);
+            break;
+    }
+    for (const pattern of derivationPatterns) {
+        const rootLetters = matchDerivationPattern(word, pattern);
+        if (rootLetters !== null) {
+            rootLetterCandidates.push(rootLetters);
+        }
+    }
+
+    /** @type {Set<string>} */
+    const roots = new Set();
+    for (const rootLetters of rootLetterCandidates) {
+        if (rootLetters.includes('ة')) { continue; }
+        for (const root of getWeakRootVariants(rootLetters)) {
+            if (root !== word) {
+                roots.add(root);
+            }
+        }
+    }
+    return [...roots];
+}
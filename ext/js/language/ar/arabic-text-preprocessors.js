@@ -47,3 +47,13 @@ export const removeArabicScriptDiacritics = {
         return setting ? text.replace(diacriticsRegex, '') : text;
     },
 };
+
+/** @type {import('language').TextProcessor<boolean>} */
+export const removeTatweel = {
+    name: 'Remove tatweel characters',
+    description: 'لـكن ⬅️ لكن',
+    options: basicTextProcessorOptions,
+    process: (text, setting) => {
+        return setting ? text.replaceAll('ـ', '') : text;
+    },
+};
@@ -0,0 +1,296 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/** @typedef {keyof typeof conditions} Condition */
+
+/** Pronoun suffixes which attach to nouns as possessives. */
+const possessivePronouns = ['ه', 'ها', 'هما', 'هم', 'هن', 'ك', 'كما', 'كم', 'كن', 'ي', 'نا'];
+
+/** Pronoun suffixes which attach to verbs as objects. */
+const objectPronouns = ['ه', 'ها', 'هما', 'هم', 'هن', 'ك', 'كما', 'كم', 'كن', 'ني', 'نا'];
+
+/**
+ * The person, number and gender markers of the imperfect, as a prefix and a suffix around the stem,
+ * such as "يـ...ـون" in "يكتبون".
+ * Both the indicative forms and the shortened subjunctive and jussive forms are included.
+ * @type {[prefix: string, suffix: string][]}
+ */
+const imperfectAffixes = [
+    ['ي', ''],
+    ['ت', ''],
+    ['أ', ''],
+    ['ن', ''],
+    ['ي', 'ون'],
+    ['ت', 'ون'],
+    ['ي', 'وا'],
+    ['ت', 'وا'],
+    ['ت', 'ين'],
+    ['ت', 'ي'],
+    ['ي', 'ان'],
+    ['ت', 'ان'],
+    ['ي', 'ا'],
+    ['ت', 'ا'],
+    ['ي', 'ن'],
+    ['ت', 'ن'],
+];
+
+/** Person suffixes of the perfect, such as "ـوا" in "كتبوا". */
+const perfectSuffixes = ['ت', 'تما', 'تم', 'تن', 'نا', 'وا', 'ا', 'ن', 'تا'];
+
+/** Perfect suffixes which begin with a consonant, before which the long vowel of a hollow or defective stem is shortened. */
+const consonantalPerfectSuffixes = ['ت', 'تما', 'تم', 'تن', 'نا', 'ن'];
+
+/** Suffixes of the imperative, such as "ـوا" in "اكتبوا". */
+const imperativeSuffixes = ['', 'ي', 'وا', 'ا', 'ن'];
+
+/**
+ * Creates a rule which matches the whole word against a pattern, for affixes which can only be removed
+ * together or which change the stem, such as the imperfect "يـ...ـون".
+ * @param {string} inflected A pattern for the inflected word, with the parts of the stem which are kept in capturing groups.
+ * @param {string} deinflected The deinflected word, referring to the captured groups as `$1`, `$2` and so on.
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function patternInflection(inflected, deinflected, conditionsIn, conditionsOut) {
+    const isInflected = new RegExp(`^${inflected}$`);
+    return {
+        type: 'other',
+        isInflected,
+        deinflect: (text) => text.replace(isInflected, deinflected),
+        conditionsIn,
+        conditionsOut,
+    };
+}
+
+/**
+ * Creates the rules which remove the person markers of the imperfect.
+ * Besides sound verbs, derived verbs whose perfect begins with "أ" or "ا" (such as "أرسل" and "استخدم")
+ * and verbs with a weak root letter (such as "قال", "وصل" and "مشى") are undone.
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function imperfectInflections() {
+    return imperfectAffixes.flatMap(([prefix, suffix]) => {
+        /** @type {import('language-transformer').Rule<Condition>[]} */
+        const rules = [
+            patternInflection(`${prefix}(.{2,})${suffix}`, '$1', ['v_i'], ['v']),
+            patternInflection(`${prefix}(.{3})${suffix}`, 'أ$1', ['v_i'], ['v']),
+            patternInflection(`${prefix}(.{4,})${suffix}`, 'ا$1', ['v_i'], ['v']),
+            patternInflection(`${prefix}(.)[وي](.)${suffix}`, '$1ا$2', ['v_i'], ['v']),
+            patternInflection(`${prefix}(.{2})${suffix}`, 'و$1', ['v_i'], ['v']),
+        ];
+        if (suffix === '') {
+            rules.push(
+                patternInflection(`${prefix}(.{2,})ي`, '$1ى', ['v_i'], ['v']),
+                patternInflection(`${prefix}(.{2,})و`, '$1ا', ['v_i'], ['v']),
+            );
+        }
+        return rules;
+    });
+}
+
+/**
+ * Creates the rules which remove the person suffixes of the perfect.
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function perfectInflections() {
+    return [
+        ...perfectSuffixes.map((suffix) => patternInflection(`(.{2,})${suffix}`, '$1', ['v_p'], ['v'])),
+        // Hollow verbs, such as "قلت" → "قال"
+        ...consonantalPerfectSuffixes.map((suffix) => patternInflection(`(.)(.)${suffix}`, '$1ا$2', ['v_p'], ['v'])),
+        // Defective verbs, such as "مشيت" → "مشى" and "دعوت" → "دعا"
+        ...consonantalPerfectSuffixes.flatMap((suffix) => [
+            patternInflection(`(.{2,})ي${suffix}`, '$1ى', ['v_p'], ['v']),
+            patternInflection(`(.{2,})و${suffix}`, '$1ا', ['v_p'], ['v']),
+        ]),
+        ...['ت', 'وا'].flatMap((suffix) => [
+            patternInflection(`(.{2,})${suffix}`, '$1ى', ['v_p'], ['v']),
+            patternInflection(`(.{2,})${suffix}`, '$1ا', ['v_p'], ['v']),
+        ]),
+    ];
+}
+
+const conditions = {
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+    },
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+    n_p: {
+        name: 'Noun with a prepositional prefix',
+        isDictionaryForm: false,
+    },
+    n_d: {
+        name: 'Noun with the definite article',
+        isDictionaryForm: false,
+    },
+    n_e: {
+        name: 'Noun with a possessive pronoun suffix',
+        isDictionaryForm: false,
+    },
+    n_s: {
+        name: 'Noun with a number or gender suffix',
+        isDictionaryForm: false,
+    },
+    v_f: {
+        name: 'Verb with the future prefix',
+        isDictionaryForm: false,
+    },
+    v_e: {
+        name: 'Verb with an object pronoun suffix',
+        isDictionaryForm: false,
+    },
+    v_p: {
+        name: 'Perfect verb',
+        isDictionaryForm: false,
+    },
+    v_i: {
+        name: 'Imperfect verb',
+        isDictionaryForm: false,
+    },
+    v_c: {
+        name: 'Imperative verb',
+        isDictionaryForm: false,
+    },
+};
+
+/** @type {Condition[]} */
+const nounStemConditions = ['n', 'adj', 'n_s'];
+
+/** @type {Condition[]} */
+const verbStemConditions = ['v', 'v_p', 'v_i', 'v_c'];
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const arabicTransforms = {
+    language: 'ar',
+    conditions,
+    transforms: {
+        'conjunction': {
+            name: 'conjunction',
+            description: 'The conjunction "wa" or "fa" attached to the beginning of a word, such as "وكتب"',
+            rules: ['و', 'ف'].map((conjunction) => patternInflection(
+                `${conjunction}(.{2,})`,
+                '$1',
+                [],
+                ['n_p', 'n_d', 'n_e', ...nounStemConditions, 'v_f', 'v_e', ...verbStemConditions],
+            )),
+        },
+        'preposition': {
+            name: 'preposition',
+            description: 'The preposition "bi", "ka" or "li" attached to the beginning of a noun, such as "بالقلم"',
+            rules: [
+                ...['ب', 'ك', 'ل'].map((preposition) => patternInflection(`${preposition}(.{2,})`, '$1', ['n_p'], ['n_d', 'n_e', ...nounStemConditions])),
+                // "li" followed by the definite article drops the alif, such as "للكتاب"
+                patternInflection('لل(.{2,})', 'ال$1', ['n_p'], ['n_d']),
+            ],
+        },
+        'definite article': {
+            name: 'definite article',
+            description: 'The definite article "al-", such as "الكتاب"',
+            rules: [
+                patternInflection('ال(.{2,})', '$1', ['n_d'], nounStemConditions),
+            ],
+        },
+        'possessive pronoun': {
+            name: 'possessive pronoun',
+            description: 'Pronoun suffix marking the possessor of a noun, such as "كتابه"',
+            rules: possessivePronouns.flatMap((pronoun) => [
+                patternInflection(`(.{2,})${pronoun}`, '$1', ['n_e'], nounStemConditions),
+                patternInflection(`(.{2,})ت${pronoun}`, '$1ة', ['n_e'], ['n', 'adj']),
+                patternInflection(`(.{2,})ا${pronoun}`, '$1ى', ['n_e'], ['n', 'adj']),
+                // The final "n" of sound plurals and duals is dropped before a suffix, such as "معلموه"
+                patternInflection(`(.{2,})و${pronoun}`, '$1ون', ['n_e'], ['n_s']),
+                patternInflection(`(.{2,})ي${pronoun}`, '$1ين', ['n_e'], ['n_s']),
+                patternInflection(`(.{2,})ا${pronoun}`, '$1ان', ['n_e'], ['n_s']),
+            ]),
+        },
+        'sound masculine plural': {
+            name: 'sound masculine plural',
+            description: 'Plural of nouns and adjectives referring to male persons, such as "معلمون"',
+            rules: [
+                patternInflection('(.{2,})ون', '$1', ['n_s'], ['n', 'adj']),
+                patternInflection('(.{2,})ين', '$1', ['n_s'], ['n', 'adj']),
+            ],
+        },
+        'sound feminine plural': {
+            name: 'sound feminine plural',
+            description: 'Plural of feminine nouns and adjectives and of many loanwords, such as "معلمات"',
+            rules: [
+                patternInflection('(.{2,})ات', '$1', ['n_s'], ['n', 'adj']),
+                patternInflection('(.{2,})ات', '$1ة', ['n_s'], ['n', 'adj', 'n_s']),
+            ],
+        },
+        'dual': {
+            name: 'dual',
+            description: 'Dual of nouns and adjectives, such as "كتابان"',
+            rules: [
+                patternInflection('(.{2,})ان', '$1', ['n_s'], ['n', 'adj']),
+                patternInflection('(.{2,})ين', '$1', ['n_s'], ['n', 'adj']),
+                patternInflection('(.{2,})تان', '$1ة', ['n_s'], ['n', 'adj', 'n_s']),
+                patternInflection('(.{2,})تين', '$1ة', ['n_s'], ['n', 'adj', 'n_s']),
+            ],
+        },
+        'feminine': {
+            name: 'feminine',
+            description: 'Feminine form of an adjective, such as "كبيرة"',
+            rules: [
+                patternInflection('(.{2,})ة', '$1', ['n_s'], ['adj']),
+            ],
+        },
+        'future': {
+            name: 'future',
+            description: 'The future prefix "sa-" attached to an imperfect verb, such as "سيكتب"',
+            rules: [
+                patternInflection('س([يتأن].{2,})', '$1', ['v_f'], ['v_i', 'v_e']),
+            ],
+        },
+        'object pronoun': {
+            name: 'object pronoun',
+            description: 'Pronoun suffix marking the object of a verb, such as "كتبه"',
+            rules: objectPronouns.flatMap((pronoun) => [
+                patternInflection(`(.{2,})${pronoun}`, '$1', ['v_e'], verbStemConditions),
+                // The silent alif of "-uu" is dropped before a suffix, such as "كتبوه"
+                patternInflection(`(.{2,})و${pronoun}`, '$1وا', ['v_e'], ['v_p', 'v_i', 'v_c']),
+                patternInflection(`(.{2,})تمو${pronoun}`, '$1تم', ['v_e'], ['v_p']),
+                patternInflection(`(.{2,})ا${pronoun}`, '$1ى', ['v_e'], ['v']),
+            ]),
+        },
+        'perfect': {
+            name: 'perfect',
+            description: 'Past tense, marking the person with a suffix, such as "كتبوا"',
+            rules: perfectInflections(),
+        },
+        'imperfect': {
+            name: 'imperfect',
+            description: 'Present or future tense, marking the person with a prefix and a suffix, such as "يكتبون"',
+            rules: imperfectInflections(),
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Command form, such as "اكتب"',
+            rules: imperativeSuffixes.map((suffix) => patternInflection(`ا(.{3})${suffix}`, '$1', ['v_c'], ['v'])),
+        },
+    },
+};
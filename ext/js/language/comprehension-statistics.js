@@ -0,0 +1,113 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The upper bounds of the frequency rank ranges used to group unknown words.
+ */
+const frequencyRankLimits = [1000, 5000, 10000, 20000];
+
+/**
+ * Creates statistics about how much of a text is known, based on the statuses of its words.
+ * @param {import('comprehension-statistics').Word[]} words The words of the text, in order of appearance.
+ * @param {Map<string, number>} frequencyRanks The frequency rank of each term, where lower ranks are more common.
+ * @param {number} maxTopUnknownWords The maximum number of entries in `topUnknownWords`.
+ * @returns {import('comprehension-statistics').Statistics}
+ */
+export function getComprehensionStatistics(words, frequencyRanks, maxTopUnknownWords) {
+    let knownCount = 0;
+    let learningCount = 0;
+    let unknownCount = 0;
+    /** @type {Set<string>} */
+    const uniqueTerms = new Set();
+    /** @type {Map<string, import('comprehension-statistics').UnknownWord>} */
+    const unknownWords = new Map();
+    for (const {term, reading, status} of words) {
+        uniqueTerms.add(term);
+        switch (status) {
+            case 'known':
+                ++knownCount;
+                break;
+            case 'learning':
+                ++learningCount;
+                break;
+            case 'unknown':
+                {
+                    ++unknownCount;
+                    const unknownWord = unknownWords.get(term);
+                    if (typeof unknownWord !== 'undefined') {
+                        ++unknownWord.count;
+                    } else {
+                        unknownWords.set(term, {term, reading, count: 1, frequency: frequencyRanks.get(term) ?? null});
+                    }
+                }
+                break;
+        }
+    }
+
+    /** @type {import('comprehension-statistics').FrequencyBucket[]} */
+    const unknownFrequencyDistribution = [];
+    let minRank = 1;
+    for (const maxRank of [...frequencyRankLimits, null]) {
+        unknownFrequencyDistribution.push({minRank, maxRank, count: 0});
+        if (maxRank !== null) { minRank = maxRank + 1; }
+    }
+    let unknownWithoutFrequencyCount = 0;
+    for (const {frequency} of unknownWords.values()) {
+        if (frequency === null) {
+            ++unknownWithoutFrequencyCount;
+            continue;
+        }
+        for (const bucket of unknownFrequencyDistribution) {
+            if (bucket.maxRank === null || frequency <= bucket.maxRank) {
+                ++bucket.count;
+                break;
+            }
+        }
+    }
+
+    // Array.prototype.sort is stable, so words which compare equal keep their order of appearance
+    const topUnknownWords = [...unknownWords.values()].sort(compareUnknownWords).slice(0, maxTopUnknownWords);
+
+    const wordCount = words.length;
+    return {
+        wordCount,
+        uniqueWordCount: uniqueTerms.size,
+        knownCount,
+        learningCount,
+        unknownCount,
+        uniqueUnknownCount: unknownWords.size,
+        knownRatio: wordCount > 0 ? knownCount / wordCount : 0,
+        unknownFrequencyDistribution,
+        unknownWithoutFrequencyCount,
+        topUnknownWords,
+    };
+}
+
+/**
+ * @param {import('comprehension-statistics').UnknownWord} word1
+ * @param {import('comprehension-statistics').UnknownWord} word2
+ * @returns {number}
+ */
+function compareUnknownWords(word1, word2) {
+    const countDifference = word2.count - word1.count;
+    if (countDifference !== 0) { return countDifference; }
+    const {frequency: frequency1} = word1;
+    const {frequency: frequency2} = word2;
+    if (frequency1 === null) { return frequency2 === null ? 0 : 1; }
+    if (frequency2 === null) { return -1; }
+    return frequency1 - frequency2;
+}
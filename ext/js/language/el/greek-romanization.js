@@ -0,0 +1,66 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {convertRomanizedText} from '../romanization.js';
+
+/**
+ * Latin sequences which are typed for each Greek letter.
+ * η and ω can also be typed as `h` and `w`, since ē and ō are not on most keyboards.
+ * @type {Map<string, string>}
+ */
+const GREEK_ROMANIZATION = new Map([
+    ['a', 'α'],
+    ['b', 'β'],
+    ['v', 'β'],
+    ['g', 'γ'],
+    ['d', 'δ'],
+    ['e', 'ε'],
+    ['z', 'ζ'],
+    ['ē', 'η'],
+    ['h', 'η'],
+    ['th', 'θ'],
+    ['i', 'ι'],
+    ['k', 'κ'],
+    ['l', 'λ'],
+    ['m', 'μ'],
+    ['n', 'ν'],
+    ['x', 'ξ'],
+    ['ks', 'ξ'],
+    ['o', 'ο'],
+    ['p', 'π'],
+    ['r', 'ρ'],
+    ['s', 'σ'],
+    ['t', 'τ'],
+    ['u', 'υ'],
+    ['y', 'υ'],
+    ['f', 'φ'],
+    ['ph', 'φ'],
+    ['ch', 'χ'],
+    ['ps', 'ψ'],
+    ['ō', 'ω'],
+    ['w', 'ω'],
+]);
+
+/**
+ * Converts romanized Greek to the Greek alphabet.
+ * Sigma is written as ς at the end of a word.
+ * @param {string} text
+ * @returns {string}
+ */
+export function convertLatinToGreek(text) {
+    return convertRomanizedText(text, GREEK_ROMANIZATION).replace(/σ(?!\p{L})/gu, 'ς');
+}
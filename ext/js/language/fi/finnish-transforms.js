@@ -0,0 +1,604 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/** @typedef {keyof typeof conditions} Condition */
+
+/** @typedef {'direct'|'inverse'} Gradation */
+
+const vowels = 'aeiouyäö';
+
+/** @type {Map<string, [back: string, front: string]>} */
+const harmonicVowels = new Map([
+    ['A', ['a', 'ä']],
+    ['O', ['o', 'ö']],
+    ['U', ['u', 'y']],
+]);
+
+/**
+ * Matches text whose last harmonic vowel is a back vowel, used as a lookbehind.
+ * Stems with back vowels take the back vowel forms of suffixes, and stems without any take the front vowel forms.
+ */
+const backVowelPattern = '[aou][^äöy]*';
+
+/**
+ * Consonant gradation, where the consonant which begins the last syllable of a stem is weakened when the syllable is closed, such as "katu" → "kadun".
+ * The preceding pattern restricts which sounds the consonant can follow.
+ * @type {[strong: string, weak: string, preceding: string][]}
+ */
+const gradations = [
+    ['kk', 'k', ''],
+    ['pp', 'p', ''],
+    ['tt', 't', ''],
+    ['k', '', '[hlraeiouyäö]'],
+    ['k', 'v', '[uy]'],
+    ['p', 'v', '[lraeiouyäö]'],
+    ['t', 'd', '[aeiouyäö]'],
+    ['nk', 'ng', ''],
+    ['mp', 'mm', ''],
+    ['lt', 'll', ''],
+    ['nt', 'nn', ''],
+    ['rt', 'rr', ''],
+    ['lk', 'lj', ''],
+    ['rk', 'rj', ''],
+    ['ht', 'hd', ''],
+];
+
+/**
+ * @param {string} template
+ * @param {boolean} back
+ * @returns {string}
+ */
+function harmonize(template, back) {
+    return template.replace(/[AOU]/g, (archiphoneme) => /** @type {[string, string]} */ (harmonicVowels.get(archiphoneme))[back ? 0 : 1]);
+}
+
+/**
+ * @param {?boolean} back Whether the word must have back or front vowel harmony, or `null` if it is not checked.
+ * @param {boolean} stemHarmony Whether harmony is checked on the stem before the suffix rather than on the whole word.
+ * @param {string} preceding
+ * @param {string} inflected
+ * @param {string} deinflected
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function createRule(back, stemHarmony, preceding, inflected, deinflected, conditionsIn, conditionsOut) {
+    const harmonyPattern = back === null ? '' : `(?<${back ? '=' : '!'}${backVowelPattern})`;
+    const suffixPattern = `${stemHarmony ? harmonyPattern : ''}${preceding.length > 0 ? `(?<=${preceding})` : ''}${inflected.replace('V', `([${vowels}])`)}${stemHarmony ? '' : harmonyPattern}$`;
+    const suffixRegExp = new RegExp(suffixPattern);
+    const replacement = deinflected.replace(/V/g, '$1');
+    return {
+        type: 'other',
+        isInflected: suffixRegExp,
+        deinflect: (text) => text.replace(suffixRegExp, replacement),
+        conditionsIn,
+        conditionsOut,
+    };
+}
+
+/**
+ * Creates the rules which replace the end of a word, following vowel harmony and optionally consonant gradation.
+ * Templates can contain the archiphonemes `A`, `O` and `U`, which are "a"/"ä", "o"/"ö" and "u"/"y" following vowel harmony,
+ * and `V`, which stands for the last vowel of the stem and is repeated wherever it appears.
+ * Direct gradation restores a strong consonant from a weak one before the inflected suffix, such as "kadun" → "katu",
+ * and inverse gradation restores a weak consonant from a strong one, such as "rakkaan" → "rakas".
+ * @param {string} inflected
+ * @param {string} deinflected
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @param {?Gradation} [gradation]
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function finnishInflection(inflected, deinflected, conditionsIn, conditionsOut, gradation = null) {
+    // Repeated vowels are expanded rather than matched with a backreference, since the patterns of a transform's rules are combined
+    if ((inflected.match(/V/g) ?? []).length > 1) {
+        return [...vowels].flatMap((vowel) => finnishInflection(inflected.replace(/V/g, vowel), deinflected.replace(/V/g, vowel), conditionsIn, conditionsOut, gradation));
+    }
+
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [];
+    const isInflectedHarmonic = /[AOU]/.test(inflected);
+    const isHarmonic = isInflectedHarmonic || /[AOU]/.test(deinflected);
+    for (const back of (isHarmonic ? [true, false] : [true])) {
+        const inflected2 = harmonize(inflected, back);
+        const deinflected2 = harmonize(deinflected, back);
+        // Harmonic suffixes follow the vowels of the stem before them, while other rules follow the whole word, since they can change the vowels of the stem, such as "joi" ← "juoda"
+        const harmony = isHarmonic ? back : null;
+        if (inflected2 !== deinflected2) {
+            rules.push(createRule(harmony, isInflectedHarmonic, '', inflected2, deinflected2, conditionsIn, conditionsOut));
+        }
+        if (gradation === null) { continue; }
+        for (const [strong, weak, preceding] of gradations) {
+            const [from, to] = (gradation === 'direct' ? [weak, strong] : [strong, weak]);
+            rules.push(createRule(harmony, isInflectedHarmonic, preceding, from + inflected2, to + deinflected2, conditionsIn, conditionsOut));
+        }
+    }
+    return rules;
+}
+
+/**
+ * Inflectional stems of nominals in cases which close the last syllable of the stem, and the endings of their dictionary forms.
+ * @type {[stem: string, dictionaryForm: string, gradation: ?Gradation][]}
+ */
+const weakNominalStems = [
+    ['V', 'V', 'direct'], // talo- ← talo, kadu- ← katu
+    ['e', 'i', 'direct'], // kive- ← kivi, järje- ← järki
+    ['de', 'si', null], // vede- ← vesi
+    ['se', 'nen', null], // naise- ← nainen
+    ['ee', 'e', 'inverse'], // huonee- ← huone, liikkee- ← liike
+    ['AA', 'As', 'inverse'], // rakkaa- ← rakas
+    ['ii', 'is', null], // kaunii- ← kaunis
+    ['de', 's', null], // rakkaude- ← rakkaus
+    ['kse', 's', null], // vastaukse- ← vastaus
+    ['me', 'n', null], // puhelime- ← puhelin
+];
+
+/**
+ * Inflectional stems of nominals in cases which leave the last syllable of the stem open.
+ * @type {[stem: string, dictionaryForm: string, gradation: ?Gradation][]}
+ */
+const strongNominalStems = [
+    ['V', 'V', null],
+    ['e', 'i', null],
+    ['te', 'si', null],
+    ['se', 'nen', null],
+    ['ee', 'e', 'inverse'],
+    ['AA', 'As', 'inverse'],
+    ['ii', 'is', null],
+    ['te', 's', null],
+    ['kse', 's', null],
+    ['me', 'n', null],
+];
+
+/**
+ * Creates the rules for a case ending which is added to the inflectional stem of a nominal.
+ * Stems which end in a vowel can also be plural stems, such as "taloi-" in "taloissa".
+ * @param {string} ending
+ * @param {[stem: string, dictionaryForm: string, gradation: ?Gradation][]} stems
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function caseInflection(ending, stems) {
+    return stems.flatMap(([stem, dictionaryForm, gradation]) => finnishInflection(
+        stem + ending,
+        dictionaryForm,
+        ['n_case'],
+        stem === 'V' ? ['n', 'adj', 'n_pl'] : ['n', 'adj'],
+        gradation,
+    ));
+}
+
+/**
+ * Creates the rules for a possessive suffix, which replaces the final consonant of a case ending.
+ * @param {string} suffix
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function possessiveInflection(suffix) {
+    return [
+        ...finnishInflection(suffix, '', ['n_pos'], ['n', 'adj', 'n_case']),
+        ...finnishInflection(`kse${suffix}`, 'ksi', ['n_pos'], ['n_case']),
+        ...finnishInflection(`VV${suffix}`, 'VVn', ['n_pos'], ['n_case']),
+        ...finnishInflection(`VhV${suffix}`, 'VhVn', ['n_pos'], ['n_case']),
+    ];
+}
+
+/**
+ * Present stems of verbs, and the endings of their first infinitives.
+ * @type {[stem: string, infinitive: string, gradation: ?Gradation][]}
+ */
+const presentVerbStems = [
+    ['V', 'VA', 'direct'], // puhu- ← puhua, ota- ← ottaa, lue- ← lukea
+    ...['aa', 'ää', 'ee', 'ii', 'uu', 'yy', 'ie', 'uo', 'yö', 'ai', 'äi', 'oi', 'öi', 'ui', 'yi', 'ei'].map(
+        (stem) => /** @type {[string, string, ?Gradation]} */ ([stem, `${stem}dA`, null]), // syö- ← syödä
+    ),
+    ['le', 'llA', null], // tule- ← tulla
+    ['ne', 'nnA', null], // mene- ← mennä
+    ['re', 'rrA', null], // pure- ← purra
+    ['se', 'stA', null], // nouse- ← nousta
+    ['VA', 'VtA', 'inverse'], // halua- ← haluta, tapaa- ← tavata
+    ['itse', 'itA', null], // tarvitse- ← tarvita
+    ['ene', 'etA', null], // vanhene- ← vanheta
+];
+
+/**
+ * Creates the rules for a suffix which is added to the present stem of a verb.
+ * @param {string} suffix
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @param {boolean} weakGrade Whether the suffix closes the last syllable of the stem, weakening its consonant.
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function presentStemInflection(suffix, conditionsIn, conditionsOut, weakGrade) {
+    return presentVerbStems.flatMap(([stem, infinitive, gradation]) => finnishInflection(
+        stem + suffix,
+        infinitive,
+        conditionsIn,
+        conditionsOut,
+        (gradation === 'direct' && !weakGrade) ? null : gradation,
+    ));
+}
+
+/**
+ * Creates the rules for a suffix which is added to the stem of a verb's infinitive, such as in the passive.
+ * The stems of verbs whose infinitives end in a vowel followed by "a" or "ä" are weakened, and their final "a" or "ä" becomes "e", such as "ottaa" → "otettiin".
+ * Other stems end in a consonant, or the long vowel of verbs whose infinitives end in "da" or "dä".
+ * @param {string} vowelStemSuffix The suffix after stems which end in a short vowel.
+ * @param {string} consonantStemSuffix The suffix after other stems.
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function infinitiveStemInflection(vowelStemSuffix, consonantStemSuffix, conditionsIn, conditionsOut) {
+    return [
+        ...finnishInflection(`V${vowelStemSuffix}`, 'VA', conditionsIn, conditionsOut, 'direct'), // puhu-ttiin ← puhua
+        ...finnishInflection(`e${vowelStemSuffix}`, 'AA', conditionsIn, conditionsOut, 'direct'), // ote-ttiin ← ottaa
+        ...finnishInflection(consonantStemSuffix, 'dA', conditionsIn, conditionsOut), // syö-tiin ← syödä
+        ...finnishInflection(`l${consonantStemSuffix}`, 'llA', conditionsIn, conditionsOut), // tul-tiin ← tulla
+        ...finnishInflection(`n${consonantStemSuffix}`, 'nnA', conditionsIn, conditionsOut), // men-tiin ← mennä
+        ...finnishInflection(`r${consonantStemSuffix}`, 'rrA', conditionsIn, conditionsOut), // pur-tiin ← purra
+        ...finnishInflection(`s${consonantStemSuffix}`, 'stA', conditionsIn, conditionsOut), // nous-tiin ← nousta
+        ...finnishInflection(`t${consonantStemSuffix}`, 'tA', conditionsIn, conditionsOut), // halut-tiin ← haluta
+    ];
+}
+
+const conditions = {
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+    },
+    v_fin: {
+        name: 'Verb with a personal ending',
+        isDictionaryForm: false,
+    },
+    v_stem: {
+        name: 'Verb with a tense or mood stem',
+        isDictionaryForm: false,
+    },
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+    n_pl: {
+        name: 'Noun with a plural stem',
+        isDictionaryForm: false,
+    },
+    n_case: {
+        name: 'Noun with a case ending',
+        isDictionaryForm: false,
+    },
+    n_pos: {
+        name: 'Noun with a possessive suffix',
+        isDictionaryForm: false,
+    },
+};
+
+/** @type {Condition[]} */
+const cliticConditionsOut = ['v', 'v_fin', 'n', 'adj', 'n_case', 'n_pos'];
+
+/** @type {Condition[]} */
+const participleConditionsIn = ['v_fin', 'adj'];
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const finnishTransforms = {
+    language: 'fi',
+    conditions,
+    transforms: {
+        'plural': {
+            name: '-t, -i-',
+            description: 'Plural: "-t" in the nominative, and "-i-" before other case endings',
+            rules: [
+                ...caseInflection('t', weakNominalStems),
+                ...finnishInflection('Vi', 'V', ['n_pl'], ['n', 'adj'], 'direct'), // taloi- ← talo
+                ...finnishInflection('oi', 'A', ['n_pl'], ['n', 'adj'], 'direct'), // kaloi- ← kala
+                ...finnishInflection('i', 'A', ['n_pl'], ['n', 'adj'], 'direct'), // päivi- ← päivä
+                ...finnishInflection('i', 'i', ['n_pl'], ['n', 'adj'], 'direct'), // järji- ← järki
+                ...finnishInflection('ei', 'e', ['n_pl'], ['n', 'adj'], 'inverse'), // huonei- ← huone
+                ...finnishInflection('ei', 'i', ['n_pl'], ['n', 'adj']), // paperei- ← paperi
+                ...finnishInflection('Ai', 'As', ['n_pl'], ['n', 'adj'], 'inverse'), // rakkai- ← rakas
+                ...finnishInflection('ii', 'is', ['n_pl'], ['n', 'adj']), // kaunii- ← kaunis
+                ...finnishInflection('si', 'nen', ['n_pl'], ['n', 'adj']), // naisi- ← nainen
+                ...finnishInflection('ksi', 's', ['n_pl'], ['n', 'adj']), // vastauksi- ← vastaus
+                ...finnishInflection('mi', 'n', ['n_pl'], ['n', 'adj']), // puhelimi- ← puhelin
+                ...finnishInflection('Ai', 'AA', ['n_pl'], ['n', 'adj']), // mai- ← maa
+                ...finnishInflection('ui', 'uu', ['n_pl'], ['n', 'adj']), // pui- ← puu
+                ...finnishInflection('yi', 'yy', ['n_pl'], ['n', 'adj']), // pyi- ← pyy
+                ...finnishInflection('oi', 'uo', ['n_pl'], ['n', 'adj']), // soi- ← suo
+                ...finnishInflection('öi', 'yö', ['n_pl'], ['n', 'adj']), // töi- ← työ
+                ...finnishInflection('ei', 'ie', ['n_pl'], ['n', 'adj']), // tei- ← tie
+            ],
+        },
+        'genitive': {
+            name: '-n',
+            description: 'Genitive case: "of", or a completed direct object',
+            rules: [
+                ...caseInflection('n', weakNominalStems),
+                ...finnishInflection('jen', 'i', ['n_case'], ['n_pl']),
+                ...finnishInflection('ien', 'i', ['n_case'], ['n_pl']),
+                ...finnishInflection('iden', 'i', ['n_case'], ['n_pl']),
+                ...finnishInflection('itten', 'i', ['n_case'], ['n_pl']),
+                ...finnishInflection('sten', 'nen', ['n_case'], ['n', 'adj']),
+            ],
+        },
+        'partitive': {
+            name: '-A, -tA',
+            description: 'Partitive case, for indefinite amounts and incomplete actions',
+            rules: [
+                ...finnishInflection('VA', 'V', ['n_case'], ['n', 'adj', 'n_pl']),
+                ...finnishInflection('eA', 'i', ['n_case'], ['n', 'adj']),
+                ...finnishInflection('jA', 'i', ['n_case'], ['n_pl']),
+                ...finnishInflection('tA', '', ['n_case'], ['n', 'adj', 'n_pl']),
+                ...finnishInflection('ttA', '', ['n_case'], ['n', 'adj']),
+                ...finnishInflection('stA', 'nen', ['n_case'], ['n', 'adj']),
+                ...finnishInflection('ttA', 'si', ['n_case'], ['n', 'adj']),
+                ...finnishInflection('ltA', 'li', ['n_case'], ['n', 'adj']),
+                ...finnishInflection('rtA', 'ri', ['n_case'], ['n', 'adj']),
+            ],
+        },
+        'inessive': {
+            name: '-ssA',
+            description: 'Inessive case: "in, inside"',
+            rules: caseInflection('ssA', weakNominalStems),
+        },
+        'elative': {
+            name: '-stA',
+            description: 'Elative case: "out of, from inside"',
+            rules: caseInflection('stA', weakNominalStems),
+        },
+        'illative': {
+            name: '-Vn, -hVn, -seen',
+            description: 'Illative case: "into"',
+            rules: [
+                ...caseInflection('Vn', strongNominalStems.filter(([stem]) => stem === 'V')),
+                ...caseInflection('en', strongNominalStems.filter(([stem]) => stem !== 'V' && !/(ee|AA|ii)$/.test(stem))),
+                ...caseInflection('seen', strongNominalStems.filter(([stem]) => /(ee|AA|ii)$/.test(stem))),
+                ...finnishInflection('VhVn', 'V', ['n_case'], ['n', 'adj', 'n_pl']),
+                ...finnishInflection('ihin', 'i', ['n_case'], ['n_pl']),
+                ...finnishInflection('isiin', 'i', ['n_case'], ['n_pl']),
+            ],
+        },
+        'adessive': {
+            name: '-llA',
+            description: 'Adessive case: "on, at", or possession with the verb "olla"',
+            rules: caseInflection('llA', weakNominalStems),
+        },
+        'ablative': {
+            name: '-ltA',
+            description: 'Ablative case: "off, from"',
+            rules: caseInflection('ltA', weakNominalStems),
+        },
+        'allative': {
+            name: '-lle',
+            description: 'Allative case: "onto, to"',
+            rules: caseInflection('lle', weakNominalStems),
+        },
+        'essive': {
+            name: '-nA',
+            description: 'Essive case: "as", for temporary states',
+            rules: caseInflection('nA', strongNominalStems),
+        },
+        'translative': {
+            name: '-ksi',
+            description: 'Translative case, for a change of state: "into, becoming"',
+            rules: caseInflection('ksi', weakNominalStems),
+        },
+        'abessive': {
+            name: '-ttA',
+            description: 'Abessive case: "without"',
+            rules: caseInflection('ttA', weakNominalStems),
+        },
+        'possessive 1sg': {
+            name: '-ni',
+            description: 'First person singular possessive: "my"',
+            rules: possessiveInflection('ni'),
+        },
+        'possessive 2sg': {
+            name: '-si',
+            description: 'Second person singular possessive: "your"',
+            rules: possessiveInflection('si'),
+        },
+        'possessive 3': {
+            name: '-nsA, -Vn',
+            description: 'Third person possessive: "his, her, its, their"',
+            rules: [
+                ...possessiveInflection('nsA'),
+                ...finnishInflection('VVn', 'V', ['n_pos'], ['n_case']),
+            ],
+        },
+        'possessive 1pl': {
+            name: '-mme',
+            description: 'First person plural possessive: "our"',
+            rules: possessiveInflection('mme'),
+        },
+        'possessive 2pl': {
+            name: '-nne',
+            description: 'Second person plural possessive: "your"',
+            rules: possessiveInflection('nne'),
+        },
+        '-kin': {
+            name: '-kin',
+            description: 'Clitic: "also, too, even"',
+            rules: finnishInflection('kin', '', [], cliticConditionsOut),
+        },
+        '-kAAn': {
+            name: '-kAAn',
+            description: 'Clitic used in negative sentences: "either, even"',
+            rules: finnishInflection('kAAn', '', [], cliticConditionsOut),
+        },
+        '-hAn': {
+            name: '-hAn',
+            description: 'Clitic which softens or emphasizes a statement: "after all, surely"',
+            rules: finnishInflection('hAn', '', [], cliticConditionsOut),
+        },
+        '-kO': {
+            name: '-kO',
+            description: 'Clitic which forms a question',
+            rules: finnishInflection('kO', '', [], cliticConditionsOut),
+        },
+        '-pA': {
+            name: '-pA',
+            description: 'Clitic which emphasizes a word',
+            rules: finnishInflection('pA', '', [], cliticConditionsOut),
+        },
+        'present': {
+            name: 'present',
+            description: 'Present tense, also used for the future',
+            rules: presentStemInflection('', ['v_stem'], ['v'], true),
+        },
+        'past': {
+            name: '-i-',
+            description: 'Past tense',
+            rules: [
+                ...finnishInflection('Vi', 'VA', ['v_stem', 'v_fin'], ['v'], 'direct'), // puhui ← puhua
+                ...finnishInflection('i', 'eA', ['v_stem', 'v_fin'], ['v'], 'direct'), // luki ← lukea
+                ...finnishInflection('i', 'AA', ['v_stem', 'v_fin'], ['v'], 'direct'), // otti ← ottaa
+                ...finnishInflection('i', 'iA', ['v_stem', 'v_fin'], ['v'], 'direct'), // oppi ← oppia
+                ...finnishInflection('oi', 'AA', ['v_stem', 'v_fin'], ['v'], 'direct'), // antoi ← antaa
+                ...finnishInflection('öi', 'yödA', ['v_stem', 'v_fin'], ['v']), // söi ← syödä
+                ...finnishInflection('oi', 'uodA', ['v_stem', 'v_fin'], ['v']), // joi ← juoda
+                ...finnishInflection('ei', 'iedA', ['v_stem', 'v_fin'], ['v']), // vei ← viedä
+                ...finnishInflection('Vi', 'VVdA', ['v_stem', 'v_fin'], ['v']), // sai ← saada
+                ...finnishInflection('Vi', 'VidA', ['v_stem', 'v_fin'], ['v']), // voi ← voida
+                ...finnishInflection('li', 'llA', ['v_stem', 'v_fin'], ['v']), // tuli ← tulla
+                ...finnishInflection('ni', 'nnA', ['v_stem', 'v_fin'], ['v']), // meni ← mennä
+                ...finnishInflection('ri', 'rrA', ['v_stem', 'v_fin'], ['v']), // puri ← purra
+                ...finnishInflection('si', 'stA', ['v_stem', 'v_fin'], ['v']), // nousi ← nousta
+                ...finnishInflection('Vsi', 'VtA', ['v_stem', 'v_fin'], ['v'], 'inverse'), // halusi ← haluta, tapasi ← tavata
+                ...finnishInflection('itsi', 'itA', ['v_stem', 'v_fin'], ['v']), // tarvitsi ← tarvita
+                ...finnishInflection('eni', 'etA', ['v_stem', 'v_fin'], ['v']), // vanheni ← vanheta
+            ],
+        },
+        'conditional': {
+            name: '-isi-',
+            description: 'Conditional mood: "would"',
+            rules: [
+                ...finnishInflection('Visi', 'VA', ['v_stem', 'v_fin'], ['v']), // puhuisi ← puhua
+                ...finnishInflection('isi', 'eA', ['v_stem', 'v_fin'], ['v']), // lukisi ← lukea
+                ...finnishInflection('isi', 'iA', ['v_stem', 'v_fin'], ['v']), // oppisi ← oppia
+                ...finnishInflection('öisi', 'yödA', ['v_stem', 'v_fin'], ['v']), // söisi ← syödä
+                ...finnishInflection('oisi', 'uodA', ['v_stem', 'v_fin'], ['v']), // joisi ← juoda
+                ...finnishInflection('eisi', 'iedA', ['v_stem', 'v_fin'], ['v']), // veisi ← viedä
+                ...finnishInflection('Visi', 'VVdA', ['v_stem', 'v_fin'], ['v']), // saisi ← saada
+                ...finnishInflection('Visi', 'VidA', ['v_stem', 'v_fin'], ['v']), // voisi ← voida
+                ...finnishInflection('lisi', 'llA', ['v_stem', 'v_fin'], ['v']), // tulisi ← tulla
+                ...finnishInflection('nisi', 'nnA', ['v_stem', 'v_fin'], ['v']), // menisi ← mennä
+                ...finnishInflection('risi', 'rrA', ['v_stem', 'v_fin'], ['v']), // purisi ← purra
+                ...finnishInflection('sisi', 'stA', ['v_stem', 'v_fin'], ['v']), // nousisi ← nousta
+                ...finnishInflection('VAisi', 'VtA', ['v_stem', 'v_fin'], ['v'], 'inverse'), // haluaisi ← haluta
+                ...finnishInflection('Aisi', 'AtA', ['v_stem', 'v_fin'], ['v'], 'inverse'), // pelaisi ← pelata, tapaisi ← tavata
+                ...finnishInflection('itsisi', 'itA', ['v_stem', 'v_fin'], ['v']), // tarvitsisi ← tarvita
+                ...finnishInflection('enisi', 'etA', ['v_stem', 'v_fin'], ['v']), // vanhenisi ← vanheta
+            ],
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Second person singular imperative, which is also the form used after the negative verb "ei"',
+            rules: presentStemInflection('', ['v_fin'], ['v'], true),
+        },
+        'imperative 2pl': {
+            name: '-kAA',
+            description: 'Second person plural imperative',
+            rules: infinitiveStemInflection('kAA', 'kAA', ['v_fin'], ['v']),
+        },
+        '1sg': {
+            name: '-n',
+            description: 'First person singular: "I"',
+            rules: finnishInflection('n', '', ['v_fin'], ['v_stem']),
+        },
+        '2sg': {
+            name: '-t',
+            description: 'Second person singular: "you"',
+            rules: finnishInflection('t', '', ['v_fin'], ['v_stem']),
+        },
+        '3sg': {
+            name: '-V',
+            description: 'Third person singular in the present tense, which lengthens the final vowel of the stem: "he, she, it"',
+            rules: finnishInflection('VV', 'V', ['v_fin'], ['v_stem']),
+        },
+        '1pl': {
+            name: '-mme',
+            description: 'First person plural: "we"',
+            rules: finnishInflection('mme', '', ['v_fin'], ['v_stem']),
+        },
+        '2pl': {
+            name: '-tte',
+            description: 'Second person plural: "you"',
+            rules: finnishInflection('tte', '', ['v_fin'], ['v_stem']),
+        },
+        '3pl': {
+            name: '-vAt',
+            description: 'Third person plural: "they"',
+            rules: finnishInflection('vAt', '', ['v_fin'], ['v_stem']),
+        },
+        'passive': {
+            name: '-tAAn',
+            description: 'Present passive, for actions by an unspecified person, and "let\'s" in speech',
+            rules: [
+                ...finnishInflection('VtAAn', 'VA', ['v_fin'], ['v'], 'direct'), // puhutaan ← puhua
+                ...finnishInflection('etAAn', 'AA', ['v_fin'], ['v'], 'direct'), // otetaan ← ottaa
+                ...finnishInflection('AAn', 'A', ['v_fin'], ['v']), // syödään ← syödä, tullaan ← tulla
+            ],
+        },
+        'past passive': {
+            name: '-ttiin',
+            description: 'Past passive, for past actions by an unspecified person',
+            rules: infinitiveStemInflection('ttiin', 'tiin', ['v_fin'], ['v']),
+        },
+        'present participle': {
+            name: '-vA',
+            description: 'Present active participle: "-ing"',
+            rules: presentStemInflection('vA', participleConditionsIn, ['v'], false),
+        },
+        'past participle': {
+            name: '-nUt',
+            description: 'Past active participle, also used to form the perfect tenses and the past tense of the negative',
+            rules: [
+                ...finnishInflection('VnUt', 'VA', participleConditionsIn, ['v']), // puhunut ← puhua
+                ...finnishInflection('Vneet', 'VA', participleConditionsIn, ['v']), // puhuneet ← puhua
+                ...finnishInflection('nUt', 'dA', participleConditionsIn, ['v']), // syönyt ← syödä
+                ...finnishInflection('neet', 'dA', participleConditionsIn, ['v']), // syöneet ← syödä
+                ...finnishInflection('llUt', 'llA', participleConditionsIn, ['v']), // tullut ← tulla
+                ...finnishInflection('lleet', 'llA', participleConditionsIn, ['v']), // tulleet ← tulla
+                ...finnishInflection('nnUt', 'nnA', participleConditionsIn, ['v']), // mennyt ← mennä
+                ...finnishInflection('nneet', 'nnA', participleConditionsIn, ['v']), // menneet ← mennä
+                ...finnishInflection('rrUt', 'rrA', participleConditionsIn, ['v']), // purrut ← purra
+                ...finnishInflection('rreet', 'rrA', participleConditionsIn, ['v']), // purreet ← purra
+                ...finnishInflection('ssUt', 'stA', participleConditionsIn, ['v']), // noussut ← nousta
+                ...finnishInflection('sseet', 'stA', participleConditionsIn, ['v']), // nousseet ← nousta
+                ...finnishInflection('nnUt', 'tA', participleConditionsIn, ['v']), // halunnut ← haluta
+                ...finnishInflection('nneet', 'tA', participleConditionsIn, ['v']), // halunneet ← haluta
+            ],
+        },
+        'past passive participle': {
+            name: '-ttU',
+            description: 'Past passive participle: "-ed"',
+            rules: infinitiveStemInflection('ttU', 'tU', participleConditionsIn, ['v']),
+        },
+        'third infinitive': {
+            name: '-mAAn, -mAssA, -mAstA, -mAttA',
+            description: 'Third infinitive, for going to do, being in the middle of, or coming from doing something, or doing something "without" with -mAttA',
+            rules: [
+                ...presentStemInflection('mAAn', ['v_fin'], ['v'], false),
+                ...presentStemInflection('mAssA', ['v_fin'], ['v'], false),
+                ...presentStemInflection('mAstA', ['v_fin'], ['v'], false),
+                ...presentStemInflection('mAttA', ['v_fin'], ['v'], false),
+            ],
+        },
+    },
+};
@@ -0,0 +1,37 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {basicTextProcessorOptions} from '../text-processors.js';
+
+const apostropheVariantsPattern = /[’‘ʼ′´`]/g;
+const elidedWordPattern = /^(?:(?:[cdjlmnst]|qu|jusqu|lorsqu|puisqu|quoiqu)['’])+(?=\p{L})/iu;
+
+/** @type {import('language').TextProcessor<boolean>} */
+export const normalizeApostrophes = {
+    name: 'Normalize apostrophes',
+    description: 'l’homme → l\'homme',
+    options: basicTextProcessorOptions,
+    process: (str, setting) => (setting ? str.replace(apostropheVariantsPattern, '\'') : str),
+};
+
+/** @type {import('language').TextProcessor<boolean>} */
+export const removeElision = {
+    name: 'Remove elided words',
+    description: 'l\'homme → homme, qu\'il → il',
+    options: basicTextProcessorOptions,
+    process: (str, setting) => (setting ? str.replace(elidedWordPattern, '') : str),
+};
@@ -0,0 +1,510 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {suffixInflection, wholeWordInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+/**
+ * @typedef {object} RegularEndings
+ * @property {string[]} er Endings of first group verbs, such as "parler".
+ * @property {string[]} ir Endings of second group verbs, such as "finir".
+ * @property {string[]} re Endings of regular -re verbs, such as "vendre".
+ */
+
+/**
+ * @typedef {object} IrregularVerb
+ * @property {string} infinitive
+ * @property {'suffix'|'wholeWord'} type Suffix verbs also match their prefixed compounds, such as "comprendre".
+ * @property {{[transform: string]: string[]}} forms
+ */
+
+/** @type {{[transform: string]: RegularEndings}} */
+const regularEndings = {
+    'present indicative': {
+        er: ['e', 'es', 'ons', 'ez', 'ent'],
+        ir: ['is', 'it', 'issons', 'issez', 'issent'],
+        re: ['s', 'ons', 'ez', 'ent'],
+    },
+    'imperfect': {
+        er: ['ais', 'ait', 'ions', 'iez', 'aient'],
+        ir: ['issais', 'issait', 'issions', 'issiez', 'issaient'],
+        re: ['ais', 'ait', 'ions', 'iez', 'aient'],
+    },
+    'simple past': {
+        er: ['ai', 'as', 'a', 'âmes', 'âtes', 'èrent'],
+        ir: ['is', 'it', 'îmes', 'îtes', 'irent'],
+        re: ['is', 'it', 'îmes', 'îtes', 'irent'],
+    },
+    'future': {
+        er: ['erai', 'eras', 'era', 'erons', 'erez', 'eront'],
+        ir: ['irai', 'iras', 'ira', 'irons', 'irez', 'iront'],
+        re: ['rai', 'ras', 'ra', 'rons', 'rez', 'ront'],
+    },
+    'conditional': {
+        er: ['erais', 'erait', 'erions', 'eriez', 'eraient'],
+        ir: ['irais', 'irait', 'irions', 'iriez', 'iraient'],
+        re: ['rais', 'rait', 'rions', 'riez', 'raient'],
+    },
+    'present subjunctive': {
+        er: ['e', 'es', 'ions', 'iez', 'ent'],
+        ir: ['isse', 'isses', 'issions', 'issiez', 'issent'],
+        re: ['e', 'es', 'ions', 'iez', 'ent'],
+    },
+    'imperfect subjunctive': {
+        er: ['asse', 'asses', 'ât', 'assions', 'assiez', 'assent'],
+        ir: ['isse', 'isses', 'ît', 'issions', 'issiez', 'issent'],
+        re: ['isse', 'isses', 'ît', 'issions', 'issiez', 'issent'],
+    },
+    'present participle': {
+        er: ['ant'],
+        ir: ['issant'],
+        re: ['ant'],
+    },
+    'past participle': {
+        er: ['é'],
+        ir: ['i'],
+        re: ['u'],
+    },
+};
+
+/** @type {IrregularVerb[]} */
+const irregularVerbs = [
+    {
+        infinitive: 'être',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['suis', 'es', 'est', 'sommes', 'êtes', 'sont'],
+            'imperfect': ['étais', 'était', 'étions', 'étiez', 'étaient'],
+            'simple past': ['fus', 'fut', 'fûmes', 'fûtes', 'furent'],
+            'future': ['serai', 'seras', 'sera', 'serons', 'serez', 'seront'],
+            'conditional': ['serais', 'serait', 'serions', 'seriez', 'seraient'],
+            'present subjunctive': ['sois', 'soit', 'soyons', 'soyez', 'soient'],
+            'imperfect subjunctive': ['fusse', 'fusses', 'fût', 'fussions', 'fussiez', 'fussent'],
+            'present participle': ['étant'],
+            'past participle': ['été'],
+        },
+    },
+    {
+        infinitive: 'avoir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['ai', 'as', 'a', 'avons', 'avez', 'ont'],
+            'imperfect': ['avais', 'avait', 'avions', 'aviez', 'avaient'],
+            'simple past': ['eus', 'eut', 'eûmes', 'eûtes', 'eurent'],
+            'future': ['aurai', 'auras', 'aura', 'aurons', 'aurez', 'auront'],
+            'conditional': ['aurais', 'aurait', 'aurions', 'auriez', 'auraient'],
+            'present subjunctive': ['aie', 'aies', 'ait', 'ayons', 'ayez', 'aient'],
+            'imperfect subjunctive': ['eusse', 'eusses', 'eût', 'eussions', 'eussiez', 'eussent'],
+            'present participle': ['ayant'],
+            'past participle': ['eu'],
+        },
+    },
+    {
+        infinitive: 'aller',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['vais', 'vas', 'va', 'vont'],
+            'future': ['irai', 'iras', 'ira', 'irons', 'irez', 'iront'],
+            'conditional': ['irais', 'irait', 'irions', 'iriez', 'iraient'],
+            'present subjunctive': ['aille', 'ailles', 'aillent'],
+        },
+    },
+    {
+        infinitive: 'faire',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['fais', 'fait', 'faisons', 'faites', 'font'],
+            'imperfect': ['faisais', 'faisait', 'faisions', 'faisiez', 'faisaient'],
+            'simple past': ['fis', 'fit', 'fîmes', 'fîtes', 'firent'],
+            'future': ['ferai', 'feras', 'fera', 'ferons', 'ferez', 'feront'],
+            'conditional': ['ferais', 'ferait', 'ferions', 'feriez', 'feraient'],
+            'present subjunctive': ['fasse', 'fasses', 'fassions', 'fassiez', 'fassent'],
+            'imperfect subjunctive': ['fisse', 'fisses', 'fît', 'fissions', 'fissiez', 'fissent'],
+            'present participle': ['faisant'],
+            'past participle': ['fait'],
+        },
+    },
+    {
+        infinitive: 'dire',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['dis', 'dit', 'disons', 'dites', 'disent'],
+            'imperfect': ['disais', 'disait', 'disions', 'disiez', 'disaient'],
+            'simple past': ['dis', 'dit', 'dîmes', 'dîtes', 'dirent'],
+            'present subjunctive': ['dise', 'dises', 'disions', 'disiez', 'disent'],
+            'imperfect subjunctive': ['disse', 'disses', 'dît', 'dissions', 'dissiez', 'dissent'],
+            'present participle': ['disant'],
+            'past participle': ['dit'],
+        },
+    },
+    {
+        infinitive: 'pouvoir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['peux', 'puis', 'peut', 'pouvons', 'pouvez', 'peuvent'],
+            'imperfect': ['pouvais', 'pouvait', 'pouvions', 'pouviez', 'pouvaient'],
+            'simple past': ['pus', 'put', 'pûmes', 'pûtes', 'purent'],
+            'future': ['pourrai', 'pourras', 'pourra', 'pourrons', 'pourrez', 'pourront'],
+            'conditional': ['pourrais', 'pourrait', 'pourrions', 'pourriez', 'pourraient'],
+            'present subjunctive': ['puisse', 'puisses', 'puissions', 'puissiez', 'puissent'],
+            'imperfect subjunctive': ['pusse', 'pusses', 'pût', 'pussions', 'pussiez', 'pussent'],
+            'present participle': ['pouvant'],
+            'past participle': ['pu'],
+        },
+    },
+    {
+        infinitive: 'vouloir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['veux', 'veut', 'voulons', 'voulez', 'veulent'],
+            'imperfect': ['voulais', 'voulait', 'voulions', 'vouliez', 'voulaient'],
+            'simple past': ['voulus', 'voulut', 'voulûmes', 'voulûtes', 'voulurent'],
+            'future': ['voudrai', 'voudras', 'voudra', 'voudrons', 'voudrez', 'voudront'],
+            'conditional': ['voudrais', 'voudrait', 'voudrions', 'voudriez', 'voudraient'],
+            'present subjunctive': ['veuille', 'veuilles', 'voulions', 'vouliez', 'veuillent'],
+            'imperfect subjunctive': ['voulusse', 'voulusses', 'voulût', 'voulussions', 'voulussiez', 'voulussent'],
+            'present participle': ['voulant'],
+            'past participle': ['voulu'],
+        },
+    },
+    {
+        infinitive: 'savoir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['sais', 'sait', 'savons', 'savez', 'savent'],
+            'imperfect': ['savais', 'savait', 'savions', 'saviez', 'savaient'],
+            'simple past': ['sus', 'sut', 'sûmes', 'sûtes', 'surent'],
+            'future': ['saurai', 'sauras', 'saura', 'saurons', 'saurez', 'sauront'],
+            'conditional': ['saurais', 'saurait', 'saurions', 'sauriez', 'sauraient'],
+            'present subjunctive': ['sache', 'saches', 'sachions', 'sachiez', 'sachent'],
+            'imperfect subjunctive': ['susse', 'susses', 'sût', 'sussions', 'sussiez', 'sussent'],
+            'present participle': ['sachant'],
+            'past participle': ['su'],
+        },
+    },
+    {
+        infinitive: 'devoir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['dois', 'doit', 'devons', 'devez', 'doivent'],
+            'imperfect': ['devais', 'devait', 'devions', 'deviez', 'devaient'],
+            'simple past': ['dus', 'dut', 'dûmes', 'dûtes', 'durent'],
+            'future': ['devrai', 'devras', 'devra', 'devrons', 'devrez', 'devront'],
+            'conditional': ['devrais', 'devrait', 'devrions', 'devriez', 'devraient'],
+            'present subjunctive': ['doive', 'doives', 'devions', 'deviez', 'doivent'],
+            'imperfect subjunctive': ['dusse', 'dusses', 'dût', 'dussions', 'dussiez', 'dussent'],
+            'present participle': ['devant'],
+            'past participle': ['dû', 'due', 'dus', 'dues'],
+        },
+    },
+    {
+        infinitive: 'voir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['vois', 'voit', 'voyons', 'voyez', 'voient'],
+            'imperfect': ['voyais', 'voyait', 'voyions', 'voyiez', 'voyaient'],
+            'simple past': ['vis', 'vit', 'vîmes', 'vîtes', 'virent'],
+            'future': ['verrai', 'verras', 'verra', 'verrons', 'verrez', 'verront'],
+            'conditional': ['verrais', 'verrait', 'verrions', 'verriez', 'verraient'],
+            'present subjunctive': ['voie', 'voies', 'voyions', 'voyiez', 'voient'],
+            'imperfect subjunctive': ['visse', 'visses', 'vît', 'vissions', 'vissiez', 'vissent'],
+            'present participle': ['voyant'],
+            'past participle': ['vu'],
+        },
+    },
+    ...['venir', 'tenir'].map((infinitive) => {
+        const initial = infinitive[0];
+        /** @type {IrregularVerb} */
+        const verb = {
+            infinitive,
+            type: 'suffix',
+            forms: {
+                'present indicative': ['iens', 'ient', 'enons', 'enez', 'iennent'],
+                'imperfect': ['enais', 'enait', 'enions', 'eniez', 'enaient'],
+                'simple past': ['ins', 'int', 'înmes', 'întes', 'inrent'],
+                'future': ['iendrai', 'iendras', 'iendra', 'iendrons', 'iendrez', 'iendront'],
+                'conditional': ['iendrais', 'iendrait', 'iendrions', 'iendriez', 'iendraient'],
+                'present subjunctive': ['ienne', 'iennes', 'enions', 'eniez', 'iennent'],
+                'imperfect subjunctive': ['insse', 'insses', 'înt', 'inssions', 'inssiez', 'inssent'],
+                'present participle': ['enant'],
+                'past participle': ['enu'],
+            },
+        };
+        for (const [transform, forms] of Object.entries(verb.forms)) {
+            verb.forms[transform] = forms.map((form) => initial + form);
+        }
+        return verb;
+    }),
+    {
+        infinitive: 'prendre',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['prends', 'prend', 'prenons', 'prenez', 'prennent'],
+            'imperfect': ['prenais', 'prenait', 'prenions', 'preniez', 'prenaient'],
+            'simple past': ['pris', 'prit', 'prîmes', 'prîtes', 'prirent'],
+            'present subjunctive': ['prenne', 'prennes', 'prenions', 'preniez', 'prennent'],
+            'imperfect subjunctive': ['prisse', 'prisses', 'prît', 'prissions', 'prissiez', 'prissent'],
+            'present participle': ['prenant'],
+            'past participle': ['pris'],
+        },
+    },
+    {
+        infinitive: 'mettre',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['mets', 'met'],
+            'simple past': ['mis', 'mit', 'mîmes', 'mîtes', 'mirent'],
+            'imperfect subjunctive': ['misse', 'misses', 'mît', 'missions', 'missiez', 'missent'],
+            'past participle': ['mis'],
+        },
+    },
+    {
+        infinitive: 'falloir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['faut'],
+            'imperfect': ['fallait'],
+            'simple past': ['fallut'],
+            'future': ['faudra'],
+            'conditional': ['faudrait'],
+            'present subjunctive': ['faille'],
+            'imperfect subjunctive': ['fallût'],
+            'past participle': ['fallu'],
+        },
+    },
+];
+
+// Consonants which can follow the changed vowel of stem-changing verbs, such as "lever" and "céder"
+const stemConsonants = 'bcdfghjklmnpqrstvwxz';
+
+/**
+ * Creates the rules for first group verbs whose stem vowel changes to "è" before a silent "e", such as "lève" from "lever" and "cède" from "céder".
+ * @param {string} deinflectedVowel
+ * @param {string[]} endings
+ * @param {Condition[]} conditionsIn
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function stemChangeInflection(deinflectedVowel, endings, conditionsIn) {
+    const regex = new RegExp(`è([${stemConsonants}]+)(?:${endings.join('|')})$`);
+    return {
+        type: 'other',
+        isInflected: regex,
+        deinflect: (text) => text.replace(regex, `${deinflectedVowel}$1er`),
+        conditionsIn,
+        conditionsOut: ['v_er'],
+    };
+}
+
+/**
+ * Creates the rules for the spelling changes of first group verbs.
+ * @param {string[]} endings
+ * @param {Condition[]} conditionsIn
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function spellingChangeInflections(endings, conditionsIn) {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [];
+    // Endings starting with a silent "e", excluding the pronounced "-ez"
+    const silentEndings = endings.filter((ending) => ending.startsWith('e') && ending !== 'ez');
+    for (const ending of endings) {
+        if (/^[aâo]/.test(ending)) {
+            rules.push(
+                suffixInflection(`ç${ending}`, 'cer', conditionsIn, ['v_er']), // 'commençons' -> commencer
+                suffixInflection(`ge${ending}`, 'ger', conditionsIn, ['v_er']), // 'mangeons' -> manger
+            );
+        }
+    }
+    for (const ending of silentEndings) {
+        rules.push(
+            suffixInflection(`i${ending}`, 'yer', conditionsIn, ['v_er']), // 'paie' -> payer
+            suffixInflection(`ll${ending}`, 'ler', conditionsIn, ['v_er']), // 'appelle' -> appeler
+            suffixInflection(`tt${ending}`, 'ter', conditionsIn, ['v_er']), // 'jette' -> jeter
+        );
+    }
+    if (silentEndings.length > 0) {
+        rules.push(
+            stemChangeInflection('e', silentEndings, conditionsIn), // 'lève' -> lever
+            stemChangeInflection('é', silentEndings, conditionsIn), // 'cède' -> céder
+        );
+    }
+    return rules;
+}
+
+/**
+ * @param {string} transform
+ * @param {Condition[]} conditionsIn
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function verbInflections(transform, conditionsIn) {
+    const {er, ir, re} = regularEndings[transform];
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        ...er.map((ending) => suffixInflection(ending, 'er', conditionsIn, ['v_er'])),
+        ...spellingChangeInflections(er, conditionsIn),
+        ...ir.map((ending) => suffixInflection(ending, 'ir', conditionsIn, ['v_ir'])),
+        ...re.map((ending) => suffixInflection(ending, 're', conditionsIn, ['v_re'])),
+    ];
+    for (const {infinitive, type, forms} of irregularVerbs) {
+        const verbForms = forms[transform];
+        if (typeof verbForms === 'undefined') { continue; }
+        for (const form of new Set(verbForms)) {
+            rules.push(
+                type === 'suffix' ?
+                suffixInflection(form, infinitive, conditionsIn, ['v']) :
+                wholeWordInflection(form, infinitive, conditionsIn, ['v']),
+            );
+        }
+    }
+    return rules;
+}
+
+const conditions = {
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v_er', 'v_ir', 'v_re'],
+    },
+    v_er: {
+        name: '-er verb',
+        isDictionaryForm: false,
+    },
+    v_ir: {
+        name: '-ir verb',
+        isDictionaryForm: false,
+    },
+    v_re: {
+        name: '-re verb',
+        isDictionaryForm: false,
+    },
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const frenchTransforms = {
+    language: 'fr',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Plural form of a noun or adjective',
+            rules: [
+                suffixInflection('s', '', ['np', 'adj'], ['ns', 'adj']),
+                suffixInflection('x', '', ['np', 'adj'], ['ns', 'adj']), // 'eaux' -> eau
+                suffixInflection('aux', 'al', ['np', 'adj'], ['ns', 'adj']), // 'journaux' -> journal
+                suffixInflection('aux', 'ail', ['np'], ['ns']), // 'travaux' -> travail
+                wholeWordInflection('yeux', 'œil', ['np'], ['ns']),
+                wholeWordInflection('cieux', 'ciel', ['np'], ['ns']),
+                wholeWordInflection('messieurs', 'monsieur', ['np'], ['ns']),
+                wholeWordInflection('mesdames', 'madame', ['np'], ['ns']),
+                wholeWordInflection('mesdemoiselles', 'mademoiselle', ['np'], ['ns']),
+            ],
+        },
+        'feminine': {
+            name: 'feminine',
+            description: 'Feminine form of an adjective',
+            rules: [
+                suffixInflection('e', '', ['adj'], ['adj']), // 'grande' -> grand
+                suffixInflection('euse', 'eux', ['adj'], ['adj']), // 'heureuse' -> heureux
+                suffixInflection('euse', 'eur', ['adj'], ['adj']), // 'travailleuse' -> travailleur
+                suffixInflection('trice', 'teur', ['adj'], ['adj']), // 'créatrice' -> créateur
+                suffixInflection('ve', 'f', ['adj'], ['adj']), // 'active' -> actif
+                suffixInflection('ère', 'er', ['adj'], ['adj']), // 'chère' -> cher
+                suffixInflection('lle', 'l', ['adj'], ['adj']), // 'cruelle' -> cruel
+                suffixInflection('nne', 'n', ['adj'], ['adj']), // 'bonne' -> bon
+                suffixInflection('tte', 't', ['adj'], ['adj']), // 'muette' -> muet
+                suffixInflection('sse', 's', ['adj'], ['adj']), // 'grosse' -> gros
+                suffixInflection('che', 'c', ['adj'], ['adj']), // 'blanche' -> blanc
+                suffixInflection('gue', 'g', ['adj'], ['adj']), // 'longue' -> long
+                suffixInflection('elle', 'eau', ['adj'], ['adj']), // 'nouvelle' -> nouveau
+                wholeWordInflection('douce', 'doux', ['adj'], ['adj']),
+                wholeWordInflection('fausse', 'faux', ['adj'], ['adj']),
+                wholeWordInflection('rousse', 'roux', ['adj'], ['adj']),
+                wholeWordInflection('folle', 'fou', ['adj'], ['adj']),
+                wholeWordInflection('molle', 'mou', ['adj'], ['adj']),
+                wholeWordInflection('vieille', 'vieux', ['adj'], ['adj']),
+                wholeWordInflection('fraîche', 'frais', ['adj'], ['adj']),
+                wholeWordInflection('sèche', 'sec', ['adj'], ['adj']),
+                wholeWordInflection('grecque', 'grec', ['adj'], ['adj']),
+            ],
+        },
+        'present indicative': {
+            name: 'present indicative',
+            description: 'Present indicative form of a verb',
+            rules: [
+                ...verbInflections('present indicative', []),
+                suffixInflection('d', 'dre', [], ['v_re']), // 'vend' -> vendre
+            ],
+        },
+        'imperfect': {
+            name: 'imperfect',
+            description: 'Imperfect form of a verb',
+            rules: verbInflections('imperfect', []),
+        },
+        'simple past': {
+            name: 'simple past',
+            description: 'Simple past (passé simple) form of a verb',
+            rules: verbInflections('simple past', []),
+        },
+        'future': {
+            name: 'future',
+            description: 'Future form of a verb',
+            rules: verbInflections('future', []),
+        },
+        'conditional': {
+            name: 'conditional',
+            description: 'Conditional form of a verb',
+            rules: verbInflections('conditional', []),
+        },
+        'present subjunctive': {
+            name: 'present subjunctive',
+            description: 'Present subjunctive form of a verb',
+            rules: verbInflections('present subjunctive', []),
+        },
+        'imperfect subjunctive': {
+            name: 'imperfect subjunctive',
+            description: 'Imperfect subjunctive form of a verb',
+            rules: verbInflections('imperfect subjunctive', []),
+        },
+        'present participle': {
+            name: 'present participle',
+            description: 'Present participle form of a verb',
+            rules: verbInflections('present participle', []),
+        },
+        'past participle': {
+            name: 'past participle',
+            description: 'Past participle form of a verb, which agrees like an adjective',
+            rules: verbInflections('past participle', ['adj']),
+        },
+    },
+};
@@ -0,0 +1,459 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/** @typedef {keyof typeof conditions} Condition */
+
+/**
+ * The vowel harmony classes of stems. Suffixes with two forms only distinguish back and front stems,
+ * and suffixes with three forms also distinguish front stems with rounded vowels, such as "-hoz/-hez/-höz".
+ * @typedef {'back'|'front'|'unrounded'|'rounded'} Harmony
+ */
+
+const vowels = 'aáeéiíoóöőuúüű';
+
+/** @type {Map<string, [back: string, unrounded: string, rounded: string]>} */
+const harmonicVowels = new Map([
+    ['A', ['a', 'e', 'e']],
+    ['Á', ['á', 'é', 'é']],
+    ['O', ['o', 'e', 'ö']],
+    ['Ó', ['ó', 'ő', 'ő']],
+    ['U', ['u', 'ü', 'ü']],
+]);
+
+/**
+ * Lookbehind patterns for the stems which take each form of a suffix.
+ * Stems with any back vowel can take the back forms, since mixed stems such as "fotel" can take either form.
+ * @type {Record<Harmony, string>}
+ */
+const harmonyPatterns = {
+    back: '(?<=[aáoóuú].*)',
+    front: `(?<![aáoóuú][^${vowels}]*)`,
+    unrounded: `(?<=[eéií][^${vowels}]*)`,
+    rounded: `(?<=[öőüű][^${vowels}]*)`,
+};
+
+/**
+ * Consonants which are doubled when the "v" of a suffix assimilates to them, such as "ház" → "házzal".
+ * Digraphs are doubled by repeating their first letter.
+ */
+const assimilatingConsonants = ['b', 'c', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'm', 'n', 'p', 'r', 's', 't', 'v', 'z', 'cs', 'dz', 'gy', 'ly', 'ny', 'sz', 'ty', 'zs'];
+
+/**
+ * @param {string} template
+ * @param {Harmony} harmony
+ * @returns {string}
+ */
+function harmonize(template, harmony) {
+    const index = harmony === 'back' ? 0 : (harmony === 'rounded' ? 2 : 1);
+    return template.replace(/[AÁOÓU]/g, (archiphoneme) => /** @type {[string, string, string]} */ (harmonicVowels.get(archiphoneme))[index]);
+}
+
+/**
+ * Creates the rules which replace the end of a word, following vowel harmony.
+ * Templates can contain the archiphonemes `A`, `Á`, `O`, `Ó` and `U`, which take their back or front forms following the stem.
+ * The harmony of the stem is checked before the inflected text, or at the position of a `|` in it when the inflected text also changes the stem,
+ * such as the lengthened final vowel in "almában" ← "alma".
+ * @param {string} inflected
+ * @param {string} deinflected
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @param {?('vowel'|'consonant')} [stemEnding] Restricts the rule to stems which end in a vowel or a consonant.
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function hungarianInflection(inflected, deinflected, conditionsIn, conditionsOut, stemEnding = null) {
+    const template = inflected.includes('|') ? inflected : `|${inflected}`;
+    /** @type {(?Harmony)[]} */
+    let harmonies = [null];
+    if (/O/.test(template + deinflected)) {
+        harmonies = ['back', 'unrounded', 'rounded'];
+    } else if (/[AÁÓU]/.test(template + deinflected)) {
+        harmonies = ['back', 'front'];
+    }
+    const endingPattern = stemEnding === null ? '' : `(?<=[${stemEnding === 'consonant' ? '^' : ''}${vowels}])`;
+    return harmonies.map((harmony) => {
+        const [stemChange, suffix] = (harmony === null ? template : harmonize(template, harmony)).split('|');
+        const suffixRegExp = new RegExp(`${endingPattern}${stemChange}${harmony === null ? '' : harmonyPatterns[harmony]}${suffix}$`);
+        const replacement = harmony === null ? deinflected : harmonize(deinflected, harmony);
+        return {
+            type: 'other',
+            isInflected: suffixRegExp,
+            deinflect: (text) => text.replace(suffixRegExp, replacement),
+            conditionsIn,
+            conditionsOut,
+        };
+    });
+}
+
+/**
+ * Creates the rules for a suffix of a nominal, which lengthens a final "a" or "e" of the stem, such as "almát" ← "alma".
+ * A linking vowel in parentheses is only present after stems which end in a consonant, where an "O" can also be lowered to "a", such as "házat" ← "ház".
+ * @param {string} template
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function nominalInflection(template, conditionsIn, conditionsOut) {
+    const match = /^\((.)\)(.*)$/.exec(template);
+    if (match === null) {
+        return [
+            ...hungarianInflection(template, '', conditionsIn, conditionsOut),
+            ...hungarianInflection(`Á|${template}`, 'A', conditionsIn, conditionsOut),
+        ];
+    }
+    const [, linkingVowel, suffix] = match;
+    return [
+        ...hungarianInflection(suffix, '', conditionsIn, conditionsOut, 'vowel'),
+        ...hungarianInflection(linkingVowel + suffix, '', conditionsIn, conditionsOut, 'consonant'),
+        ...(linkingVowel === 'O' ? hungarianInflection(`a|${suffix}`, '', conditionsIn, conditionsOut, 'consonant') : []),
+        ...hungarianInflection(`Á|${suffix}`, 'A', conditionsIn, conditionsOut),
+    ];
+}
+
+/**
+ * Creates the rules for a suffix which begins with a "v" that assimilates to a final consonant of the stem, such as "házzal" ← "ház".
+ * @param {string} suffix The suffix without its initial "v".
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function assimilatingCaseInflection(suffix) {
+    return [
+        ...nominalInflection(`v${suffix}`, [], caseConditionsOut),
+        ...assimilatingConsonants.flatMap((consonant) => hungarianInflection(consonant[0] + consonant + suffix, consonant, [], caseConditionsOut)),
+    ];
+}
+
+/**
+ * Creates the rules for a verb ending, which also deinflect verbs whose dictionary forms end in "-ik", such as "lakom" ← "lakik".
+ * @param {string} inflected
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @param {?('vowel'|'consonant')} [stemEnding]
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function verbInflection(inflected, conditionsIn, conditionsOut, stemEnding = null) {
+    return [
+        ...hungarianInflection(inflected, '', conditionsIn, conditionsOut, stemEnding),
+        ...(conditionsOut.includes('v') ? hungarianInflection(inflected, 'ik', conditionsIn, conditionsOut, stemEnding) : []),
+    ];
+}
+
+const conditions = {
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+    },
+    v_past: {
+        name: 'Verb with the past tense suffix',
+        isDictionaryForm: false,
+    },
+    v_cond: {
+        name: 'Verb with the conditional suffix',
+        isDictionaryForm: false,
+    },
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+    n_pl: {
+        name: 'Noun with the plural suffix',
+        isDictionaryForm: false,
+    },
+    n_pos: {
+        name: 'Noun with a possessive suffix',
+        isDictionaryForm: false,
+    },
+    n_pos_pl: {
+        name: 'Noun with the suffix for plural possessions',
+        isDictionaryForm: false,
+    },
+};
+
+/** @type {Condition[]} */
+const caseConditionsOut = ['n', 'adj', 'n_pl', 'n_pos', 'n_pos_pl'];
+
+/** @type {Condition[]} */
+const nominalConditions = ['n', 'adj'];
+
+/**
+ * Possessive suffixes after a vowel can also follow the suffix for plural possessions, such as "házaim" ← "házai".
+ * @type {Condition[]}
+ */
+const possessiveConditionsOut = ['n', 'adj', 'n_pos_pl'];
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const hungarianTransforms = {
+    language: 'hu',
+    conditions,
+    transforms: {
+        'plural': {
+            name: '-k',
+            description: 'Plural',
+            rules: nominalInflection('(O)k', ['n_pl'], nominalConditions),
+        },
+        'accusative': {
+            name: '-t',
+            description: 'Accusative case, for the direct object of a verb',
+            rules: [
+                ...nominalInflection('(O)t', [], caseConditionsOut),
+                ...hungarianInflection('t', '', [], caseConditionsOut, 'consonant'), // pénzt ← pénz
+            ],
+        },
+        'inessive': {
+            name: '-bAn',
+            description: 'Inessive case: "in, inside"',
+            rules: nominalInflection('bAn', [], caseConditionsOut),
+        },
+        'illative': {
+            name: '-bA',
+            description: 'Illative case: "into"',
+            rules: nominalInflection('bA', [], caseConditionsOut),
+        },
+        'elative': {
+            name: '-bÓl',
+            description: 'Elative case: "out of, from inside"',
+            rules: nominalInflection('bÓl', [], caseConditionsOut),
+        },
+        'superessive': {
+            name: '-On',
+            description: 'Superessive case: "on, on top of"',
+            rules: nominalInflection('(O)n', [], caseConditionsOut),
+        },
+        'sublative': {
+            name: '-rA',
+            description: 'Sublative case: "onto"',
+            rules: nominalInflection('rA', [], caseConditionsOut),
+        },
+        'delative': {
+            name: '-rÓl',
+            description: 'Delative case: "off of, about"',
+            rules: nominalInflection('rÓl', [], caseConditionsOut),
+        },
+        'adessive': {
+            name: '-nÁl',
+            description: 'Adessive case: "at, by"',
+            rules: nominalInflection('nÁl', [], caseConditionsOut),
+        },
+        'allative': {
+            name: '-hOz',
+            description: 'Allative case: "to, towards"',
+            rules: nominalInflection('hOz', [], caseConditionsOut),
+        },
+        'ablative': {
+            name: '-tÓl',
+            description: 'Ablative case: "from, away from"',
+            rules: nominalInflection('tÓl', [], caseConditionsOut),
+        },
+        'dative': {
+            name: '-nAk',
+            description: 'Dative case: "to, for", also used for the possessor',
+            rules: nominalInflection('nAk', [], caseConditionsOut),
+        },
+        'instrumental': {
+            name: '-vAl',
+            description: 'Instrumental case: "with, by means of"',
+            rules: assimilatingCaseInflection('Al'),
+        },
+        'translative': {
+            name: '-vÁ',
+            description: 'Translative case: "into, becoming"',
+            rules: assimilatingCaseInflection('Á'),
+        },
+        'causal-final': {
+            name: '-ért',
+            description: 'Causal-final case: "for, for the sake of"',
+            rules: nominalInflection('ért', [], caseConditionsOut),
+        },
+        'terminative': {
+            name: '-ig',
+            description: 'Terminative case: "up to, until"',
+            rules: nominalInflection('ig', [], caseConditionsOut),
+        },
+        'essive-formal': {
+            name: '-ként',
+            description: 'Essive-formal case: "as, in the capacity of"',
+            rules: nominalInflection('ként', [], caseConditionsOut),
+        },
+        'possessive 1sg': {
+            name: '-m',
+            description: 'First person singular possessive: "my"',
+            rules: [
+                ...nominalInflection('(O)m', ['n_pos'], nominalConditions),
+                ...hungarianInflection('m', '', ['n_pos'], possessiveConditionsOut, 'vowel'),
+            ],
+        },
+        'possessive 2sg': {
+            name: '-d',
+            description: 'Second person singular possessive: "your"',
+            rules: [
+                ...nominalInflection('(O)d', ['n_pos'], nominalConditions),
+                ...hungarianInflection('d', '', ['n_pos'], possessiveConditionsOut, 'vowel'),
+            ],
+        },
+        'possessive 3sg': {
+            name: '-(j)A',
+            description: 'Third person singular possessive: "his, her, its"',
+            rules: [
+                ...nominalInflection('jA', ['n_pos'], nominalConditions),
+                ...hungarianInflection('A', '', ['n_pos'], nominalConditions, 'consonant'),
+            ],
+        },
+        'possessive 1pl': {
+            name: '-Unk',
+            description: 'First person plural possessive: "our"',
+            rules: [
+                ...nominalInflection('(U)nk', ['n_pos'], nominalConditions),
+                ...hungarianInflection('nk', '', ['n_pos'], possessiveConditionsOut, 'vowel'),
+            ],
+        },
+        'possessive 2pl': {
+            name: '-tOk',
+            description: 'Second person plural possessive: "your"',
+            rules: [
+                ...nominalInflection('(O)tOk', ['n_pos'], nominalConditions),
+                ...hungarianInflection('tOk', '', ['n_pos'], possessiveConditionsOut, 'vowel'),
+            ],
+        },
+        'possessive 3pl': {
+            name: '-(j)Uk',
+            description: 'Third person plural possessive: "their"',
+            rules: [
+                ...nominalInflection('jUk', ['n_pos'], nominalConditions),
+                ...hungarianInflection('Uk', '', ['n_pos'], nominalConditions, 'consonant'),
+                ...hungarianInflection('k', '', ['n_pos'], ['n_pos_pl'], 'vowel'), // házaik ← házai
+            ],
+        },
+        'plural possessions': {
+            name: '-(j)Ai-',
+            description: 'Plural possessions, followed by a possessive suffix or by itself for the third person singular, such as "házaim" "my houses"',
+            rules: [
+                ...nominalInflection('jAi', ['n_pos_pl'], nominalConditions),
+                ...hungarianInflection('Ai', '', ['n_pos_pl'], nominalConditions, 'consonant'),
+                ...hungarianInflection('i', '', ['n_pos_pl'], nominalConditions, 'vowel'),
+            ],
+        },
+        'past': {
+            name: '-t, -Ott',
+            description: 'Past tense',
+            rules: [
+                ...verbInflection('t', ['v_past'], ['v']),
+                ...verbInflection('Ott', ['v_past'], ['v'], 'consonant'),
+                ...verbInflection('tt', ['v_past'], ['v'], 'vowel'),
+            ],
+        },
+        'conditional': {
+            name: '-nA, -nÁ-',
+            description: 'Conditional mood: "would"',
+            rules: ['nA', 'nÁ', 'né'].flatMap((suffix) => [
+                ...verbInflection(suffix, ['v_cond'], ['v']),
+                ...verbInflection(`A${suffix}`, ['v_cond'], ['v'], 'consonant'), // mondana ← mond
+            ]),
+        },
+        'infinitive': {
+            name: '-ni',
+            description: 'Infinitive: "to do"',
+            rules: [
+                ...verbInflection('ni', [], ['v']),
+                ...verbInflection('Ani', [], ['v'], 'consonant'), // mondani ← mond
+            ],
+        },
+        '1sg': {
+            name: '-Ok, -Om',
+            description: 'First person singular: "I"',
+            rules: [
+                ...verbInflection('Ok', [], ['v'], 'consonant'), // várok ← vár
+                ...verbInflection('Om', [], ['v'], 'consonant'), // várom ← vár, lakom ← lakik
+                ...verbInflection('Am', [], ['v_past']), // vártam ← várt
+                ...verbInflection('k', [], ['v_cond'], 'vowel'), // várnék ← várné
+                ...verbInflection('m', [], ['v_cond'], 'vowel'), // várnám ← várná
+            ],
+        },
+        '2sg': {
+            name: '-sz, -Ol, -Od',
+            description: 'Second person singular: "you"',
+            rules: [
+                ...verbInflection('sz', [], ['v']),
+                ...verbInflection('Asz', [], ['v'], 'consonant'), // mondasz ← mond
+                ...verbInflection('Ol', [], ['v'], 'consonant'), // olvasol ← olvas
+                ...verbInflection('Od', [], ['v'], 'consonant'), // várod ← vár
+                ...verbInflection('Ál', [], ['v_past']), // vártál ← várt
+                ...verbInflection('Ad', [], ['v_past']), // vártad ← várt
+                ...verbInflection('l', [], ['v_cond'], 'vowel'), // várnál ← várná
+                ...verbInflection('d', [], ['v_cond'], 'vowel'), // várnád ← várná
+            ],
+        },
+        '3sg': {
+            name: '-jA, -i',
+            description: 'Third person singular of the definite conjugation: "he, she, it ... it"',
+            rules: [
+                ...verbInflection('ja', [], ['v']), // várja ← vár
+                ...verbInflection('i', [], ['v'], 'consonant'), // kéri ← kér
+                ...verbInflection('A', [], ['v_past']), // várta ← várt
+            ],
+        },
+        '1pl': {
+            name: '-Unk, -jUk',
+            description: 'First person plural: "we"',
+            rules: [
+                ...verbInflection('Unk', [], ['v'], 'consonant'), // várunk ← vár
+                ...verbInflection('jUk', [], ['v']), // várjuk ← vár
+                ...verbInflection('Unk', [], ['v_past']), // vártunk ← várt
+                ...verbInflection('Uk', [], ['v_past']), // vártuk ← várt
+                ...verbInflection('nk', [], ['v_cond'], 'vowel'), // várnánk ← várná
+            ],
+        },
+        '2pl': {
+            name: '-tOk, -jÁtOk',
+            description: 'Second person plural: "you"',
+            rules: [
+                ...verbInflection('tOk', [], ['v']), // vártok ← vár
+                ...verbInflection('OtOk', [], ['v'], 'consonant'), // mondotok ← mond
+                ...verbInflection('játok', [], ['v']), // várjátok ← vár
+                ...verbInflection('itek', [], ['v'], 'consonant'), // kéritek ← kér
+                ...verbInflection('atok', [], ['v_past']), // vártatok ← várt
+                ...verbInflection('etek', [], ['v_past']), // kértetek ← kért
+                ...verbInflection('ÁtOk', [], ['v_past']), // vártátok ← várt
+                ...verbInflection('tOk', [], ['v_cond'], 'vowel'), // várnátok ← várná
+            ],
+        },
+        '3pl': {
+            name: '-nAk, -jÁk',
+            description: 'Third person plural: "they"',
+            rules: [
+                ...verbInflection('nAk', [], ['v']), // várnak ← vár
+                ...verbInflection('AnAk', [], ['v'], 'consonant'), // mondanak ← mond
+                ...verbInflection('ják', [], ['v']), // várják ← vár
+                ...verbInflection('ik', [], ['v'], 'consonant'), // kérik ← kér
+                ...verbInflection('Ak', [], ['v_past']), // vártak ← várt
+                ...verbInflection('Ák', [], ['v_past']), // várták ← várt
+                ...verbInflection('nAk', [], ['v_cond'], 'vowel'), // várnának ← várná
+            ],
+        },
+        '1sg → 2': {
+            name: '-lAk',
+            description: 'First person singular subject with a second person object: "I ... you"',
+            rules: [
+                ...verbInflection('lAk', [], ['v']), // látlak ← lát
+                ...verbInflection('AlAk', [], ['v'], 'consonant'), // mondalak ← mond
+                ...verbInflection('AlAk', [], ['v_past']), // láttalak ← látt
+                ...verbInflection('lAk', [], ['v_cond'], 'vowel'), // látnálak ← látná
+            ],
+        },
+    },
+};
@@ -0,0 +1,637 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {suffixInflection, wholeWordInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+/**
+ * @typedef {object} RegularEndings
+ * @property {string[]} are Endings of first conjugation verbs, such as "parlare".
+ * @property {string[]} ere Endings of second conjugation verbs, such as "credere".
+ * @property {string[]} ire Endings of third conjugation verbs, such as "dormire" and "finire".
+ */
+
+/**
+ * @typedef {object} IrregularVerb
+ * @property {string} infinitive
+ * @property {'suffix'|'wholeWord'} type Suffix verbs also match their prefixed compounds, such as "comprendere".
+ * @property {{[transform: string]: string[]}} forms
+ */
+
+/** @type {{[transform: string]: RegularEndings}} */
+const regularEndings = {
+    'present indicative': {
+        are: ['o', 'i', 'a', 'iamo', 'ate', 'ano'],
+        ere: ['o', 'i', 'e', 'iamo', 'ete', 'ono'],
+        ire: ['o', 'i', 'e', 'iamo', 'ite', 'ono', 'isco', 'isci', 'isce', 'iscono'],
+    },
+    'imperfect': {
+        are: ['avo', 'avi', 'ava', 'avamo', 'avate', 'avano'],
+        ere: ['evo', 'evi', 'eva', 'evamo', 'evate', 'evano'],
+        ire: ['ivo', 'ivi', 'iva', 'ivamo', 'ivate', 'ivano'],
+    },
+    'preterite': {
+        are: ['ai', 'asti', 'ò', 'ammo', 'aste', 'arono'],
+        ere: ['ei', 'etti', 'esti', 'é', 'è', 'ette', 'emmo', 'este', 'erono', 'ettero'],
+        ire: ['ii', 'isti', 'ì', 'immo', 'iste', 'irono'],
+    },
+    'future': {
+        are: ['erò', 'erai', 'erà', 'eremo', 'erete', 'eranno'],
+        ere: ['erò', 'erai', 'erà', 'eremo', 'erete', 'eranno'],
+        ire: ['irò', 'irai', 'irà', 'iremo', 'irete', 'iranno'],
+    },
+    'conditional': {
+        are: ['erei', 'eresti', 'erebbe', 'eremmo', 'ereste', 'erebbero'],
+        ere: ['erei', 'eresti', 'erebbe', 'eremmo', 'ereste', 'erebbero'],
+        ire: ['irei', 'iresti', 'irebbe', 'iremmo', 'ireste', 'irebbero'],
+    },
+    'present subjunctive': {
+        are: ['i', 'iamo', 'iate', 'ino'],
+        ere: ['a', 'iamo', 'iate', 'ano'],
+        ire: ['a', 'iamo', 'iate', 'ano', 'isca', 'iscano'],
+    },
+    'imperfect subjunctive': {
+        are: ['assi', 'asse', 'assimo', 'aste', 'assero'],
+        ere: ['essi', 'esse', 'essimo', 'este', 'essero'],
+        ire: ['issi', 'isse', 'issimo', 'iste', 'issero'],
+    },
+    'imperative': {
+        are: ['a', 'iamo', 'ate'],
+        ere: ['i', 'iamo', 'ete'],
+        ire: ['i', 'iamo', 'ite', 'isci'],
+    },
+    'gerund': {
+        are: ['ando'],
+        ere: ['endo'],
+        ire: ['endo'],
+    },
+    'past participle': {
+        are: ['ato'],
+        ere: ['uto'],
+        ire: ['ito'],
+    },
+};
+
+/**
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function futureForms(stem) {
+    return ['ò', 'ai', 'à', 'emo', 'ete', 'anno'].map((ending) => stem + ending);
+}
+
+/**
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function conditionalForms(stem) {
+    return ['ei', 'esti', 'ebbe', 'emmo', 'este', 'ebbero'].map((ending) => stem + ending);
+}
+
+/** @type {IrregularVerb[]} */
+const irregularVerbs = [
+    {
+        infinitive: 'essere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['sono', 'sei', 'è', 'siamo', 'siete'],
+            'imperfect': ['ero', 'eri', 'era', 'eravamo', 'eravate', 'erano'],
+            'preterite': ['fui', 'fosti', 'fu', 'fummo', 'foste', 'furono'],
+            'future': futureForms('sar'),
+            'conditional': conditionalForms('sar'),
+            'present subjunctive': ['sia', 'siamo', 'siate', 'siano'],
+            'imperfect subjunctive': ['fossi', 'fosse', 'fossimo', 'foste', 'fossero'],
+            'imperative': ['sii', 'siate'],
+            'past participle': ['stato'],
+        },
+    },
+    {
+        infinitive: 'avere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['ho', 'hai', 'ha', 'abbiamo', 'hanno'],
+            'preterite': ['ebbi', 'ebbe', 'ebbero'],
+            'future': futureForms('avr'),
+            'conditional': conditionalForms('avr'),
+            'present subjunctive': ['abbia', 'abbiamo', 'abbiate', 'abbiano'],
+            'imperative': ['abbi', 'abbiate'],
+        },
+    },
+    {
+        infinitive: 'andare',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['vado', 'vai', 'va', 'vanno'],
+            'future': futureForms('andr'),
+            'conditional': conditionalForms('andr'),
+            'present subjunctive': ['vada', 'vadano'],
+            'imperative': ['va\'', 'va', 'vai'],
+        },
+    },
+    {
+        infinitive: 'fare',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['faccio', 'fai', 'fa', 'facciamo', 'fate', 'fanno'],
+            'imperfect': ['facevo', 'facevi', 'faceva', 'facevamo', 'facevate', 'facevano'],
+            'preterite': ['feci', 'facesti', 'fece', 'facemmo', 'faceste', 'fecero'],
+            'future': futureForms('far'),
+            'conditional': conditionalForms('far'),
+            'present subjunctive': ['faccia', 'facciamo', 'facciate', 'facciano'],
+            'imperfect subjunctive': ['facessi', 'facesse', 'facessimo', 'faceste', 'facessero'],
+            'imperative': ['fa\'', 'fa', 'fai', 'fate'],
+            'gerund': ['facendo'],
+            'past participle': ['fatto'],
+        },
+    },
+    {
+        infinitive: 'dare',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['do', 'dai', 'dà', 'diamo', 'date', 'danno'],
+            'preterite': ['diedi', 'detti', 'desti', 'diede', 'dette', 'demmo', 'deste', 'diedero', 'dettero'],
+            'future': futureForms('dar'),
+            'conditional': conditionalForms('dar'),
+            'present subjunctive': ['dia', 'diamo', 'diate', 'diano'],
+            'imperfect subjunctive': ['dessi', 'desse', 'dessimo', 'deste', 'dessero'],
+            'imperative': ['da\'', 'da', 'dai', 'date'],
+        },
+    },
+    {
+        infinitive: 'stare',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['sto', 'stai', 'sta', 'stiamo', 'state', 'stanno'],
+            'preterite': ['stetti', 'stesti', 'stette', 'stemmo', 'steste', 'stettero'],
+            'future': futureForms('star'),
+            'conditional': conditionalForms('star'),
+            'present subjunctive': ['stia', 'stiamo', 'stiate', 'stiano'],
+            'imperfect subjunctive': ['stessi', 'stesse', 'stessimo', 'steste', 'stessero'],
+            'imperative': ['sta\'', 'sta', 'stai', 'state'],
+        },
+    },
+    {
+        infinitive: 'dire',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['dico', 'dici', 'dice', 'diciamo', 'dite', 'dicono'],
+            'imperfect': ['dicevo', 'dicevi', 'diceva', 'dicevamo', 'dicevate', 'dicevano'],
+            'preterite': ['dissi', 'dicesti', 'disse', 'dicemmo', 'diceste', 'dissero'],
+            'present subjunctive': ['dica', 'diciamo', 'diciate', 'dicano'],
+            'imperfect subjunctive': ['dicessi', 'dicesse', 'dicessimo', 'diceste', 'dicessero'],
+            'imperative': ['di\'', 'di', 'dite'],
+            'gerund': ['dicendo'],
+            'past participle': ['detto'],
+        },
+    },
+    {
+        infinitive: 'venire',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['vengo', 'vieni', 'viene', 'vengono'],
+            'preterite': ['venni', 'venne', 'vennero'],
+            'future': futureForms('verr'),
+            'conditional': conditionalForms('verr'),
+            'present subjunctive': ['venga', 'vengano'],
+            'imperative': ['vieni'],
+            'past participle': ['venuto'],
+        },
+    },
+    {
+        infinitive: 'tenere',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['tengo', 'tieni', 'tiene', 'tengono'],
+            'preterite': ['tenni', 'tenne', 'tennero'],
+            'future': futureForms('terr'),
+            'conditional': conditionalForms('terr'),
+            'present subjunctive': ['tenga', 'tengano'],
+            'imperative': ['tieni'],
+        },
+    },
+    {
+        infinitive: 'volere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['voglio', 'vuoi', 'vuole', 'vogliamo', 'vogliono'],
+            'preterite': ['volli', 'volle', 'vollero'],
+            'future': futureForms('vorr'),
+            'conditional': conditionalForms('vorr'),
+            'present subjunctive': ['voglia', 'vogliamo', 'vogliate', 'vogliano'],
+        },
+    },
+    {
+        infinitive: 'potere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['posso', 'puoi', 'può', 'possiamo', 'possono'],
+            'future': futureForms('potr'),
+            'conditional': conditionalForms('potr'),
+            'present subjunctive': ['possa', 'possiamo', 'possiate', 'possano'],
+        },
+    },
+    {
+        infinitive: 'dovere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['devo', 'debbo', 'devi', 'deve', 'dobbiamo', 'devono', 'debbono'],
+            'future': futureForms('dovr'),
+            'conditional': conditionalForms('dovr'),
+            'present subjunctive': ['debba', 'dobbiamo', 'dobbiate', 'debbano'],
+        },
+    },
+    {
+        infinitive: 'sapere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['so', 'sai', 'sa', 'sappiamo', 'sanno'],
+            'preterite': ['seppi', 'seppe', 'seppero'],
+            'future': futureForms('sapr'),
+            'conditional': conditionalForms('sapr'),
+            'present subjunctive': ['sappia', 'sappiamo', 'sappiate', 'sappiano'],
+            'imperative': ['sappi', 'sappiate'],
+        },
+    },
+    {
+        infinitive: 'uscire',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['esco', 'esci', 'esce', 'escono'],
+            'present subjunctive': ['esca', 'escano'],
+            'imperative': ['esci'],
+        },
+    },
+    {
+        infinitive: 'bere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['bevo', 'bevi', 'beve', 'beviamo', 'bevete', 'bevono'],
+            'imperfect': ['bevevo', 'bevevi', 'beveva', 'bevevamo', 'bevevate', 'bevevano'],
+            'preterite': ['bevvi', 'bevesti', 'bevve', 'bevemmo', 'beveste', 'bevvero'],
+            'future': futureForms('berr'),
+            'conditional': conditionalForms('berr'),
+            'present subjunctive': ['beva', 'beviamo', 'beviate', 'bevano'],
+            'imperfect subjunctive': ['bevessi', 'bevesse', 'bevessimo', 'beveste', 'bevessero'],
+            'imperative': ['bevi', 'bevete'],
+            'gerund': ['bevendo'],
+            'past participle': ['bevuto'],
+        },
+    },
+    {
+        infinitive: 'porre',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['pongo', 'poni', 'pone', 'poniamo', 'ponete', 'pongono'],
+            'imperfect': ['ponevo', 'ponevi', 'poneva', 'ponevamo', 'ponevate', 'ponevano'],
+            'preterite': ['posi', 'ponesti', 'pose', 'ponemmo', 'poneste', 'posero'],
+            'future': futureForms('porr'),
+            'conditional': conditionalForms('porr'),
+            'present subjunctive': ['ponga', 'poniamo', 'poniate', 'pongano'],
+            'imperfect subjunctive': ['ponessi', 'ponesse', 'ponessimo', 'poneste', 'ponessero'],
+            'imperative': ['poni', 'ponete'],
+            'gerund': ['ponendo'],
+            'past participle': ['posto'],
+        },
+    },
+    {
+        infinitive: 'durre',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['duco', 'duci', 'duce', 'duciamo', 'ducete', 'ducono'],
+            'imperfect': ['ducevo', 'ducevi', 'duceva', 'ducevamo', 'ducevate', 'ducevano'],
+            'preterite': ['dussi', 'ducesti', 'dusse', 'ducemmo', 'duceste', 'dussero'],
+            'future': futureForms('durr'),
+            'conditional': conditionalForms('durr'),
+            'present subjunctive': ['duca', 'duciamo', 'duciate', 'ducano'],
+            'imperfect subjunctive': ['ducessi', 'ducesse', 'ducessimo', 'duceste', 'ducessero'],
+            'imperative': ['duci', 'ducete'],
+            'gerund': ['ducendo'],
+            'past participle': ['dotto'],
+        },
+    },
+    {
+        infinitive: 'rimanere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['rimango', 'rimangono'],
+            'preterite': ['rimasi', 'rimase', 'rimasero'],
+            'future': futureForms('rimarr'),
+            'conditional': conditionalForms('rimarr'),
+            'present subjunctive': ['rimanga', 'rimangano'],
+            'past participle': ['rimasto'],
+        },
+    },
+    {
+        infinitive: 'scegliere',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['scelgo', 'scelgono'],
+            'preterite': ['scelsi', 'scelse', 'scelsero'],
+            'present subjunctive': ['scelga', 'scelgano'],
+            'past participle': ['scelto'],
+        },
+    },
+    {
+        infinitive: 'piacere',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['piaccio', 'piacciamo', 'piacciono'],
+            'preterite': ['piacqui', 'piacque', 'piacquero'],
+            'present subjunctive': ['piaccia', 'piacciamo', 'piacciate', 'piacciano'],
+        },
+    },
+    {
+        infinitive: 'morire',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['muoio', 'muori', 'muore', 'muoiono'],
+            'present subjunctive': ['muoia', 'muoiano'],
+            'imperative': ['muori'],
+            'past participle': ['morto'],
+        },
+    },
+    {
+        infinitive: 'vedere',
+        type: 'suffix',
+        forms: {
+            'preterite': ['vidi', 'vide', 'videro'],
+            'future': futureForms('vedr'),
+            'conditional': conditionalForms('vedr'),
+            'past participle': ['visto'],
+        },
+    },
+    {
+        infinitive: 'vivere',
+        type: 'suffix',
+        forms: {
+            'preterite': ['vissi', 'visse', 'vissero'],
+            'future': futureForms('vivr'),
+            'conditional': conditionalForms('vivr'),
+            'past participle': ['vissuto'],
+        },
+    },
+    // Second conjugation verbs with irregular preterites and past participles
+    ...[
+        ['prendere', 'pres', 'preso'],
+        ['mettere', 'mis', 'messo'],
+        ['scrivere', 'scriss', 'scritto'],
+        ['leggere', 'less', 'letto'],
+        ['chiedere', 'chies', 'chiesto'],
+        ['rispondere', 'rispos', 'risposto'],
+        ['chiudere', 'chius', 'chiuso'],
+        ['decidere', 'decis', 'deciso'],
+        ['perdere', 'pers', 'perso'],
+        ['correre', 'cors', 'corso'],
+        ['rompere', 'rupp', 'rotto'],
+        ['conoscere', 'conobb', 'conosciuto'],
+        ['nascere', 'nacqu', 'nato'],
+    ].map(([infinitive, preteriteStem, pastParticiple]) => /** @type {IrregularVerb} */ ({
+        infinitive,
+        type: 'suffix',
+        forms: {
+            'preterite': ['i', 'e', 'ero'].map((ending) => preteriteStem + ending),
+            'past participle': [pastParticiple],
+        },
+    })),
+    {
+        infinitive: 'aprire',
+        type: 'suffix',
+        forms: {
+            'past participle': ['aperto'],
+        },
+    },
+    {
+        infinitive: 'offrire',
+        type: 'suffix',
+        forms: {
+            'past participle': ['offerto'],
+        },
+    },
+];
+
+/**
+ * Creates the rules for the spelling changes of first conjugation verbs before endings which start with "e" or "i".
+ * @param {string[]} endings
+ * @param {Condition[]} conditionsIn
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function spellingChangeInflections(endings, conditionsIn) {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [];
+    for (const ending of endings) {
+        if (!/^[eèéi]/.test(ending)) { continue; }
+        rules.push(
+            suffixInflection(`ch${ending}`, 'care', conditionsIn, ['v_are']), // 'cerchi' -> cercare
+            suffixInflection(`gh${ending}`, 'gare', conditionsIn, ['v_are']), // 'paghi' -> pagare
+            suffixInflection(`c${ending}`, 'ciare', conditionsIn, ['v_are']), // 'comincerò' -> cominciare
+            suffixInflection(`g${ending}`, 'giare', conditionsIn, ['v_are']), // 'mangerò' -> mangiare
+        );
+        if (ending.startsWith('i')) {
+            rules.push(suffixInflection(ending, 'iare', conditionsIn, ['v_are'])); // 'studiamo' -> studiare
+        }
+    }
+    return rules;
+}
+
+/**
+ * @param {string} transform
+ * @param {Condition[]} conditionsIn
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function verbInflections(transform, conditionsIn) {
+    const {are, ere, ire} = regularEndings[transform];
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        ...are.map((ending) => suffixInflection(ending, 'are', conditionsIn, ['v_are'])),
+        ...spellingChangeInflections(are, conditionsIn),
+        ...ere.map((ending) => suffixInflection(ending, 'ere', conditionsIn, ['v_ere'])),
+        ...ire.map((ending) => suffixInflection(ending, 'ire', conditionsIn, ['v_ire'])),
+    ];
+    for (const {infinitive, type, forms} of irregularVerbs) {
+        const verbForms = forms[transform];
+        if (typeof verbForms === 'undefined') { continue; }
+        for (const form of new Set(verbForms)) {
+            rules.push(
+                type === 'suffix' ?
+                suffixInflection(form, infinitive, conditionsIn, ['v']) :
+                wholeWordInflection(form, infinitive, conditionsIn, ['v']),
+            );
+        }
+    }
+    return rules;
+}
+
+/** Object pronouns which can be attached to the end of an infinitive, gerund or imperative. */
+const simpleEncliticPronouns = ['mi', 'ti', 'si', 'ci', 'vi', 'lo', 'la', 'li', 'le', 'gli', 'ne'];
+
+/** Simple pronouns together with the combined indirect and direct object forms, such as "glielo". */
+const encliticPronouns = [
+    ...simpleEncliticPronouns,
+    ...['me', 'te', 'se', 'ce', 've', 'glie'].flatMap((indirect) => ['lo', 'la', 'li', 'le', 'ne'].map((direct) => indirect + direct)),
+];
+
+/** Imperatives of one syllable, which double the first consonant of an enclitic pronoun other than "gli", such as "dimmi". */
+const monosyllabicImperatives = ['di', 'da', 'fa', 'sta', 'va'];
+
+const conditions = {
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v_are', 'v_ere', 'v_ire'],
+    },
+    v_are: {
+        name: '-are verb',
+        isDictionaryForm: false,
+    },
+    v_ere: {
+        name: '-ere verb',
+        isDictionaryForm: false,
+    },
+    v_ire: {
+        name: '-ire verb',
+        isDictionaryForm: false,
+    },
+    v_form: {
+        name: 'Gerund or imperative',
+        isDictionaryForm: false,
+    },
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const italianTransforms = {
+    language: 'it',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Plural form of a noun or adjective',
+            rules: [
+                suffixInflection('i', 'o', ['np', 'adj'], ['ns', 'adj']), // 'libri' -> libro
+                suffixInflection('i', 'e', ['np', 'adj'], ['ns', 'adj']), // 'fiori' -> fiore
+                suffixInflection('e', 'a', ['np', 'adj'], ['ns', 'adj']), // 'case' -> casa
+                suffixInflection('i', 'io', ['np', 'adj'], ['ns', 'adj']), // 'negozi' -> negozio
+                suffixInflection('chi', 'co', ['np', 'adj'], ['ns', 'adj']), // 'buchi' -> buco
+                suffixInflection('ghi', 'go', ['np', 'adj'], ['ns', 'adj']), // 'laghi' -> lago
+                suffixInflection('che', 'ca', ['np', 'adj'], ['ns', 'adj']), // 'banche' -> banca
+                suffixInflection('ghe', 'ga', ['np', 'adj'], ['ns', 'adj']), // 'righe' -> riga
+                suffixInflection('ce', 'cia', ['np', 'adj'], ['ns', 'adj']), // 'arance' -> arancia
+                suffixInflection('ge', 'gia', ['np', 'adj'], ['ns', 'adj']), // 'spiagge' -> spiaggia
+                suffixInflection('i', 'a', ['np'], ['ns']), // 'problemi' -> problema
+                suffixInflection('a', 'o', ['np'], ['ns']), // 'uova' -> uovo
+                wholeWordInflection('uomini', 'uomo', ['np'], ['ns']),
+                wholeWordInflection('dei', 'dio', ['np'], ['ns']),
+                wholeWordInflection('mogli', 'moglie', ['np'], ['ns']),
+                wholeWordInflection('buoi', 'bue', ['np'], ['ns']),
+            ],
+        },
+        'feminine': {
+            name: 'feminine',
+            description: 'Feminine form of a noun or adjective',
+            rules: [
+                suffixInflection('a', 'o', ['ns', 'adj'], ['ns', 'adj']), // 'rossa' -> rosso
+                suffixInflection('essa', 'e', ['ns'], ['ns']), // 'studentessa' -> studente
+                suffixInflection('trice', 'tore', ['ns', 'adj'], ['ns', 'adj']), // 'attrice' -> attore
+            ],
+        },
+        'present indicative': {
+            name: 'present indicative',
+            description: 'Present indicative form of a verb',
+            rules: verbInflections('present indicative', []),
+        },
+        'imperfect': {
+            name: 'imperfect',
+            description: 'Imperfect form of a verb',
+            rules: verbInflections('imperfect', []),
+        },
+        'preterite': {
+            name: 'preterite',
+            description: 'Preterite (passato remoto) form of a verb',
+            rules: verbInflections('preterite', []),
+        },
+        'future': {
+            name: 'future',
+            description: 'Future form of a verb',
+            rules: verbInflections('future', []),
+        },
+        'conditional': {
+            name: 'conditional',
+            description: 'Conditional form of a verb',
+            rules: verbInflections('conditional', []),
+        },
+        'present subjunctive': {
+            name: 'present subjunctive',
+            description: 'Present subjunctive form of a verb',
+            rules: verbInflections('present subjunctive', []),
+        },
+        'imperfect subjunctive': {
+            name: 'imperfect subjunctive',
+            description: 'Imperfect subjunctive form of a verb',
+            rules: verbInflections('imperfect subjunctive', []),
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative form of a verb',
+            rules: verbInflections('imperative', ['v_form']),
+        },
+        'gerund': {
+            name: 'gerund',
+            description: 'Gerund form of a verb',
+            rules: verbInflections('gerund', ['v_form']),
+        },
+        'past participle': {
+            name: 'past participle',
+            description: 'Past participle form of a verb, which agrees like an adjective',
+            rules: verbInflections('past participle', ['adj']),
+        },
+        'enclitic pronoun': {
+            name: 'enclitic pronoun',
+            description: 'Object pronouns attached to the end of an infinitive, gerund or imperative, such as "dirmelo" and "dimmelo"',
+            rules: encliticPronouns.flatMap((pronoun) => [
+                suffixInflection(`ar${pronoun}`, 'are', [], ['v_are']), // 'parlarti' -> parlare
+                suffixInflection(`er${pronoun}`, 'ere', [], ['v_ere']), // 'vederlo' -> vedere
+                suffixInflection(`ir${pronoun}`, 'ire', [], ['v_ire']), // 'dirmelo' -> dire
+                suffixInflection(`or${pronoun}`, 'orre', [], ['v']), // 'porlo' -> porre
+                suffixInflection(`ur${pronoun}`, 'urre', [], ['v']), // 'tradurlo' -> tradurre
+                suffixInflection(pronoun, '', [], ['v_form']), // 'dicendolo' -> dicendo, 'parlami' -> parla
+                ...monosyllabicImperatives.map((imperative) => wholeWordInflection(
+                    imperative + (pronoun.startsWith('gli') ? '' : pronoun[0]) + pronoun,
+                    imperative,
+                    [],
+                    ['v_form'],
+                )), // 'dimmelo' -> di
+            ]),
+        },
+    },
+};
@@ -0,0 +1,151 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {Hangul} from '../../../lib/hangul-js.js';
+
+/**
+ * Revised Romanization of each vowel.
+ * @type {Map<string, string>}
+ */
+const ROMANIZATION_VOWELS = new Map([
+    ['a', 'ㅏ'],
+    ['ae', 'ㅐ'],
+    ['ya', 'ㅑ'],
+    ['yae', 'ㅒ'],
+    ['eo', 'ㅓ'],
+    ['e', 'ㅔ'],
+    ['yeo', 'ㅕ'],
+    ['ye', 'ㅖ'],
+    ['o', 'ㅗ'],
+    ['wa', 'ㅘ'],
+    ['wae', 'ㅙ'],
+    ['oe', 'ㅚ'],
+    ['yo', 'ㅛ'],
+    ['u', 'ㅜ'],
+    ['wo', 'ㅝ'],
+    ['we', 'ㅞ'],
+    ['wi', 'ㅟ'],
+    ['yu', 'ㅠ'],
+    ['eu', 'ㅡ'],
+    ['ui', 'ㅢ'],
+    ['i', 'ㅣ'],
+]);
+
+/**
+ * Revised Romanization of each consonant when it begins a syllable.
+ * @type {Map<string, string>}
+ */
+const ROMANIZATION_INITIALS = new Map([
+    ['g', 'ㄱ'],
+    ['kk', 'ㄲ'],
+    ['n', 'ㄴ'],
+    ['d', 'ㄷ'],
+    ['tt', 'ㄸ'],
+    ['r', 'ㄹ'],
+    ['l', 'ㄹ'],
+    ['m', 'ㅁ'],
+    ['b', 'ㅂ'],
+    ['pp', 'ㅃ'],
+    ['s', 'ㅅ'],
+    ['ss', 'ㅆ'],
+    ['j', 'ㅈ'],
+    ['jj', 'ㅉ'],
+    ['ch', 'ㅊ'],
+    ['k', 'ㅋ'],
+    ['t', 'ㅌ'],
+    ['p', 'ㅍ'],
+    ['h', 'ㅎ'],
+]);
+
+/**
+ * Revised Romanization of consonants which are written differently when they end a syllable.
+ * @type {Map<string, string>}
+ */
+const ROMANIZATION_FINALS = new Map([
+    ['k', 'ㄱ'],
+    ['t', 'ㄷ'],
+    ['p', 'ㅂ'],
+    ['ng', 'ㅇ'],
+]);
+
+/** @type {RegExp} */
+const ROMANIZATION_SEPARATOR_PATTERN = /^[-']$/;
+
+/**
+ * Splits romanized text into vowels, consonants, syllable separators and other characters, using the longest match at each position.
+ * @param {string} text
+ * @returns {{text: string, vowel: ?string, consonant: boolean}[]}
+ */
+function getRomanizationTokens(text) {
+    /** @type {{text: string, vowel: ?string, consonant: boolean}[]} */
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        let token = {text: text[i], vowel: /** @type {?string} */ (null), consonant: false};
+        for (let length = Math.min(3, text.length - i); length > 0; --length) {
+            const part = text.substring(i, i + length);
+            const vowel = ROMANIZATION_VOWELS.get(part);
+            if (typeof vowel !== 'undefined') {
+                token = {text: part, vowel, consonant: false};
+                break;
+            }
+            if (ROMANIZATION_INITIALS.has(part) || ROMANIZATION_FINALS.has(part)) {
+                token = {text: part, vowel: null, consonant: true};
+                break;
+            }
+        }
+        tokens.push(token);
+        i += token.text.length;
+    }
+    return tokens;
+}
+
+/**
+ * Converts Revised Romanization of Korean to Hangul.
+ * A consonant followed by a vowel begins a syllable, and any other consonant ends one.
+ * `ng` followed by a vowel is read as `n` followed by `g`, and `-` or `'` can be used to separate syllables, e.g. `yeong-eo` → 영어.
+ * @param {string} text
+ * @returns {string}
+ */
+export function convertRomanizationToHangul(text) {
+    const tokens = getRomanizationTokens(text.toLowerCase());
+    let jamo = '';
+    let previousIsConsonant = false;
+    for (let i = 0, ii = tokens.length; i < ii; ++i) {
+        const {text: part, vowel, consonant} = tokens[i];
+        if (vowel !== null) {
+            if (!previousIsConsonant) { jamo += 'ㅇ'; }
+            jamo += vowel;
+            previousIsConsonant = false;
+            continue;
+        }
+        previousIsConsonant = consonant;
+        if (!consonant) {
+            if (!ROMANIZATION_SEPARATOR_PATTERN.test(part)) { jamo += part; }
+            continue;
+        }
+        const nextIsVowel = (i + 1 < ii && tokens[i + 1].vowel !== null);
+        if (part === 'ng' && nextIsVowel) {
+            jamo += 'ㄴㄱ';
+        } else if (nextIsVowel) {
+            jamo += /** @type {string} */ (ROMANIZATION_INITIALS.get(part));
+        } else {
+            jamo += /** @type {string} */ (ROMANIZATION_FINALS.get(part) ?? ROMANIZATION_INITIALS.get(part));
+        }
+    }
+    return Hangul.assemble(jamo);
+}
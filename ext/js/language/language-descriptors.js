@@ -15,11 +15,18 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import {removeArabicScriptDiacritics} from './ar/arabic-text-preprocessors.js';
+import {removeArabicScriptDiacritics, removeTatweel} from './ar/arabic-text-preprocessors.js';
+import {arabicTransforms} from './ar/arabic-transforms.js';
 import {eszettPreprocessor} from './de/german-text-preprocessors.js';
 import {germanTransforms} from './de/german-transforms.js';
+import {convertLatinToGreek} from './el/greek-romanization.js';
 import {englishTransforms} from './en/english-transforms.js';
 import {spanishTransforms} from './es/spanish-transforms.js';
+import {finnishTransforms} from './fi/finnish-transforms.js';
+import {normalizeApostrophes, removeElision} from './fr/french-text-preprocessors.js';
+import {frenchTransforms} from './fr/french-transforms.js';
+import {hungarianTransforms} from './hu/hungarian-transforms.js';
+import {italianTransforms} from './it/italian-transforms.js';
 import {
     alphabeticToHiragana,
     alphanumericWidthVariants,
@@ -31,15 +38,21 @@ import {
 import {japaneseTransforms} from './ja/japanese-transforms.js';
 import {isStringPartiallyJapanese} from './ja/japanese.js';
 import {disassembleHangul, reassembleHangul} from './ko/korean-text-processors.js';
+import {convertRomanizationToHangul} from './ko/korean-romanization.js';
 import {koreanTransforms} from './ko/korean-transforms.js';
 import {latinTransforms} from './la/latin-transforms.js';
+import {convertLatinToCyrillic} from './ru/russian-romanization.js';
 import {removeRussianDiacritics, yoToE} from './ru/russian-text-preprocessors.js';
+import {portugueseTransforms} from './pt/portuguese-transforms.js';
 import {oldIrishTransforms} from './sga/old-irish-transforms.js';
 import {removeSerboCroatianAccentMarks} from './sh/serbo-croatian-text-preprocessors.js';
 import {albanianTransforms} from './sq/albanian-transforms.js';
 import {capitalizeFirstLetter, decapitalize, removeAlphabeticDiacritics} from './text-processors.js';
 import {tagalogTransforms} from './tl/tagalog-transforms.js';
+import {turkishTransforms} from './tr/turkish-transforms.js';
 import {normalizeDiacritics} from './vi/viet-text-preprocessors.js';
+import {normalizeJyutping} from './yue/cantonese.js';
+import {convertPinyinInput} from './zh/chinese-text-preprocessors.js';
 import {isStringPartiallyChinese, normalizePinyin} from './zh/chinese.js';
 
 const capitalizationPreprocessors = {
@@ -56,7 +69,9 @@ const languageDescriptors = [
         exampleText: 'قَرَأَ',
         textPreprocessors: {
             removeArabicScriptDiacritics,
+            removeTatweel,
         },
+        languageTransforms: arabicTransforms,
     },
     {
         iso: 'cs',
@@ -91,6 +106,7 @@ const languageDescriptors = [
         name: 'Greek',
         exampleText: 'διαβάζω',
         textPreprocessors: capitalizationPreprocessors,
+        romanizationConverter: convertLatinToGreek,
     },
     {
         iso: 'en',
@@ -130,13 +146,19 @@ const languageDescriptors = [
         name: 'Finnish',
         exampleText: 'lukea',
         textPreprocessors: capitalizationPreprocessors,
+        languageTransforms: finnishTransforms,
     },
     {
         iso: 'fr',
         iso639_3: 'fra',
         name: 'French',
         exampleText: 'lire',
-        textPreprocessors: capitalizationPreprocessors,
+        textPreprocessors: {
+            ...capitalizationPreprocessors,
+            normalizeApostrophes,
+            removeElision,
+        },
+        languageTransforms: frenchTransforms,
     },
     {
         iso: 'grc',
@@ -147,6 +169,7 @@ const languageDescriptors = [
             ...capitalizationPreprocessors,
             removeAlphabeticDiacritics,
         },
+        romanizationConverter: convertLatinToGreek,
     },
     {
         iso: 'hi',
@@ -160,6 +183,7 @@ const languageDescriptors = [
         name: 'Hungarian',
         exampleText: 'olvasni',
         textPreprocessors: capitalizationPreprocessors,
+        languageTransforms: hungarianTransforms,
     },
     {
         iso: 'id',
@@ -177,6 +201,7 @@ const languageDescriptors = [
             ...capitalizationPreprocessors,
             removeAlphabeticDiacritics,
         },
+        languageTransforms: italianTransforms,
     },
     {
         iso: 'la',
@@ -242,6 +267,7 @@ const languageDescriptors = [
             reassembleHangul,
         },
         languageTransforms: koreanTransforms,
+        romanizationConverter: convertRomanizationToHangul,
     },
     {
         iso: 'mn',
@@ -270,6 +296,7 @@ const languageDescriptors = [
         name: 'Portuguese',
         exampleText: 'ler',
         textPreprocessors: capitalizationPreprocessors,
+        languageTransforms: portugueseTransforms,
     },
     {
         iso: 'ro',
@@ -291,6 +318,7 @@ const languageDescriptors = [
             yoToE,
             removeRussianDiacritics,
         },
+        romanizationConverter: convertLatinToCyrillic,
     },
     {
         iso: 'sga',
@@ -351,6 +379,7 @@ const languageDescriptors = [
         name: 'Turkish',
         exampleText: 'okuyor',
         textPreprocessors: capitalizationPreprocessors,
+        languageTransforms: turkishTransforms,
     },
     {
         iso: 'uk',
@@ -374,6 +403,7 @@ const languageDescriptors = [
         iso639_3: 'yue',
         name: 'Cantonese',
         exampleText: '讀',
+        readingNormalizer: normalizeJyutping,
     },
     {
         iso: 'zh',
@@ -381,6 +411,9 @@ const languageDescriptors = [
         name: 'Chinese',
         exampleText: '读',
         isTextLookupWorthy: isStringPartiallyChinese,
+        textPreprocessors: {
+            convertPinyinInput,
+        },
         readingNormalizer: normalizePinyin,
     },
 ];
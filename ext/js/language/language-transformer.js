@@ -38,8 +38,9 @@ export class LanguageTransformer {
     }
 
     /**
-     * Note: this function does not currently combine properly with previous descriptors,
-     * they are treated as completely separate collections. This should eventually be changed.
+     * Adds the conditions and transforms of a descriptor.
+     * Conditions which were declared by a previous descriptor keep their flags,
+     * so that the rules of both descriptors match the same parts of speech.
      * @param {import('language-transformer').LanguageTransformDescriptor} descriptor
      * @throws {Error}
      */
@@ -190,9 +191,9 @@ export class LanguageTransformer {
      */
     _getConditionFlagsMap(conditions, nextFlagIndex) {
         /** @type {Map<string, number>} */
-        const conditionFlagsMap = new Map();
+        const conditionFlagsMap = new Map(this._conditionTypeToConditionFlagsMap);
         /** @type {import('language-transformer').ConditionMapEntries} */
-        let targets = conditions;
+        let targets = conditions.filter(([type]) => !conditionFlagsMap.has(type));
         while (targets.length > 0) {
             const nextTargets = [];
             for (const target of targets) {
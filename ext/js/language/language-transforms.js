@@ -15,6 +15,7 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+import {escapeRegExp} from '../core/utilities.js';
 
 /**
  * @template {string} TCondition
@@ -73,3 +74,55 @@ export function wholeWordInflection(inflectedWord, deinflectedWord, conditionsIn
         conditionsOut,
     };
 }
+
+/**
+ * Creates a language transform descriptor from the deinflection rules supplied by a dictionary.
+ * Unlike the rules of the built-in descriptors, the inflected text is matched literally rather than as a regular expression.
+ * @param {import('dictionary-data').Transforms} dictionaryTransforms
+ * @returns {import('language-transformer').LanguageTransformDescriptor}
+ */
+export function createDictionaryTransformDescriptor({language, conditions, transforms}) {
+    /** @type {import('language-transformer').TransformMapObject<string>} */
+    const transforms2 = {};
+    for (const [id, {name, description, rules}] of Object.entries(transforms)) {
+        /** @type {import('language-transformer').Transform<string>} */
+        const transform = {name, rules: rules.map(createDictionaryTransformRule)};
+        if (typeof description === 'string') { transform.description = description; }
+        transforms2[id] = transform;
+    }
+    return {language, conditions, transforms: transforms2};
+}
+
+/**
+ * @param {import('dictionary-data').TransformRule} rule
+ * @returns {import('language-transformer').Rule}
+ */
+function createDictionaryTransformRule({type, inflected, deinflected, conditionsIn, conditionsOut}) {
+    const pattern = escapeRegExp(inflected);
+    switch (type) {
+        case 'suffix':
+            return {
+                type,
+                isInflected: new RegExp(`${pattern}$`),
+                deinflect: (text) => text.substring(0, text.length - inflected.length) + deinflected,
+                conditionsIn,
+                conditionsOut,
+            };
+        case 'prefix':
+            return {
+                type,
+                isInflected: new RegExp(`^${pattern}`),
+                deinflect: (text) => deinflected + text.substring(inflected.length),
+                conditionsIn,
+                conditionsOut,
+            };
+        case 'wholeWord':
+            return {
+                type,
+                isInflected: new RegExp(`^${pattern}$`),
+                deinflect: () => deinflected,
+                conditionsIn,
+                conditionsOut,
+            };
+    }
+}
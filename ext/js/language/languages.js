@@ -79,6 +79,16 @@ export function isTextLookupWorthy(text, language) {
     return typeof descriptor.isTextLookupWorthy === 'undefined' || descriptor.isTextLookupWorthy(text);
 }
 
+/**
+ * @param {string} language
+ * @returns {?import('language').RomanizationConverter}
+ */
+export function getRomanizationConverter(language) {
+    const descriptor = languageDescriptorMap.get(language);
+    if (typeof descriptor === 'undefined') { return null; }
+    return descriptor.romanizationConverter ?? null;
+}
+
 /**
  * @returns {import('language').LanguageAndTransforms[]}
  */
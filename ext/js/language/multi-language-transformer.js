@@ -15,6 +15,7 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+import {log} from '../core/log.js';
 import {LanguageTransformer} from './language-transformer.js';
 import {getAllLanguageTransformDescriptors} from './languages.js';
 
@@ -22,6 +23,10 @@ export class MultiLanguageTransformer {
     constructor() {
         /** @type {Map<string, LanguageTransformer>} */
         this._languageTransformers = new Map();
+        /** @type {Map<string, LanguageTransformer>} */
+        this._builtInLanguageTransformers = new Map();
+        /** @type {Map<string, import('language-transformer').LanguageTransformDescriptor>} */
+        this._builtInDescriptors = new Map();
     }
 
     /** */
@@ -30,8 +35,42 @@ export class MultiLanguageTransformer {
         for (const {languageTransforms: descriptor} of languagesWithTransforms) {
             const languageTransformer = new LanguageTransformer();
             languageTransformer.addDescriptor(descriptor);
-            this._languageTransformers.set(descriptor.language, languageTransformer);
+            this._builtInLanguageTransformers.set(descriptor.language, languageTransformer);
+            this._builtInDescriptors.set(descriptor.language, descriptor);
+        }
+        this._languageTransformers = new Map(this._builtInLanguageTransformers);
+    }
+
+    /**
+     * Sets the deinflection rules supplied by the enabled dictionaries, replacing any which were set previously.
+     * These rules are used in addition to the built-in rules of the same language,
+     * and conditions which they share with the built-in rules match the same parts of speech.
+     * Descriptors which cannot be added, such as those which exceed the maximum number of conditions, are logged and skipped.
+     * @param {import('language-transformer').LanguageTransformDescriptor[]} descriptors
+     */
+    setDictionaryDescriptors(descriptors) {
+        const languageTransformers = new Map(this._builtInLanguageTransformers);
+        /** @type {Set<string>} */
+        const customizedLanguages = new Set();
+        for (const descriptor of descriptors) {
+            const {language} = descriptor;
+            let languageTransformer = languageTransformers.get(language);
+            if (typeof languageTransformer === 'undefined' || !customizedLanguages.has(language)) {
+                languageTransformer = new LanguageTransformer();
+                const builtInDescriptor = this._builtInDescriptors.get(language);
+                if (typeof builtInDescriptor !== 'undefined') {
+                    languageTransformer.addDescriptor(builtInDescriptor);
+                }
+                languageTransformers.set(language, languageTransformer);
+                customizedLanguages.add(language);
+            }
+            try {
+                languageTransformer.addDescriptor(descriptor);
+            } catch (e) {
+                log.error(e);
+            }
         }
+        this._languageTransformers = languageTransformers;
     }
 
     /**
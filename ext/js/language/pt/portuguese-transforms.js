@@ -0,0 +1,622 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {suffixInflection, wholeWordInflection} from '../language-transforms.js';
+
+/** @typedef {keyof typeof conditions} Condition */
+
+/**
+ * @typedef {object} RegularEndings
+ * @property {string[]} ar Endings of first conjugation verbs, such as "falar".
+ * @property {string[]} er Endings of second conjugation verbs, such as "comer".
+ * @property {string[]} ir Endings of third conjugation verbs, such as "partir".
+ */
+
+/**
+ * @typedef {object} IrregularVerb
+ * @property {string} infinitive
+ * @property {'suffix'|'wholeWord'} type Suffix verbs also match their prefixed compounds, such as "desfazer".
+ * @property {{[transform: string]: string[]}} forms
+ */
+
+/** @type {{[transform: string]: RegularEndings}} */
+const regularEndings = {
+    'present indicative': {
+        ar: ['o', 'as', 'a', 'amos', 'ais', 'am'],
+        er: ['o', 'es', 'e', 'emos', 'eis', 'em'],
+        ir: ['o', 'es', 'e', 'imos', 'is', 'em'],
+    },
+    'preterite': {
+        ar: ['ei', 'aste', 'ou', 'amos', 'astes', 'aram'],
+        er: ['i', 'este', 'eu', 'emos', 'estes', 'eram'],
+        ir: ['i', 'iste', 'iu', 'imos', 'istes', 'iram'],
+    },
+    'imperfect': {
+        ar: ['ava', 'avas', 'ávamos', 'áveis', 'avam'],
+        er: ['ia', 'ias', 'íamos', 'íeis', 'iam'],
+        ir: ['ia', 'ias', 'íamos', 'íeis', 'iam'],
+    },
+    'pluperfect': {
+        ar: ['ara', 'aras', 'áramos', 'áreis', 'aram'],
+        er: ['era', 'eras', 'êramos', 'êreis', 'eram'],
+        ir: ['ira', 'iras', 'íramos', 'íreis', 'iram'],
+    },
+    'future': {
+        ar: ['arei', 'arás', 'ará', 'aremos', 'areis', 'arão'],
+        er: ['erei', 'erás', 'erá', 'eremos', 'ereis', 'erão'],
+        ir: ['irei', 'irás', 'irá', 'iremos', 'ireis', 'irão'],
+    },
+    'conditional': {
+        ar: ['aria', 'arias', 'aríamos', 'aríeis', 'ariam'],
+        er: ['eria', 'erias', 'eríamos', 'eríeis', 'eriam'],
+        ir: ['iria', 'irias', 'iríamos', 'iríeis', 'iriam'],
+    },
+    'present subjunctive': {
+        ar: ['e', 'es', 'emos', 'eis', 'em'],
+        er: ['a', 'as', 'amos', 'ais', 'am'],
+        ir: ['a', 'as', 'amos', 'ais', 'am'],
+    },
+    'imperfect subjunctive': {
+        ar: ['asse', 'asses', 'ássemos', 'ásseis', 'assem'],
+        er: ['esse', 'esses', 'êssemos', 'êsseis', 'essem'],
+        ir: ['isse', 'isses', 'íssemos', 'ísseis', 'issem'],
+    },
+    'future subjunctive': {
+        ar: ['ares', 'armos', 'ardes', 'arem'],
+        er: ['eres', 'ermos', 'erdes', 'erem'],
+        ir: ['ires', 'irmos', 'irdes', 'irem'],
+    },
+    'imperative': {
+        ar: ['a', 'ai'],
+        er: ['e', 'ei'],
+        ir: ['e', 'i'],
+    },
+    'gerund': {
+        ar: ['ando'],
+        er: ['endo'],
+        ir: ['indo'],
+    },
+    'past participle': {
+        ar: ['ado'],
+        er: ['ido'],
+        ir: ['ido'],
+    },
+};
+
+/**
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function futureForms(stem) {
+    return ['ei', 'ás', 'á', 'emos', 'eis', 'ão'].map((ending) => stem + ending);
+}
+
+/**
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function conditionalForms(stem) {
+    return ['ia', 'ias', 'íamos', 'íeis', 'iam'].map((ending) => stem + ending);
+}
+
+/**
+ * Creates the forms of the tenses which are built on the stem of the third person plural preterite, such as "fiz-".
+ * @param {string} stem
+ * @param {string} accentedStem The stem with an accented final vowel, used in the first and second person plural, such as "fizé-".
+ * @returns {{[transform: string]: string[]}}
+ */
+function preteriteStemForms(stem, accentedStem) {
+    return {
+        'pluperfect': [`${stem}ra`, `${stem}ras`, `${accentedStem}ramos`, `${accentedStem}reis`, `${stem}ram`],
+        'imperfect subjunctive': [`${stem}sse`, `${stem}sses`, `${accentedStem}ssemos`, `${accentedStem}sseis`, `${stem}ssem`],
+        'future subjunctive': [`${stem}r`, `${stem}res`, `${stem}rmos`, `${stem}rdes`, `${stem}rem`],
+    };
+}
+
+/** @type {IrregularVerb[]} */
+const irregularVerbs = [
+    {
+        infinitive: 'ser',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['sou', 'és', 'é', 'somos', 'sois', 'são'],
+            'imperfect': ['era', 'eras', 'éramos', 'éreis', 'eram'],
+            'preterite': ['fui', 'foste', 'foi', 'fomos', 'fostes', 'foram'],
+            ...preteriteStemForms('fo', 'fô'),
+            'present subjunctive': ['seja', 'sejas', 'sejamos', 'sejais', 'sejam'],
+            'imperative': ['sê', 'sede'],
+        },
+    },
+    {
+        infinitive: 'ir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['vou', 'vais', 'vai', 'vamos', 'ides', 'vão'],
+            'preterite': ['fui', 'foste', 'foi', 'fomos', 'fostes', 'foram'],
+            ...preteriteStemForms('fo', 'fô'),
+            'present subjunctive': ['vá', 'vás', 'vamos', 'vades', 'vão'],
+            'imperative': ['vai', 'ide'],
+        },
+    },
+    {
+        infinitive: 'estar',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['estou', 'estás', 'está', 'estão'],
+            'preterite': ['estive', 'estiveste', 'esteve', 'estivemos', 'estivestes', 'estiveram'],
+            ...preteriteStemForms('estive', 'estivé'),
+            'present subjunctive': ['esteja', 'estejas', 'estejamos', 'estejais', 'estejam'],
+            'imperative': ['está'],
+        },
+    },
+    {
+        infinitive: 'ter',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['tenho', 'tens', 'tem', 'tém', 'temos', 'tendes', 'têm'],
+            'imperfect': ['tinha', 'tinhas', 'tínhamos', 'tínheis', 'tinham'],
+            'preterite': ['tive', 'tiveste', 'teve', 'tivemos', 'tivestes', 'tiveram'],
+            ...preteriteStemForms('tive', 'tivé'),
+            'present subjunctive': ['tenha', 'tenhas', 'tenhamos', 'tenhais', 'tenham'],
+            'imperative': ['tem', 'tém', 'tende'],
+        },
+    },
+    {
+        infinitive: 'fazer',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['faço', 'faz'],
+            'preterite': ['fiz', 'fizeste', 'fez', 'fizemos', 'fizestes', 'fizeram'],
+            ...preteriteStemForms('fize', 'fizé'),
+            'future': futureForms('far'),
+            'conditional': conditionalForms('far'),
+            'present subjunctive': ['faça', 'faças', 'façamos', 'façais', 'façam'],
+            'imperative': ['faz', 'faze'],
+            'past participle': ['feito'],
+        },
+    },
+    {
+        infinitive: 'dizer',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['digo', 'diz'],
+            'preterite': ['disse', 'disseste', 'dissemos', 'dissestes', 'disseram'],
+            ...preteriteStemForms('disse', 'dissé'),
+            'future': futureForms('dir'),
+            'conditional': conditionalForms('dir'),
+            'present subjunctive': ['diga', 'digas', 'digamos', 'digais', 'digam'],
+            'imperative': ['diz', 'dize'],
+            'past participle': ['dito'],
+        },
+    },
+    {
+        infinitive: 'trazer',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['trago', 'traz'],
+            'preterite': ['trouxe', 'trouxeste', 'trouxemos', 'trouxestes', 'trouxeram'],
+            ...preteriteStemForms('trouxe', 'trouxé'),
+            'future': futureForms('trar'),
+            'conditional': conditionalForms('trar'),
+            'present subjunctive': ['traga', 'tragas', 'tragamos', 'tragais', 'tragam'],
+            'imperative': ['traz', 'traze'],
+        },
+    },
+    {
+        infinitive: 'poder',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['posso'],
+            'preterite': ['pude', 'pudeste', 'pôde', 'pudemos', 'pudestes', 'puderam'],
+            ...preteriteStemForms('pude', 'pudé'),
+            'present subjunctive': ['possa', 'possas', 'possamos', 'possais', 'possam'],
+        },
+    },
+    {
+        infinitive: 'querer',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['quer'],
+            'preterite': ['quis', 'quiseste', 'quisemos', 'quisestes', 'quiseram'],
+            ...preteriteStemForms('quise', 'quisé'),
+            'present subjunctive': ['queira', 'queiras', 'queiramos', 'queirais', 'queiram'],
+        },
+    },
+    {
+        infinitive: 'saber',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['sei'],
+            'preterite': ['soube', 'soubeste', 'soubemos', 'soubestes', 'souberam'],
+            ...preteriteStemForms('soube', 'soubé'),
+            'present subjunctive': ['saiba', 'saibas', 'saibamos', 'saibais', 'saibam'],
+        },
+    },
+    {
+        infinitive: 'haver',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['hei', 'hás', 'há', 'hão'],
+            'preterite': ['houve', 'houveste', 'houvemos', 'houvestes', 'houveram'],
+            ...preteriteStemForms('houve', 'houvé'),
+            'present subjunctive': ['haja', 'hajas', 'hajamos', 'hajais', 'hajam'],
+        },
+    },
+    {
+        infinitive: 'vir',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['venho', 'vens', 'vem', 'vimos', 'vindes', 'vêm'],
+            'imperfect': ['vinha', 'vinhas', 'vínhamos', 'vínheis', 'vinham'],
+            'preterite': ['vim', 'vieste', 'veio', 'viemos', 'viestes', 'vieram'],
+            ...preteriteStemForms('vie', 'vié'),
+            'present subjunctive': ['venha', 'venhas', 'venhamos', 'venhais', 'venham'],
+            'imperative': ['vem', 'vinde'],
+            'gerund': ['vindo'],
+            'past participle': ['vindo'],
+        },
+    },
+    {
+        infinitive: 'ver',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['vejo', 'vês', 'vê', 'vedes', 'veem', 'vêem'],
+            'preterite': ['vi', 'viste', 'viu', 'vimos', 'vistes', 'viram'],
+            ...preteriteStemForms('vi', 'ví'),
+            'present subjunctive': ['veja', 'vejas', 'vejamos', 'vejais', 'vejam'],
+            'imperative': ['vê', 'vede'],
+            'past participle': ['visto'],
+        },
+    },
+    {
+        infinitive: 'dar',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['dou', 'dás', 'dá', 'dão'],
+            'preterite': ['dei', 'deste', 'deu', 'demos', 'destes', 'deram'],
+            ...preteriteStemForms('de', 'dé'),
+            'present subjunctive': ['dê', 'dês', 'demos', 'deis', 'deem', 'dêem'],
+            'imperative': ['dá'],
+        },
+    },
+    {
+        infinitive: 'ler',
+        type: 'wholeWord',
+        forms: {
+            'present indicative': ['leio', 'lês', 'lê', 'ledes', 'leem', 'lêem'],
+            'present subjunctive': ['leia', 'leias', 'leiamos', 'leiais', 'leiam'],
+            'imperative': ['lê'],
+        },
+    },
+    ...[['pôr', 'wholeWord'], ['por', 'suffix']].map(([infinitive, type]) => /** @type {IrregularVerb} */ ({
+        infinitive,
+        type: /** @type {'suffix'|'wholeWord'} */ (type),
+        forms: {
+            'present indicative': ['ponho', 'pões', 'põe', 'pomos', 'pondes', 'põem'],
+            'imperfect': ['punha', 'punhas', 'púnhamos', 'púnheis', 'punham'],
+            'preterite': ['pus', 'puseste', 'pôs', 'pusemos', 'pusestes', 'puseram'],
+            ...preteriteStemForms('puse', 'pusé'),
+            'future': futureForms('por'),
+            'conditional': conditionalForms('por'),
+            'present subjunctive': ['ponha', 'ponhas', 'ponhamos', 'ponhais', 'ponham'],
+            'imperative': ['põe', 'ponde'],
+            'gerund': ['pondo'],
+            'past participle': ['posto'],
+        },
+    })),
+    {
+        infinitive: 'air',
+        type: 'suffix',
+        forms: {
+            'present indicative': ['aio', 'ais', 'ai', 'aímos', 'aís', 'aem'],
+            'imperfect': ['aía', 'aías', 'aíamos', 'aíeis', 'aíam'],
+            'preterite': ['aí', 'aíste', 'aiu', 'aímos', 'aístes', 'aíram'],
+            ...preteriteStemForms('aí', 'aí'),
+            'present subjunctive': ['aia', 'aias', 'aiamos', 'aiais', 'aiam'],
+            'imperative': ['ai', 'aí'],
+            'gerund': ['aindo'],
+            'past participle': ['aído'],
+        },
+    },
+    // Verbs with an irregular first person singular present, which is also the stem of the present subjunctive
+    ...[
+        ['ouvir', 'ouç'],
+        ['pedir', 'peç'],
+        ['medir', 'meç'],
+        ['perder', 'perc'],
+        ['dormir', 'durm'],
+        ['valer', 'valh'],
+    ].map(([infinitive, stem]) => /** @type {IrregularVerb} */ ({
+        infinitive,
+        type: 'suffix',
+        forms: {
+            'present indicative': [`${stem}o`],
+            'present subjunctive': ['a', 'as', 'amos', 'ais', 'am'].map((ending) => stem + ending),
+        },
+    })),
+    // Verbs with irregular past participles
+    ...[
+        ['abrir', 'aberto'],
+        ['cobrir', 'coberto'],
+        ['escrever', 'escrito'],
+        ['ganhar', 'ganho'],
+        ['gastar', 'gasto'],
+        ['pagar', 'pago'],
+        ['morrer', 'morto'],
+    ].map(([infinitive, pastParticiple]) => /** @type {IrregularVerb} */ ({
+        infinitive,
+        type: 'suffix',
+        forms: {
+            'past participle': [pastParticiple],
+        },
+    })),
+];
+
+/**
+ * Creates the rules for the spelling changes which keep the sound of the final consonant of a stem, such as "ficar" → "fiquei".
+ * @param {RegularEndings} endings
+ * @param {Condition[]} conditionsIn
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function spellingChangeInflections({ar, er, ir}, conditionsIn) {
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [];
+    for (const ending of ar) {
+        if (!/^[eé]/.test(ending)) { continue; }
+        rules.push(
+            suffixInflection(`qu${ending}`, 'car', conditionsIn, ['v_ar']), // 'fiquei' -> ficar
+            suffixInflection(`gu${ending}`, 'gar', conditionsIn, ['v_ar']), // 'cheguei' -> chegar
+            suffixInflection(`c${ending}`, 'çar', conditionsIn, ['v_ar']), // 'comecei' -> começar
+        );
+    }
+    for (const ending of er) {
+        if (!/^[ao]/.test(ending)) { continue; }
+        rules.push(
+            suffixInflection(`ç${ending}`, 'cer', conditionsIn, ['v_er']), // 'conheço' -> conhecer
+            suffixInflection(`j${ending}`, 'ger', conditionsIn, ['v_er']), // 'protejo' -> proteger
+        );
+    }
+    for (const ending of ir) {
+        if (!/^[ao]/.test(ending)) { continue; }
+        rules.push(
+            suffixInflection(`j${ending}`, 'gir', conditionsIn, ['v_ir']), // 'dirijo' -> dirigir
+            suffixInflection(`g${ending}`, 'guir', conditionsIn, ['v_ir']), // 'distingo' -> distinguir
+        );
+    }
+    return rules;
+}
+
+/**
+ * @param {string} transform
+ * @param {Condition[]} conditionsIn
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function verbInflections(transform, conditionsIn) {
+    const endings = regularEndings[transform];
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [
+        ...endings.ar.map((ending) => suffixInflection(ending, 'ar', conditionsIn, ['v_ar'])),
+        ...endings.er.map((ending) => suffixInflection(ending, 'er', conditionsIn, ['v_er'])),
+        ...endings.ir.map((ending) => suffixInflection(ending, 'ir', conditionsIn, ['v_ir'])),
+        ...spellingChangeInflections(endings, conditionsIn),
+    ];
+    for (const {infinitive, type, forms} of irregularVerbs) {
+        const verbForms = forms[transform];
+        if (typeof verbForms === 'undefined') { continue; }
+        for (const form of new Set(verbForms)) {
+            rules.push(
+                type === 'suffix' ?
+                suffixInflection(form, infinitive, conditionsIn, ['v']) :
+                wholeWordInflection(form, infinitive, conditionsIn, ['v']),
+            );
+        }
+    }
+    return rules;
+}
+
+/** Object pronouns which are attached to a verb with a hyphen without changing it. */
+const encliticPronouns = ['me', 'te', 'se', 'o', 'a', 'os', 'as', 'lhe', 'nos', 'vos', 'lhes', 'no', 'na', 'nas'];
+
+/** Forms of "o", "a", "os" and "as" after a verb ending in "r", "s" or "z", which drops that consonant. */
+const lPronouns = ['lo', 'la', 'los', 'las'];
+
+/**
+ * The endings of the future and conditional, which pronouns are placed before with mesoclisis, such as "dir-lhe-ei".
+ */
+const mesoclisisEndings = ['ei', 'ás', 'á', 'emos', 'eis', 'ão', 'ia', 'ias', 'íamos', 'íeis', 'iam'];
+
+/**
+ * Infinitive endings as they appear before "-lo", "-la", "-los" and "-las", such as "fazê-lo".
+ * @type {[inflected: string, deinflected: string, condition: Condition][]}
+ */
+const lPronounInfinitives = [
+    ['á', 'ar', 'v_ar'],
+    ['ê', 'er', 'v_er'],
+    ['i', 'ir', 'v_ir'],
+    ['ô', 'ôr', 'v'],
+    ['ô', 'or', 'v'],
+];
+
+/**
+ * Endings of conjugated verbs as they appear before "-lo", "-la", "-los" and "-las", such as "fi-lo" from "fiz".
+ * @type {[inflected: string, deinflected: string][]}
+ */
+const lPronounVerbForms = [
+    ['mo', 'mos'],
+    ['e', 'es'],
+    ['i', 'iz'],
+    ['ê', 'ez'],
+    ['á', 'az'],
+    ['ô', 'ôs'],
+];
+
+const conditions = {
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+        subConditions: ['v_ar', 'v_er', 'v_ir'],
+    },
+    v_ar: {
+        name: '-ar verb',
+        isDictionaryForm: false,
+    },
+    v_er: {
+        name: '-er verb',
+        isDictionaryForm: false,
+    },
+    v_ir: {
+        name: '-ir verb',
+        isDictionaryForm: false,
+    },
+    v_form: {
+        name: 'Conjugated verb',
+        isDictionaryForm: false,
+    },
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+        subConditions: ['ns', 'np'],
+    },
+    np: {
+        name: 'Noun plural',
+        isDictionaryForm: false,
+    },
+    ns: {
+        name: 'Noun singular',
+        isDictionaryForm: false,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+};
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const portugueseTransforms = {
+    language: 'pt',
+    conditions,
+    transforms: {
+        'plural': {
+            name: 'plural',
+            description: 'Plural form of a noun or adjective',
+            rules: [
+                suffixInflection('s', '', ['np', 'adj'], ['ns', 'adj']),
+                suffixInflection('es', '', ['np', 'adj'], ['ns', 'adj']), // 'flores' -> flor
+                suffixInflection('ões', 'ão', ['np', 'adj'], ['ns', 'adj']), // 'lições' -> lição
+                suffixInflection('ães', 'ão', ['np', 'adj'], ['ns', 'adj']), // 'pães' -> pão
+                suffixInflection('ais', 'al', ['np', 'adj'], ['ns', 'adj']), // 'animais' -> animal
+                suffixInflection('éis', 'el', ['np', 'adj'], ['ns', 'adj']), // 'papéis' -> papel
+                suffixInflection('eis', 'el', ['np', 'adj'], ['ns', 'adj']), // 'móveis' -> móvel
+                suffixInflection('eis', 'il', ['np', 'adj'], ['ns', 'adj']), // 'fáceis' -> fácil
+                suffixInflection('óis', 'ol', ['np', 'adj'], ['ns', 'adj']), // 'lençóis' -> lençol
+                suffixInflection('uis', 'ul', ['np', 'adj'], ['ns', 'adj']), // 'azuis' -> azul
+                suffixInflection('is', 'il', ['np', 'adj'], ['ns', 'adj']), // 'funis' -> funil
+                suffixInflection('ns', 'm', ['np', 'adj'], ['ns', 'adj']), // 'homens' -> homem
+                suffixInflection('eses', 'ês', ['np', 'adj'], ['ns', 'adj']), // 'ingleses' -> inglês
+            ],
+        },
+        'feminine': {
+            name: 'feminine',
+            description: 'Feminine form of a noun or adjective',
+            rules: [
+                suffixInflection('a', 'o', ['ns', 'adj'], ['ns', 'adj']), // 'bonita' -> bonito
+                suffixInflection('ã', 'ão', ['ns', 'adj'], ['ns', 'adj']), // 'irmã' -> irmão
+                suffixInflection('ona', 'ão', ['ns', 'adj'], ['ns', 'adj']), // 'chorona' -> chorão
+                suffixInflection('esa', 'ês', ['ns', 'adj'], ['ns', 'adj']), // 'portuguesa' -> português
+                suffixInflection('ora', 'or', ['ns', 'adj'], ['ns', 'adj']), // 'trabalhadora' -> trabalhador
+                suffixInflection('eia', 'eu', ['ns', 'adj'], ['ns', 'adj']), // 'europeia' -> europeu
+                suffixInflection('triz', 'tor', ['ns'], ['ns']), // 'atriz' -> ator
+            ],
+        },
+        'present indicative': {
+            name: 'present indicative',
+            description: 'Present indicative form of a verb',
+            rules: verbInflections('present indicative', ['v_form']),
+        },
+        'preterite': {
+            name: 'preterite',
+            description: 'Preterite (past) form of a verb',
+            rules: verbInflections('preterite', ['v_form']),
+        },
+        'imperfect': {
+            name: 'imperfect',
+            description: 'Imperfect form of a verb',
+            rules: verbInflections('imperfect', ['v_form']),
+        },
+        'pluperfect': {
+            name: 'pluperfect',
+            description: 'Simple pluperfect form of a verb',
+            rules: verbInflections('pluperfect', ['v_form']),
+        },
+        'future': {
+            name: 'future',
+            description: 'Future form of a verb',
+            rules: verbInflections('future', ['v_form']),
+        },
+        'conditional': {
+            name: 'conditional',
+            description: 'Conditional form of a verb',
+            rules: verbInflections('conditional', ['v_form']),
+        },
+        'present subjunctive': {
+            name: 'present subjunctive',
+            description: 'Present subjunctive form of a verb',
+            rules: verbInflections('present subjunctive', ['v_form']),
+        },
+        'imperfect subjunctive': {
+            name: 'imperfect subjunctive',
+            description: 'Imperfect subjunctive form of a verb',
+            rules: verbInflections('imperfect subjunctive', ['v_form']),
+        },
+        'future subjunctive': {
+            name: 'future subjunctive',
+            description: 'Future subjunctive form of a verb, which is also the personal infinitive of regular verbs',
+            rules: verbInflections('future subjunctive', ['v_form']),
+        },
+        'imperative': {
+            name: 'imperative',
+            description: 'Imperative form of a verb',
+            rules: verbInflections('imperative', ['v_form']),
+        },
+        'gerund': {
+            name: 'gerund',
+            description: 'Gerund form of a verb',
+            rules: verbInflections('gerund', ['v_form']),
+        },
+        'past participle': {
+            name: 'past participle',
+            description: 'Past participle form of a verb, which agrees like an adjective',
+            rules: verbInflections('past participle', ['adj']),
+        },
+        'enclitic pronoun': {
+            name: 'enclitic pronoun',
+            description: 'Object pronouns attached to a verb with a hyphen, such as "fazê-lo", or placed before the ending of the future or conditional, such as "dir-lhe-ei"',
+            rules: [
+                ...encliticPronouns.map((pronoun) => suffixInflection(`-${pronoun}`, '', [], ['v', 'v_form'])), // 'dar-me' -> dar, 'disse-me' -> disse
+                suffixInflection('mo-nos', 'mos', [], ['v_form']), // 'sentamo-nos' -> sentamos
+                ...lPronouns.flatMap((pronoun) => [
+                    ...lPronounInfinitives.map(([inflected, deinflected, condition]) => suffixInflection(`${inflected}-${pronoun}`, deinflected, [], [condition])), // 'fazê-lo' -> fazer
+                    ...lPronounVerbForms.map(([inflected, deinflected]) => suffixInflection(`${inflected}-${pronoun}`, deinflected, [], ['v_form'])), // 'fi-lo' -> fiz
+                ]),
+                ...mesoclisisEndings.flatMap((ending) => [
+                    ...encliticPronouns.map((pronoun) => suffixInflection(`r-${pronoun}-${ending}`, `r${ending}`, [], ['v_form'])), // 'dir-lhe-ei' -> direi
+                    ...lPronouns.flatMap((pronoun) => lPronounInfinitives.map(([inflected, deinflected]) => suffixInflection(`${inflected}-${pronoun}-${ending}`, deinflected + ending, [], ['v_form']))), // 'fá-lo-ei' -> farei
+                ]),
+            ],
+        },
+    },
+};
@@ -0,0 +1,50 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Converts romanized text to another script by replacing the longest matching sequence of Latin characters at each position.
+ * Characters which do not begin any sequence in the table are left unchanged.
+ * If the first character of a matched sequence is upper case, the replacement is converted to upper case.
+ * @param {string} text The romanized text.
+ * @param {Map<string, string>} table A map of lower case romanized sequences to their replacements.
+ * @returns {string}
+ */
+export function convertRomanizedText(text, table) {
+    let maxLength = 0;
+    for (const key of table.keys()) {
+        maxLength = Math.max(maxLength, key.length);
+    }
+
+    let result = '';
+    let i = 0;
+    while (i < text.length) {
+        let length = Math.min(maxLength, text.length - i);
+        for (; length > 0; --length) {
+            const replacement = table.get(text.substring(i, i + length).toLowerCase());
+            if (typeof replacement === 'undefined') { continue; }
+            const char = text[i];
+            result += (char !== char.toLowerCase() ? replacement.toUpperCase() : replacement);
+            break;
+        }
+        if (length === 0) {
+            result += text[i];
+            length = 1;
+        }
+        i += length;
+    }
+    return result;
+}
@@ -0,0 +1,75 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {convertRomanizedText} from '../romanization.js';
+
+/**
+ * Latin sequences which are typed for each Cyrillic letter.
+ * ъ and ь are typed as `#` and `'`, and э is typed as `e'`.
+ * @type {Map<string, string>}
+ */
+const CYRILLIC_ROMANIZATION = new Map([
+    ['a', 'а'],
+    ['b', 'б'],
+    ['v', 'в'],
+    ['w', 'в'],
+    ['g', 'г'],
+    ['d', 'д'],
+    ['e', 'е'],
+    ['yo', 'ё'],
+    ['jo', 'ё'],
+    ['zh', 'ж'],
+    ['z', 'з'],
+    ['i', 'и'],
+    ['j', 'й'],
+    ['k', 'к'],
+    ['l', 'л'],
+    ['m', 'м'],
+    ['n', 'н'],
+    ['o', 'о'],
+    ['p', 'п'],
+    ['r', 'р'],
+    ['s', 'с'],
+    ['t', 'т'],
+    ['u', 'у'],
+    ['f', 'ф'],
+    ['h', 'х'],
+    ['kh', 'х'],
+    ['x', 'х'],
+    ['c', 'ц'],
+    ['ch', 'ч'],
+    ['sh', 'ш'],
+    ['shch', 'щ'],
+    ['sch', 'щ'],
+    ['#', 'ъ'],
+    ['y', 'ы'],
+    ['\'', 'ь'],
+    ['e\'', 'э'],
+    ['yu', 'ю'],
+    ['ju', 'ю'],
+    ['ya', 'я'],
+    ['ja', 'я'],
+]);
+
+/**
+ * Converts romanized Russian to Cyrillic.
+ * @param {string} text
+ * @returns {string}
+ */
+export function convertLatinToCyrillic(text) {
+    return convertRomanizedText(text, CYRILLIC_ROMANIZATION);
+}
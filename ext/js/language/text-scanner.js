@@ -23,6 +23,7 @@ import {log} from '../core/log.js';
 import {clone} from '../core/utilities.js';
 import {anyNodeMatchesSelector, everyNodeMatchesSelector, getActiveModifiers, getActiveModifiersAndButtons, isPointInSelection} from '../dom/document-util.js';
 import {TextSourceElement} from '../dom/text-source-element.js';
+import {isWordSegmentedLanguage} from './word-segmenter.js';
 
 /**
  * @augments EventDispatcher<import('text-scanner').Events>
@@ -84,6 +85,8 @@ export class TextScanner extends EventDispatcher {
         this._scanTimerPromiseResolve = null;
         /** @type {?import('text-source').TextSource} */
         this._textSourceCurrent = null;
+        /** @type {?import('text-source').TextSource} */
+        this._textSourceCurrentUnsegmented = null;
         /** @type {boolean} */
         this._textSourceCurrentSelected = false;
         /** @type {boolean} */
@@ -114,6 +117,8 @@ export class TextScanner extends EventDispatcher {
         this._preventMiddleMouse = false;
         /** @type {boolean} */
         this._matchTypePrefix = false;
+        /** @type {boolean} */
+        this._recordLookupHistory = false;
         /** @type {number} */
         this._sentenceScanExtent = 0;
         /** @type {boolean} */
@@ -268,6 +273,7 @@ export class TextScanner extends EventDispatcher {
         matchTypePrefix,
         scanWithoutMousemove,
         scanResolution,
+        recordLookupHistory,
     }) {
         if (Array.isArray(inputs)) {
             this._inputs = inputs.map((input) => this._convertInput(input));
@@ -308,6 +314,9 @@ export class TextScanner extends EventDispatcher {
         if (typeof scanResolution === 'string') {
             this._scanResolution = scanResolution;
         }
+        if (typeof recordLookupHistory === 'boolean') {
+            this._recordLookupHistory = recordLookupHistory;
+        }
         if (typeof sentenceParsingOptions === 'object' && sentenceParsingOptions !== null) {
             const {scanExtent, terminationCharacterMode, terminationCharacters} = sentenceParsingOptions;
             if (typeof scanExtent === 'number') {
@@ -380,6 +389,7 @@ export class TextScanner extends EventDispatcher {
                 }
             }
             this._textSourceCurrent = null;
+            this._textSourceCurrentUnsegmented = null;
             this._textSourceCurrentSelected = false;
             this._inputInfoCurrent = null;
         }
@@ -402,6 +412,7 @@ export class TextScanner extends EventDispatcher {
      */
     setCurrentTextSource(textSource) {
         this._textSourceCurrent = textSource;
+        this._textSourceCurrentUnsegmented = null;
         if (this._selectText && this._userHasNotSelectedAnythingManually && textSource !== null) {
             this._yomitanIsChangingTextSelectionNow = true;
             textSource.select();
@@ -485,7 +496,22 @@ export class TextScanner extends EventDispatcher {
                 null
             );
 
-            if (this._scanResolution === 'word') {
+            /** @type {?import('text-source').TextSource} */
+            let unsegmentedTextSource = null;
+            /** @type {?import('text-scanner').SearchContext} */
+            let getSearchContextResult = null;
+            if (this._language !== null && isWordSegmentedLanguage(this._language)) {
+                // Segmenting the text is expensive, so it is skipped while the pointer stays at the start of the previous search
+                if (this._textSourceCurrent !== null && this._textSourceCurrentUnsegmented !== null && this._textSourceCurrentUnsegmented.hasSameStart(textSource)) {
+                    return;
+                }
+                unsegmentedTextSource = textSource.clone();
+                const getSearchContextPromise = this._getSearchContext();
+                getSearchContextResult = getSearchContextPromise instanceof Promise ? await getSearchContextPromise : getSearchContextPromise;
+
+                // Move the start offset to the beginning of the word, as found by segmenting the surrounding text
+                await this._moveToSegmentedWordStart(textSource, this._createOptionsContextForInput(getSearchContextResult.optionsContext, inputInfo));
+            } else if (this._scanResolution === 'word') {
                 // Move the start offset to the beginning of the word
                 textSource.setStartOffset(this._scanLength, this._layoutAwareScan, true);
             }
@@ -494,8 +520,10 @@ export class TextScanner extends EventDispatcher {
                 return;
             }
 
-            const getSearchContextPromise = this._getSearchContext();
-            const getSearchContextResult = getSearchContextPromise instanceof Promise ? await getSearchContextPromise : getSearchContextPromise;
+            if (getSearchContextResult === null) {
+                const getSearchContextPromise = this._getSearchContext();
+                getSearchContextResult = getSearchContextPromise instanceof Promise ? await getSearchContextPromise : getSearchContextPromise;
+            }
             const {detail} = getSearchContextResult;
             const optionsContext = this._createOptionsContextForInput(getSearchContextResult.optionsContext, inputInfo);
 
@@ -517,6 +545,7 @@ export class TextScanner extends EventDispatcher {
             if (dictionaryEntries !== null && sentence !== null) {
                 this._inputInfoCurrent = inputInfo;
                 this.setCurrentTextSource(textSource);
+                this._textSourceCurrentUnsegmented = unsegmentedTextSource;
                 this._selectionRestoreInfo = selectionRestoreInfo;
 
                 /** @type {ThemeController} */
@@ -545,6 +574,41 @@ export class TextScanner extends EventDispatcher {
         }
     }
 
+    /**
+     * Moves the start offset of the text source to the beginning of the word it is in,
+     * for text which is written without spaces between words.
+     * @param {import('text-source').TextSource} textSource
+     * @param {import('settings').OptionsContext} optionsContext
+     */
+    async _moveToSegmentedWordStart(textSource, optionsContext) {
+        const scanLength = this._scanLength;
+        const layoutAwareScan = this._layoutAwareScan;
+        const precedingTextSource = textSource.clone();
+        precedingTextSource.setStartOffset(scanLength, layoutAwareScan);
+        const precedingText = precedingTextSource.text();
+        const caretOffset = precedingText.length - textSource.text().length;
+        if (caretOffset <= 0) { return; }
+
+        const text = precedingText.substring(0, caretOffset) + this.getTextSourceContent(textSource, scanLength, layoutAwareScan, optionsContext.pointerType);
+        const results = await this._api.parseText(text, optionsContext, scanLength, true, false);
+        if (results.length === 0) { return; }
+
+        let offset = 0;
+        for (const line of results[0].content) {
+            const lineStart = offset;
+            for (const {text: segmentText} of line) {
+                offset += segmentText.length;
+            }
+            if (offset > caretOffset) {
+                const length = [...text.substring(lineStart, caretOffset)].length;
+                if (length > 0) {
+                    textSource.setStartOffset(length, layoutAwareScan);
+                }
+                return;
+            }
+        }
+    }
+
     /**
      * @param {import('text-scanner').InputInfo} inputInfo
      */
@@ -1314,6 +1378,19 @@ export class TextScanner extends EventDispatcher {
         /** @type {import('api').FindTermsDetails} */
         const details = {};
         if (this._matchTypePrefix) { details.matchType = 'prefix'; }
+        if (this._recordLookupHistory) {
+            // The source has not been extended yet, so the sentence is extracted around the start of the lookup
+            const {text: sentence} = this._textSourceGenerator.extractSentence(
+                textSource,
+                layoutAwareScan,
+                sentenceScanExtent,
+                sentenceTerminateAtNewlines,
+                sentenceTerminatorMap,
+                sentenceForwardQuoteMap,
+                sentenceBackwardQuoteMap,
+            );
+            details.history = {sentence};
+        }
         const {dictionaryEntries, originalTextLength} = await this._api.termsFind(searchText, details, optionsContext);
         if (dictionaryEntries.length === 0) { return null; }
 
@@ -0,0 +1,476 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/** @typedef {keyof typeof conditions} Condition */
+
+/**
+ * How the stem which a suffix attaches to ends.
+ * @typedef {'vowel'|'voicedConsonant'|'voicelessConsonant'} StemEnding
+ */
+
+const vowels = 'aeıioöuü';
+const frontVowels = 'eiöü';
+const voicelessConsonants = 'çfhkpsşt';
+const voicedConsonants = 'bcdgğjlmnrvyz';
+
+/** @type {Map<string, string>} */
+const highVowels = new Map([
+    ['a', 'ı'],
+    ['ı', 'ı'],
+    ['o', 'u'],
+    ['u', 'u'],
+    ['e', 'i'],
+    ['i', 'i'],
+    ['ö', 'ü'],
+    ['ü', 'ü'],
+]);
+
+/**
+ * Stem-final consonants which are voiced before a vowel-initial suffix, such as "kitap" → "kitabı".
+ * @type {[mutated: string, original: string, preceding: string][]}
+ */
+const consonantMutations = [
+    ['b', 'p', ''],
+    ['c', 'ç', ''],
+    ['d', 't', ''],
+    ['ğ', 'k', ''],
+    ['g', 'k', 'n'],
+];
+
+/** @type {StemEnding[]} */
+const allStemEndings = ['vowel', 'voicedConsonant', 'voicelessConsonant'];
+
+/**
+ * Expands a suffix written with the usual archiphonemes for a stem.
+ * `A` is "a" or "e" and `I` is "ı", "i", "u" or "ü" following vowel harmony, and `D` is "d" or "t" following voicing.
+ * Parentheses mark buffer sounds, which are only present after a stem ending in a consonant if they are vowels,
+ * or only after a stem ending in a vowel if they are consonants.
+ * @param {string} template
+ * @param {string} stemVowel The last vowel of the stem.
+ * @param {StemEnding} stemEnding
+ * @returns {string}
+ */
+function expandSuffix(template, stemVowel, stemEnding) {
+    let result = '';
+    let vowel = stemVowel;
+    let previousIsVoiceless = (stemEnding === 'voicelessConsonant');
+    for (let i = 0, ii = template.length; i < ii; ++i) {
+        let char = template[i];
+        if (char === '(') {
+            const end = template.indexOf(')', i);
+            const buffer = template.substring(i + 1, end);
+            i = end;
+            const isVowelBuffer = buffer[0] === 'A' || buffer[0] === 'I' || vowels.includes(buffer[0]);
+            if (isVowelBuffer === (stemEnding === 'vowel')) { continue; }
+            const expanded = expandSuffix(buffer, vowel, stemEnding);
+            for (const c of expanded) {
+                if (vowels.includes(c)) { vowel = c; }
+            }
+            previousIsVoiceless = voicelessConsonants.includes(expanded[expanded.length - 1]);
+            result += expanded;
+            continue;
+        }
+        switch (char) {
+            case 'A':
+                char = frontVowels.includes(vowel) ? 'e' : 'a';
+                break;
+            case 'I':
+                char = /** @type {string} */ (highVowels.get(vowel));
+                break;
+            case 'D':
+                char = previousIsVoiceless ? 't' : 'd';
+                break;
+        }
+        if (vowels.includes(char)) { vowel = char; }
+        previousIsVoiceless = voicelessConsonants.includes(char);
+        result += char;
+    }
+    return result;
+}
+
+/**
+ * @param {Set<StemEnding>} stemEndings
+ * @returns {string}
+ */
+function getStemEndingPattern(stemEndings) {
+    if (stemEndings.has('vowel')) { return ''; }
+    if (stemEndings.has('voicedConsonant') && stemEndings.has('voicelessConsonant')) { return `[^${vowels}]+`; }
+    const consonants = stemEndings.has('voicedConsonant') ? voicedConsonants : voicelessConsonants;
+    return `[^${vowels}]*[${consonants}]`;
+}
+
+/**
+ * Creates the rules which remove a suffix from every kind of stem, following vowel harmony, voicing, and buffer sounds.
+ * The deinflected suffix is appended to the stem, such as the infinitive suffix "-mAk" for verbs.
+ * @param {string} inflectedTemplate
+ * @param {string} deinflectedTemplate
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @param {StemEnding[]} [stemEndings]
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function harmonizedSuffixInflection(inflectedTemplate, deinflectedTemplate, conditionsIn, conditionsOut, stemEndings = allStemEndings) {
+    /** @type {Map<string, {inflected: string, deinflected: string, stemVowels: Set<string>, stemEndings: Set<StemEnding>}>} */
+    const variants = new Map();
+    for (const stemVowel of vowels) {
+        for (const stemEnding of stemEndings) {
+            const inflected = expandSuffix(inflectedTemplate, stemVowel, stemEnding);
+            // Native suffixes never place a vowel directly after a stem-final vowel
+            if (stemEnding === 'vowel' && vowels.includes(inflected[0])) { continue; }
+            const deinflected = expandSuffix(deinflectedTemplate, stemVowel, stemEnding);
+            const key = `${inflected}:${deinflected}:${stemEnding === 'vowel'}`;
+            let variant = variants.get(key);
+            if (typeof variant === 'undefined') {
+                variant = {inflected, deinflected, stemVowels: new Set(), stemEndings: new Set()};
+                variants.set(key, variant);
+            }
+            variant.stemVowels.add(stemVowel);
+            variant.stemEndings.add(stemEnding);
+        }
+    }
+
+    /** @type {import('language-transformer').Rule<Condition>[]} */
+    const rules = [];
+    for (const {inflected, deinflected, stemVowels, stemEndings: variantStemEndings} of variants.values()) {
+        const stemVowelPattern = `[${[...stemVowels].join('')}]`;
+        rules.push(createRule(
+            new RegExp(`${stemVowelPattern}${getStemEndingPattern(variantStemEndings)}${inflected}$`),
+            inflected.length,
+            deinflected,
+            conditionsIn,
+            conditionsOut,
+        ));
+        if (variantStemEndings.has('vowel') || !vowels.includes(inflected[0])) { continue; }
+        for (const [mutated, original, preceding] of consonantMutations) {
+            rules.push(createRule(
+                new RegExp(`${stemVowelPattern}[^${vowels}]*${preceding}${mutated}${inflected}$`),
+                inflected.length + 1,
+                original + deinflected,
+                conditionsIn,
+                conditionsOut,
+            ));
+        }
+    }
+    return rules;
+}
+
+/**
+ * @param {RegExp} isInflected
+ * @param {number} inflectedLength
+ * @param {string} deinflected
+ * @param {Condition[]} conditionsIn
+ * @param {Condition[]} conditionsOut
+ * @returns {import('language-transformer').Rule<Condition>}
+ */
+function createRule(isInflected, inflectedLength, deinflected, conditionsIn, conditionsOut) {
+    return {
+        type: 'other',
+        isInflected,
+        deinflect: (text) => text.slice(0, -inflectedLength) + deinflected,
+        conditionsIn,
+        conditionsOut,
+    };
+}
+
+/**
+ * Creates the rules for "-Iyor" after verb stems ending in a vowel, where the stem's vowel is replaced, such as "başlıyor" from "başlamak".
+ * @returns {import('language-transformer').Rule<Condition>[]}
+ */
+function vowelStemProgressiveInflections() {
+    /** @type {[inflected: string, deinflected: string][]} */
+    const replacements = [
+        ['ıyor', 'amak'],
+        ['ıyor', 'ımak'],
+        ['iyor', 'emek'],
+        ['iyor', 'imek'],
+        ['uyor', 'omak'],
+        ['uyor', 'umak'],
+        ['üyor', 'ömek'],
+        ['üyor', 'ümek'],
+    ];
+    return replacements.map(([inflected, deinflected]) => createRule(
+        new RegExp(`[${vowels}][^${vowels}]+${inflected}$`),
+        inflected.length,
+        deinflected,
+        ['v_z', 'v_t'],
+        ['v'],
+    ));
+}
+
+const conditions = {
+    v: {
+        name: 'Verb',
+        isDictionaryForm: true,
+    },
+    v_z: {
+        name: 'Verb with a tense suffix taking z-type person endings',
+        isDictionaryForm: false,
+    },
+    v_k: {
+        name: 'Verb with a tense suffix taking k-type person endings',
+        isDictionaryForm: false,
+    },
+    v_t: {
+        name: 'Verb with a tense suffix taking a copula',
+        isDictionaryForm: false,
+    },
+    n: {
+        name: 'Noun',
+        isDictionaryForm: true,
+    },
+    adj: {
+        name: 'Adjective',
+        isDictionaryForm: true,
+    },
+    n_pl: {
+        name: 'Noun with a plural suffix',
+        isDictionaryForm: false,
+    },
+    n_pos: {
+        name: 'Noun with a possessive suffix',
+        isDictionaryForm: false,
+    },
+    n_pos3: {
+        name: 'Noun with a third person possessive suffix',
+        isDictionaryForm: false,
+    },
+};
+
+/** @type {Condition[]} */
+const caseConditionsOut = ['n', 'adj', 'n_pl', 'n_pos'];
+
+/** @type {Condition[]} */
+const possessiveConditionsOut = ['n', 'adj', 'n_pl'];
+
+/** @type {import('language-transformer').LanguageTransformDescriptor<Condition>} */
+export const turkishTransforms = {
+    language: 'tr',
+    conditions,
+    transforms: {
+        'plural': {
+            name: '-lAr',
+            description: 'Plural',
+            rules: harmonizedSuffixInflection('lAr', '', ['n_pl'], ['n', 'adj']),
+        },
+        'possessive 1sg': {
+            name: '-(I)m',
+            description: 'First person singular possessive: "my"',
+            rules: harmonizedSuffixInflection('(I)m', '', ['n_pos'], possessiveConditionsOut),
+        },
+        'possessive 2sg': {
+            name: '-(I)n',
+            description: 'Second person singular possessive: "your"',
+            rules: harmonizedSuffixInflection('(I)n', '', ['n_pos'], possessiveConditionsOut),
+        },
+        'possessive 3sg': {
+            name: '-(s)I',
+            description: 'Third person singular possessive: "his, her, its"',
+            rules: harmonizedSuffixInflection('(s)I', '', ['n_pos', 'n_pos3'], possessiveConditionsOut),
+        },
+        'possessive 1pl': {
+            name: '-(I)mIz',
+            description: 'First person plural possessive: "our"',
+            rules: harmonizedSuffixInflection('(I)mIz', '', ['n_pos'], possessiveConditionsOut),
+        },
+        'possessive 2pl': {
+            name: '-(I)nIz',
+            description: 'Second person plural possessive: "your"',
+            rules: harmonizedSuffixInflection('(I)nIz', '', ['n_pos'], possessiveConditionsOut),
+        },
+        'possessive 3pl': {
+            name: '-lArI',
+            description: 'Third person plural possessive: "their"',
+            rules: harmonizedSuffixInflection('lArI', '', ['n_pos', 'n_pos3'], ['n', 'adj']),
+        },
+        'accusative': {
+            name: '-(y)I',
+            description: 'Accusative case, marking a definite direct object',
+            rules: [
+                ...harmonizedSuffixInflection('(y)I', '', [], caseConditionsOut),
+                ...harmonizedSuffixInflection('nI', '', [], ['n_pos3'], ['vowel']),
+            ],
+        },
+        'dative': {
+            name: '-(y)A',
+            description: 'Dative case: "to, towards"',
+            rules: [
+                ...harmonizedSuffixInflection('(y)A', '', [], caseConditionsOut),
+                ...harmonizedSuffixInflection('nA', '', [], ['n_pos3'], ['vowel']),
+            ],
+        },
+        'locative': {
+            name: '-DA',
+            description: 'Locative case: "in, at, on"',
+            rules: [
+                ...harmonizedSuffixInflection('DA', '', [], caseConditionsOut),
+                ...harmonizedSuffixInflection('nDA', '', [], ['n_pos3'], ['vowel']),
+            ],
+        },
+        'ablative': {
+            name: '-DAn',
+            description: 'Ablative case: "from"',
+            rules: [
+                ...harmonizedSuffixInflection('DAn', '', [], caseConditionsOut),
+                ...harmonizedSuffixInflection('nDAn', '', [], ['n_pos3'], ['vowel']),
+            ],
+        },
+        'genitive': {
+            name: '-(n)In',
+            description: 'Genitive case: "of"',
+            rules: harmonizedSuffixInflection('(n)In', '', [], caseConditionsOut),
+        },
+        'instrumental': {
+            name: '-(y)lA',
+            description: 'Instrumental case: "with, by"',
+            rules: harmonizedSuffixInflection('(y)lA', '', [], caseConditionsOut),
+        },
+        'negative': {
+            name: '-mA',
+            description: 'Negative form of a verb',
+            rules: harmonizedSuffixInflection('mAmAk', 'mAk', ['v'], ['v']),
+        },
+        'abilitative': {
+            name: '-(y)Abil',
+            description: 'Ability or possibility: "can"',
+            rules: harmonizedSuffixInflection('(y)AbilmAk', 'mAk', ['v'], ['v']),
+        },
+        'negative abilitative': {
+            name: '-(y)AmA',
+            description: 'Inability: "cannot"',
+            rules: harmonizedSuffixInflection('(y)AmAmAk', 'mAk', ['v'], ['v']),
+        },
+        'progressive': {
+            name: '-Iyor',
+            description: 'Progressive aspect, for ongoing actions',
+            rules: [
+                ...harmonizedSuffixInflection('Iyor', 'mAk', ['v_z', 'v_t'], ['v']),
+                ...vowelStemProgressiveInflections(),
+            ],
+        },
+        'past': {
+            name: '-DI',
+            description: 'Past tense, for witnessed events',
+            rules: harmonizedSuffixInflection('DI', 'mAk', ['v_k', 'v_t'], ['v']),
+        },
+        'evidential': {
+            name: '-mIş',
+            description: 'Evidential past tense, for reported or inferred events',
+            rules: harmonizedSuffixInflection('mIş', 'mAk', ['v_z', 'v_t'], ['v']),
+        },
+        'future': {
+            name: '-(y)AcAk',
+            description: 'Future tense',
+            rules: harmonizedSuffixInflection('(y)AcAk', 'mAk', ['v_z', 'v_t'], ['v']),
+        },
+        'aorist': {
+            name: '-Ar/-Ir',
+            description: 'Aorist tense, for habits and general truths',
+            rules: [
+                ...harmonizedSuffixInflection('(A)r', 'mAk', ['v_z', 'v_t'], ['v']),
+                ...harmonizedSuffixInflection('(I)r', 'mAk', ['v_z', 'v_t'], ['v']),
+            ],
+        },
+        'negative aorist': {
+            name: '-mAz',
+            description: 'Negative aorist tense',
+            rules: harmonizedSuffixInflection('mAz', 'mAk', ['v_z', 'v_t'], ['v']),
+        },
+        'necessitative': {
+            name: '-mAlI',
+            description: 'Necessity or obligation: "must, should"',
+            rules: harmonizedSuffixInflection('mAlI', 'mAk', ['v_z', 'v_t'], ['v']),
+        },
+        'conditional': {
+            name: '-sA',
+            description: 'Conditional mood: "if"',
+            rules: harmonizedSuffixInflection('sA', 'mAk', ['v_k', 'v_t'], ['v']),
+        },
+        'optative 1pl': {
+            name: '-(y)AlIm',
+            description: 'First person plural optative: "let\'s"',
+            rules: harmonizedSuffixInflection('(y)AlIm', 'mAk', [], ['v']),
+        },
+        'imperative 2pl': {
+            name: '-(y)In',
+            description: 'Second person plural or polite imperative',
+            rules: [
+                ...harmonizedSuffixInflection('(y)In', 'mAk', [], ['v']),
+                ...harmonizedSuffixInflection('(y)InIz', 'mAk', [], ['v']),
+            ],
+        },
+        'past copula': {
+            name: '-(y)DI',
+            description: 'Past copula, placing a tense in the past',
+            rules: harmonizedSuffixInflection('(y)DI', '', ['v_k'], ['v_t']),
+        },
+        'evidential copula': {
+            name: '-(y)mIş',
+            description: 'Evidential copula, marking a tense as reported or inferred',
+            rules: harmonizedSuffixInflection('(y)mIş', '', ['v_z'], ['v_t']),
+        },
+        'conditional copula': {
+            name: '-(y)sA',
+            description: 'Conditional copula: "if"',
+            rules: harmonizedSuffixInflection('(y)sA', '', ['v_k'], ['v_t']),
+        },
+        '1sg': {
+            name: '-(y)Im',
+            description: 'First person singular: "I"',
+            rules: harmonizedSuffixInflection('(y)Im', '', [], ['v_z']),
+        },
+        '2sg': {
+            name: '-sIn',
+            description: 'Second person singular: "you"',
+            rules: harmonizedSuffixInflection('sIn', '', [], ['v_z']),
+        },
+        '1pl': {
+            name: '-(y)Iz',
+            description: 'First person plural: "we"',
+            rules: harmonizedSuffixInflection('(y)Iz', '', [], ['v_z']),
+        },
+        '2pl': {
+            name: '-sInIz',
+            description: 'Second person plural: "you"',
+            rules: harmonizedSuffixInflection('sInIz', '', [], ['v_z']),
+        },
+        '3pl': {
+            name: '-lAr',
+            description: 'Third person plural: "they"',
+            rules: harmonizedSuffixInflection('lAr', '', [], ['v_z', 'v_k']),
+        },
+        '1sg past': {
+            name: '-m',
+            description: 'First person singular after the past tense or conditional: "I"',
+            rules: harmonizedSuffixInflection('m', '', [], ['v_k'], ['vowel']),
+        },
+        '2sg past': {
+            name: '-n',
+            description: 'Second person singular after the past tense or conditional: "you"',
+            rules: harmonizedSuffixInflection('n', '', [], ['v_k'], ['vowel']),
+        },
+        '1pl past': {
+            name: '-k',
+            description: 'First person plural after the past tense or conditional: "we"',
+            rules: harmonizedSuffixInflection('k', '', [], ['v_k'], ['vowel']),
+        },
+        '2pl past': {
+            name: '-nIz',
+            description: 'Second person plural after the past tense or conditional: "you"',
+            rules: harmonizedSuffixInflection('nIz', '', [], ['v_k'], ['vowel']),
+        },
+    },
+};
@@ -16,11 +16,16 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import {applyTextReplacement} from '../general/regex-util.js';
+import {getGlossarySearchTokens} from '../dictionary/glossary-search-util.js';
+import {applyTextReplacement, createWildcardRegExp, parseRegExpLiteral} from '../general/regex-util.js';
+import {getArabicRoots} from './ar/arabic-roots.js';
 import {isCodePointJapanese} from './ja/japanese.js';
 import {LanguageTransformer} from './language-transformer.js';
+import {createDictionaryTransformDescriptor} from './language-transforms.js';
 import {getAllLanguageReadingNormalizers, getAllLanguageTextProcessors} from './languages.js';
 import {MultiLanguageTransformer} from './multi-language-transformer.js';
+import {getClusterBoundaries, getWordCandidates, isWordSegmentedLanguage, segmentWords} from './word-segmenter.js';
+import {getJyutpingSyllables, isStringJyutping, jyutpingSyllablesMatch} from './yue/cantonese.js';
 import {isCodePointChinese} from './zh/chinese.js';
 
 /**
@@ -41,10 +46,16 @@ export class Translator {
         this._stringComparer = new Intl.Collator('en-US'); // Invariant locale
         /** @type {RegExp} */
         this._numberRegex = /[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/;
+        /** @type {number} */
+        this._maxGlossarySearchResults = 500;
         /** @type {import('translation-internal').TextProcessorMap} */
         this._textProcessors = new Map();
         /** @type {import('translation-internal').ReadingNormalizerMap} */
         this._readingNormalizers = new Map();
+        /** @type {?Map<string, import('language-transformer').LanguageTransformDescriptor>} */
+        this._dictionaryTransformDescriptors = null;
+        /** @type {?string[]} */
+        this._enabledTransformDictionaries = null;
     }
 
     /**
@@ -61,10 +72,12 @@ export class Translator {
     }
 
     /**
-     * Clears the database tag cache. This should be executed if the database is changed.
+     * Clears the database tag cache and the cached dictionary deinflection rules. This should be executed if the database is changed.
      */
     clearDatabaseCaches() {
         this._tagCache.clear();
+        this._dictionaryTransformDescriptors = null;
+        this._enabledTransformDictionaries = null;
     }
 
     /**
@@ -73,12 +86,21 @@ export class Translator {
      *   One of: 'group', 'merge', 'split', 'simple'
      * @param {string} text The text to find terms for.
      * @param {import('translation').FindTermsOptions} options A object describing settings about the lookup.
-     * @returns {Promise<{dictionaryEntries: import('dictionary').TermDictionaryEntry[], originalTextLength: number}>} An object containing dictionary entries and the length of the original source text.
+     * @returns {Promise<import('translator').FindTermsResult>} An object containing dictionary entries and the length of the original source text.
+     *   For pattern searches, it also contains the position of the next page of results.
      */
     async findTerms(mode, text, options) {
-        const {enabledDictionaryMap, excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language} = options;
+        const {enabledDictionaryMap, excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language, pattern} = options;
         const tagAggregator = new TranslatorTagAggregator();
-        let {dictionaryEntries, originalTextLength} = await this._findTermsInternal(text, options, tagAggregator);
+        /** @type {?import('dictionary-database').TermPosition} */
+        let patternSearchNext = null;
+        let dictionaryEntries;
+        let originalTextLength;
+        if (pattern !== null) {
+            ({dictionaryEntries, originalTextLength, next: patternSearchNext} = await this._findTermsByPattern(text, pattern, enabledDictionaryMap, tagAggregator));
+        } else {
+            ({dictionaryEntries, originalTextLength} = await this._findTermsInternal(text, options, tagAggregator));
+        }
 
         switch (mode) {
             case 'group':
@@ -123,7 +145,12 @@ export class Translator {
 
         const withUserFacingInflections = this._addUserFacingInflections(language, dictionaryEntries);
 
-        return {dictionaryEntries: withUserFacingInflections, originalTextLength};
+        /** @type {import('translator').FindTermsResult} */
+        const result = {dictionaryEntries: withUserFacingInflections, originalTextLength};
+        if (pattern !== null) {
+            result.patternSearchNext = patternSearchNext;
+        }
+        return result;
     }
 
     /**
@@ -211,6 +238,36 @@ export class Translator {
         return results;
     }
 
+    /**
+     * Splits text written without spaces between words into the words found in the enabled dictionaries.
+     * @param {string} text The text to split.
+     * @param {number} maxWordLength The maximum length of a word, in code units.
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap The dictionaries to look words up in.
+     * @returns {Promise<import('translator').TextSegment[]>} The segments of the text, in order. Segments which are not words have a `null` headword.
+     */
+    async segmentText(text, maxWordLength, enabledDictionaryMap) {
+        const candidates = getWordCandidates(text, maxWordLength);
+        const databaseEntries = candidates.length > 0 ? await this._database.findTermsBulk(candidates, enabledDictionaryMap, 'exact') : [];
+
+        /** @type {Map<string, {headword: {term: string, reading: string}, dictionaryIndex: number}>} */
+        const headwords = new Map();
+        for (const {index, term, reading, dictionary} of databaseEntries) {
+            const {index: dictionaryIndex} = this._getDictionaryOrder(dictionary, enabledDictionaryMap);
+            const candidate = candidates[index];
+            const existing = headwords.get(candidate);
+            if (typeof existing !== 'undefined' && existing.dictionaryIndex <= dictionaryIndex) { continue; }
+            headwords.set(candidate, {headword: {term, reading}, dictionaryIndex});
+        }
+
+        /** @type {import('translator').TextSegment[]} */
+        const segments = [];
+        for (const {text: segmentText, isWord} of segmentWords(text, (word) => headwords.has(word), maxWordLength)) {
+            const value = isWord ? headwords.get(segmentText) : void 0;
+            segments.push({text: segmentText, headword: typeof value !== 'undefined' ? value.headword : null});
+        }
+        return segments;
+    }
+
     // Find terms internal implementation
 
     /**
@@ -221,18 +278,56 @@ export class Translator {
      */
     async _findTermsInternal(text, options, tagAggregator) {
         const {removeNonJapaneseCharacters, enabledDictionaryMap} = options;
-        if (removeNonJapaneseCharacters && (['ja', 'zh', 'yue'].includes(options.language))) {
+        if (options.searchGlossaries) {
+            const deinflections = await this._getGlossarySearchDeinflections(text, enabledDictionaryMap);
+            return this._getDictionaryEntries(deinflections, enabledDictionaryMap, tagAggregator);
+        }
+        const isJyutpingSearch = options.language === 'yue' && isStringJyutping(text);
+        if (removeNonJapaneseCharacters && !isJyutpingSearch && (['ja', 'zh', 'yue'].includes(options.language))) {
             text = this._getJapaneseChineseOnlyText(text);
         }
         if (text.length === 0) {
             return {dictionaryEntries: [], originalTextLength: 0};
         }
 
+        await this._updateDictionaryTransforms(enabledDictionaryMap);
         const deinflections = await this._getDeinflections(text, options);
 
         return this._getDictionaryEntries(deinflections, enabledDictionaryMap, tagAggregator);
     }
 
+    /**
+     * Applies the deinflection rules of the enabled dictionaries which supply them.
+     * The rules are only reloaded when the set of enabled dictionaries with rules changes.
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     */
+    async _updateDictionaryTransforms(enabledDictionaryMap) {
+        let dictionaryTransformDescriptors = this._dictionaryTransformDescriptors;
+        if (dictionaryTransformDescriptors === null) {
+            dictionaryTransformDescriptors = new Map();
+            for (const {title, transforms} of await this._database.getDictionaryInfo()) {
+                if (typeof transforms === 'undefined') { continue; }
+                dictionaryTransformDescriptors.set(title, createDictionaryTransformDescriptor(transforms));
+            }
+            this._dictionaryTransformDescriptors = dictionaryTransformDescriptors;
+        }
+
+        const enabledTransformDictionaries = [...dictionaryTransformDescriptors.keys()].filter((title) => enabledDictionaryMap.has(title));
+        const previousEnabledTransformDictionaries = this._enabledTransformDictionaries;
+        if (
+            previousEnabledTransformDictionaries !== null &&
+            previousEnabledTransformDictionaries.length === enabledTransformDictionaries.length &&
+            previousEnabledTransformDictionaries.every((title, i) => title === enabledTransformDictionaries[i])
+        ) {
+            return;
+        }
+
+        this._enabledTransformDictionaries = enabledTransformDictionaries;
+        this._multiLanguageTransformer.setDictionaryDescriptors(
+            enabledTransformDictionaries.map((title) => /** @type {import('language-transformer').LanguageTransformDescriptor} */ (dictionaryTransformDescriptors.get(title))),
+        );
+    }
+
     /**
      * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
      * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
@@ -379,6 +474,10 @@ export class Translator {
         const dictionaryDeinflections = await this._getDictionaryDeinflections(language, deinflections, enabledDictionaryMap, matchType);
         deinflections.push(...dictionaryDeinflections);
 
+        if (language === 'yue') {
+            deinflections.push(...await this._getJyutpingDeinflections(text, enabledDictionaryMap));
+        }
+
         for (const deinflection of deinflections) {
             for (const entry of deinflection.databaseEntries) {
                 entry.definitions = entry.definitions.filter((definition) => !Array.isArray(definition));
@@ -390,6 +489,78 @@ export class Translator {
         return deinflections;
     }
 
+    /**
+     * Finds the terms whose definitions contain every word of the text, rather than the terms matching the text itself.
+     * @param {string} text
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @returns {Promise<import('translation-internal').DatabaseDeinflection[]>}
+     */
+    async _getGlossarySearchDeinflections(text, enabledDictionaryMap) {
+        const tokens = getGlossarySearchTokens(text);
+        const databaseEntries = await this._database.findTermsByGlossary(tokens, enabledDictionaryMap, this._maxGlossarySearchResults);
+        return this._createUntransformedDeinflections(text, databaseEntries);
+    }
+
+    /**
+     * Finds the terms whose jyutping readings match the text, ignoring spacing between syllables
+     * and the tones of syllables which are written without a tone number.
+     * @param {string} text
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @returns {Promise<import('translation-internal').DatabaseDeinflection[]>}
+     */
+    async _getJyutpingDeinflections(text, enabledDictionaryMap) {
+        const syllables = getJyutpingSyllables(text);
+        if (syllables === null) { return []; }
+
+        // Readings which start with the first syllable are candidates, since the database can only be searched by prefix
+        const {syllable, tone} = syllables[0];
+        const prefix = tone !== null ? `${syllable}${tone}` : syllable;
+        const databaseEntries = await this._database.findTermsBulk([prefix], enabledDictionaryMap, 'prefix');
+        /** @type {import('dictionary-database').TermEntry[]} */
+        const matchingEntries = [];
+        for (const databaseEntry of databaseEntries) {
+            if (!jyutpingSyllablesMatch(syllables, databaseEntry.reading)) { continue; }
+            matchingEntries.push({...databaseEntry, matchType: 'exact', matchSource: 'reading'});
+        }
+        return this._createUntransformedDeinflections(text, matchingEntries);
+    }
+
+    /**
+     * Finds one page of the terms whose headwords or readings match the text as a pattern.
+     * @param {string} text
+     * @param {import('translation').FindTermsPatternOptions} patternOptions
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @param {TranslatorTagAggregator} tagAggregator
+     * @returns {Promise<{dictionaryEntries: import('translation-internal').TermDictionaryEntry[], originalTextLength: number, next: ?import('dictionary-database').TermPosition}>}
+     * @throws {Error}
+     */
+    async _findTermsByPattern(text, {regex, questionMarkWildcard, after, limit}, enabledDictionaryMap, tagAggregator) {
+        const pattern = regex ? parseRegExpLiteral(text) : createWildcardRegExp(text, questionMarkWildcard);
+        if (pattern === null) {
+            throw new Error('Invalid regular expression');
+        }
+        const {entries, next} = await this._database.findTermsByPattern(pattern, enabledDictionaryMap, after, limit);
+        const deinflections = this._createUntransformedDeinflections(text, entries);
+        const {dictionaryEntries, originalTextLength} = this._getDictionaryEntries(deinflections, enabledDictionaryMap, tagAggregator);
+        return {dictionaryEntries, originalTextLength, next};
+    }
+
+    /**
+     * Creates the deinflection for database entries which were found without transforming the text.
+     * @param {string} text
+     * @param {import('dictionary-database').TermEntry[]} databaseEntries
+     * @returns {import('translation-internal').DatabaseDeinflection[]}
+     */
+    _createUntransformedDeinflections(text, databaseEntries) {
+        for (const entry of databaseEntries) {
+            entry.definitions = entry.definitions.filter((definition) => !Array.isArray(definition));
+        }
+
+        const deinflection = this._createDeinflection(text, text, text, 0, [], []);
+        deinflection.databaseEntries = databaseEntries.filter((entry) => entry.definitions.length > 0);
+        return deinflection.databaseEntries.length > 0 ? [deinflection] : [];
+    }
+
     /**
      * @param {string} language
      * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
@@ -503,16 +674,18 @@ export class Translator {
         const deinflections = [];
         /** @type {import('translation-internal').TextCache} */
         const sourceCache = new Map(); // For reusing text processors' outputs
+        const searchRoots = options.searchRoots && language === 'ar';
 
         for (
             let rawSource = text;
             rawSource.length > 0;
-            rawSource = this._getNextSubstring(options.searchResolution, rawSource)
+            rawSource = this._getNextSubstring(options.searchResolution, rawSource, language)
         ) {
             const preprocessedTextVariants = this._getTextVariants(rawSource, textPreprocessors, this._getTextReplacementsVariants(options), sourceCache);
 
             for (const [source, preprocessorRuleChainCandidates] of preprocessedTextVariants) {
-                for (const deinflection of this._multiLanguageTransformer.transform(language, source)) {
+                const transformedTexts = this._multiLanguageTransformer.transform(language, source);
+                for (const deinflection of transformedTexts) {
                     const {trace, conditions} = deinflection;
                     const postprocessedTextVariants = this._getTextVariants(deinflection.text, textPostprocessors, [null], sourceCache);
                     for (const [transformedText, postprocessorRuleChainCandidates] of postprocessedTextVariants) {
@@ -531,6 +704,38 @@ export class Translator {
                         deinflections.push(this._createDeinflection(rawSource, source, transformedText, conditions, textProcessorRuleChainCandidates, [inflectionRuleChainCandidate]));
                     }
                 }
+                if (searchRoots) {
+                    deinflections.push(...this._getRootDeinflections(rawSource, source, transformedTexts, preprocessorRuleChainCandidates));
+                }
+            }
+        }
+        return deinflections;
+    }
+
+    /**
+     * Creates deinflections for the roots of the transformed texts, so that root-indexed dictionaries can be searched.
+     * Each root is only searched for once per source, using the shortest chain of transforms which leads to it.
+     * @param {string} rawSource
+     * @param {string} source
+     * @param {import('language-transformer-internal').TransformedText[]} transformedTexts
+     * @param {import('translation-internal').TextProcessorRuleChainCandidate[]} textProcessorRuleChainCandidates
+     * @returns {import('translation-internal').DatabaseDeinflection[]}
+     */
+    _getRootDeinflections(rawSource, source, transformedTexts, textProcessorRuleChainCandidates) {
+        /** @type {Set<string>} */
+        const roots = new Set();
+        /** @type {import('translation-internal').DatabaseDeinflection[]} */
+        const deinflections = [];
+        for (const {text, trace} of transformedTexts) {
+            for (const root of getArabicRoots(text)) {
+                if (roots.has(root)) { continue; }
+                roots.add(root);
+                /** @type {import('translation-internal').InflectionRuleChainCandidate} */
+                const inflectionRuleChainCandidate = {
+                    source: 'algorithm',
+                    inflectionRules: ['root', ...trace.map((frame) => frame.transform)],
+                };
+                deinflections.push(this._createDeinflection(rawSource, source, root, 0, textProcessorRuleChainCandidates, [inflectionRuleChainCandidate]));
             }
         }
         return deinflections;
@@ -613,9 +818,15 @@ export class Translator {
     /**
      * @param {string} searchResolution
      * @param {string} currentString
+     * @param {string} language
      * @returns {string}
      */
-    _getNextSubstring(searchResolution, currentString) {
+    _getNextSubstring(searchResolution, currentString, language) {
+        if (isWordSegmentedLanguage(language)) {
+            // Words can only end at a character cluster boundary, so the marks and vowels attached to a character are removed along with it
+            const boundaries = getClusterBoundaries(currentString);
+            return currentString.substring(0, boundaries.length > 1 ? boundaries[boundaries.length - 2] : 0);
+        }
         const nextSubstringLength = searchResolution === 'word' ?
             currentString.search(/[^\p{Letter}][\p{Letter}\p{Number}]*$/u) :
             currentString.length - 1;
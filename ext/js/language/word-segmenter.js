@@ -0,0 +1,131 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/** Languages whose words are not separated by spaces, and which are split into words using the enabled dictionaries. */
+const wordSegmentedLanguages = new Set(['km', 'lo', 'th']);
+
+/** Characters which attach to the preceding character, such as combining marks and the following vowels of Thai and Lao. */
+const dependentCharacterPattern = /[\p{M}\u0e30\u0e32\u0e33\u0e45\u0eb0\u0eb2\u0eb3]/u;
+
+/** Thai and Lao vowels which are written before the consonant they are pronounced after. */
+const leadingVowelPattern = /[\u0e40-\u0e44\u0ec0-\u0ec4]/;
+
+/** The Khmer coeng, which makes the consonant after it a subscript of the consonant before it. */
+const khmerCoeng = '\u17d2';
+
+/**
+ * Checks whether the words of a language are split using the enabled dictionaries, rather than spaces.
+ * @param {string} language
+ * @returns {boolean}
+ */
+export function isWordSegmentedLanguage(language) {
+    return wordSegmentedLanguages.has(language);
+}
+
+/**
+ * Checks whether a word can start or end at a position in the text,
+ * which is not the case between a character and a mark or vowel that attaches to it,
+ * or between a Khmer coeng and the subscript consonant after it.
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean}
+ */
+export function isClusterBoundary(text, index) {
+    if (index <= 0 || index >= text.length) { return true; }
+    const previousCharacter = text[index - 1];
+    return !dependentCharacterPattern.test(text[index]) && !leadingVowelPattern.test(previousCharacter) && previousCharacter !== khmerCoeng;
+}
+
+/**
+ * Gets the positions in the text where a word can start or end, including the start and end of the text.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function getClusterBoundaries(text) {
+    const boundaries = [0];
+    for (let i = 1, ii = text.length; i <= ii; ++i) {
+        if (isClusterBoundary(text, i)) { boundaries.push(i); }
+    }
+    return boundaries;
+}
+
+/**
+ * Gets every substring of the text which could be a word.
+ * @param {string} text
+ * @param {number} maxWordLength
+ * @returns {string[]}
+ */
+export function getWordCandidates(text, maxWordLength) {
+    const boundaries = getClusterBoundaries(text);
+    /** @type {Set<string>} */
+    const candidates = new Set();
+    for (let i = 0, ii = boundaries.length; i < ii; ++i) {
+        const start = boundaries[i];
+        for (let j = i + 1; j < ii && boundaries[j] - start <= maxWordLength; ++j) {
+            candidates.add(text.substring(start, boundaries[j]));
+        }
+    }
+    return [...candidates];
+}
+
+/**
+ * Splits text into words, choosing the split which leaves the fewest characters outside of known words,
+ * and then the one with the fewest words. Consecutive unknown characters are grouped into a single segment.
+ * @param {string} text
+ * @param {(word: string) => boolean} isWord
+ * @param {number} maxWordLength
+ * @returns {{text: string, isWord: boolean}[]}
+ */
+export function segmentWords(text, isWord, maxWordLength) {
+    const boundaries = getClusterBoundaries(text);
+    const count = boundaries.length;
+    /** @type {{unknownLength: number, wordCount: number, previous: number, isWord: boolean}[]} */
+    const best = [{unknownLength: 0, wordCount: 0, previous: -1, isWord: false}];
+    for (let i = 1; i < count; ++i) {
+        best.push({unknownLength: Number.POSITIVE_INFINITY, wordCount: Number.POSITIVE_INFINITY, previous: -1, isWord: false});
+    }
+
+    for (let i = 0; i < count - 1; ++i) {
+        const {unknownLength, wordCount} = best[i];
+        const start = boundaries[i];
+        for (let j = i + 1; j < count && (j === i + 1 || boundaries[j] - start <= maxWordLength); ++j) {
+            const end = boundaries[j];
+            const segmentIsWord = end - start <= maxWordLength && isWord(text.substring(start, end));
+            if (!segmentIsWord && j !== i + 1) { continue; }
+            const nextUnknownLength = unknownLength + (segmentIsWord ? 0 : end - start);
+            const nextWordCount = wordCount + 1;
+            const next = best[j];
+            if (nextUnknownLength < next.unknownLength || (nextUnknownLength === next.unknownLength && nextWordCount < next.wordCount)) {
+                best[j] = {unknownLength: nextUnknownLength, wordCount: nextWordCount, previous: i, isWord: segmentIsWord};
+            }
+        }
+    }
+
+    /** @type {{text: string, isWord: boolean}[]} */
+    const segments = [];
+    for (let i = count - 1; i > 0; i = best[i].previous) {
+        const {previous, isWord: segmentIsWord} = best[i];
+        const segmentText = text.substring(boundaries[previous], boundaries[i]);
+        const lastSegment = segments.length > 0 ? segments[segments.length - 1] : null;
+        if (!segmentIsWord && lastSegment !== null && !lastSegment.isWord) {
+            lastSegment.text = segmentText + lastSegment.text;
+        } else {
+            segments.push({text: segmentText, isWord: segmentIsWord});
+        }
+    }
+    return segments.reverse();
+}
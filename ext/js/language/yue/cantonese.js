@@ -0,0 +1,72 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Matches one jyutping syllable, with an optional tone number, and any separators before it.
+ * Syllables are made up of an optional initial, a vowel and an optional final, except for the syllabic nasals `m` and `ng`.
+ */
+const JYUTPING_SYLLABLE_PATTERN = /[\s']*((?:(?:gw|kw|ng|[bpmfdtnlgkhwzcsj])?(?:aa|oe|eo|yu|[aeiou])(?:ng|[iumnptk])?|ng|m))([1-6])?/y;
+
+/**
+ * Splits jyutping text into its syllables.
+ * @param {string} text
+ * @returns {?import('cantonese').JyutpingSyllable[]} The syllables, or `null` if the text is not entirely jyutping.
+ */
+export function getJyutpingSyllables(text) {
+    text = text.toLowerCase().trim();
+    if (text.length === 0) { return null; }
+    /** @type {import('cantonese').JyutpingSyllable[]} */
+    const syllables = [];
+    JYUTPING_SYLLABLE_PATTERN.lastIndex = 0;
+    while (JYUTPING_SYLLABLE_PATTERN.lastIndex < text.length) {
+        const match = JYUTPING_SYLLABLE_PATTERN.exec(text);
+        if (match === null) { return null; }
+        const [, syllable, tone] = match;
+        syllables.push({syllable, tone: typeof tone === 'string' ? Number.parseInt(tone, 10) : null});
+    }
+    return syllables;
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isStringJyutping(text) {
+    return getJyutpingSyllables(text) !== null;
+}
+
+/**
+ * Checks whether a jyutping reading matches a search, where syllables of the search which have no tone number match any tone.
+ * @param {import('cantonese').JyutpingSyllable[]} search
+ * @param {string} reading
+ * @returns {boolean}
+ */
+export function jyutpingSyllablesMatch(search, reading) {
+    const readingSyllables = getJyutpingSyllables(reading);
+    if (readingSyllables === null || readingSyllables.length !== search.length) { return false; }
+    for (let i = 0, ii = search.length; i < ii; ++i) {
+        const {syllable, tone} = search[i];
+        const readingSyllable = readingSyllables[i];
+        if (syllable !== readingSyllable.syllable || (tone !== null && tone !== readingSyllable.tone)) { return false; }
+    }
+    return true;
+}
+
+/** @type {import('language').ReadingNormalizer} */
+export function normalizeJyutping(str) {
+    return str.normalize('NFC').toLowerCase().replace(/[\s']/g, '');
+}
@@ -0,0 +1,39 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {basicTextProcessorOptions} from '../text-processors.js';
+import {convertToToneMarkedPinyin, getReadingSegments} from './chinese.js';
+
+/** @type {import('language').TextProcessor<boolean>} */
+export const convertPinyinInput = {
+    name: 'Convert pinyin and zhuyin input',
+    description: 'ni3hao3, ㄋㄧˇㄏㄠˇ → nǐ hǎo',
+    options: basicTextProcessorOptions,
+    process: (str, setting) => {
+        if (!setting) { return str; }
+        const syllables = [];
+        for (const {text, syllable} of getReadingSegments(str)) {
+            if (syllable !== null) {
+                syllables.push(convertToToneMarkedPinyin(text));
+            } else if (!/^[\s']+$/.test(text)) {
+                // Only text which is entirely made up of syllables is converted
+                return str;
+            }
+        }
+        return syllables.join(' ');
+    },
+};
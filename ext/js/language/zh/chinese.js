@@ -69,7 +69,426 @@ export function isCodePointChinese(codePoint) {
     return isCodePointInRanges(codePoint, CHINESE_RANGES);
 }
 
+/** @type {Map<string, string>} */
+const PINYIN_TONE_MARKS = new Map([
+    ['a', 'āáǎà'],
+    ['e', 'ēéěè'],
+    ['i', 'īíǐì'],
+    ['o', 'ōóǒò'],
+    ['u', 'ūúǔù'],
+    ['ü', 'ǖǘǚǜ'],
+    ['A', 'ĀÁǍÀ'],
+    ['E', 'ĒÉĚÈ'],
+    ['I', 'ĪÍǏÌ'],
+    ['O', 'ŌÓǑÒ'],
+    ['U', 'ŪÚǓÙ'],
+    ['Ü', 'ǕǗǙǛ'],
+]);
+
+/**
+ * Map of tone-marked vowels to the unmarked vowel and the tone.
+ * @type {Map<string, [vowel: string, tone: import('chinese').Tone]>}
+ */
+const PINYIN_TONE_MARKED_VOWELS = new Map();
+for (const [vowel, marked] of PINYIN_TONE_MARKS) {
+    for (let i = 0; i < marked.length; ++i) {
+        PINYIN_TONE_MARKED_VOWELS.set(marked[i], [vowel, /** @type {import('chinese').Tone} */ (i + 1)]);
+    }
+}
+
+/** @type {[pinyin: string, zhuyin: string][]} */
+const ZHUYIN_INITIALS = [
+    ['b', 'ㄅ'],
+    ['p', 'ㄆ'],
+    ['m', 'ㄇ'],
+    ['f', 'ㄈ'],
+    ['d', 'ㄉ'],
+    ['t', 'ㄊ'],
+    ['n', 'ㄋ'],
+    ['l', 'ㄌ'],
+    ['g', 'ㄍ'],
+    ['k', 'ㄎ'],
+    ['h', 'ㄏ'],
+    ['j', 'ㄐ'],
+    ['q', 'ㄑ'],
+    ['x', 'ㄒ'],
+    ['zh', 'ㄓ'],
+    ['ch', 'ㄔ'],
+    ['sh', 'ㄕ'],
+    ['r', 'ㄖ'],
+    ['z', 'ㄗ'],
+    ['c', 'ㄘ'],
+    ['s', 'ㄙ'],
+];
+
+/** @type {[pinyin: string, zhuyin: string][]} */
+const ZHUYIN_OPEN_FINALS = [
+    ['a', 'ㄚ'],
+    ['o', 'ㄛ'],
+    ['e', 'ㄜ'],
+    ['ai', 'ㄞ'],
+    ['ei', 'ㄟ'],
+    ['ao', 'ㄠ'],
+    ['ou', 'ㄡ'],
+    ['an', 'ㄢ'],
+    ['en', 'ㄣ'],
+    ['ang', 'ㄤ'],
+    ['eng', 'ㄥ'],
+    ['ong', 'ㄨㄥ'],
+];
+
+/** @type {[pinyin: string, zhuyin: string][]} */
+const ZHUYIN_I_FINALS = [
+    ['i', 'ㄧ'],
+    ['ia', 'ㄧㄚ'],
+    ['ie', 'ㄧㄝ'],
+    ['iao', 'ㄧㄠ'],
+    ['iu', 'ㄧㄡ'],
+    ['ian', 'ㄧㄢ'],
+    ['in', 'ㄧㄣ'],
+    ['iang', 'ㄧㄤ'],
+    ['ing', 'ㄧㄥ'],
+    ['iong', 'ㄩㄥ'],
+];
+
+/** @type {[pinyin: string, zhuyin: string][]} */
+const ZHUYIN_U_FINALS = [
+    ['u', 'ㄨ'],
+    ['ua', 'ㄨㄚ'],
+    ['uo', 'ㄨㄛ'],
+    ['uai', 'ㄨㄞ'],
+    ['ui', 'ㄨㄟ'],
+    ['uan', 'ㄨㄢ'],
+    ['un', 'ㄨㄣ'],
+    ['uang', 'ㄨㄤ'],
+];
+
+/** @type {[pinyin: string, zhuyin: string][]} */
+const ZHUYIN_UMLAUT_FINALS = [
+    ['ü', 'ㄩ'], ['üe', 'ㄩㄝ'], ['üan', 'ㄩㄢ'], ['ün', 'ㄩㄣ'],
+];
+
+/**
+ * Syllables which are written without an initial consonant.
+ * @type {[pinyin: string, zhuyin: string][]}
+ */
+const ZHUYIN_STANDALONE_SYLLABLES = [
+    ['a', 'ㄚ'],
+    ['o', 'ㄛ'],
+    ['e', 'ㄜ'],
+    ['ê', 'ㄝ'],
+    ['ai', 'ㄞ'],
+    ['ei', 'ㄟ'],
+    ['ao', 'ㄠ'],
+    ['ou', 'ㄡ'],
+    ['an', 'ㄢ'],
+    ['en', 'ㄣ'],
+    ['ang', 'ㄤ'],
+    ['eng', 'ㄥ'],
+    ['er', 'ㄦ'],
+    ['yi', 'ㄧ'],
+    ['ya', 'ㄧㄚ'],
+    ['yo', 'ㄧㄛ'],
+    ['ye', 'ㄧㄝ'],
+    ['yao', 'ㄧㄠ'],
+    ['you', 'ㄧㄡ'],
+    ['yan', 'ㄧㄢ'],
+    ['yin', 'ㄧㄣ'],
+    ['yang', 'ㄧㄤ'],
+    ['ying', 'ㄧㄥ'],
+    ['yong', 'ㄩㄥ'],
+    ['wu', 'ㄨ'],
+    ['wa', 'ㄨㄚ'],
+    ['wo', 'ㄨㄛ'],
+    ['wai', 'ㄨㄞ'],
+    ['wei', 'ㄨㄟ'],
+    ['wan', 'ㄨㄢ'],
+    ['wen', 'ㄨㄣ'],
+    ['wang', 'ㄨㄤ'],
+    ['weng', 'ㄨㄥ'],
+    ['yu', 'ㄩ'],
+    ['yue', 'ㄩㄝ'],
+    ['yuan', 'ㄩㄢ'],
+    ['yun', 'ㄩㄣ'],
+];
+
+/** @type {Map<import('chinese').Tone, string>} */
+const ZHUYIN_TONE_MARKS = new Map([[1, ''], [2, 'ˊ'], [3, 'ˇ'], [4, 'ˋ'], [5, '˙']]);
+
+/** @type {Map<string, import('chinese').Tone>} */
+const ZHUYIN_TONES = new Map([['ˉ', 1], ['ˊ', 2], ['ˇ', 3], ['ˋ', 4], ['˙', 5]]);
+
+/**
+ * Creates the maps between toneless pinyin syllables and zhuyin.
+ * @returns {{pinyinToZhuyin: Map<string, string>, zhuyinToPinyin: Map<string, string>}}
+ */
+function createZhuyinMaps() {
+    /** @type {[pinyin: string, zhuyin: string][]} */
+    const syllables = [...ZHUYIN_STANDALONE_SYLLABLES];
+    for (const [initial, initialZhuyin] of ZHUYIN_INITIALS) {
+        /** @type {[pinyin: string, zhuyin: string][]} */
+        let finals;
+        switch (initial) {
+            case 'b': case 'p': case 'm':
+                finals = [...ZHUYIN_OPEN_FINALS.filter(([final]) => final !== 'ong'), ...ZHUYIN_I_FINALS, ['u', 'ㄨ']];
+                break;
+            case 'f':
+                finals = [...ZHUYIN_OPEN_FINALS.filter(([final]) => final !== 'ong'), ['u', 'ㄨ']];
+                break;
+            case 'd': case 't':
+                finals = [...ZHUYIN_OPEN_FINALS.filter(([final]) => final !== 'o'), ...ZHUYIN_I_FINALS, ...ZHUYIN_U_FINALS];
+                break;
+            case 'n': case 'l':
+                finals = [...ZHUYIN_OPEN_FINALS, ...ZHUYIN_I_FINALS, ...ZHUYIN_U_FINALS, ...ZHUYIN_UMLAUT_FINALS];
+                break;
+            case 'j': case 'q': case 'x':
+                // ü is written as u after these initials
+                finals = [...ZHUYIN_I_FINALS, ...ZHUYIN_UMLAUT_FINALS.map(([final, zhuyin]) => /** @type {[string, string]} */ ([final.replace('ü', 'u'), zhuyin]))];
+                break;
+            case 'g': case 'k': case 'h':
+                finals = [...ZHUYIN_OPEN_FINALS.filter(([final]) => final !== 'o'), ...ZHUYIN_U_FINALS];
+                break;
+            default:
+                // The final i after retroflex and sibilant initials is not written in zhuyin
+                finals = [...ZHUYIN_OPEN_FINALS.filter(([final]) => final !== 'o'), ...ZHUYIN_U_FINALS, ['i', '']];
+                break;
+        }
+        for (const [final, finalZhuyin] of finals) {
+            syllables.push([initial + final, initialZhuyin + finalZhuyin]);
+        }
+    }
+
+    /** @type {Map<string, string>} */
+    const pinyinToZhuyin = new Map();
+    /** @type {Map<string, string>} */
+    const zhuyinToPinyin = new Map();
+    for (const [pinyin, zhuyin] of syllables) {
+        pinyinToZhuyin.set(pinyin, zhuyin);
+        if (!zhuyinToPinyin.has(zhuyin)) { zhuyinToPinyin.set(zhuyin, pinyin); }
+    }
+    return {pinyinToZhuyin, zhuyinToPinyin};
+}
+
+const {pinyinToZhuyin: PINYIN_TO_ZHUYIN, zhuyinToPinyin: ZHUYIN_TO_PINYIN} = createZhuyinMaps();
+
+/** The length of the longest toneless pinyin syllable. */
+const PINYIN_SYLLABLE_MAX_LENGTH = 6;
+
+/** The length of the longest zhuyin syllable, without its tone mark. */
+const ZHUYIN_SYLLABLE_MAX_LENGTH = 3;
+
+/**
+ * @param {string} str
+ * @returns {boolean}
+ */
+export function isStringZhuyin(str) {
+    if (str.length === 0) { return false; }
+    for (const c of str) {
+        const codePoint = /** @type {number} */ (c.codePointAt(0));
+        if (!isCodePointInRanges(codePoint, [BOPOMOFO_RANGE, BOPOMOFO_EXTENDED_RANGE]) && !ZHUYIN_TONES.has(c) && !/\s/.test(c)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Gets the pinyin syllable at a position in the text, which can be written with a tone mark, a tone number, or no tone.
+ * @param {string} text
+ * @param {number} start
+ * @returns {?{length: number, syllable: string, tone: import('chinese').Tone}}
+ */
+function getPinyinSyllable(text, start) {
+    for (let length = Math.min(PINYIN_SYLLABLE_MAX_LENGTH, text.length - start); length > 0; --length) {
+        let syllable = '';
+        /** @type {?import('chinese').Tone} */
+        let tone = null;
+        for (const c of text.substring(start, start + length)) {
+            const markedVowel = PINYIN_TONE_MARKED_VOWELS.get(c);
+            if (typeof markedVowel === 'undefined') {
+                syllable += c;
+                continue;
+            }
+            if (tone !== null) {
+                tone = null;
+                syllable = '';
+                break;
+            }
+            syllable += markedVowel[0];
+            tone = markedVowel[1];
+        }
+        syllable = syllable.toLowerCase();
+        if (!PINYIN_TO_ZHUYIN.has(syllable)) { continue; }
+        if (tone === null) {
+            const toneNumber = /^[0-5]/.exec(text.substring(start + length));
+            if (toneNumber !== null) {
+                ++length;
+                tone = toneNumber[0] === '0' ? 5 : /** @type {import('chinese').Tone} */ (Number.parseInt(toneNumber[0], 10));
+            }
+        }
+        return {length, syllable, tone: tone !== null ? tone : 5};
+    }
+    return null;
+}
+
+/**
+ * Splits a pinyin or zhuyin reading into its syllables and the text between them.
+ * Syllables which are written without a tone mark or tone number are treated as having the neutral tone.
+ * The letters `v` and `u:` after `n` and `l` are treated as `ü`.
+ * @param {string} reading
+ * @returns {import('chinese').ReadingSegment[]}
+ */
+export function getReadingSegments(reading) {
+    const text = reading.replace(/([ln])(?:u:|v)/gi, '$1ü');
+    /** @type {import('chinese').ReadingSegment[]} */
+    const segments = [];
+    /** @type {?import('chinese').ReadingSegment} */
+    let previousTextSegment = null;
+    for (let i = 0, ii = text.length; i < ii;) {
+        const match = getPinyinSyllable(text, i) ?? getZhuyinSyllable(text, i);
+        if (match !== null) {
+            const {length, syllable, tone} = match;
+            segments.push({text: text.substring(i, i + length), syllable, tone});
+            previousTextSegment = null;
+            i += length;
+        } else {
+            if (previousTextSegment === null) {
+                previousTextSegment = {text: '', syllable: null, tone: null};
+                segments.push(previousTextSegment);
+            }
+            previousTextSegment.text += text[i];
+            ++i;
+        }
+    }
+    return segments;
+}
+
+/**
+ * Gets the zhuyin syllable at a position in the text, including its tone mark.
+ * @param {string} text
+ * @param {number} start
+ * @returns {?{length: number, syllable: string, tone: import('chinese').Tone}}
+ */
+function getZhuyinSyllable(text, start) {
+    let position = start;
+    /** @type {?import('chinese').Tone} */
+    let tone = null;
+    if (text[position] === '˙') {
+        // The neutral tone mark is written before the syllable
+        tone = 5;
+        ++position;
+    }
+    for (let length = Math.min(ZHUYIN_SYLLABLE_MAX_LENGTH, text.length - position); length > 0; --length) {
+        const syllable = ZHUYIN_TO_PINYIN.get(text.substring(position, position + length));
+        if (typeof syllable === 'undefined') { continue; }
+        position += length;
+        if (tone === null && text[position] !== '˙') {
+            const toneMark = ZHUYIN_TONES.get(text[position]);
+            if (typeof toneMark !== 'undefined') {
+                tone = toneMark;
+                ++position;
+            }
+        }
+        return {length: position - start, syllable, tone: tone !== null ? tone : 1};
+    }
+    return null;
+}
+
+/**
+ * Adds a tone mark to a toneless pinyin syllable.
+ * @param {string} syllable
+ * @param {import('chinese').Tone} tone
+ * @returns {string}
+ */
+function addPinyinToneMark(syllable, tone) {
+    if (tone === 5) { return syllable; }
+    const lowerSyllable = syllable.toLowerCase();
+    let index = lowerSyllable.search(/[ae]/);
+    if (index < 0) { index = lowerSyllable.indexOf('ou'); }
+    if (index < 0) { index = lowerSyllable.search(/[iouü][^iouü]*$/); }
+    if (index < 0) { return syllable; }
+    const marked = PINYIN_TONE_MARKS.get(syllable[index]);
+    if (typeof marked === 'undefined') { return syllable; }
+    return syllable.substring(0, index) + marked[tone - 1] + syllable.substring(index + 1);
+}
+
+/**
+ * Converts a pinyin or zhuyin reading to pinyin with tone marks.
+ * @param {string} reading
+ * @returns {string}
+ */
+export function convertToToneMarkedPinyin(reading) {
+    let result = '';
+    for (const {text, syllable, tone} of getReadingSegments(reading)) {
+        if (syllable === null || tone === null) {
+            result += text;
+            continue;
+        }
+        result += addPinyinToneMark(getTonelessSyllableText(text, syllable), tone);
+    }
+    return result;
+}
+
+/**
+ * Converts a pinyin or zhuyin reading to pinyin with tone numbers.
+ * @param {string} reading
+ * @returns {string}
+ */
+export function convertToNumberedPinyin(reading) {
+    let result = '';
+    for (const {text, syllable, tone} of getReadingSegments(reading)) {
+        if (syllable === null || tone === null) {
+            result += text;
+            continue;
+        }
+        result += getTonelessSyllableText(text, syllable) + tone;
+    }
+    return result;
+}
+
+/**
+ * Converts a pinyin or zhuyin reading to zhuyin.
+ * @param {string} reading
+ * @returns {string}
+ */
+export function convertToZhuyin(reading) {
+    let result = '';
+    for (const {text, syllable, tone} of getReadingSegments(reading)) {
+        if (syllable === null || tone === null) {
+            result += text;
+            continue;
+        }
+        const zhuyin = /** @type {string} */ (PINYIN_TO_ZHUYIN.get(syllable));
+        const toneMark = /** @type {string} */ (ZHUYIN_TONE_MARKS.get(tone));
+        result += tone === 5 ? toneMark + zhuyin : zhuyin + toneMark;
+    }
+    return result;
+}
+
+/**
+ * Gets the text of a syllable without its tone, keeping the capitalization of pinyin.
+ * @param {string} text
+ * @param {string} syllable
+ * @returns {string}
+ */
+function getTonelessSyllableText(text, syllable) {
+    return isStringZhuyin(text) ? syllable : removePinyinToneMarks(text).replace(/[0-5]$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function removePinyinToneMarks(text) {
+    let result = '';
+    for (const c of text) {
+        const markedVowel = PINYIN_TONE_MARKED_VOWELS.get(c);
+        result += typeof markedVowel !== 'undefined' ? markedVowel[0] : c;
+    }
+    return result;
+}
+
 /** @type {import('language').ReadingNormalizer} */
 export function normalizePinyin(str) {
-    return str.normalize('NFC').toLowerCase().replace(/[\s・:]|\/\//g, '');
+    return convertToToneMarkedPinyin(str.normalize('NFC').toLowerCase()).replace(/[\s・:]|\/\//g, '');
 }
@@ -0,0 +1,114 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {arrayBufferToBase64, base64ToArrayBuffer} from '../data/array-buffer-util.js';
+
+/**
+ * The sample rate of encoded clips. This is enough for speech while keeping the files small.
+ */
+const outputSampleRate = 24000;
+
+/**
+ * This class converts audio clips recorded from a web page into WAV files, which every Anki client can play.
+ * It requires the Web Audio API, so in a MV3 extension it runs in the offscreen document.
+ */
+export class AudioClipEncoder {
+    /**
+     * Decodes a recorded clip and encodes it as a mono 16-bit WAV file.
+     * @param {import('media-clip').MediaClip} clip The recorded clip.
+     * @returns {Promise<import('media-clip').MediaClip>} The encoded clip.
+     * @throws {Error} An error if the clip could not be decoded.
+     */
+    async encode({content, mediaType}) {
+        const context = new OfflineAudioContext(1, 1, outputSampleRate);
+        let audioBuffer;
+        try {
+            audioBuffer = await context.decodeAudioData(base64ToArrayBuffer(content));
+        } catch (e) {
+            throw new Error(`Could not decode audio clip of type ${mediaType}`);
+        }
+        const channels = [];
+        for (let i = 0, ii = audioBuffer.numberOfChannels; i < ii; ++i) {
+            channels.push(audioBuffer.getChannelData(i));
+        }
+        const wavFile = createWavFile(mixChannels(channels), audioBuffer.sampleRate);
+        return {content: arrayBufferToBase64(wavFile), mediaType: 'audio/wav'};
+    }
+}
+
+/**
+ * Averages several channels of samples into a single channel.
+ * @param {Float32Array[]} channels The channels, which must all have the same length.
+ * @returns {Float32Array} The mixed samples.
+ */
+export function mixChannels(channels) {
+    if (channels.length === 1) { return channels[0]; }
+    const length = channels.length > 0 ? channels[0].length : 0;
+    const result = new Float32Array(length);
+    for (const channel of channels) {
+        for (let i = 0; i < length; ++i) {
+            result[i] += channel[i];
+        }
+    }
+    const scale = 1 / channels.length;
+    for (let i = 0; i < length; ++i) {
+        result[i] *= scale;
+    }
+    return result;
+}
+
+/**
+ * Creates a mono 16-bit PCM WAV file.
+ * @param {Float32Array} samples The samples, in the range [-1, 1]. Values outside of this range are clipped.
+ * @param {number} sampleRate The sample rate of the samples.
+ * @returns {ArrayBuffer} The content of the file.
+ */
+export function createWavFile(samples, sampleRate) {
+    const bytesPerSample = 2;
+    const dataSize = samples.length * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    writeAscii(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeAscii(view, 8, 'WAVE');
+    writeAscii(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // Format chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Channel count
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * bytesPerSample, true); // Byte rate
+    view.setUint16(32, bytesPerSample, true); // Block align
+    view.setUint16(34, bytesPerSample * 8, true); // Bits per sample
+    writeAscii(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+    for (let i = 0, ii = samples.length; i < ii; ++i) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * bytesPerSample, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true);
+    }
+    return buffer;
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {string} text
+ */
+function writeAscii(view, offset, text) {
+    for (let i = 0, ii = text.length; i < ii; ++i) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
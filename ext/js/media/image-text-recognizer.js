@@ -0,0 +1,206 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as tesseract0 from '../../lib/tesseract.js';
+import {base64ToArrayBuffer} from '../data/array-buffer-util.js';
+
+const tesseract = /** @type {typeof import('tesseract.js')} */ (/** @type {unknown} */ (tesseract0));
+
+/**
+ * The trained models which are packaged with the extension, for each supported language.
+ * @type {Map<string, import('image-text-recognizer').LanguageModels>}
+ */
+const LANGUAGE_MODELS = new Map([
+    ['en', {horizontal: 'eng', vertical: null}],
+    ['ja', {horizontal: 'jpn', vertical: 'jpn_vert'}],
+]);
+
+/**
+ * Languages which are written without spaces between words.
+ */
+const UNSPACED_LANGUAGES = new Set(['ja', 'zh']);
+
+/**
+ * Text is recognized best when characters are at least around 30 pixels tall,
+ * so small images are scaled up until their shorter side has at least this size.
+ */
+const MIN_IMAGE_SIZE = 400;
+
+/**
+ * The maximum factor which images are scaled up by.
+ */
+const MAX_IMAGE_SCALE = 3;
+
+/**
+ * The time after which the OCR worker is stopped when it isn't being used, in milliseconds.
+ */
+const WORKER_IDLE_TIMEOUT = 60000;
+
+/**
+ * This class recognizes the text in images using Tesseract, which runs in a web worker together with
+ * the trained models packaged with the extension. It requires web workers, so in a MV3 extension
+ * it runs in the offscreen document.
+ */
+export class ImageTextRecognizer {
+    constructor() {
+        /** @type {?Promise<import('image-text-recognizer').TesseractWorker>} */
+        this._worker = null;
+        /** @type {?string} */
+        this._workerModel = null;
+        /** @type {Promise<unknown>} */
+        this._queue = Promise.resolve();
+        /** @type {?import('core').Timeout} */
+        this._idleTimer = null;
+    }
+
+    /**
+     * Recognizes the text in an image. Images which are taller than they are wide are treated as
+     * vertical text if the language can be written vertically.
+     * @param {string} image The image, as a data URL.
+     * @param {string} language The ISO code of the language of the text.
+     * @returns {Promise<string>} The recognized text.
+     * @throws {Error} An error if the language is not supported.
+     */
+    async recognize(image, language) {
+        const models = LANGUAGE_MODELS.get(language);
+        if (typeof models === 'undefined') {
+            throw new Error(`Text recognition is not supported for language ${language}`);
+        }
+        const promise = this._queue.then(() => this._recognize(image, language, models));
+        this._queue = promise.catch(() => {});
+        return await promise;
+    }
+
+    // Private
+
+    /**
+     * @param {string} image
+     * @param {string} language
+     * @param {import('image-text-recognizer').LanguageModels} models
+     * @returns {Promise<string>}
+     */
+    async _recognize(image, language, models) {
+        this._clearIdleTimer();
+        try {
+            const bitmap = await createImageBitmap(this._getImageBlob(image));
+            const verticalModel = bitmap.height > bitmap.width ? models.vertical : null;
+            const vertical = (verticalModel !== null);
+            const worker = await this._getWorker(verticalModel !== null ? verticalModel : models.horizontal);
+            await worker.setParameters({
+                tessedit_pageseg_mode: vertical ? tesseract.PSM.SINGLE_BLOCK_VERT_TEXT : tesseract.PSM.SINGLE_BLOCK,
+            });
+            const {data: {text}} = await worker.recognize(await this._prepareImage(bitmap));
+            return normalizeRecognizedText(text, language);
+        } finally {
+            this._idleTimer = setTimeout(this._onIdleTimeout.bind(this), WORKER_IDLE_TIMEOUT);
+        }
+    }
+
+    /**
+     * @param {string} model
+     * @returns {Promise<import('image-text-recognizer').TesseractWorker>}
+     */
+    async _getWorker(model) {
+        if (this._worker === null) {
+            this._worker = tesseract.createWorker(model, tesseract.OEM.LSTM_ONLY, {
+                workerPath: '/lib/tesseract/worker.min.js',
+                corePath: '/lib/tesseract/core',
+                langPath: '/lib/tesseract/lang',
+                workerBlobURL: false,
+                cacheMethod: 'none',
+            });
+            this._workerModel = model;
+            try {
+                return await this._worker;
+            } catch (e) {
+                this._worker = null;
+                this._workerModel = null;
+                throw e;
+            }
+        }
+
+        const worker = await this._worker;
+        if (this._workerModel !== model) {
+            await worker.reinitialize(model, tesseract.OEM.LSTM_ONLY);
+            this._workerModel = model;
+        }
+        return worker;
+    }
+
+    /**
+     * @param {string} image
+     * @returns {Blob}
+     * @throws {Error}
+     */
+    _getImageBlob(image) {
+        const match = /^data:([^;,]*);base64,/.exec(image);
+        if (match === null) {
+            throw new Error('Invalid image data URL');
+        }
+        return new Blob([base64ToArrayBuffer(image.substring(match[0].length))], {type: match[1]});
+    }
+
+    /**
+     * Scales up small images.
+     * @param {ImageBitmap} bitmap
+     * @returns {Promise<Blob>}
+     */
+    async _prepareImage(bitmap) {
+        const {width, height} = bitmap;
+        const scale = Math.min(MAX_IMAGE_SCALE, Math.max(1, MIN_IMAGE_SIZE / Math.max(1, Math.min(width, height))));
+        const canvas = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+        const context = /** @type {OffscreenCanvasRenderingContext2D} */ (canvas.getContext('2d'));
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return await canvas.convertToBlob({type: 'image/png'});
+    }
+
+    /** */
+    _onIdleTimeout() {
+        this._idleTimer = null;
+        const worker = this._worker;
+        if (worker === null) { return; }
+        this._worker = null;
+        this._workerModel = null;
+        this._queue = this._queue.then(async () => {
+            await (await worker).terminate();
+        }).catch(() => {});
+    }
+
+    /** */
+    _clearIdleTimer() {
+        if (this._idleTimer === null) { return; }
+        clearTimeout(this._idleTimer);
+        this._idleTimer = null;
+    }
+}
+
+/**
+ * Joins the lines of recognized text. Tesseract separates every character of languages which are written
+ * without spaces, such as Japanese, so all whitespace is removed from text in those languages.
+ * @param {string} text The text output by Tesseract.
+ * @param {string} language The ISO code of the language of the text.
+ * @returns {string}
+ */
+export function normalizeRecognizedText(text, language) {
+    const lines = text.split('\n').map((line) => line.trim()).filter((line) => line.length > 0);
+    if (UNSPACED_LANGUAGES.has(language)) {
+        return lines.join('').replace(/\s+/g, '');
+    }
+    return lines.join(' ').replace(/\s+/g, ' ');
+}
@@ -0,0 +1,193 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {arrayBufferToBase64} from '../data/array-buffer-util.js';
+
+/**
+ * The longest span of media which will be recorded, in seconds.
+ */
+const maxClipDuration = 60;
+
+/**
+ * The media types which are preferred for recordings, in order.
+ */
+const recordingMediaTypes = [
+    'audio/webm;codecs=opus',
+    'audio/ogg;codecs=opus',
+    'audio/webm',
+];
+
+/**
+ * This class records spans of audio from the `<audio>` and `<video>` elements of a web page.
+ * Recording works by seeking to the start of the span and replaying it in real time,
+ * after which the playback position and state of the element are restored.
+ */
+export class MediaClipRecorder {
+    constructor() {
+        /** @type {boolean} */
+        this._recording = false;
+    }
+
+    /**
+     * Records a span of audio from the media element which is currently being played.
+     * @param {import('media-clip').RecordDetails} details Information about which span to record.
+     * @returns {Promise<?import('media-clip').MediaClip>} The recorded clip, or `null` if there is no media to record.
+     * @throws {Error} An error if the media cannot be recorded.
+     */
+    async record({startTime, endTime, windowBefore, windowAfter}) {
+        const media = this._findMediaElement();
+        if (media === null) { return null; }
+
+        if (startTime === null || endTime === null) {
+            const {currentTime} = media;
+            startTime = currentTime - windowBefore;
+            endTime = currentTime + windowAfter;
+        }
+        const duration = Number.isFinite(media.duration) ? media.duration : Number.POSITIVE_INFINITY;
+        startTime = Math.max(0, startTime);
+        endTime = Math.min(duration, endTime, startTime + maxClipDuration);
+        if (endTime <= startTime) { return null; }
+
+        if (this._recording) {
+            throw new Error('A media clip is already being recorded');
+        }
+        this._recording = true;
+        try {
+            return await this._record(media, startTime, endTime);
+        } finally {
+            this._recording = false;
+        }
+    }
+
+    // Private
+
+    /**
+     * Finds the media element which is most likely being watched or listened to.
+     * Elements which are playing are preferred over paused elements which have been started.
+     * @returns {?HTMLMediaElement}
+     */
+    _findMediaElement() {
+        let fallback = null;
+        for (const element of document.querySelectorAll('video, audio')) {
+            if (!(element instanceof HTMLMediaElement) || element.readyState < HTMLMediaElement.HAVE_METADATA) { continue; }
+            if (!element.paused) { return element; }
+            if (fallback === null && element.currentTime > 0) { fallback = element; }
+        }
+        return fallback;
+    }
+
+    /**
+     * @param {HTMLMediaElement} media
+     * @param {number} startTime
+     * @param {number} endTime
+     * @returns {Promise<import('media-clip').MediaClip>}
+     */
+    async _record(media, startTime, endTime) {
+        const audioTracks = this._captureStream(media).getAudioTracks();
+        if (audioTracks.length === 0) {
+            throw new Error('Media has no audio to record');
+        }
+        const mediaType = recordingMediaTypes.find((type) => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(new MediaStream(audioTracks), typeof mediaType === 'string' ? {mimeType: mediaType} : {});
+        /** @type {Blob[]} */
+        const chunks = [];
+        const eventListeners = new EventListenerCollection();
+        /** @type {Promise<void>} */
+        const stopPromise = new Promise((resolve) => {
+            eventListeners.addEventListener(recorder, 'dataavailable', (/** @type {BlobEvent} */ {data}) => {
+                if (data.size > 0) { chunks.push(data); }
+            });
+            eventListeners.addEventListener(recorder, 'stop', () => resolve());
+        });
+
+        const {paused, currentTime, playbackRate} = media;
+        try {
+            await this._seek(media, startTime);
+            media.playbackRate = 1;
+            recorder.start();
+            await media.play();
+            await this._waitForTime(media, endTime);
+            recorder.stop();
+            await stopPromise;
+        } finally {
+            eventListeners.removeAllEventListeners();
+            if (recorder.state !== 'inactive') { recorder.stop(); }
+            for (const track of audioTracks) { track.stop(); }
+            media.pause();
+            media.playbackRate = playbackRate;
+            await this._seek(media, currentTime);
+            if (!paused) { void this._play(media); }
+        }
+
+        const blob = new Blob(chunks, {type: recorder.mimeType});
+        const content = arrayBufferToBase64(await blob.arrayBuffer());
+        return {content, mediaType: blob.type};
+    }
+
+    /**
+     * @param {HTMLMediaElement} media
+     * @returns {MediaStream}
+     * @throws {Error}
+     */
+    _captureStream(media) {
+        const element = /** @type {import('media-clip').CapturableMediaElement} */ (media);
+        if (typeof element.captureStream === 'function') { return element.captureStream(); }
+        if (typeof element.mozCaptureStream === 'function') { return element.mozCaptureStream(); }
+        throw new Error('Recording media is not supported');
+    }
+
+    /**
+     * @param {HTMLMediaElement} media
+     * @param {number} time
+     * @returns {Promise<void>}
+     */
+    _seek(media, time) {
+        return new Promise((resolve) => {
+            if (media.currentTime === time) {
+                resolve();
+                return;
+            }
+            media.addEventListener('seeked', () => resolve(), {once: true});
+            media.currentTime = time;
+        });
+    }
+
+    /**
+     * Waits until playback reaches a time, or until playback is stopped some other way.
+     * @param {HTMLMediaElement} media
+     * @param {number} time
+     * @returns {Promise<void>}
+     */
+    async _waitForTime(media, time) {
+        while (!media.paused && !media.ended && media.currentTime < time) {
+            const delay = Math.max(10, (time - media.currentTime) * 1000);
+            await new Promise((resolve) => { setTimeout(resolve, delay); });
+        }
+    }
+
+    /**
+     * @param {HTMLMediaElement} media
+     */
+    async _play(media) {
+        try {
+            await media.play();
+        } catch (e) {
+            // NOP
+        }
+    }
+}
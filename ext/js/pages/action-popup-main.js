@@ -32,6 +32,8 @@ class DisplayController {
         this._optionsFull = null;
         /** @type {ThemeController} */
         this._themeController = new ThemeController(document.documentElement);
+        /** @type {string[]} */
+        this._pageStatisticsTerms = [];
     }
 
     /** */
@@ -44,6 +46,7 @@ class DisplayController {
         void this._setupEnvironment();
         this._setupButtonEvents('.action-open-search', 'openSearchPage', chrome.runtime.getURL('/search.html'), this._onSearchClick.bind(this));
         this._setupButtonEvents('.action-open-info', 'openInfoPage', chrome.runtime.getURL('/info.html'));
+        this._setupPageStatistics();
 
         const optionsFull = await this._api.optionsGetFull();
         this._optionsFull = optionsFull;
@@ -319,6 +322,99 @@ class DisplayController {
         }
     }
 
+    /** */
+    _setupPageStatistics() {
+        for (const node of /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll('.action-show-page-statistics'))) {
+            node.addEventListener('click', this._onShowPageStatisticsClick.bind(this), false);
+        }
+        const copyButton = /** @type {HTMLButtonElement} */ (document.querySelector('#page-statistics-copy-button'));
+        copyButton.addEventListener('click', this._onCopyPageStatisticsTermsClick.bind(this), false);
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onShowPageStatisticsClick(e) {
+        e.preventDefault();
+        void this._showPageStatistics();
+    }
+
+    /** */
+    _onCopyPageStatisticsTermsClick() {
+        void navigator.clipboard.writeText(this._pageStatisticsTerms.join('\n'));
+    }
+
+    /** */
+    async _showPageStatistics() {
+        const container = /** @type {HTMLElement} */ (document.querySelector('#page-statistics'));
+        const message = /** @type {HTMLElement} */ (document.querySelector('#page-statistics-message'));
+        const content = /** @type {HTMLElement} */ (document.querySelector('#page-statistics-content'));
+        container.hidden = false;
+        content.hidden = true;
+        message.textContent = 'Analyzing\u2026';
+
+        /** @type {import('comprehension-statistics').PageStatistics} */
+        let pageStatistics;
+        try {
+            pageStatistics = await this._api.getTabComprehensionStatistics();
+        } catch (e) {
+            message.textContent = 'Statistics are not available for this page';
+            return;
+        }
+
+        const {source, textLength, truncated, statistics} = pageStatistics;
+        const {wordCount, knownCount, learningCount, unknownCount, uniqueUnknownCount, knownRatio, unknownFrequencyDistribution, unknownWithoutFrequencyCount, topUnknownWords} = statistics;
+        message.textContent = `${source === 'selection' ? 'Selected text' : 'Visible text'}: ${textLength} characters${truncated ? ' (truncated)' : ''}`;
+        /** @type {HTMLElement} */ (document.querySelector('#page-statistics-known-percent')).textContent = `${Math.round(knownRatio * 100)}%`;
+        /** @type {HTMLElement} */ (document.querySelector('#page-statistics-counts')).textContent = `${wordCount} words: ${knownCount} known, ${learningCount} learning, ${unknownCount} unknown (${uniqueUnknownCount} unique)`;
+
+        const table = /** @type {HTMLTableElement} */ (document.querySelector('#page-statistics-frequency-distribution'));
+        table.textContent = '';
+        for (const {minRank, maxRank, count} of unknownFrequencyDistribution) {
+            this._addPageStatisticsTableRow(table, maxRank !== null ? `${minRank}\u2013${maxRank}` : `${minRank}+`, count);
+        }
+        this._addPageStatisticsTableRow(table, 'No frequency', unknownWithoutFrequencyCount);
+
+        const list = /** @type {HTMLElement} */ (document.querySelector('#page-statistics-top-unknown-words'));
+        list.textContent = '';
+        for (const {term, reading, count} of topUnknownWords) {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.textContent = term;
+            link.href = chrome.runtime.getURL(`/search.html?query=${encodeURIComponent(term)}`);
+            link.target = '_blank';
+            link.rel = 'noopener';
+            item.appendChild(link);
+            if (reading.length > 0 && reading !== term) {
+                const readingNode = document.createElement('span');
+                readingNode.className = 'page-statistics-reading';
+                readingNode.textContent = reading;
+                item.appendChild(readingNode);
+            }
+            const countNode = document.createElement('span');
+            countNode.className = 'page-statistics-count';
+            countNode.textContent = `\u00d7${count}`;
+            item.appendChild(countNode);
+            list.appendChild(item);
+        }
+        this._pageStatisticsTerms = topUnknownWords.map(({term}) => term);
+        /** @type {HTMLButtonElement} */ (document.querySelector('#page-statistics-copy-button')).hidden = (topUnknownWords.length === 0);
+        content.hidden = false;
+    }
+
+    /**
+     * @param {HTMLTableElement} table
+     * @param {string} label
+     * @param {number} count
+     */
+    _addPageStatisticsTableRow(table, label, count) {
+        const row = table.insertRow();
+        const header = document.createElement('th');
+        header.textContent = label;
+        row.appendChild(header);
+        row.insertCell().textContent = `${count}`;
+    }
+
     /** @returns {Promise<boolean>} */
     async _isSafari() {
         const {browser} = await this._api.getEnvironmentInfo();
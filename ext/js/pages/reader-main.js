@@ -0,0 +1,51 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {Frontend} from '../app/frontend.js';
+import {PopupFactory} from '../app/popup-factory.js';
+import {Application} from '../application.js';
+import {HotkeyHandler} from '../input/hotkey-handler.js';
+import {ReaderController} from '../reader/reader-controller.js';
+
+await Application.main(true, async (application) => {
+    const hotkeyHandler = new HotkeyHandler();
+    hotkeyHandler.prepare(application.crossFrame);
+
+    const popupFactory = new PopupFactory(application);
+    popupFactory.prepare();
+
+    const frontend = new Frontend({
+        application,
+        popupFactory,
+        depth: 0,
+        parentPopupId: null,
+        parentFrameId: null,
+        useProxyPopup: false,
+        pageType: 'web',
+        canUseWindowPopup: true,
+        allowRootFramePopupProxy: true,
+        childrenSupported: true,
+        hotkeyHandler,
+    });
+    await frontend.prepare();
+
+    const readerController = new ReaderController();
+    readerController.prepare();
+    frontend.setBookContextProvider((textSource) => readerController.getBookContext(textSource));
+
+    document.documentElement.dataset.loaded = 'true';
+});
@@ -0,0 +1,506 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../../core/event-listener-collection.js';
+import {clone} from '../../core/utilities.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+import {getAnkiCardPresetIndex} from './anki-controller.js';
+
+/**
+ * Manages the list of additional card presets shown as tabs in the Anki cards modal.
+ * The deck, model, and fields of the selected preset are handled by the regular card controller.
+ */
+export class AnkiCardPresetsController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./anki-controller.js').AnkiController} ankiController
+     */
+    constructor(settingsController, ankiController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./anki-controller.js').AnkiController} */
+        this._ankiController = ankiController;
+        /** @type {HTMLElement} */
+        this._cardNode = querySelectorNotNull(document, '#anki-card-primary');
+        /** @type {HTMLElement} */
+        this._tabContainer = querySelectorNotNull(document, '#anki-card-primary-type-tabs');
+        /** @type {HTMLButtonElement} */
+        this._menuButton = querySelectorNotNull(document, '#anki-card-primary-type-menu-button');
+        /** @type {HTMLElement} */
+        this._presetSettings = querySelectorNotNull(document, '#anki-card-preset-settings');
+        /** @type {HTMLInputElement} */
+        this._nameInput = querySelectorNotNull(document, '#anki-card-preset-name-input');
+        /** @type {HTMLElement} */
+        this._modeDescription = querySelectorNotNull(document, '#anki-card-preset-mode-description');
+        /** @type {HTMLElement} */
+        this._ruleList = querySelectorNotNull(document, '#anki-card-preset-rule-list');
+        /** @type {HTMLButtonElement} */
+        this._ruleAddButton = querySelectorNotNull(document, '#anki-card-preset-rule-add-button');
+        /** @type {HTMLDataListElement} */
+        this._deckList = querySelectorNotNull(document, '#anki-card-preset-rule-deck-list');
+        /** @type {HTMLDataListElement} */
+        this._modelList = querySelectorNotNull(document, '#anki-card-preset-rule-model-list');
+        /** @type {HTMLDataListElement} */
+        this._dictionaryList = querySelectorNotNull(document, '#anki-card-preset-rule-dictionary-list');
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {HTMLElement[]} */
+        this._tabNodes = [];
+        /** @type {AnkiCardPresetRuleEntry[]} */
+        this._ruleEntries = [];
+        /** @type {import('settings').AnkiCardPreset[]} */
+        this._cardPresets = [];
+    }
+
+    /** @type {HTMLDataListElement} */
+    get dictionaryList() {
+        return this._dictionaryList;
+    }
+
+    /** */
+    async prepare() {
+        this._tabContainer.addEventListener('change', this._onTabChange.bind(this), false);
+        this._eventListeners.addEventListener(this._menuButton, 'menuOpen', this._onMenuOpen.bind(this), false);
+        this._eventListeners.addEventListener(this._menuButton, 'menuClose', this._onMenuClose.bind(this), false);
+        this._nameInput.addEventListener('change', this._onNameInputChange.bind(this), false);
+        this._ruleAddButton.addEventListener('click', this._onRuleAddButtonClick.bind(this), false);
+        this._settingsController.on('optionsChanged', this._onOptionsChanged.bind(this));
+
+        await this._updateOptions();
+    }
+
+    /**
+     * @param {number} presetIndex
+     * @param {number} ruleIndex
+     */
+    async deleteRule(presetIndex, ruleIndex) {
+        const cardPreset = this._cardPresets[presetIndex];
+        if (typeof cardPreset === 'undefined' || ruleIndex < 0 || ruleIndex >= cardPreset.rules.length) { return; }
+
+        await this._settingsController.modifyProfileSettings([{
+            action: 'splice',
+            path: `anki.cardPresets[${presetIndex}].rules`,
+            start: ruleIndex,
+            deleteCount: 1,
+            items: [],
+        }]);
+
+        await this._updateOptions();
+    }
+
+    // Private
+
+    /**
+     * @param {import('settings-controller').EventArgument<'optionsChanged'>} details
+     */
+    _onOptionsChanged({options}) {
+        const {anki: {cardPresets}, dictionaries} = options;
+        this._cardPresets = cardPresets;
+
+        this._setDataListOptions(this._dictionaryList, dictionaries.map(({name}) => name));
+        this._updateTabs();
+
+        const cardPresetIndex = this._getSelectedCardPresetIndex();
+        if (cardPresetIndex !== null && cardPresetIndex >= cardPresets.length) {
+            this._selectTab('terms');
+        } else {
+            this._updatePresetSettings();
+        }
+    }
+
+    /**
+     * @param {Event} e
+     */
+    _onTabChange(e) {
+        const node = /** @type {HTMLInputElement} */ (e.target);
+        if (!node.checked) { return; }
+        const {value, ankiCardMenu} = node.dataset;
+        if (typeof value !== 'string') { return; }
+        if (getAnkiCardPresetIndex(value) !== null) {
+            this._ankiController.setAnkiCardPrimaryType(value, ankiCardMenu);
+        }
+        this._updatePresetSettings();
+    }
+
+    /**
+     * @param {import('popup-menu').MenuOpenEvent} e
+     */
+    _onMenuOpen(e) {
+        const {bodyNode} = e.detail.menu;
+        /** @type {?HTMLButtonElement} */
+        const deleteButton = bodyNode.querySelector('[data-menu-action="deletePreset"]');
+        if (deleteButton !== null) {
+            deleteButton.disabled = (this._getSelectedCardPresetIndex() === null);
+        }
+    }
+
+    /**
+     * @param {import('popup-menu').MenuCloseEvent} e
+     */
+    _onMenuClose(e) {
+        switch (e.detail.action) {
+            case 'addTermKanjiPreset':
+                void this._addPreset('term-kanji');
+                break;
+            case 'addTermKanaPreset':
+                void this._addPreset('term-kana');
+                break;
+            case 'addKanjiPreset':
+                void this._addPreset('kanji');
+                break;
+            case 'deletePreset':
+                void this._deleteSelectedPreset();
+                break;
+        }
+    }
+
+    /** */
+    _onNameInputChange() {
+        const cardPresetIndex = this._getSelectedCardPresetIndex();
+        if (cardPresetIndex === null) { return; }
+        void this._setPresetName(cardPresetIndex, this._nameInput.value.trim());
+    }
+
+    /** */
+    _onRuleAddButtonClick() {
+        const cardPresetIndex = this._getSelectedCardPresetIndex();
+        if (cardPresetIndex === null) { return; }
+        void this._addRule(cardPresetIndex);
+    }
+
+    /** */
+    async _updateOptions() {
+        const options = await this._settingsController.getOptions();
+        const optionsContext = this._settingsController.getOptionsContext();
+        this._onOptionsChanged({options, optionsContext});
+    }
+
+    /**
+     * @returns {?number}
+     */
+    _getSelectedCardPresetIndex() {
+        const {ankiCardType} = this._cardNode.dataset;
+        return typeof ankiCardType === 'string' ? getAnkiCardPresetIndex(ankiCardType) : null;
+    }
+
+    /** */
+    _updateTabs() {
+        for (const node of this._tabNodes) {
+            if (node.parentNode !== null) {
+                node.parentNode.removeChild(node);
+            }
+        }
+        this._tabNodes = [];
+
+        const selectedType = this._cardNode.dataset.ankiCardType;
+        for (let i = 0, ii = this._cardPresets.length; i < ii; ++i) {
+            const {mode} = this._cardPresets[i];
+            const value = `preset-${i}`;
+            const node = /** @type {HTMLElement} */ (this._settingsController.instantiateTemplate('anki-card-preset-tab'));
+            /** @type {HTMLInputElement} */
+            const radio = querySelectorNotNull(node, 'input[type=radio]');
+            radio.dataset.value = value;
+            radio.dataset.ankiCardMenu = (mode === 'kanji' ? 'anki-card-kanji-field-menu' : 'anki-card-terms-field-menu');
+            radio.checked = (value === selectedType);
+            /** @type {HTMLElement} */
+            const label = querySelectorNotNull(node, '.tab-label');
+            label.textContent = this._getPresetDisplayName(i);
+            this._tabContainer.appendChild(node);
+            this._tabNodes.push(node);
+        }
+    }
+
+    /**
+     * @param {string} value
+     */
+    _selectTab(value) {
+        for (const radio of /** @type {NodeListOf<HTMLInputElement>} */ (this._tabContainer.querySelectorAll('input[type=radio]'))) {
+            if (radio.dataset.value !== value) { continue; }
+            radio.checked = true;
+            this._ankiController.setAnkiCardPrimaryType(value, radio.dataset.ankiCardMenu);
+            break;
+        }
+        this._updatePresetSettings();
+    }
+
+    /** */
+    _updatePresetSettings() {
+        for (const entry of this._ruleEntries) {
+            entry.cleanup();
+        }
+        this._ruleEntries = [];
+
+        const cardPresetIndex = this._getSelectedCardPresetIndex();
+        const cardPreset = cardPresetIndex !== null ? this._cardPresets[cardPresetIndex] : void 0;
+        if (cardPresetIndex === null || typeof cardPreset === 'undefined') {
+            this._presetSettings.hidden = true;
+            return;
+        }
+
+        const {name, mode, rules} = cardPreset;
+        this._presetSettings.hidden = false;
+        this._nameInput.value = name;
+        this._modeDescription.textContent = this._getModeDescription(mode);
+
+        for (let i = 0, ii = rules.length; i < ii; ++i) {
+            const node = /** @type {HTMLElement} */ (this._settingsController.instantiateTemplate('anki-card-preset-rule-entry'));
+            this._ruleList.appendChild(node);
+            const entry = new AnkiCardPresetRuleEntry(this, rules[i], cardPresetIndex, i, node);
+            this._ruleEntries.push(entry);
+            entry.prepare();
+        }
+
+        void this._updateAnkiDataLists();
+    }
+
+    /** */
+    async _updateAnkiDataLists() {
+        const {deckNames, modelNames} = await this._ankiController.getAnkiData();
+        this._setDataListOptions(this._deckList, deckNames);
+        this._setDataListOptions(this._modelList, modelNames);
+    }
+
+    /**
+     * @param {HTMLDataListElement} dataList
+     * @param {string[]} values
+     */
+    _setDataListOptions(dataList, values) {
+        const fragment = document.createDocumentFragment();
+        for (const value of values) {
+            const option = document.createElement('option');
+            option.value = value;
+            fragment.appendChild(option);
+        }
+        dataList.textContent = '';
+        dataList.appendChild(fragment);
+    }
+
+    /**
+     * @param {number} index
+     * @returns {string}
+     */
+    _getPresetDisplayName(index) {
+        const {name} = this._cardPresets[index];
+        return name.length > 0 ? name : `Preset ${index + 1}`;
+    }
+
+    /**
+     * @param {import('settings').AnkiCardPresetMode} mode
+     * @returns {string}
+     */
+    _getModeDescription(mode) {
+        switch (mode) {
+            case 'term-kanji': return 'Term card';
+            case 'term-kana': return 'Term card using the reading';
+            case 'kanji': return 'Kanji card';
+        }
+    }
+
+    /**
+     * @param {import('settings').AnkiCardPresetMode} mode
+     */
+    async _addPreset(mode) {
+        const options = await this._settingsController.getOptions();
+        const {anki: {terms, kanji, cardPresets}} = options;
+        const {deck, model, fields} = clone(mode === 'kanji' ? kanji : terms);
+        const index = cardPresets.length;
+        /** @type {import('settings').AnkiCardPreset} */
+        const cardPreset = {
+            name: `Preset ${index + 1}`,
+            mode,
+            deck,
+            model,
+            fields,
+            rules: [],
+        };
+
+        await this._settingsController.modifyProfileSettings([{
+            action: 'splice',
+            path: 'anki.cardPresets',
+            start: index,
+            deleteCount: 0,
+            items: [cardPreset],
+        }]);
+
+        await this._updateOptions();
+        this._selectTab(`preset-${index}`);
+    }
+
+    /** */
+    async _deleteSelectedPreset() {
+        const cardPresetIndex = this._getSelectedCardPresetIndex();
+        if (cardPresetIndex === null || cardPresetIndex >= this._cardPresets.length) { return; }
+
+        this._selectTab('terms');
+        await this._settingsController.modifyProfileSettings([{
+            action: 'splice',
+            path: 'anki.cardPresets',
+            start: cardPresetIndex,
+            deleteCount: 1,
+            items: [],
+        }]);
+
+        await this._updateOptions();
+    }
+
+    /**
+     * @param {number} cardPresetIndex
+     * @param {string} name
+     */
+    async _setPresetName(cardPresetIndex, name) {
+        await this._settingsController.setProfileSetting(`anki.cardPresets[${cardPresetIndex}].name`, name);
+        await this._updateOptions();
+    }
+
+    /**
+     * @param {number} cardPresetIndex
+     */
+    async _addRule(cardPresetIndex) {
+        const cardPreset = this._cardPresets[cardPresetIndex];
+        if (typeof cardPreset === 'undefined') { return; }
+
+        /** @type {import('settings').AnkiCardPresetRule} */
+        const rule = {
+            type: 'dictionary',
+            value: '',
+            deck: '',
+            model: '',
+        };
+
+        await this._settingsController.modifyProfileSettings([{
+            action: 'splice',
+            path: `anki.cardPresets[${cardPresetIndex}].rules`,
+            start: cardPreset.rules.length,
+            deleteCount: 0,
+            items: [rule],
+        }]);
+
+        await this._updateOptions();
+    }
+}
+
+class AnkiCardPresetRuleEntry {
+    /**
+     * @param {AnkiCardPresetsController} parent
+     * @param {import('settings').AnkiCardPresetRule} data
+     * @param {number} presetIndex
+     * @param {number} index
+     * @param {HTMLElement} node
+     */
+    constructor(parent, data, presetIndex, index, node) {
+        /** @type {AnkiCardPresetsController} */
+        this._parent = parent;
+        /** @type {import('settings').AnkiCardPresetRule} */
+        this._data = data;
+        /** @type {number} */
+        this._presetIndex = presetIndex;
+        /** @type {number} */
+        this._index = index;
+        /** @type {HTMLElement} */
+        this._node = node;
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {?HTMLInputElement} */
+        this._valueInput = null;
+        /** @type {string} */
+        this._basePath = `anki.cardPresets[${presetIndex}].rules[${index}]`;
+    }
+
+    /** */
+    prepare() {
+        const {type, value, deck, model} = this._data;
+        const node = this._node;
+
+        /** @type {HTMLSelectElement} */
+        const typeSelect = querySelectorNotNull(node, '.anki-card-preset-rule-type');
+        /** @type {HTMLInputElement} */
+        const valueInput = querySelectorNotNull(node, '.anki-card-preset-rule-value');
+        /** @type {HTMLInputElement} */
+        const deckInput = querySelectorNotNull(node, '.anki-card-preset-rule-deck');
+        /** @type {HTMLInputElement} */
+        const modelInput = querySelectorNotNull(node, '.anki-card-preset-rule-model');
+        /** @type {HTMLButtonElement} */
+        const menuButton = querySelectorNotNull(node, '.anki-card-preset-rule-entry-button');
+
+        this._valueInput = valueInput;
+
+        typeSelect.value = type;
+        valueInput.value = value;
+        deckInput.value = deck;
+        modelInput.value = model;
+        this._updateValueInput(type);
+
+        typeSelect.dataset.setting = `${this._basePath}.type`;
+        valueInput.dataset.setting = `${this._basePath}.value`;
+        deckInput.dataset.setting = `${this._basePath}.deck`;
+        modelInput.dataset.setting = `${this._basePath}.model`;
+
+        this._eventListeners.addEventListener(typeSelect, 'change', this._onTypeSelectChange.bind(this), false);
+        this._eventListeners.addEventListener(menuButton, 'menuClose', this._onMenuClose.bind(this), false);
+    }
+
+    /** */
+    cleanup() {
+        this._eventListeners.removeAllEventListeners();
+        if (this._node.parentNode !== null) {
+            this._node.parentNode.removeChild(this._node);
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {Event} e
+     */
+    _onTypeSelectChange(e) {
+        const element = /** @type {HTMLSelectElement} */ (e.currentTarget);
+        this._updateValueInput(element.value);
+    }
+
+    /**
+     * @param {import('popup-menu').MenuCloseEvent} e
+     */
+    _onMenuClose(e) {
+        switch (e.detail.action) {
+            case 'delete':
+                void this._parent.deleteRule(this._presetIndex, this._index);
+                break;
+        }
+    }
+
+    /**
+     * @param {string} type
+     */
+    _updateValueInput(type) {
+        const node = this._valueInput;
+        if (node === null) { return; }
+        switch (type) {
+            case 'dictionary':
+                node.setAttribute('list', this._parent.dictionaryList.id);
+                node.placeholder = 'Dictionary title';
+                break;
+            case 'language':
+                node.removeAttribute('list');
+                node.placeholder = 'Language code, e.g. ja';
+                break;
+            case 'partOfSpeech':
+                node.removeAttribute('list');
+                node.placeholder = 'Part of speech, e.g. v5';
+                break;
+        }
+    }
+}
@@ -156,6 +156,21 @@ export class AnkiController {
         return getRequiredPermissionsForAnkiFieldValue(fieldValue);
     }
 
+    /**
+     * Changes which card format is shown in the Anki cards modal.
+     * @param {string} ankiCardType Either `terms`, `kanji`, or `preset-{index}` for an entry of `anki.cardPresets`.
+     * @param {string} [ankiCardMenu]
+     */
+    setAnkiCardPrimaryType(ankiCardType, ankiCardMenu) {
+        if (this._ankiCardPrimary === null) { return; }
+        this._ankiCardPrimary.dataset.ankiCardType = ankiCardType;
+        if (typeof ankiCardMenu !== 'undefined') {
+            this._ankiCardPrimary.dataset.ankiCardMenu = ankiCardMenu;
+        } else {
+            delete this._ankiCardPrimary.dataset.ankiCardMenu;
+        }
+    }
+
     // Private
 
     /** */
@@ -210,7 +225,7 @@ export class AnkiController {
         if (!node.checked) { return; }
         const {value, ankiCardMenu} = node.dataset;
         if (typeof value !== 'string') { return; }
-        this._setAnkiCardPrimaryType(value, ankiCardMenu);
+        this.setAnkiCardPrimaryType(value, ankiCardMenu);
     }
 
     /** */
@@ -265,20 +280,6 @@ export class AnkiController {
         this._duplicateOverwriteWarning.hidden = behavior !== 'overwrite';
     }
 
-    /**
-     * @param {string} ankiCardType
-     * @param {string} [ankiCardMenu]
-     */
-    _setAnkiCardPrimaryType(ankiCardType, ankiCardMenu) {
-        if (this._ankiCardPrimary === null) { return; }
-        this._ankiCardPrimary.dataset.ankiCardType = ankiCardType;
-        if (typeof ankiCardMenu !== 'undefined') {
-            this._ankiCardPrimary.dataset.ankiCardMenu = ankiCardMenu;
-        } else {
-            delete this._ankiCardPrimary.dataset.ankiCardMenu;
-        }
-    }
-
     /**
      * @param {Element} node
      * @returns {AnkiCardController}
@@ -598,6 +599,10 @@ class AnkiCardController {
         const cardOptions = this._getCardOptions(ankiOptions, this._optionsType);
         if (cardOptions === null) { return; }
         const {deck, model, fields} = cardOptions;
+        const cardPresetIndex = getAnkiCardPresetIndex(this._optionsType);
+        if (cardPresetIndex !== null) {
+            this._dictionaryEntryType = ankiOptions.cardPresets[cardPresetIndex].mode === 'kanji' ? 'kanji' : 'term';
+        }
         /** @type {HTMLSelectElement} */
         const deckControllerSelect = querySelectorNotNull(this._node, '.anki-card-deck');
         /** @type {HTMLSelectElement} */
@@ -761,8 +766,20 @@ class AnkiCardController {
         switch (optionsType) {
             case 'terms': return ankiOptions.terms;
             case 'kanji': return ankiOptions.kanji;
-            default: return null;
         }
+        const cardPresetIndex = getAnkiCardPresetIndex(optionsType);
+        return (cardPresetIndex !== null && cardPresetIndex < ankiOptions.cardPresets.length ? ankiOptions.cardPresets[cardPresetIndex] : null);
+    }
+
+    /**
+     * @param {string[]} keys
+     * @returns {string}
+     */
+    _getCardOptionsPath(...keys) {
+        const cardPresetIndex = getAnkiCardPresetIndex(this._optionsType);
+        /** @type {(string|number)[]} */
+        const basePath = (cardPresetIndex !== null ? ['anki', 'cardPresets', cardPresetIndex] : ['anki', this._optionsType]);
+        return ObjectPropertyAccessor.getPathString([...basePath, ...keys]);
     }
 
     /** */
@@ -789,7 +806,7 @@ class AnkiCardController {
             /** @type {HTMLInputElement} */
             const inputField = querySelectorNotNull(content, '.anki-card-field-value');
             inputField.value = fieldValue;
-            inputField.dataset.setting = ObjectPropertyAccessor.getPathString(['anki', this._optionsType, 'fields', fieldName]);
+            inputField.dataset.setting = this._getCardOptionsPath('fields', fieldName);
             void this._validateFieldPermissions(inputField, index, false);
 
             this._fieldEventListeners.addEventListener(inputField, 'change', this._onFieldChange.bind(this, index), false);
@@ -863,7 +880,7 @@ class AnkiCardController {
 
         await this._settingsController.modifyProfileSettings([{
             action: 'set',
-            path: ObjectPropertyAccessor.getPathString(['anki', this._optionsType, 'deck']),
+            path: this._getCardOptionsPath('deck'),
             value,
         }]);
     }
@@ -908,12 +925,12 @@ class AnkiCardController {
         const targets = [
             {
                 action: 'set',
-                path: ObjectPropertyAccessor.getPathString(['anki', this._optionsType, 'model']),
+                path: this._getCardOptionsPath('model'),
                 value,
             },
             {
                 action: 'set',
-                path: ObjectPropertyAccessor.getPathString(['anki', this._optionsType, 'fields']),
+                path: this._getCardOptionsPath('fields'),
                 value: fields,
             },
         ];
@@ -1139,3 +1156,12 @@ class AnkiCardSelectController {
         select.appendChild(fragment);
     }
 }
+
+/**
+ * @param {string} ankiCardType
+ * @returns {?number}
+ */
+export function getAnkiCardPresetIndex(ankiCardType) {
+    const match = /^preset-(\d+)$/.exec(ankiCardType);
+    return match !== null ? Number.parseInt(match[1], 10) : null;
+}
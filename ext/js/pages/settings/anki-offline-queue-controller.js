@@ -0,0 +1,276 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    ZipWriter as ZipWriter0,
+} from '../../../lib/zip.js';
+import {ExtensionError} from '../../core/extension-error.js';
+import {toError} from '../../core/to-error.js';
+import {base64ToArrayBuffer} from '../../data/array-buffer-util.js';
+import {escapeCsvField} from '../../data/string-util.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+/**
+ * Controls the offline note queue modal, which lists the notes that were created while Anki was not connected
+ * and allows them to be sent to Anki or exported to a file.
+ */
+export class AnkiOfflineQueueController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {HTMLElement} */
+        this._countSummary = querySelectorNotNull(document, '#anki-offline-queue-count-summary');
+        /** @type {HTMLElement} */
+        this._status = querySelectorNotNull(document, '#anki-offline-queue-status');
+        /** @type {HTMLElement} */
+        this._list = querySelectorNotNull(document, '#anki-offline-queue-list');
+        /** @type {HTMLButtonElement} */
+        this._syncButton = querySelectorNotNull(document, '#anki-offline-queue-sync-button');
+        /** @type {HTMLButtonElement} */
+        this._exportButton = querySelectorNotNull(document, '#anki-offline-queue-export-button');
+        /** @type {HTMLButtonElement} */
+        this._clearButton = querySelectorNotNull(document, '#anki-offline-queue-clear-button');
+        /** @type {HTMLButtonElement} */
+        this._clearConfirmButton = querySelectorNotNull(document, '#anki-offline-queue-clear-confirm-button');
+        /** @type {import('anki-offline-queue').QueuedNoteWithId[]} */
+        this._queuedNotes = [];
+        /** @type {boolean} */
+        this._busy = false;
+    }
+
+    /** */
+    async prepare() {
+        const modal = this._modalController.getModal('anki-offline-queue');
+        if (modal !== null) {
+            modal.on('visibilityChanged', this._onModalVisibilityChanged.bind(this));
+        }
+
+        this._syncButton.addEventListener('click', this._onSyncButtonClick.bind(this), false);
+        this._exportButton.addEventListener('click', this._onExportButtonClick.bind(this), false);
+        this._clearButton.addEventListener('click', this._onClearButtonClick.bind(this), false);
+        this._clearConfirmButton.addEventListener('click', this._onClearConfirmButtonClick.bind(this), false);
+
+        await this._updateQueue();
+    }
+
+    // Private
+
+    /**
+     * @param {import('panel-element').EventArgument<'visibilityChanged'>} details
+     */
+    _onModalVisibilityChanged({visible}) {
+        if (!visible) { return; }
+        this._setStatus('');
+        void this._updateQueue();
+    }
+
+    /** */
+    async _onSyncButtonClick() {
+        if (this._busy) { return; }
+        this._setBusy(true);
+        try {
+            this._setStatus('Sending notes to Anki…');
+            const {addedCount, remainingCount, errors} = await this._settingsController.application.api.syncAnkiOfflineQueue();
+            let message = `${addedCount} note${addedCount === 1 ? '' : 's'} added to Anki.`;
+            if (remainingCount > 0) {
+                const errorMessage = errors.length > 0 ? ` ${ExtensionError.deserialize(errors[0]).message}` : '';
+                message += ` ${remainingCount} note${remainingCount === 1 ? '' : 's'} could not be added.${errorMessage}`;
+            }
+            this._setStatus(message);
+        } catch (e) {
+            this._setStatus(`Notes could not be sent to Anki. ${toError(e).message}`);
+        } finally {
+            this._setBusy(false);
+        }
+        await this._updateQueue();
+    }
+
+    /** */
+    async _onExportButtonClick() {
+        if (this._busy) { return; }
+        this._setBusy(true);
+        try {
+            await this._updateQueue();
+            const blob = await this._createExportArchive(this._queuedNotes);
+            const dateString = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+            this._saveBlob(blob, `yomitan-anki-notes-${dateString}.zip`);
+        } catch (e) {
+            this._setStatus(`Notes could not be exported. ${toError(e).message}`);
+        } finally {
+            this._setBusy(false);
+        }
+    }
+
+    /** */
+    _onClearButtonClick() {
+        const modal = this._modalController.getModal('anki-offline-queue-clear');
+        if (modal !== null) { modal.setVisible(true); }
+    }
+
+    /** */
+    async _onClearConfirmButtonClick() {
+        const modal = this._modalController.getModal('anki-offline-queue-clear');
+        if (modal !== null) { modal.setVisible(false); }
+        await this._settingsController.application.api.clearAnkiOfflineQueue();
+        this._setStatus('');
+        await this._updateQueue();
+    }
+
+    /** */
+    async _updateQueue() {
+        this._queuedNotes = await this._settingsController.application.api.getAnkiOfflineQueue();
+
+        const count = this._queuedNotes.length;
+        this._countSummary.textContent = `${count} note${count === 1 ? '' : 's'}`;
+        this._updateButtons();
+
+        const fragment = document.createDocumentFragment();
+        for (const queuedNote of this._queuedNotes) {
+            fragment.appendChild(this._createEntryNode(queuedNote));
+        }
+        this._list.textContent = '';
+        this._list.appendChild(fragment);
+    }
+
+    /**
+     * @param {import('anki-offline-queue').QueuedNoteWithId} queuedNote
+     * @returns {HTMLElement}
+     */
+    _createEntryNode({note: {fields, deckName, modelName}, timestamp}) {
+        const node = document.createElement('div');
+        node.className = 'anki-offline-queue-entry';
+
+        const firstFieldValue = Object.values(fields).find((value) => value.length > 0);
+        const textNode = document.createElement('div');
+        textNode.className = 'anki-offline-queue-entry-text';
+        textNode.textContent = typeof firstFieldValue === 'string' ? this._getHtmlText(firstFieldValue) : '';
+        node.appendChild(textNode);
+
+        const infoNode = document.createElement('div');
+        infoNode.className = 'anki-offline-queue-entry-info';
+        infoNode.textContent = `${deckName} · ${modelName} · ${new Date(timestamp).toLocaleString()}`;
+        node.appendChild(infoNode);
+
+        return node;
+    }
+
+    /**
+     * @param {string} html
+     * @returns {string}
+     */
+    _getHtmlText(html) {
+        const document2 = new DOMParser().parseFromString(html, 'text/html');
+        return (document2.body.textContent ?? '').trim();
+    }
+
+    /**
+     * @param {boolean} value
+     */
+    _setBusy(value) {
+        this._busy = value;
+        this._updateButtons();
+    }
+
+    /** */
+    _updateButtons() {
+        const disabled = this._busy || this._queuedNotes.length === 0;
+        this._syncButton.disabled = disabled;
+        this._exportButton.disabled = disabled;
+        this._clearButton.disabled = disabled;
+    }
+
+    /**
+     * @param {string} message
+     */
+    _setStatus(message) {
+        this._status.textContent = message;
+        this._status.hidden = (message.length === 0);
+    }
+
+    /**
+     * Creates a zip archive containing the notes in Anki's CSV import format, along with their media files.
+     * @param {import('anki-offline-queue').QueuedNoteWithId[]} queuedNotes
+     * @returns {Promise<Blob>}
+     */
+    async _createExportArchive(queuedNotes) {
+        /** @type {Set<string>} */
+        const fileNames = new Set();
+        for (const {mediaFileNames} of queuedNotes) {
+            for (const fileName of mediaFileNames) {
+                fileNames.add(fileName);
+            }
+        }
+        const mediaList = await this._settingsController.application.api.getAnkiOfflineMedia([...fileNames]);
+
+        // Media files are generally already compressed, so no compression is used.
+        const zipWriter = new ZipWriter(new BlobWriter(), {level: 0});
+        const addOptions = {useWebWorkers: false};
+        await zipWriter.add('notes.csv', new TextReader(this._createCsv(queuedNotes)), addOptions);
+        for (const {fileName, content} of mediaList) {
+            await zipWriter.add(`media/${fileName}`, new Uint8ArrayReader(new Uint8Array(base64ToArrayBuffer(content))), addOptions);
+        }
+        return await zipWriter.close();
+    }
+
+    /**
+     * @param {import('anki-offline-queue').QueuedNoteWithId[]} queuedNotes
+     * @returns {string}
+     */
+    _createCsv(queuedNotes) {
+        const lines = [
+            '#separator:Comma',
+            '#html:true',
+            '#notetype column:1',
+            '#deck column:2',
+            '#tags column:3',
+        ];
+        for (const {note: {fields, deckName, modelName, tags}} of queuedNotes) {
+            const values = [modelName, deckName, tags.join(' '), ...Object.values(fields)];
+            lines.push(values.map((value) => escapeCsvField(value)).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+}
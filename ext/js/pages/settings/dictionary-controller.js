@@ -16,16 +16,12 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import * as ajvSchemas0 from '../../../lib/validate-schemas.js';
 import {EventListenerCollection} from '../../core/event-listener-collection.js';
-import {readResponseJson} from '../../core/json.js';
 import {log} from '../../core/log.js';
-import {compareRevisions} from '../../dictionary/dictionary-data-util.js';
+import {getDictionaryUpdate} from '../../dictionary/dictionary-updater.js';
 import {DictionaryWorker} from '../../dictionary/dictionary-worker.js';
 import {querySelectorNotNull} from '../../dom/query-selector.js';
 
-const ajvSchemas = /** @type {import('dictionary-importer').CompiledSchemaValidators} */ (/** @type {unknown} */ (ajvSchemas0));
-
 class DictionaryEntry {
     /**
      * @param {DictionaryController} dictionaryController
@@ -127,29 +123,18 @@ class DictionaryEntry {
      */
     async checkForUpdate() {
         this._updatesAvailable.hidden = true;
-        const {isUpdatable, indexUrl, revision: currentRevision, downloadUrl: currentDownloadUrl} = this._dictionaryInfo;
-        if (!isUpdatable || !indexUrl || !currentDownloadUrl) { return false; }
-        const response = await fetch(indexUrl);
-
-        /** @type {unknown} */
-        const index = await readResponseJson(response);
-
-        if (!ajvSchemas.dictionaryIndex(index)) {
-            throw new Error('Invalid dictionary index');
-        }
-
-        const validIndex = /** @type {import('dictionary-data').Index} */ (index);
-        const {revision: latestRevision, downloadUrl: latestDownloadUrl} = validIndex;
-
-        if (!compareRevisions(currentRevision, latestRevision)) {
-            return false;
-        }
-
-        const downloadUrl = latestDownloadUrl ?? currentDownloadUrl;
+        const update = await getDictionaryUpdate(this._dictionaryInfo);
+        if (update === null) { return false; }
+        this.setUpdateAvailable(update.downloadUrl);
+        return true;
+    }
 
+    /**
+     * @param {string} downloadUrl
+     */
+    setUpdateAvailable(downloadUrl) {
         this._updatesAvailable.dataset.downloadUrl = downloadUrl;
         this._updatesAvailable.hidden = false;
-        return true;
     }
 
     // Private
@@ -161,7 +146,9 @@ class DictionaryEntry {
         const bodyNode = e.detail.menu.bodyNode;
         const count = this._dictionaryController.dictionaryOptionCount;
         this._setMenuActionEnabled(bodyNode, 'moveTo', count > 1);
-        this._setMenuActionEnabled(bodyNode, 'delete', !this._dictionaryController.isDictionaryInDeleteQueue(this.dictionaryTitle));
+        const inDeleteQueue = this._dictionaryController.isDictionaryInDeleteQueue(this.dictionaryTitle);
+        this._setMenuActionEnabled(bodyNode, 'delete', !inDeleteQueue);
+        this._setMenuActionEnabled(bodyNode, 'export', !inDeleteQueue);
     }
 
     /**
@@ -181,6 +168,9 @@ class DictionaryEntry {
             case 'rename':
                 this._showRenameModal();
                 break;
+            case 'export':
+                void this._dictionaryController.exportDictionary(this.dictionaryTitle);
+                break;
         }
     }
 
@@ -219,7 +209,7 @@ class DictionaryEntry {
 
     /** */
     _showDetails() {
-        const {title, revision, version, counts, prefixWildcardsSupported} = this._dictionaryInfo;
+        const {title, revision, version, counts, prefixWildcardsSupported, glossarySearchSupported} = this._dictionaryInfo;
 
         const modal = this._dictionaryController.modalController.getModal('dictionary-details');
         if (modal === null) { return; }
@@ -234,6 +224,8 @@ class DictionaryEntry {
         const countsElement = querySelectorNotNull(modal.node, '.dictionary-counts');
         /** @type {HTMLInputElement} */
         const wildcardSupportedElement = querySelectorNotNull(modal.node, '.dictionary-prefix-wildcard-searches-supported');
+        /** @type {HTMLInputElement} */
+        const glossarySearchSupportedElement = querySelectorNotNull(modal.node, '.dictionary-glossary-search-supported');
         /** @type {HTMLElement} */
         const detailsTableElement = querySelectorNotNull(modal.node, '.dictionary-details-table');
         /** @type {HTMLElement} */
@@ -250,6 +242,7 @@ class DictionaryEntry {
         outdateElement.hidden = (version >= 3);
         countsElement.textContent = this._counts !== null ? JSON.stringify(this._counts, null, 4) : '';
         wildcardSupportedElement.checked = prefixWildcardsSupported;
+        glossarySearchSupportedElement.checked = !!glossarySearchSupported;
         partsOfSpeechFilterSetting.hidden = !counts.terms.total;
         partsOfSpeechFilterToggle.dataset.setting = `dictionaries[${this._index}].partsOfSpeechFilter`;
 
@@ -506,6 +499,8 @@ export class DictionaryController {
         this._extraInfo = null;
         /** @type {boolean} */
         this._isDeleting = false;
+        /** @type {boolean} */
+        this._isExporting = false;
         /** @type {string[]} */
         this._dictionaryDeleteQueue = [];
     }
@@ -589,6 +584,50 @@ export class DictionaryController {
         modal.setVisible(true);
     }
 
+    /**
+     * Exports an installed dictionary and saves it as a dictionary archive file.
+     * @param {string} dictionaryTitle
+     */
+    async exportDictionary(dictionaryTitle) {
+        if (this._isExporting) { return; }
+
+        const statusFooter = this._statusFooter;
+        const progressSelector = '.dictionary-export-progress';
+        const progressContainers = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`#dictionaries-modal ${progressSelector}`));
+        const progressBars = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-bar`));
+        const infoLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-info`));
+        const statusLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-status`));
+        try {
+            this._isExporting = true;
+
+            /**
+             * @param {import('dictionary-exporter').ProgressData} details
+             */
+            const onProgress = ({index, count}) => {
+                const percent = count > 0 ? (index / count) * 100 : 0;
+                const cssString = `${percent}%`;
+                const statusString = `${percent.toFixed(0)}%`;
+                for (const progressBar of progressBars) { progressBar.style.width = cssString; }
+                for (const label of statusLabels) { label.textContent = statusString; }
+            };
+
+            onProgress({index: 0, count: 0});
+
+            for (const progress of progressContainers) { progress.hidden = false; }
+            for (const label of infoLabels) { label.textContent = 'Exporting dictionary...'; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, true); }
+
+            const blob = await new DictionaryWorker().exportDictionary(dictionaryTitle, {compressionLevel: 6}, onProgress);
+            this._saveBlob(blob, `${dictionaryTitle}.zip`);
+        } catch (e) {
+            log.error(e);
+        } finally {
+            for (const progress of progressContainers) { progress.hidden = true; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, false); }
+            this._isExporting = false;
+        }
+    }
+
     /**
      * @param {number} currentIndex
      * @param {number} targetIndex
@@ -787,6 +826,14 @@ export class DictionaryController {
             if (typeof dictionaryInfo === 'undefined') { continue; }
             this._createDictionaryEntry(i, dictionaryInfo);
         }
+
+        const dictionaryUpdates = await this._settingsController.application.api.getDictionaryUpdates();
+        for (const {title, revision, downloadUrl} of dictionaryUpdates) {
+            const dictionaryInfo = dictionaryInfoMap.get(title);
+            if (typeof dictionaryInfo === 'undefined' || dictionaryInfo.revision !== revision) { continue; }
+            const entry = this._dictionaryEntries.find((item) => item.dictionaryTitle === title);
+            if (typeof entry !== 'undefined') { entry.setUpdateAvailable(downloadUrl); }
+        }
     }
 
     /**
@@ -1139,9 +1186,35 @@ export class DictionaryController {
         downloadUrl = downloadUrl ?? dictionaryInfo.downloadUrl;
         if (typeof downloadUrl !== 'string') { throw new Error('Attempted to update dictionary without download URL'); }
 
-        await this._deleteDictionary(dictionaryTitle);
+        const statusFooter = this._statusFooter;
+        const progressSelector = '.dictionary-import-progress';
+        const progressContainers = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`#dictionaries-modal ${progressSelector}`));
+        const progressBars = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-bar`));
+        const infoLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-info`));
+        const statusLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-status`));
+        const prevention = this._settingsController.preventPageExit();
+        try {
+            this._isDeleting = true;
+            this._setButtonsEnabled(false);
 
-        this._settingsController.trigger('importDictionaryFromUrl', {url: downloadUrl});
+            // The backend does not report progress, so the progress bar is shown as full while the update runs.
+            for (const progressBar of progressBars) { progressBar.style.width = '100%'; }
+            for (const label of statusLabels) { label.textContent = ''; }
+            for (const label of infoLabels) { label.textContent = 'Updating dictionary...'; }
+            for (const progress of progressContainers) { progress.hidden = false; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, true); }
+
+            await this._settingsController.application.api.updateDictionary(dictionaryTitle, downloadUrl);
+        } catch (e) {
+            log.error(e);
+        } finally {
+            prevention.end();
+            for (const progress of progressContainers) { progress.hidden = true; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, false); }
+            this._setButtonsEnabled(true);
+            this._isDeleting = false;
+            this._triggerStorageChanged();
+        }
     }
 
     /**
@@ -1188,6 +1261,21 @@ export class DictionaryController {
         await this._settingsController.modifyGlobalSettings(targets);
     }
 
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+
     /** */
     _triggerStorageChanged() {
         this._settingsController.application.triggerStorageChanged();
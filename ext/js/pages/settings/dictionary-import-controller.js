@@ -539,6 +539,7 @@ export class DictionaryImportController {
             const optionsFull = await this._settingsController.getOptionsFull();
             const importDetails = {
                 prefixWildcardsSupported: optionsFull.global.database.prefixWildcardsSupported,
+                glossarySearchSupported: optionsFull.global.database.glossarySearchSupported,
             };
 
             for (let i = 0; i < importProgressTracker.dictionaryCount; ++i) {
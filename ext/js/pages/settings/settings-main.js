@@ -20,8 +20,10 @@ import {Application} from '../../application.js';
 import {DocumentFocusController} from '../../dom/document-focus-controller.js';
 import {querySelectorNotNull} from '../../dom/query-selector.js';
 import {ExtensionContentController} from '../common/extension-content-controller.js';
+import {AnkiCardPresetsController} from './anki-card-presets-controller.js';
 import {AnkiController} from './anki-controller.js';
 import {AnkiDeckGeneratorController} from './anki-deck-generator-controller.js';
+import {AnkiOfflineQueueController} from './anki-offline-queue-controller.js';
 import {AnkiTemplatesController} from './anki-templates-controller.js';
 import {AudioController} from './audio-controller.js';
 import {BackupController} from './backup-controller.js';
@@ -50,6 +52,7 @@ import {SortFrequencyDictionaryController} from './sort-frequency-dictionary-con
 import {StatusFooter} from './status-footer.js';
 import {StorageController} from './storage-controller.js';
 import {TranslationTextReplacementsController} from './translation-text-replacements-controller.js';
+import {WordStatusController} from './word-status-controller.js';
 
 /**
  * @param {GenericSettingController} genericSettingController
@@ -126,9 +129,15 @@ await Application.main(true, async (application) => {
     const ankiController = new AnkiController(settingsController);
     preparePromises.push(ankiController.prepare());
 
+    const ankiCardPresetsController = new AnkiCardPresetsController(settingsController, ankiController);
+    preparePromises.push(ankiCardPresetsController.prepare());
+
     const ankiDeckGeneratorController = new AnkiDeckGeneratorController(application, settingsController, modalController, ankiController);
     preparePromises.push(ankiDeckGeneratorController.prepare());
 
+    const ankiOfflineQueueController = new AnkiOfflineQueueController(settingsController, modalController);
+    preparePromises.push(ankiOfflineQueueController.prepare());
+
     const ankiTemplatesController = new AnkiTemplatesController(application, settingsController, modalController, ankiController);
     preparePromises.push(ankiTemplatesController.prepare());
 
@@ -174,6 +183,9 @@ await Application.main(true, async (application) => {
     const sortFrequencyDictionaryController = new SortFrequencyDictionaryController(settingsController);
     preparePromises.push(sortFrequencyDictionaryController.prepare());
 
+    const wordStatusController = new WordStatusController(settingsController, modalController);
+    preparePromises.push(wordStatusController.prepare());
+
 
     await Promise.all(preparePromises);
 
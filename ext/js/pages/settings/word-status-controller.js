@@ -0,0 +1,124 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {toError} from '../../core/to-error.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+/**
+ * Controls the word status settings, which show how many words are known or being learned
+ * and allow the statuses to be imported from Anki or cleared.
+ */
+export class WordStatusController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {HTMLElement} */
+        this._countSummary = querySelectorNotNull(document, '#word-status-count-summary');
+        /** @type {HTMLElement} */
+        this._status = querySelectorNotNull(document, '#word-status-status');
+        /** @type {HTMLButtonElement} */
+        this._ankiImportButton = querySelectorNotNull(document, '#word-status-anki-import-button');
+        /** @type {HTMLButtonElement} */
+        this._clearButton = querySelectorNotNull(document, '#word-status-clear-button');
+        /** @type {HTMLButtonElement} */
+        this._clearConfirmButton = querySelectorNotNull(document, '#word-status-clear-confirm-button');
+        /** @type {boolean} */
+        this._busy = false;
+    }
+
+    /** */
+    async prepare() {
+        this._ankiImportButton.addEventListener('click', this._onAnkiImportButtonClick.bind(this), false);
+        this._clearButton.addEventListener('click', this._onClearButtonClick.bind(this), false);
+        this._clearConfirmButton.addEventListener('click', this._onClearConfirmButtonClick.bind(this), false);
+        this._settingsController.application.on('databaseUpdated', this._onDatabaseUpdated.bind(this));
+
+        this._setStatus('');
+        await this._updateCounts();
+    }
+
+    // Private
+
+    /**
+     * @param {import('application').EventArgument<'databaseUpdated'>} details
+     */
+    _onDatabaseUpdated({type}) {
+        if (type !== 'wordStatus') { return; }
+        void this._updateCounts();
+    }
+
+    /** */
+    async _onAnkiImportButtonClick() {
+        if (this._busy) { return; }
+        this._setBusy(true);
+        try {
+            this._setStatus('Importing words from Anki…');
+            const optionsContext = this._settingsController.getOptionsContext();
+            const {knownCount, learningCount} = await this._settingsController.application.api.importWordStatusesFromAnki(optionsContext);
+            this._setStatus(`Imported ${knownCount} known and ${learningCount} learning word${learningCount === 1 ? '' : 's'}.`);
+        } catch (e) {
+            this._setStatus(`Words could not be imported from Anki. ${toError(e).message}`);
+        } finally {
+            this._setBusy(false);
+        }
+        await this._updateCounts();
+    }
+
+    /** */
+    _onClearButtonClick() {
+        const modal = this._modalController.getModal('word-status-clear');
+        if (modal !== null) { modal.setVisible(true); }
+    }
+
+    /** */
+    async _onClearConfirmButtonClick() {
+        const modal = this._modalController.getModal('word-status-clear');
+        if (modal !== null) { modal.setVisible(false); }
+        await this._settingsController.application.api.clearWordStatuses();
+        this._setStatus('');
+        await this._updateCounts();
+    }
+
+    /** */
+    async _updateCounts() {
+        const {known, learning} = await this._settingsController.application.api.getWordStatusCounts();
+        this._countSummary.textContent = `${known} known, ${learning} learning`;
+    }
+
+    /**
+     * @param {boolean} value
+     */
+    _setBusy(value) {
+        this._busy = value;
+        this._ankiImportButton.disabled = value;
+        this._clearButton.disabled = value;
+    }
+
+    /**
+     * @param {string} message
+     */
+    _setStatus(message) {
+        this._status.textContent = message;
+        this._status.hidden = (message.length === 0);
+    }
+}
@@ -0,0 +1,223 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {isCodePointJapanese} from '../language/ja/japanese.js';
+
+/**
+ * The baseline distance, relative to the font height, above which two lines of text
+ * are considered to belong to separate paragraphs.
+ */
+const PARAGRAPH_LINE_DISTANCE = 2;
+
+/**
+ * The ascent used for fonts which don't specify one, relative to the font height.
+ */
+const DEFAULT_FONT_ASCENT = 0.8;
+
+/**
+ * A text layer for a rendered PDF page.
+ *
+ * The PDF.js text layer positions every fragment absolutely, which `DOMTextScanner` treats as
+ * separate blocks of text. Instead, this text layer adds the fragments as inline content of a single
+ * text flow, joining the lines of a paragraph with spaces where the language requires them, and then
+ * moves each fragment into place using relative positioning. This way, text scanning and sentence
+ * extraction continue across fragment and line boundaries, and only stop at paragraph breaks.
+ */
+export class PdfTextLayer {
+    /**
+     * @param {HTMLElement} container The element which the text fragments are added to.
+     */
+    constructor(container) {
+        /** @type {HTMLElement} */
+        this._container = container;
+    }
+
+    /**
+     * Replaces the content of the text layer with the text content of a page.
+     * @param {import('pdf-viewer').TextContent} textContent
+     * @param {import('pdf-viewer').PageViewport} viewport
+     */
+    render({items, styles}, viewport) {
+        const container = this._container;
+        container.textContent = '';
+
+        const fragment = document.createDocumentFragment();
+        /** @type {import('pdf-viewer').Fragment[]} */
+        const fragments = [];
+        /** @type {?{text: string, position: import('pdf-viewer').FragmentPosition}} */
+        let previous = null;
+        let lineEnded = false;
+        for (const item of items) {
+            if (!('str' in item)) { continue; }
+            const {str, hasEOL} = item;
+            if (str.length > 0) {
+                const style = styles[item.fontName];
+                const position = this._getFragmentPosition(item, style, viewport);
+
+                if (previous !== null) {
+                    let separator = '';
+                    if (isParagraphBreak(previous.position, position)) {
+                        separator = '\n';
+                    } else if (lineEnded) {
+                        separator = getLineBreakSeparator(previous.text, str);
+                    }
+                    if (separator.length > 0) {
+                        fragment.appendChild(document.createTextNode(separator));
+                    }
+                }
+
+                const element = document.createElement('span');
+                element.className = 'pdf-text-layer-fragment';
+                element.textContent = str;
+                element.style.fontSize = `${position.fontHeight}px`;
+                if (typeof style !== 'undefined') {
+                    element.style.fontFamily = style.fontFamily;
+                }
+                fragment.appendChild(element);
+                fragments.push({element, position});
+
+                previous = {text: str, position};
+                lineEnded = false;
+            }
+            if (hasEOL) { lineEnded = true; }
+        }
+
+        container.appendChild(fragment);
+
+        // Measure all fragments before moving any of them, so that layout is only computed once
+        const layouts = fragments.map(({element}) => ({
+            offsetLeft: element.offsetLeft,
+            offsetTop: element.offsetTop,
+            offsetWidth: element.offsetWidth,
+        }));
+        for (let i = 0, ii = fragments.length; i < ii; ++i) {
+            const {element, position: {left, top, angle, width}} = fragments[i];
+            const {offsetLeft, offsetTop, offsetWidth} = layouts[i];
+            element.style.left = `${left - offsetLeft}px`;
+            element.style.top = `${top - offsetTop}px`;
+            /** @type {string[]} */
+            const transforms = [];
+            if (angle !== 0) { transforms.push(`rotate(${angle}rad)`); }
+            if (offsetWidth > 0 && width > 0) { transforms.push(`scaleX(${width / offsetWidth})`); }
+            if (transforms.length > 0) {
+                element.style.transform = transforms.join(' ');
+            }
+        }
+    }
+
+    /**
+     * Removes all content from the text layer.
+     */
+    clear() {
+        this._container.textContent = '';
+    }
+
+    // Private
+
+    /**
+     * @param {import('pdf-viewer').TextItem} item
+     * @param {import('pdf-viewer').TextStyle|undefined} style
+     * @param {import('pdf-viewer').PageViewport} viewport
+     * @returns {import('pdf-viewer').FragmentPosition}
+     */
+    _getFragmentPosition(item, style, viewport) {
+        const viewportTransform = /** @type {number[]} */ (viewport.transform);
+        const itemTransform = /** @type {number[]} */ (/** @type {unknown} */ (item.transform));
+        const [a, b, c, d, e, f] = multiplyTransforms(viewportTransform, itemTransform);
+        const vertical = (typeof style !== 'undefined' && style.vertical);
+        let angle = Math.atan2(b, a);
+        if (vertical) { angle += Math.PI / 2; }
+        const fontHeight = Math.hypot(c, d);
+        const ascent = (typeof style !== 'undefined' && style.ascent > 0 ? style.ascent : DEFAULT_FONT_ASCENT) * fontHeight;
+        return {
+            left: e + ascent * Math.sin(angle),
+            top: f - ascent * Math.cos(angle),
+            baselineX: e,
+            baselineY: f,
+            angle,
+            fontHeight,
+            width: (vertical ? item.height : item.width) * viewport.scale,
+        };
+    }
+}
+
+/**
+ * Gets the text which should be inserted between two lines of the same paragraph.
+ * Text written without spaces between words, such as Japanese or Chinese, is joined directly.
+ * @param {string} previousText The text at the end of the previous line.
+ * @param {string} nextText The text at the start of the next line.
+ * @returns {string} Either a space or an empty string.
+ */
+export function getLineBreakSeparator(previousText, nextText) {
+    const previousCharacter = [...previousText].pop();
+    const previousCodePoint = typeof previousCharacter !== 'undefined' ? previousCharacter.codePointAt(0) : void 0;
+    const nextCodePoint = nextText.codePointAt(0);
+    if (typeof previousCodePoint === 'undefined' || typeof nextCodePoint === 'undefined') { return ''; }
+    if (isWhitespaceCodePoint(previousCodePoint) || isWhitespaceCodePoint(nextCodePoint)) { return ''; }
+    if (isCodePointJapanese(previousCodePoint) && isCodePointJapanese(nextCodePoint)) { return ''; }
+    return ' ';
+}
+
+/**
+ * Checks whether two consecutive text fragments are far enough apart to belong to different paragraphs.
+ * The distance is measured perpendicular to the direction of the previous fragment,
+ * so that vertical text is handled in the same way as horizontal text.
+ * @param {import('pdf-viewer').FragmentPosition} previous
+ * @param {import('pdf-viewer').FragmentPosition} next
+ * @returns {boolean}
+ */
+export function isParagraphBreak(previous, next) {
+    const {angle} = previous;
+    const dx = next.baselineX - previous.baselineX;
+    const dy = next.baselineY - previous.baselineY;
+    const distance = Math.abs(dy * Math.cos(angle) - dx * Math.sin(angle));
+    return distance > Math.max(previous.fontHeight, next.fontHeight) * PARAGRAPH_LINE_DISTANCE;
+}
+
+/**
+ * @param {number} codePoint
+ * @returns {boolean}
+ */
+function isWhitespaceCodePoint(codePoint) {
+    switch (codePoint) {
+        case 0x09: // Tab ('\t')
+        case 0x0a: // Line feed ('\n')
+        case 0x0d: // Carriage return ('\r')
+        case 0x20: // Space (' ')
+        case 0x3000: // Ideographic space
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Multiplies two affine transformation matrices in the `[a, b, c, d, e, f]` form used by PDF.js.
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]}
+ */
+function multiplyTransforms(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[2] * m2[1],
+        m1[1] * m2[0] + m1[3] * m2[1],
+        m1[0] * m2[2] + m1[2] * m2[3],
+        m1[1] * m2[2] + m1[3] * m2[3],
+        m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+        m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+    ];
+}
@@ -0,0 +1,220 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {toError} from '../core/to-error.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+import {PdfViewer} from './pdf-viewer.js';
+
+/** @type {number[]} */
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+
+/**
+ * Controls the toolbar of the PDF viewer page and the opening of documents,
+ * either from the URL passed to the page or from a local file.
+ */
+export class PdfViewerController {
+    constructor() {
+        /** @type {PdfViewer} */
+        this._viewer = new PdfViewer(querySelectorNotNull(document, '#pdf-pages'));
+        /** @type {HTMLInputElement} */
+        this._fileInput = querySelectorNotNull(document, '#pdf-file-input');
+        /** @type {HTMLButtonElement} */
+        this._openButton = querySelectorNotNull(document, '#pdf-open-button');
+        /** @type {HTMLButtonElement} */
+        this._zoomOutButton = querySelectorNotNull(document, '#pdf-zoom-out-button');
+        /** @type {HTMLButtonElement} */
+        this._zoomInButton = querySelectorNotNull(document, '#pdf-zoom-in-button');
+        /** @type {HTMLElement} */
+        this._zoomLevel = querySelectorNotNull(document, '#pdf-zoom-level');
+        /** @type {HTMLElement} */
+        this._pageIndicator = querySelectorNotNull(document, '#pdf-page-indicator');
+        /** @type {HTMLElement} */
+        this._title = querySelectorNotNull(document, '#pdf-title');
+        /** @type {HTMLElement} */
+        this._message = querySelectorNotNull(document, '#pdf-message');
+        /** @type {number} */
+        this._zoomIndex = ZOOM_LEVELS.indexOf(1);
+        /** @type {?number} */
+        this._pageIndicatorUpdateFrame = null;
+    }
+
+    /** */
+    async prepare() {
+        this._viewer.prepare();
+
+        this._openButton.addEventListener('click', this._onOpenButtonClick.bind(this), false);
+        this._fileInput.addEventListener('change', this._onFileInputChange.bind(this), false);
+        this._zoomOutButton.addEventListener('click', this._onZoomButtonClick.bind(this, -1), false);
+        this._zoomInButton.addEventListener('click', this._onZoomButtonClick.bind(this, 1), false);
+        window.addEventListener('scroll', this._onScroll.bind(this), {passive: true});
+        document.addEventListener('dragover', this._onDragOver.bind(this), false);
+        document.addEventListener('drop', this._onDrop.bind(this), false);
+
+        this._updateZoom();
+
+        const url = this._getUrlFromLocation();
+        if (url !== null) {
+            await this._open({url}, this._getFileNameFromUrl(url));
+        } else {
+            this._showMessage('Open a PDF file, or drop one onto this page.');
+        }
+    }
+
+    // Private
+
+    /** */
+    _onOpenButtonClick() {
+        this._fileInput.click();
+    }
+
+    /** */
+    _onFileInputChange() {
+        const {files} = this._fileInput;
+        if (files === null || files.length === 0) { return; }
+        void this._openFile(files[0]);
+        this._fileInput.value = '';
+    }
+
+    /**
+     * @param {number} direction
+     */
+    _onZoomButtonClick(direction) {
+        this._zoomIndex = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, this._zoomIndex + direction));
+        this._updateZoom();
+    }
+
+    /** */
+    _onScroll() {
+        if (this._pageIndicatorUpdateFrame !== null) { return; }
+        this._pageIndicatorUpdateFrame = requestAnimationFrame(() => {
+            this._pageIndicatorUpdateFrame = null;
+            this._updatePageIndicator();
+        });
+    }
+
+    /**
+     * @param {DragEvent} e
+     */
+    _onDragOver(e) {
+        const {dataTransfer} = e;
+        if (dataTransfer === null || !dataTransfer.types.includes('Files')) { return; }
+        e.preventDefault();
+        dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * @param {DragEvent} e
+     */
+    _onDrop(e) {
+        const {dataTransfer} = e;
+        if (dataTransfer === null || dataTransfer.files.length === 0) { return; }
+        e.preventDefault();
+        void this._openFile(dataTransfer.files[0]);
+    }
+
+    /**
+     * @param {File} file
+     */
+    async _openFile(file) {
+        const data = new Uint8Array(await file.arrayBuffer());
+        await this._open({data}, file.name);
+    }
+
+    /**
+     * @param {import('pdf-viewer').Source} source
+     * @param {string} fileName
+     */
+    async _open(source, fileName) {
+        this._showMessage('Loading…');
+        this._setTitle(fileName);
+        try {
+            await this._viewer.open(source);
+        } catch (e) {
+            await this._viewer.close();
+            this._showMessage(`The PDF file could not be opened: ${toError(e).message}`);
+            this._updatePageIndicator();
+            return;
+        }
+        this._showMessage(null);
+        this._updatePageIndicator();
+
+        const title = await this._viewer.getTitle();
+        if (title !== null) {
+            this._setTitle(title);
+        }
+    }
+
+    /** */
+    _updateZoom() {
+        const zoom = ZOOM_LEVELS[this._zoomIndex];
+        this._viewer.setZoom(zoom);
+        this._zoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+        this._zoomOutButton.disabled = (this._zoomIndex <= 0);
+        this._zoomInButton.disabled = (this._zoomIndex >= ZOOM_LEVELS.length - 1);
+    }
+
+    /** */
+    _updatePageIndicator() {
+        const pageCount = this._viewer.pageCount;
+        this._pageIndicator.textContent = pageCount > 0 ? `${this._viewer.getCurrentPageNumber()} / ${pageCount}` : '';
+    }
+
+    /**
+     * @param {string} title
+     */
+    _setTitle(title) {
+        this._title.textContent = title;
+        document.title = `${title} - Yomitan PDF Viewer`;
+    }
+
+    /**
+     * @param {?string} message
+     */
+    _showMessage(message) {
+        this._message.textContent = message !== null ? message : '';
+        this._message.hidden = (message === null);
+    }
+
+    /**
+     * Gets the URL of the PDF file passed to the page.
+     * The URL follows `?file=` without being encoded, since links which are redirected to the viewer can't be encoded.
+     * @returns {?string}
+     */
+    _getUrlFromLocation() {
+        const {href} = location;
+        const prefix = '?file=';
+        const index = href.indexOf(prefix);
+        if (index < 0) { return null; }
+        const url = href.substring(index + prefix.length);
+        return url.length > 0 ? url : null;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {string}
+     */
+    _getFileNameFromUrl(url) {
+        try {
+            const {pathname} = new URL(url);
+            const fileName = decodeURIComponent(pathname.substring(pathname.lastIndexOf('/') + 1));
+            if (fileName.length > 0) { return fileName; }
+        } catch (e) {
+            // NOP
+        }
+        return url;
+    }
+}
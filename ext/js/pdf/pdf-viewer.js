@@ -0,0 +1,284 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as pdfjs0 from '../../lib/pdfjs.js';
+import {log} from '../core/log.js';
+import {PdfTextLayer} from './pdf-text-layer.js';
+
+const pdfjs = /** @type {typeof import('pdfjs-dist')} */ (/** @type {unknown} */ (pdfjs0));
+
+/**
+ * The number of CSS pixels per PDF unit at a zoom level of 100%.
+ */
+const CSS_UNITS_PER_PDF_UNIT = 96 / 72;
+
+/**
+ * Renders the pages of a PDF document using PDF.js, along with a scannable text layer for each page.
+ * Pages are only rendered while they are near the visible area of the document.
+ */
+export class PdfViewer {
+    /**
+     * @param {HTMLElement} container The element which pages are added to.
+     */
+    constructor(container) {
+        /** @type {HTMLElement} */
+        this._container = container;
+        /** @type {?import('pdf-viewer').Document} */
+        this._document = null;
+        /** @type {import('pdf-viewer').PageState[]} */
+        this._pages = [];
+        /** @type {Map<Element, import('pdf-viewer').PageState>} */
+        this._pageElementMap = new Map();
+        /** @type {Set<import('pdf-viewer').PageState>} */
+        this._visiblePages = new Set();
+        /** @type {number} */
+        this._zoom = 1;
+        /** @type {IntersectionObserver} */
+        this._intersectionObserver = new IntersectionObserver(this._onIntersection.bind(this), {rootMargin: '100% 0px'});
+    }
+
+    /**
+     * The number of pages in the current document.
+     * @type {number}
+     */
+    get pageCount() {
+        return this._pages.length;
+    }
+
+    /**
+     * The zoom level, where `1` corresponds to the physical size of the page.
+     * @type {number}
+     */
+    get zoom() {
+        return this._zoom;
+    }
+
+    /** */
+    prepare() {
+        pdfjs.GlobalWorkerOptions.workerSrc = '/lib/pdfjs-worker.js';
+    }
+
+    /**
+     * Opens a document, replacing the current one.
+     * @param {import('pdf-viewer').Source} source
+     */
+    async open(source) {
+        await this.close();
+
+        const pdfDocument = await pdfjs.getDocument({
+            ...source,
+            cMapUrl: '/lib/pdfjs/cmaps/',
+            cMapPacked: true,
+            standardFontDataUrl: '/lib/pdfjs/standard_fonts/',
+            isEvalSupported: false,
+        }).promise;
+        this._document = pdfDocument;
+
+        for (let pageNumber = 1, pageCount = pdfDocument.numPages; pageNumber <= pageCount; ++pageNumber) {
+            const page = await pdfDocument.getPage(pageNumber);
+            if (this._document !== pdfDocument) { return; }
+            this._pages.push(this._createPage(pageNumber, page));
+        }
+    }
+
+    /**
+     * Closes the current document.
+     */
+    async close() {
+        const pdfDocument = this._document;
+        this._document = null;
+        for (const state of this._pages) {
+            this._intersectionObserver.unobserve(state.container);
+            if (state.renderTask !== null) { state.renderTask.cancel(); }
+        }
+        this._pages = [];
+        this._pageElementMap.clear();
+        this._visiblePages.clear();
+        this._container.textContent = '';
+        if (pdfDocument !== null) {
+            await pdfDocument.destroy();
+        }
+    }
+
+    /**
+     * Gets the title from the metadata of the current document.
+     * @returns {Promise<?string>}
+     */
+    async getTitle() {
+        if (this._document === null) { return null; }
+        const {info} = await this._document.getMetadata();
+        const title = (typeof info === 'object' && info !== null ? /** @type {{Title?: unknown}} */ (info).Title : void 0);
+        return (typeof title === 'string' && title.length > 0 ? title : null);
+    }
+
+    /**
+     * Changes the zoom level, keeping the current scroll position within the document.
+     * @param {number} zoom
+     */
+    setZoom(zoom) {
+        if (zoom === this._zoom) { return; }
+        const scrollingElement = /** @type {Element} */ (document.scrollingElement);
+        const scrollRatio = scrollingElement.scrollHeight > 0 ? scrollingElement.scrollTop / scrollingElement.scrollHeight : 0;
+
+        this._zoom = zoom;
+        for (const state of this._pages) {
+            this._updatePageSize(state);
+            state.textLayer.clear();
+        }
+
+        scrollingElement.scrollTop = scrollRatio * scrollingElement.scrollHeight;
+        for (const state of this._visiblePages) {
+            void this._renderPage(state);
+        }
+    }
+
+    /**
+     * Gets the number of the page at the top of the visible area.
+     * @returns {number} The 1-based page number, or `0` if no document is open.
+     */
+    getCurrentPageNumber() {
+        for (const {pageNumber, container} of this._pages) {
+            if (container.getBoundingClientRect().bottom > 0) {
+                return pageNumber;
+            }
+        }
+        return this._pages.length;
+    }
+
+    // Private
+
+    /**
+     * @param {IntersectionObserverEntry[]} entries
+     */
+    _onIntersection(entries) {
+        for (const {target, isIntersecting} of entries) {
+            const state = this._pageElementMap.get(target);
+            if (typeof state === 'undefined') { continue; }
+            if (isIntersecting) {
+                this._visiblePages.add(state);
+                void this._renderPage(state);
+            } else {
+                this._visiblePages.delete(state);
+                this._releasePage(state);
+            }
+        }
+    }
+
+    /**
+     * @param {number} pageNumber
+     * @param {import('pdf-viewer').Page} page
+     * @returns {import('pdf-viewer').PageState}
+     */
+    _createPage(pageNumber, page) {
+        const container = document.createElement('div');
+        container.className = 'pdf-page';
+        container.dataset.pageNumber = `${pageNumber}`;
+        const canvas = document.createElement('canvas');
+        canvas.className = 'pdf-page-canvas';
+        const textLayerContainer = document.createElement('div');
+        textLayerContainer.className = 'pdf-text-layer';
+        container.appendChild(canvas);
+        container.appendChild(textLayerContainer);
+
+        /** @type {import('pdf-viewer').PageState} */
+        const state = {
+            pageNumber,
+            page,
+            container,
+            canvas,
+            textLayer: new PdfTextLayer(textLayerContainer),
+            renderedScale: null,
+            renderTask: null,
+        };
+        this._updatePageSize(state);
+        this._container.appendChild(container);
+        this._pageElementMap.set(container, state);
+        this._intersectionObserver.observe(container);
+        return state;
+    }
+
+    /**
+     * @param {import('pdf-viewer').PageState} state
+     */
+    _updatePageSize({page, container}) {
+        const {width, height} = page.getViewport({scale: this._getScale()});
+        container.style.width = `${width}px`;
+        container.style.height = `${height}px`;
+    }
+
+    /**
+     * @param {import('pdf-viewer').PageState} state
+     */
+    async _renderPage(state) {
+        const scale = this._getScale();
+        if (state.renderedScale === scale) { return; }
+        if (state.renderTask !== null) { state.renderTask.cancel(); }
+
+        const {page, canvas, textLayer} = state;
+        const viewport = page.getViewport({scale});
+        const outputScale = window.devicePixelRatio;
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        const canvasContext = canvas.getContext('2d');
+        if (canvasContext === null) { return; }
+
+        const renderTask = page.render({
+            canvasContext,
+            viewport,
+            transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : void 0,
+        });
+        state.renderTask = renderTask;
+        state.renderedScale = null;
+        try {
+            await renderTask.promise;
+            const textContent = await page.getTextContent();
+            if (state.renderTask !== renderTask) { return; }
+            textLayer.render(textContent, viewport);
+            state.renderedScale = scale;
+        } catch (e) {
+            if (!(e instanceof pdfjs.RenderingCancelledException)) {
+                log.error(e);
+            }
+        } finally {
+            if (state.renderTask === renderTask) {
+                state.renderTask = null;
+            }
+        }
+    }
+
+    /**
+     * Frees the memory used by a page which is no longer near the visible area.
+     * @param {import('pdf-viewer').PageState} state
+     */
+    _releasePage(state) {
+        if (state.renderTask !== null) {
+            state.renderTask.cancel();
+            state.renderTask = null;
+        }
+        state.canvas.width = 0;
+        state.canvas.height = 0;
+        state.textLayer.clear();
+        state.renderedScale = null;
+    }
+
+    /**
+     * @returns {number}
+     */
+    _getScale() {
+        return this._zoom * CSS_UNITS_PER_PDF_UNIT;
+    }
+}
@@ -0,0 +1,348 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobReader as BlobReader0,
+    BlobWriter as BlobWriter0,
+    TextWriter as TextWriter0,
+    ZipReader as ZipReader0,
+} from '../../lib/zip.js';
+
+const BlobReader = /** @type {typeof import('@zip.js/zip.js').BlobReader} */ (/** @type {unknown} */ (BlobReader0));
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextWriter = /** @type {typeof import('@zip.js/zip.js').TextWriter} */ (/** @type {unknown} */ (TextWriter0));
+const ZipReader = /** @type {typeof import('@zip.js/zip.js').ZipReader} */ (/** @type {unknown} */ (ZipReader0));
+
+const EPUB_NAMESPACE = 'http://www.idpf.org/2007/ops';
+
+/**
+ * Reads the contents of an EPUB file: its metadata, the sections in reading order,
+ * the table of contents, and the resources used by the sections.
+ */
+export class EpubBook {
+    constructor() {
+        /** @type {import('reader').ArchiveFileMap} */
+        this._files = new Map();
+        /** @type {import('reader').Metadata} */
+        this._metadata = {identifier: '', title: '', language: '', pageProgressionDirection: null};
+        /** @type {import('reader').SpineItem[]} */
+        this._spine = [];
+        /** @type {import('reader').TableOfContentsEntry[]} */
+        this._tableOfContents = [];
+        /** @type {Map<string, import('reader').ManifestItem>} */
+        this._manifestPathMap = new Map();
+        /** @type {Map<string, string>} */
+        this._resourceUrls = new Map();
+    }
+
+    /**
+     * The metadata of the book.
+     * @type {import('reader').Metadata}
+     */
+    get metadata() {
+        return this._metadata;
+    }
+
+    /**
+     * The sections of the book, in reading order.
+     * @type {import('reader').SpineItem[]}
+     */
+    get spine() {
+        return this._spine;
+    }
+
+    /**
+     * The entries of the table of contents, in order.
+     * @type {import('reader').TableOfContentsEntry[]}
+     */
+    get tableOfContents() {
+        return this._tableOfContents;
+    }
+
+    /**
+     * Reads an EPUB file.
+     * @param {Blob} file
+     * @throws {Error}
+     */
+    async load(file) {
+        const zipReader = new ZipReader(new BlobReader(file), {useWebWorkers: false});
+        for (const entry of await zipReader.getEntries()) {
+            this._files.set(entry.filename, entry);
+        }
+
+        const container = await this._readXml('META-INF/container.xml');
+        const rootFile = container.getElementsByTagNameNS('*', 'rootfile')[0];
+        const packagePath = typeof rootFile !== 'undefined' ? rootFile.getAttribute('full-path') : null;
+        if (packagePath === null) {
+            throw new Error('The EPUB file does not specify a package document');
+        }
+
+        const packageDocument = await this._readXml(packagePath);
+        const manifestIdMap = this._readManifest(packageDocument, packagePath);
+        this._metadata = this._readMetadata(packageDocument);
+        this._spine = this._readSpine(packageDocument, manifestIdMap);
+        if (this._spine.length === 0) {
+            throw new Error('The EPUB file does not contain any sections');
+        }
+        this._tableOfContents = await this._readTableOfContents(packageDocument, manifestIdMap);
+        if (this._metadata.title.length === 0) {
+            this._metadata.title = getFileName(packagePath);
+        }
+    }
+
+    /**
+     * Releases the object URLs created for the resources of the book.
+     */
+    close() {
+        for (const url of this._resourceUrls.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this._resourceUrls.clear();
+    }
+
+    /**
+     * Parses a section of the book.
+     * @param {number} index The index of the section in the spine.
+     * @returns {Promise<Document>}
+     */
+    async getSectionDocument(index) {
+        const {path, mediaType} = this._spine[index];
+        const content = await this._readText(path);
+        const document = new DOMParser().parseFromString(content, mediaType === 'text/html' ? 'text/html' : 'application/xhtml+xml');
+        if (document.getElementsByTagName('parsererror').length > 0) {
+            // Some books contain sections which aren't well-formed XML, which browsers can still display as HTML
+            return new DOMParser().parseFromString(content, 'text/html');
+        }
+        return document;
+    }
+
+    /**
+     * Gets the index of the section with the given path.
+     * @param {string} path
+     * @returns {number} The index of the section in the spine, or `-1` if it isn't part of the spine.
+     */
+    getSectionIndex(path) {
+        return this._spine.findIndex((item) => item.path === path);
+    }
+
+    /**
+     * Gets the entry of the table of contents for the chapter which a section belongs to, which is
+     * the last entry that links to the section or to a section before it.
+     * @param {number} index The index of the section in the spine.
+     * @returns {number} The index of the entry, or `-1` if the section precedes all chapters.
+     */
+    getTableOfContentsIndex(index) {
+        let result = -1;
+        let resultSectionIndex = -1;
+        for (let i = 0, ii = this._tableOfContents.length; i < ii; ++i) {
+            const sectionIndex = this.getSectionIndex(this._tableOfContents[i].path);
+            if (sectionIndex > index) { break; }
+            if (sectionIndex < 0 || sectionIndex === resultSectionIndex) { continue; }
+            result = i;
+            resultSectionIndex = sectionIndex;
+        }
+        return result;
+    }
+
+    /**
+     * Gets the title of the chapter which a section belongs to.
+     * @param {number} index The index of the section in the spine.
+     * @returns {string} The title of the chapter, or an empty string if the section precedes all chapters.
+     */
+    getChapterTitle(index) {
+        const tableOfContentsIndex = this.getTableOfContentsIndex(index);
+        return tableOfContentsIndex >= 0 ? this._tableOfContents[tableOfContentsIndex].title : '';
+    }
+
+    /**
+     * Gets an object URL for a resource of the book, such as an image.
+     * @param {string} path The path of the resource within the archive.
+     * @returns {Promise<?string>} The URL, or `null` if the resource doesn't exist.
+     */
+    async getResourceUrl(path) {
+        let url = this._resourceUrls.get(path);
+        if (typeof url !== 'undefined') { return url; }
+        const entry = this._files.get(path);
+        if (typeof entry === 'undefined' || typeof entry.getData === 'undefined') { return null; }
+        const manifestItem = this._manifestPathMap.get(path);
+        const blob = await entry.getData(new BlobWriter(typeof manifestItem !== 'undefined' ? manifestItem.mediaType : ''));
+        url = URL.createObjectURL(blob);
+        this._resourceUrls.set(path, url);
+        return url;
+    }
+
+    // Private
+
+    /**
+     * @param {string} path
+     * @returns {Promise<string>}
+     * @throws {Error}
+     */
+    async _readText(path) {
+        const entry = this._files.get(path);
+        if (typeof entry === 'undefined' || typeof entry.getData === 'undefined') {
+            throw new Error(`The EPUB file does not contain ${path}`);
+        }
+        return await entry.getData(new TextWriter());
+    }
+
+    /**
+     * @param {string} path
+     * @returns {Promise<Document>}
+     * @throws {Error}
+     */
+    async _readXml(path) {
+        const document = new DOMParser().parseFromString(await this._readText(path), 'application/xml');
+        if (document.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`${path} is not valid XML`);
+        }
+        return document;
+    }
+
+    /**
+     * @param {Document} packageDocument
+     * @param {string} packagePath
+     * @returns {Map<string, import('reader').ManifestItem>}
+     */
+    _readManifest(packageDocument, packagePath) {
+        /** @type {Map<string, import('reader').ManifestItem>} */
+        const manifestIdMap = new Map();
+        for (const item of packageDocument.getElementsByTagNameNS('*', 'item')) {
+            const id = item.getAttribute('id');
+            const href = item.getAttribute('href');
+            if (id === null || href === null) { continue; }
+            const properties = item.getAttribute('properties');
+            /** @type {import('reader').ManifestItem} */
+            const manifestItem = {
+                path: resolveEpubPath(packagePath, href).path,
+                mediaType: item.getAttribute('media-type') || '',
+                properties: properties !== null ? properties.split(/\s+/) : [],
+            };
+            manifestIdMap.set(id, manifestItem);
+            this._manifestPathMap.set(manifestItem.path, manifestItem);
+        }
+        return manifestIdMap;
+    }
+
+    /**
+     * @param {Document} packageDocument
+     * @returns {import('reader').Metadata}
+     */
+    _readMetadata(packageDocument) {
+        const uniqueIdentifierId = packageDocument.documentElement.getAttribute('unique-identifier');
+        const identifiers = [...packageDocument.getElementsByTagNameNS('*', 'identifier')];
+        const identifier = identifiers.find((element) => element.getAttribute('id') === uniqueIdentifierId) || identifiers[0];
+        const spine = packageDocument.getElementsByTagNameNS('*', 'spine')[0];
+        const pageProgressionDirection = typeof spine !== 'undefined' ? spine.getAttribute('page-progression-direction') : null;
+        return {
+            identifier: getElementText(identifier),
+            title: getElementText(packageDocument.getElementsByTagNameNS('*', 'title')[0]),
+            language: getElementText(packageDocument.getElementsByTagNameNS('*', 'language')[0]),
+            pageProgressionDirection: (pageProgressionDirection === 'ltr' || pageProgressionDirection === 'rtl' ? pageProgressionDirection : null),
+        };
+    }
+
+    /**
+     * @param {Document} packageDocument
+     * @param {Map<string, import('reader').ManifestItem>} manifestIdMap
+     * @returns {import('reader').SpineItem[]}
+     */
+    _readSpine(packageDocument, manifestIdMap) {
+        /** @type {import('reader').SpineItem[]} */
+        const spine = [];
+        for (const itemref of packageDocument.getElementsByTagNameNS('*', 'itemref')) {
+            const idref = itemref.getAttribute('idref');
+            const manifestItem = idref !== null ? manifestIdMap.get(idref) : void 0;
+            if (typeof manifestItem === 'undefined') { continue; }
+            const {path, mediaType} = manifestItem;
+            spine.push({path, mediaType});
+        }
+        return spine;
+    }
+
+    /**
+     * Reads the table of contents from the EPUB 3 navigation document, or from the EPUB 2 NCX file.
+     * @param {Document} packageDocument
+     * @param {Map<string, import('reader').ManifestItem>} manifestIdMap
+     * @returns {Promise<import('reader').TableOfContentsEntry[]>}
+     */
+    async _readTableOfContents(packageDocument, manifestIdMap) {
+        for (const {path, properties} of manifestIdMap.values()) {
+            if (!properties.includes('nav')) { continue; }
+            const document = await this._readXml(path);
+            for (const nav of document.getElementsByTagNameNS('*', 'nav')) {
+                if (nav.getAttributeNS(EPUB_NAMESPACE, 'type') !== 'toc') { continue; }
+                /** @type {import('reader').TableOfContentsEntry[]} */
+                const entries = [];
+                for (const link of nav.getElementsByTagNameNS('*', 'a')) {
+                    const href = link.getAttribute('href');
+                    if (href === null) { continue; }
+                    entries.push({title: getElementText(link), ...resolveEpubPath(path, href)});
+                }
+                return entries;
+            }
+        }
+
+        const spine = packageDocument.getElementsByTagNameNS('*', 'spine')[0];
+        const ncxId = typeof spine !== 'undefined' ? spine.getAttribute('toc') : null;
+        const ncxItem = ncxId !== null ? manifestIdMap.get(ncxId) : void 0;
+        if (typeof ncxItem === 'undefined') { return []; }
+        const {path} = ncxItem;
+        const document = await this._readXml(path);
+        /** @type {import('reader').TableOfContentsEntry[]} */
+        const entries = [];
+        for (const navPoint of document.getElementsByTagNameNS('*', 'navPoint')) {
+            const label = navPoint.getElementsByTagNameNS('*', 'navLabel')[0];
+            const content = navPoint.getElementsByTagNameNS('*', 'content')[0];
+            const src = typeof content !== 'undefined' ? content.getAttribute('src') : null;
+            if (src === null) { continue; }
+            entries.push({title: getElementText(label), ...resolveEpubPath(path, src)});
+        }
+        return entries;
+    }
+}
+
+/**
+ * Resolves a link found in a file of an EPUB archive.
+ * @param {string} basePath The path of the file containing the link.
+ * @param {string} href The link, relative to the file.
+ * @returns {{path: string, fragment: string}} The path of the target within the archive, and its fragment identifier.
+ */
+export function resolveEpubPath(basePath, href) {
+    const baseUrl = new URL(basePath.split('/').map((part) => encodeURIComponent(part)).join('/'), 'epub:/');
+    const url = new URL(href, baseUrl);
+    return {
+        path: decodeURIComponent(url.pathname.replace(/^\/+/, '')),
+        fragment: decodeURIComponent(url.hash.substring(1)),
+    };
+}
+
+/**
+ * @param {Element|undefined} element
+ * @returns {string}
+ */
+function getElementText(element) {
+    return typeof element !== 'undefined' && element.textContent !== null ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function getFileName(path) {
+    return path.substring(path.lastIndexOf('/') + 1);
+}
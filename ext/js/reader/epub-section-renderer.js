@@ -0,0 +1,301 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {resolveEpubPath} from './epub-book.js';
+
+/**
+ * The elements which are copied from a section of the book. Other elements are replaced by
+ * a `span` containing their children, and the elements in `IGNORED_ELEMENTS` are removed.
+ */
+const ALLOWED_ELEMENTS = new Set([
+    'a',
+    'abbr',
+    'article',
+    'aside',
+    'b',
+    'bdi',
+    'bdo',
+    'blockquote',
+    'br',
+    'caption',
+    'cite',
+    'code',
+    'dd',
+    'del',
+    'dfn',
+    'div',
+    'dl',
+    'dt',
+    'em',
+    'figcaption',
+    'figure',
+    'footer',
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'header',
+    'hr',
+    'i',
+    'img',
+    'ins',
+    'kbd',
+    'li',
+    'main',
+    'mark',
+    'nav',
+    'ol',
+    'p',
+    'pre',
+    'q',
+    'rb',
+    'rp',
+    'rt',
+    'ruby',
+    's',
+    'samp',
+    'section',
+    'small',
+    'span',
+    'strong',
+    'sub',
+    'sup',
+    'table',
+    'tbody',
+    'td',
+    'tfoot',
+    'th',
+    'thead',
+    'tr',
+    'u',
+    'ul',
+    'var',
+    'wbr',
+]);
+
+/**
+ * The elements which are removed from a section of the book, along with their content.
+ */
+const IGNORED_ELEMENTS = new Set([
+    'audio',
+    'button',
+    'canvas',
+    'embed',
+    'form',
+    'head',
+    'iframe',
+    'input',
+    'link',
+    'math',
+    'meta',
+    'noscript',
+    'object',
+    'script',
+    'select',
+    'style',
+    'template',
+    'textarea',
+    'title',
+    'video',
+]);
+
+/**
+ * The attributes which are copied from the elements of a section of the book.
+ */
+const ALLOWED_ATTRIBUTES = new Set(['alt', 'colspan', 'dir', 'lang', 'rowspan', 'title']);
+
+/**
+ * The prefix added to the IDs of elements, so that they don't conflict with the IDs used by the page.
+ */
+const ID_PREFIX = 'epub-';
+
+/**
+ * Converts the sections of a book into content which can be displayed by the reader page.
+ * The stylesheets, scripts, and event handlers of the book are discarded, so that the book is
+ * displayed using the styles of the reader and can't run any code.
+ */
+export class EpubSectionRenderer {
+    /**
+     * @param {import('./epub-book.js').EpubBook} book
+     */
+    constructor(book) {
+        /** @type {import('./epub-book.js').EpubBook} */
+        this._book = book;
+    }
+
+    /**
+     * Creates the content of a section.
+     * @param {number} index The index of the section in the spine.
+     * @returns {Promise<DocumentFragment>}
+     */
+    async render(index) {
+        const {path} = this._book.spine[index];
+        const sectionDocument = await this._book.getSectionDocument(index);
+        const fragment = document.createDocumentFragment();
+        const body = sectionDocument.getElementsByTagNameNS('*', 'body')[0];
+        if (typeof body === 'undefined') { return fragment; }
+
+        /** @type {Promise<void>[]} */
+        const promises = [];
+        this._appendChildren(fragment, body, path, promises);
+        await Promise.all(promises);
+        return fragment;
+    }
+
+    /**
+     * Gets the ID which an element of the book is given by `render`.
+     * @param {string} id The ID of the element in the book.
+     * @returns {string}
+     */
+    static getElementId(id) {
+        return `${ID_PREFIX}${id}`;
+    }
+
+    // Private
+
+    /**
+     * @param {Node} target
+     * @param {Node} source
+     * @param {string} path
+     * @param {Promise<void>[]} promises
+     */
+    _appendChildren(target, source, path, promises) {
+        for (const child of source.childNodes) {
+            const node = this._convertNode(child, path, promises);
+            if (node !== null) {
+                target.appendChild(node);
+            }
+        }
+    }
+
+    /**
+     * @param {Node} node
+     * @param {string} path
+     * @param {Promise<void>[]} promises
+     * @returns {?Node}
+     */
+    _convertNode(node, path, promises) {
+        switch (node.nodeType) {
+            case Node.TEXT_NODE:
+            case Node.CDATA_SECTION_NODE:
+                return document.createTextNode(/** @type {string} */ (node.nodeValue));
+            case Node.ELEMENT_NODE:
+                return this._convertElement(/** @type {Element} */ (node), path, promises);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {Element} element
+     * @param {string} path
+     * @param {Promise<void>[]} promises
+     * @returns {?Node}
+     */
+    _convertElement(element, path, promises) {
+        const tagName = element.localName.toLowerCase();
+        if (IGNORED_ELEMENTS.has(tagName)) { return null; }
+
+        switch (tagName) {
+            case 'image': // SVG image, commonly used for cover pages
+            {
+                const href = element.getAttribute('href') || element.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+                return href !== null ? this._createImage(href, element.getAttribute('alt') || '', path, promises) : null;
+            }
+            case 'img':
+            {
+                const src = element.getAttribute('src');
+                return src !== null ? this._createImage(src, element.getAttribute('alt') || '', path, promises) : null;
+            }
+            case 'svg':
+            {
+                // Only the images of an SVG element are kept
+                const fragment = document.createDocumentFragment();
+                for (const image of element.getElementsByTagNameNS('*', 'image')) {
+                    const node = this._convertElement(image, path, promises);
+                    if (node !== null) { fragment.appendChild(node); }
+                }
+                return fragment;
+            }
+        }
+
+        const result = document.createElement(ALLOWED_ELEMENTS.has(tagName) ? tagName : 'span');
+        for (const {name, value} of element.attributes) {
+            if (ALLOWED_ATTRIBUTES.has(name)) {
+                result.setAttribute(name, value);
+            }
+        }
+        const id = element.getAttribute('id');
+        if (id !== null) {
+            result.id = EpubSectionRenderer.getElementId(id);
+        }
+        if (tagName === 'a') {
+            this._setLink(/** @type {HTMLAnchorElement} */ (result), element.getAttribute('href'), path);
+        }
+        this._appendChildren(result, element, path, promises);
+        return result;
+    }
+
+    /**
+     * Links to other parts of the book are stored in data attributes, since they are handled by the reader.
+     * @param {HTMLAnchorElement} link
+     * @param {?string} href
+     * @param {string} path
+     */
+    _setLink(link, href, path) {
+        if (href === null) { return; }
+        if (/^https?:/i.test(href)) {
+            link.href = href;
+            link.target = '_blank';
+            link.rel = 'noreferrer noopener';
+            return;
+        }
+        if (/^[a-z][a-z0-9+.-]*:/i.test(href)) { return; }
+        const {path: targetPath, fragment} = resolveEpubPath(path, href);
+        link.href = '#';
+        link.dataset.epubPath = targetPath;
+        link.dataset.epubFragment = fragment;
+    }
+
+    /**
+     * @param {string} src
+     * @param {string} alt
+     * @param {string} path
+     * @param {Promise<void>[]} promises
+     * @returns {HTMLImageElement}
+     */
+    _createImage(src, alt, path, promises) {
+        const image = document.createElement('img');
+        image.alt = alt;
+        image.className = 'reader-image';
+        promises.push(this._setImageSource(image, resolveEpubPath(path, src).path));
+        return image;
+    }
+
+    /**
+     * @param {HTMLImageElement} image
+     * @param {string} path
+     */
+    async _setImageSource(image, path) {
+        const url = await this._book.getResourceUrl(path);
+        if (url !== null) {
+            image.src = url;
+        }
+    }
+}
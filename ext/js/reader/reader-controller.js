@@ -0,0 +1,457 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {parseJson} from '../core/json.js';
+import {log} from '../core/log.js';
+import {toError} from '../core/to-error.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+import {EpubBook} from './epub-book.js';
+import {EpubSectionRenderer} from './epub-section-renderer.js';
+import {ReaderPaginator} from './reader-paginator.js';
+
+/**
+ * The languages which are displayed using vertical text when the writing mode is automatic
+ * and the pages of the book progress from right to left.
+ */
+const VERTICAL_TEXT_LANGUAGES = new Set(['ja', 'zh']);
+
+/**
+ * Controls the reader page: opening books, turning pages, and remembering the reading position of each book.
+ */
+export class ReaderController {
+    constructor() {
+        /** @type {HTMLElement} */
+        this._content = querySelectorNotNull(document, '#reader-content');
+        /** @type {ReaderPaginator} */
+        this._paginator = new ReaderPaginator(this._content);
+        /** @type {HTMLInputElement} */
+        this._fileInput = querySelectorNotNull(document, '#reader-file-input');
+        /** @type {HTMLButtonElement} */
+        this._openButton = querySelectorNotNull(document, '#reader-open-button');
+        /** @type {HTMLElement} */
+        this._title = querySelectorNotNull(document, '#reader-title');
+        /** @type {HTMLSelectElement} */
+        this._chapterSelect = querySelectorNotNull(document, '#reader-chapter-select');
+        /** @type {HTMLSelectElement} */
+        this._writingModeSelect = querySelectorNotNull(document, '#reader-writing-mode-select');
+        /** @type {HTMLButtonElement} */
+        this._previousButton = querySelectorNotNull(document, '#reader-previous-button');
+        /** @type {HTMLButtonElement} */
+        this._nextButton = querySelectorNotNull(document, '#reader-next-button');
+        /** @type {HTMLElement} */
+        this._progress = querySelectorNotNull(document, '#reader-progress');
+        /** @type {HTMLElement} */
+        this._message = querySelectorNotNull(document, '#reader-message');
+        /** @type {?EpubBook} */
+        this._book = null;
+        /** @type {?EpubSectionRenderer} */
+        this._renderer = null;
+        /** @type {number} */
+        this._sectionIndex = 0;
+        /** @type {?import('core').TokenObject} */
+        this._showSectionToken = null;
+    }
+
+    /** */
+    prepare() {
+        this._paginator.prepare();
+
+        this._openButton.addEventListener('click', this._onOpenButtonClick.bind(this), false);
+        this._fileInput.addEventListener('change', this._onFileInputChange.bind(this), false);
+        this._chapterSelect.addEventListener('change', this._onChapterSelectChange.bind(this), false);
+        this._writingModeSelect.addEventListener('change', this._onWritingModeSelectChange.bind(this), false);
+        this._previousButton.addEventListener('click', this._onPageButtonClick.bind(this, -1), false);
+        this._nextButton.addEventListener('click', this._onPageButtonClick.bind(this, 1), false);
+        this._content.addEventListener('click', this._onContentClick.bind(this), false);
+        document.addEventListener('keydown', this._onKeyDown.bind(this), false);
+        document.addEventListener('dragover', this._onDragOver.bind(this), false);
+        document.addEventListener('drop', this._onDrop.bind(this), false);
+
+        this._showMessage('Open an EPUB file, or drop one onto this page.');
+        this._updateControls();
+    }
+
+    /**
+     * Gets the book context of scanned text.
+     * @param {import('text-source').TextSource} textSource
+     * @returns {?import('display').HistoryStateBook}
+     */
+    getBookContext(textSource) {
+        const book = this._book;
+        if (book === null) { return null; }
+        const nodes = textSource.getNodesInRange();
+        if (!nodes.some((node) => this._content.contains(node))) { return null; }
+        return {
+            title: book.metadata.title,
+            chapter: book.getChapterTitle(this._sectionIndex),
+        };
+    }
+
+    // Private
+
+    /** */
+    _onOpenButtonClick() {
+        this._fileInput.click();
+    }
+
+    /** */
+    _onFileInputChange() {
+        const {files} = this._fileInput;
+        if (files === null || files.length === 0) { return; }
+        void this._openFile(files[0]);
+        this._fileInput.value = '';
+    }
+
+    /** */
+    _onChapterSelectChange() {
+        const book = this._book;
+        if (book === null) { return; }
+        const entry = book.tableOfContents[Number.parseInt(this._chapterSelect.value, 10)];
+        if (typeof entry === 'undefined') { return; }
+        const sectionIndex = book.getSectionIndex(entry.path);
+        if (sectionIndex < 0) { return; }
+        void this._showSection(sectionIndex, {fragment: entry.fragment});
+    }
+
+    /** */
+    _onWritingModeSelectChange() {
+        this._updateWritingMode();
+    }
+
+    /**
+     * @param {number} direction
+     */
+    _onPageButtonClick(direction) {
+        void this._turnPage(direction);
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onContentClick(e) {
+        const link = (e.target instanceof Element ? e.target.closest('a[data-epub-path]') : null);
+        if (!(link instanceof HTMLAnchorElement) || this._book === null) { return; }
+        e.preventDefault();
+        const {epubPath, epubFragment} = link.dataset;
+        const sectionIndex = this._book.getSectionIndex(typeof epubPath === 'string' ? epubPath : '');
+        if (sectionIndex < 0) { return; }
+        void this._showSection(sectionIndex, {fragment: typeof epubFragment === 'string' ? epubFragment : ''});
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    _onKeyDown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || e.defaultPrevented) { return; }
+        const {target} = e;
+        if (target instanceof HTMLInputElement || target instanceof HTMLSelectElement || target instanceof HTMLTextAreaElement) { return; }
+
+        let direction = 0;
+        switch (e.key) {
+            case 'ArrowLeft':
+                direction = this._isRightToLeft() ? 1 : -1;
+                break;
+            case 'ArrowRight':
+                direction = this._isRightToLeft() ? -1 : 1;
+                break;
+            case 'ArrowUp':
+            case 'PageUp':
+                direction = -1;
+                break;
+            case 'ArrowDown':
+            case 'PageDown':
+                direction = 1;
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        void this._turnPage(direction);
+    }
+
+    /**
+     * @param {DragEvent} e
+     */
+    _onDragOver(e) {
+        const {dataTransfer} = e;
+        if (dataTransfer === null || !dataTransfer.types.includes('Files')) { return; }
+        e.preventDefault();
+        dataTransfer.dropEffect = 'copy';
+    }
+
+    /**
+     * @param {DragEvent} e
+     */
+    _onDrop(e) {
+        const {dataTransfer} = e;
+        if (dataTransfer === null || dataTransfer.files.length === 0) { return; }
+        e.preventDefault();
+        void this._openFile(dataTransfer.files[0]);
+    }
+
+    /**
+     * @param {File} file
+     */
+    async _openFile(file) {
+        this._closeBook();
+        this._showMessage('Loading…');
+        this._setTitle(file.name);
+
+        const book = new EpubBook();
+        try {
+            await book.load(file);
+        } catch (e) {
+            book.close();
+            this._showMessage(`The EPUB file could not be opened: ${toError(e).message}`);
+            return;
+        }
+
+        this._book = book;
+        this._renderer = new EpubSectionRenderer(book);
+        this._setTitle(book.metadata.title);
+        this._updateChapterOptions();
+        this._updateWritingMode();
+        this._showMessage(null);
+
+        const {sectionIndex, progress} = this._loadPosition(book);
+        await this._showSection(sectionIndex, {progress});
+    }
+
+    /** */
+    _closeBook() {
+        if (this._book !== null) {
+            this._book.close();
+            this._book = null;
+        }
+        this._renderer = null;
+        this._sectionIndex = 0;
+        this._showSectionToken = null;
+        this._content.textContent = '';
+        this._updateChapterOptions();
+        this._updateControls();
+    }
+
+    /**
+     * Shows a section of the book.
+     * @param {number} sectionIndex
+     * @param {{progress?: number, fragment?: string}} position The position to show within the section.
+     */
+    async _showSection(sectionIndex, {progress, fragment}) {
+        const book = this._book;
+        const renderer = this._renderer;
+        if (book === null || renderer === null) { return; }
+
+        /** @type {?import('core').TokenObject} */
+        const token = {};
+        this._showSectionToken = token;
+        let content;
+        try {
+            content = await renderer.render(sectionIndex);
+        } catch (e) {
+            log.error(e);
+            return;
+        }
+        if (this._showSectionToken !== token) { return; }
+
+        this._sectionIndex = sectionIndex;
+        await this._paginator.setContent(content);
+        if (this._showSectionToken !== token) { return; }
+
+        const element = (
+            typeof fragment === 'string' && fragment.length > 0 ?
+            document.getElementById(EpubSectionRenderer.getElementId(fragment)) :
+            null
+        );
+        if (element !== null) {
+            this._paginator.showElement(element);
+        } else if (typeof progress === 'number') {
+            this._paginator.setProgress(progress);
+        }
+        this._onPageChanged();
+    }
+
+    /**
+     * Turns the page, moving to the next or previous section when the end of the current section is reached.
+     * @param {number} direction `1` for the next page, or `-1` for the previous page.
+     */
+    async _turnPage(direction) {
+        const book = this._book;
+        if (book === null) { return; }
+        if (direction > 0) {
+            if (this._paginator.nextPage()) {
+                this._onPageChanged();
+            } else if (this._sectionIndex + 1 < book.spine.length) {
+                await this._showSection(this._sectionIndex + 1, {progress: 0});
+            }
+        } else {
+            if (this._paginator.previousPage()) {
+                this._onPageChanged();
+            } else if (this._sectionIndex > 0) {
+                await this._showSection(this._sectionIndex - 1, {progress: 1});
+            }
+        }
+    }
+
+    /** */
+    _onPageChanged() {
+        const book = this._book;
+        if (book === null) { return; }
+        this._chapterSelect.value = `${book.getTableOfContentsIndex(this._sectionIndex)}`;
+        this._savePosition(book, {sectionIndex: this._sectionIndex, progress: this._paginator.progress});
+        this._updateControls();
+    }
+
+    /** */
+    _updateControls() {
+        const book = this._book;
+        if (book === null) {
+            this._progress.textContent = '';
+            this._previousButton.disabled = true;
+            this._nextButton.disabled = true;
+            return;
+        }
+        const {pageIndex, pageCount} = this._paginator;
+        const sectionCount = book.spine.length;
+        const overallProgress = (this._sectionIndex + (pageIndex + 1) / pageCount) / sectionCount;
+        this._progress.textContent = `${Math.round(overallProgress * 100)}%`;
+        this._previousButton.disabled = (this._sectionIndex <= 0 && pageIndex <= 0);
+        this._nextButton.disabled = (this._sectionIndex + 1 >= sectionCount && pageIndex + 1 >= pageCount);
+    }
+
+    /** */
+    _updateChapterOptions() {
+        const select = this._chapterSelect;
+        select.textContent = '';
+        const book = this._book;
+        if (book === null) {
+            select.disabled = true;
+            return;
+        }
+
+        const option = document.createElement('option');
+        option.value = '-1';
+        option.textContent = book.metadata.title;
+        select.appendChild(option);
+        const {tableOfContents} = book;
+        for (let i = 0, ii = tableOfContents.length; i < ii; ++i) {
+            const {title, path} = tableOfContents[i];
+            if (book.getSectionIndex(path) < 0) { continue; }
+            const option2 = document.createElement('option');
+            option2.value = `${i}`;
+            option2.textContent = title;
+            select.appendChild(option2);
+        }
+        select.disabled = (tableOfContents.length === 0);
+    }
+
+    /** */
+    _updateWritingMode() {
+        const book = this._book;
+        const setting = /** @type {import('reader').WritingModeSetting} */ (this._writingModeSelect.value);
+        /** @type {import('reader').WritingMode} */
+        let writingMode = 'horizontal';
+        if (setting !== 'auto') {
+            writingMode = setting;
+        } else if (book !== null) {
+            const {language, pageProgressionDirection} = book.metadata;
+            if (pageProgressionDirection === 'rtl' && VERTICAL_TEXT_LANGUAGES.has(language.split('-')[0].toLowerCase())) {
+                writingMode = 'vertical';
+            }
+        }
+
+        const progress = this._paginator.progress;
+        this._paginator.setVertical(writingMode === 'vertical');
+        this._paginator.setProgress(progress);
+        document.documentElement.dataset.pageProgression = this._isRightToLeft() ? 'rtl' : 'ltr';
+        if (book !== null) {
+            this._content.lang = book.metadata.language;
+            this._onPageChanged();
+        }
+    }
+
+    /**
+     * Checks whether the pages of the book are turned from right to left.
+     * @returns {boolean}
+     */
+    _isRightToLeft() {
+        return this._content.dataset.writingMode === 'vertical' || (this._book !== null && this._book.metadata.pageProgressionDirection === 'rtl');
+    }
+
+    /**
+     * @param {EpubBook} book
+     * @returns {import('reader').ReadingPosition}
+     */
+    _loadPosition(book) {
+        try {
+            const value = localStorage.getItem(this._getPositionKey(book));
+            if (value !== null) {
+                /** @type {unknown} */
+                const position = parseJson(value);
+                if (typeof position === 'object' && position !== null) {
+                    const {sectionIndex, progress} = /** @type {{[key: string]: unknown}} */ (position);
+                    if (
+                        typeof sectionIndex === 'number' && Number.isInteger(sectionIndex) &&
+                        sectionIndex >= 0 && sectionIndex < book.spine.length &&
+                        typeof progress === 'number'
+                    ) {
+                        return {sectionIndex, progress};
+                    }
+                }
+            }
+        } catch (e) {
+            // NOP
+        }
+        return {sectionIndex: 0, progress: 0};
+    }
+
+    /**
+     * @param {EpubBook} book
+     * @param {import('reader').ReadingPosition} position
+     */
+    _savePosition(book, position) {
+        try {
+            localStorage.setItem(this._getPositionKey(book), JSON.stringify(position));
+        } catch (e) {
+            // NOP
+        }
+    }
+
+    /**
+     * @param {EpubBook} book
+     * @returns {string}
+     */
+    _getPositionKey(book) {
+        const {identifier, title} = book.metadata;
+        return `reader-position:${identifier.length > 0 ? identifier : title}`;
+    }
+
+    /**
+     * @param {string} title
+     */
+    _setTitle(title) {
+        this._title.textContent = title;
+        document.title = `${title} - Yomitan Reader`;
+    }
+
+    /**
+     * @param {?string} message
+     */
+    _showMessage(message) {
+        this._message.textContent = message !== null ? message : '';
+        this._message.hidden = (message === null);
+    }
+}
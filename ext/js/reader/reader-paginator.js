@@ -0,0 +1,201 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The gap between two pages, in pixels. The gap is never visible, but keeps text from
+ * the edge of a page from being shown on the neighbouring page.
+ */
+const PAGE_GAP = 40;
+
+/**
+ * Splits the content of a section into pages using CSS multi-column layout, where every column is a page.
+ *
+ * For horizontal text, the columns are placed side by side and pages are turned by scrolling horizontally.
+ * For vertical text, the columns follow the inline direction of the text, so they are stacked from top to bottom
+ * and pages are turned by scrolling vertically.
+ */
+export class ReaderPaginator {
+    /**
+     * @param {HTMLElement} content The scrollable element containing the content of the section.
+     */
+    constructor(content) {
+        /** @type {HTMLElement} */
+        this._content = content;
+        /** @type {boolean} */
+        this._vertical = false;
+        /** @type {number} */
+        this._pageIndex = 0;
+        /** @type {number} */
+        this._pageCount = 1;
+        /** @type {ResizeObserver} */
+        this._resizeObserver = new ResizeObserver(this._onResize.bind(this));
+        /** @type {?number} */
+        this._pageSize = null;
+    }
+
+    /**
+     * The index of the current page within the section.
+     * @type {number}
+     */
+    get pageIndex() {
+        return this._pageIndex;
+    }
+
+    /**
+     * The number of pages in the section.
+     * @type {number}
+     */
+    get pageCount() {
+        return this._pageCount;
+    }
+
+    /**
+     * The position of the current page within the section, from `0` to `1`.
+     * @type {number}
+     */
+    get progress() {
+        return this._pageIndex / this._pageCount;
+    }
+
+    /** */
+    prepare() {
+        this._content.style.columnGap = `${PAGE_GAP}px`;
+        this._resizeObserver.observe(this._content);
+    }
+
+    /**
+     * Changes the writing mode of the content.
+     * @param {boolean} vertical
+     */
+    setVertical(vertical) {
+        this._vertical = vertical;
+        this._content.dataset.writingMode = vertical ? 'vertical' : 'horizontal';
+        this._updateLayout();
+    }
+
+    /**
+     * Replaces the content of the section. The first page is shown once the images of the content have loaded.
+     * @param {DocumentFragment} fragment
+     */
+    async setContent(fragment) {
+        const images = [...fragment.querySelectorAll('img')];
+        this._content.textContent = '';
+        this._content.appendChild(fragment);
+        await Promise.all(images.map(async (image) => {
+            try {
+                await image.decode();
+            } catch (e) {
+                // NOP
+            }
+        }));
+        this._pageIndex = 0;
+        this._updateLayout();
+    }
+
+    /**
+     * Shows a page of the section.
+     * @param {number} pageIndex The index of the page, which is clamped to the pages of the section.
+     */
+    setPage(pageIndex) {
+        this._pageIndex = Math.max(0, Math.min(this._pageCount - 1, pageIndex));
+        this._updateScrollPosition();
+    }
+
+    /**
+     * Shows the page at a position within the section.
+     * @param {number} progress The position, from `0` to `1`.
+     */
+    setProgress(progress) {
+        this.setPage(Math.round(progress * this._pageCount));
+    }
+
+    /**
+     * Shows the page containing an element.
+     * @param {Element} element
+     */
+    showElement(element) {
+        const pageSize = this._getPageSize();
+        const contentRect = this._content.getBoundingClientRect();
+        const elementRect = element.getBoundingClientRect();
+        const offset = (
+            this._vertical ?
+            elementRect.top - contentRect.top + this._content.scrollTop :
+            elementRect.left - contentRect.left + this._content.scrollLeft
+        );
+        this.setPage(Math.floor(offset / (pageSize + PAGE_GAP)));
+    }
+
+    /**
+     * Shows the next page.
+     * @returns {boolean} `true` if the page was changed, or `false` if the last page was already shown.
+     */
+    nextPage() {
+        if (this._pageIndex + 1 >= this._pageCount) { return false; }
+        this.setPage(this._pageIndex + 1);
+        return true;
+    }
+
+    /**
+     * Shows the previous page.
+     * @returns {boolean} `true` if the page was changed, or `false` if the first page was already shown.
+     */
+    previousPage() {
+        if (this._pageIndex <= 0) { return false; }
+        this.setPage(this._pageIndex - 1);
+        return true;
+    }
+
+    // Private
+
+    /** */
+    _onResize() {
+        const pageSize = this._getPageSize();
+        if (pageSize === this._pageSize) { return; }
+        const progress = this.progress;
+        this._updateLayout();
+        this.setProgress(progress);
+    }
+
+    /** */
+    _updateLayout() {
+        const content = this._content;
+        const pageSize = this._getPageSize();
+        this._pageSize = pageSize;
+        content.style.columnWidth = `${pageSize}px`;
+        const scrollSize = this._vertical ? content.scrollHeight : content.scrollWidth;
+        this._pageCount = Math.max(1, Math.round((scrollSize + PAGE_GAP) / (pageSize + PAGE_GAP)));
+        this.setPage(this._pageIndex);
+    }
+
+    /** */
+    _updateScrollPosition() {
+        const offset = this._pageIndex * (this._getPageSize() + PAGE_GAP);
+        if (this._vertical) {
+            this._content.scrollTo(0, offset);
+        } else {
+            this._content.scrollTo(offset, 0);
+        }
+    }
+
+    /**
+     * Gets the size of a page along the direction which pages are turned.
+     * @returns {number}
+     */
+    _getPageSize() {
+        return this._vertical ? this._content.clientHeight : this._content.clientWidth;
+    }
+}
@@ -23,6 +23,7 @@ import {createPronunciationDownstepPosition, createPronunciationGraph, createPro
 import {StructuredContentGenerator} from '../display/structured-content-generator.js';
 import {CssStyleApplier} from '../dom/css-style-applier.js';
 import {convertHiraganaToKatakana, convertKatakanaToHiragana, distributeFurigana, getKanaMorae, getPitchCategory, isMoraPitchHigh} from '../language/ja/japanese.js';
+import {convertToNumberedPinyin, convertToToneMarkedPinyin, convertToZhuyin} from '../language/zh/chinese.js';
 import {AnkiTemplateRendererContentManager} from './anki-template-renderer-content-manager.js';
 import {TemplateRendererMediaProvider} from './template-renderer-media-provider.js';
 import {TemplateRenderer} from './template-renderer.js';
@@ -97,6 +98,8 @@ export class AnkiTemplateRenderer {
             ['pronunciation',    this._pronunciation.bind(this)],
             ['hiragana',         this._hiragana.bind(this)],
             ['katakana',         this._katakana.bind(this)],
+            ['pinyin',           this._pinyin.bind(this)],
+            ['zhuyin',           this._zhuyin.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
         this._templateRenderer.registerDataType('ankiNote', {
@@ -788,6 +791,26 @@ export class AnkiTemplateRenderer {
         return typeof value === 'string' ? convertHiraganaToKatakana(value) : '';
     }
 
+    /**
+     * @type {import('template-renderer').HelperFunction<string>}
+     */
+    _pinyin(args, context, options) {
+        const ii = args.length;
+        const {format} = options.hash;
+        const value = (ii > 0 ? args[0] : this._computeValue(options, context));
+        if (typeof value !== 'string') { return ''; }
+        return format === 'numbered' ? convertToNumberedPinyin(value) : convertToToneMarkedPinyin(value);
+    }
+
+    /**
+     * @type {import('template-renderer').HelperFunction<string>}
+     */
+    _zhuyin(args, context, options) {
+        const ii = args.length;
+        const value = (ii > 0 ? args[0] : this._computeValue(options, context));
+        return typeof value === 'string' ? convertToZhuyin(value) : '';
+    }
+
     /**
      * @param {unknown} value
      * @returns {string}
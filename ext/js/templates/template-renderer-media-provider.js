@@ -99,6 +99,7 @@ export class TemplateRendererMediaProvider {
         switch (type) {
             case 'audio': return this._getSimpleMediaData(media, 'audio');
             case 'screenshot': return this._getSimpleMediaData(media, 'screenshot');
+            case 'sentenceAudio': return this._getSimpleMediaData(media, 'sentenceAudio');
             case 'clipboardImage': return this._getSimpleMediaData(media, 'clipboardImage');
             case 'clipboardText': return this._getSimpleMediaData(media, 'clipboardText');
             case 'popupSelectionText': return this._getSimpleMediaData(media, 'popupSelectionText');
@@ -86,6 +86,21 @@ describe('AnkiTemplateRenderer', () => {
             template: '{{#if (regexReplace "test" "" "gu" "test")}}true{{else}}false{{/if}}',
             result: 'false',
         },
+        {
+            name: 'pinyin 1',
+            template: '{{pinyin "ni3 hao3"}}',
+            result: 'nǐ hǎo',
+        },
+        {
+            name: 'pinyin 2',
+            template: '{{#pinyin format="numbered"}}nǐ hǎo{{/pinyin}}',
+            result: 'ni3 hao3',
+        },
+        {
+            name: 'zhuyin',
+            template: '{{zhuyin "zhī dao"}}',
+            result: 'ㄓ ˙ㄉㄠ',
+        },
     ];
     describe.each(testCases)('$name', ({template, result: expectedResult}) => {
         test('Test', ({expect, ankiTemplateRenderer}) => {
@@ -0,0 +1,121 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getMatchingAnkiCardPresetRule} from '../ext/js/data/anki-util.js';
+
+/**
+ * @param {string[]} dictionaries
+ * @param {string[]} wordClasses
+ * @param {string[]} partOfSpeechTags
+ * @returns {import('dictionary').TermDictionaryEntry}
+ */
+function createTermDictionaryEntry(dictionaries, wordClasses, partOfSpeechTags) {
+    const tags = partOfSpeechTags.map((name) => ({name, category: 'partOfSpeech'}));
+    return /** @type {import('dictionary').TermDictionaryEntry} */ (/** @type {unknown} */ ({
+        type: 'term',
+        headwords: [{term: '食べる', reading: 'たべる', wordClasses}],
+        definitions: dictionaries.map((dictionary) => ({dictionary, tags})),
+    }));
+}
+
+/**
+ * @param {string} dictionary
+ * @returns {import('dictionary').KanjiDictionaryEntry}
+ */
+function createKanjiDictionaryEntry(dictionary) {
+    return /** @type {import('dictionary').KanjiDictionaryEntry} */ (/** @type {unknown} */ ({
+        type: 'kanji',
+        character: '食',
+        dictionary,
+    }));
+}
+
+describe('Anki utilities', () => {
+    describe('getMatchingAnkiCardPresetRule', () => {
+        /** @type {import('settings').AnkiCardPresetRule[]} */
+        const rules = [
+            {type: 'partOfSpeech', value: 'v1', deck: 'Verbs', model: ''},
+            {type: 'dictionary', value: 'Sentences', deck: 'Sentence mining', model: 'Sentence card'},
+            {type: 'language', value: 'ja', deck: '', model: 'Japanese card'},
+        ];
+
+        /** @type {{name: string, dictionaryEntry: import('dictionary').DictionaryEntry, language: string, expected: ?number}[]} */
+        const data = [
+            {
+                name: 'word class match',
+                dictionaryEntry: createTermDictionaryEntry(['Dictionary'], ['v1'], []),
+                language: 'ja',
+                expected: 0,
+            },
+            {
+                name: 'part of speech tag match',
+                dictionaryEntry: createTermDictionaryEntry(['Dictionary'], [], ['v1']),
+                language: 'ja',
+                expected: 0,
+            },
+            {
+                name: 'dictionary match',
+                dictionaryEntry: createTermDictionaryEntry(['Dictionary', 'Sentences'], ['v5'], []),
+                language: 'ja',
+                expected: 1,
+            },
+            {
+                name: 'earlier rules take priority',
+                dictionaryEntry: createTermDictionaryEntry(['Sentences'], ['v1'], []),
+                language: 'ja',
+                expected: 0,
+            },
+            {
+                name: 'language match',
+                dictionaryEntry: createTermDictionaryEntry(['Dictionary'], [], []),
+                language: 'ja',
+                expected: 2,
+            },
+            {
+                name: 'no match',
+                dictionaryEntry: createTermDictionaryEntry(['Dictionary'], [], []),
+                language: 'en',
+                expected: null,
+            },
+            {
+                name: 'kanji dictionary match',
+                dictionaryEntry: createKanjiDictionaryEntry('Sentences'),
+                language: 'en',
+                expected: 1,
+            },
+            {
+                name: 'kanji entries have no part of speech',
+                dictionaryEntry: createKanjiDictionaryEntry('Kanji dictionary'),
+                language: 'en',
+                expected: null,
+            },
+        ];
+
+        test.each(data)('$name', ({dictionaryEntry, language, expected}) => {
+            const rule = getMatchingAnkiCardPresetRule(rules, dictionaryEntry, language);
+            expect(rule).toStrictEqual(expected !== null ? rules[expected] : null);
+        });
+
+        test('rules with an empty value never match', () => {
+            /** @type {import('settings').AnkiCardPresetRule[]} */
+            const emptyRules = [{type: 'dictionary', value: '', deck: 'Deck', model: ''}];
+            const dictionaryEntry = createTermDictionaryEntry([''], [], []);
+            expect(getMatchingAnkiCardPresetRule(emptyRules, dictionaryEntry, 'ja')).toBeNull();
+        });
+    });
+});
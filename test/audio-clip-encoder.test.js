@@ -0,0 +1,65 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {describe, expect, test} from 'vitest';
+import {createWavFile, mixChannels} from '../ext/js/media/audio-clip-encoder.js';
+
+describe('AudioClipEncoder', () => {
+    describe('mixChannels', () => {
+        test('single channel is returned unchanged', () => {
+            const channel = new Float32Array([0.5, -0.5]);
+            expect(mixChannels([channel])).toBe(channel);
+        });
+        test('multiple channels are averaged', () => {
+            const result = mixChannels([new Float32Array([1, 0.5, -1]), new Float32Array([0, -0.5, -1])]);
+            expect([...result]).toStrictEqual([0.5, 0, -1]);
+        });
+    });
+
+    describe('createWavFile', () => {
+        const samples = new Float32Array([0, 1, -1, 2, -2]);
+        const view = new DataView(createWavFile(samples, 24000));
+        /**
+         * @param {number} offset
+         * @param {number} length
+         * @returns {string}
+         */
+        const readAscii = (offset, length) => String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+        test('header', () => {
+            expect(view.byteLength).toStrictEqual(44 + samples.length * 2);
+            expect(readAscii(0, 4)).toStrictEqual('RIFF');
+            expect(view.getUint32(4, true)).toStrictEqual(36 + samples.length * 2);
+            expect(readAscii(8, 8)).toStrictEqual('WAVEfmt ');
+            expect(view.getUint16(20, true)).toStrictEqual(1);
+            expect(view.getUint16(22, true)).toStrictEqual(1);
+            expect(view.getUint32(24, true)).toStrictEqual(24000);
+            expect(view.getUint32(28, true)).toStrictEqual(48000);
+            expect(view.getUint16(34, true)).toStrictEqual(16);
+            expect(readAscii(36, 4)).toStrictEqual('data');
+            expect(view.getUint32(40, true)).toStrictEqual(samples.length * 2);
+        });
+        test('samples are converted and clipped', () => {
+            const values = [];
+            for (let i = 0; i < samples.length; ++i) {
+                values.push(view.getInt16(44 + i * 2, true));
+            }
+            expect(values).toStrictEqual([0, 32767, -32768, 32767, -32768]);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getComprehensionStatistics} from '../ext/js/language/comprehension-statistics.js';
+
+/**
+ * @param {string} term
+ * @param {import('word-status').Status} status
+ * @returns {import('comprehension-statistics').Word}
+ */
+function createWord(term, status) {
+    return {term, reading: `${term}-reading`, status};
+}
+
+describe('getComprehensionStatistics', () => {
+    test('empty text', () => {
+        const statistics = getComprehensionStatistics([], new Map(), 10);
+        expect(statistics).toStrictEqual({
+            wordCount: 0,
+            uniqueWordCount: 0,
+            knownCount: 0,
+            learningCount: 0,
+            unknownCount: 0,
+            uniqueUnknownCount: 0,
+            knownRatio: 0,
+            unknownFrequencyDistribution: [
+                {minRank: 1, maxRank: 1000, count: 0},
+                {minRank: 1001, maxRank: 5000, count: 0},
+                {minRank: 5001, maxRank: 10000, count: 0},
+                {minRank: 10001, maxRank: 20000, count: 0},
+                {minRank: 20001, maxRank: null, count: 0},
+            ],
+            unknownWithoutFrequencyCount: 0,
+            topUnknownWords: [],
+        });
+    });
+
+    test('counts and frequency distribution', () => {
+        const words = [
+            createWord('a', 'known'),
+            createWord('b', 'unknown'),
+            createWord('a', 'known'),
+            createWord('c', 'learning'),
+            createWord('d', 'unknown'),
+            createWord('b', 'unknown'),
+            createWord('e', 'unknown'),
+            createWord('f', 'known'),
+        ];
+        const frequencyRanks = new Map([['a', 1], ['b', 1000], ['d', 25000]]);
+        const statistics = getComprehensionStatistics(words, frequencyRanks, 10);
+        expect.soft(statistics.wordCount).toStrictEqual(8);
+        expect.soft(statistics.uniqueWordCount).toStrictEqual(6);
+        expect.soft(statistics.knownCount).toStrictEqual(3);
+        expect.soft(statistics.learningCount).toStrictEqual(1);
+        expect.soft(statistics.unknownCount).toStrictEqual(4);
+        expect.soft(statistics.uniqueUnknownCount).toStrictEqual(3);
+        expect.soft(statistics.knownRatio).toStrictEqual(3 / 8);
+        expect.soft(statistics.unknownFrequencyDistribution.map(({count}) => count)).toStrictEqual([1, 0, 0, 0, 1]);
+        expect.soft(statistics.unknownWithoutFrequencyCount).toStrictEqual(1);
+    });
+
+    test('top unknown words', () => {
+        const words = [
+            createWord('rare', 'unknown'),
+            createWord('missing', 'unknown'),
+            createWord('common', 'unknown'),
+            createWord('repeated', 'unknown'),
+            createWord('repeated', 'unknown'),
+            createWord('known', 'known'),
+            createWord('known', 'known'),
+            createWord('known', 'known'),
+        ];
+        const frequencyRanks = new Map([['rare', 9000], ['common', 100], ['repeated', 50000]]);
+        const statistics = getComprehensionStatistics(words, frequencyRanks, 3);
+        expect(statistics.topUnknownWords).toStrictEqual([
+            {term: 'repeated', reading: 'repeated-reading', count: 2, frequency: 50000},
+            {term: 'common', reading: 'common-reading', count: 1, frequency: 100},
+            {term: 'rare', reading: 'rare-reading', count: 1, frequency: 9000},
+        ]);
+    });
+});
@@ -25,6 +25,7 @@ import {createDictionaryArchiveData, getDictionaryArchiveIndex} from '../dev/dic
 import {parseJson} from '../dev/json.js';
 import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
 import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {createWildcardRegExp, parseRegExpLiteral} from '../ext/js/general/regex-util.js';
 import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
 
 const dirname = pathDirname(fileURLToPath(import.meta.url));
@@ -120,7 +121,7 @@ describe('Database', () => {
         // Setup database
         const dictionaryDatabase = new DictionaryDatabase();
         /** @type {import('dictionary-importer').ImportDetails} */
-        const defaultImportDetails = {prefixWildcardsSupported: false};
+        const defaultImportDetails = {prefixWildcardsSupported: false, glossarySearchSupported: false};
 
         // Database not open
         await expect.soft(dictionaryDatabase.deleteDictionary(title, 1000, () => {})).rejects.toThrow('Database not open');
@@ -156,6 +157,7 @@ describe('Database', () => {
             {name: 'invalid-dictionary4'},
             {name: 'invalid-dictionary5'},
             {name: 'invalid-dictionary6'},
+            {name: 'invalid-dictionary7'},
         ];
         describe.each(invalidDictionaries)('Invalid dictionary: $name', ({name}) => {
             test('Has invalid data', async ({expect}) => {
@@ -165,7 +167,7 @@ describe('Database', () => {
                 const testDictionarySource = await createTestDictionaryArchiveData(name);
 
                 /** @type {import('dictionary-importer').ImportDetails} */
-                const detaultImportDetails = {prefixWildcardsSupported: false};
+                const detaultImportDetails = {prefixWildcardsSupported: false, glossarySearchSupported: false};
                 await expect.soft(createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, detaultImportDetails)).rejects.toThrow('Dictionary has invalid data');
                 await dictionaryDatabase.close();
             });
@@ -197,7 +199,7 @@ describe('Database', () => {
             const {result: importDictionaryResult, errors: importDictionaryErrors} = await dictionaryImporter.importDictionary(
                 dictionaryDatabase,
                 testDictionarySource,
-                {prefixWildcardsSupported: true},
+                {prefixWildcardsSupported: true, glossarySearchSupported: true},
             );
 
             if (importDictionaryResult) {
@@ -245,6 +247,50 @@ describe('Database', () => {
                 }
             }
 
+            // Test findTermsByGlossary
+            for (const {inputs, expectedResults} of testData.tests.findTermsByGlossary) {
+                for (const {tokens} of inputs) {
+                    const results = await dictionaryDatabase.findTermsByGlossary(tokens, titles, 100);
+                    expect.soft(results.length).toStrictEqual(expectedResults.total);
+                    for (const [term, count] of expectedResults.terms) {
+                        expect.soft(countDictionaryDatabaseEntriesWithTerm(results, term)).toStrictEqual(count);
+                    }
+                    for (const [reading, count] of expectedResults.readings) {
+                        expect.soft(countDictionaryDatabaseEntriesWithReading(results, reading)).toStrictEqual(count);
+                    }
+                }
+            }
+
+            // Test findTermsByPattern
+            for (const {inputs, expectedResults} of testData.tests.findTermsByPattern) {
+                for (const {pattern, limit} of inputs) {
+                    const regExp = parseRegExpLiteral(pattern) ?? createWildcardRegExp(pattern, true);
+                    /** @type {import('dictionary-database').TermEntry[]} */
+                    const results = [];
+                    /** @type {?import('dictionary-database').TermPosition} */
+                    let after = null;
+                    do {
+                        const {entries, next} = await dictionaryDatabase.findTermsByPattern(regExp, titles, after, limit);
+                        results.push(...entries);
+                        after = next;
+                    } while (after !== null);
+                    expect.soft(results.length).toStrictEqual(expectedResults.total);
+                    for (const [term, count] of expectedResults.terms) {
+                        expect.soft(countDictionaryDatabaseEntriesWithTerm(results, term)).toStrictEqual(count);
+                    }
+                    for (const [reading, count] of expectedResults.readings) {
+                        expect.soft(countDictionaryDatabaseEntriesWithReading(results, reading)).toStrictEqual(count);
+                    }
+                }
+            }
+
+            // Test that findTermsByPattern resumes from a position within the terms of an expression
+            const patternRegExp = createWildcardRegExp('打つ', false);
+            const patternIds = (await dictionaryDatabase.findTermsByPattern(patternRegExp, titles, null, 100)).entries.map(({id}) => id);
+            const resumedPatternResult = await dictionaryDatabase.findTermsByPattern(patternRegExp, titles, {expression: '打つ', id: patternIds[2]}, 100);
+            expect.soft(patternIds.length).toStrictEqual(4);
+            expect.soft(resumedPatternResult.entries.map(({id}) => id)).toStrictEqual(patternIds.slice(2));
+
             // Test findTermsBySequenceBulk
             for (const {inputs, expectedResults} of testData.tests.findTermsBySequenceBulk) {
                 for (const {sequenceList} of inputs) {
@@ -322,7 +368,7 @@ describe('Database', () => {
 
                 // Import data
                 const dictionaryImporter = createDictionaryImporter(expect);
-                await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: true});
+                await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: true, glossarySearchSupported: false});
 
                 // Clear
                 switch (clearMethod) {
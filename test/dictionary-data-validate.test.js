@@ -37,12 +37,14 @@ async function createTestDictionaryArchiveData(dictionary, dictionaryName) {
 describe('Dictionary validation', () => {
     const testCases = [
         {name: 'valid-dictionary1', valid: true},
+        {name: 'valid-dictionary2', valid: true},
         {name: 'invalid-dictionary1', valid: false},
         {name: 'invalid-dictionary2', valid: false},
         {name: 'invalid-dictionary3', valid: false},
         {name: 'invalid-dictionary4', valid: false},
         {name: 'invalid-dictionary5', valid: false},
         {name: 'invalid-dictionary6', valid: false},
+        {name: 'invalid-dictionary7', valid: false},
     ];
     const schemas = dictionaryValidate.getSchemas();
     describe.each(testCases)('Test dictionary $name', ({name, valid}) => {
@@ -0,0 +1,105 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {fileURLToPath} from 'node:url';
+import {join, dirname as pathDirname} from 'path';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {createDictionaryArchiveData, getDictionaryArchiveIndex} from '../dev/dictionary-archive-util.js';
+import {getSchemas, validateDictionary} from '../dev/dictionary-validate.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryExporter} from '../ext/js/dictionary/dictionary-exporter.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+
+const dirname = pathDirname(fileURLToPath(import.meta.url));
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {import('dictionary-exporter').DictionaryDataObjectStoreName[]} */
+const objectStoreNames = ['terms', 'termMeta', 'kanji', 'kanjiMeta', 'tagMeta', 'media'];
+
+/**
+ * Gets all of the data of a dictionary, without the database-generated IDs.
+ * @param {DictionaryDatabase} dictionaryDatabase
+ * @param {string} dictionaryTitle
+ * @returns {Promise<Map<string, unknown[]>>}
+ */
+async function getDictionaryData(dictionaryDatabase, dictionaryTitle) {
+    /** @type {Map<string, unknown[]>} */
+    const results = new Map();
+    for (const objectStoreName of objectStoreNames) {
+        const rows = await dictionaryDatabase.getDictionaryData(objectStoreName, dictionaryTitle);
+        results.set(objectStoreName, rows.map((row) => {
+            const data = /** @type {{id?: number}} */ ({...row});
+            delete data.id;
+            return data;
+        }));
+    }
+    return results;
+}
+
+describe('DictionaryExporter', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('exported archive is valid and imports the same data', async ({expect}) => {
+        const archive = await createDictionaryArchiveData(join(dirname, 'data', 'dictionaries', 'valid-dictionary1'));
+        const {title} = await getDictionaryArchiveIndex(archive);
+        const details = {prefixWildcardsSupported: true, glossarySearchSupported: false};
+        const mediaLoader = new DictionaryImporterMediaLoader();
+
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        try {
+            const {result: summary} = await new DictionaryImporter(mediaLoader).importDictionary(dictionaryDatabase, archive, details);
+            expect(summary).not.toBeNull();
+            const expectedData = await getDictionaryData(dictionaryDatabase, title);
+
+            /** @type {import('dictionary-exporter').ProgressData[]} */
+            const progress = [];
+            const dictionaryExporter = new DictionaryExporter((data) => { progress.push(data); });
+            // Level 0 compression is used since compression in the node environment is not supported.
+            const blob = await dictionaryExporter.exportDictionary(dictionaryDatabase, title, {compressionLevel: 0});
+            const exportedArchive = await blob.arrayBuffer();
+
+            await expect.soft(validateDictionary(null, exportedArchive, getSchemas())).resolves.not.toThrow();
+            const {index: progressIndex, count: progressCount} = progress[progress.length - 1];
+            expect.soft(progressIndex).toStrictEqual(progressCount);
+
+            await dictionaryDatabase.deleteDictionary(title, 1000, () => {});
+            const {result: summary2} = await new DictionaryImporter(mediaLoader).importDictionary(dictionaryDatabase, exportedArchive, details);
+            expect.soft(summary2 === null ? null : {...summary2, importDate: 0}).toStrictEqual(summary === null ? null : {...summary, importDate: 0});
+            expect.soft(await getDictionaryData(dictionaryDatabase, title)).toStrictEqual(expectedData);
+        } finally {
+            await dictionaryDatabase.close();
+        }
+    });
+
+    test('missing dictionary', async ({expect}) => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        try {
+            const dictionaryExporter = new DictionaryExporter();
+            await expect(dictionaryExporter.exportDictionary(dictionaryDatabase, 'Missing Dictionary', {compressionLevel: 0})).rejects.toThrow('Dictionary Missing Dictionary is not installed');
+        } finally {
+            await dictionaryDatabase.close();
+        }
+    });
+});
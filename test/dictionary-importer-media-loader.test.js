@@ -0,0 +1,58 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {DictionaryImporterMediaLoader} from '../ext/js/dictionary/dictionary-importer-media-loader.js';
+
+/**
+ * @param {string} svg
+ * @returns {ArrayBuffer}
+ */
+function createContent(svg) {
+    const {buffer} = new TextEncoder().encode(svg);
+    return buffer;
+}
+
+describe('DictionaryImporterMediaLoader', () => {
+    describe('SVG image sizes', () => {
+        /** @type {{svg: string, expected: {width: number, height: number}}[]} */
+        const data = [
+            {svg: '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"></svg>', expected: {width: 40, height: 20}},
+            {svg: '<?xml version="1.0"?>\n<svg width=\'40px\' height=\'20px\'></svg>', expected: {width: 40, height: 20}},
+            {svg: '<svg viewBox="0 0 100 50"></svg>', expected: {width: 100, height: 50}},
+            {svg: '<svg width="40" viewBox="0 0 100 50"></svg>', expected: {width: 40, height: 20}},
+            {svg: '<svg height="10" viewBox="0,0,100,50"></svg>', expected: {width: 20, height: 10}},
+            {svg: '<svg width="50%" height="2em"></svg>', expected: {width: 300, height: 150}},
+            {svg: '<svg></svg>', expected: {width: 300, height: 150}},
+        ];
+
+        test.each(data)('$svg', async ({svg, expected}) => {
+            const mediaLoader = new DictionaryImporterMediaLoader();
+            const content = createContent(svg);
+            /** @type {Transferable[]} */
+            const transfer = [];
+            const {width, height} = await mediaLoader.getImageDetails(content, 'image/svg+xml', transfer);
+            expect({width, height}).toStrictEqual(expected);
+            expect(transfer).toStrictEqual([content]);
+        });
+
+        test('Invalid content', async () => {
+            const mediaLoader = new DictionaryImporterMediaLoader();
+            await expect(mediaLoader.getImageDetails(createContent('not an image'), 'image/svg+xml')).rejects.toThrow('Image failed to load');
+        });
+    });
+});
@@ -0,0 +1,193 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {cpSync, mkdtempSync, readFileSync, rmSync, writeFileSync} from 'node:fs';
+import {tmpdir} from 'node:os';
+import {fileURLToPath} from 'node:url';
+import {join, dirname as pathDirname} from 'path';
+import {beforeEach, describe, expect, test, vi} from 'vitest';
+import {createDictionaryArchiveData} from '../dev/dictionary-archive-util.js';
+import {parseJson} from '../dev/json.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {LanguageTransformer} from '../ext/js/language/language-transformer.js';
+import {createDictionaryTransformDescriptor} from '../ext/js/language/language-transforms.js';
+import {MultiLanguageTransformer} from '../ext/js/language/multi-language-transformer.js';
+import {Translator} from '../ext/js/language/translator.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+import {createFindTermsOptions} from './utilities/translator.js';
+
+const dirname = pathDirname(fileURLToPath(import.meta.url));
+const dictionaryDirectory = join(dirname, 'data', 'dictionaries', 'valid-dictionary2');
+const dictionaryTitle = 'Test Dictionary 2';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/**
+ * @returns {import('dictionary-data').Transforms}
+ */
+function readTestTransforms() {
+    return parseJson(readFileSync(join(dictionaryDirectory, 'transforms.json'), {encoding: 'utf8'}));
+}
+
+/**
+ * @param {import('dictionary-data').Transforms} transforms
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function createTestDictionaryArchiveData(transforms) {
+    const directory = mkdtempSync(join(tmpdir(), 'yomitan-dictionary-'));
+    try {
+        cpSync(dictionaryDirectory, directory, {recursive: true});
+        writeFileSync(join(directory, 'transforms.json'), JSON.stringify(transforms));
+        return await createDictionaryArchiveData(directory);
+    } finally {
+        rmSync(directory, {recursive: true, force: true});
+    }
+}
+
+/**
+ * @param {Iterable<import('language-transformer-internal').TransformedText>} transformedTexts
+ * @returns {string[]}
+ */
+function getTexts(transformedTexts) {
+    return [...transformedTexts].map(({text}) => text);
+}
+
+describe('createDictionaryTransformDescriptor', () => {
+    test('rule types', () => {
+        const languageTransformer = new LanguageTransformer();
+        languageTransformer.addDescriptor(createDictionaryTransformDescriptor(readTestTransforms()));
+        expect.soft(getTexts(languageTransformer.transform('parlo'))).toStrictEqual(['parlo', 'parlare']);
+        expect.soft(getTexts(languageTransformer.transform('libri'))).toStrictEqual(['libri', 'libro']);
+        expect.soft(getTexts(languageTransformer.transform('sono'))).toStrictEqual(['sono', 'sonare', 'essere']);
+    });
+
+    test('inflected text is matched literally', () => {
+        /** @type {import('dictionary-data').Transforms} */
+        const transforms = {
+            language: 'xx',
+            conditions: {v: {name: 'Verb', isDictionaryForm: true}},
+            transforms: {
+                dot: {name: 'dot', rules: [{type: 'prefix', inflected: '.', deinflected: '', conditionsIn: [], conditionsOut: ['v']}]},
+            },
+        };
+        const languageTransformer = new LanguageTransformer();
+        languageTransformer.addDescriptor(createDictionaryTransformDescriptor(transforms));
+        expect.soft(getTexts(languageTransformer.transform('abc'))).toStrictEqual(['abc']);
+        expect.soft(getTexts(languageTransformer.transform('.abc'))).toStrictEqual(['.abc', 'abc']);
+    });
+});
+
+describe('MultiLanguageTransformer', () => {
+    test('dictionary descriptors are used until they are replaced', () => {
+        const multiLanguageTransformer = new MultiLanguageTransformer();
+        multiLanguageTransformer.prepare();
+        expect.soft(getTexts(multiLanguageTransformer.transform('ro', 'parlo'))).toStrictEqual(['parlo']);
+
+        multiLanguageTransformer.setDictionaryDescriptors([{...createDictionaryTransformDescriptor(readTestTransforms()), language: 'ro'}]);
+        expect.soft(getTexts(multiLanguageTransformer.transform('ro', 'parlo'))).toStrictEqual(['parlo', 'parlare']);
+        expect.soft(multiLanguageTransformer.getConditionFlagsFromPartsOfSpeech('ro', ['v'])).not.toStrictEqual(0);
+
+        multiLanguageTransformer.setDictionaryDescriptors([]);
+        expect.soft(getTexts(multiLanguageTransformer.transform('ro', 'parlo'))).toStrictEqual(['parlo']);
+    });
+
+    test('dictionary descriptors are added to built-in descriptors', () => {
+        const multiLanguageTransformer = new MultiLanguageTransformer();
+        multiLanguageTransformer.prepare();
+        const builtInTexts = getTexts(multiLanguageTransformer.transform('en', 'walked'));
+        expect.soft(builtInTexts).toContain('walk');
+
+        multiLanguageTransformer.setDictionaryDescriptors([{...createDictionaryTransformDescriptor(readTestTransforms()), language: 'en'}]);
+        const texts = getTexts(multiLanguageTransformer.transform('en', 'walked'));
+        expect.soft(texts).toContain('walk');
+        expect.soft(getTexts(multiLanguageTransformer.transform('en', 'parlo'))).toContain('parlare');
+    });
+
+    test('dictionary descriptors share conditions with built-in descriptors', () => {
+        /** @type {import('dictionary-data').Transforms} */
+        const transforms = {
+            language: 'it',
+            conditions: {v: {name: 'Verb', isDictionaryForm: true}},
+            transforms: {
+                dot: {name: 'dot', rules: [{type: 'prefix', inflected: '.', deinflected: '', conditionsIn: [], conditionsOut: ['v']}]},
+            },
+        };
+        const multiLanguageTransformer = new MultiLanguageTransformer();
+        multiLanguageTransformer.prepare();
+        multiLanguageTransformer.setDictionaryDescriptors([createDictionaryTransformDescriptor(transforms)]);
+        const verbConditions = multiLanguageTransformer.getConditionFlagsFromPartsOfSpeech('it', ['v']);
+
+        const builtInResult = multiLanguageTransformer.transform('it', 'parliamo').find(({text}) => text === 'parlare');
+        expect.soft(builtInResult?.conditions).not.toStrictEqual(0);
+        expect.soft(LanguageTransformer.conditionsMatch(builtInResult?.conditions ?? 0, verbConditions)).toStrictEqual(true);
+
+        const dictionaryResult = multiLanguageTransformer.transform('it', '.parlare').find(({text}) => text === 'parlare');
+        expect.soft(dictionaryResult?.conditions).not.toStrictEqual(0);
+        expect.soft(LanguageTransformer.conditionsMatch(dictionaryResult?.conditions ?? 0, verbConditions)).toStrictEqual(true);
+    });
+});
+
+describe('Dictionary transforms', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('import and lookup', async () => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        try {
+            const archive = await createDictionaryArchiveData(dictionaryDirectory);
+            const {result} = await new DictionaryImporter(new DictionaryImporterMediaLoader()).importDictionary(dictionaryDatabase, archive, {prefixWildcardsSupported: false, glossarySearchSupported: false});
+            expect.soft(result?.transforms).toStrictEqual(readTestTransforms());
+
+            const translator = new Translator(dictionaryDatabase);
+            translator.prepare();
+            /** @type {import('test/translator').TranslatorTestInputs} */
+            const {optionsPresets} = parseJson(readFileSync(join(dirname, 'data', 'translator-test-inputs.json'), {encoding: 'utf8'}));
+            const options = createFindTermsOptions(dictionaryTitle, optionsPresets, ['default', {type: 'terms', language: 'it', removeNonJapaneseCharacters: false}]);
+
+            // The built-in Italian rules share the verb condition of the dictionary, so their deinflections are found too
+            const {dictionaryEntries} = await translator.findTerms('simple', 'parliamo', options);
+            expect.soft(dictionaryEntries.map(({headwords, inflectionRuleChainCandidates}) => ({
+                term: headwords[0].term,
+                inflectionRules: inflectionRuleChainCandidates.map(({inflectionRules}) => inflectionRules.map(({name}) => name)),
+            }))).toStrictEqual([{term: 'parlare', inflectionRules: [['present indicative'], ['present subjunctive'], ['imperative']]}]);
+
+            const {dictionaryEntries: nounEntries} = await translator.findTerms('simple', 'libri', options);
+            expect.soft(nounEntries.map(({headwords}) => headwords[0].term)).toStrictEqual(['libro']);
+        } finally {
+            await dictionaryDatabase.close();
+        }
+    });
+
+    test('undeclared conditions are rejected', async () => {
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+        try {
+            const transforms = readTestTransforms();
+            transforms.transforms.plural.rules[0].conditionsOut = ['adj'];
+            const archive = await createTestDictionaryArchiveData(transforms);
+            const importer = new DictionaryImporter(new DictionaryImporterMediaLoader());
+            await expect.soft(importer.importDictionary(dictionaryDatabase, archive, {prefixWildcardsSupported: false, glossarySearchSupported: false})).rejects.toThrow('Dictionary has invalid data in \'transforms.json\'');
+            expect.soft(await dictionaryDatabase.getDictionaryInfo()).toStrictEqual([]);
+        } finally {
+            await dictionaryDatabase.close();
+        }
+    });
+});
@@ -0,0 +1,262 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {cpSync, mkdtempSync, readFileSync, rmSync, writeFileSync} from 'node:fs';
+import {createServer} from 'node:http';
+import {tmpdir} from 'node:os';
+import {fileURLToPath} from 'node:url';
+import {join, dirname as pathDirname} from 'path';
+import {afterAll, beforeAll, beforeEach, describe, test, vi} from 'vitest';
+import {createDictionaryArchiveData} from '../dev/dictionary-archive-util.js';
+import {parseJson} from '../dev/json.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {DictionaryUpdater, getDictionaryUpdate} from '../ext/js/dictionary/dictionary-updater.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+
+const dirname = pathDirname(fileURLToPath(import.meta.url));
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/**
+ * Creates an archive of the valid test dictionary with additional index properties.
+ * @param {Partial<import('dictionary-data').Index>} indexProperties
+ * @param {{[fileName: string]: string}} [files] Files which are added to the archive or replace existing files.
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function createUpdatableDictionaryArchiveData(indexProperties, files = {}) {
+    const sourceDirectory = join(dirname, 'data', 'dictionaries', 'valid-dictionary1');
+    const directory = mkdtempSync(join(tmpdir(), 'yomitan-dictionary-'));
+    try {
+        cpSync(sourceDirectory, directory, {recursive: true});
+        const indexFileName = join(directory, 'index.json');
+        /** @type {import('dictionary-data').Index} */
+        const index = parseJson(readFileSync(indexFileName, {encoding: 'utf8'}));
+        writeFileSync(indexFileName, JSON.stringify({...index, ...indexProperties}));
+        for (const [fileName, content] of Object.entries(files)) {
+            writeFileSync(join(directory, fileName), content);
+        }
+        return await createDictionaryArchiveData(directory);
+    } finally {
+        rmSync(directory, {recursive: true, force: true});
+    }
+}
+
+/**
+ * Creates an object which imports dictionaries like a `DictionaryWorker`, but in the current context.
+ * @param {DictionaryDatabase} dictionaryDatabase
+ * @returns {import('../ext/js/dictionary/dictionary-worker.js').DictionaryWorker}
+ */
+function createDictionaryWorker(dictionaryDatabase) {
+    const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+    return /** @type {import('../ext/js/dictionary/dictionary-worker.js').DictionaryWorker} */ (/** @type {unknown} */ ({
+        /**
+         * @param {ArrayBuffer} archiveContent
+         * @param {import('dictionary-importer').ImportDetails} details
+         * @returns {Promise<import('dictionary-importer').ImportResult>}
+         */
+        importDictionary: (archiveContent, details) => dictionaryImporter.importDictionary(dictionaryDatabase, archiveContent, details),
+    }));
+}
+
+describe('Dictionary updates', () => {
+    /** @type {Map<string, string|ArrayBuffer>} */
+    const files = new Map();
+    const server = createServer((request, response) => {
+        const content = files.get(request.url ?? '');
+        if (typeof content === 'undefined') {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200);
+        response.end(typeof content === 'string' ? content : Buffer.from(content));
+    });
+    let baseUrl = '';
+
+    beforeAll(async () => {
+        await new Promise((resolve) => { server.listen(0, '127.0.0.1', () => resolve(void 0)); });
+        const address = server.address();
+        if (address === null || typeof address === 'string') { throw new Error('Server address unavailable'); }
+        baseUrl = `http://127.0.0.1:${address.port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => { server.close(() => resolve(void 0)); });
+    });
+
+    beforeEach(() => {
+        files.clear();
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    /**
+     * @param {string} revision
+     * @returns {import('dictionary-data').Index}
+     */
+    function createIndex(revision) {
+        return {
+            title: 'Test Dictionary',
+            format: 3,
+            revision,
+            sequenced: true,
+            isUpdatable: true,
+            indexUrl: `${baseUrl}/index.json`,
+            downloadUrl: `${baseUrl}/dictionary.zip`,
+        };
+    }
+
+    /**
+     * @param {string} revision
+     * @returns {import('dictionary-importer').Summary}
+     */
+    function createSummary(revision) {
+        const {title, sequenced, isUpdatable, indexUrl, downloadUrl} = createIndex(revision);
+        return /** @type {import('dictionary-importer').Summary} */ ({title, revision, sequenced, isUpdatable, indexUrl, downloadUrl});
+    }
+
+    describe('getDictionaryUpdate', () => {
+        test('newer revision available', async ({expect}) => {
+            files.set('/index.json', JSON.stringify(createIndex('1.10')));
+            const update = await getDictionaryUpdate(createSummary('1.9'));
+            expect(update).toStrictEqual({
+                title: 'Test Dictionary',
+                revision: '1.9',
+                latestRevision: '1.10',
+                downloadUrl: `${baseUrl}/dictionary.zip`,
+            });
+        });
+
+        test('same revision', async ({expect}) => {
+            files.set('/index.json', JSON.stringify(createIndex('1.9')));
+            expect(await getDictionaryUpdate(createSummary('1.9'))).toBeNull();
+        });
+
+        test('not updatable', async ({expect}) => {
+            const summary = createSummary('1.9');
+            summary.isUpdatable = false;
+            expect(await getDictionaryUpdate(summary)).toBeNull();
+        });
+
+        test('missing index', async ({expect}) => {
+            await expect(getDictionaryUpdate(createSummary('1.9'))).rejects.toThrow('Failed to fetch the dictionary index');
+        });
+
+        test('invalid index', async ({expect}) => {
+            files.set('/index.json', JSON.stringify({title: 'Test Dictionary'}));
+            await expect(getDictionaryUpdate(createSummary('1.9'))).rejects.toThrow('Invalid dictionary index');
+        });
+    });
+
+    describe('DictionaryUpdater', () => {
+        test('replaces the installed revision', async ({expect}) => {
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+            try {
+                const mediaLoader = new DictionaryImporterMediaLoader();
+                const details = {prefixWildcardsSupported: false, glossarySearchSupported: false};
+                const installedArchive = await createUpdatableDictionaryArchiveData(createIndex('1'));
+                await new DictionaryImporter(mediaLoader).importDictionary(dictionaryDatabase, installedArchive, details);
+
+                files.set('/dictionary.zip', await createUpdatableDictionaryArchiveData(createIndex('2')));
+                const dictionaryUpdater = new DictionaryUpdater(createDictionaryWorker(dictionaryDatabase));
+                const summary = await dictionaryUpdater.updateDictionary('Test Dictionary', `${baseUrl}/dictionary.zip`, details);
+                expect.soft(summary.revision).toStrictEqual('2');
+
+                const dictionaryInfo = await dictionaryDatabase.getDictionaryInfo();
+                expect.soft(dictionaryInfo.map(({title, revision}) => ({title, revision}))).toStrictEqual([{title: 'Test Dictionary', revision: '2'}]);
+                const {total, counts} = await dictionaryDatabase.getDictionaryCounts(['Test Dictionary'], true);
+                expect.soft(counts[0].terms).toBeGreaterThan(0);
+                expect.soft(total).toStrictEqual(counts[0]);
+            } finally {
+                await dictionaryDatabase.close();
+            }
+        });
+
+        test('failed download keeps the installed revision', async ({expect}) => {
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+            try {
+                const mediaLoader = new DictionaryImporterMediaLoader();
+                const details = {prefixWildcardsSupported: false, glossarySearchSupported: false};
+                const installedArchive = await createUpdatableDictionaryArchiveData(createIndex('1'));
+                await new DictionaryImporter(mediaLoader).importDictionary(dictionaryDatabase, installedArchive, details);
+
+                const dictionaryUpdater = new DictionaryUpdater(createDictionaryWorker(dictionaryDatabase));
+                await expect.soft(dictionaryUpdater.updateDictionary('Test Dictionary', `${baseUrl}/dictionary.zip`, details)).rejects.toThrow('Failed to fetch the URL');
+
+                const dictionaryInfo = await dictionaryDatabase.getDictionaryInfo();
+                expect.soft(dictionaryInfo.map(({revision}) => revision)).toStrictEqual(['1']);
+            } finally {
+                await dictionaryDatabase.close();
+            }
+        });
+
+        test('failed import keeps the installed revision', async ({expect}) => {
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+            try {
+                const mediaLoader = new DictionaryImporterMediaLoader();
+                const details = {prefixWildcardsSupported: false, glossarySearchSupported: false};
+                const installedArchive = await createUpdatableDictionaryArchiveData(createIndex('1'));
+                await new DictionaryImporter(mediaLoader).importDictionary(dictionaryDatabase, installedArchive, details);
+
+                files.set('/dictionary.zip', await createUpdatableDictionaryArchiveData(createIndex('2'), {'term_bank_1.json': '[["term"]]'}));
+                const dictionaryUpdater = new DictionaryUpdater(createDictionaryWorker(dictionaryDatabase));
+                await expect.soft(dictionaryUpdater.updateDictionary('Test Dictionary', `${baseUrl}/dictionary.zip`, details)).rejects.toThrow('Dictionary has invalid data');
+
+                const dictionaryInfo = await dictionaryDatabase.getDictionaryInfo();
+                expect.soft(dictionaryInfo.map(({revision}) => revision)).toStrictEqual(['1']);
+                const {counts} = await dictionaryDatabase.getDictionaryCounts(['Test Dictionary'], false);
+                expect.soft(counts[0].terms).toBeGreaterThan(0);
+            } finally {
+                await dictionaryDatabase.close();
+            }
+        });
+
+        test('failed write keeps the installed revision', async ({expect}) => {
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+            try {
+                const mediaLoader = new DictionaryImporterMediaLoader();
+                const details = {prefixWildcardsSupported: false, glossarySearchSupported: false};
+                const installedArchive = await createUpdatableDictionaryArchiveData(createIndex('1'));
+                await new DictionaryImporter(mediaLoader).importDictionary(dictionaryDatabase, installedArchive, details);
+                const installedCounts = await dictionaryDatabase.getDictionaryCounts(['Test Dictionary'], true);
+
+                const bulkAdd = dictionaryDatabase.bulkAdd.bind(dictionaryDatabase);
+                /** @type {(...args: Parameters<DictionaryDatabase['bulkAdd']>) => Promise<void>} */
+                const bulkAddExceptMedia = async (...args) => {
+                    if (args[0] === 'media') { throw new Error('Quota exceeded'); }
+                    await bulkAdd(...args);
+                };
+                vi.spyOn(dictionaryDatabase, 'bulkAdd').mockImplementation(bulkAddExceptMedia);
+
+                files.set('/dictionary.zip', await createUpdatableDictionaryArchiveData(createIndex('2')));
+                const dictionaryUpdater = new DictionaryUpdater(createDictionaryWorker(dictionaryDatabase));
+                await expect.soft(dictionaryUpdater.updateDictionary('Test Dictionary', `${baseUrl}/dictionary.zip`, details)).rejects.toThrow('Quota exceeded');
+
+                const dictionaryInfo = await dictionaryDatabase.getDictionaryInfo();
+                expect.soft(dictionaryInfo.map(({revision}) => revision)).toStrictEqual(['1']);
+                expect.soft(await dictionaryDatabase.getDictionaryCounts(['Test Dictionary'], true)).toStrictEqual(installedCounts);
+            } finally {
+                await dictionaryDatabase.close();
+            }
+        });
+    });
+});
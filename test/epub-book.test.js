@@ -0,0 +1,203 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {Uint8ArrayReader, Uint8ArrayWriter, ZipWriter} from '@zip.js/zip.js';
+import {afterAll, describe, expect, test} from 'vitest';
+import {EpubBook, resolveEpubPath} from '../ext/js/reader/epub-book.js';
+import {setupDomTest} from './fixtures/dom-test.js';
+
+const containerXml = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>`;
+
+/**
+ * @param {string} tableOfContentsItem
+ * @param {string} spineAttributes
+ * @returns {string}
+ */
+function createPackageDocument(tableOfContentsItem, spineAttributes) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="isbn">978-0-00-000000-0</dc:identifier>
+        <dc:identifier id="book-id">urn:uuid:12345678-1234-1234-1234-123456789abc</dc:identifier>
+        <dc:title>  吾輩は猫である
+        </dc:title>
+        <dc:language>ja</dc:language>
+    </metadata>
+    <manifest>
+        ${tableOfContentsItem}
+        <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+        <item id="chapter1" href="text/chapter%201.xhtml" media-type="application/xhtml+xml"/>
+        <item id="chapter2" href="text/chapter2.xhtml" media-type="application/xhtml+xml"/>
+        <item id="image" href="images/cover.png" media-type="image/png"/>
+    </manifest>
+    <spine ${spineAttributes}>
+        <itemref idref="cover"/>
+        <itemref idref="chapter1"/>
+        <itemref idref="missing"/>
+        <itemref idref="chapter2"/>
+    </spine>
+</package>`;
+}
+
+const navDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<body>
+    <nav epub:type="landmarks"><ol><li><a href="text/cover.xhtml">Cover</a></li></ol></nav>
+    <nav epub:type="toc">
+        <ol>
+            <li><a href="text/chapter%201.xhtml">一</a></li>
+            <li><a href="text/chapter%201.xhtml#part2">一（続き）</a></li>
+            <li><a href="text/chapter2.xhtml">二</a></li>
+        </ol>
+    </nav>
+</body>
+</html>`;
+
+const ncxDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+    <navMap>
+        <navPoint id="p1"><navLabel><text>一</text></navLabel><content src="../OEBPS/text/chapter%201.xhtml"/></navPoint>
+        <navPoint id="p2"><navLabel><text>二</text></navLabel><content src="text/chapter2.xhtml#start"/></navPoint>
+    </navMap>
+</ncx>`;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function createSection(text) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>${text}</title></head><body><p>${text}</p></body></html>`;
+}
+
+/**
+ * @param {[path: string, content: string][]} files
+ * @returns {Promise<Blob>}
+ */
+async function createZip(files) {
+    const zipWriter = new ZipWriter(new Uint8ArrayWriter());
+    const textEncoder = new TextEncoder();
+    for (const [path, content] of files) {
+        await zipWriter.add(path, new Uint8ArrayReader(textEncoder.encode(content)));
+    }
+    return new Blob([await zipWriter.close()]);
+}
+
+/**
+ * @param {boolean} ncx
+ * @returns {Promise<Blob>}
+ */
+async function createEpub(ncx) {
+    /** @type {[path: string, content: string][]} */
+    const files = [
+        ['mimetype', 'application/epub+zip'],
+        ['META-INF/container.xml', containerXml],
+        ['OEBPS/text/cover.xhtml', createSection('表紙')],
+        ['OEBPS/text/chapter 1.xhtml', createSection('吾輩は猫である。名前はまだ無い。')],
+        ['OEBPS/text/chapter2.xhtml', createSection('どこで生れたかとんと見当がつかぬ。')],
+    ];
+    if (ncx) {
+        files.push(
+            ['OEBPS/content.opf', createPackageDocument('<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>', 'toc="ncx"')],
+            ['OEBPS/toc.ncx', ncxDocument],
+        );
+    } else {
+        files.push(
+            ['OEBPS/content.opf', createPackageDocument('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>', 'page-progression-direction="rtl"')],
+            ['OEBPS/nav.xhtml', navDocument],
+        );
+    }
+    return await createZip(files);
+}
+
+// The EPUB files are created before the DOM environment is set up, since zip.js can't create archives from the typed arrays of jsdom
+const epub3 = await createEpub(false);
+const epub2 = await createEpub(true);
+const epubWithoutPackage = await createZip([['mimetype', 'application/epub+zip']]);
+
+const {teardown} = await setupDomTest();
+
+afterAll(() => teardown(global));
+
+describe('EpubBook', () => {
+    describe('resolveEpubPath', () => {
+        /** @type {[basePath: string, href: string, expected: {path: string, fragment: string}][]} */
+        const data = [
+            ['OEBPS/content.opf', 'text/chapter1.xhtml', {path: 'OEBPS/text/chapter1.xhtml', fragment: ''}],
+            ['OEBPS/text/chapter1.xhtml', '../images/cover.png', {path: 'OEBPS/images/cover.png', fragment: ''}],
+            ['OEBPS/text/chapter1.xhtml', 'chapter2.xhtml#note%201', {path: 'OEBPS/text/chapter2.xhtml', fragment: 'note 1'}],
+            ['OEBPS/text/chapter1.xhtml', '#note1', {path: 'OEBPS/text/chapter1.xhtml', fragment: 'note1'}],
+            ['OEBPS/text/chapter1.xhtml', '../../../cover.xhtml', {path: 'cover.xhtml', fragment: ''}],
+            ['content.opf', 'text/%E7%AB%A0%201.xhtml', {path: 'text/章 1.xhtml', fragment: ''}],
+            ['text/章 1.xhtml', '章 2.xhtml', {path: 'text/章 2.xhtml', fragment: ''}],
+        ];
+        test.each(data)('%s + %s', (basePath, href, expected) => {
+            expect(resolveEpubPath(basePath, href)).toStrictEqual(expected);
+        });
+    });
+
+    describe('load', () => {
+        test('EPUB 3 with a navigation document', async () => {
+            const book = new EpubBook();
+            await book.load(epub3);
+            expect(book.metadata).toStrictEqual({
+                identifier: 'urn:uuid:12345678-1234-1234-1234-123456789abc',
+                title: '吾輩は猫である',
+                language: 'ja',
+                pageProgressionDirection: 'rtl',
+            });
+            expect(book.spine).toStrictEqual([
+                {path: 'OEBPS/text/cover.xhtml', mediaType: 'application/xhtml+xml'},
+                {path: 'OEBPS/text/chapter 1.xhtml', mediaType: 'application/xhtml+xml'},
+                {path: 'OEBPS/text/chapter2.xhtml', mediaType: 'application/xhtml+xml'},
+            ]);
+            expect(book.tableOfContents).toStrictEqual([
+                {title: '一', path: 'OEBPS/text/chapter 1.xhtml', fragment: ''},
+                {title: '一（続き）', path: 'OEBPS/text/chapter 1.xhtml', fragment: 'part2'},
+                {title: '二', path: 'OEBPS/text/chapter2.xhtml', fragment: ''},
+            ]);
+            expect([0, 1, 2].map((index) => book.getChapterTitle(index))).toStrictEqual(['', '一', '二']);
+            expect(book.getSectionIndex('OEBPS/text/chapter2.xhtml')).toStrictEqual(2);
+            expect(book.getSectionIndex('OEBPS/nav.xhtml')).toStrictEqual(-1);
+
+            const sectionDocument = await book.getSectionDocument(1);
+            expect(sectionDocument.body.textContent).toStrictEqual('吾輩は猫である。名前はまだ無い。');
+        });
+
+        test('EPUB 2 with an NCX file', async () => {
+            const book = new EpubBook();
+            await book.load(epub2);
+            expect(book.metadata.pageProgressionDirection).toStrictEqual(null);
+            expect(book.tableOfContents).toStrictEqual([
+                {title: '一', path: 'OEBPS/text/chapter 1.xhtml', fragment: ''},
+                {title: '二', path: 'OEBPS/text/chapter2.xhtml', fragment: 'start'},
+            ]);
+            expect(book.getTableOfContentsIndex(0)).toStrictEqual(-1);
+            expect(book.getTableOfContentsIndex(2)).toStrictEqual(1);
+        });
+
+        test('Missing package document', async () => {
+            const book = new EpubBook();
+            await expect(book.load(epubWithoutPackage)).rejects.toThrow('The EPUB file does not contain META-INF/container.xml');
+        });
+    });
+});
@@ -49,7 +49,7 @@ export async function createTranslatorContext(dictionaryDirectory, dictionaryNam
     const {errors, result} = await dictionaryImporter.importDictionary(
         dictionaryDatabase,
         testDictionaryData,
-        {prefixWildcardsSupported: true},
+        {prefixWildcardsSupported: true, glossarySearchSupported: false},
     );
 
     expect(errors.length).toEqual(0);
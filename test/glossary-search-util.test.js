@@ -0,0 +1,70 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getGlossarySearchTokens, getTermGlossarySearchTokens} from '../ext/js/dictionary/glossary-search-util.js';
+
+describe('getGlossarySearchTokens', () => {
+    /** @type {[text: string, expected: string[]][]} */
+    const data = [
+        ['', []],
+        ['to read', ['to', 'read']],
+        ['To read; (to) READ', ['to', 'read']],
+        ['naiyou definition 5: more', ['naiyou', 'definition', '5', 'more']],
+        ['café, naïve', ['café', 'naïve']],
+        ['читать книгу', ['читать', 'книгу']],
+        ['本を読む', ['本', 'を', '読', 'む']],
+        ['テキスト text', ['テ', 'キ', 'ス', 'ト', 'text']],
+    ];
+
+    test.each(data)('tokens of %o', (text, expected) => {
+        expect(getGlossarySearchTokens(text)).toStrictEqual(expected);
+    });
+});
+
+describe('getTermGlossarySearchTokens', () => {
+    test('strings and text glossaries', () => {
+        /** @type {import('dictionary-data').TermGlossary[]} */
+        const glossary = ['to hit', {type: 'text', text: 'to strike'}];
+        expect(getTermGlossarySearchTokens(glossary)).toStrictEqual(['to', 'hit', 'strike']);
+    });
+
+    test('structured content text nodes', () => {
+        /** @type {import('dictionary-data').TermGlossary[]} */
+        const glossary = [
+            {
+                type: 'structured-content',
+                content: [
+                    {tag: 'span', title: 'ignored title', content: 'first'},
+                    {tag: 'br'},
+                    {tag: 'ul', content: [{tag: 'li', content: ['second ', {tag: 'a', href: '?query=x', content: 'third'}]}]},
+                    {tag: 'img', path: 'image.gif', title: 'image title'},
+                ],
+            },
+        ];
+        expect(getTermGlossarySearchTokens(glossary)).toStrictEqual(['first', 'second', 'third']);
+    });
+
+    test('images and deinflections are ignored', () => {
+        /** @type {import('dictionary-data').TermGlossary[]} */
+        const glossary = [
+            {type: 'image', path: 'image.gif', description: 'image description'},
+            ['読む', ['past']],
+        ];
+        expect(getTermGlossarySearchTokens(glossary)).toStrictEqual([]);
+    });
+});
@@ -0,0 +1,35 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {normalizeRecognizedText} from '../ext/js/media/image-text-recognizer.js';
+
+describe('ImageTextRecognizer', () => {
+    describe('normalizeRecognizedText', () => {
+        /* eslint-disable @stylistic/no-multi-spaces */
+        const data = [
+            {text: '日 本 語 の\n文 章 で す 。\n', language: 'ja', expected: '日本語の文章です。'},
+            {text: '\n  縦 書 き\n\n',               language: 'ja', expected: '縦書き'},
+            {text: 'An  example\nsentence.\n',      language: 'en', expected: 'An example sentence.'},
+            {text: '  \n\n ',                       language: 'en', expected: ''},
+        ];
+        /* eslint-enable @stylistic/no-multi-spaces */
+        test.each(data)('$language: $expected', ({text, language, expected}) => {
+            expect(normalizeRecognizedText(text, language)).toStrictEqual(expected);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getArabicRoots} from '../../ext/js/language/ar/arabic-roots.js';
+
+describe('getArabicRoots', () => {
+    /** @type {[word: string, expected: string[]][]} */
+    const data = [
+        ['كاتب', ['كتب']],
+        ['مكتبة', ['كتب']],
+        ['تعليم', ['علم']],
+        ['علماء', ['علم']],
+        ['مفاتيح', ['فتح']],
+        ['استخدام', ['خدم']],
+        ['اجتماع', ['جمع']],
+        ['قال', ['قول', 'قيل']],
+        ['مستشفى', ['شفي', 'شفو']],
+        ['رد', ['ردد']],
+        ['كتب', []],
+        ['book', []],
+    ];
+
+    test.each(data)('roots of %o', (word, expected) => {
+        expect(getArabicRoots(word)).toStrictEqual(expected);
+    });
+
+    test('words following several patterns have a root for each', () => {
+        expect(getArabicRoots('مكتوب')).toStrictEqual(expect.arrayContaining(['كتب']));
+    });
+});
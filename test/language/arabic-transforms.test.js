@@ -0,0 +1,131 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {arabicTransforms} from '../../ext/js/language/ar/arabic-transforms.js';
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'proclitics',
+        valid: true,
+        tests: [
+            {term: 'كتاب', source: 'الكتاب', rule: 'n', reasons: ['definite article']},
+            {term: 'كتاب', source: 'بالكتاب', rule: 'n', reasons: ['definite article', 'preposition']},
+            {term: 'كتاب', source: 'وبالكتاب', rule: 'n', reasons: ['definite article', 'preposition', 'conjunction']},
+            {term: 'كتاب', source: 'للكتاب', rule: 'n', reasons: ['definite article', 'preposition']},
+            {term: 'قلم', source: 'كقلم', rule: 'n', reasons: ['preposition']},
+            {term: 'قال', source: 'فقال', rule: 'v', reasons: ['conjunction']},
+            {term: 'معلم', source: 'والمعلمون', rule: 'n', reasons: ['sound masculine plural', 'definite article', 'conjunction']},
+            {term: 'كبير', source: 'الكبيرة', rule: 'adj', reasons: ['feminine', 'definite article']},
+        ],
+    },
+    {
+        category: 'nouns and adjectives',
+        valid: true,
+        tests: [
+            {term: 'معلم', source: 'معلمون', rule: 'n', reasons: ['sound masculine plural']},
+            {term: 'معلم', source: 'معلمين', rule: 'n', reasons: ['sound masculine plural']},
+            {term: 'معلمة', source: 'معلمات', rule: 'n', reasons: ['sound feminine plural']},
+            {term: 'كبير', source: 'كبيرات', rule: 'adj', reasons: ['feminine', 'sound feminine plural']},
+            {term: 'كتاب', source: 'كتابان', rule: 'n', reasons: ['dual']},
+            {term: 'مدرسة', source: 'مدرستان', rule: 'n', reasons: ['dual']},
+            {term: 'كبير', source: 'كبيرة', rule: 'adj', reasons: ['feminine']},
+            {term: 'كتاب', source: 'كتابه', rule: 'n', reasons: ['possessive pronoun']},
+            {term: 'قلم', source: 'بقلمه', rule: 'n', reasons: ['possessive pronoun', 'preposition']},
+            {term: 'سيارة', source: 'سيارتكم', rule: 'n', reasons: ['possessive pronoun']},
+            {term: 'معلم', source: 'معلموه', rule: 'n', reasons: ['sound masculine plural', 'possessive pronoun']},
+            {term: 'مستشفى', source: 'مستشفاها', rule: 'n', reasons: ['possessive pronoun']},
+        ],
+    },
+    {
+        category: 'perfect',
+        valid: true,
+        tests: [
+            {term: 'كتب', source: 'كتبت', rule: 'v', reasons: ['perfect']},
+            {term: 'كتب', source: 'كتبنا', rule: 'v', reasons: ['perfect']},
+            {term: 'كتب', source: 'كتبتم', rule: 'v', reasons: ['perfect']},
+            {term: 'كتب', source: 'كتبوا', rule: 'v', reasons: ['perfect']},
+            {term: 'كتب', source: 'كتبن', rule: 'v', reasons: ['perfect']},
+            {term: 'قال', source: 'قلت', rule: 'v', reasons: ['perfect']},
+            {term: 'كان', source: 'كنت', rule: 'v', reasons: ['perfect']},
+            {term: 'مشى', source: 'مشيت', rule: 'v', reasons: ['perfect']},
+            {term: 'دعا', source: 'دعوت', rule: 'v', reasons: ['perfect']},
+            {term: 'مشى', source: 'مشوا', rule: 'v', reasons: ['perfect']},
+        ],
+    },
+    {
+        category: 'imperfect',
+        valid: true,
+        tests: [
+            {term: 'كتب', source: 'يكتب', rule: 'v', reasons: ['imperfect']},
+            {term: 'كتب', source: 'أكتب', rule: 'v', reasons: ['imperfect']},
+            {term: 'كتب', source: 'نكتب', rule: 'v', reasons: ['imperfect']},
+            {term: 'كتب', source: 'يكتبون', rule: 'v', reasons: ['imperfect']},
+            {term: 'كتب', source: 'تكتبين', rule: 'v', reasons: ['imperfect']},
+            {term: 'كتب', source: 'يكتبان', rule: 'v', reasons: ['imperfect']},
+            {term: 'كتب', source: 'يكتبوا', rule: 'v', reasons: ['imperfect']},
+            {term: 'أرسل', source: 'يرسل', rule: 'v', reasons: ['imperfect']},
+            {term: 'انكسر', source: 'ينكسر', rule: 'v', reasons: ['imperfect']},
+            {term: 'اجتمع', source: 'يجتمعون', rule: 'v', reasons: ['imperfect']},
+            {term: 'استخدم', source: 'يستخدم', rule: 'v', reasons: ['imperfect']},
+            {term: 'قال', source: 'يقول', rule: 'v', reasons: ['imperfect']},
+            {term: 'باع', source: 'يبيع', rule: 'v', reasons: ['imperfect']},
+            {term: 'وصل', source: 'يصل', rule: 'v', reasons: ['imperfect']},
+            {term: 'مشى', source: 'يمشي', rule: 'v', reasons: ['imperfect']},
+            {term: 'دعا', source: 'يدعو', rule: 'v', reasons: ['imperfect']},
+            {term: 'كتب', source: 'سيكتبون', rule: 'v', reasons: ['imperfect', 'future']},
+            {term: 'قال', source: 'سيقول', rule: 'v', reasons: ['imperfect', 'future']},
+        ],
+    },
+    {
+        category: 'imperative',
+        valid: true,
+        tests: [
+            {term: 'كتب', source: 'اكتب', rule: 'v', reasons: ['imperative']},
+            {term: 'كتب', source: 'اكتبي', rule: 'v', reasons: ['imperative']},
+            {term: 'كتب', source: 'اكتبوا', rule: 'v', reasons: ['imperative']},
+        ],
+    },
+    {
+        category: 'object pronouns',
+        valid: true,
+        tests: [
+            {term: 'كتب', source: 'كتبه', rule: 'v', reasons: ['object pronoun']},
+            {term: 'كتب', source: 'كتبوه', rule: 'v', reasons: ['perfect', 'object pronoun']},
+            {term: 'كتب', source: 'كتبتموه', rule: 'v', reasons: ['perfect', 'object pronoun']},
+            {term: 'رمى', source: 'رماه', rule: 'v', reasons: ['object pronoun']},
+            {term: 'كتب', source: 'اكتبه', rule: 'v', reasons: ['imperative', 'object pronoun']},
+            {term: 'كتب', source: 'وسيكتبونها', rule: 'v', reasons: ['imperfect', 'object pronoun', 'future', 'conjunction']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'كتاب', source: 'الكتابه', rule: 'n', reasons: ['possessive pronoun', 'definite article']},
+            {term: 'كتاب', source: 'البالكتاب', rule: 'n', reasons: ['definite article', 'preposition', 'definite article']},
+            {term: 'كتب', source: 'سكتب', rule: 'v', reasons: ['future']},
+            {term: 'كتب', source: 'بيكتب', rule: 'v', reasons: ['imperfect', 'preposition']},
+            {term: 'مدرسة', source: 'مدرس', rule: 'n', reasons: ['feminine']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(arabicTransforms);
+testLanguageTransformer(languageTransformer, tests);
@@ -0,0 +1,67 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getJyutpingSyllables, jyutpingSyllablesMatch, normalizeJyutping} from '../../ext/js/language/yue/cantonese.js';
+
+describe('getJyutpingSyllables', () => {
+    /** @type {[text: string, expected: ?import('cantonese').JyutpingSyllable[]][]} */
+    const data = [
+        ['nei5 hou2', [{syllable: 'nei', tone: 5}, {syllable: 'hou', tone: 2}]],
+        ['nei5hou2', [{syllable: 'nei', tone: 5}, {syllable: 'hou', tone: 2}]],
+        ['Nei Hou', [{syllable: 'nei', tone: null}, {syllable: 'hou', tone: null}]],
+        ['ngo5 m4 zi1', [{syllable: 'ngo', tone: 5}, {syllable: 'm', tone: 4}, {syllable: 'zi', tone: 1}]],
+        ['gwong2dung1waa2', [{syllable: 'gwong', tone: 2}, {syllable: 'dung', tone: 1}, {syllable: 'waa', tone: 2}]],
+        ['heoi3 zoek3 syu1', [{syllable: 'heoi', tone: 3}, {syllable: 'zoek', tone: 3}, {syllable: 'syu', tone: 1}]],
+        ['', null],
+        ['你好', null],
+        ['nei7', null],
+        ['hello', null],
+    ];
+
+    test.each(data)('syllables of %o', (text, expected) => {
+        expect(getJyutpingSyllables(text)).toStrictEqual(expected);
+    });
+});
+
+describe('jyutpingSyllablesMatch', () => {
+    /** @type {[search: string, reading: string, expected: boolean][]} */
+    const data = [
+        ['nei5 hou2', 'nei5 hou2', true],
+        ['nei5hou2', 'nei5 hou2', true],
+        ['nei hou', 'nei5 hou2', true],
+        ['nei5 hou', 'nei5 hou2', true],
+        ['nei3 hou2', 'nei5 hou2', false],
+        ['nei', 'nei5 hou2', false],
+        ['nei hou maa', 'nei5 hou2', false],
+    ];
+
+    test.each(data)('%o matches %o: %o', (search, reading, expected) => {
+        const syllables = getJyutpingSyllables(search);
+        expect(syllables).not.toBeNull();
+        expect(jyutpingSyllablesMatch(/** @type {import('cantonese').JyutpingSyllable[]} */ (syllables), reading)).toStrictEqual(expected);
+    });
+});
+
+describe('normalizeJyutping', () => {
+    test.each([
+        ['nei5 hou2', 'nei5hou2'],
+        ['Nei5 Hou2', 'nei5hou2'],
+    ])('%o should normalize to %o', (a, b) => {
+        expect(normalizeJyutping(a)).toStrictEqual(b);
+    });
+});
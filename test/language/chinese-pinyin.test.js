@@ -0,0 +1,88 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {convertPinyinInput} from '../../ext/js/language/zh/chinese-text-preprocessors.js';
+import {convertToNumberedPinyin, convertToToneMarkedPinyin, convertToZhuyin, getReadingSegments} from '../../ext/js/language/zh/chinese.js';
+
+/** @type {[toneMarked: string, numbered: string, zhuyin: string][]} */
+const readings = [
+    ['nǐ hǎo', 'ni3 hao3', 'ㄋㄧˇ ㄏㄠˇ'],
+    ['zhīdào', 'zhi1dao4', 'ㄓㄉㄠˋ'],
+    ['xuésheng', 'xue2sheng5', 'ㄒㄩㄝˊ˙ㄕㄥ'],
+    ['lǜ', 'lü4', 'ㄌㄩˋ'],
+    ['jiǒng', 'jiong3', 'ㄐㄩㄥˇ'],
+    ['liú guì duì', 'liu2 gui4 dui4', 'ㄌㄧㄡˊ ㄍㄨㄟˋ ㄉㄨㄟˋ'],
+    ['yīyuè', 'yi1yue4', 'ㄧㄩㄝˋ'],
+    ['ér', 'er2', 'ㄦˊ'],
+];
+
+describe('Chinese reading conversion', () => {
+    describe.each(readings)('%s', (toneMarked, numbered, zhuyin) => {
+        test.each([toneMarked, numbered, zhuyin])('from %s', (reading) => {
+            expect(convertToToneMarkedPinyin(reading)).toStrictEqual(toneMarked);
+            expect(convertToNumberedPinyin(reading)).toStrictEqual(numbered);
+            expect(convertToZhuyin(reading)).toStrictEqual(zhuyin);
+        });
+    });
+
+    test('alternative spellings of ü', () => {
+        expect(convertToToneMarkedPinyin('lu:4 nv3')).toStrictEqual('lǜ nǚ');
+    });
+
+    test('capitalization is kept', () => {
+        expect(convertToToneMarkedPinyin('Zhong1guo2')).toStrictEqual('Zhōngguó');
+        expect(convertToNumberedPinyin('Běijīng')).toStrictEqual('Bei3jing1');
+    });
+});
+
+describe('getReadingSegments', () => {
+    test('syllables and separators', () => {
+        expect(getReadingSegments('nǐ hǎo, ma5')).toStrictEqual([
+            {text: 'nǐ', syllable: 'ni', tone: 3},
+            {text: ' ', syllable: null, tone: null},
+            {text: 'hǎo', syllable: 'hao', tone: 3},
+            {text: ', ', syllable: null, tone: null},
+            {text: 'ma5', syllable: 'ma', tone: 5},
+        ]);
+    });
+
+    test('zhuyin syllables', () => {
+        expect(getReadingSegments('ㄓ˙ㄉㄠ')).toStrictEqual([
+            {text: 'ㄓ', syllable: 'zhi', tone: 1},
+            {text: '˙ㄉㄠ', syllable: 'dao', tone: 5},
+        ]);
+    });
+});
+
+describe('convertPinyinInput', () => {
+    /** @type {[input: string, expected: string][]} */
+    const data = [
+        ['ni3hao3', 'nǐ hǎo'],
+        ['ni3 hao3', 'nǐ hǎo'],
+        ['nǐhǎo', 'nǐ hǎo'],
+        ['ㄋㄧˇㄏㄠˇ', 'nǐ hǎo'],
+        ['xi1\'an1', 'xī ān'],
+        ['你好', '你好'],
+        ['hello world', 'hello world'],
+    ];
+
+    test.each(data)('%s is converted to %s', (input, expected) => {
+        expect(convertPinyinInput.process(input, true)).toStrictEqual(expected);
+        expect(convertPinyinInput.process(input, false)).toStrictEqual(input);
+    });
+});
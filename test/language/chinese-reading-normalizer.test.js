@@ -25,6 +25,11 @@ const tests = [
     ['wán:zhěng', 'wánzhěng'],
     ['fān・yì', 'fānyì'],
     ['fān//yì', 'fānyì'],
+    ['ni3 hao3', 'nǐhǎo'],
+    ['Zhong1guo2', 'zhōngguó'],
+    ['lu:4 lv4', 'lǜlǜ'],
+    ['xue2sheng5', 'xuésheng'],
+    ['ㄋㄧˇ ㄏㄠˇ', 'nǐhǎo'],
 ];
 
 describe('Normalize Pinyin', () => {
@@ -0,0 +1,241 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {finnishTransforms} from '../../ext/js/language/fi/finnish-transforms.js';
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'cases',
+        valid: true,
+        tests: [
+            {term: 'talo', source: 'talon', rule: 'n', reasons: ['genitive']},
+            {term: 'talo', source: 'taloa', rule: 'n', reasons: ['partitive']},
+            {term: 'maa', source: 'maata', rule: 'n', reasons: ['partitive']},
+            {term: 'talo', source: 'talossa', rule: 'n', reasons: ['inessive']},
+            {term: 'kylä', source: 'kylässä', rule: 'n', reasons: ['inessive']},
+            {term: 'talo', source: 'talosta', rule: 'n', reasons: ['elative']},
+            {term: 'talo', source: 'taloon', rule: 'n', reasons: ['illative']},
+            {term: 'maa', source: 'maahan', rule: 'n', reasons: ['illative']},
+            {term: 'työ', source: 'työhön', rule: 'n', reasons: ['illative']},
+            {term: 'pöytä', source: 'pöydällä', rule: 'n', reasons: ['adessive']},
+            {term: 'talo', source: 'talolta', rule: 'n', reasons: ['ablative']},
+            {term: 'talo', source: 'talolle', rule: 'n', reasons: ['allative']},
+            {term: 'lapsi', source: 'lapsena', rule: 'n', reasons: ['essive']},
+            {term: 'talo', source: 'taloksi', rule: 'n', reasons: ['translative']},
+            {term: 'raha', source: 'rahatta', rule: 'n', reasons: ['abessive']},
+        ],
+    },
+    {
+        category: 'stem types',
+        valid: true,
+        tests: [
+            {term: 'kivi', source: 'kiven', rule: 'n', reasons: ['genitive']},
+            {term: 'kivi', source: 'kiveä', rule: 'n', reasons: ['partitive']},
+            {term: 'kivi', source: 'kiveen', rule: 'n', reasons: ['illative']},
+            {term: 'vesi', source: 'vedessä', rule: 'n', reasons: ['inessive']},
+            {term: 'vesi', source: 'veteen', rule: 'n', reasons: ['illative']},
+            {term: 'vesi', source: 'vettä', rule: 'n', reasons: ['partitive']},
+            {term: 'kieli', source: 'kieltä', rule: 'n', reasons: ['partitive']},
+            {term: 'nainen', source: 'naisen', rule: 'n', reasons: ['genitive']},
+            {term: 'nainen', source: 'naista', rule: 'n', reasons: ['partitive']},
+            {term: 'nainen', source: 'naiseen', rule: 'n', reasons: ['illative']},
+            {term: 'huone', source: 'huoneessa', rule: 'n', reasons: ['inessive']},
+            {term: 'huone', source: 'huonetta', rule: 'n', reasons: ['partitive']},
+            {term: 'huone', source: 'huoneeseen', rule: 'n', reasons: ['illative']},
+            {term: 'kaunis', source: 'kauniin', rule: 'adj', reasons: ['genitive']},
+            {term: 'rakkaus', source: 'rakkauden', rule: 'n', reasons: ['genitive']},
+            {term: 'vastaus', source: 'vastauksen', rule: 'n', reasons: ['genitive']},
+            {term: 'puhelin', source: 'puhelimessa', rule: 'n', reasons: ['inessive']},
+            {term: 'puhelin', source: 'puhelinta', rule: 'n', reasons: ['partitive']},
+        ],
+    },
+    {
+        category: 'consonant gradation',
+        valid: true,
+        tests: [
+            {term: 'katu', source: 'kadun', rule: 'n', reasons: ['genitive']},
+            {term: 'katu', source: 'katua', rule: 'n', reasons: ['partitive']},
+            {term: 'katu', source: 'katuun', rule: 'n', reasons: ['illative']},
+            {term: 'kukka', source: 'kukassa', rule: 'n', reasons: ['inessive']},
+            {term: 'kaupunki', source: 'kaupungissa', rule: 'n', reasons: ['inessive']},
+            {term: 'tapa', source: 'tavan', rule: 'n', reasons: ['genitive']},
+            {term: 'jalka', source: 'jalalla', rule: 'n', reasons: ['adessive']},
+            {term: 'ranta', source: 'rannalla', rule: 'n', reasons: ['adessive']},
+            {term: 'lehti', source: 'lehdessä', rule: 'n', reasons: ['inessive']},
+            {term: 'järki', source: 'järjen', rule: 'n', reasons: ['genitive']},
+            {term: 'puku', source: 'puvun', rule: 'n', reasons: ['genitive']},
+            {term: 'rakas', source: 'rakkaan', rule: 'adj', reasons: ['genitive']},
+            {term: 'hammas', source: 'hampaassa', rule: 'n', reasons: ['inessive']},
+            {term: 'liike', source: 'liikkeen', rule: 'n', reasons: ['genitive']},
+        ],
+    },
+    {
+        category: 'plural',
+        valid: true,
+        tests: [
+            {term: 'talo', source: 'talot', rule: 'n', reasons: ['plural']},
+            {term: 'katu', source: 'kadut', rule: 'n', reasons: ['plural']},
+            {term: 'nainen', source: 'naiset', rule: 'n', reasons: ['plural']},
+            {term: 'talo', source: 'taloissa', rule: 'n', reasons: ['plural', 'inessive']},
+            {term: 'katu', source: 'kaduilla', rule: 'n', reasons: ['plural', 'adessive']},
+            {term: 'talo', source: 'taloja', rule: 'n', reasons: ['plural', 'partitive']},
+            {term: 'talo', source: 'talojen', rule: 'n', reasons: ['plural', 'genitive']},
+            {term: 'talo', source: 'taloihin', rule: 'n', reasons: ['plural', 'illative']},
+            {term: 'kala', source: 'kaloja', rule: 'n', reasons: ['plural', 'partitive']},
+            {term: 'päivä', source: 'päiviä', rule: 'n', reasons: ['plural', 'partitive']},
+            {term: 'päivä', source: 'päivien', rule: 'n', reasons: ['plural', 'genitive']},
+            {term: 'nainen', source: 'naisia', rule: 'n', reasons: ['plural', 'partitive']},
+            {term: 'huone', source: 'huoneita', rule: 'n', reasons: ['plural', 'partitive']},
+            {term: 'huone', source: 'huoneisiin', rule: 'n', reasons: ['plural', 'illative']},
+            {term: 'maa', source: 'maissa', rule: 'n', reasons: ['plural', 'inessive']},
+            {term: 'työ', source: 'töissä', rule: 'n', reasons: ['plural', 'inessive']},
+            {term: 'rakas', source: 'rakkaita', rule: 'adj', reasons: ['plural', 'partitive']},
+        ],
+    },
+    {
+        category: 'possessives and clitics',
+        valid: true,
+        tests: [
+            {term: 'talo', source: 'taloni', rule: 'n', reasons: ['possessive 1sg']},
+            {term: 'katu', source: 'katusi', rule: 'n', reasons: ['possessive 2sg']},
+            {term: 'talo', source: 'talonsa', rule: 'n', reasons: ['possessive 3']},
+            {term: 'talo', source: 'talomme', rule: 'n', reasons: ['possessive 1pl']},
+            {term: 'talo', source: 'talonne', rule: 'n', reasons: ['possessive 2pl']},
+            {term: 'talo', source: 'talossani', rule: 'n', reasons: ['inessive', 'possessive 1sg']},
+            {term: 'talo', source: 'talossaan', rule: 'n', reasons: ['inessive', 'possessive 3']},
+            {term: 'talo', source: 'talooni', rule: 'n', reasons: ['illative', 'possessive 1sg']},
+            {term: 'talo', source: 'talokseni', rule: 'n', reasons: ['translative', 'possessive 1sg']},
+            {term: 'talo', source: 'taloissamme', rule: 'n', reasons: ['plural', 'inessive', 'possessive 1pl']},
+            {term: 'talo', source: 'talokin', rule: 'n', reasons: ['-kin']},
+            {term: 'talo', source: 'talossakin', rule: 'n', reasons: ['inessive', '-kin']},
+            {term: 'kylä', source: 'kylässäkään', rule: 'n', reasons: ['inessive', '-kAAn']},
+            {term: 'talo', source: 'talossanihan', rule: 'n', reasons: ['inessive', 'possessive 1sg', '-hAn']},
+            {term: 'tulla', source: 'tuleeko', rule: 'v', reasons: ['present', '3sg', '-kO']},
+        ],
+    },
+    {
+        category: 'present tense',
+        valid: true,
+        tests: [
+            {term: 'puhua', source: 'puhun', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'puhua', source: 'puhut', rule: 'v', reasons: ['present', '2sg']},
+            {term: 'puhua', source: 'puhuu', rule: 'v', reasons: ['present', '3sg']},
+            {term: 'puhua', source: 'puhumme', rule: 'v', reasons: ['present', '1pl']},
+            {term: 'puhua', source: 'puhutte', rule: 'v', reasons: ['present', '2pl']},
+            {term: 'puhua', source: 'puhuvat', rule: 'v', reasons: ['present', '3pl']},
+            {term: 'lukea', source: 'luen', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'lukea', source: 'lukee', rule: 'v', reasons: ['present', '3sg']},
+            {term: 'ottaa', source: 'otan', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'tietää', source: 'tiedän', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'antaa', source: 'annamme', rule: 'v', reasons: ['present', '1pl']},
+            {term: 'syödä', source: 'syön', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'tulla', source: 'tulen', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'mennä', source: 'menevät', rule: 'v', reasons: ['present', '3pl']},
+            {term: 'nousta', source: 'nouset', rule: 'v', reasons: ['present', '2sg']},
+            {term: 'haluta', source: 'haluan', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'tavata', source: 'tapaan', rule: 'v', reasons: ['present', '1sg']},
+            {term: 'tarvita', source: 'tarvitsee', rule: 'v', reasons: ['present', '3sg']},
+        ],
+    },
+    {
+        category: 'past tense and conditional',
+        valid: true,
+        tests: [
+            {term: 'puhua', source: 'puhuin', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'puhua', source: 'puhui', rule: 'v', reasons: ['past']},
+            {term: 'lukea', source: 'luki', rule: 'v', reasons: ['past']},
+            {term: 'lukea', source: 'luin', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'ottaa', source: 'otti', rule: 'v', reasons: ['past']},
+            {term: 'antaa', source: 'antoivat', rule: 'v', reasons: ['past', '3pl']},
+            {term: 'syödä', source: 'söi', rule: 'v', reasons: ['past']},
+            {term: 'juoda', source: 'joimme', rule: 'v', reasons: ['past', '1pl']},
+            {term: 'saada', source: 'sai', rule: 'v', reasons: ['past']},
+            {term: 'tulla', source: 'tuli', rule: 'v', reasons: ['past']},
+            {term: 'nousta', source: 'nousi', rule: 'v', reasons: ['past']},
+            {term: 'haluta', source: 'halusin', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'tarvita', source: 'tarvitsi', rule: 'v', reasons: ['past']},
+            {term: 'puhua', source: 'puhuisin', rule: 'v', reasons: ['conditional', '1sg']},
+            {term: 'lukea', source: 'lukisi', rule: 'v', reasons: ['conditional']},
+            {term: 'ottaa', source: 'ottaisimme', rule: 'v', reasons: ['conditional', '1pl']},
+            {term: 'syödä', source: 'söisi', rule: 'v', reasons: ['conditional']},
+            {term: 'tulla', source: 'tulisi', rule: 'v', reasons: ['conditional']},
+            {term: 'haluta', source: 'haluaisin', rule: 'v', reasons: ['conditional', '1sg']},
+        ],
+    },
+    {
+        category: 'imperative and passive',
+        valid: true,
+        tests: [
+            {term: 'puhua', source: 'puhu', rule: 'v', reasons: ['imperative']},
+            {term: 'lukea', source: 'lue', rule: 'v', reasons: ['imperative']},
+            {term: 'puhua', source: 'puhukaa', rule: 'v', reasons: ['imperative 2pl']},
+            {term: 'tulla', source: 'tulkaa', rule: 'v', reasons: ['imperative 2pl']},
+            {term: 'syödä', source: 'syökää', rule: 'v', reasons: ['imperative 2pl']},
+            {term: 'puhua', source: 'puhutaan', rule: 'v', reasons: ['passive']},
+            {term: 'lukea', source: 'luetaan', rule: 'v', reasons: ['passive']},
+            {term: 'ottaa', source: 'otetaan', rule: 'v', reasons: ['passive']},
+            {term: 'syödä', source: 'syödään', rule: 'v', reasons: ['passive']},
+            {term: 'tulla', source: 'tullaan', rule: 'v', reasons: ['passive']},
+            {term: 'haluta', source: 'halutaan', rule: 'v', reasons: ['passive']},
+            {term: 'puhua', source: 'puhuttiin', rule: 'v', reasons: ['past passive']},
+            {term: 'ottaa', source: 'otettiin', rule: 'v', reasons: ['past passive']},
+            {term: 'syödä', source: 'syötiin', rule: 'v', reasons: ['past passive']},
+            {term: 'tulla', source: 'tultiin', rule: 'v', reasons: ['past passive']},
+        ],
+    },
+    {
+        category: 'participles and infinitives',
+        valid: true,
+        tests: [
+            {term: 'puhua', source: 'puhuva', rule: 'v', reasons: ['present participle']},
+            {term: 'lukea', source: 'lukevassa', rule: 'v', reasons: ['present participle', 'inessive']},
+            {term: 'puhua', source: 'puhunut', rule: 'v', reasons: ['past participle']},
+            {term: 'puhua', source: 'puhuneet', rule: 'v', reasons: ['past participle']},
+            {term: 'syödä', source: 'syönyt', rule: 'v', reasons: ['past participle']},
+            {term: 'tulla', source: 'tullut', rule: 'v', reasons: ['past participle']},
+            {term: 'mennä', source: 'mennyt', rule: 'v', reasons: ['past participle']},
+            {term: 'nousta', source: 'noussut', rule: 'v', reasons: ['past participle']},
+            {term: 'haluta', source: 'halunnut', rule: 'v', reasons: ['past participle']},
+            {term: 'puhua', source: 'puhuttu', rule: 'v', reasons: ['past passive participle']},
+            {term: 'lukea', source: 'luettu', rule: 'v', reasons: ['past passive participle']},
+            {term: 'mennä', source: 'menty', rule: 'v', reasons: ['past passive participle']},
+            {term: 'lukea', source: 'lukemaan', rule: 'v', reasons: ['third infinitive']},
+            {term: 'puhua', source: 'puhumassa', rule: 'v', reasons: ['third infinitive']},
+            {term: 'tulla', source: 'tulematta', rule: 'v', reasons: ['third infinitive']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'talo', source: 'talossä', rule: 'n', reasons: ['inessive']},
+            {term: 'kylä', source: 'kylässa', rule: 'n', reasons: ['inessive']},
+            {term: 'katu', source: 'kadua', rule: 'n', reasons: ['partitive']},
+            {term: 'talo', source: 'talossa', rule: 'v', reasons: ['inessive']},
+            {term: 'talo', source: 'taloissa', rule: 'n', reasons: ['inessive', 'plural']},
+            {term: 'talo', source: 'talonissa', rule: 'n', reasons: ['possessive 1sg', 'inessive']},
+            {term: 'puhua', source: 'puhun', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'puhua', source: 'puhunkin', rule: 'v', reasons: ['-kin', 'present', '1sg']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(finnishTransforms);
+testLanguageTransformer(languageTransformer, tests);
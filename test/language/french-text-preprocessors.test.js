@@ -0,0 +1,58 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {normalizeApostrophes, removeElision} from '../../ext/js/language/fr/french-text-preprocessors.js';
+
+/** @type {[input: string, expected: string][]} */
+const apostropheTestCases = [
+    ['l’homme', 'l\'homme'],
+    ['aujourd’hui', 'aujourd\'hui'],
+    ['qu‘il', 'qu\'il'],
+    ['lʼamour', 'l\'amour'],
+    ['l\'homme', 'l\'homme'],
+];
+
+/** @type {[input: string, expected: string][]} */
+const elisionTestCases = [
+    ['l\'homme', 'homme'],
+    ['L\'homme', 'homme'],
+    ['d\'accord', 'accord'],
+    ['j\'ai', 'ai'],
+    ['s\'est', 'est'],
+    ['n\'est', 'est'],
+    ['c\'était', 'était'],
+    ['qu\'il', 'il'],
+    ['jusqu\'à', 'à'],
+    ['lorsqu\'elle', 'elle'],
+    ['l’école', 'école'],
+    ['aujourd\'hui', 'aujourd\'hui'],
+    ['l\'', 'l\''],
+    ['homme', 'homme'],
+];
+
+describe('french text preprocessors', () => {
+    test.each(apostropheTestCases)('%s normalizes to %s', (input, expected) => {
+        expect(normalizeApostrophes.process(input, true)).toStrictEqual(expected);
+        expect(normalizeApostrophes.process(input, false)).toStrictEqual(input);
+    });
+
+    test.each(elisionTestCases)('%s has elision removed as %s', (input, expected) => {
+        expect(removeElision.process(input, true)).toStrictEqual(expected);
+        expect(removeElision.process(input, false)).toStrictEqual(input);
+    });
+});
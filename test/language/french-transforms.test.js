@@ -0,0 +1,231 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {frenchTransforms} from '../../ext/js/language/fr/french-transforms.js';
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns',
+        valid: true,
+        tests: [
+            {term: 'chat', source: 'chats', rule: 'ns', reasons: ['plural']},
+            {term: 'eau', source: 'eaux', rule: 'ns', reasons: ['plural']},
+            {term: 'feu', source: 'feux', rule: 'ns', reasons: ['plural']},
+            {term: 'journal', source: 'journaux', rule: 'ns', reasons: ['plural']},
+            {term: 'travail', source: 'travaux', rule: 'ns', reasons: ['plural']},
+            {term: 'œil', source: 'yeux', rule: 'ns', reasons: ['plural']},
+            {term: 'monsieur', source: 'messieurs', rule: 'ns', reasons: ['plural']},
+        ],
+    },
+    {
+        category: 'adjectives',
+        valid: true,
+        tests: [
+            {term: 'grand', source: 'grands', rule: 'adj', reasons: ['plural']},
+            {term: 'grand', source: 'grande', rule: 'adj', reasons: ['feminine']},
+            {term: 'grand', source: 'grandes', rule: 'adj', reasons: ['feminine', 'plural']},
+            {term: 'heureux', source: 'heureuse', rule: 'adj', reasons: ['feminine']},
+            {term: 'travailleur', source: 'travailleuse', rule: 'adj', reasons: ['feminine']},
+            {term: 'créateur', source: 'créatrices', rule: 'adj', reasons: ['feminine', 'plural']},
+            {term: 'actif', source: 'active', rule: 'adj', reasons: ['feminine']},
+            {term: 'cher', source: 'chère', rule: 'adj', reasons: ['feminine']},
+            {term: 'cruel', source: 'cruelle', rule: 'adj', reasons: ['feminine']},
+            {term: 'bon', source: 'bonnes', rule: 'adj', reasons: ['feminine', 'plural']},
+            {term: 'muet', source: 'muette', rule: 'adj', reasons: ['feminine']},
+            {term: 'gros', source: 'grosse', rule: 'adj', reasons: ['feminine']},
+            {term: 'blanc', source: 'blanche', rule: 'adj', reasons: ['feminine']},
+            {term: 'long', source: 'longue', rule: 'adj', reasons: ['feminine']},
+            {term: 'nouveau', source: 'nouvelle', rule: 'adj', reasons: ['feminine']},
+            {term: 'nouveau', source: 'nouveaux', rule: 'adj', reasons: ['plural']},
+            {term: 'égal', source: 'égaux', rule: 'adj', reasons: ['plural']},
+            {term: 'vieux', source: 'vieille', rule: 'adj', reasons: ['feminine']},
+            {term: 'doux', source: 'douce', rule: 'adj', reasons: ['feminine']},
+        ],
+    },
+    {
+        category: 'present indicative',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parle', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parles', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parlons', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parlez', rule: 'v', reasons: ['present indicative']},
+            {term: 'parler', source: 'parlent', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finis', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finit', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finissons', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finissez', rule: 'v', reasons: ['present indicative']},
+            {term: 'finir', source: 'finissent', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vends', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vend', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vendons', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vendez', rule: 'v', reasons: ['present indicative']},
+            {term: 'vendre', source: 'vendent', rule: 'v', reasons: ['present indicative']},
+            {term: 'commencer', source: 'commençons', rule: 'v', reasons: ['present indicative']},
+            {term: 'manger', source: 'mangeons', rule: 'v', reasons: ['present indicative']},
+            {term: 'payer', source: 'paie', rule: 'v', reasons: ['present indicative']},
+            {term: 'employer', source: 'emploient', rule: 'v', reasons: ['present indicative']},
+            {term: 'appeler', source: 'appelle', rule: 'v', reasons: ['present indicative']},
+            {term: 'jeter', source: 'jettent', rule: 'v', reasons: ['present indicative']},
+            {term: 'lever', source: 'lève', rule: 'v', reasons: ['present indicative']},
+            {term: 'acheter', source: 'achètes', rule: 'v', reasons: ['present indicative']},
+            {term: 'céder', source: 'cèdent', rule: 'v', reasons: ['present indicative']},
+            {term: 'préférer', source: 'préfère', rule: 'v', reasons: ['present indicative']},
+            {term: 'être', source: 'suis', rule: 'v', reasons: ['present indicative']},
+            {term: 'être', source: 'est', rule: 'v', reasons: ['present indicative']},
+            {term: 'être', source: 'sont', rule: 'v', reasons: ['present indicative']},
+            {term: 'avoir', source: 'ai', rule: 'v', reasons: ['present indicative']},
+            {term: 'avoir', source: 'ont', rule: 'v', reasons: ['present indicative']},
+            {term: 'aller', source: 'vais', rule: 'v', reasons: ['present indicative']},
+            {term: 'aller', source: 'allons', rule: 'v', reasons: ['present indicative']},
+            {term: 'aller', source: 'vont', rule: 'v', reasons: ['present indicative']},
+            {term: 'faire', source: 'faites', rule: 'v', reasons: ['present indicative']},
+            {term: 'défaire', source: 'défont', rule: 'v', reasons: ['present indicative']},
+            {term: 'dire', source: 'dites', rule: 'v', reasons: ['present indicative']},
+            {term: 'pouvoir', source: 'peux', rule: 'v', reasons: ['present indicative']},
+            {term: 'vouloir', source: 'veulent', rule: 'v', reasons: ['present indicative']},
+            {term: 'savoir', source: 'sait', rule: 'v', reasons: ['present indicative']},
+            {term: 'devoir', source: 'doivent', rule: 'v', reasons: ['present indicative']},
+            {term: 'voir', source: 'voyons', rule: 'v', reasons: ['present indicative']},
+            {term: 'venir', source: 'viennent', rule: 'v', reasons: ['present indicative']},
+            {term: 'devenir', source: 'devient', rule: 'v', reasons: ['present indicative']},
+            {term: 'tenir', source: 'tiens', rule: 'v', reasons: ['present indicative']},
+            {term: 'prendre', source: 'prennent', rule: 'v', reasons: ['present indicative']},
+            {term: 'comprendre', source: 'comprends', rule: 'v', reasons: ['present indicative']},
+            {term: 'mettre', source: 'met', rule: 'v', reasons: ['present indicative']},
+            {term: 'falloir', source: 'faut', rule: 'v', reasons: ['present indicative']},
+        ],
+    },
+    {
+        category: 'imperfect',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlais', rule: 'v', reasons: ['imperfect']},
+            {term: 'parler', source: 'parlaient', rule: 'v', reasons: ['imperfect']},
+            {term: 'finir', source: 'finissais', rule: 'v', reasons: ['imperfect']},
+            {term: 'finir', source: 'finissions', rule: 'v', reasons: ['imperfect']},
+            {term: 'vendre', source: 'vendiez', rule: 'v', reasons: ['imperfect']},
+            {term: 'commencer', source: 'commençait', rule: 'v', reasons: ['imperfect']},
+            {term: 'manger', source: 'mangeaient', rule: 'v', reasons: ['imperfect']},
+            {term: 'être', source: 'étais', rule: 'v', reasons: ['imperfect']},
+            {term: 'avoir', source: 'avait', rule: 'v', reasons: ['imperfect']},
+            {term: 'faire', source: 'faisions', rule: 'v', reasons: ['imperfect']},
+            {term: 'voir', source: 'voyaient', rule: 'v', reasons: ['imperfect']},
+        ],
+    },
+    {
+        category: 'simple past',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parla', rule: 'v', reasons: ['simple past']},
+            {term: 'parler', source: 'parlèrent', rule: 'v', reasons: ['simple past']},
+            {term: 'finir', source: 'finîmes', rule: 'v', reasons: ['simple past']},
+            {term: 'vendre', source: 'vendirent', rule: 'v', reasons: ['simple past']},
+            {term: 'commencer', source: 'commença', rule: 'v', reasons: ['simple past']},
+            {term: 'être', source: 'fut', rule: 'v', reasons: ['simple past']},
+            {term: 'avoir', source: 'eurent', rule: 'v', reasons: ['simple past']},
+            {term: 'venir', source: 'vint', rule: 'v', reasons: ['simple past']},
+            {term: 'prendre', source: 'prit', rule: 'v', reasons: ['simple past']},
+            {term: 'mettre', source: 'mirent', rule: 'v', reasons: ['simple past']},
+        ],
+    },
+    {
+        category: 'future',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlerai', rule: 'v', reasons: ['future']},
+            {term: 'finir', source: 'finiront', rule: 'v', reasons: ['future']},
+            {term: 'vendre', source: 'vendrez', rule: 'v', reasons: ['future']},
+            {term: 'prendre', source: 'prendrai', rule: 'v', reasons: ['future']},
+            {term: 'payer', source: 'paierai', rule: 'v', reasons: ['future']},
+            {term: 'appeler', source: 'appellerons', rule: 'v', reasons: ['future']},
+            {term: 'acheter', source: 'achèterai', rule: 'v', reasons: ['future']},
+            {term: 'être', source: 'serons', rule: 'v', reasons: ['future']},
+            {term: 'aller', source: 'irai', rule: 'v', reasons: ['future']},
+            {term: 'pouvoir', source: 'pourra', rule: 'v', reasons: ['future']},
+            {term: 'venir', source: 'viendront', rule: 'v', reasons: ['future']},
+        ],
+    },
+    {
+        category: 'conditional',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlerais', rule: 'v', reasons: ['conditional']},
+            {term: 'finir', source: 'finirions', rule: 'v', reasons: ['conditional']},
+            {term: 'vendre', source: 'vendraient', rule: 'v', reasons: ['conditional']},
+            {term: 'avoir', source: 'aurait', rule: 'v', reasons: ['conditional']},
+            {term: 'vouloir', source: 'voudrais', rule: 'v', reasons: ['conditional']},
+            {term: 'falloir', source: 'faudrait', rule: 'v', reasons: ['conditional']},
+        ],
+    },
+    {
+        category: 'subjunctive',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlions', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'finir', source: 'finissions', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'vendre', source: 'vende', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'être', source: 'soyons', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'avoir', source: 'aie', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'aller', source: 'aille', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'faire', source: 'fasse', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'savoir', source: 'sachent', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'aller', source: 'allât', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'parler', source: 'parlassent', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'finir', source: 'finît', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'vendre', source: 'vendissions', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'être', source: 'fût', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'avoir', source: 'eût', rule: 'v', reasons: ['imperfect subjunctive']},
+        ],
+    },
+    {
+        category: 'participles',
+        valid: true,
+        tests: [
+            {term: 'parler', source: 'parlant', rule: 'v', reasons: ['present participle']},
+            {term: 'finir', source: 'finissant', rule: 'v', reasons: ['present participle']},
+            {term: 'manger', source: 'mangeant', rule: 'v', reasons: ['present participle']},
+            {term: 'être', source: 'étant', rule: 'v', reasons: ['present participle']},
+            {term: 'parler', source: 'parlé', rule: 'v', reasons: ['past participle']},
+            {term: 'finir', source: 'fini', rule: 'v', reasons: ['past participle']},
+            {term: 'vendre', source: 'vendu', rule: 'v', reasons: ['past participle']},
+            {term: 'aller', source: 'allée', rule: 'v', reasons: ['past participle', 'feminine']},
+            {term: 'finir', source: 'finies', rule: 'v', reasons: ['past participle', 'feminine', 'plural']},
+            {term: 'prendre', source: 'prises', rule: 'v', reasons: ['past participle', 'feminine', 'plural']},
+            {term: 'avoir', source: 'eu', rule: 'v', reasons: ['past participle']},
+            {term: 'devoir', source: 'dû', rule: 'v', reasons: ['past participle']},
+            {term: 'venir', source: 'venus', rule: 'v', reasons: ['past participle', 'plural']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'parler', source: 'parlons', rule: 'v', reasons: ['imperfect']},
+            {term: 'finir', source: 'finissez', rule: 'v', reasons: ['future']},
+            {term: 'chat', source: 'chats', rule: 'v', reasons: ['plural']},
+            {term: 'parler', source: 'parlé', rule: 'v', reasons: ['feminine']},
+            {term: 'être', source: 'suis', rule: 'adj', reasons: ['present indicative']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(frenchTransforms);
+testLanguageTransformer(languageTransformer, tests);
@@ -0,0 +1,208 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {hungarianTransforms} from '../../ext/js/language/hu/hungarian-transforms.js';
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'cases',
+        valid: true,
+        tests: [
+            {term: 'ház', source: 'házban', rule: 'n', reasons: ['inessive']},
+            {term: 'kert', source: 'kertben', rule: 'n', reasons: ['inessive']},
+            {term: 'ház', source: 'házba', rule: 'n', reasons: ['illative']},
+            {term: 'kert', source: 'kertből', rule: 'n', reasons: ['elative']},
+            {term: 'ház', source: 'házon', rule: 'n', reasons: ['superessive']},
+            {term: 'kert', source: 'kerten', rule: 'n', reasons: ['superessive']},
+            {term: 'föld', source: 'földön', rule: 'n', reasons: ['superessive']},
+            {term: 'autó', source: 'autón', rule: 'n', reasons: ['superessive']},
+            {term: 'asztal', source: 'asztalra', rule: 'n', reasons: ['sublative']},
+            {term: 'könyv', source: 'könyvről', rule: 'n', reasons: ['delative']},
+            {term: 'orvos', source: 'orvosnál', rule: 'n', reasons: ['adessive']},
+            {term: 'ház', source: 'házhoz', rule: 'n', reasons: ['allative']},
+            {term: 'kert', source: 'kerthez', rule: 'n', reasons: ['allative']},
+            {term: 'tök', source: 'tökhöz', rule: 'n', reasons: ['allative']},
+            {term: 'barát', source: 'baráttól', rule: 'n', reasons: ['ablative']},
+            {term: 'ember', source: 'embernek', rule: 'n', reasons: ['dative']},
+            {term: 'ház', source: 'házért', rule: 'n', reasons: ['causal-final']},
+            {term: 'kert', source: 'kertig', rule: 'n', reasons: ['terminative']},
+            {term: 'tanár', source: 'tanárként', rule: 'n', reasons: ['essive-formal']},
+            {term: 'fotel', source: 'fotelban', rule: 'n', reasons: ['inessive']},
+            {term: 'fotel', source: 'fotelben', rule: 'n', reasons: ['inessive']},
+        ],
+    },
+    {
+        category: 'accusative',
+        valid: true,
+        tests: [
+            {term: 'ház', source: 'házat', rule: 'n', reasons: ['accusative']},
+            {term: 'kert', source: 'kertet', rule: 'n', reasons: ['accusative']},
+            {term: 'tök', source: 'tököt', rule: 'n', reasons: ['accusative']},
+            {term: 'bor', source: 'bort', rule: 'n', reasons: ['accusative']},
+            {term: 'autó', source: 'autót', rule: 'n', reasons: ['accusative']},
+            {term: 'alma', source: 'almát', rule: 'n', reasons: ['accusative']},
+            {term: 'kefe', source: 'kefét', rule: 'n', reasons: ['accusative']},
+        ],
+    },
+    {
+        category: 'stem changes',
+        valid: true,
+        tests: [
+            {term: 'alma', source: 'almában', rule: 'n', reasons: ['inessive']},
+            {term: 'fa', source: 'fára', rule: 'n', reasons: ['sublative']},
+            {term: 'kefe', source: 'keféhez', rule: 'n', reasons: ['allative']},
+            {term: 'ház', source: 'házzal', rule: 'n', reasons: ['instrumental']},
+            {term: 'kert', source: 'kerttel', rule: 'n', reasons: ['instrumental']},
+            {term: 'busz', source: 'busszal', rule: 'n', reasons: ['instrumental']},
+            {term: 'autó', source: 'autóval', rule: 'n', reasons: ['instrumental']},
+            {term: 'alma', source: 'almával', rule: 'n', reasons: ['instrumental']},
+            {term: 'víz', source: 'vízzé', rule: 'n', reasons: ['translative']},
+        ],
+    },
+    {
+        category: 'plural',
+        valid: true,
+        tests: [
+            {term: 'ház', source: 'házak', rule: 'n', reasons: ['plural']},
+            {term: 'asztal', source: 'asztalok', rule: 'n', reasons: ['plural']},
+            {term: 'kert', source: 'kertek', rule: 'n', reasons: ['plural']},
+            {term: 'tök', source: 'tökök', rule: 'n', reasons: ['plural']},
+            {term: 'autó', source: 'autók', rule: 'n', reasons: ['plural']},
+            {term: 'alma', source: 'almák', rule: 'n', reasons: ['plural']},
+            {term: 'ház', source: 'házakban', rule: 'n', reasons: ['plural', 'inessive']},
+            {term: 'ház', source: 'házakat', rule: 'n', reasons: ['plural', 'accusative']},
+            {term: 'kert', source: 'kerteket', rule: 'n', reasons: ['plural', 'accusative']},
+            {term: 'asztal', source: 'asztalokon', rule: 'n', reasons: ['plural', 'superessive']},
+        ],
+    },
+    {
+        category: 'possessives',
+        valid: true,
+        tests: [
+            {term: 'ház', source: 'házam', rule: 'n', reasons: ['possessive 1sg']},
+            {term: 'kert', source: 'kertem', rule: 'n', reasons: ['possessive 1sg']},
+            {term: 'autó', source: 'autóm', rule: 'n', reasons: ['possessive 1sg']},
+            {term: 'alma', source: 'almád', rule: 'n', reasons: ['possessive 2sg']},
+            {term: 'ház', source: 'háza', rule: 'n', reasons: ['possessive 3sg']},
+            {term: 'kert', source: 'kertje', rule: 'n', reasons: ['possessive 3sg']},
+            {term: 'autó', source: 'autója', rule: 'n', reasons: ['possessive 3sg']},
+            {term: 'ház', source: 'házunk', rule: 'n', reasons: ['possessive 1pl']},
+            {term: 'kert', source: 'kertünk', rule: 'n', reasons: ['possessive 1pl']},
+            {term: 'ház', source: 'házatok', rule: 'n', reasons: ['possessive 2pl']},
+            {term: 'kert', source: 'kertetek', rule: 'n', reasons: ['possessive 2pl']},
+            {term: 'ház', source: 'házuk', rule: 'n', reasons: ['possessive 3pl']},
+            {term: 'kert', source: 'kertjük', rule: 'n', reasons: ['possessive 3pl']},
+            {term: 'ház', source: 'házai', rule: 'n', reasons: ['plural possessions']},
+            {term: 'ház', source: 'házaim', rule: 'n', reasons: ['plural possessions', 'possessive 1sg']},
+            {term: 'autó', source: 'autóink', rule: 'n', reasons: ['plural possessions', 'possessive 1pl']},
+            {term: 'ház', source: 'házaik', rule: 'n', reasons: ['plural possessions', 'possessive 3pl']},
+            {term: 'ház', source: 'házamban', rule: 'n', reasons: ['possessive 1sg', 'inessive']},
+            {term: 'ház', source: 'házát', rule: 'n', reasons: ['possessive 3sg', 'accusative']},
+            {term: 'kert', source: 'kertünkhöz', rule: 'n', reasons: ['possessive 1pl', 'allative']},
+            {term: 'ház', source: 'házaiban', rule: 'n', reasons: ['plural possessions', 'inessive']},
+        ],
+    },
+    {
+        category: 'present tense',
+        valid: true,
+        tests: [
+            {term: 'vár', source: 'várok', rule: 'v', reasons: ['1sg']},
+            {term: 'kér', source: 'kérek', rule: 'v', reasons: ['1sg']},
+            {term: 'ül', source: 'ülök', rule: 'v', reasons: ['1sg']},
+            {term: 'vár', source: 'vársz', rule: 'v', reasons: ['2sg']},
+            {term: 'olvas', source: 'olvasol', rule: 'v', reasons: ['2sg']},
+            {term: 'mond', source: 'mondasz', rule: 'v', reasons: ['2sg']},
+            {term: 'vár', source: 'várunk', rule: 'v', reasons: ['1pl']},
+            {term: 'kér', source: 'kérünk', rule: 'v', reasons: ['1pl']},
+            {term: 'vár', source: 'vártok', rule: 'v', reasons: ['2pl']},
+            {term: 'vár', source: 'várnak', rule: 'v', reasons: ['3pl']},
+            {term: 'kér', source: 'kérnek', rule: 'v', reasons: ['3pl']},
+            {term: 'mond', source: 'mondanak', rule: 'v', reasons: ['3pl']},
+            {term: 'vár', source: 'várom', rule: 'v', reasons: ['1sg']},
+            {term: 'kér', source: 'kérem', rule: 'v', reasons: ['1sg']},
+            {term: 'vár', source: 'várod', rule: 'v', reasons: ['2sg']},
+            {term: 'vár', source: 'várja', rule: 'v', reasons: ['3sg']},
+            {term: 'kér', source: 'kéri', rule: 'v', reasons: ['3sg']},
+            {term: 'vár', source: 'várjuk', rule: 'v', reasons: ['1pl']},
+            {term: 'vár', source: 'várjátok', rule: 'v', reasons: ['2pl']},
+            {term: 'kér', source: 'kéritek', rule: 'v', reasons: ['2pl']},
+            {term: 'vár', source: 'várják', rule: 'v', reasons: ['3pl']},
+            {term: 'kér', source: 'kérik', rule: 'v', reasons: ['3pl']},
+            {term: 'lát', source: 'látlak', rule: 'v', reasons: ['1sg → 2']},
+            {term: 'lakik', source: 'lakom', rule: 'v', reasons: ['1sg']},
+            {term: 'lakik', source: 'laknak', rule: 'v', reasons: ['3pl']},
+        ],
+    },
+    {
+        category: 'past tense and conditional',
+        valid: true,
+        tests: [
+            {term: 'vár', source: 'várt', rule: 'v', reasons: ['past']},
+            {term: 'olvas', source: 'olvasott', rule: 'v', reasons: ['past']},
+            {term: 'lakik', source: 'lakott', rule: 'v', reasons: ['past']},
+            {term: 'vár', source: 'vártam', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'kér', source: 'kértem', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'vár', source: 'vártál', rule: 'v', reasons: ['past', '2sg']},
+            {term: 'vár', source: 'várta', rule: 'v', reasons: ['past', '3sg']},
+            {term: 'vár', source: 'vártunk', rule: 'v', reasons: ['past', '1pl']},
+            {term: 'vár', source: 'vártatok', rule: 'v', reasons: ['past', '2pl']},
+            {term: 'kér', source: 'kértetek', rule: 'v', reasons: ['past', '2pl']},
+            {term: 'vár', source: 'vártak', rule: 'v', reasons: ['past', '3pl']},
+            {term: 'vár', source: 'várták', rule: 'v', reasons: ['past', '3pl']},
+            {term: 'olvas', source: 'olvastam', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'vár', source: 'várna', rule: 'v', reasons: ['conditional']},
+            {term: 'kér', source: 'kérne', rule: 'v', reasons: ['conditional']},
+            {term: 'vár', source: 'várnék', rule: 'v', reasons: ['conditional', '1sg']},
+            {term: 'vár', source: 'várnám', rule: 'v', reasons: ['conditional', '1sg']},
+            {term: 'vár', source: 'várnál', rule: 'v', reasons: ['conditional', '2sg']},
+            {term: 'vár', source: 'várnánk', rule: 'v', reasons: ['conditional', '1pl']},
+            {term: 'kér', source: 'kérnétek', rule: 'v', reasons: ['conditional', '2pl']},
+            {term: 'vár', source: 'várnának', rule: 'v', reasons: ['conditional', '3pl']},
+            {term: 'mond', source: 'mondana', rule: 'v', reasons: ['conditional']},
+        ],
+    },
+    {
+        category: 'infinitive',
+        valid: true,
+        tests: [
+            {term: 'vár', source: 'várni', rule: 'v', reasons: ['infinitive']},
+            {term: 'olvas', source: 'olvasni', rule: 'v', reasons: ['infinitive']},
+            {term: 'mond', source: 'mondani', rule: 'v', reasons: ['infinitive']},
+            {term: 'lakik', source: 'lakni', rule: 'v', reasons: ['infinitive']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'kert', source: 'kertban', rule: 'n', reasons: ['inessive']},
+            {term: 'ház', source: 'házben', rule: 'n', reasons: ['inessive']},
+            {term: 'tök', source: 'tökhoz', rule: 'n', reasons: ['allative']},
+            {term: 'ház', source: 'házhöz', rule: 'n', reasons: ['allative']},
+            {term: 'kert', source: 'kerthöz', rule: 'n', reasons: ['allative']},
+            {term: 'ház', source: 'házban', rule: 'v', reasons: ['inessive']},
+            {term: 'ház', source: 'házbanak', rule: 'n', reasons: ['inessive', 'plural']},
+            {term: 'vár', source: 'vártam', rule: 'v', reasons: ['1sg']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(hungarianTransforms);
+testLanguageTransformer(languageTransformer, tests);
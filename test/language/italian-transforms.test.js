@@ -0,0 +1,169 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {italianTransforms} from '../../ext/js/language/it/italian-transforms.js';
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns and adjectives',
+        valid: true,
+        tests: [
+            {term: 'libro', source: 'libri', rule: 'ns', reasons: ['plural']},
+            {term: 'fiore', source: 'fiori', rule: 'ns', reasons: ['plural']},
+            {term: 'casa', source: 'case', rule: 'ns', reasons: ['plural']},
+            {term: 'negozio', source: 'negozi', rule: 'ns', reasons: ['plural']},
+            {term: 'lago', source: 'laghi', rule: 'ns', reasons: ['plural']},
+            {term: 'banca', source: 'banche', rule: 'ns', reasons: ['plural']},
+            {term: 'arancia', source: 'arance', rule: 'ns', reasons: ['plural']},
+            {term: 'problema', source: 'problemi', rule: 'ns', reasons: ['plural']},
+            {term: 'uovo', source: 'uova', rule: 'ns', reasons: ['plural']},
+            {term: 'uomo', source: 'uomini', rule: 'ns', reasons: ['plural']},
+            {term: 'rosso', source: 'rossa', rule: 'adj', reasons: ['feminine']},
+            {term: 'rosso', source: 'rossi', rule: 'adj', reasons: ['plural']},
+            {term: 'rosso', source: 'rosse', rule: 'adj', reasons: ['feminine', 'plural']},
+            {term: 'attore', source: 'attrici', rule: 'ns', reasons: ['feminine', 'plural']},
+        ],
+    },
+    {
+        category: 'regular verbs',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlo', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parliamo', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parlano', rule: 'v', reasons: ['present indicative']},
+            {term: 'credere', source: 'credete', rule: 'v', reasons: ['present indicative']},
+            {term: 'dormire', source: 'dormono', rule: 'v', reasons: ['present indicative']},
+            {term: 'finire', source: 'finisco', rule: 'v', reasons: ['present indicative']},
+            {term: 'finire', source: 'finiscono', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parlavo', rule: 'v', reasons: ['imperfect']},
+            {term: 'credere', source: 'credevano', rule: 'v', reasons: ['imperfect']},
+            {term: 'dormire', source: 'dormiva', rule: 'v', reasons: ['imperfect']},
+            {term: 'parlare', source: 'parlò', rule: 'v', reasons: ['preterite']},
+            {term: 'parlare', source: 'parlarono', rule: 'v', reasons: ['preterite']},
+            {term: 'credere', source: 'credette', rule: 'v', reasons: ['preterite']},
+            {term: 'dormire', source: 'dormii', rule: 'v', reasons: ['preterite']},
+            {term: 'parlare', source: 'parlerò', rule: 'v', reasons: ['future']},
+            {term: 'dormire', source: 'dormiranno', rule: 'v', reasons: ['future']},
+            {term: 'parlare', source: 'parlerei', rule: 'v', reasons: ['conditional']},
+            {term: 'credere', source: 'crederebbe', rule: 'v', reasons: ['conditional']},
+            {term: 'parlare', source: 'parlino', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'finire', source: 'finisca', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'parlare', source: 'parlassi', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'credere', source: 'credessero', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'parlare', source: 'parlate', rule: 'v', reasons: ['imperative']},
+            {term: 'parlare', source: 'parlando', rule: 'v', reasons: ['gerund']},
+            {term: 'credere', source: 'credendo', rule: 'v', reasons: ['gerund']},
+            {term: 'parlare', source: 'parlato', rule: 'v', reasons: ['past participle']},
+            {term: 'credere', source: 'creduto', rule: 'v', reasons: ['past participle']},
+            {term: 'dormire', source: 'dormito', rule: 'v', reasons: ['past participle']},
+            {term: 'parlare', source: 'parlata', rule: 'v', reasons: ['past participle', 'feminine']},
+            {term: 'dormire', source: 'dormiti', rule: 'v', reasons: ['past participle', 'plural']},
+        ],
+    },
+    {
+        category: 'spelling changes',
+        valid: true,
+        tests: [
+            {term: 'cercare', source: 'cerchi', rule: 'v', reasons: ['present indicative']},
+            {term: 'cercare', source: 'cercherò', rule: 'v', reasons: ['future']},
+            {term: 'pagare', source: 'pagherei', rule: 'v', reasons: ['conditional']},
+            {term: 'mangiare', source: 'mangerò', rule: 'v', reasons: ['future']},
+            {term: 'cominciare', source: 'cominci', rule: 'v', reasons: ['present indicative']},
+            {term: 'studiare', source: 'studiamo', rule: 'v', reasons: ['present indicative']},
+        ],
+    },
+    {
+        category: 'irregular verbs',
+        valid: true,
+        tests: [
+            {term: 'essere', source: 'sono', rule: 'v', reasons: ['present indicative']},
+            {term: 'essere', source: 'è', rule: 'v', reasons: ['present indicative']},
+            {term: 'essere', source: 'ero', rule: 'v', reasons: ['imperfect']},
+            {term: 'essere', source: 'fu', rule: 'v', reasons: ['preterite']},
+            {term: 'essere', source: 'sarà', rule: 'v', reasons: ['future']},
+            {term: 'essere', source: 'fosse', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'essere', source: 'stato', rule: 'v', reasons: ['past participle']},
+            {term: 'avere', source: 'ho', rule: 'v', reasons: ['present indicative']},
+            {term: 'avere', source: 'ebbe', rule: 'v', reasons: ['preterite']},
+            {term: 'avere', source: 'avrei', rule: 'v', reasons: ['conditional']},
+            {term: 'avere', source: 'abbia', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'andare', source: 'vado', rule: 'v', reasons: ['present indicative']},
+            {term: 'andare', source: 'andremo', rule: 'v', reasons: ['future']},
+            {term: 'fare', source: 'faccio', rule: 'v', reasons: ['present indicative']},
+            {term: 'fare', source: 'fece', rule: 'v', reasons: ['preterite']},
+            {term: 'fare', source: 'fatto', rule: 'v', reasons: ['past participle']},
+            {term: 'rifare', source: 'rifatto', rule: 'v', reasons: ['past participle']},
+            {term: 'dare', source: 'diede', rule: 'v', reasons: ['preterite']},
+            {term: 'stare', source: 'stiamo', rule: 'v', reasons: ['present indicative']},
+            {term: 'dire', source: 'dico', rule: 'v', reasons: ['present indicative']},
+            {term: 'dire', source: 'disse', rule: 'v', reasons: ['preterite']},
+            {term: 'dire', source: 'detto', rule: 'v', reasons: ['past participle']},
+            {term: 'venire', source: 'vengo', rule: 'v', reasons: ['present indicative']},
+            {term: 'venire', source: 'verrò', rule: 'v', reasons: ['future']},
+            {term: 'ottenere', source: 'ottengo', rule: 'v', reasons: ['present indicative']},
+            {term: 'volere', source: 'vuole', rule: 'v', reasons: ['present indicative']},
+            {term: 'potere', source: 'può', rule: 'v', reasons: ['present indicative']},
+            {term: 'dovere', source: 'dobbiamo', rule: 'v', reasons: ['present indicative']},
+            {term: 'sapere', source: 'so', rule: 'v', reasons: ['present indicative']},
+            {term: 'uscire', source: 'esco', rule: 'v', reasons: ['present indicative']},
+            {term: 'bere', source: 'bevo', rule: 'v', reasons: ['present indicative']},
+            {term: 'proporre', source: 'propongo', rule: 'v', reasons: ['present indicative']},
+            {term: 'tradurre', source: 'tradotto', rule: 'v', reasons: ['past participle']},
+            {term: 'prendere', source: 'preso', rule: 'v', reasons: ['past participle']},
+            {term: 'comprendere', source: 'compresi', rule: 'v', reasons: ['preterite']},
+            {term: 'scrivere', source: 'scritto', rule: 'v', reasons: ['past participle']},
+            {term: 'vedere', source: 'visto', rule: 'v', reasons: ['past participle']},
+            {term: 'aprire', source: 'aperto', rule: 'v', reasons: ['past participle']},
+        ],
+    },
+    {
+        category: 'enclitic pronouns',
+        valid: true,
+        tests: [
+            {term: 'parlare', source: 'parlarti', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'vedere', source: 'vederlo', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'dire', source: 'dirmelo', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'portare', source: 'portarglielo', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'porre', source: 'porlo', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'dire', source: 'dimmelo', rule: 'v', reasons: ['imperative', 'enclitic pronoun']},
+            {term: 'dire', source: 'digli', rule: 'v', reasons: ['imperative', 'enclitic pronoun']},
+            {term: 'fare', source: 'fallo', rule: 'v', reasons: ['imperative', 'enclitic pronoun']},
+            {term: 'dare', source: 'dammi', rule: 'v', reasons: ['imperative', 'enclitic pronoun']},
+            {term: 'parlare', source: 'parlami', rule: 'v', reasons: ['imperative', 'enclitic pronoun']},
+            {term: 'parlare', source: 'parlatemi', rule: 'v', reasons: ['imperative', 'enclitic pronoun']},
+            {term: 'dire', source: 'dicendolo', rule: 'v', reasons: ['gerund', 'enclitic pronoun']},
+            {term: 'guardare', source: 'guardandosi', rule: 'v', reasons: ['gerund', 'enclitic pronoun']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'parlare', source: 'parlo', rule: 'v', reasons: ['imperfect']},
+            {term: 'parlare', source: 'parlamo', rule: 'v', reasons: ['present indicative']},
+            {term: 'parlare', source: 'parlomi', rule: 'v', reasons: ['present indicative', 'enclitic pronoun']},
+            {term: 'libro', source: 'libri', rule: 'v', reasons: ['plural']},
+            {term: 'rosso', source: 'rosse', rule: 'adj', reasons: ['plural', 'feminine']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(italianTransforms);
+testLanguageTransformer(languageTransformer, tests);
@@ -0,0 +1,156 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {portugueseTransforms} from '../../ext/js/language/pt/portuguese-transforms.js';
+import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'nouns and adjectives',
+        valid: true,
+        tests: [
+            {term: 'livro', source: 'livros', rule: 'ns', reasons: ['plural']},
+            {term: 'flor', source: 'flores', rule: 'ns', reasons: ['plural']},
+            {term: 'lição', source: 'lições', rule: 'ns', reasons: ['plural']},
+            {term: 'pão', source: 'pães', rule: 'ns', reasons: ['plural']},
+            {term: 'animal', source: 'animais', rule: 'ns', reasons: ['plural']},
+            {term: 'papel', source: 'papéis', rule: 'ns', reasons: ['plural']},
+            {term: 'fácil', source: 'fáceis', rule: 'adj', reasons: ['plural']},
+            {term: 'homem', source: 'homens', rule: 'ns', reasons: ['plural']},
+            {term: 'inglês', source: 'ingleses', rule: 'adj', reasons: ['plural']},
+            {term: 'bonito', source: 'bonita', rule: 'adj', reasons: ['feminine']},
+            {term: 'bonito', source: 'bonitas', rule: 'adj', reasons: ['feminine', 'plural']},
+            {term: 'irmão', source: 'irmã', rule: 'ns', reasons: ['feminine']},
+            {term: 'português', source: 'portuguesa', rule: 'adj', reasons: ['feminine']},
+            {term: 'trabalhador', source: 'trabalhadoras', rule: 'adj', reasons: ['feminine', 'plural']},
+        ],
+    },
+    {
+        category: 'regular verbs',
+        valid: true,
+        tests: [
+            {term: 'falar', source: 'falo', rule: 'v', reasons: ['present indicative']},
+            {term: 'falar', source: 'falamos', rule: 'v', reasons: ['present indicative']},
+            {term: 'comer', source: 'comem', rule: 'v', reasons: ['present indicative']},
+            {term: 'partir', source: 'partimos', rule: 'v', reasons: ['present indicative']},
+            {term: 'falar', source: 'falei', rule: 'v', reasons: ['preterite']},
+            {term: 'falar', source: 'falou', rule: 'v', reasons: ['preterite']},
+            {term: 'comer', source: 'comeu', rule: 'v', reasons: ['preterite']},
+            {term: 'partir', source: 'partiu', rule: 'v', reasons: ['preterite']},
+            {term: 'falar', source: 'falava', rule: 'v', reasons: ['imperfect']},
+            {term: 'comer', source: 'comíamos', rule: 'v', reasons: ['imperfect']},
+            {term: 'falar', source: 'falara', rule: 'v', reasons: ['pluperfect']},
+            {term: 'falar', source: 'falarei', rule: 'v', reasons: ['future']},
+            {term: 'partir', source: 'partirão', rule: 'v', reasons: ['future']},
+            {term: 'comer', source: 'comeria', rule: 'v', reasons: ['conditional']},
+            {term: 'falar', source: 'fale', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'comer', source: 'comamos', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'falar', source: 'falasse', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'partir', source: 'partíssemos', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'falar', source: 'falarmos', rule: 'v', reasons: ['future subjunctive']},
+            {term: 'falar', source: 'falando', rule: 'v', reasons: ['gerund']},
+            {term: 'partir', source: 'partindo', rule: 'v', reasons: ['gerund']},
+            {term: 'falar', source: 'falado', rule: 'v', reasons: ['past participle']},
+            {term: 'comer', source: 'comidas', rule: 'v', reasons: ['past participle', 'feminine', 'plural']},
+        ],
+    },
+    {
+        category: 'spelling changes',
+        valid: true,
+        tests: [
+            {term: 'ficar', source: 'fiquei', rule: 'v', reasons: ['preterite']},
+            {term: 'chegar', source: 'chegue', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'começar', source: 'comecei', rule: 'v', reasons: ['preterite']},
+            {term: 'conhecer', source: 'conheço', rule: 'v', reasons: ['present indicative']},
+            {term: 'proteger', source: 'protejo', rule: 'v', reasons: ['present indicative']},
+            {term: 'distinguir', source: 'distingo', rule: 'v', reasons: ['present indicative']},
+        ],
+    },
+    {
+        category: 'irregular verbs',
+        valid: true,
+        tests: [
+            {term: 'ser', source: 'sou', rule: 'v', reasons: ['present indicative']},
+            {term: 'ser', source: 'era', rule: 'v', reasons: ['imperfect']},
+            {term: 'ser', source: 'foi', rule: 'v', reasons: ['preterite']},
+            {term: 'ser', source: 'seja', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'ser', source: 'fôssemos', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'ir', source: 'vou', rule: 'v', reasons: ['present indicative']},
+            {term: 'ir', source: 'foram', rule: 'v', reasons: ['preterite']},
+            {term: 'estar', source: 'estou', rule: 'v', reasons: ['present indicative']},
+            {term: 'estar', source: 'esteve', rule: 'v', reasons: ['preterite']},
+            {term: 'ter', source: 'tenho', rule: 'v', reasons: ['present indicative']},
+            {term: 'ter', source: 'tinha', rule: 'v', reasons: ['imperfect']},
+            {term: 'manter', source: 'mantém', rule: 'v', reasons: ['present indicative']},
+            {term: 'obter', source: 'obtive', rule: 'v', reasons: ['preterite']},
+            {term: 'fazer', source: 'faço', rule: 'v', reasons: ['present indicative']},
+            {term: 'fazer', source: 'fez', rule: 'v', reasons: ['preterite']},
+            {term: 'fazer', source: 'farei', rule: 'v', reasons: ['future']},
+            {term: 'fazer', source: 'fizesse', rule: 'v', reasons: ['imperfect subjunctive']},
+            {term: 'fazer', source: 'feito', rule: 'v', reasons: ['past participle']},
+            {term: 'satisfazer', source: 'satisfeito', rule: 'v', reasons: ['past participle']},
+            {term: 'dizer', source: 'disse', rule: 'v', reasons: ['preterite']},
+            {term: 'dizer', source: 'diria', rule: 'v', reasons: ['conditional']},
+            {term: 'poder', source: 'pôde', rule: 'v', reasons: ['preterite']},
+            {term: 'querer', source: 'quiser', rule: 'v', reasons: ['future subjunctive']},
+            {term: 'saber', source: 'saiba', rule: 'v', reasons: ['present subjunctive']},
+            {term: 'haver', source: 'houve', rule: 'v', reasons: ['preterite']},
+            {term: 'vir', source: 'veio', rule: 'v', reasons: ['preterite']},
+            {term: 'ver', source: 'vejo', rule: 'v', reasons: ['present indicative']},
+            {term: 'dar', source: 'deu', rule: 'v', reasons: ['preterite']},
+            {term: 'pôr', source: 'pus', rule: 'v', reasons: ['preterite']},
+            {term: 'compor', source: 'compôs', rule: 'v', reasons: ['preterite']},
+            {term: 'sair', source: 'saiu', rule: 'v', reasons: ['preterite']},
+            {term: 'pedir', source: 'peço', rule: 'v', reasons: ['present indicative']},
+            {term: 'escrever', source: 'escrito', rule: 'v', reasons: ['past participle']},
+        ],
+    },
+    {
+        category: 'enclitic pronouns',
+        valid: true,
+        tests: [
+            {term: 'fazer', source: 'fazê-lo', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'comprar', source: 'comprá-la', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'partir', source: 'parti-los', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'pôr', source: 'pô-lo', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'dar', source: 'dar-me', rule: 'v', reasons: ['enclitic pronoun']},
+            {term: 'dizer', source: 'disse-me', rule: 'v', reasons: ['preterite', 'enclitic pronoun']},
+            {term: 'fazer', source: 'fi-lo', rule: 'v', reasons: ['preterite', 'enclitic pronoun']},
+            {term: 'sentar', source: 'sentamo-nos', rule: 'v', reasons: ['present indicative', 'enclitic pronoun']},
+            {term: 'fazer', source: 'fazem-no', rule: 'v', reasons: ['present indicative', 'enclitic pronoun']},
+            {term: 'dizer', source: 'dir-lhe-ei', rule: 'v', reasons: ['future', 'enclitic pronoun']},
+            {term: 'fazer', source: 'fá-lo-ia', rule: 'v', reasons: ['conditional', 'enclitic pronoun']},
+            {term: 'falar', source: 'falar-te-ia', rule: 'v', reasons: ['conditional', 'enclitic pronoun']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'falar', source: 'falo', rule: 'v', reasons: ['preterite']},
+            {term: 'falar', source: 'falemos', rule: 'v', reasons: ['present indicative']},
+            {term: 'fazer', source: 'fazê-lo', rule: 'v', reasons: ['present indicative', 'enclitic pronoun']},
+            {term: 'livro', source: 'livros', rule: 'v', reasons: ['plural']},
+            {term: 'bonito', source: 'bonitas', rule: 'adj', reasons: ['plural', 'feminine']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(portugueseTransforms);
+testLanguageTransformer(languageTransformer, tests);
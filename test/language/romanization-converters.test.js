@@ -0,0 +1,74 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {convertLatinToGreek} from '../../ext/js/language/el/greek-romanization.js';
+import {convertRomanizationToHangul} from '../../ext/js/language/ko/korean-romanization.js';
+import {convertLatinToCyrillic} from '../../ext/js/language/ru/russian-romanization.js';
+
+describe('convertRomanizationToHangul', () => {
+    test.each([
+        ['ha', '하'],
+        ['han', '한'],
+        ['hangeul', '한글'],
+        ['hakgyo', '학교'],
+        ['annyeonghaseyo', '안녕하세요'],
+        ['kkachi', '까치'],
+        ['gamsa', '감사'],
+        ['waeyo', '왜요'],
+        ['uisa', '의사'],
+        ['seoul', '서울'],
+        ['yeong-eo', '영어'],
+        ['jung-ang', '중앙'],
+        ['sarang', '사랑'],
+        ['h', 'ㅎ'],
+    ])('%o should convert to %o', (text, expected) => {
+        expect(convertRomanizationToHangul(text)).toStrictEqual(expected);
+    });
+});
+
+describe('convertLatinToCyrillic', () => {
+    test.each([
+        ['privet', 'привет'],
+        ['Moskva', 'Москва'],
+        ['shchi', 'щи'],
+        ['zhizn\'', 'жизнь'],
+        ['e\'to', 'это'],
+        ['khorosho', 'хорошо'],
+        ['ob#yasnit\'', 'объяснить'],
+        ['yolka', 'ёлка'],
+        ['SHkola', 'Школа'],
+        ['kto-to', 'кто-то'],
+    ])('%o should convert to %o', (text, expected) => {
+        expect(convertLatinToCyrillic(text)).toStrictEqual(expected);
+    });
+});
+
+describe('convertLatinToGreek', () => {
+    test.each([
+        ['logos', 'λογος'],
+        ['thalassa', 'θαλασσα'],
+        ['psychh', 'ψυχη'],
+        ['anthrwpos', 'ανθρωπος'],
+        ['anthrōpos', 'ανθρωπος'],
+        ['Sokratis', 'Σοκρατις'],
+        ['s', 'ς'],
+        ['xenos', 'ξενος'],
+    ])('%o should convert to %o', (text, expected) => {
+        expect(convertLatinToGreek(text)).toStrictEqual(expected);
+    });
+});
@@ -0,0 +1,155 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LanguageTransformer} from '../../ext/js/language/language-transformer.js';
+import {turkishTransforms} from '../../ext/js/language/tr/turkish-transforms.js';
+import {testLanguageTransformer} from '../fixtures/language-transformer-test.js';
+
+const tests = [
+    {
+        category: 'plural and case',
+        valid: true,
+        tests: [
+            {term: 'ev', source: 'evler', rule: 'n', reasons: ['plural']},
+            {term: 'kitap', source: 'kitaplar', rule: 'n', reasons: ['plural']},
+            {term: 'ev', source: 'evi', rule: 'n', reasons: ['accusative']},
+            {term: 'araba', source: 'arabayı', rule: 'n', reasons: ['accusative']},
+            {term: 'okul', source: 'okula', rule: 'n', reasons: ['dative']},
+            {term: 'araba', source: 'arabaya', rule: 'n', reasons: ['dative']},
+            {term: 'ev', source: 'evde', rule: 'n', reasons: ['locative']},
+            {term: 'kitap', source: 'kitapta', rule: 'n', reasons: ['locative']},
+            {term: 'okul', source: 'okuldan', rule: 'n', reasons: ['ablative']},
+            {term: 'sokak', source: 'sokaktan', rule: 'n', reasons: ['ablative']},
+            {term: 'ev', source: 'evin', rule: 'n', reasons: ['genitive']},
+            {term: 'araba', source: 'arabanın', rule: 'n', reasons: ['genitive']},
+            {term: 'tren', source: 'trenle', rule: 'n', reasons: ['instrumental']},
+            {term: 'araba', source: 'arabayla', rule: 'n', reasons: ['instrumental']},
+            {term: 'ev', source: 'evlerde', rule: 'n', reasons: ['plural', 'locative']},
+            {term: 'göz', source: 'gözlerden', rule: 'n', reasons: ['plural', 'ablative']},
+        ],
+    },
+    {
+        category: 'possessives',
+        valid: true,
+        tests: [
+            {term: 'ev', source: 'evim', rule: 'n', reasons: ['possessive 1sg']},
+            {term: 'araba', source: 'araban', rule: 'n', reasons: ['possessive 2sg']},
+            {term: 'ev', source: 'evi', rule: 'n', reasons: ['possessive 3sg']},
+            {term: 'araba', source: 'arabası', rule: 'n', reasons: ['possessive 3sg']},
+            {term: 'okul', source: 'okulumuz', rule: 'n', reasons: ['possessive 1pl']},
+            {term: 'göz', source: 'gözünüz', rule: 'n', reasons: ['possessive 2pl']},
+            {term: 'ev', source: 'evleri', rule: 'n', reasons: ['possessive 3pl']},
+            {term: 'ev', source: 'evlerimizden', rule: 'n', reasons: ['plural', 'possessive 1pl', 'ablative']},
+            {term: 'ev', source: 'evinde', rule: 'n', reasons: ['possessive 3sg', 'locative']},
+            {term: 'araba', source: 'arabasından', rule: 'n', reasons: ['possessive 3sg', 'ablative']},
+            {term: 'ev', source: 'evini', rule: 'n', reasons: ['possessive 3sg', 'accusative']},
+            {term: 'ev', source: 'evinin', rule: 'n', reasons: ['possessive 3sg', 'genitive']},
+        ],
+    },
+    {
+        category: 'consonant mutation',
+        valid: true,
+        tests: [
+            {term: 'kitap', source: 'kitabı', rule: 'n', reasons: ['accusative']},
+            {term: 'ağaç', source: 'ağacı', rule: 'n', reasons: ['possessive 3sg']},
+            {term: 'köpek', source: 'köpeğe', rule: 'n', reasons: ['dative']},
+            {term: 'renk', source: 'rengi', rule: 'n', reasons: ['accusative']},
+            {term: 'kanat', source: 'kanadım', rule: 'n', reasons: ['possessive 1sg']},
+            {term: 'kitap', source: 'kitabımızı', rule: 'n', reasons: ['possessive 1pl', 'accusative']},
+            {term: 'gitmek', source: 'gidiyor', rule: 'v', reasons: ['progressive']},
+            {term: 'gelmek', source: 'geleceğim', rule: 'v', reasons: ['future', '1sg']},
+        ],
+    },
+    {
+        category: 'tenses',
+        valid: true,
+        tests: [
+            {term: 'gelmek', source: 'geliyor', rule: 'v', reasons: ['progressive']},
+            {term: 'okumak', source: 'okuyor', rule: 'v', reasons: ['progressive']},
+            {term: 'başlamak', source: 'başlıyor', rule: 'v', reasons: ['progressive']},
+            {term: 'beklemek', source: 'bekliyor', rule: 'v', reasons: ['progressive']},
+            {term: 'gelmek', source: 'geldi', rule: 'v', reasons: ['past']},
+            {term: 'yapmak', source: 'yaptı', rule: 'v', reasons: ['past']},
+            {term: 'okumak', source: 'okudu', rule: 'v', reasons: ['past']},
+            {term: 'gelmek', source: 'gelmiş', rule: 'v', reasons: ['evidential']},
+            {term: 'okumak', source: 'okumuş', rule: 'v', reasons: ['evidential']},
+            {term: 'gelmek', source: 'gelecek', rule: 'v', reasons: ['future']},
+            {term: 'okumak', source: 'okuyacak', rule: 'v', reasons: ['future']},
+            {term: 'yapmak', source: 'yapar', rule: 'v', reasons: ['aorist']},
+            {term: 'gelmek', source: 'gelir', rule: 'v', reasons: ['aorist']},
+            {term: 'okumak', source: 'okur', rule: 'v', reasons: ['aorist']},
+            {term: 'gelmek', source: 'gelmez', rule: 'v', reasons: ['negative aorist']},
+            {term: 'gelmek', source: 'gelmeli', rule: 'v', reasons: ['necessitative']},
+            {term: 'gelmek', source: 'gelse', rule: 'v', reasons: ['conditional']},
+            {term: 'gelmek', source: 'gelelim', rule: 'v', reasons: ['optative 1pl']},
+            {term: 'gelmek', source: 'gelin', rule: 'v', reasons: ['imperative 2pl']},
+        ],
+    },
+    {
+        category: 'negation and ability',
+        valid: true,
+        tests: [
+            {term: 'gelmek', source: 'gelmedi', rule: 'v', reasons: ['negative', 'past']},
+            {term: 'gelmek', source: 'gelmiyor', rule: 'v', reasons: ['negative', 'progressive']},
+            {term: 'yapmak', source: 'yapmayacak', rule: 'v', reasons: ['negative', 'future']},
+            {term: 'gelmek', source: 'gelebilir', rule: 'v', reasons: ['abilitative', 'aorist']},
+            {term: 'okumak', source: 'okuyabildi', rule: 'v', reasons: ['abilitative', 'past']},
+            {term: 'gelmek', source: 'gelemedi', rule: 'v', reasons: ['negative abilitative', 'past']},
+            {term: 'okumak', source: 'okuyamıyor', rule: 'v', reasons: ['negative abilitative', 'progressive']},
+        ],
+    },
+    {
+        category: 'person endings and copulas',
+        valid: true,
+        tests: [
+            {term: 'gelmek', source: 'geliyorum', rule: 'v', reasons: ['progressive', '1sg']},
+            {term: 'gelmek', source: 'geliyorsun', rule: 'v', reasons: ['progressive', '2sg']},
+            {term: 'gelmek', source: 'geliyoruz', rule: 'v', reasons: ['progressive', '1pl']},
+            {term: 'gelmek', source: 'geliyorsunuz', rule: 'v', reasons: ['progressive', '2pl']},
+            {term: 'gelmek', source: 'geliyorlar', rule: 'v', reasons: ['progressive', '3pl']},
+            {term: 'okumak', source: 'okuyacağız', rule: 'v', reasons: ['future', '1pl']},
+            {term: 'gelmek', source: 'geldim', rule: 'v', reasons: ['past', '1sg past']},
+            {term: 'gelmek', source: 'geldin', rule: 'v', reasons: ['past', '2sg past']},
+            {term: 'gelmek', source: 'geldik', rule: 'v', reasons: ['past', '1pl past']},
+            {term: 'gelmek', source: 'geldiniz', rule: 'v', reasons: ['past', '2pl past']},
+            {term: 'gelmek', source: 'gelseydim', rule: 'v', reasons: ['conditional', 'past copula', '1sg past']},
+            {term: 'gelmek', source: 'geliyordu', rule: 'v', reasons: ['progressive', 'past copula']},
+            {term: 'gelmek', source: 'gelmiştik', rule: 'v', reasons: ['evidential', 'past copula', '1pl past']},
+            {term: 'gelmek', source: 'gelirse', rule: 'v', reasons: ['aorist', 'conditional copula']},
+            {term: 'gelmek', source: 'gelecekmiş', rule: 'v', reasons: ['future', 'evidential copula']},
+            {term: 'gelmek', source: 'gelemeyecekmişsiniz', rule: 'v', reasons: ['negative abilitative', 'future', 'evidential copula', '2pl']},
+        ],
+    },
+    {
+        category: 'invalid deinflections',
+        valid: false,
+        tests: [
+            {term: 'ev', source: 'evlar', rule: 'n', reasons: ['plural']},
+            {term: 'okul', source: 'okulde', rule: 'n', reasons: ['locative']},
+            {term: 'kitap', source: 'kitapda', rule: 'n', reasons: ['locative']},
+            {term: 'ev', source: 'evden', rule: 'v', reasons: ['ablative']},
+            {term: 'ev', source: 'evlerden', rule: 'n', reasons: ['ablative', 'plural']},
+            {term: 'gelmek', source: 'geldim', rule: 'v', reasons: ['past', '1sg']},
+            {term: 'gelmek', source: 'geliyorum', rule: 'v', reasons: ['progressive', '1sg past']},
+            {term: 'gelmek', source: 'gelmişmişim', rule: 'v', reasons: ['evidential', 'evidential copula', 'evidential copula', '1sg']},
+        ],
+    },
+];
+
+const languageTransformer = new LanguageTransformer();
+languageTransformer.addDescriptor(turkishTransforms);
+testLanguageTransformer(languageTransformer, tests);
@@ -277,6 +277,7 @@ function createProfileOptionsUpdatedTestData1() {
             popupScaleRelativeToVisualViewport: true,
             showGuide: true,
             enableContextMenuScanSelected: true,
+            openPdfLinksInViewer: false,
             compactTags: false,
             glossaryLayoutMode: 'default',
             mainDictionary: '',
@@ -285,6 +286,8 @@ function createProfileOptionsUpdatedTestData1() {
             customPopupCss: '',
             customPopupOuterCss: '',
             enableWanakana: true,
+            enableJyutpingInput: false,
+            enableRomanizationInput: false,
             showPitchAccentDownstepNotation: true,
             showPitchAccentPositionNotation: true,
             showPitchAccentGraph: false,
@@ -300,6 +303,9 @@ function createProfileOptionsUpdatedTestData1() {
             sortFrequencyDictionary: null,
             sortFrequencyDictionaryOrder: 'descending',
             stickySearchHeader: false,
+            enableLookupHistory: false,
+            maxPatternSearchResults: 500,
+            questionMarkWildcard: false,
         },
         audio: {
             enabled: true,
@@ -356,6 +362,8 @@ function createProfileOptionsUpdatedTestData1() {
             },
             scanWithoutMousemove: true,
             scanResolution: 'character',
+            enableVideoSubtitles: false,
+            pauseVideoOnPopup: false,
             inputs: [
                 {
                     include: 'shift',
@@ -436,6 +444,7 @@ function createProfileOptionsUpdatedTestData1() {
         },
         translation: {
             searchResolution: 'letter',
+            searchRoots: false,
             textReplacements: {
                 searchOriginal: true,
                 groups: [],
@@ -465,6 +474,7 @@ function createProfileOptionsUpdatedTestData1() {
             server: 'http://127.0.0.1:8765',
             tags: ['yomitan'],
             screenshot: {format: 'png', quality: 92},
+            sentenceAudio: {windowBefore: 5, windowAfter: 1},
             terms: {
                 deck: '',
                 model: '',
@@ -479,6 +489,7 @@ function createProfileOptionsUpdatedTestData1() {
                     expression: '{popup-selection-text}',
                 },
             },
+            cardPresets: [],
             duplicateBehavior: 'new',
             duplicateScope: 'collection',
             duplicateScopeCheckAllModels: false,
@@ -489,6 +500,7 @@ function createProfileOptionsUpdatedTestData1() {
             noteGuiMode: 'browse',
             apiKey: '',
             downloadTimeout: 0,
+            offlineQueue: false,
         },
         sentenceParsing: {
             scanExtent: 200,
@@ -555,6 +567,13 @@ function createProfileOptionsUpdatedTestData1() {
         accessibility: {
             forceGoogleDocsHtmlRendering: false,
         },
+        wordStatus: {
+            highlightUnknownWords: false,
+            highlightLearningWords: false,
+            ankiField: '',
+            ankiKnownQuery: 'prop:ivl>=21',
+            ankiLearningQuery: 'prop:ivl<21',
+        },
     };
 }
 
@@ -644,10 +663,16 @@ function createOptionsUpdatedTestData1() {
             },
         ],
         profileCurrent: 0,
-        version: 52,
+        version: 67,
         global: {
             database: {
                 prefixWildcardsSupported: false,
+                glossarySearchSupported: false,
+            },
+            dictionaryUpdates: {
+                checkAutomatically: false,
+                checkInterval: 24,
+                updateAutomatically: false,
             },
         },
     };
@@ -0,0 +1,63 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getLineBreakSeparator, isParagraphBreak} from '../ext/js/pdf/pdf-text-layer.js';
+
+/**
+ * @param {number} baselineX
+ * @param {number} baselineY
+ * @param {number} angle
+ * @returns {import('pdf-viewer').FragmentPosition}
+ */
+function createPosition(baselineX, baselineY, angle = 0) {
+    return {left: baselineX, top: baselineY, baselineX, baselineY, angle, fontHeight: 10, width: 100};
+}
+
+describe('PdfTextLayer', () => {
+    describe('getLineBreakSeparator', () => {
+        /** @type {[previousText: string, nextText: string, expected: string][]} */
+        const data = [
+            ['the end of a', 'line', ' '],
+            ['trailing ', 'space', ''],
+            ['leading', ' space', ''],
+            ['日本語の', '文章', ''],
+            ['カタカナ、', 'ひらがな', ''],
+            ['日本語', 'English', ' '],
+            ['𠮷', '野家', ''],
+            ['', 'empty', ''],
+        ];
+        test.each(data)('%s / %s', (previousText, nextText, expected) => {
+            expect(getLineBreakSeparator(previousText, nextText)).toStrictEqual(expected);
+        });
+    });
+
+    describe('isParagraphBreak', () => {
+        /** @type {[name: string, previous: import('pdf-viewer').FragmentPosition, next: import('pdf-viewer').FragmentPosition, expected: boolean][]} */
+        const data = [
+            ['same line', createPosition(0, 100), createPosition(50, 100), false],
+            ['next line', createPosition(0, 100), createPosition(0, 114), false],
+            ['next paragraph', createPosition(0, 100), createPosition(0, 130), true],
+            ['next column', createPosition(0, 500), createPosition(300, 100), true],
+            ['next vertical line', createPosition(200, 0, Math.PI / 2), createPosition(186, 0, Math.PI / 2), false],
+            ['next vertical paragraph', createPosition(200, 0, Math.PI / 2), createPosition(170, 0, Math.PI / 2), true],
+        ];
+        test.each(data)('%s', (_name, previous, next, expected) => {
+            expect(isParagraphBreak(previous, next)).toStrictEqual(expected);
+        });
+    });
+});
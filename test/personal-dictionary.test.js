@@ -0,0 +1,137 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {getSchemas, validateDictionary} from '../dev/dictionary-validate.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryExporter} from '../ext/js/dictionary/dictionary-exporter.js';
+import {PersonalDictionary, personalDictionaryTitle} from '../ext/js/dictionary/personal-dictionary.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {import('dictionary-importer').ImportDetails} */
+const details = {prefixWildcardsSupported: true, glossarySearchSupported: true};
+
+/**
+ * @param {(dictionaryDatabase: DictionaryDatabase, personalDictionary: PersonalDictionary) => Promise<void>} callback
+ */
+async function withPersonalDictionary(callback) {
+    const dictionaryDatabase = new DictionaryDatabase();
+    await dictionaryDatabase.prepare();
+    try {
+        await callback(dictionaryDatabase, new PersonalDictionary(dictionaryDatabase));
+    } finally {
+        await dictionaryDatabase.close();
+    }
+}
+
+describe('PersonalDictionary', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('prepare creates the dictionary once', async ({expect}) => {
+        await withPersonalDictionary(async (dictionaryDatabase, personalDictionary) => {
+            expect.soft(await personalDictionary.prepare(details)).toStrictEqual(true);
+            expect.soft(await personalDictionary.prepare(details)).toStrictEqual(false);
+            const dictionaryInfo = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(dictionaryInfo.map(({title}) => title)).toStrictEqual([personalDictionaryTitle]);
+        });
+    });
+
+    test('adds, edits, and deletes entries', async ({expect}) => {
+        await withPersonalDictionary(async (dictionaryDatabase, personalDictionary) => {
+            const {id, dictionaryCreated} = await personalDictionary.setEntry(null, {
+                term: ' 打つ ',
+                reading: 'うつ',
+                glossary: ['to hit', '', ' to strike '],
+                tags: ['v5', 'vt'],
+                frequency: 100,
+            }, details);
+            expect.soft(dictionaryCreated).toStrictEqual(true);
+            expect.soft(await personalDictionary.getEntry(id)).toStrictEqual({
+                id,
+                term: '打つ',
+                reading: 'うつ',
+                glossary: ['to hit', 'to strike'],
+                tags: ['v5', 'vt'],
+                frequency: 100,
+            });
+
+            const dictionaries = new Set([personalDictionaryTitle]);
+            const terms = await dictionaryDatabase.findTermsBulk(['打つ'], dictionaries, 'exact');
+            expect.soft(terms.map(({term, reading, definitions, definitionTags}) => ({term, reading, definitions, definitionTags}))).toStrictEqual([
+                {term: '打つ', reading: 'うつ', definitions: ['to hit', 'to strike'], definitionTags: ['v5', 'vt']},
+            ]);
+            expect.soft((await dictionaryDatabase.findTermsBulk(['打つ'], dictionaries, 'suffix')).length).toStrictEqual(1);
+            expect.soft((await dictionaryDatabase.findTermsByGlossary(['strike'], dictionaries, 10)).length).toStrictEqual(1);
+
+            const result = await personalDictionary.setEntry(id, {term: '撃つ', reading: 'うつ', glossary: ['to shoot'], tags: [], frequency: null}, details);
+            expect.soft(result).toStrictEqual({id, dictionaryCreated: false});
+            expect.soft(await personalDictionary.getEntry(id)).toStrictEqual({id, term: '撃つ', reading: 'うつ', glossary: ['to shoot'], tags: [], frequency: null});
+            expect.soft(await dictionaryDatabase.findTermMetaBulk(['打つ', '撃つ'], dictionaries)).toStrictEqual([]);
+
+            const [summary] = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(summary.counts.terms.total).toStrictEqual(1);
+
+            await personalDictionary.deleteEntry(id);
+            expect.soft(await personalDictionary.getEntry(id)).toBeNull();
+            const [summary2] = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(summary2.counts.terms.total).toStrictEqual(0);
+        });
+    });
+
+    test('entries with the same term and reading share a frequency', async ({expect}) => {
+        await withPersonalDictionary(async (_dictionaryDatabase, personalDictionary) => {
+            const entry = {term: '読む', reading: 'よむ', glossary: ['to read'], tags: [], frequency: 5};
+            const {id: id1} = await personalDictionary.setEntry(null, entry, details);
+            const {id: id2} = await personalDictionary.setEntry(null, {...entry, glossary: ['to recite']}, details);
+
+            await personalDictionary.deleteEntry(id1);
+            expect.soft((await personalDictionary.getEntry(id2))?.frequency).toStrictEqual(5);
+        });
+    });
+
+    test('invalid entries', async ({expect}) => {
+        await withPersonalDictionary(async (_dictionaryDatabase, personalDictionary) => {
+            const entry = {term: '読む', reading: '', glossary: ['to read'], tags: [], frequency: null};
+            await expect.soft(personalDictionary.setEntry(null, {...entry, term: ' '}, details)).rejects.toThrow('The term is empty');
+            await expect.soft(personalDictionary.setEntry(null, {...entry, glossary: [' ']}, details)).rejects.toThrow('The glossary is empty');
+            await expect.soft(personalDictionary.setEntry(null, {...entry, frequency: Number.NaN}, details)).rejects.toThrow('Invalid frequency');
+            await expect.soft(personalDictionary.setEntry(12345, entry, details)).rejects.toThrow('Personal dictionary entry not found');
+            await expect.soft(personalDictionary.deleteEntry(12345)).rejects.toThrow('Personal dictionary entry not found');
+        });
+    });
+
+    test('terms of other dictionaries cannot be edited', async ({expect}) => {
+        await withPersonalDictionary(async (dictionaryDatabase, personalDictionary) => {
+            const id = await dictionaryDatabase.putTermEntry({expression: '本', reading: 'ほん', definitionTags: '', rules: '', score: 0, glossary: ['book'], dictionary: 'Other Dictionary'});
+            expect.soft(await personalDictionary.getEntry(id)).toBeNull();
+            await expect.soft(personalDictionary.deleteEntry(id)).rejects.toThrow('Personal dictionary entry not found');
+        });
+    });
+
+    test('exported archive is valid', async ({expect}) => {
+        await withPersonalDictionary(async (dictionaryDatabase, personalDictionary) => {
+            await personalDictionary.setEntry(null, {term: '打つ', reading: 'うつ', glossary: ['to hit'], tags: ['v5'], frequency: 100}, details);
+            // Level 0 compression is used since compression in the node environment is not supported.
+            const blob = await new DictionaryExporter().exportDictionary(dictionaryDatabase, personalDictionaryTitle, {compressionLevel: 0});
+            await expect(validateDictionary(null, await blob.arrayBuffer(), getSchemas())).resolves.not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {describe, expect, test} from 'vitest';
+import {createWildcardRegExp, hasWildcardCharacters, parseRegExpLiteral} from '../ext/js/general/regex-util.js';
+
+describe('parseRegExpLiteral', () => {
+    /** @type {[text: string, expected: ?{source: string, flags: string}][]} */
+    const data = [
+        ['/^読.+む$/', {source: '^読.+む$', flags: ''}],
+        ['/abc/i', {source: 'abc', flags: 'i'}],
+        ['/abc/giy', {source: 'abc', flags: 'i'}],
+        ['/a/b/', {source: 'a\\/b', flags: ''}],
+        ['/(/', null],
+        ['/abc/x', null],
+        ['//', null],
+        ['abc', null],
+        ['/abc', null],
+    ];
+
+    test.each(data)('%s', (text, expected) => {
+        const regExp = parseRegExpLiteral(text);
+        expect(regExp === null ? null : {source: regExp.source, flags: regExp.flags}).toStrictEqual(expected);
+    });
+});
+
+describe('hasWildcardCharacters', () => {
+    /** @type {[text: string, questionMarkWildcard: boolean, expected: boolean][]} */
+    const data = [
+        ['打つ', true, false],
+        ['打?', true, true],
+        ['打?', false, false],
+        ['*込*', false, true],
+        ['＊込', false, true],
+        ['', true, false],
+    ];
+
+    test.each(data)('%s (questionMarkWildcard: %o) -> %o', (text, questionMarkWildcard, expected) => {
+        expect(hasWildcardCharacters(text, questionMarkWildcard)).toStrictEqual(expected);
+    });
+});
+
+describe('createWildcardRegExp', () => {
+    /** @type {[pattern: string, text: string, expected: boolean][]} */
+    const data = [
+        ['打?', '打つ', true],
+        ['打?', '打ち込む', false],
+        ['打*', '打ち込む', true],
+        ['*込*', '打ち込む', true],
+        ['＊込＊', '打ち込む', true],
+        ['*込*', '込', true],
+        ['?込?', '込', false],
+        ['a.c', 'abc', false],
+        ['a.c', 'a.c', true],
+        ['(a)+', '(a)+', true],
+        ['e-mail', 'e-mail', true],
+        ['?', '𠮟', true],
+        ['*', 'line 1\nline 2', true],
+    ];
+
+    test.each(data)('%s matches %s -> %o', (pattern, text, expected) => {
+        expect(createWildcardRegExp(pattern, true).test(text)).toStrictEqual(expected);
+    });
+
+    /** @type {[pattern: string, text: string, expected: boolean][]} */
+    const literalQuestionMarkData = [
+        ['打?', '打?', true],
+        ['打?', '打つ', false],
+        ['*?', 'なに?', true],
+        ['*?', 'なに', false],
+    ];
+
+    test.each(literalQuestionMarkData)('%s matches %s without question mark wildcards -> %o', (pattern, text, expected) => {
+        expect(createWildcardRegExp(pattern, false).test(text)).toStrictEqual(expected);
+    });
+});
@@ -0,0 +1,81 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {readFileSync} from 'node:fs';
+import {fileURLToPath} from 'node:url';
+import {dirname as pathDirname, join} from 'path';
+import {describe, test} from 'vitest';
+import {parseJson} from '../dev/json.js';
+import {createTranslatorContext} from './fixtures/translator-test.js';
+import {createFindTermsOptions} from './utilities/translator.js';
+
+const dirname = pathDirname(fileURLToPath(import.meta.url));
+const dictionaryName = 'Test Dictionary 2';
+const {translator} = await createTranslatorContext(join(dirname, 'data', 'dictionaries', 'valid-dictionary1'), dictionaryName);
+
+/** @type {import('test/translator').TranslatorTestInputs} */
+const {optionsPresets} = parseJson(readFileSync(join(dirname, 'data', 'translator-test-inputs.json'), {encoding: 'utf8'}));
+
+/**
+ * @param {string} text
+ * @param {?import('dictionary-database').TermPosition} after
+ * @param {number} limit
+ * @returns {Promise<import('translator').FindTermsResult>}
+ */
+async function findTermsPage(text, after, limit) {
+    const options = createFindTermsOptions(dictionaryName, optionsPresets, 'default');
+    options.pattern = {regex: false, questionMarkWildcard: false, after, limit};
+    return await translator.findTerms('group', text, options);
+}
+
+/**
+ * @param {import('dictionary').TermDictionaryEntry[]} dictionaryEntries
+ * @returns {string[]}
+ */
+function getHeadwords(dictionaryEntries) {
+    const results = [];
+    for (const {headwords} of dictionaryEntries) {
+        for (const {term, reading} of headwords) {
+            results.push(`${term}/${reading}`);
+        }
+    }
+    return results.sort();
+}
+
+describe('Pattern search', () => {
+    test('pages contain every dictionary entry of their terms', async ({expect}) => {
+        const {dictionaryEntries: allDictionaryEntries, patternSearchNext: allNext} = await findTermsPage('打*', null, 100);
+        expect.soft(allNext ?? null).toStrictEqual(null);
+
+        /** @type {import('dictionary').TermDictionaryEntry[]} */
+        const pagedDictionaryEntries = [];
+        let maxPageLength = 0;
+        /** @type {?import('dictionary-database').TermPosition} */
+        let after = null;
+        do {
+            const {dictionaryEntries, patternSearchNext} = await findTermsPage('打*', after, 1);
+            pagedDictionaryEntries.push(...dictionaryEntries);
+            maxPageLength = Math.max(maxPageLength, dictionaryEntries.length);
+            after = patternSearchNext ?? null;
+        } while (after !== null);
+
+        // A page can hold more entries than its limit, all of which have to be kept for no term to be skipped
+        expect.soft(maxPageLength).toBeGreaterThan(1);
+        expect.soft(getHeadwords(pagedDictionaryEntries)).toStrictEqual(getHeadwords(allDictionaryEntries));
+        expect.soft(new Set(getHeadwords(pagedDictionaryEntries).map((headword) => headword.split('/')[0]))).toStrictEqual(new Set(['打', '打つ', '打ち込む']));
+    });
+});
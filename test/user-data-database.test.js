@@ -0,0 +1,294 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, test, vi} from 'vitest';
+import {ExtensionError} from '../ext/js/core/extension-error.js';
+import {AnkiOfflineQueue} from '../ext/js/data/anki-offline-queue.js';
+import {UserDataDatabase} from '../ext/js/data/user-data-database.js';
+import {WordStatusStore, getAnkiFieldWord} from '../ext/js/data/word-status-store.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/**
+ * @param {string} expression
+ * @returns {import('anki').Note}
+ */
+function createNote(expression) {
+    return {
+        fields: {expression, audio: `[sound:yomitan_audio_${expression}.mp3]`},
+        tags: ['yomitan'],
+        deckName: 'Deck',
+        modelName: 'Model',
+        options: {
+            allowDuplicate: true,
+            duplicateScope: 'collection',
+            duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false},
+        },
+    };
+}
+
+describe('UserDataDatabase', () => {
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+    test('Data is kept when the dictionary database is purged', async ({expect}) => {
+        const userDataDatabase = new UserDataDatabase();
+        await userDataDatabase.prepare();
+        const dictionaryDatabase = new DictionaryDatabase();
+        await dictionaryDatabase.prepare();
+
+        await userDataDatabase.addLookupHistoryEntry({term: '打つ', reading: 'うつ', sentence: '打ち込む', url: 'https://example.com/1', timestamp: 1000, profile: 'Default'});
+        await userDataDatabase.addAnkiOfflineNote({note: createNote('打つ'), mediaFileNames: [], timestamp: 1000});
+        await userDataDatabase.putWordStatuses([{term: '打つ', status: 'known', source: 'manual', timestamp: 1000}]);
+        expect.soft(await dictionaryDatabase.purge()).toBe(true);
+        expect.soft((await userDataDatabase.getLookupHistory({query: '', profile: null, limit: null})).map(({term}) => term)).toStrictEqual(['打つ']);
+        expect.soft((await userDataDatabase.getAnkiOfflineNotes()).map(({note}) => note.fields.expression)).toStrictEqual(['打つ']);
+        expect.soft(await userDataDatabase.getWordStatuses(['打つ'])).toStrictEqual([{term: '打つ', status: 'known', source: 'manual', timestamp: 1000}]);
+
+        await dictionaryDatabase.close();
+        await userDataDatabase.close();
+    });
+    describe('Lookup history', () => {
+        test('Add, filter, and clear entries', async ({expect}) => {
+            const userDataDatabase = new UserDataDatabase();
+            await userDataDatabase.prepare();
+
+            /** @type {import('lookup-history').LookupHistoryEntry[]} */
+            const entries = [
+                {term: '打つ', reading: 'うつ', sentence: '打ち込む', url: 'https://example.com/1', timestamp: 1000, profile: 'Default'},
+                {term: '読む', reading: 'よむ', sentence: '本を読む', url: 'https://example.com/2', timestamp: 2000, profile: 'Default'},
+                {term: 'read', reading: 'read', sentence: 'I read a book', url: 'https://example.com/3', timestamp: 3000, profile: 'English'},
+            ];
+            for (const entry of entries) {
+                await userDataDatabase.addLookupHistoryEntry(entry);
+            }
+
+            const all = await userDataDatabase.getLookupHistory({query: '', profile: null, limit: null});
+            expect.soft(all.map(({timestamp}) => timestamp)).toStrictEqual([3000, 2000, 1000]);
+            expect.soft(all.every(({id}) => typeof id === 'number')).toBe(true);
+
+            const limited = await userDataDatabase.getLookupHistory({query: '', profile: null, limit: 1});
+            expect.soft(limited.map(({term}) => term)).toStrictEqual(['read']);
+
+            const byProfile = await userDataDatabase.getLookupHistory({query: '', profile: 'Default', limit: null});
+            expect.soft(byProfile.map(({term}) => term)).toStrictEqual(['読む', '打つ']);
+
+            const bySentence = await userDataDatabase.getLookupHistory({query: 'BOOK', profile: null, limit: null});
+            expect.soft(bySentence.map(({term}) => term)).toStrictEqual(['read']);
+
+            const byReading = await userDataDatabase.getLookupHistory({query: 'よむ', profile: null, limit: null});
+            expect.soft(byReading.map(({term}) => term)).toStrictEqual(['読む']);
+
+            await userDataDatabase.clearLookupHistory();
+            expect.soft(await userDataDatabase.getLookupHistory({query: '', profile: null, limit: null})).toStrictEqual([]);
+
+            await userDataDatabase.close();
+        });
+    });
+    describe('Anki offline queue', () => {
+        test('Queue notes with media and remove them', async ({expect}) => {
+            const userDataDatabase = new UserDataDatabase();
+            await userDataDatabase.prepare();
+            const ankiConnect = /** @type {import('../ext/js/comm/anki-connect.js').AnkiConnect} */ (/** @type {unknown} */ ({}));
+            const queue = new AnkiOfflineQueue(userDataDatabase, ankiConnect);
+
+            expect.soft(await queue.storeMediaFile('yomitan_audio_打つ.mp3', 'AAAA')).toStrictEqual('yomitan_audio_打つ.mp3');
+            await queue.addNote(createNote('打つ'));
+            expect.soft(await queue.storeMediaFile('yomitan_audio_読む.mp3', 'BBBB')).toStrictEqual('yomitan_audio_読む.mp3');
+            await queue.addNote(createNote('読む'));
+
+            const queuedNotes = await queue.getNotes();
+            expect.soft(queuedNotes.map(({note}) => note.fields.expression)).toStrictEqual(['打つ', '読む']);
+            expect.soft(queuedNotes.map(({mediaFileNames}) => mediaFileNames)).toStrictEqual([['yomitan_audio_打つ.mp3'], ['yomitan_audio_読む.mp3']]);
+
+            const media = await queue.getMedia(['yomitan_audio_読む.mp3', 'missing.mp3']);
+            expect.soft(media.map(({fileName, content}) => [fileName, content])).toStrictEqual([['yomitan_audio_読む.mp3', 'BBBB']]);
+
+            await queue.removeNotes([queuedNotes[0].id]);
+            expect.soft((await queue.getNotes()).map(({note}) => note.fields.expression)).toStrictEqual(['読む']);
+            expect.soft(await userDataDatabase.getAnkiOfflineMediaFileNames()).toStrictEqual(['yomitan_audio_読む.mp3']);
+
+            await queue.clear();
+            expect.soft(await queue.getNotes()).toStrictEqual([]);
+            expect.soft(await userDataDatabase.getAnkiOfflineMediaFileNames()).toStrictEqual([]);
+
+            await userDataDatabase.close();
+        });
+
+        test('Sync queued notes to Anki', async ({expect}) => {
+            const userDataDatabase = new UserDataDatabase();
+            await userDataDatabase.prepare();
+            /** @type {Map<string, string>} */
+            const storedMedia = new Map();
+            /** @type {string[]} */
+            const addedNotes = [];
+            const ankiConnect = /** @type {import('../ext/js/comm/anki-connect.js').AnkiConnect} */ (/** @type {unknown} */ ({
+                isConnected: async () => true,
+                /**
+                 * @param {string} fileName
+                 * @param {string} content
+                 * @returns {Promise<string>}
+                 */
+                storeMediaFile: async (fileName, content) => {
+                    storedMedia.set(fileName, content);
+                    return fileName;
+                },
+                /**
+                 * @param {import('anki').Note} note
+                 * @returns {Promise<?number>}
+                 */
+                addNote: async (note) => {
+                    if (note.fields.expression === '読む') { throw new Error('Model was not found'); }
+                    addedNotes.push(note.fields.expression);
+                    return addedNotes.length;
+                },
+            }));
+            const queue = new AnkiOfflineQueue(userDataDatabase, ankiConnect);
+
+            await queue.storeMediaFile('yomitan_audio_打つ.mp3', 'AAAA');
+            await queue.addNote(createNote('打つ'));
+            await queue.storeMediaFile('yomitan_audio_読む.mp3', 'BBBB');
+            await queue.addNote(createNote('読む'));
+
+            const {addedCount, remainingCount, errors} = await queue.sync();
+            expect.soft(addedCount).toStrictEqual(1);
+            expect.soft(remainingCount).toStrictEqual(1);
+            expect.soft(errors.map((error) => ExtensionError.deserialize(error).message)).toStrictEqual(['Model was not found']);
+            expect.soft(addedNotes).toStrictEqual(['打つ']);
+            expect.soft(storedMedia.get('yomitan_audio_打つ.mp3')).toStrictEqual('AAAA');
+            expect.soft((await queue.getNotes()).map(({note}) => note.fields.expression)).toStrictEqual(['読む']);
+            expect.soft(await userDataDatabase.getAnkiOfflineMediaFileNames()).toStrictEqual(['yomitan_audio_読む.mp3']);
+
+            await userDataDatabase.close();
+        });
+
+        test('Sync removes media of notes which were not queued', async ({expect}) => {
+            const userDataDatabase = new UserDataDatabase();
+            await userDataDatabase.prepare();
+            const ankiConnect = /** @type {import('../ext/js/comm/anki-connect.js').AnkiConnect} */ (/** @type {unknown} */ ({
+                isConnected: async () => true,
+            }));
+            const queue = new AnkiOfflineQueue(userDataDatabase, ankiConnect);
+
+            await queue.storeMediaFile('yomitan_audio_打つ.mp3', 'AAAA');
+            await queue.storeMediaFile('yomitan_screenshot_打つ.png', 'BBBB');
+            expect.soft(await userDataDatabase.getAnkiOfflineMediaFileNames()).toStrictEqual(['yomitan_audio_打つ.mp3', 'yomitan_screenshot_打つ.png']);
+
+            const {addedCount, remainingCount} = await queue.sync();
+            expect.soft(addedCount).toStrictEqual(0);
+            expect.soft(remainingCount).toStrictEqual(0);
+            expect.soft(await userDataDatabase.getAnkiOfflineMediaFileNames()).toStrictEqual([]);
+
+            await userDataDatabase.close();
+        });
+    });
+    describe('Word statuses', () => {
+        /**
+         * @param {{[query: string]: import('anki').NoteInfo[]}} notesByQuery
+         * @returns {import('../ext/js/comm/anki-connect.js').AnkiConnect}
+         */
+        function createAnkiConnect(notesByQuery) {
+            /** @type {Map<number, import('anki').NoteInfo>} */
+            const notes = new Map();
+            for (const noteInfos of Object.values(notesByQuery)) {
+                for (const noteInfo of noteInfos) { notes.set(noteInfo.noteId, noteInfo); }
+            }
+            return /** @type {import('../ext/js/comm/anki-connect.js').AnkiConnect} */ (/** @type {unknown} */ ({
+                isConnected: async () => true,
+                /**
+                 * @param {string} query
+                 * @returns {Promise<number[]>}
+                 */
+                findNotes: async (query) => (notesByQuery[query] ?? []).map(({noteId}) => noteId),
+                /**
+                 * @param {number[]} noteIds
+                 * @returns {Promise<(?import('anki').NoteInfo)[]>}
+                 */
+                notesInfo: async (noteIds) => noteIds.map((noteId) => notes.get(noteId) ?? null),
+            }));
+        }
+
+        /**
+         * @param {number} noteId
+         * @param {string} word
+         * @returns {import('anki').NoteInfo}
+         */
+        function createNoteInfo(noteId, word) {
+            return {
+                noteId,
+                tags: [],
+                fields: {
+                    Sentence: {value: '', order: 1},
+                    Word: {value: word, order: 0},
+                },
+                modelName: 'Model',
+                cards: [],
+            };
+        }
+
+        test('Anki field words', ({expect}) => {
+            expect.soft(getAnkiFieldWord('<b>打つ</b>')).toStrictEqual('打つ');
+            expect.soft(getAnkiFieldWord(' 読[よ]む')).toStrictEqual('読む');
+            expect.soft(getAnkiFieldWord('to&nbsp;read<br>')).toStrictEqual('toread');
+            expect.soft(getAnkiFieldWord('<img src="image.png">')).toStrictEqual('');
+        });
+
+        test('Set, import, and clear statuses', async ({expect}) => {
+            const userDataDatabase = new UserDataDatabase();
+            await userDataDatabase.prepare();
+            const ankiConnect = createAnkiConnect({
+                'prop:ivl>=21': [createNoteInfo(1, '<span>打つ</span>'), createNoteInfo(2, '読[よ]む')],
+                'prop:ivl<21': [createNoteInfo(2, '読[よ]む'), createNoteInfo(3, '書く'), createNoteInfo(4, '見る')],
+            });
+            const store = new WordStatusStore(userDataDatabase, ankiConnect);
+
+            await store.setStatus('見る', 'unknown');
+            const result = await store.importFromAnki({knownQuery: 'prop:ivl>=21', learningQuery: 'prop:ivl<21', field: ''});
+            expect.soft(result).toStrictEqual({knownCount: 2, learningCount: 1});
+
+            const statuses = await store.getStatuses(['打つ', '読む', '書く', '見る', '食べる']);
+            expect.soft(Object.fromEntries(statuses)).toStrictEqual({
+                打つ: 'known',
+                読む: 'known',
+                書く: 'learning',
+                見る: 'unknown',
+                食べる: 'unknown',
+            });
+            expect.soft(await store.getCounts()).toStrictEqual({known: 2, learning: 1, unknown: 1});
+
+            await store.setStatus('書く', 'known');
+            await store.importFromAnki({knownQuery: 'prop:ivl>=21', learningQuery: '', field: 'Word'});
+            const statuses2 = await store.getStatuses(['打つ', '読む', '書く', '見る']);
+            expect.soft(Object.fromEntries(statuses2)).toStrictEqual({
+                打つ: 'known',
+                読む: 'known',
+                書く: 'known',
+                見る: 'unknown',
+            });
+
+            await store.importFromAnki({knownQuery: '', learningQuery: '', field: 'Word'});
+            expect.soft(await store.getCounts()).toStrictEqual({known: 1, learning: 0, unknown: 1});
+
+            await store.clear();
+            expect.soft(await store.getCounts()).toStrictEqual({known: 0, learning: 0, unknown: 0});
+
+            await userDataDatabase.close();
+        });
+    });
+});
@@ -120,18 +120,22 @@ export function createFindTermsOptions(dictionaryName, optionsPresets, optionsAr
     const {
         matchType,
         deinflect,
+        searchGlossaries,
         mainDictionary,
         sortFrequencyDictionary,
         sortFrequencyDictionaryOrder,
         removeNonJapaneseCharacters,
         excludeDictionaryDefinitions,
         searchResolution,
+        searchRoots,
         language,
     } = preset;
 
     return {
         matchType: typeof matchType !== 'undefined' ? matchType : 'exact',
         deinflect: typeof deinflect !== 'undefined' ? deinflect : true,
+        searchGlossaries: typeof searchGlossaries !== 'undefined' ? searchGlossaries : false,
+        pattern: null,
         mainDictionary: typeof mainDictionary !== 'undefined' && mainDictionary !== placeholder ? mainDictionary : dictionaryName,
         sortFrequencyDictionary: typeof sortFrequencyDictionary !== 'undefined' ? sortFrequencyDictionary : null,
         sortFrequencyDictionaryOrder: typeof sortFrequencyDictionaryOrder !== 'undefined' ? sortFrequencyDictionaryOrder : 'ascending',
@@ -140,6 +144,7 @@ export function createFindTermsOptions(dictionaryName, optionsPresets, optionsAr
         enabledDictionaryMap,
         excludeDictionaryDefinitions: Array.isArray(excludeDictionaryDefinitions) ? new Set(excludeDictionaryDefinitions) : null,
         searchResolution: typeof searchResolution !== 'undefined' ? searchResolution : 'letter',
+        searchRoots: typeof searchRoots !== 'undefined' ? searchRoots : false,
         language: typeof language !== 'undefined' ? language : 'ja',
     };
 }
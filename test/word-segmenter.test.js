@@ -0,0 +1,116 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getClusterBoundaries, getWordCandidates, isWordSegmentedLanguage, segmentWords} from '../ext/js/language/word-segmenter.js';
+
+describe('isWordSegmentedLanguage', () => {
+    /** @type {[language: string, expected: boolean][]} */
+    const data = [
+        ['th', true],
+        ['lo', true],
+        ['km', true],
+        ['ja', false],
+        ['en', false],
+    ];
+
+    test.each(data)('language %o', (language, expected) => {
+        expect(isWordSegmentedLanguage(language)).toStrictEqual(expected);
+    });
+});
+
+describe('getClusterBoundaries', () => {
+    /** @type {[text: string, expected: number[]][]} */
+    const data = [
+        ['', [0]],
+        ['abc', [0, 1, 2, 3]],
+        // Tone marks and following vowels attach to the preceding consonant
+        ['ไม่', [0, 3]],
+        ['น้ำ', [0, 3]],
+        ['กา', [0, 2]],
+        // Leading vowels attach to the following consonant
+        ['เกม', [0, 2, 3]],
+        ['ເຮືອນ', [0, 3, 4, 5]],
+        // Khmer dependent vowels and signs are combining marks
+        ['ភាសា', [0, 2, 4]],
+        // Khmer subscript consonants attach to the coeng before them
+        ['ក្មេង', [0, 4, 5]],
+        ['ស្ត្រី', [0, 6]],
+    ];
+
+    test.each(data)('boundaries of %o', (text, expected) => {
+        expect(getClusterBoundaries(text)).toStrictEqual(expected);
+    });
+});
+
+describe('getWordCandidates', () => {
+    test('candidates up to the maximum length', () => {
+        expect(getWordCandidates('abcd', 2)).toStrictEqual(['a', 'ab', 'b', 'bc', 'c', 'cd', 'd']);
+    });
+
+    test('candidates do not split clusters', () => {
+        expect(getWordCandidates('ไม่มี', 5)).toStrictEqual(['ไม่', 'ไม่มี', 'มี']);
+    });
+
+    test('candidates do not end on a Khmer coeng', () => {
+        expect(getWordCandidates('ក្មេង', 5)).toStrictEqual(['ក្មេ', 'ក្មេង', 'ង']);
+    });
+});
+
+describe('segmentWords', () => {
+    const words = new Set(['ฉัน', 'ไป', 'ตลาด', 'ตา', 'ลาด', 'กิน', 'ข้าว', 'ข้าวผัด', 'ผัด']);
+    /**
+     * @param {string} word
+     * @returns {boolean}
+     */
+    const isWord = (word) => words.has(word);
+
+    /** @type {[text: string, expected: {text: string, isWord: boolean}[]][]} */
+    const data = [
+        ['', []],
+        ['ฉันไปตลาด', [
+            {text: 'ฉัน', isWord: true},
+            {text: 'ไป', isWord: true},
+            {text: 'ตลาด', isWord: true},
+        ]],
+        // The split with the fewest words is chosen when all of the text is known
+        ['กินข้าวผัด', [
+            {text: 'กิน', isWord: true},
+            {text: 'ข้าวผัด', isWord: true},
+        ]],
+        // Consecutive unknown characters are grouped together
+        ['ฉันชอบกิน', [
+            {text: 'ฉัน', isWord: true},
+            {text: 'ชอบ', isWord: false},
+            {text: 'กิน', isWord: true},
+        ]],
+        ['xyz', [
+            {text: 'xyz', isWord: false},
+        ]],
+    ];
+
+    test.each(data)('segments of %o', (text, expected) => {
+        expect(segmentWords(text, isWord, 10)).toStrictEqual(expected);
+    });
+
+    test('words longer than the maximum length are not used', () => {
+        expect(segmentWords('ข้าวผัด', isWord, 5)).toStrictEqual([
+            {text: 'ข้าว', isWord: true},
+            {text: 'ผัด', isWord: true},
+        ]);
+    });
+});
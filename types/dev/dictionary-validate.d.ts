@@ -28,6 +28,7 @@ export type Schemas = {
     termBankV1: Schema;
     termBankV3: Schema;
     termMetaBankV3: Schema;
+    transforms: Schema;
 };
 
 /**
@@ -70,7 +70,7 @@ export type GetRenderingDataDetails = {
 export type CommonData = AnkiTemplatesInternal.CreateDetails;
 
 export type RequirementGeneric = {
-    type: 'audio' | 'screenshot' | 'clipboardImage' | 'clipboardText' | 'popupSelectionText';
+    type: 'audio' | 'screenshot' | 'sentenceAudio' | 'clipboardImage' | 'clipboardText' | 'popupSelectionText';
 };
 
 export type RequirementTextFurigana = {
@@ -100,11 +100,26 @@ export type MediaOptions = {
         format: Settings.AnkiScreenshotFormat;
         quality: number;
         contentOrigin: Extension.ContentOrigin;
+        /** The image which the text was recognized in, as a data URL, if the entry was found using text recognition. */
+        image: string | null;
+    };
+    sentenceAudio: {
+        contentOrigin: Extension.ContentOrigin;
+        /** The start time of the video subtitle cue, in seconds, if the term was scanned from one. */
+        startTime: number | null;
+        /** The end time of the video subtitle cue, in seconds, if the term was scanned from one. */
+        endTime: number | null;
+        windowBefore: number;
+        windowAfter: number;
     };
     textParsing: {
         optionsContext: Settings.OptionsContext;
         scanLength: number;
     };
+    /**
+     * Whether media should be stored in the offline note queue rather than being sent to Anki.
+     */
+    offline: boolean;
 };
 
 export type TextFuriganaDetails = {
@@ -129,8 +144,10 @@ export type MinimalApi = {
         definitionDetails: Api.ApiParam<'injectAnkiNoteMedia', 'definitionDetails'>,
         audioDetails: Api.ApiParam<'injectAnkiNoteMedia', 'audioDetails'>,
         screenshotDetails: Api.ApiParam<'injectAnkiNoteMedia', 'screenshotDetails'>,
+        sentenceAudioDetails: Api.ApiParam<'injectAnkiNoteMedia', 'sentenceAudioDetails'>,
         clipboardDetails: Api.ApiParam<'injectAnkiNoteMedia', 'clipboardDetails'>,
         dictionaryMediaDetails: Api.ApiParam<'injectAnkiNoteMedia', 'dictionaryMediaDetails'>,
+        offline: Api.ApiParam<'injectAnkiNoteMedia', 'offline'>,
     ): Promise<Api.ApiReturn<'injectAnkiNoteMedia'>>;
 
     parseText(
@@ -0,0 +1,71 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Anki from './anki';
+import type * as Core from './core';
+
+/**
+ * A fully rendered note which was created while Anki was not available,
+ * as stored in the `ankiOfflineNotes` object store.
+ */
+export type QueuedNote = {
+    /** The note, in the same format that is sent to AnkiConnect. */
+    note: Anki.Note;
+    /** The names of the queued media files which are referenced by the note's fields. */
+    mediaFileNames: string[];
+    /** The time the note was queued, in milliseconds since the epoch. */
+    timestamp: number;
+};
+
+export type QueuedNoteWithId = QueuedNote & {
+    id: number;
+};
+
+/**
+ * A media file which was injected for a queued note, as stored in the `ankiOfflineMedia` object store.
+ */
+export type QueuedMedia = {
+    /** The file name that the note fields refer to. */
+    fileName: string;
+    /** The base64-encoded file content. */
+    content: string;
+    /** The time the file was stored, in milliseconds since the epoch. */
+    timestamp: number;
+};
+
+/**
+ * An object which media files for a note can be written to.
+ * Both `AnkiConnect` and the offline queue implement this.
+ */
+export type MediaStore = {
+    /**
+     * Stores a media file.
+     * @param fileName The name of the file.
+     * @param content The base64-encoded content of the file.
+     * @returns The name of the file that was stored, which may differ from the requested name.
+     */
+    storeMediaFile(fileName: string, content: string): Promise<string | null>;
+};
+
+export type SyncResult = {
+    /** The number of queued notes which were added to Anki. */
+    addedCount: number;
+    /** The number of queued notes which remain in the queue. */
+    remainingCount: number;
+    /** Errors for the notes which could not be added. */
+    errors: Core.SerializedError[];
+};
@@ -25,6 +25,8 @@ export type Context = {
     query: string;
     fullQuery: string;
     sentence: ContextSentence;
+    cue?: ContextCue;
+    book?: ContextBook;
 };
 
 export type ContextSentence = {
@@ -32,6 +34,17 @@ export type ContextSentence = {
     offset?: number;
 };
 
+export type ContextCue = {
+    text: string;
+    startTime: number;
+    endTime: number;
+};
+
+export type ContextBook = {
+    title: string;
+    chapter: string;
+};
+
 export type CreateModeNoTest = 'kanji' | 'term-kanji' | 'term-kana';
 
 export type CreateMode = CreateModeNoTest | 'test';
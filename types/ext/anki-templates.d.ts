@@ -25,11 +25,34 @@ export type Context = {
     query: string;
     fullQuery: string;
     document: {title: string};
+    cue?: ContextCue;
+    book?: ContextBook;
+};
+
+export type ContextCue = {
+    /** The text of the cue. */
+    text: string;
+    /** The start time of the cue, formatted as `H:MM:SS.mmm`. */
+    start: string;
+    /** The end time of the cue, formatted as `H:MM:SS.mmm`. */
+    end: string;
+    /** The start time of the cue, in seconds. */
+    startTime: number;
+    /** The end time of the cue, in seconds. */
+    endTime: number;
+};
+
+export type ContextBook = {
+    /** The title of the book. */
+    title: string;
+    /** The title of the chapter, or an empty string if it isn't known. */
+    chapter: string;
 };
 
 export type Media = {
     audio?: MediaObject;
     screenshot?: MediaObject;
+    sentenceAudio?: MediaObject;
     clipboardImage?: MediaObject;
     clipboardText?: MediaObject;
     popupSelectionText?: MediaObject;
@@ -42,6 +65,7 @@ export type MediaObject = {value: string};
 export type MediaSimpleType = (
     'audio' |
     'screenshot' |
+    'sentenceAudio' |
     'clipboardImage' |
     'clipboardText' |
     'popupSelectionText'
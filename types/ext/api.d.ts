@@ -16,22 +16,29 @@
  */
 
 import type * as Anki from './anki';
+import type * as AnkiOfflineQueue from './anki-offline-queue';
 import type * as AnkiNoteBuilder from './anki-note-builder';
 import type * as Audio from './audio';
 import type * as AudioDownloader from './audio-downloader';
 import type * as Backend from './backend';
+import type * as ComprehensionStatistics from './comprehension-statistics';
 import type * as Core from './core';
 import type * as Dictionary from './dictionary';
 import type * as DictionaryDatabase from './dictionary-database';
 import type * as DictionaryImporter from './dictionary-importer';
+import type * as DictionaryUpdater from './dictionary-updater';
 import type * as Environment from './environment';
 import type * as Extension from './extension';
+import type * as ImageTextRecognizer from './image-text-recognizer';
 import type * as Language from './language';
 import type * as Log from './log';
+import type * as LookupHistory from './lookup-history';
+import type * as PersonalDictionary from './personal-dictionary';
 import type * as Settings from './settings';
 import type * as SettingsModifications from './settings-modifications';
 import type * as Translation from './translation';
 import type * as Translator from './translator';
+import type * as WordStatus from './word-status';
 import type {ApiMessageNoFrameIdAny as ApplicationApiMessageNoFrameIdAny} from './application';
 import type {
     ApiMap as BaseApiMap,
@@ -48,6 +55,28 @@ import type {
 export type FindTermsDetails = {
     matchType?: Translation.FindTermsMatchType;
     deinflect?: boolean;
+    /**
+     * Whether terms should be found by the words in their definitions instead of by their headwords.
+     */
+    searchGlossaries?: boolean;
+    /**
+     * When present, terms are found by matching the text as a pattern against their headwords and readings.
+     * The number of terms in each page of results is determined by the maximum number of results,
+     * but every dictionary entry of a page is returned, so a page can contain more entries than that maximum.
+     * Whether `?` is a wildcard is determined by the profile options.
+     */
+    pattern?: FindTermsPatternDetails;
+    /**
+     * When present, a successful lookup is recorded in the lookup history,
+     * provided that the lookup history is enabled for the profile.
+     */
+    history?: FindTermsHistoryDetails;
+};
+
+export type FindTermsPatternDetails = Omit<Translation.FindTermsPatternOptions, 'questionMarkWildcard' | 'limit'>;
+
+export type FindTermsHistoryDetails = {
+    sentence: string;
 };
 
 export type ParseTextResultItem = {
@@ -84,6 +113,19 @@ export type InjectAnkiNoteMediaScreenshotDetails = {
     frameId: number;
     format: Settings.AnkiScreenshotFormat;
     quality: number;
+    /** An image to use instead of capturing the tab, as a data URL, such as the region which text was recognized in. */
+    image: string | null;
+};
+
+export type InjectAnkiNoteMediaSentenceAudioDetails = {
+    tabId: number;
+    frameId: number;
+    /** The start time of the span to record, in seconds, or `null` to use a window around the current time. */
+    startTime: number | null;
+    /** The end time of the span to record, in seconds, or `null` to use a window around the current time. */
+    endTime: number | null;
+    windowBefore: number;
+    windowAfter: number;
 };
 
 export type InjectAnkiNoteMediaClipboardDetails = {
@@ -133,10 +175,7 @@ type ApiSurface = {
             details: FindTermsDetails;
             optionsContext: Settings.OptionsContext;
         };
-        return: {
-            dictionaryEntries: Dictionary.TermDictionaryEntry[];
-            originalTextLength: number;
-        };
+        return: Translator.FindTermsResult;
     };
     parseText: {
         params: {
@@ -148,6 +187,46 @@ type ApiSurface = {
         };
         return: ParseTextResultItem[];
     };
+    getTextWordStatuses: {
+        params: {
+            text: string;
+            optionsContext: Settings.OptionsContext;
+            scanLength: number;
+        };
+        return: WordStatus.TextToken[];
+    };
+    setWordStatus: {
+        params: {
+            term: string;
+            status: WordStatus.Status;
+        };
+        return: void;
+    };
+    getWordStatusCounts: {
+        params: void;
+        return: WordStatus.StatusCounts;
+    };
+    importWordStatusesFromAnki: {
+        params: {
+            optionsContext: Settings.OptionsContext;
+        };
+        return: WordStatus.AnkiImportResult;
+    };
+    clearWordStatuses: {
+        params: void;
+        return: void;
+    };
+    getComprehensionStatistics: {
+        params: {
+            text: string;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: ComprehensionStatistics.Statistics;
+    };
+    getTabComprehensionStatistics: {
+        params: void;
+        return: ComprehensionStatistics.PageStatistics;
+    };
     kanjiFind: {
         params: {
             text: string;
@@ -188,18 +267,48 @@ type ApiSurface = {
             definitionDetails: InjectAnkiNoteMediaDefinitionDetails;
             audioDetails: InjectAnkiNoteMediaAudioDetails | null;
             screenshotDetails: InjectAnkiNoteMediaScreenshotDetails | null;
+            sentenceAudioDetails: InjectAnkiNoteMediaSentenceAudioDetails | null;
             clipboardDetails: InjectAnkiNoteMediaClipboardDetails | null;
             dictionaryMediaDetails: InjectAnkiNoteMediaDictionaryMediaDetails[];
+            /**
+             * Whether the media should be stored in the offline note queue rather than being sent to Anki.
+             */
+            offline: boolean;
         };
         return: {
             screenshotFileName: string | null;
             clipboardImageFileName: string | null;
             clipboardText: string | null;
             audioFileName: string | null;
+            sentenceAudioFileName: string | null;
             dictionaryMedia: InjectAnkiNoteDictionaryMediaResult[];
             errors: Core.SerializedError[];
         };
     };
+    addAnkiNoteOffline: {
+        params: {
+            note: Anki.Note;
+        };
+        return: void;
+    };
+    getAnkiOfflineQueue: {
+        params: void;
+        return: AnkiOfflineQueue.QueuedNoteWithId[];
+    };
+    getAnkiOfflineMedia: {
+        params: {
+            fileNames: string[];
+        };
+        return: AnkiOfflineQueue.QueuedMedia[];
+    };
+    syncAnkiOfflineQueue: {
+        params: void;
+        return: AnkiOfflineQueue.SyncResult;
+    };
+    clearAnkiOfflineQueue: {
+        params: void;
+        return: void;
+    };
     viewNotes: {
         params: {
             noteIds: Anki.NoteId[];
@@ -286,12 +395,52 @@ type ApiSurface = {
         params: void;
         return: void;
     };
+    getDictionaryUpdates: {
+        params: void;
+        return: DictionaryUpdater.DictionaryUpdate[];
+    };
+    updateDictionary: {
+        params: {
+            title: string;
+            downloadUrl: string;
+        };
+        return: DictionaryImporter.Summary;
+    };
+    getPersonalDictionaryEntry: {
+        params: {
+            id: number;
+        };
+        return: PersonalDictionary.EntryWithId | null;
+    };
+    setPersonalDictionaryEntry: {
+        params: {
+            id: number | null;
+            entry: PersonalDictionary.Entry;
+        };
+        return: number;
+    };
+    deletePersonalDictionaryEntry: {
+        params: {
+            id: number;
+        };
+        return: void;
+    };
     getMedia: {
         params: {
             targets: GetMediaDetailsTarget[];
         };
         return: DictionaryDatabase.MediaDataStringContent[];
     };
+    getLookupHistory: {
+        params: {
+            filter: LookupHistory.LookupHistoryFilter;
+        };
+        return: LookupHistory.LookupHistoryEntryWithId[];
+    };
+    clearLookupHistory: {
+        params: void;
+        return: void;
+    };
     logGenericErrorBackend: {
         params: {
             error: Core.SerializedError;
@@ -389,6 +538,17 @@ type ApiSurface = {
         params: void;
         return: Language.LanguageSummary[];
     };
+    recognizeImageRegion: {
+        params: {
+            /** The region to recognize the text of, in CSS pixels relative to the viewport of the sender. */
+            region: ImageTextRecognizer.Region;
+            /** The width of the viewport of the sender, in CSS pixels. */
+            viewportWidth: number;
+            optionsContext: Settings.OptionsContext;
+        };
+        /** The recognized text, which is shown in the search popup unless it is empty. */
+        return: string;
+    };
 };
 
 type ApiExtraArgs = [sender: chrome.runtime.MessageSender];
@@ -19,6 +19,8 @@ import type {TokenString, EventNames, EventArgument as BaseEventArgument} from '
 import type {SearchMode} from './display';
 import type {FrameEndpointReadyDetails, FrameEndpointConnectedDetails} from './frame-client';
 import type {DatabaseUpdateType, DatabaseUpdateCause} from './backend';
+import type {PageStatistics} from './comprehension-statistics';
+import type * as MediaClip from './media-clip';
 import type {
     ApiMap as BaseApiMap,
     ApiHandler as BaseApiHandler,
@@ -45,6 +47,16 @@ export type ApiSurface = {
         };
         return: void;
     };
+    searchDisplayControllerShowRecognizedText: {
+        params: {
+            text: string;
+            /** The image which the text was recognized from, as a data URL. */
+            image: string;
+            url: string;
+            documentTitle: string;
+        };
+        return: void;
+    };
     applicationIsReady: {
         params: void;
         return: boolean;
@@ -109,6 +121,14 @@ export type ApiSurface = {
         params: void;
         return: void;
     };
+    frontendGetPageStatistics: {
+        params: void;
+        return: PageStatistics;
+    };
+    frontendRecordMediaClip: {
+        params: MediaClip.RecordDetails;
+        return: MediaClip.MediaClip | null;
+    };
     frameEndpointReady: {
         params: FrameEndpointReadyDetails;
         return: void;
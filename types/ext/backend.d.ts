@@ -17,9 +17,23 @@
 
 import type * as Api from './api';
 
-export type DatabaseUpdateType = 'dictionary';
+export type DatabaseUpdateType = 'dictionary' | 'wordStatus';
 
-export type DatabaseUpdateCause = 'purge' | 'delete' | 'import';
+export type DatabaseUpdateCause = 'purge' | 'delete' | 'import' | 'edit';
+
+/**
+ * A segment of text produced by the internal scanning parser.
+ * Consecutive characters which do not match any term are grouped into a single segment.
+ */
+export type ScanningParseSegment = {
+    /** The text of the segment, as it appears in the source text. */
+    text: string;
+    /** The headword of the first dictionary entry found for the text, or `null` if no entry was found. */
+    headword: {
+        term: string;
+        reading: string;
+    } | null;
+};
 
 export type MecabParseResults = [
     dictionary: string,
@@ -0,0 +1,32 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The tone of a syllable, where `5` is the neutral tone.
+ */
+export type Tone = 1 | 2 | 3 | 4 | 5;
+
+export type PinyinFormat = 'toneMarks' | 'numbered';
+
+export type ReadingSegment = {
+    /** The text of the segment, as it appears in the reading. */
+    text: string;
+    /** The toneless pinyin syllable of the segment, or `null` if the segment is not a syllable. */
+    syllable: string | null;
+    /** The tone of the syllable, or `null` if the segment is not a syllable. */
+    tone: Tone | null;
+};
@@ -0,0 +1,84 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as WordStatus from './word-status';
+
+/**
+ * A word of a text, in the dictionary form found by the internal parser.
+ */
+export type Word = {
+    term: string;
+    reading: string;
+    status: WordStatus.Status;
+};
+
+/**
+ * The number of unique unknown words whose frequency rank is in the range `[minRank, maxRank]`.
+ */
+export type FrequencyBucket = {
+    minRank: number;
+    /** The inclusive upper bound of the range, or `null` if the range has no upper bound. */
+    maxRank: number | null;
+    count: number;
+};
+
+export type UnknownWord = {
+    term: string;
+    reading: string;
+    /** The number of times the word occurs in the text. */
+    count: number;
+    /** The frequency rank of the word, or `null` if no frequency dictionary contains it. */
+    frequency: number | null;
+};
+
+export type Statistics = {
+    /** The number of words in the text. */
+    wordCount: number;
+    /** The number of distinct words in the text. */
+    uniqueWordCount: number;
+    /** The number of words in the text with the `known` status. */
+    knownCount: number;
+    /** The number of words in the text with the `learning` status. */
+    learningCount: number;
+    /** The number of words in the text with the `unknown` status. */
+    unknownCount: number;
+    /** The number of distinct words in the text with the `unknown` status. */
+    uniqueUnknownCount: number;
+    /** The share of words in the text which are known, in the range `[0, 1]`. */
+    knownRatio: number;
+    /** The frequency distribution of the distinct unknown words. */
+    unknownFrequencyDistribution: FrequencyBucket[];
+    /** The number of distinct unknown words which are not in any frequency dictionary. */
+    unknownWithoutFrequencyCount: number;
+    /** The most common unknown words, ordered by their number of occurrences and then by frequency. */
+    topUnknownWords: UnknownWord[];
+};
+
+/**
+ * Where the text of a page statistics request came from.
+ * `selection` is used when the page has selected text, such as a single sentence.
+ */
+export type TextSource = 'selection' | 'page';
+
+export type PageStatistics = {
+    source: TextSource;
+    /** The number of characters of text which were analyzed. */
+    textLength: number;
+    /** Whether the text was longer than the maximum length and only its start was analyzed. */
+    truncated: boolean;
+    statistics: Statistics;
+};
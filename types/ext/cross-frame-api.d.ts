@@ -114,6 +114,10 @@ type ApiSurface = {
             documentTitle: string;
         };
     };
+    frontendScanImageRegion: {
+        params: void;
+        return: void;
+    };
     frameOffsetForwarderGetChildFrameRect: {
         params: {
             frameId: number;
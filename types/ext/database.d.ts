@@ -23,6 +23,10 @@ export type StructureDefinition<TObjectStoreName extends string> = {
 export type StoreDefinition = {
     primaryKey: IDBObjectStoreParameters;
     indices: string[];
+    /**
+     * Indices on array values, which have one index entry for each element of the array.
+     */
+    multiEntryIndices?: string[];
 };
 
 export type UpdateFunction = (
@@ -197,3 +197,32 @@ export type KanjiMetaFrequency = [
     mode: 'freq',
     data: GenericFrequencyData,
 ];
+
+/**
+ * Deinflection rules supplied by a dictionary in its `transforms.json` file.
+ */
+export type Transforms = {
+    language: string;
+    conditions: {[type: string]: TransformCondition};
+    transforms: {[id: string]: Transform};
+};
+
+export type TransformCondition = {
+    name: string;
+    isDictionaryForm: boolean;
+    subConditions?: string[];
+};
+
+export type Transform = {
+    name: string;
+    description?: string;
+    rules: TransformRule[];
+};
+
+export type TransformRule = {
+    type: 'suffix' | 'prefix' | 'wholeWord';
+    inflected: string;
+    deinflected: string;
+    conditionsIn: string[];
+    conditionsOut: string[];
+};
@@ -45,6 +45,8 @@ export type DatabaseTermEntry = {
     reading: string;
     expressionReverse?: string;
     readingReverse?: string;
+    /** The unique tokens of the glossary text, which are present if the dictionary supports glossary search. */
+    glossaryTokens?: string[];
     definitionTags: string | null;
     /** Legacy alias for the `definitionTags` field. */
     tags?: string;
@@ -58,6 +60,23 @@ export type DatabaseTermEntry = {
 
 export type DatabaseTermEntryWithId = DatabaseTermEntry & DatabaseId;
 
+export type FindTermsByPatternResult = {
+    /** The terms which were found. */
+    entries: TermEntry[];
+    /** The position of the term which the next page of terms starts at, or `null` if all terms were searched. */
+    next: TermPosition | null;
+};
+
+/**
+ * The position of a term in the expression index, which a search of the index can be resumed from.
+ */
+export type TermPosition = {
+    /** The expression of the term. */
+    expression: string;
+    /** The primary key of the term. */
+    id: number;
+};
+
 export type TermEntry = {
     index: number;
     matchType: MatchType;
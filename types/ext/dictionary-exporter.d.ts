@@ -0,0 +1,33 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type ExportDetails = {
+    /** The compression level of the archive files, from 0 (no compression) to 9. */
+    compressionLevel: number;
+};
+
+export type ProgressData = {
+    /** The number of database rows which have been written to the archive. */
+    index: number;
+    /** The total number of database rows of the dictionary. */
+    count: number;
+};
+
+export type OnProgressCallback = (data: ProgressData) => void;
+
+/** The object stores containing the data of a dictionary, excluding its summary. */
+export type DictionaryDataObjectStoreName = 'terms' | 'termMeta' | 'kanji' | 'kanjiMeta' | 'tagMeta' | 'media';
@@ -40,6 +40,13 @@ export type ImportResult = {
 
 export type ImportDetails = {
     prefixWildcardsSupported: boolean;
+    glossarySearchSupported: boolean;
+    /**
+     * The title of an installed dictionary which is replaced by the imported dictionary.
+     * The new data is added under a temporary title, and the installed dictionary is only replaced once all of it has been added.
+     * If anything fails, the installed dictionary is kept and no result is returned.
+     */
+    replacedTitle?: string;
 };
 
 export type Summary = {
@@ -49,6 +56,8 @@ export type Summary = {
     version: number;
     importDate: number;
     prefixWildcardsSupported: boolean;
+    /** Whether the glossary text was indexed for glossary search. This is absent for dictionaries imported before glossary search was supported. */
+    glossarySearchSupported?: boolean;
     counts: SummaryCounts;
     styles: string;
     isUpdatable?: boolean;
@@ -61,12 +70,16 @@ export type Summary = {
     sourceLanguage?: string;
     targetLanguage?: string;
     frequencyMode?: 'occurrence-based' | 'rank-based';
+    /** Deinflection rules which are used for lookups while the dictionary is enabled. */
+    transforms?: DictionaryData.Transforms;
 };
 
 export type SummaryDetails = {
     prefixWildcardsSupported: boolean;
+    glossarySearchSupported: boolean;
     counts: SummaryCounts;
     styles: string;
+    transforms: DictionaryData.Transforms | null;
 };
 
 export type SummaryCounts = {
@@ -140,6 +153,7 @@ export type CompiledSchemaValidators = {
     dictionaryKanjiBankV3: Ajv.ValidateFunction<unknown>;
     dictionaryKanjiMetaBankV3: Ajv.ValidateFunction<unknown>;
     dictionaryTagBankV3: Ajv.ValidateFunction<unknown>;
+    dictionaryTransforms: Ajv.ValidateFunction<unknown>;
 };
 
 export type CompiledSchemaName = keyof CompiledSchemaValidators;
@@ -0,0 +1,30 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Information about a newer revision of an installed dictionary.
+ */
+export type DictionaryUpdate = {
+    /** The title of the installed dictionary. */
+    title: string;
+    /** The revision of the installed dictionary. */
+    revision: string;
+    /** The revision listed in the dictionary's remote index file. */
+    latestRevision: string;
+    /** The URL that the latest revision can be downloaded from. */
+    downloadUrl: string;
+};
@@ -15,6 +15,7 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+import type * as DictionaryExporter from './dictionary-exporter';
 import type * as DictionaryImporter from './dictionary-importer';
 import type * as DictionaryWorkerMediaLoader from './dictionary-worker-media-loader';
 
@@ -23,6 +24,7 @@ export type OnProgressCallback = (...args: unknown[]) => void;
 export type Message = (
     ImportDictionaryMessage |
     DeleteDictionaryMessage |
+    ExportDictionaryMessage |
     GetDictionaryCountsMessage |
     GetImageDetailsResponseMessage
 );
@@ -46,6 +48,16 @@ export type DeleteDictionaryMessageParams = {
     dictionaryTitle: string;
 };
 
+export type ExportDictionaryMessage = {
+    action: 'exportDictionary';
+    params: ExportDictionaryMessageParams;
+};
+
+export type ExportDictionaryMessageParams = {
+    dictionaryTitle: string;
+    details: DictionaryExporter.ExportDetails;
+};
+
 export type GetDictionaryCountsMessage = {
     action: 'getDictionaryCounts';
     params: GetDictionaryCountsMessageParams;
@@ -19,9 +19,28 @@ import type * as Anki from './anki';
 import type * as AnkiNoteBuilder from './anki-note-builder';
 import type * as AnkiTemplates from './anki-templates';
 import type * as AnkiTemplatesInternal from './anki-templates-internal';
+import type * as Settings from './settings';
 
 export type CreateMode = AnkiTemplatesInternal.CreateModeNoTest;
 
+/**
+ * Identifies a type of card which can be added for a dictionary entry.
+ * This is either one of the standard create modes, or `preset-{index}` for an entry of `anki.cardPresets`.
+ */
+export type CardKey = string;
+
+export type CardOptions = {
+    mode: CreateMode;
+    deck: string;
+    model: string;
+    fields: Settings.AnkiNoteFields;
+    rules: Settings.AnkiCardPresetRule[];
+    /** The index of the card preset, or `null` for the standard card types. */
+    presetIndex: number | null;
+    /** The name of the card preset, or `null` for the standard card types. */
+    presetName: string | null;
+};
+
 export type LogData = {
     ankiNoteData: AnkiTemplates.NoteData | undefined;
     ankiNoteDataException: Error | undefined;
@@ -30,16 +49,18 @@ export type LogData = {
 
 export type AnkiNoteLogData = {
     mode: CreateMode;
+    cardPreset?: string;
     note: Anki.Note | undefined;
     errors?: Error[];
     requirements?: AnkiNoteBuilder.Requirement[];
 };
 
 export type DictionaryEntryDetails = {
-    modeMap: Map<CreateMode, DictionaryEntryModeDetails>;
+    modeMap: Map<CardKey, DictionaryEntryModeDetails>;
 };
 
 export type DictionaryEntryModeDetails = {
+    cardKey: CardKey;
     mode: CreateMode;
     note: Anki.Note;
     errors: Error[];
@@ -52,6 +73,10 @@ export type DictionaryEntryModeDetails = {
     noteIds: Anki.NoteId[] | null;
     noteInfos?: (Anki.NoteInfo | null)[];
     ankiError: Error | null;
+    /**
+     * Whether Anki is not connected and the note will be added to the offline note queue instead.
+     */
+    offline: boolean;
 };
 
 export type CreateNoteResult = {
@@ -16,6 +16,7 @@
  */
 
 import type * as Dictionary from './dictionary';
+import type * as DictionaryDatabase from './dictionary-database';
 import type * as Extension from './extension';
 import type * as Settings from './settings';
 import type * as TextScannerTypes from './text-scanner';
@@ -53,6 +54,20 @@ export type ContentDetails = {
     historyMode: HistoryMode;
 };
 
+/**
+ * A pattern search whose remaining pages of results have not been found yet.
+ */
+export type PatternSearch = {
+    /** The pattern which is searched for. */
+    text: string;
+    /** Whether the pattern is a regular expression literal rather than a wildcard pattern. */
+    regex: boolean;
+    /** The position which the next page of results starts at. */
+    next: DictionaryDatabase.TermPosition;
+    /** The options context used for the search. */
+    optionsContext: Settings.OptionsContext;
+};
+
 /**
  * An object containing key-value pairs representing the URL search params.
  */
@@ -63,6 +78,8 @@ export type HistoryParams = {
     query?: string;
     /** Whether or not wildcards can be used for the search query. */
     wildcards?: 'on' | 'off';
+    /** Whether or not terms should be found by the words in their definitions instead of by their headwords. */
+    glossary?: 'true' | 'false';
     /** The start position of the `query` string as an index into the `full` query string. */
     offset?: string;
     /** The full search text. If absent, `query` is the full search text. */
@@ -71,6 +88,8 @@ export type HistoryParams = {
     ['full-visible']?: 'true' | 'false';
     /** Whether or not the query should be looked up. If it is not looked up, the content should be provided. */
     lookup?: 'true' | 'false';
+    /** Whether or not the lookup should be recorded in the lookup history. Only set for searches which the user submitted. */
+    history?: 'true' | 'false';
     /** Other values; only used for assignment. */
     [otherKey: string]: unknown;
 };
@@ -97,6 +116,12 @@ export type HistoryState = {
     documentTitle?: string;
     /** Computed theme of the page */
     pageTheme?: 'dark' | 'light';
+    /** The video subtitle cue which the content was scanned from. */
+    cue?: HistoryStateCue;
+    /** The book which the content was scanned from. */
+    book?: HistoryStateBook;
+    /** The image which the content was recognized from using text recognition, as a data URL. */
+    screenshot?: string;
 };
 
 /**
@@ -109,6 +134,28 @@ export type HistoryStateSentence = {
     offset: number;
 };
 
+/**
+ * The video subtitle cue context.
+ */
+export type HistoryStateCue = {
+    /** The text of the cue. */
+    text: string;
+    /** The start time of the cue, in seconds. */
+    startTime: number;
+    /** The end time of the cue, in seconds. */
+    endTime: number;
+};
+
+/**
+ * The book context.
+ */
+export type HistoryStateBook = {
+    /** The title of the book. */
+    title: string;
+    /** The title of the chapter, or an empty string if it isn't known. */
+    chapter: string;
+};
+
 /**
  * The non-persistent content assigned to the navigation entry.
  */
@@ -263,3 +310,15 @@ type WindowApiMessage<TName extends WindowApiNames> = {
 };
 
 export type WindowApiFrameClientMessageAny = {[name in WindowApiNames]: FrameClientMessage<WindowApiMessage<name>>}[WindowApiNames];
+
+/**
+ * The source of a search query which was recognized from an image.
+ */
+export type RecognizedTextSource = {
+    /** The image of the region which the text was recognized from, as a data URL. */
+    image: string;
+    /** The URL of the page which the image was captured from. */
+    url: string;
+    /** The title of the page which the image was captured from. */
+    documentTitle: string;
+};
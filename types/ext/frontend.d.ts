@@ -18,6 +18,8 @@
 import type {PopupFactory} from '../../ext/js/app/popup-factory';
 import type {HotkeyHandler} from '../../ext/js/input/hotkey-handler';
 import type {Application} from '../../ext/js/application';
+import type {HistoryStateBook} from './display';
+import type {TextSource} from './text-source';
 
 /** Details about how to set up the instance. */
 export type ConstructorDetails = {
@@ -46,3 +48,10 @@ export type ConstructorDetails = {
 };
 
 export type PageType = 'web' | 'popup' | 'search';
+
+/**
+ * Gets the book which scanned text belongs to.
+ * @param textSource The source of the scanned text.
+ * @returns The book context, or `null` if the text isn't part of a book.
+ */
+export type BookContextProvider = (textSource: TextSource) => HistoryStateBook | null;
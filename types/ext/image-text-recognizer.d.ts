@@ -0,0 +1,40 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Tesseract from 'tesseract.js';
+
+export type TesseractWorker = Tesseract.Worker;
+
+/**
+ * The trained models which are used to recognize the text of a language.
+ */
+export type LanguageModels = {
+    /** The model for horizontal text. */
+    horizontal: string;
+    /** The model for vertical text, or `null` if the language is only written horizontally. */
+    vertical: string | null;
+};
+
+/**
+ * A rectangle in CSS pixels, relative to the viewport.
+ */
+export type Region = {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+};
@@ -15,7 +15,7 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import type {TextProcessor, ReadingNormalizer, BidirectionalConversionPreprocessor} from './language';
+import type {TextProcessor, ReadingNormalizer, RomanizationConverter, BidirectionalConversionPreprocessor} from './language';
 import type {LanguageTransformDescriptor} from './language-transformer';
 import type {SafeAny} from './core';
 
@@ -38,6 +38,12 @@ type LanguageDescriptor<
      */
     isTextLookupWorthy?: IsTextLookupWorthyFunction;
     readingNormalizer?: ReadingNormalizer;
+    /**
+     * An optional function which converts romanized text to the language's script.
+     * When it is provided, the search page can convert text as it is typed,
+     * so that words can be looked up without a keyboard layout for the language.
+     */
+    romanizationConverter?: RomanizationConverter;
     textPreprocessors?: TTextPreprocessorDescriptor;
     textPostprocessors?: TTextPostprocessorDescriptor;
     languageTransforms?: LanguageTransformDescriptor;
@@ -74,6 +80,7 @@ type AllTextProcessors = {
     ar: {
         pre: {
             removeArabicScriptDiacritics: TextProcessor<boolean>;
+            removeTatweel: TextProcessor<boolean>;
         };
     };
     cs: {
@@ -108,7 +115,10 @@ type AllTextProcessors = {
         pre: CapitalizationPreprocessors;
     };
     fr: {
-        pre: CapitalizationPreprocessors;
+        pre: CapitalizationPreprocessors & {
+            normalizeApostrophes: TextProcessor<boolean>;
+            removeElision: TextProcessor<boolean>;
+        };
     };
     grc: {
         pre: CapitalizationPreprocessors & AlphabeticDiacriticsProcessor;
@@ -201,5 +211,9 @@ type AllTextProcessors = {
         };
     };
     yue: Record<string, never>;
-    zh: Record<string, never>;
+    zh: {
+        pre: {
+            convertPinyinInput: TextProcessor<boolean>;
+        };
+    };
 };
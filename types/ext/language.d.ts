@@ -35,6 +35,11 @@ export type TextProcessor<T = unknown> = {
 
 export type ReadingNormalizer = (str: string) => string;
 
+/**
+ * Converts romanized text which is typed into the search page to the script of a language.
+ */
+export type RomanizationConverter = (str: string) => string;
+
 export type BidirectionalPreprocessorOptions = 'off' | 'direct' | 'inverse';
 
 export type BidirectionalConversionPreprocessor = TextProcessor<BidirectionalPreprocessorOptions>;
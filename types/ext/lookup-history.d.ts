@@ -0,0 +1,47 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A single successful term lookup, as stored in the `lookupHistory` object store.
+ */
+export type LookupHistoryEntry = {
+    /** The headword term of the first result. */
+    term: string;
+    /** The headword reading of the first result. */
+    reading: string;
+    /** The sentence the term was looked up in, or an empty string if it is not known. */
+    sentence: string;
+    /** The URL of the page the lookup happened on. */
+    url: string;
+    /** The time of the lookup, in milliseconds since the epoch. */
+    timestamp: number;
+    /** The name of the profile that was active for the lookup. */
+    profile: string;
+};
+
+export type LookupHistoryEntryWithId = LookupHistoryEntry & {
+    id: number;
+};
+
+export type LookupHistoryFilter = {
+    /** Only entries whose term, reading, or sentence contain this text are returned. */
+    query: string;
+    /** Only entries recorded with this profile name are returned, or all entries if `null`. */
+    profile: string | null;
+    /** The maximum number of entries to return, or all entries if `null`. */
+    limit: number | null;
+};
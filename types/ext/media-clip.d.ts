@@ -0,0 +1,43 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type MediaClip = {
+    /** The base64-encoded content of the clip. */
+    content: string;
+    /** The media type of the clip. */
+    mediaType: string;
+};
+
+export type RecordDetails = {
+    /** The time to start recording from, in seconds, or `null` to use a window around the current time. */
+    startTime: number | null;
+    /** The time to stop recording at, in seconds, or `null` to use a window around the current time. */
+    endTime: number | null;
+    /** The number of seconds before the current time to record when no span is given. */
+    windowBefore: number;
+    /** The number of seconds after the current time to record when no span is given. */
+    windowAfter: number;
+};
+
+/**
+ * `captureStream` is not part of the TypeScript declarations for media elements,
+ * and Firefox only supports it with a vendor prefix.
+ */
+export type CapturableMediaElement = HTMLMediaElement & {
+    captureStream?: () => MediaStream;
+    mozCaptureStream?: () => MediaStream;
+};
@@ -19,6 +19,8 @@ import type * as Dictionary from './dictionary';
 import type * as DictionaryDatabase from './dictionary-database';
 import type * as DictionaryImporter from './dictionary-importer';
 import type * as Environment from './environment';
+import type * as MediaClip from './media-clip';
+import type * as PersonalDictionary from './personal-dictionary';
 import type * as Translation from './translation';
 import type * as Translator from './translator';
 import type {
@@ -49,6 +51,40 @@ type ApiSurface = {
         };
         return: DictionaryDatabase.Media<string>[];
     };
+    updateDictionaryOffscreen: {
+        params: {
+            title: string;
+            downloadUrl: string;
+            details: DictionaryImporter.ImportDetails;
+        };
+        return: DictionaryImporter.Summary;
+    };
+    personalDictionaryPrepareOffscreen: {
+        params: {
+            details: DictionaryImporter.ImportDetails;
+        };
+        return: boolean;
+    };
+    personalDictionaryGetEntryOffscreen: {
+        params: {
+            id: number;
+        };
+        return: PersonalDictionary.EntryWithId | null;
+    };
+    personalDictionarySetEntryOffscreen: {
+        params: {
+            id: number | null;
+            entry: PersonalDictionary.Entry;
+            details: DictionaryImporter.ImportDetails;
+        };
+        return: PersonalDictionary.SetEntryResult;
+    };
+    personalDictionaryDeleteEntryOffscreen: {
+        params: {
+            id: number;
+        };
+        return: void;
+    };
     translatorPrepareOffscreen: {
         params: void;
         return: void;
@@ -75,6 +111,17 @@ type ApiSurface = {
         };
         return: Translator.TermFrequencySimple[];
     };
+    segmentTextOffscreen: {
+        params: {
+            text: string;
+            maxWordLength: number;
+            enabledDictionaryMap: [
+                key: string,
+                options: Translation.FindTermDictionary,
+            ][];
+        };
+        return: Translator.TextSegment[];
+    };
     clearDatabaseCachesOffscreen: {
         params: void;
         return: void;
@@ -95,6 +142,19 @@ type ApiSurface = {
         params: void;
         return: string | null;
     };
+    encodeAudioClipOffscreen: {
+        params: {
+            clip: MediaClip.MediaClip;
+        };
+        return: MediaClip.MediaClip;
+    };
+    recognizeImageTextOffscreen: {
+        params: {
+            image: string;
+            language: string;
+        };
+        return: string;
+    };
 };
 
 export type ApiMessage<TName extends ApiNames> = (
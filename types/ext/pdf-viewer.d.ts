@@ -0,0 +1,81 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Pdfjs from 'pdfjs-dist';
+import type * as PdfjsApi from 'pdfjs-dist/types/src/display/api';
+import type {PdfTextLayer} from '../../ext/js/pdf/pdf-text-layer';
+
+export type Document = Pdfjs.PDFDocumentProxy;
+
+export type Page = Pdfjs.PDFPageProxy;
+
+export type RenderTask = Pdfjs.RenderTask;
+
+export type PageViewport = Pdfjs.PageViewport;
+
+export type TextContent = PdfjsApi.TextContent;
+
+export type TextItem = PdfjsApi.TextItem;
+
+export type TextStyle = PdfjsApi.TextStyle;
+
+/**
+ * The source of a PDF file, either a URL or the binary content of a local file.
+ */
+export type Source = {
+    url: string;
+} | {
+    data: Uint8Array;
+};
+
+export type PageState = {
+    /** The 1-based page number. */
+    pageNumber: number;
+    page: Page;
+    /** The element containing the canvas and text layer of the page. */
+    container: HTMLElement;
+    canvas: HTMLCanvasElement;
+    textLayer: PdfTextLayer;
+    /** The scale that the page was last rendered at, or `null` if it isn't currently rendered. */
+    renderedScale: number | null;
+    /** The render which is currently in progress, if any. */
+    renderTask: RenderTask | null;
+};
+
+/**
+ * The position of a text fragment in the coordinate space of the text layer.
+ */
+export type FragmentPosition = {
+    /** The x coordinate of the top-left corner of the fragment. */
+    left: number;
+    /** The y coordinate of the top-left corner of the fragment. */
+    top: number;
+    /** The x coordinate of the start of the baseline. */
+    baselineX: number;
+    /** The y coordinate of the start of the baseline. */
+    baselineY: number;
+    /** The rotation of the fragment, in radians. */
+    angle: number;
+    fontHeight: number;
+    /** The width that the fragment should occupy. */
+    width: number;
+};
+
+export type Fragment = {
+    element: HTMLElement;
+    position: FragmentPosition;
+};
@@ -0,0 +1,44 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A term in the personal dictionary.
+ */
+export type Entry = {
+    /** The term. */
+    term: string;
+    /** The reading of the term, which is the same as the term if the term has no separate reading. */
+    reading: string;
+    /** The definitions of the term, one per glossary item. */
+    glossary: string[];
+    /** The names of the definition tags. */
+    tags: string[];
+    /** The frequency value of the term and reading, or `null` if there is no frequency. */
+    frequency: number | null;
+};
+
+export type EntryWithId = Entry & {
+    /** The database `id` of the term. */
+    id: number;
+};
+
+export type SetEntryResult = {
+    /** The database `id` of the term. */
+    id: number;
+    /** Whether the personal dictionary had to be created in order to add the term. */
+    dictionaryCreated: boolean;
+};
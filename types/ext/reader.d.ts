@@ -0,0 +1,69 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as ZipJS from '@zip.js/zip.js';
+
+export type ArchiveFileMap = Map<string, ZipJS.Entry>;
+
+export type PageProgressionDirection = 'ltr' | 'rtl';
+
+export type Metadata = {
+    /** The unique identifier of the book, or an empty string if it doesn't have one. */
+    identifier: string;
+    title: string;
+    /** The primary language of the book, or an empty string if it isn't specified. */
+    language: string;
+    pageProgressionDirection: PageProgressionDirection | null;
+};
+
+export type ManifestItem = {
+    /** The path of the item within the archive. */
+    path: string;
+    mediaType: string;
+    properties: string[];
+};
+
+/**
+ * A section of the book in reading order.
+ */
+export type SpineItem = {
+    /** The path of the section within the archive. */
+    path: string;
+    mediaType: string;
+};
+
+export type TableOfContentsEntry = {
+    title: string;
+    /** The path of the section which the entry links to. */
+    path: string;
+    /** The fragment identifier within the section, or an empty string. */
+    fragment: string;
+};
+
+export type WritingMode = 'horizontal' | 'vertical';
+
+export type WritingModeSetting = 'auto' | WritingMode;
+
+/**
+ * A reading position which is independent of the size of the page.
+ */
+export type ReadingPosition = {
+    /** The index of the section in the spine. */
+    sectionIndex: number;
+    /** The position within the section, from `0` to `1`. */
+    progress: number;
+};
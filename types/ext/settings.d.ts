@@ -63,10 +63,19 @@ export type Options = {
 
 export type GlobalOptions = {
     database: GlobalDatabaseOptions;
+    dictionaryUpdates: GlobalDictionaryUpdatesOptions;
 };
 
 export type GlobalDatabaseOptions = {
     prefixWildcardsSupported: boolean;
+    glossarySearchSupported: boolean;
+};
+
+export type GlobalDictionaryUpdatesOptions = {
+    checkAutomatically: boolean;
+    /** The number of hours between update checks. */
+    checkInterval: number;
+    updateAutomatically: boolean;
 };
 
 export type Profile = {
@@ -100,6 +109,7 @@ export type ProfileOptions = {
     inputs: InputsOptions;
     clipboard: ClipboardOptions;
     accessibility: AccessibilityOptions;
+    wordStatus: WordStatusOptions;
 };
 
 export type GeneralOptions = {
@@ -108,6 +118,8 @@ export type GeneralOptions = {
     resultOutputMode: ResultOutputMode;
     debugInfo: boolean;
     maxResults: number;
+    maxPatternSearchResults: number;
+    questionMarkWildcard: boolean;
     showAdvanced: boolean;
     fontFamily: string;
     fontSize: number;
@@ -126,6 +138,7 @@ export type GeneralOptions = {
     popupScaleRelativeToVisualViewport: boolean;
     showGuide: boolean;
     enableContextMenuScanSelected: boolean;
+    openPdfLinksInViewer: boolean;
     compactTags: boolean;
     glossaryLayoutMode: GlossaryLayoutMode;
     mainDictionary: string;
@@ -134,6 +147,8 @@ export type GeneralOptions = {
     customPopupCss: string;
     customPopupOuterCss: string;
     enableWanakana: boolean;
+    enableJyutpingInput: boolean;
+    enableRomanizationInput: boolean;
     showPitchAccentDownstepNotation: boolean;
     showPitchAccentPositionNotation: boolean;
     showPitchAccentGraph: boolean;
@@ -149,6 +164,7 @@ export type GeneralOptions = {
     sortFrequencyDictionary: string | null;
     sortFrequencyDictionaryOrder: SortFrequencyDictionaryOrder;
     stickySearchHeader: boolean;
+    enableLookupHistory: boolean;
 };
 
 export type PopupWindowOptions = {
@@ -199,6 +215,8 @@ export type ScanningOptions = {
     normalizeCssZoom: boolean;
     scanWithoutMousemove: boolean;
     scanResolution: string;
+    enableVideoSubtitles: boolean;
+    pauseVideoOnPopup: boolean;
 };
 
 export type ScanningInput = {
@@ -247,6 +265,7 @@ export type TranslationOptions = {
     collapseEmphaticSequences: TranslationCollapseEmphaticSequences;
     textReplacements: TranslationTextReplacementOptions;
     searchResolution: SearchResolution;
+    searchRoots: boolean;
 };
 
 export type SearchResolution = 'letter' | 'word';
@@ -289,8 +308,10 @@ export type AnkiOptions = {
     server: string;
     tags: string[];
     screenshot: AnkiScreenshotOptions;
+    sentenceAudio: AnkiSentenceAudioOptions;
     terms: AnkiNoteOptions;
     kanji: AnkiNoteOptions;
+    cardPresets: AnkiCardPreset[];
     duplicateScope: AnkiDuplicateScope;
     duplicateScopeCheckAllModels: boolean;
     duplicateBehavior: AnkiDuplicateBehavior;
@@ -301,6 +322,7 @@ export type AnkiOptions = {
     noteGuiMode: AnkiNoteGuiMode;
     apiKey: string;
     downloadTimeout: number;
+    offlineQueue: boolean;
 };
 
 export type AnkiScreenshotOptions = {
@@ -308,6 +330,13 @@ export type AnkiScreenshotOptions = {
     quality: number;
 };
 
+export type AnkiSentenceAudioOptions = {
+    /** The number of seconds before the current playback position to record when no subtitle cue is available. */
+    windowBefore: number;
+    /** The number of seconds after the current playback position to record when no subtitle cue is available. */
+    windowAfter: number;
+};
+
 export type AnkiNoteOptions = {
     deck: string;
     model: string;
@@ -318,6 +347,30 @@ export type AnkiNoteFields = {
     [key: string]: string;
 };
 
+/**
+ * An additional, named card format which gets its own add button in the display.
+ */
+export type AnkiCardPreset = AnkiNoteOptions & {
+    name: string;
+    mode: AnkiCardPresetMode;
+    /** Rules which can override the deck or model, checked in order; the first matching rule is used. */
+    rules: AnkiCardPresetRule[];
+};
+
+export type AnkiCardPresetMode = 'term-kanji' | 'term-kana' | 'kanji';
+
+export type AnkiCardPresetRule = {
+    type: AnkiCardPresetRuleType;
+    /** The dictionary title, language ISO code, or part of speech to match. */
+    value: string;
+    /** The deck to use when the rule matches, or an empty string to keep the preset's deck. */
+    deck: string;
+    /** The model to use when the rule matches, or an empty string to keep the preset's model. */
+    model: string;
+};
+
+export type AnkiCardPresetRuleType = 'dictionary' | 'language' | 'partOfSpeech';
+
 export type SentenceParsingOptions = {
     scanExtent: number;
     terminationCharacterMode: SentenceTerminationCharacterMode;
@@ -356,6 +409,14 @@ export type AccessibilityOptions = {
     forceGoogleDocsHtmlRendering: boolean;
 };
 
+export type WordStatusOptions = {
+    highlightUnknownWords: boolean;
+    highlightLearningWords: boolean;
+    ankiField: string;
+    ankiKnownQuery: string;
+    ankiLearningQuery: string;
+};
+
 export type PreventMiddleMouseOptions = {
     onWebPages: boolean;
     onPopupPages: boolean;
@@ -43,6 +43,7 @@ export type Options = {
     sentenceParsingOptions?: SentenceParsingOptions;
     scanWithoutMousemove?: boolean;
     scanResolution?: string;
+    recordLookupHistory?: boolean;
 };
 
 export type InputOptionsOuter = {
@@ -17,6 +17,7 @@
  */
 
 import type * as Dictionary from './dictionary';
+import type * as DictionaryDatabase from './dictionary-database';
 import type {SearchResolution} from 'settings';
 
 // Kanji
@@ -68,6 +69,14 @@ export type FindTermsOptions = {
      * Whether or not deinflection should be performed.
      */
     deinflect: boolean;
+    /**
+     * Whether terms should be found by the words in their definitions instead of by their headwords.
+     */
+    searchGlossaries: boolean;
+    /**
+     * When not `null`, terms are found by matching the text as a pattern against their headwords and readings.
+     */
+    pattern: FindTermsPatternOptions | null;
     /**
      * The name of the primary dictionary to search.
      */
@@ -101,6 +110,10 @@ export type FindTermsOptions = {
      * Whether every substring should be searched for, or only whole words.
      */
     searchResolution: SearchResolution;
+    /**
+     * Whether the roots of words should also be searched for, in languages whose words are derived from roots.
+     */
+    searchRoots: boolean;
     /**
      * ISO-639 code of the language.
      */
@@ -109,8 +122,32 @@ export type FindTermsOptions = {
 
 /**
  * The matching type for looking up terms.
+ * Pattern matches are found using the `pattern` option instead.
+ */
+export type FindTermsMatchType = Exclude<Dictionary.TermSourceMatchType, 'pattern'>;
+
+/**
+ * Options for finding terms whose headwords or readings match a pattern, rather than the text itself.
  */
-export type FindTermsMatchType = Dictionary.TermSourceMatchType;
+export type FindTermsPatternOptions = {
+    /**
+     * Whether the text is a regular expression literal, such as `/^a.c$/`,
+     * rather than a wildcard pattern where `*` matches any sequence of characters.
+     */
+    regex: boolean;
+    /**
+     * Whether `?` in a wildcard pattern matches one character, rather than only a literal `?`.
+     */
+    questionMarkWildcard: boolean;
+    /**
+     * The position which the page of results starts at, or `null` for the first page.
+     */
+    after: DictionaryDatabase.TermPosition | null;
+    /**
+     * The number of database entries after which the page of results ends.
+     */
+    limit: number;
+};
 
 /**
  * A sorting order to use when finding terms.
@@ -80,4 +80,19 @@ export type TermReadingList = TermReadingItem[];
 export type FindTermsResult = {
     dictionaryEntries: Dictionary.TermDictionaryEntry[];
     originalTextLength: number;
+    /**
+     * For pattern searches, the position which the next page of results starts at,
+     * or `null` if there are no more results.
+     */
+    patternSearchNext?: DictionaryDatabaseTypes.TermPosition | null;
+};
+
+export type TextSegment = {
+    /** The text of the segment. */
+    text: string;
+    /** The dictionary headword of the segment, or `null` if the segment is not a known word. */
+    headword: {
+        term: string;
+        reading: string;
+    } | null;
 };
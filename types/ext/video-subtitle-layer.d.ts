@@ -0,0 +1,45 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type {EventListenerCollection} from '../../ext/js/core/event-listener-collection';
+
+export type Options = {
+    /** Whether or not the subtitles of `<video>` elements should be made scannable. */
+    enabled: boolean;
+};
+
+export type VideoState = {
+    /** The video element. */
+    video: HTMLVideoElement;
+    /** The element which contains the scannable copies of the active cues. */
+    overlay: HTMLElement;
+    /** The tracks which were changed from `'showing'` to `'hidden'`, so that they can be restored later. */
+    hiddenTracks: Set<TextTrack>;
+    /** The event listeners attached to the video and its tracks. */
+    eventListeners: EventListenerCollection;
+};
+
+export type Cue = {
+    /** The text of the cue. */
+    text: string;
+    /** The start time of the cue, in seconds. */
+    startTime: number;
+    /** The end time of the cue, in seconds. */
+    endTime: number;
+    /** The video element the cue belongs to. */
+    video: HTMLVideoElement;
+};
@@ -0,0 +1,73 @@
+/*
+ * Copyright (C) 2024  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * How well a word is known.
+ * Words which do not have a stored status are treated as `unknown`.
+ */
+export type Status = 'known' | 'learning' | 'unknown';
+
+/**
+ * Where a status came from. Manually set statuses take precedence over statuses imported from Anki.
+ */
+export type Source = 'anki' | 'manual';
+
+/**
+ * The status of a word, as stored in the `wordStatuses` object store.
+ */
+export type WordStatus = {
+    /** The dictionary form of the word. */
+    term: string;
+    status: Status;
+    source: Source;
+    /** The time the status was set, in milliseconds since the epoch. */
+    timestamp: number;
+};
+
+export type StatusCounts = {
+    known: number;
+    learning: number;
+    unknown: number;
+};
+
+export type AnkiImportDetails = {
+    /** The Anki search query for notes of known words. */
+    knownQuery: string;
+    /** The Anki search query for notes of words which are being learned. */
+    learningQuery: string;
+    /** The name of the field containing the word, or an empty string to use each note's first field. */
+    field: string;
+};
+
+export type AnkiImportResult = {
+    /** The number of words imported as known. */
+    knownCount: number;
+    /** The number of words imported as learning. */
+    learningCount: number;
+};
+
+/**
+ * A segment of text produced by the internal parser, along with the status of its word.
+ */
+export type TextToken = {
+    /** The text of the segment, as it appears in the source text. */
+    text: string;
+    /** The dictionary form of the word, or `null` if the segment did not match any word. */
+    term: string | null;
+    /** The status of the word, or `null` if the segment did not match any word. */
+    status: Status | null;
+};
@@ -24,6 +24,8 @@ export type DatabaseTestData = {
     tests: {
         findTermsBulk: FindTermsBulkTestCase[];
         findTermsExactBulk: FindTermsExactBulkTestCase[];
+        findTermsByGlossary: FindTermsByGlossaryTestCase[];
+        findTermsByPattern: FindTermsByPatternTestCase[];
         findTermsBySequenceBulk: FindTermsBySequenceBulkTestCase[];
         findTermMetaBulk: FindTermMetaBulkTestCase[];
         findKanjiBulk: FindKanjiBulkTestCase[];
@@ -57,6 +59,29 @@ export type FindTermsExactBulkTestCase = {
     };
 };
 
+export type FindTermsByGlossaryTestCase = {
+    inputs: {
+        tokens: string[];
+    }[];
+    expectedResults: {
+        total: number;
+        terms: ItemCount<string>[];
+        readings: ItemCount<string>[];
+    };
+};
+
+export type FindTermsByPatternTestCase = {
+    inputs: {
+        pattern: string;
+        limit: number;
+    }[];
+    expectedResults: {
+        total: number;
+        terms: ItemCount<string>[];
+        readings: ItemCount<string>[];
+    };
+};
+
 export type FindTermsBySequenceBulkTestCase = {
     inputs: {
         sequenceList: number[];
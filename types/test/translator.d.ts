@@ -40,6 +40,7 @@ export type FindTermsOptionsPreset = {
     type: 'terms';
     matchType?: FindTermsMatchType;
     deinflect?: boolean;
+    searchGlossaries?: boolean;
     mainDictionary?: string;
     sortFrequencyDictionary?: string | null;
     sortFrequencyDictionaryOrder?: FindTermsSortOrder;
@@ -48,6 +49,7 @@ export type FindTermsOptionsPreset = {
     enabledDictionaryMap?: [key: string, value: FindTermDictionary][];
     excludeDictionaryDefinitions?: string[] | null;
     searchResolution?: SearchResolution;
+    searchRoots?: boolean;
     language?: string;
 };
 